@@ -3,4 +3,5 @@ module.exports = {
     coverageDirectory: 'coverage', // Pasta para relatórios de cobertura
     collectCoverageFrom: ['src/**/*.js'], // Arquivos a serem incluídos na cobertura
     testMatch: ['**/__tests__/**/*.test.js'], // Padrão para encontrar arquivos de teste
+    setupFiles: ['<rootDir>/src/__tests__/setup.js'], // Variáveis de ambiente padrão dos testes
 };
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * Backfill do hash do CPF dos pacientes (busca indexada por CPF)
+ *
+ * O login do portal do paciente, a checagem de CPF duplicado no cadastro e a busca
+ * FHIR por identificador consultam `cpfHash`; pacientes cadastrados antes desse campo
+ * não são encontrados até receberem o hash.
+ *
+ * Passo de migração do deploy: executar `npm run pacientes:hash-cpf` logo após publicar
+ * a versão. O servidor também executa o preenchimento ao iniciar, então a etapa manual
+ * apenas antecipa a conclusão em bases grandes. Pode ser repetido com segurança.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Conectar ao banco
+mongoose.connect(process.env.MONGO_URI, {
+  dbName: 'laudos-medicos'
+});
+
+const Paciente = require('../src/models/Paciente');
+
+async function gerarHashCpf() {
+  try {
+    console.log('Gerando hash do CPF dos pacientes...');
+
+    const atualizados = await Paciente.preencherHashCpf();
+
+    console.log(`Hash do CPF gerado para ${atualizados} pacientes`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Erro na migração:', error);
+    process.exit(1);
+  }
+}
+
+gerarHashCpf();
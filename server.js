@@ -12,6 +12,7 @@ const session = require('express-session');
 const MongoStore = require('connect-mongo');
 const rateLimit = require('express-rate-limit');
 const csrf = require('csurf');
+const { csrfComExcecoes } = require('./src/middleware/csrfProtection');
 const mongoSanitize = require('express-mongo-sanitize');
 const hpp = require('hpp');
 const xss = require('xss-clean');
@@ -66,7 +67,7 @@ app.use(helmet.xssFilter());
 
 // ⚙️ COOKIES + JSON
 app.use(cookieParser());
-app.use(express.json({ limit: '100mb' }));
+app.use(express.json({ limit: '100mb', type: ['application/json', 'application/fhir+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '100mb' }));
 app.use(mongoSanitize());
 app.use(xss());
@@ -135,25 +136,26 @@ mongoose.connect(process.env.MONGO_URI, {
     }
   });
 
-  const csrfBypass = [
-    '/api/csrf-token',
-    '/api/auth/login',
-    '/api/auth/logout',
-    '/api/auth/refresh-token',
-    '/health',
-    '/api/test'
-  ];
-
-  app.use((req, res, next) => {
-    if (csrfBypass.some(path => req.path.startsWith(path))) return next();
-    return fullCsrfProtection(req, res, next);
-  });
+  app.use(csrfComExcecoes(fullCsrfProtection));
 
   // ✅ ROTAS
   const authMiddleware = require('./src/middleware/authMiddleware');
   app.use('/api/auth', require('./src/routes/authRoutes'));
+  app.use('/api/verificacao', require('./src/routes/verificacaoRoutes')); // Pública
+  app.use('/api/publico/laudos', require('./src/routes/linkPublicoRoutes')); // Pública
+  app.use('/api/portal-paciente', require('./src/routes/portalPacienteRoutes')); // Pública (sessão própria do paciente)
+  app.use('/api/arquivos', require('./src/routes/arquivoRoutes')); // Pública (URL assinada do armazenamento local)
   app.use('/api/exames', authMiddleware, require('./src/routes/exameRoutes'));
   app.use('/api/laudos', authMiddleware, require('./src/routes/laudoRoutes'));
+  app.use('/api/mascaras-laudo', authMiddleware, require('./src/routes/mascaraLaudoRoutes'));
+  app.use('/api/frases-laudo', authMiddleware, require('./src/routes/fraseLaudoRoutes'));
+  app.use('/api/worklist', authMiddleware, require('./src/routes/worklistRoutes'));
+  app.use('/api/prazos-sla', authMiddleware, require('./src/routes/prazoSlaRoutes'));
+  app.use('/api/faixas-referencia', authMiddleware, require('./src/routes/faixaReferenciaRoutes'));
+  app.use('/api/alertas-criticos', authMiddleware, require('./src/routes/alertaCriticoRoutes'));
+  app.use('/api/retencao', authMiddleware, require('./src/routes/retencaoRoutes'));
+  app.use('/api/hl7', authMiddleware, require('./src/routes/hl7Routes'));
+  app.use('/api/fhir', authMiddleware, require('./src/routes/fhirRoutes'));
   app.use('/api/pacientes', authMiddleware, require('./src/routes/pacienteRoutes'));
   app.use('/api/usuarios', authMiddleware, require('./src/routes/usuarioRoutes'));
   app.use('/api/user-roles', authMiddleware, require('./src/routes/userRoleRoutes'));
@@ -190,6 +192,7 @@ mongoose.connect(process.env.MONGO_URI, {
   });
 
   // 📡 SOCKET.IO
+  const notificacaoService = require('./src/services/notificacaoService');
   const io = socketIo(server, {
     cors: {
       origin: allowedOrigins,
@@ -198,13 +201,41 @@ mongoose.connect(process.env.MONGO_URI, {
     }
   });
 
+  // Handshake autenticado pelo JWT; as salas de tenant e usuário vêm do token
+  const { autenticarSocket, entrarSalas } = require('./src/middleware/socketAuthMiddleware');
+  io.use(autenticarSocket);
+
   io.on('connection', (socket) => {
     console.log('📡 Socket conectado:', socket.id);
-    socket.on('novoExame', (data) => io.emit('exameCriado', data));
-    socket.on('laudoConcluido', (data) => io.emit('laudoFinalizado', data));
+    entrarSalas(socket);
+
+    // Repasse só para os tenants do usuário conectado
+    const repassarParaTenants = (evento, data) => {
+      socket.data.usuario.tenants.forEach(tenantId => notificacaoService.emitirParaTenant(tenantId, evento, data));
+    };
+    socket.on('novoExame', (data) => repassarParaTenants('exameCriado', data));
+    socket.on('laudoConcluido', (data) => repassarParaTenants('laudoFinalizado', data));
     socket.on('disconnect', () => console.log('Socket desconectado:', socket.id));
   });
   io.on('connect_error', (err) => console.error('Erro de conexão Socket:', err.message));
+  notificacaoService.definirSocket(io);
+
+  // ⏱️ MONITOR DE SLA
+  require('./src/jobs/slaMonitor').iniciarMonitorSla();
+
+  // 🚨 ALERTAS DE ACHADO CRÍTICO
+  require('./src/jobs/alertaCriticoMonitor').iniciarMonitorAlertasCriticos();
+
+  // 🗄️ ARQUIVAMENTO DE EXAMES E LAUDOS (RETENÇÃO)
+  require('./src/jobs/arquivamentoMonitor').iniciarMonitorArquivamento();
+
+  // 📥 PEDIDOS HL7 (MLLP)
+  require('./src/services/pedidoHl7Service').iniciarListenerMllp();
+
+  // 🔑 HASH DO CPF DOS PACIENTES ANTIGOS (portal, CPF duplicado e busca FHIR dependem dele)
+  require('./src/models/Paciente').preencherHashCpf()
+    .then(total => total > 0 && console.log(`🔑 Hash do CPF gerado para ${total} pacientes`))
+    .catch(err => console.error('Erro ao gerar hash do CPF dos pacientes:', err.message));
 
 
   // DEV ONLY: CRIAR PASTAS
@@ -0,0 +1,88 @@
+jest.mock('../models/Laudo', () => ({ findOne: jest.fn() }));
+jest.mock('../models/AuditModel', () => ({ create: jest.fn() }));
+jest.mock('../services/certificadoDigitalService', () => ({ obterCertificadoParaAssinatura: jest.fn() }));
+jest.mock('../services/assinaturaPdfService', () => ({ assinarPdfComCertificado: jest.fn() }));
+jest.mock('../services/laudoStorageService', () => ({ uploadLaudoToS3: jest.fn(), downloadLaudoFromS3: jest.fn() }));
+jest.mock('../controllers/laudoController', () => ({ gerarPdfAdendoLaudo: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Laudo = require('../models/Laudo');
+const certificadoService = require('../services/certificadoDigitalService');
+const { assinarPdfComCertificado } = require('../services/assinaturaPdfService');
+const { uploadLaudoToS3 } = require('../services/laudoStorageService');
+const { gerarPdfAdendoLaudo } = require('../controllers/laudoController');
+const { criarAdendo } = require('../controllers/adendoLaudoController');
+
+const LAUDO_ID = '65a1b2c3d4e5f60718293a4b';
+const MEDICO = { id: '65a000000000000000000001', nome: 'Dra. Ana', role: 'medico' };
+const PDF = Buffer.from('%PDF-1.7 adendo %%EOF\n');
+
+const laudoAssinado = () => ({
+  _id: LAUDO_ID,
+  tenant_id: 't1',
+  status: 'Laudo assinado',
+  valido: true,
+  versao: 1,
+  adendos: [],
+  historico: [],
+  save: jest.fn().mockResolvedValue()
+});
+
+const executar = async () => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  await criarAdendo({
+    params: { id: LAUDO_ID },
+    body: { texto: 'Correção da lateralidade: lado direito' },
+    usuario: MEDICO,
+    tenant_id: ['t1'],
+    ip: '127.0.0.1',
+    headers: {}
+  }, res);
+  return { status: res.status.mock.calls[0]?.[0] || 200, corpo: res.json.mock.calls[0][0] };
+};
+
+describe('Adendos de laudos assinados', () => {
+  let laudo;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    laudo = laudoAssinado();
+    Laudo.findOne.mockResolvedValue(laudo);
+    certificadoService.obterCertificadoParaAssinatura.mockResolvedValue({ certificadoId: 'cert1', informacoes: { nome: 'Dra. Ana' } });
+    gerarPdfAdendoLaudo.mockResolvedValue(PDF);
+    assinarPdfComCertificado.mockResolvedValue(PDF);
+    uploadLaudoToS3.mockResolvedValue({ key: 'laudos/t1/adendos/1.pdf' });
+  });
+
+  test('adendo é assinado com o certificado do médico', async () => {
+    const { status, corpo } = await executar();
+
+    expect(status).toBe(201);
+    expect(corpo.adendo).toMatchObject({ numero: 1, assinadoCom: 'certificado_medico', temArquivo: true });
+    expect(gerarPdfAdendoLaudo).toHaveBeenCalledWith(LAUDO_ID, expect.anything(), true, { nome: 'Dra. Ana' });
+    expect(laudo.save).toHaveBeenCalled();
+  });
+
+  test('sem certificado o adendo é recusado e nada é gravado', async () => {
+    certificadoService.obterCertificadoParaAssinatura.mockRejectedValue(new Error('Nenhum certificado ativo encontrado para este médico'));
+
+    const { status, corpo } = await executar();
+
+    expect(status).toBe(400);
+    expect(corpo.erro).toBe('É necessário um certificado digital ativo para assinar o adendo');
+    expect(gerarPdfAdendoLaudo).not.toHaveBeenCalled();
+    expect(uploadLaudoToS3).not.toHaveBeenCalled();
+    expect(laudo.save).not.toHaveBeenCalled();
+  });
+
+  test('falha na assinatura não gera adendo sem assinatura', async () => {
+    assinarPdfComCertificado.mockRejectedValue(new Error('Senha do certificado inválida'));
+
+    const { status } = await executar();
+
+    expect(status).toBe(502);
+    expect(gerarPdfAdendoLaudo).toHaveBeenCalledTimes(1);
+    expect(uploadLaudoToS3).not.toHaveBeenCalled();
+    expect(laudo.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../models/AlertaCritico', () => ({ find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/Laudo', () => ({ updateOne: jest.fn() }));
+jest.mock('../models/Exame', () => ({ findById: jest.fn() }));
+jest.mock('../models/Tenant', () => ({ findById: jest.fn() }));
+jest.mock('../models/Usuario', () => ({ find: jest.fn() }));
+jest.mock('../models/AuditModel', () => ({ create: jest.fn() }));
+jest.mock('../services/notificacaoService', () => ({
+  buscarAdminsTenant: jest.fn(),
+  enviarEmailsNotificacao: jest.fn(),
+  emitirParaTenant: jest.fn(),
+  emitirParaUsuario: jest.fn()
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const {
+  INTERVALO_ESCALONAMENTO_PADRAO_MINUTOS,
+  obterIntervaloEscalonamento,
+  calcularProximoEscalonamento,
+  montarDestinatarios,
+  montarEmails,
+  descreverNivel
+} = require('../utils/alertaCritico');
+const AlertaCritico = require('../models/AlertaCritico');
+const Exame = require('../models/Exame');
+const Tenant = require('../models/Tenant');
+const AuditLog = require('../models/AuditModel');
+const { buscarAdminsTenant, enviarEmailsNotificacao } = require('../services/notificacaoService');
+const { escalarAlertasPendentes } = require('../services/alertaCriticoService');
+
+const usuario = (id, email) => ({ _id: { toString: () => id }, email });
+
+describe('Alertas de achado crítico - escalonamento e destinatários', () => {
+  afterEach(() => {
+    delete process.env.ALERTA_CRITICO_INTERVALO_MINUTOS;
+  });
+
+  test('usa o intervalo do tenant, depois o do ambiente e por fim o padrão', () => {
+    expect(obterIntervaloEscalonamento({})).toBe(INTERVALO_ESCALONAMENTO_PADRAO_MINUTOS);
+
+    process.env.ALERTA_CRITICO_INTERVALO_MINUTOS = '10';
+    expect(obterIntervaloEscalonamento({ intervaloEscalonamentoMinutos: null })).toBe(10);
+    expect(obterIntervaloEscalonamento({ intervaloEscalonamentoMinutos: 5 })).toBe(5);
+
+    const base = new Date('2024-05-10T12:00:00Z');
+    expect(calcularProximoEscalonamento(base, 5).toISOString()).toBe('2024-05-10T12:05:00.000Z');
+  });
+
+  test('notifica os contatos e, ao reescalonar, inclui os administradores', () => {
+    const contatos = [usuario('c1', 'plantao@clinica.com'), usuario('a1', 'Admin@clinica.com')];
+    const admins = [usuario('a1', 'Admin@clinica.com'), usuario('a2', null)];
+
+    expect(montarDestinatarios({ contatos, admins, nivel: 0 }).map(u => u._id.toString())).toEqual(['c1', 'a1']);
+    expect(montarDestinatarios({ contatos, admins, nivel: 1 }).map(u => u._id.toString())).toEqual(['c1', 'a1', 'a2']);
+    expect(montarDestinatarios({ contatos: [], admins, nivel: 0 }).map(u => u._id.toString())).toEqual(['a1', 'a2']);
+  });
+
+  test('monta os e-mails sem repetição e descreve o nível', () => {
+    const destinatarios = [usuario('c1', 'plantao@clinica.com'), usuario('a1', 'Admin@clinica.com'), usuario('a2', null)];
+
+    expect(montarEmails(destinatarios, ['admin@clinica.com', 'diretoria@clinica.com']))
+      .toEqual(['plantao@clinica.com', 'admin@clinica.com', 'diretoria@clinica.com']);
+    expect(descreverNivel(0)).toBe('Notificação inicial');
+    expect(descreverNivel(2)).toBe('Reescalonamento 2');
+  });
+});
+
+describe('Alertas de achado crítico - auditoria do reescalonamento', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('o reescalonamento automático é registrado como ação do sistema, não do médico', async () => {
+    const alerta = {
+      _id: '65a1b2c3d4e5f60718293a4d',
+      laudo: '65a1b2c3d4e5f60718293a4b',
+      exame: '65a1b2c3d4e5f60718293a4c',
+      tenant_id: '65a1b2c3d4e5f60718293a40',
+      medicoId: '65a000000000000000000001',
+      nivel: 0,
+      status: 'pendente',
+      notificacoes: [{ nivel: 0 }],
+      save: jest.fn().mockResolvedValue()
+    };
+    AlertaCritico.find.mockResolvedValue([alerta]);
+    Tenant.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ alertaCritico: {} }) });
+    const exame = { select: jest.fn(), populate: jest.fn() };
+    exame.select.mockReturnValue(exame);
+    exame.populate.mockReturnValueOnce(exame).mockResolvedValueOnce(null);
+    Exame.findById.mockReturnValue(exame);
+    buscarAdminsTenant.mockResolvedValue([]);
+    enviarEmailsNotificacao.mockResolvedValue(0);
+
+    expect(await escalarAlertasPendentes()).toEqual({ verificados: 1, reescalonados: 1 });
+
+    const registro = AuditLog.create.mock.calls[0][0];
+    expect(registro).toMatchObject({ userId: null, automatico: true, ip: 'sistema' });
+
+    // O schema aceita o registro sem usuário apenas quando marcado como automático
+    const AuditLogReal = jest.requireActual('../models/AuditModel');
+    expect(new AuditLogReal(registro).validateSync()).toBeUndefined();
+    expect(new AuditLogReal({ ...registro, automatico: false }).validateSync().errors.userId).toBeDefined();
+  });
+});
@@ -0,0 +1,138 @@
+jest.mock('../models/Laudo', () => ({ find: jest.fn() }));
+jest.mock('../models/AuditModel', () => ({ create: jest.fn() }));
+jest.mock('../services/certificadoDigitalService', () => ({ obterCertificadoParaAssinatura: jest.fn() }));
+jest.mock('../services/notificacaoService', () => ({ emitirParaUsuario: jest.fn() }));
+jest.mock('../controllers/laudoController', () => ({ assinarLaudoComCertificadoAtivo: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Laudo = require('../models/Laudo');
+const AuditLog = require('../models/AuditModel');
+const certificadoService = require('../services/certificadoDigitalService');
+const { emitirParaUsuario } = require('../services/notificacaoService');
+const { assinarLaudoComCertificadoAtivo } = require('../controllers/laudoController');
+const { assinarLote } = require('../controllers/assinaturaLoteController');
+
+const MEDICO = '65a000000000000000000001';
+const IDS = ['65a1b2c3d4e5f60718293a01', '65a1b2c3d4e5f60718293a02', '65a1b2c3d4e5f60718293a03'];
+const CERTIFICADO = { certificadoId: 'cert1', informacoes: { nome: 'Dra. Ana' } };
+
+const laudo = (id, dados = {}) => ({
+  _id: id,
+  medicoResponsavelId: MEDICO,
+  status: 'Laudo pronto para assinatura',
+  tenant_id: 't1',
+  ...dados
+});
+
+const executar = async (body) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  await assinarLote({
+    body,
+    usuario: { id: MEDICO, nome: 'Dra. Ana', role: 'medico' },
+    tenant_id: ['t1'],
+    ip: '127.0.0.1',
+    headers: {}
+  }, res);
+  return { status: res.status.mock.calls[0]?.[0] || 200, corpo: res.json.mock.calls[0][0] };
+};
+
+describe('Assinatura de laudos em lote', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    certificadoService.obterCertificadoParaAssinatura.mockResolvedValue(CERTIFICADO);
+    assinarLaudoComCertificadoAtivo.mockImplementation(async (alvo) => {
+      alvo.status = 'Laudo assinado';
+      alvo.dataAssinatura = new Date('2024-05-10T14:00:00Z');
+      return { success: true, assinadoCom: 'certificado_medico' };
+    });
+  });
+
+  const comLaudos = (laudos) => {
+    Laudo.find.mockReturnValue({ populate: jest.fn().mockResolvedValue(laudos) });
+  };
+
+  test('desbloqueia o certificado uma única vez e o reutiliza em todos os laudos', async () => {
+    const laudos = IDS.map(id => laudo(id));
+    comLaudos(laudos);
+
+    const { status, corpo } = await executar({ laudoIds: IDS, loteId: 'lote1' });
+
+    expect(status).toBe(200);
+    expect(corpo).toMatchObject({ loteId: 'lote1', total: 3, assinados: 3, falhas: 0 });
+    expect(certificadoService.obterCertificadoParaAssinatura).toHaveBeenCalledTimes(1);
+    expect(certificadoService.obterCertificadoParaAssinatura).toHaveBeenCalledWith(MEDICO);
+    expect(assinarLaudoComCertificadoAtivo).toHaveBeenCalledTimes(3);
+    laudos.forEach((alvo, i) => {
+      expect(assinarLaudoComCertificadoAtivo.mock.calls[i].slice(0, 4)).toEqual([alvo, MEDICO, 'Dra. Ana', CERTIFICADO]);
+    });
+  });
+
+  test('sem certificado desbloqueado nenhum laudo é assinado', async () => {
+    certificadoService.obterCertificadoParaAssinatura.mockRejectedValue(new Error('Senha incorreta'));
+
+    const { status, corpo } = await executar({ laudoIds: IDS });
+
+    expect(status).toBe(400);
+    expect(corpo.erro).toMatch(/certificado digital ativo/);
+    expect(Laudo.find).not.toHaveBeenCalled();
+    expect(assinarLaudoComCertificadoAtivo).not.toHaveBeenCalled();
+  });
+
+  test('a falha de um item não interrompe os demais e cada resultado é informado', async () => {
+    comLaudos([
+      laudo(IDS[0]),
+      laudo(IDS[1], { revisao: { exigida: true, status: 'Pendente' } }),
+      laudo(IDS[2])
+    ]);
+    assinarLaudoComCertificadoAtivo
+      .mockRejectedValueOnce(Object.assign(new Error('TSA fora do ar'), { codigo: 'CARIMBO_TEMPO_OBRIGATORIO' }));
+
+    const { corpo } = await executar({ laudoIds: [...IDS, 'invalido'] });
+
+    expect(corpo).toMatchObject({ total: 4, assinados: 1, falhas: 3 });
+    expect(corpo.resultados).toEqual([
+      { laudoId: IDS[0], sucesso: false, erro: 'Carimbo de tempo indisponível' },
+      { laudoId: IDS[1], sucesso: false, erro: 'Este laudo exige dupla leitura e ainda não foi aprovado pelo revisor' },
+      expect.objectContaining({ laudoId: IDS[2], sucesso: true, status: 'Laudo assinado', assinadoDigitalmente: true }),
+      { laudoId: 'invalido', sucesso: false, erro: 'Laudo não encontrado' }
+    ]);
+    expect(assinarLaudoComCertificadoAtivo).toHaveBeenCalledTimes(2);
+    expect(AuditLog.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('emite o progresso de cada item e a conclusão na sala do médico', async () => {
+    comLaudos(IDS.slice(0, 2).map(id => laudo(id)));
+
+    await executar({ laudoIds: IDS.slice(0, 2), loteId: 'lote2' });
+
+    const eventos = emitirParaUsuario.mock.calls;
+    expect(eventos.map(([usuario, evento]) => [usuario, evento])).toEqual([
+      [MEDICO, 'assinaturaLote:progresso'],
+      [MEDICO, 'assinaturaLote:progresso'],
+      [MEDICO, 'assinaturaLote:concluida']
+    ]);
+    expect(eventos[0][2]).toMatchObject({ loteId: 'lote2', total: 2, processados: 1, assinados: 1, falhas: 0 });
+    expect(eventos[1][2]).toMatchObject({ processados: 2, assinados: 2, item: { laudoId: IDS[1], sucesso: true } });
+    expect(eventos[2][2]).toMatchObject({ loteId: 'lote2', total: 2, assinados: 2, falhas: 0 });
+    expect(eventos[2][2].resultados).toBeUndefined();
+
+    emitirParaUsuario.mockClear();
+    comLaudos([laudo(IDS[0])]);
+    await executar({ laudoIds: [IDS[0]], emitirProgresso: false });
+    expect(emitirParaUsuario).not.toHaveBeenCalled();
+  });
+
+  test('valida o tamanho do lote antes de carregar o certificado', async () => {
+    process.env.ASSINATURA_LOTE_MAX = '2';
+    try {
+      const { status, corpo } = await executar({ laudoIds: IDS });
+      expect(status).toBe(400);
+      expect(corpo.erro).toBe('O lote pode conter no máximo 2 laudos');
+    } finally {
+      delete process.env.ASSINATURA_LOTE_MAX;
+    }
+
+    expect((await executar({ laudoIds: [] })).status).toBe(400);
+    expect(certificadoService.obterCertificadoParaAssinatura).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,76 @@
+const {
+  formatarCnpj,
+  validarBranding,
+  montarEstilosTenant,
+  montarTextoRodape,
+  resumoBrandingPublico
+} = require('../utils/brandingTenant');
+
+const estilosPadrao = {
+  colors: { primary: '#334155', secondary: '#475569', text: '#1e293b', light: '#ffffff' },
+  margins: { left: 40, right: 40, headerRight: 40, top: 30, bottom: 30 },
+  fonts: { small: 8, normal: 10, title: 16 },
+  spacing: { section: 18 }
+};
+
+describe('Branding do tenant nos laudos', () => {
+  test('valida cores, fonte, margens e CNPJ', () => {
+    const { branding, cnpj, erros } = validarBranding({
+      textoRodape: '  Clínica Exemplo  ',
+      cores: { primaria: '#0A4D8C' },
+      tamanhoFonte: 12,
+      margens: { esquerda: 50, direita: 50 },
+      cnpj: '12.345.678/0001-95'
+    });
+
+    expect(erros).toEqual([]);
+    expect(branding.textoRodape).toBe('Clínica Exemplo');
+    expect(branding.cores).toEqual({ primaria: '#0a4d8c', secundaria: null, texto: null });
+    expect(branding.margens.superior).toBeNull();
+    expect(cnpj).toBe('12345678000195');
+  });
+
+  test('rejeita valores fora dos limites', () => {
+    const { erros } = validarBranding({
+      cores: { primaria: 'azul' },
+      tamanhoFonte: 30,
+      margens: { esquerda: 5 },
+      cnpj: '123',
+      textoCabecalho: 'x'.repeat(121)
+    });
+
+    expect(erros).toHaveLength(5);
+  });
+
+  test('aplica o branding sobre os estilos padrão', () => {
+    const estilos = montarEstilosTenant({
+      cores: { primaria: '#0a4d8c', secundaria: null },
+      tamanhoFonte: 12,
+      margens: { esquerda: 50, direita: 60 }
+    }, estilosPadrao);
+
+    expect(estilos.colors.primary).toBe('#0a4d8c');
+    expect(estilos.colors.secondary).toBe('#475569');
+    expect(estilos.fonts).toEqual({ small: 9.6, normal: 12, title: 19.2 });
+    expect(estilos.margins).toMatchObject({ left: 50, right: 60, headerRight: 60, top: 30 });
+    expect(montarEstilosTenant({}, estilosPadrao)).toEqual(estilosPadrao);
+  });
+
+  test('monta rodapé e dados públicos da clínica', () => {
+    const tenant = {
+      nomeFantasia: 'Clínica Exemplo',
+      cnpj: '12345678000195',
+      branding: { textoRodape: 'Responsável técnico: Dr. Fulano', endereco: 'Rua A, 100' }
+    };
+
+    expect(formatarCnpj('12345678000195')).toBe('12.345.678/0001-95');
+    expect(montarTextoRodape(tenant.branding, tenant.cnpj))
+      .toBe('Responsável técnico: Dr. Fulano  •  Rua A, 100  •  CNPJ 12.345.678/0001-95');
+    expect(resumoBrandingPublico(tenant, 'https://s3/logo.png')).toMatchObject({
+      nome: 'Clínica Exemplo',
+      cnpj: '12.345.678/0001-95',
+      logoUrl: 'https://s3/logo.png',
+      cores: { primaria: null }
+    });
+  });
+});
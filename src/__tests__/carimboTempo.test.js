@@ -0,0 +1,86 @@
+const forge = require('node-forge');
+const {
+  criarRequisicaoCarimbo,
+  interpretarRespostaCarimbo,
+  verificarTokenCarimbo,
+  adicionarCarimboAoCms,
+  obterCarimboDoCms,
+  obterValorAssinaturaCms,
+  extrairCertificadosCms
+} = require('../utils/carimboTempo');
+const { criarTsaLocal, POLITICA_LOCAL } = require('./tsaLocal');
+
+// Assinatura CMS destacada, como a gerada pelo @signpdf para o PDF
+const gerarCms = (dados) => {
+  const chaves = forge.pki.rsa.generateKeyPair(2048);
+  const certificado = forge.pki.createCertificate();
+  certificado.publicKey = chaves.publicKey;
+  certificado.serialNumber = '02';
+  certificado.validity.notBefore = new Date();
+  certificado.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  certificado.setSubject([{ name: 'commonName', value: 'Dra. Teste' }]);
+  certificado.setIssuer([{ name: 'commonName', value: 'Dra. Teste' }]);
+  certificado.sign(chaves.privateKey, forge.md.sha256.create());
+
+  const p7 = forge.pkcs7.createSignedData();
+  p7.content = forge.util.createBuffer(dados.toString('binary'));
+  p7.addCertificate(certificado);
+  p7.addSigner({
+    key: chaves.privateKey,
+    certificate: certificado,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: new Date() }
+    ]
+  });
+  p7.sign({ detached: true });
+
+  return Buffer.from(forge.asn1.toDer(p7.toAsn1()).getBytes(), 'binary');
+};
+
+describe('Carimbo de tempo RFC 3161', () => {
+  const tsa = criarTsaLocal();
+
+  test('a TSA local responde com token correspondente à requisição', () => {
+    const dados = Buffer.from('valor da assinatura');
+    const requisicao = criarRequisicaoCarimbo(dados);
+
+    const { status, token, tstInfo } = interpretarRespostaCarimbo(tsa.responder(requisicao.der));
+
+    expect(status).toBe(0);
+    expect(tstInfo).toMatchObject({
+      politica: POLITICA_LOCAL,
+      imprint: requisicao.imprint,
+      nonce: requisicao.nonce
+    });
+    expect(tstInfo.dataHora).toBeInstanceOf(Date);
+
+    expect(verificarTokenCarimbo(token, dados)).toMatchObject({ valido: true, emissor: 'LaudoFy TSA Local (testes)' });
+    expect(verificarTokenCarimbo(token, Buffer.from('outros dados')).valido).toBe(false);
+  });
+
+  test('resposta recusada pela TSA gera erro', () => {
+    expect(() => interpretarRespostaCarimbo(tsa.responder(Buffer.from('requisição inválida'))))
+      .toThrow('A TSA recusou a requisição (status 2)');
+  });
+
+  test('inclui o token como atributo não assinado sem alterar a assinatura', () => {
+    const cms = gerarCms(Buffer.from('conteúdo do PDF'));
+    const valorAssinatura = obterValorAssinaturaCms(cms);
+    const { token } = interpretarRespostaCarimbo(tsa.responder(criarRequisicaoCarimbo(valorAssinatura).der));
+
+    expect(obterCarimboDoCms(cms)).toBeNull();
+
+    const carimbado = adicionarCarimboAoCms(cms, token);
+
+    expect(obterCarimboDoCms(carimbado).equals(token)).toBe(true);
+    expect(obterValorAssinaturaCms(carimbado).equals(valorAssinatura)).toBe(true);
+    expect(extrairCertificadosCms(carimbado)).toHaveLength(1);
+    expect(verificarTokenCarimbo(obterCarimboDoCms(carimbado), valorAssinatura).valido).toBe(true);
+
+    // Um novo carimbo substitui o anterior
+    expect(obterCarimboDoCms(adicionarCarimboAoCms(carimbado, token)).equals(token)).toBe(true);
+  });
+});
@@ -0,0 +1,56 @@
+jest.mock('axios', () => ({ post: jest.fn() }));
+jest.mock('../utils/pdfAssinatura', () => ({
+  extrairAssinaturaPdf: jest.fn(() => ({ cms: Buffer.from('cms') })),
+  substituirAssinaturaPdf: jest.fn()
+}));
+jest.mock('../utils/carimboTempo', () => ({
+  ...jest.requireActual('../utils/carimboTempo'),
+  obterValorAssinaturaCms: jest.fn(() => Buffer.from('valor'))
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const axios = require('axios');
+const { carimbarAssinaturaPdf, ehFalhaCarimboObrigatorio } = require('../services/carimboTempoService');
+const { ltvHabilitado } = require('../services/ltvService');
+
+const PDF = Buffer.from('%PDF-1.7 assinado %%EOF\n');
+
+describe('Carimbo de tempo na assinatura de laudos', () => {
+  const ambienteOriginal = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.TSA_URL = 'https://tsa.exemplo.com.br';
+    axios.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+  });
+
+  afterEach(() => {
+    process.env = { ...ambienteOriginal };
+  });
+
+  test('sem TSA obrigatória a falha mantém o PDF sem carimbo', async () => {
+    delete process.env.TSA_OBRIGATORIO;
+
+    const resultado = await carimbarAssinaturaPdf(PDF);
+
+    expect(resultado).toEqual({ pdf: PDF, carimbo: null });
+  });
+
+  test('com TSA obrigatória a falha é propagada e identificável', async () => {
+    process.env.TSA_OBRIGATORIO = 'true';
+
+    const erro = await carimbarAssinaturaPdf(PDF).catch(err => err);
+
+    expect(erro.message).toBe('Falha ao obter carimbo de tempo: connect ECONNREFUSED');
+    expect(ehFalhaCarimboObrigatorio(erro)).toBe(true);
+    expect(ehFalhaCarimboObrigatorio(new Error('Senha do certificado inválida'))).toBe(false);
+  });
+
+  test('material LTV só é coletado quando habilitado explicitamente', () => {
+    delete process.env.ASSINATURA_LTV;
+    expect(ltvHabilitado()).toBe(false);
+
+    process.env.ASSINATURA_LTV = 'true';
+    expect(ltvHabilitado()).toBe(true);
+  });
+});
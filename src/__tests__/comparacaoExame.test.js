@@ -0,0 +1,39 @@
+const { compararMedidas, descreverVariacao } = require('../utils/comparacaoExame');
+
+describe('Comparação com exame anterior - variação das medidas', () => {
+  test('compara apenas as medidas presentes nos dois exames', () => {
+    const atual = { duracaoQRS: 112, frequenciaCardiaca: '72', segmentoPR: null, peso: 80 };
+    const anterior = { duracaoQRS: '98', frequenciaCardiaca: 80, segmentoPR: 160 };
+
+    expect(compararMedidas(atual, anterior)).toEqual([
+      {
+        campo: 'frequenciaCardiaca',
+        descricao: expect.any(String),
+        unidade: 'bpm',
+        atual: 72,
+        anterior: 80,
+        diferenca: -8,
+        variacaoPercentual: -10
+      },
+      {
+        campo: 'duracaoQRS',
+        descricao: expect.any(String),
+        unidade: 'ms',
+        atual: 112,
+        anterior: 98,
+        diferenca: 14,
+        variacaoPercentual: 14.3
+      }
+    ]);
+    expect(compararMedidas(atual, null)).toEqual([]);
+  });
+
+  test('descreve a variação com sinal e unidade', () => {
+    expect(descreverVariacao({ atual: 112, anterior: 98, diferenca: 14, unidade: 'ms' }))
+      .toBe('de 98 para 112 ms (+14 ms)');
+    expect(descreverVariacao({ atual: 30, anterior: 45.5, diferenca: -15.5, unidade: '°' }))
+      .toBe('de 45,5 para 30° (-15,5°)');
+    expect(descreverVariacao({ atual: 70, anterior: 70, diferenca: 0, unidade: 'kg' }))
+      .toBe('de 70 para 70 kg (sem alteração)');
+  });
+});
@@ -0,0 +1,175 @@
+jest.mock('../models/Paciente', () => ({ findOne: jest.fn() }));
+jest.mock('../services/storage', () => ({ obterStorage: jest.fn() }));
+
+const Paciente = require('../models/Paciente');
+const {
+  TRANSFER_SYNTAX,
+  ehArquivoDicom,
+  lerDicom,
+  extrairQuadro,
+  formatarNomeDicom,
+  compararPacienteDicom
+} = require('../utils/dicom');
+const { analisarArquivoDicom, buscarPacienteDoTenant } = require('../services/dicomService');
+
+const VR_LONGO = ['OB', 'OW', 'SQ', 'UN', 'UT'];
+
+const tagBuffer = (tag) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt16LE(parseInt(tag.slice(0, 4), 16), 0);
+  buffer.writeUInt16LE(parseInt(tag.slice(4), 16), 2);
+  return buffer;
+};
+
+// Valores de texto com tamanho par (preenchidos com espaço, UI com nulo)
+const texto = (valor, vr) => {
+  const buffer = Buffer.from(valor, 'latin1');
+  return buffer.length % 2 ? Buffer.concat([buffer, Buffer.from(vr === 'UI' ? '\0' : ' ')]) : buffer;
+};
+
+const explicito = (tag, vr, valor) => {
+  const cabecalho = VR_LONGO.includes(vr) ? Buffer.alloc(8) : Buffer.alloc(4);
+  cabecalho.write(vr, 0, 'ascii');
+  if (VR_LONGO.includes(vr)) cabecalho.writeUInt32LE(valor.length, 4);
+  else cabecalho.writeUInt16LE(valor.length, 2);
+  return Buffer.concat([tagBuffer(tag), cabecalho, valor]);
+};
+
+const implicito = (tag, valor, tamanho = valor.length) => {
+  const tamanhoBuffer = Buffer.alloc(4);
+  tamanhoBuffer.writeUInt32LE(tamanho, 0);
+  return Buffer.concat([tagBuffer(tag), tamanhoBuffer, valor]);
+};
+
+const us = (n) => { const b = Buffer.alloc(2); b.writeUInt16LE(n, 0); return b; };
+const ul = (n) => { const b = Buffer.alloc(4); b.writeUInt32LE(n, 0); return b; };
+
+const arquivoDicom = (transferSyntax, dataset) => {
+  const meta = explicito('00020010', 'UI', texto(transferSyntax, 'UI'));
+  return Buffer.concat([Buffer.alloc(128), Buffer.from('DICM'), meta, dataset]);
+};
+
+describe('DICOM - leitura do cabeçalho, imagem e ondas', () => {
+  test('lê o cabeçalho e o primeiro quadro em sintaxe explícita', () => {
+    const pixels = Buffer.alloc(8);
+    [0, 100, 200, 400].forEach((valor, i) => pixels.writeUInt16LE(valor, i * 2));
+
+    const arquivo = arquivoDicom(TRANSFER_SYNTAX.EXPLICITA_LE, Buffer.concat([
+      explicito('00080020', 'DA', texto('20240510', 'DA')),
+      explicito('00080030', 'TM', texto('093000', 'TM')),
+      explicito('00080060', 'CS', texto('DX', 'CS')),
+      explicito('00100010', 'PN', texto('SILVA^MARIA^DA', 'PN')),
+      explicito('00100020', 'LO', texto('52998224725', 'LO')),
+      explicito('00100030', 'DA', texto('19850307', 'DA')),
+      explicito('00280002', 'US', us(1)),
+      explicito('00280004', 'CS', texto('MONOCHROME2', 'CS')),
+      explicito('00280010', 'US', us(2)),
+      explicito('00280011', 'US', us(2)),
+      explicito('00280100', 'US', us(16)),
+      explicito('7FE00010', 'OW', pixels)
+    ]));
+
+    expect(ehArquivoDicom(arquivo)).toBe(true);
+    const dicom = lerDicom(arquivo);
+
+    expect(dicom.metadados).toMatchObject({
+      pacienteNome: 'MARIA DA SILVA',
+      pacienteId: '52998224725',
+      pacienteNascimento: '1985-03-07',
+      modalidade: 'DX',
+      linhas: 2,
+      colunas: 2,
+      quadros: 1
+    });
+    expect(dicom.metadados.dataEstudo).toEqual(new Date(2024, 4, 10, 9, 30, 0));
+    expect(dicom.ondas).toBeNull();
+
+    expect(extrairQuadro(dicom)).toEqual({ largura: 2, altura: 2, canais: 1, dados: Buffer.from([0, 64, 128, 255]) });
+  });
+
+  test('lê as ondas de ECG em sintaxe implícita com sequências de tamanho indefinido', () => {
+    const item = (conteudo) => Buffer.concat([implicito('FFFEE000', conteudo, 0xFFFFFFFF), implicito('FFFEE00D', Buffer.alloc(0))]);
+    const fimSequencia = implicito('FFFEE0DD', Buffer.alloc(0));
+    const sequencia = (tag, itens) => Buffer.concat([implicito(tag, Buffer.alloc(0), 0xFFFFFFFF).subarray(0, 8), ...itens, fimSequencia]);
+
+    const canal = (nome, sensibilidade) => item(Buffer.concat([
+      sequencia('003A0208', [item(implicito('00080104', texto(nome, 'LO')))]),
+      implicito('003A0210', texto(sensibilidade, 'DS')),
+      sequencia('003A0211', [item(implicito('00080100', texto('mV', 'SH')))])
+    ]));
+
+    // 2 canais x 3 amostras intercaladas
+    const amostras = Buffer.alloc(12);
+    [10, -20, 30, -40, 50, -60].forEach((valor, i) => amostras.writeInt16LE(valor, i * 2));
+
+    const arquivo = arquivoDicom(TRANSFER_SYNTAX.IMPLICITA_LE, Buffer.concat([
+      implicito('00080060', texto('ECG', 'CS')),
+      sequencia('54000100', [item(Buffer.concat([
+        implicito('003A0005', us(2)),
+        implicito('003A0010', ul(3)),
+        implicito('003A001A', texto('500', 'DS')),
+        sequencia('003A0200', [canal('Lead I', '0.005'), canal('Lead II', '0.01')]),
+        implicito('54001004', us(16)),
+        implicito('54001006', texto('SS', 'CS')),
+        implicito('54001010', amostras)
+      ]))])
+    ]));
+
+    const { metadados, ondas } = lerDicom(arquivo);
+
+    expect(metadados.modalidade).toBe('ECG');
+    expect(ondas.frequencia).toBe(500);
+    expect(ondas.amostras).toBe(3);
+    expect(ondas.canais.map(c => c.rotulo)).toEqual(['Lead I', 'Lead II']);
+    expect(Array.from(ondas.canais[0].microvolts)).toEqual([50, 150, 250]);
+    expect(Array.from(ondas.canais[1].microvolts)).toEqual([-200, -400, -600]);
+  });
+
+  test('rejeita arquivos que não são DICOM ou estão truncados', () => {
+    expect(() => lerDicom(Buffer.from('%PDF-1.7'))).toThrow(/não é DICOM/);
+
+    const truncado = arquivoDicom(TRANSFER_SYNTAX.EXPLICITA_LE, explicito('00100010', 'PN', texto('SILVA^ANA', 'PN')))
+      .subarray(0, -4);
+    expect(() => lerDicom(truncado)).toThrow(expect.objectContaining({ codigo: 'DICOM_INVALIDO' }));
+  });
+
+  test('aponta divergências com o paciente selecionado', () => {
+    const paciente = { nome: 'Maria da Silva Souza', dataNascimento: '1985-03-07', cpf: '52998224725' };
+
+    expect(formatarNomeDicom('SOUZA^MARIA')).toBe('MARIA SOUZA');
+    expect(compararPacienteDicom({ pacienteNome: 'MARIA SOUZA', pacienteNascimento: '1985-03-07' }, paciente)).toEqual([]);
+
+    const avisos = compararPacienteDicom({
+      pacienteNome: 'JOÃO PEREIRA',
+      pacienteNascimento: '1990-01-01',
+      pacienteId: '111.444.777-35'
+    }, paciente);
+    expect(avisos.map(a => a.campo)).toEqual(['nome', 'dataNascimento', 'cpf']);
+  });
+});
+
+describe('DICOM - conferência com o paciente do tenant', () => {
+  const PACIENTES = [
+    { _id: '65a1b2c3d4e5f60718293a01', tenant_id: 't1', nome: 'Maria da Silva', dataNascimento: '1985-03-07', cpf: '52998224725' },
+    { _id: '65a1b2c3d4e5f60718293a02', tenant_id: 't2', nome: 'Carlos Lima', dataNascimento: '1970-11-20', cpf: '11144477735' }
+  ];
+
+  beforeEach(() => {
+    Paciente.findOne.mockImplementation(async ({ _id, tenant_id: tenant }) => PACIENTES.find(p =>
+      p._id === _id && (!tenant || (tenant.$in ? tenant.$in.includes(p.tenant_id) : tenant === p.tenant_id))
+    ) || null);
+  });
+
+  test('paciente de outro tenant não é encontrado e seus dados não chegam aos avisos', async () => {
+    const filtroTenant = { tenant_id: { $in: ['t1'] } };
+
+    expect(await buscarPacienteDoTenant(PACIENTES[1]._id, filtroTenant)).toBeNull();
+    expect(Paciente.findOne).toHaveBeenCalledWith({ _id: PACIENTES[1]._id, tenant_id: { $in: ['t1'] } });
+    expect(await buscarPacienteDoTenant('nao-e-um-id', filtroTenant)).toBeNull();
+
+    const proprio = await buscarPacienteDoTenant(PACIENTES[0]._id, filtroTenant);
+    const arquivo = arquivoDicom(TRANSFER_SYNTAX.EXPLICITA_LE, explicito('00100010', 'PN', texto('LIMA^CARLOS', 'PN')));
+    const { avisos } = analisarArquivoDicom(arquivo, proprio);
+    expect(avisos).toEqual([expect.objectContaining({ campo: 'nome', cadastro: 'Maria da Silva' })]);
+  });
+});
@@ -0,0 +1,52 @@
+const { diffPalavras, diffSecoes, compararCampos } = require('../utils/diffTexto');
+
+describe('Diff de texto por palavras', () => {
+  const reconstruir = (segmentos, ignorar) => segmentos
+    .filter(segmento => segmento.tipo !== ignorar)
+    .map(segmento => segmento.texto)
+    .join('');
+
+  test('marca apenas as palavras alteradas', () => {
+    const diff = diffPalavras('Fígado de dimensões normais.', 'Fígado de dimensões aumentadas.');
+
+    expect(diff.alterado).toBe(true);
+    expect(diff.segmentos).toEqual([
+      { tipo: 'igual', texto: 'Fígado de dimensões ' },
+      { tipo: 'removido', texto: 'normais.' },
+      { tipo: 'adicionado', texto: 'aumentadas.' }
+    ]);
+    expect(diff.palavrasAdicionadas).toBe(1);
+    expect(diff.palavrasRemovidas).toBe(1);
+  });
+
+  test('reconstrói os dois textos a partir dos segmentos', () => {
+    const anterior = 'Rins tópicos, sem cálculos.\nBexiga com paredes finas.';
+    const atual = 'Rins tópicos, com cálculo de 4 mm à direita.\nBexiga com paredes finas e regulares.';
+    const diff = diffPalavras(anterior, atual);
+
+    expect(reconstruir(diff.segmentos, 'adicionado')).toBe(anterior);
+    expect(reconstruir(diff.segmentos, 'removido')).toBe(atual);
+  });
+
+  test('textos iguais ou vazios não geram alteração', () => {
+    expect(diffPalavras('Sem alterações', 'Sem alterações').alterado).toBe(false);
+    expect(diffPalavras('', undefined)).toMatchObject({ alterado: false, segmentos: [] });
+    expect(diffPalavras('', 'Novo texto').segmentos).toEqual([{ tipo: 'adicionado', texto: 'Novo texto' }]);
+  });
+
+  test('compara seções e campos simples entre versões', () => {
+    const secoes = diffSecoes(
+      [{ chave: 'achados', titulo: 'Achados', conteudo: 'Normal' }, { chave: 'tecnica', titulo: 'Técnica', conteudo: 'Padrão' }],
+      [{ chave: 'achados', titulo: 'Achados', conteudo: 'Alterado' }, { chave: 'tecnica', titulo: 'Técnica', conteudo: 'Padrão' },
+        { chave: 'impressao', titulo: 'Impressão', conteudo: 'Nova' }]
+    );
+
+    expect(secoes.map(secao => [secao.chave, secao.situacao])).toEqual([['achados', 'alterada'], ['impressao', 'adicionada']]);
+
+    expect(compararCampos(
+      { status: 'Laudo assinado', dataAssinatura: new Date('2024-01-01'), medicoResponsavel: 'Dra. Ana' },
+      { status: 'Laudo assinado', dataAssinatura: new Date('2024-01-02'), medicoResponsavel: 'Dra. Ana' },
+      ['status', 'dataAssinatura', 'medicoResponsavel']
+    ).map(item => item.campo)).toEqual(['dataAssinatura']);
+  });
+});
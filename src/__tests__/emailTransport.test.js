@@ -0,0 +1,167 @@
+jest.mock('@sendgrid/mail', () => ({ setApiKey: jest.fn(), send: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sgMail = require('@sendgrid/mail');
+const { obterTransporte, definirTransporte } = require('../services/emailTransportService');
+const { enviarEmail, sendMedicalReport } = require('../services/emailService');
+
+const VARIAVEIS = [
+  'NODE_ENV', 'EMAIL_TRANSPORT', 'SENDGRID_API_KEY', 'SMTP_HOST', 'EMAIL_ARQUIVO_DIR',
+  'EMAIL_FROM_EMAIL', 'EMAIL_FROM_NAME', 'SENDGRID_FROM_EMAIL', 'SENDGRID_FROM_NAME'
+];
+
+const PDF = Buffer.from('%PDF-1.7 laudo %%EOF\n');
+
+describe('E-mail - escolha do transporte', () => {
+  const ambienteOriginal = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    VARIAVEIS.forEach(variavel => delete process.env[variavel]);
+    definirTransporte(null);
+  });
+
+  afterAll(() => {
+    process.env = { ...ambienteOriginal };
+    definirTransporte(null);
+  });
+
+  test('sem configuração usa o console apenas fora de produção', async () => {
+    process.env.NODE_ENV = 'development';
+    const transporte = obterTransporte();
+
+    expect(transporte.nome).toBe('console');
+    expect(await transporte.enviar({ to: 'a@b.com', from: { email: 'x@y.com' }, subject: 'Teste' }))
+      .toHaveProperty('messageId');
+    expect(sgMail.send).not.toHaveBeenCalled();
+  });
+
+  test('em produção sem configuração o envio falha, salvo console explícito', () => {
+    process.env.NODE_ENV = 'production';
+    expect(() => obterTransporte()).toThrow('Configuração de e-mail incompleta: defina EMAIL_TRANSPORT');
+
+    process.env.EMAIL_TRANSPORT = 'console';
+    expect(obterTransporte().nome).toBe('console');
+  });
+
+  test('com SENDGRID_API_KEY e sem EMAIL_TRANSPORT usa o SendGrid', async () => {
+    process.env.SENDGRID_API_KEY = 'SG.chave';
+    sgMail.send.mockResolvedValue([{ headers: { 'x-message-id': 'sg-1' } }]);
+
+    const transporte = obterTransporte();
+    const resultado = await transporte.enviar({
+      to: 'a@b.com',
+      from: { email: 'x@y.com', name: 'Clínica' },
+      subject: 'Laudo',
+      attachments: [{ filename: 'laudo.pdf', content: PDF, contentType: 'application/pdf' }]
+    });
+
+    expect(transporte.nome).toBe('sendgrid');
+    expect(sgMail.setApiKey).toHaveBeenCalledWith('SG.chave');
+    expect(resultado).toEqual({ messageId: 'sg-1' });
+    expect(sgMail.send.mock.calls[0][0].attachments).toEqual([{
+      content: PDF.toString('base64'),
+      filename: 'laudo.pdf',
+      type: 'application/pdf',
+      disposition: 'attachment'
+    }]);
+  });
+
+  test('EMAIL_TRANSPORT prevalece sobre a chave do SendGrid e o transporte é reutilizado', () => {
+    process.env.SENDGRID_API_KEY = 'SG.chave';
+    process.env.EMAIL_TRANSPORT = 'SMTP';
+    process.env.SMTP_HOST = 'smtp.exemplo.com.br';
+
+    const transporte = obterTransporte();
+    expect(transporte.nome).toBe('smtp');
+    expect(obterTransporte()).toBe(transporte);
+    expect(sgMail.setApiKey).not.toHaveBeenCalled();
+  });
+
+  test('configuração incompleta ou transporte desconhecido gera erro', () => {
+    process.env.EMAIL_TRANSPORT = 'smtp';
+    expect(() => obterTransporte()).toThrow('Configuração de e-mail incompleta');
+
+    process.env.EMAIL_TRANSPORT = 'sendgrid';
+    expect(() => obterTransporte()).toThrow('Configuração de e-mail incompleta');
+
+    process.env.EMAIL_TRANSPORT = 'pombo';
+    expect(() => obterTransporte()).toThrow('Transporte de e-mail desconhecido: pombo');
+  });
+
+  test('o transporte arquivo grava a mensagem .eml com o anexo', async () => {
+    const diretorio = fs.mkdtempSync(path.join(os.tmpdir(), 'emails-'));
+    process.env.EMAIL_TRANSPORT = 'arquivo';
+    process.env.EMAIL_ARQUIVO_DIR = diretorio;
+
+    try {
+      const { arquivo } = await obterTransporte().enviar({
+        to: 'paciente@exemplo.com',
+        from: { email: 'laudos@clinica.com', name: 'Clínica A' },
+        subject: 'Seu laudo',
+        text: 'Segue o laudo',
+        attachments: [{ filename: 'laudo.pdf', content: PDF, contentType: 'application/pdf' }]
+      });
+
+      expect(path.dirname(arquivo)).toBe(diretorio);
+      const eml = fs.readFileSync(arquivo, 'utf8');
+      expect(eml).toContain('To: paciente@exemplo.com');
+      expect(eml).toContain('Subject: Seu laudo');
+      expect(eml).toContain('filename=laudo.pdf');
+    } finally {
+      fs.rmSync(diretorio, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('E-mail - envio pelo transporte configurado', () => {
+  const ambienteOriginal = { ...process.env };
+  let enviar;
+
+  beforeEach(() => {
+    VARIAVEIS.forEach(variavel => delete process.env[variavel]);
+    enviar = jest.fn().mockResolvedValue({ messageId: 'm1' });
+    definirTransporte({ nome: 'teste', enviar });
+  });
+
+  afterAll(() => {
+    process.env = { ...ambienteOriginal };
+    definirTransporte(null);
+  });
+
+  test('usa o remetente do SendGrid quando EMAIL_FROM_* não está definido', async () => {
+    process.env.SENDGRID_FROM_EMAIL = 'sg@clinica.com';
+    process.env.SENDGRID_FROM_NAME = 'Clínica SG';
+
+    expect(await enviarEmail({ to: 'a@b.com', subject: 'Oi' })).toEqual({ messageId: 'm1', transporte: 'teste' });
+    expect(enviar.mock.calls[0][0].from).toEqual({ email: 'sg@clinica.com', name: 'Clínica SG' });
+
+    process.env.EMAIL_FROM_EMAIL = 'laudos@clinica.com';
+    process.env.EMAIL_FROM_NAME = 'Clínica A';
+    await enviarEmail({ to: 'a@b.com', subject: 'Oi' });
+    expect(enviar.mock.calls[1][0].from).toEqual({ email: 'laudos@clinica.com', name: 'Clínica A' });
+  });
+
+  test('envia o laudo com o PDF anexado e informa o transporte usado', async () => {
+    const resultado = await sendMedicalReport('paciente@exemplo.com', 'Maria', 'laudo1234abcd', PDF, 'ABC123', {
+      publicLink: 'https://laudofy.com/publico/token'
+    });
+
+    expect(resultado).toEqual({ success: true, messageId: 'm1', transporte: 'teste' });
+    const msg = enviar.mock.calls[0][0];
+    expect(msg.to).toBe('paciente@exemplo.com');
+    expect(msg.text).toContain('https://laudofy.com/publico/token');
+    expect(msg.attachments).toEqual([{ content: PDF, filename: 'laudo_laudo123.pdf', contentType: 'application/pdf' }]);
+  });
+
+  test('falha do transporte é propagada', async () => {
+    enviar.mockRejectedValue(new Error('SMTP indisponível'));
+
+    await expect(sendMedicalReport('paciente@exemplo.com', 'Maria', 'laudo1234abcd', PDF, 'ABC123', {
+      publicLink: 'https://laudofy.com/publico/token'
+    })).rejects.toThrow('Falha no envio: SMTP indisponível');
+  });
+});
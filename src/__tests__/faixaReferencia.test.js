@@ -0,0 +1,52 @@
+const {
+  calcularIdadeAnos,
+  selecionarFaixa,
+  avaliarMedidas,
+  formatarFaixa
+} = require('../utils/faixaReferencia');
+
+const faixas = [
+  { _id: 'global-fc', tenant_id: null, campo: 'frequenciaCardiaca', minimo: 50, maximo: 100 },
+  { _id: 'tenant-fc', tenant_id: 't1', campo: 'frequenciaCardiaca', minimo: 60, maximo: 100 },
+  { _id: 'crianca-fc', tenant_id: null, campo: 'frequenciaCardiaca', idadeMinima: 1, idadeMaxima: 11, minimo: 70, maximo: 120 },
+  { _id: 'qrs', tenant_id: null, campo: 'duracaoQRS', maximo: 120 },
+  { _id: 'qrs-f', tenant_id: null, campo: 'duracaoQRS', sexo: 'F', maximo: 110 },
+  { _id: 'peso-inativa', tenant_id: null, campo: 'peso', minimo: 40, ativo: false }
+];
+
+describe('Faixas de referência das medidas do exame', () => {
+  test('calcula a idade em anos completos na data do exame', () => {
+    expect(calcularIdadeAnos('1985-03-07', new Date(2024, 2, 6))).toBe(38);
+    expect(calcularIdadeAnos('1985-03-07', new Date(2024, 2, 7))).toBe(39);
+    expect(calcularIdadeAnos('', new Date())).toBeNull();
+  });
+
+  test('escolhe a faixa mais específica para o paciente', () => {
+    expect(selecionarFaixa(faixas, 'frequenciaCardiaca', { idade: 40 })._id).toBe('tenant-fc');
+    expect(selecionarFaixa(faixas, 'frequenciaCardiaca', { idade: 8 })._id).toBe('tenant-fc');
+    expect(selecionarFaixa(faixas.filter(f => f.tenant_id === null), 'frequenciaCardiaca', { idade: 8 })._id).toBe('crianca-fc');
+    expect(selecionarFaixa(faixas, 'frequenciaCardiaca', {})._id).toBe('tenant-fc');
+
+    expect(selecionarFaixa(faixas, 'duracaoQRS', { sexo: 'F' })._id).toBe('qrs-f');
+    expect(selecionarFaixa(faixas, 'duracaoQRS', { sexo: 'M' })._id).toBe('qrs');
+    expect(selecionarFaixa(faixas, 'peso', {})).toBeNull();
+  });
+
+  test('sinaliza medidas abaixo e acima da faixa sem copiar o valor', () => {
+    const exame = { frequenciaCardiaca: '48', duracaoQRS: 115, peso: 30, segmentoPR: 160 };
+
+    const alteracoes = avaliarMedidas(exame, faixas, { idade: 40, sexo: 'F' });
+    expect(alteracoes).toEqual([
+      { campo: 'frequenciaCardiaca', descricao: 'Frequência cardíaca', situacao: 'baixo', minimo: 60, maximo: 100, unidade: 'bpm' },
+      { campo: 'duracaoQRS', descricao: 'Duração do QRS', situacao: 'alto', minimo: null, maximo: 110, unidade: 'ms' }
+    ]);
+
+    expect(avaliarMedidas({ frequenciaCardiaca: 80, duracaoQRS: 115 }, faixas, { idade: 40, sexo: 'M' })).toEqual([]);
+  });
+
+  test('formata a faixa para exibição', () => {
+    expect(formatarFaixa({ minimo: 60, maximo: 100, unidade: 'bpm' })).toBe('60 a 100 bpm');
+    expect(formatarFaixa({ minimo: null, maximo: 120, unidade: 'ms' })).toBe('até 120 ms');
+    expect(formatarFaixa({ minimo: 40, maximo: null })).toBe('a partir de 40');
+  });
+});
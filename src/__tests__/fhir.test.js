@@ -0,0 +1,246 @@
+const {
+  SISTEMA_CPF,
+  SISTEMA_TIPO_EXAME,
+  lerReferencia,
+  pacienteParaPatient,
+  patientParaPaciente,
+  exameParaServiceRequest,
+  serviceRequestParaExame,
+  exameParaObservations,
+  laudoParaDiagnosticReport,
+  montarBundle
+} = require('../utils/fhir');
+const Paciente = require('../models/Paciente');
+const Laudo = require('../models/Laudo');
+const { buscarPatient, buscarDiagnosticReport } = require('../controllers/fhirController');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const csrf = require('csurf');
+const cookieParser = require('cookie-parser');
+const fhirRoutes = require('../routes/fhirRoutes');
+const { csrfComExcecoes } = require('../middleware/csrfProtection');
+
+const paciente = {
+  _id: 'pac1',
+  nome: 'Maria da Silva',
+  cpf: '52998224725',
+  dataNascimento: '1985-03-07',
+  endereco: 'Rua A, 10',
+  telefone: '11999990000'
+};
+
+const exame = {
+  _id: 'exame1',
+  paciente: { _id: 'pac1', nome: 'Maria da Silva' },
+  tipoExame: { _id: 'tipo1', nome: 'Eletrocardiograma', urgente: true },
+  dataExame: new Date('2024-05-10T12:00:00Z'),
+  status: 'Laudo realizado',
+  observacoes: 'Dor torácica',
+  frequenciaCardiaca: '72',
+  duracaoQRS: '',
+  peso: '70.5',
+  pedidoExterno: { numero: 'P100', aplicacao: 'HIS' }
+};
+
+describe('FHIR R4 - conversão dos recursos', () => {
+  test('Patient ida e volta preserva os dados do paciente', () => {
+    const patient = pacienteParaPatient(paciente);
+
+    expect(patient).toMatchObject({
+      resourceType: 'Patient',
+      id: 'pac1',
+      identifier: [{ system: SISTEMA_CPF, value: '52998224725' }],
+      name: [{ text: 'Maria da Silva', family: 'Silva', given: ['Maria', 'da'] }],
+      birthDate: '1985-03-07',
+      telecom: [{ system: 'phone', value: '11999990000' }]
+    });
+    expect(patient).not.toHaveProperty('meta');
+
+    const { dados, erros } = patientParaPaciente(patient);
+    expect(erros).toEqual([]);
+    expect(dados).toMatchObject({ nome: 'Maria da Silva', cpf: '52998224725', dataNascimento: '1985-03-07', endereco: 'Rua A, 10' });
+  });
+
+  test('Patient sem campos obrigatórios é rejeitado', () => {
+    const { erros } = patientParaPaciente({ resourceType: 'Patient', name: [{ given: ['Ana'] }], birthDate: '07/03/1985' });
+    expect(erros).toHaveLength(3);
+    expect(patientParaPaciente({ resourceType: 'Observation' }).dados).toBeNull();
+  });
+
+  test('Exame vira ServiceRequest e Observations com LOINC/UCUM', () => {
+    const pedido = exameParaServiceRequest(exame);
+    expect(pedido).toMatchObject({
+      status: 'completed',
+      intent: 'order',
+      priority: 'urgent',
+      code: { coding: [{ system: SISTEMA_TIPO_EXAME, code: 'tipo1', display: 'Eletrocardiograma' }] },
+      subject: { reference: 'Patient/pac1' },
+      identifier: [{ value: 'P100', assigner: { display: 'HIS' } }],
+      note: [{ text: 'Dor torácica' }]
+    });
+
+    const observacoes = exameParaObservations(exame);
+    expect(observacoes.map(o => o.id)).toEqual(['exame1-fc', 'exame1-peso']);
+    expect(observacoes[0].code.coding[0].code).toBe('8867-4');
+    expect(observacoes[1].valueQuantity).toMatchObject({ value: 70.5, code: 'kg' });
+    expect(observacoes[0].basedOn).toEqual([{ reference: 'ServiceRequest/exame1' }]);
+  });
+
+  test('ServiceRequest recebido é validado e lido', () => {
+    const { dados, erros } = serviceRequestParaExame({
+      resourceType: 'ServiceRequest',
+      intent: 'order',
+      subject: { reference: 'Patient/pac1' },
+      code: { coding: [{ system: 'urn:his', code: 'ecg', display: 'ECG' }] },
+      identifier: [{ value: 'P200' }],
+      occurrenceDateTime: '2024-05-11T08:00:00Z',
+      note: [{ text: 'Urgente' }]
+    });
+
+    expect(erros).toEqual([]);
+    expect(dados).toMatchObject({ pacienteId: 'pac1', numeroPedido: 'P200', observacoes: 'Urgente' });
+    expect(dados.codigos).toEqual([{ sistema: 'urn:his', codigo: 'ecg', descricao: 'ECG' }]);
+
+    expect(serviceRequestParaExame({ resourceType: 'ServiceRequest', subject: { reference: 'Group/1' } }).erros).toHaveLength(2);
+    expect(lerReferencia('Patient/abc', 'Patient')).toBe('abc');
+    expect(lerReferencia({ reference: 'Group/abc' }, 'Patient')).toBeNull();
+  });
+
+  test('Laudo vira DiagnosticReport com o PDF em presentedForm', () => {
+    const relatorio = laudoParaDiagnosticReport({
+      _id: 'laudo1',
+      exame,
+      status: 'Laudo assinado',
+      versao: 2,
+      conclusao: 'Ritmo sinusal',
+      medicoResponsavel: 'Ana Souza',
+      dataAssinatura: new Date('2024-05-10T14:00:00Z')
+    }, { urlPdf: 'https://api/laudos/laudo1/download/assinado' });
+
+    expect(relatorio).toMatchObject({
+      status: 'amended',
+      subject: { reference: 'Patient/pac1' },
+      basedOn: [{ reference: 'ServiceRequest/exame1' }],
+      conclusion: 'Ritmo sinusal',
+      performer: [{ display: 'Ana Souza' }],
+      result: [{ reference: 'Observation/exame1-fc' }, { reference: 'Observation/exame1-peso' }],
+      presentedForm: [{ contentType: 'application/pdf', url: 'https://api/laudos/laudo1/download/assinado' }]
+    });
+
+    const bundle = montarBundle([relatorio], { total: 5, urlBase: 'https://api/fhir' });
+    expect(bundle).toMatchObject({ type: 'searchset', total: 5 });
+    expect(bundle.entry[0].fullUrl).toBe('https://api/fhir/DiagnosticReport/laudo1');
+  });
+});
+
+describe('FHIR R4 - busca paginada no banco', () => {
+  // Consulta encadeável do Mongoose que resolve para os documentos informados
+  const consultaFalsa = (documentos) => {
+    const consulta = {};
+    ['sort', 'skip', 'limit', 'select', 'populate'].forEach(metodo => {
+      consulta[metodo] = jest.fn(() => consulta);
+    });
+    consulta.then = (resolve, reject) => Promise.resolve(documentos).then(resolve, reject);
+    consulta.cursor = () => (async function* () { yield* documentos; })();
+    return consulta;
+  };
+
+  const executar = async (controlador, query) => {
+    const res = { status: jest.fn().mockReturnThis(), type: jest.fn().mockReturnThis(), send: jest.fn() };
+    await controlador({
+      query,
+      usuario: { role: 'admin' },
+      tenant_id: 't1',
+      protocol: 'https',
+      baseUrl: '/api/fhir',
+      get: () => 'api.laudofy.com'
+    }, res);
+    return JSON.parse(res.send.mock.calls[0][0]);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('DiagnosticReport pagina com skip/limit e não expõe rascunhos', async () => {
+    const consulta = consultaFalsa([{ _id: 'laudo3', status: 'Laudo assinado', versao: 1 }]);
+    const find = jest.spyOn(Laudo, 'find').mockReturnValue(consulta);
+    jest.spyOn(Laudo, 'countDocuments').mockResolvedValue(41);
+
+    const bundle = await executar(buscarDiagnosticReport, { _count: '10', _offset: '20' });
+
+    expect(find).toHaveBeenCalledWith({ tenant_id: 't1', status: { $ne: 'Rascunho' } });
+    expect(Laudo.countDocuments).toHaveBeenCalledWith({ tenant_id: 't1', status: { $ne: 'Rascunho' } });
+    expect(consulta.skip).toHaveBeenCalledWith(20);
+    expect(consulta.limit).toHaveBeenCalledWith(10);
+    expect(bundle.total).toBe(41);
+    expect(bundle.entry.map(e => e.resource.status)).toEqual(['final']);
+  });
+
+  test('o status do DiagnosticReport vira filtro da consulta', async () => {
+    const find = jest.spyOn(Laudo, 'find').mockReturnValue(consultaFalsa([]));
+    jest.spyOn(Laudo, 'countDocuments').mockResolvedValue(0);
+
+    await executar(buscarDiagnosticReport, { status: 'final' });
+    expect(find.mock.calls[0][0].$or).toEqual([
+      { status: { $in: ['Erro no envio'] } },
+      { status: 'Laudo assinado', versao: { $not: { $gt: 1 } } }
+    ]);
+
+    const bundle = await executar(buscarDiagnosticReport, { status: 'registered' });
+    expect(bundle.total).toBe(0);
+    expect(find).toHaveBeenCalledTimes(1);
+  });
+
+  test('Patient por CPF usa o hash indexado e filtros cifrados mantêm só a página', async () => {
+    const find = jest.spyOn(Paciente, 'find').mockReturnValue(consultaFalsa([]));
+    jest.spyOn(Paciente, 'countDocuments').mockResolvedValue(0);
+
+    await executar(buscarPatient, { identifier: `${SISTEMA_CPF}|529.982.247-25` });
+    expect(find).toHaveBeenCalledWith({ tenant_id: 't1', cpfHash: Paciente.hashCpf('52998224725') });
+
+    const pacientes = ['Maria da Silva', 'João Souza', 'Maria José', 'Mariana Lima'].map((nome, i) => ({
+      ...paciente, _id: `pac${i}`, nome
+    }));
+    find.mockReturnValue(consultaFalsa(pacientes));
+
+    const bundle = await executar(buscarPatient, { name: 'maria', _count: '1', _offset: '1' });
+    expect(bundle.total).toBe(3);
+    expect(bundle.entry.map(e => e.resource.id)).toEqual(['pac2']);
+  });
+});
+
+describe('FHIR R4 - escrita por clientes com token', () => {
+  const app = express();
+  app.use(cookieParser());
+  app.use(express.json({ type: ['application/json', 'application/fhir+json'] }));
+  app.use(csrfComExcecoes(csrf({ cookie: true })));
+  app.use('/api/fhir', fhirRoutes);
+  app.post('/api/laudos', (req, res) => res.status(201).json({}));
+
+  const token = (role) => jwt.sign({ id: 'u1', role, tenant_id: 't1' }, process.env.JWT_SECRET);
+
+  test('POST /Patient não exige CSRF, mas as demais rotas continuam protegidas', async () => {
+    const resposta = await request(app)
+      .post('/api/fhir/Patient')
+      .set('Authorization', `Bearer ${token('recepcionista')}`)
+      .send({ resourceType: 'Observation' });
+
+    expect(resposta.status).toBe(422);
+    expect(resposta.body.resourceType).toBe('OperationOutcome');
+
+    expect((await request(app).post('/api/laudos').send({})).status).toBe(403);
+  });
+
+  test('criação de Patient segue os mesmos perfis de ServiceRequest', async () => {
+    for (const recurso of ['Patient', 'ServiceRequest']) {
+      const resposta = await request(app)
+        .post(`/api/fhir/${recurso}`)
+        .set('Authorization', `Bearer ${token('medico')}`)
+        .send({ resourceType: recurso });
+      expect(resposta.status).toBe(403);
+      expect(resposta.body.erro).toBe('Acesso negado');
+    }
+  });
+});
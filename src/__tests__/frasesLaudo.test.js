@@ -0,0 +1,59 @@
+const {
+  normalizarAtalho,
+  atalhoValido,
+  montarMapaAtalhos,
+  expandirAtalhos,
+  montarExportacao,
+  validarImportacao
+} = require('../utils/frasesLaudo');
+
+describe('Frases de laudo - atalhos, expansão e importação', () => {
+  const frases = [
+    { _id: '1', atalho: 'rsr', escopo: 'tenant', texto: 'Ritmo sinusal regular.' },
+    { _id: '2', atalho: 'rsr', escopo: 'pessoal', texto: 'Ritmo sinusal regular, FC {{frequenciaCardiaca}} bpm.' },
+    { _id: '3', atalho: 'normal', escopo: 'tenant', texto: 'ECG dentro dos limites da normalidade para {{idade|a idade}}.' }
+  ];
+
+  test('normaliza e valida atalhos', () => {
+    expect(normalizarAtalho(' /RSR ')).toBe('rsr');
+    expect(atalhoValido('bav-1')).toBe(true);
+    expect(atalhoValido('a')).toBe(false);
+    expect(atalhoValido('com espaço')).toBe(false);
+  });
+
+  test('a frase pessoal prevalece sobre a compartilhada', () => {
+    const mapa = montarMapaAtalhos(frases);
+    expect(mapa.get('rsr')._id).toBe('2');
+    expect(mapa.size).toBe(2);
+  });
+
+  test('expande atalhos do texto e resolve as variáveis', () => {
+    const mapa = montarMapaAtalhos(frases);
+    const resultado = expandirAtalhos('/rsr\nConclusão: /normal Data 10/05, e/ou /desconhecido', mapa, { frequenciaCardiaca: '72' });
+
+    expect(resultado.texto).toBe(
+      'Ritmo sinusal regular, FC 72 bpm.\nConclusão: ECG dentro dos limites da normalidade para a idade. Data 10/05, e/ou /desconhecido'
+    );
+    expect(resultado.expandidos).toEqual(['rsr', 'normal']);
+    expect(resultado.pendentes).toEqual([]);
+  });
+
+  test('exporta e valida a importação no mesmo formato', () => {
+    const exportacao = montarExportacao(
+      [{ atalho: 'rsr', titulo: 'Ritmo', texto: 'Ritmo sinusal.', tipoExameIds: ['t1'] }],
+      new Map([['t1', 'ECG']])
+    );
+    expect(exportacao.frases).toEqual([
+      { atalho: 'rsr', titulo: 'Ritmo', texto: 'Ritmo sinusal.', categoria: null, tiposExame: ['ECG'] }
+    ]);
+
+    const { frases: validas, erros } = validarImportacao({
+      ...exportacao,
+      frases: [...exportacao.frases, { atalho: 'RSR', texto: 'duplicada' }, { atalho: 'x', texto: 'curto' }, { atalho: 'vazia' }]
+    });
+    expect(validas.map(f => f.atalho)).toEqual(['rsr']);
+    expect(erros.map(e => e.indice)).toEqual([1, 2, 3]);
+
+    expect(validarImportacao({ formato: 'outro', frases: [] }).erros[0].erro).toBe('Formato de arquivo não reconhecido');
+  });
+});
@@ -0,0 +1,269 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const {
+  escaparHl7,
+  montarOruR01,
+  enquadrarMllp,
+  extrairMensagensMllp,
+  lerAck,
+  extrairPedidosHl7,
+  montarAck
+} = require('../utils/hl7');
+const { entregarMensagem, resolverDiretorioEntrega, destinoMllpPermitido } = require('../services/hl7Service');
+const { processarMensagemRecebida, iniciarListenerMllp } = require('../services/pedidoHl7Service');
+const Tenant = require('../models/Tenant');
+const Paciente = require('../models/Paciente');
+
+const dadosLaudo = {
+  laudo: {
+    _id: 'laudo1',
+    versao: 1,
+    conclusao: 'Ritmo sinusal.\nSem alterações | normal',
+    dataAssinatura: new Date(2024, 4, 10, 14, 30, 0),
+    medicoResponsavel: 'Ana Souza'
+  },
+  exame: { _id: 'exame1', dataExame: new Date(2024, 4, 10, 9, 0, 0), frequenciaCardiaca: '72', duracaoQRS: 'abc' },
+  paciente: { _id: 'pac1', nome: 'Maria da Silva', cpf: '529.982.247-25', dataNascimento: '1985-03-07' },
+  tipoExame: { _id: 'tipo1', nome: 'Eletrocardiograma' },
+  medico: { nome: 'Ana Souza', crm: '12345/SP' },
+  remetente: 'Clínica A',
+  destino: { aplicacaoDestino: 'HIS', instalacaoDestino: 'HOSP' },
+  controlId: 'LF123'
+};
+
+describe('HL7 v2 - ORU^R01 e ACK', () => {
+  test('escapa os delimitadores e quebras de linha', () => {
+    expect(escaparHl7('a|b^c&d~e\\f\ng')).toBe('a\\F\\b\\S\\c\\T\\d\\R\\e\\E\\f\\.br\\g');
+    expect(escaparHl7(null)).toBe('');
+  });
+
+  test('monta MSH, PID, OBR e OBX do laudo', () => {
+    const { mensagem, controlId } = montarOruR01({ ...dadosLaudo, pdf: Buffer.from('%PDF-1.7') });
+    const segmentos = mensagem.split('\r').filter(Boolean);
+
+    expect(controlId).toBe('LF123');
+    expect(segmentos.map(s => s.slice(0, 3))).toEqual(['MSH', 'PID', 'OBR', 'OBX', 'OBX', 'OBX']);
+
+    const msh = segmentos[0].split('|');
+    expect(msh[4]).toBe('HIS');
+    expect(msh[8]).toBe('ORU^R01^ORU_R01');
+    expect(msh[9]).toBe('LF123');
+
+    const pid = segmentos[1].split('|');
+    expect(pid[3]).toBe('pac1^^^LAUDOFY^PI~52998224725^^^BRA^TAX');
+    expect(pid[5]).toBe('Silva^Maria da');
+    expect(pid[7]).toBe('19850307');
+
+    const obr = segmentos[2].split('|');
+    expect(obr[25]).toBe('F');
+    expect(obr[32]).toBe('12345/SP&Ana Souza');
+
+    expect(segmentos[3]).toContain('|TX|CONCLUSAO^Conclusão^LAUDOFY||Ritmo sinusal.\\.br\\Sem alterações \\F\\ normal|');
+    expect(segmentos[4]).toContain('|NM|FC^Frequência cardíaca^LAUDOFY||72|/min^/min^UCUM|');
+    expect(segmentos[5]).toContain(`|ED|PDF^Laudo assinado^LAUDOFY||LAUDOFY^AP^PDF^Base64^${Buffer.from('%PDF-1.7').toString('base64')}|`);
+  });
+
+  test('nova versão do laudo é enviada como correção', () => {
+    const { mensagem } = montarOruR01({ ...dadosLaudo, laudo: { ...dadosLaudo.laudo, versao: 2 } });
+    const obr = mensagem.split('\r').find(s => s.startsWith('OBR|')).split('|');
+    expect(obr[25]).toBe('C');
+  });
+
+  test('enquadra e extrai mensagens MLLP e lê o ACK', () => {
+    const ack = 'MSH|^~\\&|HIS|HOSP|LAUDOFY||20240510||ACK^R01|A1|P|2.5\rMSA|AA|LF123\r';
+    const { mensagens, resto } = extrairMensagensMllp(enquadrarMllp(ack) + '\x0bparcial');
+
+    expect(mensagens).toEqual([ack]);
+    expect(resto).toBe('\x0bparcial');
+    expect(lerAck(mensagens[0])).toEqual({ codigo: 'AA', controlId: 'LF123', texto: null, aceito: true });
+    expect(lerAck('MSH|x\rMSA|AE|LF123|Paciente desconhecido\r')).toMatchObject({ codigo: 'AE', aceito: false, texto: 'Paciente desconhecido' });
+    expect(lerAck('MSH|x\r')).toBeNull();
+  });
+});
+
+describe('HL7 v2 - pedidos ORM^O01', () => {
+  const pedido = [
+    'MSH|^~\\&|HIS|HOSP|LAUDOFY|CLINA|20240510093000||ORM^O01^ORM_O01|M1|P|2.5',
+    'PID|1||123^^^HOSP^MR~52998224725^^^BRA^TAX||Silva^Maria da||19850307|F|||Rua A^^São Paulo^SP||11999990000',
+    'ORC|NW|P100',
+    'OBR|1|P100||ECG^Eletrocardiograma^L|||20240510090000||||||Dor \\T\\ falta de ar',
+    'ORC|CA|P101',
+    'OBR|1|P101||HOLTER^Holter^L'
+  ].join('\r');
+
+  test('extrai cabeçalho, paciente e pedidos', () => {
+    const recebida = extrairPedidosHl7(pedido);
+
+    expect(recebida).toMatchObject({
+      tipo: 'ORM^O01',
+      controlId: 'M1',
+      aplicacaoOrigem: 'HIS',
+      instalacaoDestino: 'CLINA',
+      paciente: { nome: 'Maria da Silva', cpf: '52998224725', dataNascimento: '1985-03-07', telefone: '11999990000' }
+    });
+    expect(recebida.pedidos).toHaveLength(2);
+    expect(recebida.pedidos[0]).toMatchObject({
+      controle: 'NW', numeroPedido: 'P100', codigoExame: 'ECG', descricaoExame: 'Eletrocardiograma', observacoes: 'Dor & falta de ar'
+    });
+    expect(recebida.pedidos[1]).toMatchObject({ controle: 'CA', numeroPedido: 'P101', codigoExame: 'HOLTER', dataPedido: null });
+    expect(extrairPedidosHl7('não é HL7')).toBeNull();
+  });
+
+  test('monta o ACK respondendo ao remetente', () => {
+    const ack = montarAck(extrairPedidosHl7(pedido), 'AE', 'Código | inválido');
+    const [msh, msa] = ack.split('\r').filter(Boolean).map(s => s.split('|'));
+
+    expect(msh[2]).toBe('LAUDOFY');
+    expect(msh[3]).toBe('CLINA');
+    expect(msh[4]).toBe('HIS');
+    expect(msh[8]).toBe('ACK^O01^ACK');
+    expect(msa).toEqual(['MSA', 'AE', 'M1', 'Código \\F\\ inválido']);
+    expect(lerAck(ack)).toMatchObject({ codigo: 'AE', controlId: 'M1', aceito: false });
+  });
+});
+
+describe('HL7 v2 - restrições dos destinos de entrega', () => {
+  const ambienteOriginal = { ...process.env };
+  let base;
+
+  const mensagem = () => ({ controlId: 'LF1', conteudo: 'MSH|^~\\&|LAUDOFY', tentativas: 0, save: jest.fn() });
+
+  beforeEach(() => {
+    base = fs.mkdtempSync(path.join(os.tmpdir(), 'hl7-'));
+    process.env.HL7_DIRETORIO_BASE = base;
+  });
+
+  afterEach(() => {
+    fs.rmSync(base, { recursive: true, force: true });
+    process.env = { ...ambienteOriginal };
+  });
+
+  test('file-drop só dentro do diretório base', () => {
+    expect(resolverDiretorioEntrega('hospital-a')).toBe(path.join(base, 'hospital-a'));
+    expect(resolverDiretorioEntrega(path.join(base, 'hospital-a', 'oru'))).toBe(path.join(base, 'hospital-a', 'oru'));
+    expect(resolverDiretorioEntrega('../fora')).toBeNull();
+    expect(resolverDiretorioEntrega('/etc/cron.d')).toBeNull();
+    expect(resolverDiretorioEntrega(`${base}-vizinho`)).toBeNull();
+
+    delete process.env.HL7_DIRETORIO_BASE;
+    expect(resolverDiretorioEntrega('hospital-a')).toBeNull();
+  });
+
+  test('grava na base e recusa diretórios que escapam por link simbólico', async () => {
+    const entregue = await entregarMensagem(mensagem(), { tipo: 'arquivo', nome: 'HIS', diretorio: 'hospital-a' });
+    expect(entregue.status).toBe('enviada');
+    expect(fs.readFileSync(path.join(base, 'hospital-a', 'LF1.hl7'), 'utf8')).toContain('MSH');
+
+    const fora = fs.mkdtempSync(path.join(os.tmpdir(), 'hl7-fora-'));
+    try {
+      fs.symlinkSync(fora, path.join(base, 'atalho'));
+      const recusada = await entregarMensagem(mensagem(), { tipo: 'arquivo', nome: 'HIS', diretorio: 'atalho' });
+
+      expect(recusada.status).toBe('erro');
+      expect(recusada.ultimoErro).toBe('Diretório de entrega fora de HL7_DIRETORIO_BASE');
+      expect(fs.readdirSync(fora)).toEqual([]);
+    } finally {
+      fs.rmSync(fora, { recursive: true, force: true });
+    }
+  });
+
+  test('MLLP só para host e porta liberados', async () => {
+    process.env.HL7_MLLP_DESTINOS_PERMITIDOS = 'his.hospital.local:2575, 10.0.0.5:*';
+
+    expect(destinoMllpPermitido('HIS.hospital.local', 2575)).toBe(true);
+    expect(destinoMllpPermitido('his.hospital.local', 22)).toBe(false);
+    expect(destinoMllpPermitido('10.0.0.5', 6661)).toBe(true);
+    expect(destinoMllpPermitido('169.254.169.254', 80)).toBe(false);
+
+    const recusada = await entregarMensagem(mensagem(), { tipo: 'mllp', nome: 'HIS', host: '127.0.0.1', porta: 27017 });
+    expect(recusada.status).toBe('erro');
+    expect(recusada.ultimoErro).toBe('Destino MLLP não permitido: 127.0.0.1:27017');
+
+    delete process.env.HL7_MLLP_DESTINOS_PERMITIDOS;
+    expect(destinoMllpPermitido('his.hospital.local', 2575)).toBe(false);
+  });
+});
+
+describe('HL7 v2 - origem dos pedidos recebidos', () => {
+  const ambienteOriginal = { ...process.env };
+  const pedido = [
+    'MSH|^~\\&|HIS|HOSP|LAUDOFY|CLINA|20240510093000||ORM^O01^ORM_O01|M1|P|2.5',
+    'PID|1||52998224725^^^BRA^TAX||Silva^Maria da||19850307|F',
+    'ORC|NW|P100',
+    'OBR|1|P100||ECG^Eletrocardiograma^L'
+  ].join('\r');
+
+  const tenantClinica = { _id: 't1', nomeFantasia: 'Clínica A', ipsOrigemHl7: ['10.0.0.5'] };
+
+  // Porta livre para o listener de teste
+  const obterPortaLivre = () => new Promise((resolve) => {
+    const servidor = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = servidor.address();
+      servidor.close(() => resolve(port));
+    });
+  });
+
+  // Envia a mensagem e devolve a resposta ('' quando a conexão é encerrada sem ACK)
+  const enviar = (porta, texto) => new Promise((resolve, reject) => {
+    let resposta = '';
+    const socket = net.createConnection({ host: '127.0.0.1', port: porta }, () => {
+      socket.write(enquadrarMllp(texto));
+    });
+    socket.setEncoding('utf8');
+    socket.on('data', (dados) => {
+      resposta += dados;
+      if (extrairMensagensMllp(resposta).mensagens.length > 0) socket.end();
+    });
+    socket.on('close', () => resolve(resposta));
+    socket.on('error', reject);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...ambienteOriginal };
+  });
+
+  test('recusa mensagens de IP não autorizado pelo tenant do MSH-6', async () => {
+    jest.spyOn(Tenant, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(tenantClinica) });
+    const buscarPorCpf = jest.spyOn(Paciente, 'buscarPorCpf').mockRejectedValue(new Error('falha de banco'));
+
+    const recusada = lerAck(await processarMensagemRecebida(pedido, { ip: '10.0.0.9' }));
+    expect(recusada).toMatchObject({ codigo: 'AR', texto: 'Origem não autorizada para a instalação de destino (MSH-6)' });
+    expect(buscarPorCpf).not.toHaveBeenCalled();
+
+    // IPv4 mapeado em IPv6 é aceito e segue para a busca do paciente pelo hash do CPF
+    const aceita = lerAck(await processarMensagemRecebida(pedido, { ip: '::ffff:10.0.0.5' }));
+    expect(aceita.codigo).toBe('AE');
+    expect(buscarPorCpf).toHaveBeenCalledWith('t1', '52998224725', expect.any(String));
+  });
+
+  test('o listener escuta em 127.0.0.1 e encerra conexões de origens desconhecidas', async () => {
+    process.env.HL7_MLLP_PORTA = String(await obterPortaLivre());
+    delete process.env.HL7_MLLP_HOST;
+    const exists = jest.spyOn(Tenant, 'exists').mockResolvedValue(null);
+    jest.spyOn(Tenant, 'findOne').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ ...tenantClinica, ipsOrigemHl7: ['127.0.0.1'] })
+    });
+    jest.spyOn(Paciente, 'buscarPorCpf').mockRejectedValue(new Error('falha de banco'));
+
+    const servidor = iniciarListenerMllp();
+    await new Promise(resolve => servidor.once('listening', resolve));
+
+    try {
+      expect(servidor.address().address).toBe('127.0.0.1');
+
+      expect(await enviar(servidor.address().port, pedido)).toBe('');
+      expect(exists).toHaveBeenCalledWith({ ipsOrigemHl7: '127.0.0.1', status: 'ativo' });
+
+      exists.mockResolvedValue({ _id: 't1' });
+      const { mensagens } = extrairMensagensMllp(await enviar(servidor.address().port, pedido));
+      expect(lerAck(mensagens[0]).codigo).toBe('AE');
+    } finally {
+      await new Promise(resolve => servidor.close(resolve));
+    }
+  });
+});
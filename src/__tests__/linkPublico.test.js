@@ -0,0 +1,61 @@
+const {
+  gerarTokenLink,
+  hashTokenLink,
+  tokenLinkValido,
+  gerarCodigoAcesso,
+  codigoAcessoConfere,
+  situacaoLink,
+  registrarFalhaAcesso
+} = require('../utils/linkPublico');
+
+describe('Link público - tokens, código de acesso e bloqueio', () => {
+  const agora = new Date('2024-05-10T12:00:00Z');
+  const configuracao = { validadeDias: 90, maxTentativas: 3, bloqueioMinutos: 15, maxBloqueios: 2 };
+
+  test('gera tokens únicos, válidos para URL, e busca pelo hash', () => {
+    const token = gerarTokenLink();
+
+    expect(tokenLinkValido(token)).toBe(true);
+    expect(token).not.toBe(gerarTokenLink());
+    expect(hashTokenLink(token)).toMatch(/^[a-f0-9]{64}$/);
+    expect(tokenLinkValido('64b7f0c2a1e4d5f6a7b8c9d0')).toBe(false);
+    expect(tokenLinkValido(undefined)).toBe(false);
+  });
+
+  test('confere o código de acesso', () => {
+    const codigo = gerarCodigoAcesso();
+
+    expect(codigo).toMatch(/^\d{4}$/);
+    expect(codigoAcessoConfere(` ${codigo} `, codigo)).toBe(true);
+    expect(codigoAcessoConfere('0000', '1234')).toBe(false);
+    expect(codigoAcessoConfere('', '')).toBe(false);
+    expect(codigoAcessoConfere(undefined, '1234')).toBe(false);
+  });
+
+  test('identifica links revogados, expirados e bloqueados', () => {
+    const expiraEm = new Date('2024-06-01T00:00:00Z');
+
+    expect(situacaoLink({ expiraEm }, agora)).toEqual({ disponivel: true, motivo: null, bloqueadoAte: null });
+    expect(situacaoLink({ expiraEm, revogadoEm: agora }, agora).motivo).toBe('revogado');
+    expect(situacaoLink({ expiraEm: new Date('2024-05-01T00:00:00Z') }, agora).motivo).toBe('expirado');
+
+    const bloqueadoAte = new Date('2024-05-10T12:10:00Z');
+    expect(situacaoLink({ expiraEm, bloqueadoAte }, agora)).toEqual({ disponivel: false, motivo: 'bloqueado', bloqueadoAte });
+    expect(situacaoLink({ expiraEm, bloqueadoAte }, new Date('2024-05-10T12:11:00Z')).disponivel).toBe(true);
+  });
+
+  test('bloqueia após o limite de tentativas e revoga após bloqueios repetidos', () => {
+    let link = { tentativasFalhas: 0, bloqueios: 0 };
+
+    let estado = registrarFalhaAcesso(link, agora, configuracao);
+    expect(estado).toMatchObject({ tentativasFalhas: 1, bloqueadoAte: null, revogar: false, tentativasRestantes: 2 });
+
+    link = { tentativasFalhas: 2, bloqueios: 0 };
+    estado = registrarFalhaAcesso(link, agora, configuracao);
+    expect(estado).toMatchObject({ tentativasFalhas: 0, bloqueios: 1, revogar: false, tentativasRestantes: 0 });
+    expect(estado.bloqueadoAte.toISOString()).toBe('2024-05-10T12:15:00.000Z');
+
+    link = { tentativasFalhas: 2, bloqueios: 1 };
+    expect(registrarFalhaAcesso(link, agora, configuracao)).toMatchObject({ bloqueios: 2, revogar: true });
+  });
+});
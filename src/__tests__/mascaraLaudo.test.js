@@ -0,0 +1,87 @@
+const {
+  VALOR_AUSENTE,
+  montarContextoExame,
+  substituirVariaveis,
+  renderizarMascara,
+  montarConclusaoDasSecoes
+} = require('../utils/mascaraLaudo');
+const MascaraLaudo = require('../models/MascaraLaudo');
+
+describe('Máscaras de laudo - preenchimento de variáveis', () => {
+  const exame = {
+    dataExame: new Date(2024, 4, 10),
+    frequenciaCardiaca: 72,
+    segmentoPR: 160,
+    duracaoQRS: 92.5,
+    eixoMedioQRS: 45,
+    altura: 180,
+    peso: 81,
+    paciente: { nome: 'Maria Souza', dataNascimento: '1980-01-15' },
+    tipoExame: { nome: 'Eletrocardiograma' }
+  };
+
+  test('monta o contexto com medidas formatadas e idade calculada', () => {
+    const contexto = montarContextoExame(exame, { medicoNome: 'Dr. João' });
+
+    expect(contexto.nomePaciente).toBe('Maria Souza');
+    expect(contexto.frequenciaCardiaca).toBe('72');
+    expect(contexto.duracaoQRS).toBe('92,5');
+    expect(contexto.imc).toBe('25');
+    expect(contexto.tipoExame).toBe('Eletrocardiograma');
+    expect(contexto.medico).toBe('Dr. João');
+    expect(Number(contexto.idade)).toBeGreaterThanOrEqual(44);
+  });
+
+  test('usa o valor padrão e marca variáveis sem valor como pendentes', () => {
+    const { texto, pendentes } = substituirVariaveis(
+      'FC {{frequenciaCardiaca}} bpm, eixo {{ eixoMedioQRS }}°, PR {{segmentoPR|não medido}}, QT {{qt}}',
+      { frequenciaCardiaca: '60', eixoMedioQRS: '30' }
+    );
+
+    expect(texto).toBe(`FC 60 bpm, eixo 30°, PR não medido, QT ${VALOR_AUSENTE}`);
+    expect(pendentes).toEqual(['qt']);
+  });
+
+  test('renderiza as seções na ordem definida e gera a conclusão', () => {
+    const mascara = {
+      secoes: [
+        { chave: 'conclusao', titulo: 'Conclusão', conteudo: 'ECG dentro da normalidade.', ordem: 2 },
+        { chave: 'ritmo', titulo: 'Ritmo', conteudo: 'Sinusal, FC {{frequenciaCardiaca}} bpm.', ordem: 1 }
+      ]
+    };
+
+    const { secoes, pendentes } = renderizarMascara(mascara, montarContextoExame(exame));
+
+    expect(pendentes).toEqual([]);
+    expect(secoes.map(s => s.chave)).toEqual(['ritmo', 'conclusao']);
+    expect(secoes[0].conteudo).toBe('Sinusal, FC 72 bpm.');
+    expect(montarConclusaoDasSecoes(secoes)).toBe(
+      'RITMO\nSinusal, FC 72 bpm.\n\nCONCLUSÃO\nECG dentro da normalidade.'
+    );
+  });
+});
+
+describe('Máscaras de laudo - uso por tenant', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('só encontra máscaras do tenant do exame ou globais', async () => {
+    const mascaras = [
+      { _id: 'global', tenant_id: null },
+      { _id: 'propria', tenant_id: 't1' },
+      { _id: 'alheia', tenant_id: 't2' }
+    ];
+    const consulta = (filtro) => ({
+      select: jest.fn().mockResolvedValue(
+        mascaras.find(m => m._id === filtro._id && filtro.tenant_id.$in.includes(m.tenant_id)) || null
+      )
+    });
+    const findOne = jest.spyOn(MascaraLaudo, 'findOne').mockImplementation(consulta);
+
+    expect(await MascaraLaudo.buscarParaTenant('alheia', 't1', 'versao tipoExameId')).toBeNull();
+    expect(findOne).toHaveBeenCalledWith({ _id: 'alheia', tenant_id: { $in: [null, 't1'] } });
+    expect(await MascaraLaudo.buscarParaTenant('propria', 't1', 'versao')).toMatchObject({ _id: 'propria' });
+    expect(await MascaraLaudo.buscarParaTenant('global', 't1', 'versao')).toMatchObject({ _id: 'global' });
+  });
+});
@@ -0,0 +1,114 @@
+const { PDFDocument, PDFName, PDFArray, StandardFonts } = require('pdf-lib');
+const {
+  anexarPaginasIncremental,
+  adicionarDssIncremental,
+  obterUltimoStartXref,
+  usaXrefStream
+} = require('../utils/pdfIncremental');
+
+const gerarPdf = async (texto, useObjectStreams = false) => {
+  const doc = await PDFDocument.create();
+  const fonte = await doc.embedFont(StandardFonts.Helvetica);
+  doc.addPage().drawText(texto, { x: 50, y: 700, font: fonte, size: 12 });
+  return Buffer.from(await doc.save({ useObjectStreams }));
+};
+
+// Entradas da última xref stream do arquivo: { numero, offset } a partir de /Index e /W [1 4 2]
+const lerXrefStream = (pdf) => {
+  const inicio = obterUltimoStartXref(pdf);
+  const cabecalho = pdf.subarray(inicio, pdf.indexOf('stream\n', inicio) + 7);
+  const dicionario = cabecalho.toString('latin1');
+  const indice = dicionario.match(/\/Index \[([\d ]+)\]/)[1].split(' ').map(Number);
+  const dados = pdf.subarray(inicio + cabecalho.length);
+
+  const entradas = [];
+  for (let i = 0, linha = 0; i < indice.length; i += 2) {
+    for (let k = 0; k < indice[i + 1]; k++, linha++) {
+      expect(dados[linha * 7]).toBe(1);
+      entradas.push({ numero: indice[i] + k, offset: dados.readUInt32BE(linha * 7 + 1) });
+    }
+  }
+  return { dicionario, entradas };
+};
+
+describe('Atualização incremental de PDF (adendos)', () => {
+  test('anexa as páginas preservando os bytes do documento original', async () => {
+    const original = await gerarPdf('Laudo original');
+    const adendo = await gerarPdf('Adendo nº 1');
+
+    const resultado = await anexarPaginasIncremental(original, adendo);
+
+    expect(resultado.subarray(0, original.length).equals(original)).toBe(true);
+    expect((await PDFDocument.load(resultado)).getPageCount()).toBe(2);
+  });
+
+  test('encadeia a nova seção xref à anterior e permite vários adendos', async () => {
+    const original = await gerarPdf('Laudo original');
+    const primeiro = await anexarPaginasIncremental(original, await gerarPdf('Adendo nº 1'));
+    const segundo = await anexarPaginasIncremental(primeiro, await gerarPdf('Adendo nº 2'));
+
+    const trailer = segundo.subarray(primeiro.length).toString('latin1');
+    expect(trailer).toContain(`/Prev ${obterUltimoStartXref(primeiro)}`);
+
+    // Todas as entradas da nova xref apontam para o início de um objeto
+    const texto = segundo.toString('latin1');
+    const inicioXref = obterUltimoStartXref(segundo);
+    const linhas = texto.slice(inicioXref, texto.indexOf('trailer', inicioXref)).trim().split('\n').slice(1);
+    for (let i = 0; i < linhas.length;) {
+      const [inicio, quantidade] = linhas[i++].split(' ').map(Number);
+      for (let k = 0; k < quantidade; k++) {
+        const offset = parseInt(linhas[i++], 10);
+        expect(texto.startsWith(`${inicio + k} 0 obj`, offset)).toBe(true);
+      }
+    }
+
+    expect((await PDFDocument.load(segundo)).getPageCount()).toBe(3);
+  });
+
+  test('documento com streams de objetos recebe a atualização como xref stream', async () => {
+    const original = await gerarPdf('Laudo original', true);
+    expect(usaXrefStream(original, obterUltimoStartXref(original))).toBe(true);
+    const tamanhoOriginal = parseInt(original.toString('latin1').match(/\/Size (\d+)/)[1], 10);
+
+    const primeiro = await anexarPaginasIncremental(original, await gerarPdf('Adendo nº 1', true));
+    const segundo = await anexarPaginasIncremental(primeiro, await gerarPdf('Adendo nº 2', true));
+
+    expect(segundo.subarray(0, original.length).equals(original)).toBe(true);
+    expect(segundo.subarray(primeiro.length).toString('latin1')).not.toContain('trailer');
+
+    const { dicionario, entradas } = lerXrefStream(segundo);
+    expect(dicionario).toContain('/Type /XRef');
+    expect(dicionario).toContain(`/Prev ${obterUltimoStartXref(primeiro)}`);
+
+    // Cada entrada aponta para o início do objeto; os números novos não reutilizam os do original
+    const texto = segundo.toString('latin1');
+    entradas.forEach(({ numero, offset }) => {
+      expect(texto.startsWith(`${numero} 0 obj`, offset)).toBe(true);
+    });
+    const novos = lerXrefStream(primeiro).entradas.filter(({ numero }) => numero > 1);
+    novos.forEach(({ numero }) => expect(numero).toBeGreaterThanOrEqual(tamanhoOriginal));
+
+    expect((await PDFDocument.load(segundo)).getPageCount()).toBe(3);
+  });
+
+  test('grava o DSS com certificados e CRLs e complementa o existente', async () => {
+    const original = await gerarPdf('Laudo assinado');
+    const certificado = Buffer.from('certificado DER');
+
+    const primeiro = await adicionarDssIncremental(original, {
+      certificados: [certificado, certificado],
+      crls: [Buffer.from('CRL DER')]
+    });
+    const segundo = await adicionarDssIncremental(primeiro, { certificados: [Buffer.from('certificado da TSA')] });
+
+    expect(primeiro.subarray(0, original.length).equals(original)).toBe(true);
+    expect(segundo.subarray(0, primeiro.length).equals(primeiro)).toBe(true);
+
+    const dss = (await PDFDocument.load(segundo)).catalog.lookup(PDFName.of('DSS'));
+    expect(dss.lookup(PDFName.of('Certs'), PDFArray).size()).toBe(2);
+    expect(dss.lookup(PDFName.of('CRLs'), PDFArray).size()).toBe(1);
+
+    // Sem material, o documento não é alterado
+    expect((await adicionarDssIncremental(original, {})).equals(original)).toBe(true);
+  });
+});
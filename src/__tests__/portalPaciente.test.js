@@ -0,0 +1,108 @@
+const {
+  cpfValido,
+  normalizarDataNascimento,
+  identidadeConfere,
+  gerarCodigoOtp,
+  hashCodigoOtp,
+  codigoOtpConfere,
+  mascararEmail,
+  mascararTelefone
+} = require('../utils/portalPaciente');
+const Paciente = require('../models/Paciente');
+const { identificarPaciente } = require('../services/portalPacienteService');
+
+describe('Portal do paciente - identificação e código de uso único', () => {
+  test('valida CPF pelos dígitos verificadores', () => {
+    expect(cpfValido('529.982.247-25')).toBe(true);
+    expect(cpfValido('52998224725')).toBe(true);
+    expect(cpfValido('529.982.247-24')).toBe(false);
+    expect(cpfValido('111.111.111-11')).toBe(false);
+    expect(cpfValido('123')).toBe(false);
+  });
+
+  test('normaliza a data de nascimento nos formatos aceitos', () => {
+    expect(normalizarDataNascimento('1985-03-07')).toBe('1985-03-07');
+    expect(normalizarDataNascimento('07/03/1985')).toBe('1985-03-07');
+    expect(normalizarDataNascimento('31/02/1985')).toBeNull();
+    expect(normalizarDataNascimento('1985/03/07')).toBeNull();
+    expect(normalizarDataNascimento(undefined)).toBeNull();
+  });
+
+  test('confere CPF e data de nascimento do paciente', () => {
+    const paciente = { cpf: '52998224725', dataNascimento: '1985-03-07' };
+
+    expect(identidadeConfere(paciente, '529.982.247-25', '07/03/1985')).toBe(true);
+    expect(identidadeConfere(paciente, '529.982.247-25', '08/03/1985')).toBe(false);
+    expect(identidadeConfere(paciente, '', '07/03/1985')).toBe(false);
+  });
+
+  test('gera códigos de 6 dígitos vinculados à solicitação', () => {
+    const codigo = gerarCodigoOtp();
+    const hash = hashCodigoOtp('solicitacao-1', codigo);
+
+    expect(codigo).toMatch(/^\d{6}$/);
+    expect(codigoOtpConfere('solicitacao-1', ` ${codigo} `, hash)).toBe(true);
+    expect(codigoOtpConfere('solicitacao-2', codigo, hash)).toBe(false);
+    expect(codigoOtpConfere('solicitacao-1', '', hash)).toBe(false);
+  });
+
+  test('mascara e-mail e telefone', () => {
+    expect(mascararEmail('maria@exemplo.com')).toBe('ma***@exemplo.com');
+    expect(mascararTelefone('11987654321')).toBe('*******4321');
+    expect(mascararEmail('invalido')).toBeNull();
+  });
+});
+
+describe('Portal do paciente - busca pelo hash do CPF', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('o hash do CPF é determinístico e ignora a formatação', () => {
+    const hash = Paciente.hashCpf('529.982.247-25');
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(Paciente.hashCpf('52998224725')).toBe(hash);
+    expect(Paciente.hashCpf('11144477735')).not.toBe(hash);
+    expect(Paciente.hashCpf('')).toBeNull();
+  });
+
+  test('consulta o índice do hash em vez de percorrer os pacientes', async () => {
+    const select = jest.fn().mockResolvedValue({ _id: 'p1' });
+    const findOne = jest.spyOn(Paciente, 'findOne').mockReturnValue({ select });
+    const find = jest.spyOn(Paciente, 'find');
+
+    expect(await Paciente.buscarPorCpf('t1', '529.982.247-25', 'cpf')).toEqual({ _id: 'p1' });
+    expect(findOne).toHaveBeenCalledWith({ tenant_id: 't1', cpfHash: Paciente.hashCpf('52998224725') });
+    expect(select).toHaveBeenCalledWith('cpf');
+
+    // Sem dígitos não há consulta (evitaria casar pacientes ainda sem hash)
+    expect(await Paciente.buscarPorCpf('t1', 'abc')).toBeNull();
+    expect(findOne).toHaveBeenCalledTimes(1);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('pacientes cadastrados antes do hash recebem o cpfHash no backfill', async () => {
+    const antigos = [{ _id: 'p1', cpf: '529.982.247-25' }, { _id: 'p2', cpf: '111.444.777-35' }];
+    const select = jest.fn().mockReturnValue({ cursor: () => antigos });
+    const find = jest.spyOn(Paciente, 'find').mockReturnValue({ select });
+    const updateOne = jest.spyOn(Paciente, 'updateOne').mockResolvedValue({});
+
+    expect(await Paciente.preencherHashCpf()).toBe(2);
+    expect(find).toHaveBeenCalledWith({ cpfHash: { $exists: false } });
+    expect(updateOne).toHaveBeenCalledWith({ _id: 'p1' }, { $set: { cpfHash: Paciente.hashCpf('52998224725') } });
+    expect(updateOne).toHaveBeenCalledWith({ _id: 'p2' }, { $set: { cpfHash: Paciente.hashCpf('11144477735') } });
+  });
+
+  test('identifica o paciente apenas quando a data de nascimento confere', async () => {
+    const paciente = { _id: 'p1', cpf: '52998224725', dataNascimento: '1985-03-07' };
+    const buscarPorCpf = jest.spyOn(Paciente, 'buscarPorCpf').mockResolvedValue(paciente);
+
+    expect(await identificarPaciente('t1', '529.982.247-25', '07/03/1985')).toBe(paciente);
+    expect(buscarPorCpf).toHaveBeenCalledWith('t1', '529.982.247-25', expect.stringContaining('dataNascimento'));
+    expect(await identificarPaciente('t1', '529.982.247-25', '08/03/1985')).toBeNull();
+
+    buscarPorCpf.mockResolvedValue(null);
+    expect(await identificarPaciente('t1', '111.444.777-35', '07/03/1985')).toBeNull();
+  });
+});
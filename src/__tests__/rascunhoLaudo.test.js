@@ -0,0 +1,58 @@
+const {
+  MAX_VERSOES_PADRAO,
+  conteudoAlterado,
+  rascunhoVazio,
+  adicionarVersao,
+  filtroStatusListagem
+} = require('../utils/rascunhoLaudo');
+
+describe('Rascunho de laudo - versões do autosave', () => {
+  afterEach(() => {
+    delete process.env.RASCUNHO_MAX_VERSOES;
+  });
+
+  test('detecta alteração de conteúdo ignorando espaços nas bordas', () => {
+    const atual = { conclusao: 'Sem alterações', secoes: [{ chave: 'achados', titulo: 'Achados', conteudo: 'Normal' }] };
+
+    expect(conteudoAlterado(atual, { ...atual, conclusao: ' Sem alterações ' })).toBe(false);
+    expect(conteudoAlterado(atual, { ...atual, conclusao: 'Alterado' })).toBe(true);
+    expect(conteudoAlterado(atual, { conclusao: 'Sem alterações', secoes: [] })).toBe(true);
+  });
+
+  test('identifica rascunho vazio', () => {
+    expect(rascunhoVazio({})).toBe(true);
+    expect(rascunhoVazio({ conclusao: '  ', secoes: [{ titulo: 'Achados', conteudo: '' }] })).toBe(true);
+    expect(rascunhoVazio({ secoes: [{ titulo: 'Achados', conteudo: 'Normal' }] })).toBe(false);
+  });
+
+  test('numera as versões e mantém apenas as mais recentes', () => {
+    let versoes = [];
+    for (let i = 0; i < MAX_VERSOES_PADRAO + 3; i++) {
+      versoes = adicionarVersao(versoes, { conclusao: `texto ${i}` });
+    }
+
+    expect(versoes).toHaveLength(MAX_VERSOES_PADRAO);
+    expect(versoes[0].numero).toBe(4);
+    expect(versoes[versoes.length - 1]).toMatchObject({ numero: MAX_VERSOES_PADRAO + 3, conclusao: `texto ${MAX_VERSOES_PADRAO + 2}` });
+
+    process.env.RASCUNHO_MAX_VERSOES = '2';
+    expect(adicionarVersao(versoes, { conclusao: 'novo' }).map(v => v.numero)).toEqual([MAX_VERSOES_PADRAO + 3, MAX_VERSOES_PADRAO + 4]);
+  });
+
+  test('a listagem só mostra rascunhos do próprio médico', () => {
+    const MEDICA = '65a000000000000000000001';
+    const OUTRO_MEDICO = '65a000000000000000000002';
+    const laudos = [
+      { status: 'Rascunho', medicoResponsavelId: MEDICA },
+      { status: 'Rascunho', medicoResponsavelId: OUTRO_MEDICO },
+      { status: 'Laudo assinado', medicoResponsavelId: MEDICA }
+    ];
+    const atende = (filtro) => (laudo) => Object.entries(filtro).every(([campo, valor]) =>
+      valor?.$ne !== undefined ? laudo[campo] !== valor.$ne : laudo[campo] === valor);
+
+    expect(laudos.filter(atende(filtroStatusListagem('Rascunho', OUTRO_MEDICO)))).toEqual([laudos[1]]);
+    expect(laudos.filter(atende(filtroStatusListagem(' Rascunho ', MEDICA)))).toEqual([laudos[0]]);
+    expect(filtroStatusListagem('', MEDICA)).toEqual({ status: { $ne: 'Rascunho' } });
+    expect(filtroStatusListagem('Laudo assinado', MEDICA)).toEqual({ status: 'Laudo assinado' });
+  });
+});
@@ -0,0 +1,76 @@
+const {
+  RETENCAO_PADRAO_ANOS,
+  ARQUIVAMENTO_PADRAO_DIAS,
+  resolverPolitica,
+  normalizarPoliticas,
+  calcularPrazos,
+  calcularLimites,
+  avaliarExclusao,
+  ehChaveArquivada,
+  montarChaveArquivamento
+} = require('../utils/retencao');
+
+describe('Retenção de documentos - políticas, prazos e exclusão', () => {
+  afterEach(() => {
+    delete process.env.RETENCAO_LAUDO_ANOS;
+    delete process.env.ARQUIVAMENTO_LAUDO_DIAS;
+  });
+
+  test('usa a política do tenant, depois a do ambiente e por fim o padrão', () => {
+    expect(resolverPolitica([], 'exame')).toEqual({
+      tipoDocumento: 'exame',
+      anosRetencao: RETENCAO_PADRAO_ANOS,
+      diasParaArquivamento: ARQUIVAMENTO_PADRAO_DIAS,
+      personalizada: false
+    });
+
+    process.env.RETENCAO_LAUDO_ANOS = '25';
+    process.env.ARQUIVAMENTO_LAUDO_DIAS = '180';
+    const politicas = [{ tipoDocumento: 'laudo', anosRetencao: 30, diasParaArquivamento: null }];
+    expect(resolverPolitica(politicas, 'laudo')).toMatchObject({ anosRetencao: 30, diasParaArquivamento: 180, personalizada: true });
+    expect(resolverPolitica(null, 'laudo')).toMatchObject({ anosRetencao: 25, personalizada: false });
+  });
+
+  test('valida as políticas enviadas pelo administrador', () => {
+    expect(normalizarPoliticas([{ tipoDocumento: 'exame', anosRetencao: '25', diasParaArquivamento: '' }])).toEqual({
+      politicas: [{ tipoDocumento: 'exame', anosRetencao: 25, diasParaArquivamento: null }],
+      erro: null
+    });
+    expect(normalizarPoliticas(null).erro).toMatch(/lista/);
+    expect(normalizarPoliticas([{ tipoDocumento: 'paciente' }]).erro).toMatch(/Tipo de documento inválido/);
+    expect(normalizarPoliticas([{ tipoDocumento: 'laudo' }, { tipoDocumento: 'laudo' }]).erro).toMatch(/duplicada/);
+    expect(normalizarPoliticas([{ tipoDocumento: 'laudo', anosRetencao: 0.5 }]).erro).toMatch(/retenção/);
+    expect(normalizarPoliticas([{ tipoDocumento: 'laudo', diasParaArquivamento: 0 }]).erro).toMatch(/arquivamento/);
+  });
+
+  test('calcula as datas de arquivamento e de fim da retenção', () => {
+    const politica = { anosRetencao: 20, diasParaArquivamento: 365 };
+    const { arquivarEm, retencaoAte } = calcularPrazos(new Date('2024-02-29T10:00:00Z'), politica);
+    expect(arquivarEm.toISOString()).toBe('2025-02-28T10:00:00.000Z');
+    expect(retencaoAte.toISOString()).toBe('2044-02-29T10:00:00.000Z');
+    expect(calcularPrazos(null, politica)).toEqual({ arquivarEm: null, retencaoAte: null });
+
+    const limites = calcularLimites(politica, new Date('2025-01-01T00:00:00Z'));
+    expect(limites.arquivamento.toISOString()).toBe('2024-01-02T00:00:00.000Z');
+    expect(limites.expiracao.toISOString()).toBe('2005-01-01T00:00:00.000Z');
+  });
+
+  test('bloqueio legal e retenção vigente impedem a exclusão', () => {
+    const agora = new Date('2030-01-01T00:00:00Z');
+
+    expect(avaliarExclusao({ bloqueioLegal: { ativo: true }, retencaoAte: null, agora }).codigo).toBe('BLOQUEIO_LEGAL');
+    expect(avaliarExclusao({ bloqueioLegal: { ativo: false }, retencaoAte: new Date('2040-01-01T00:00:00Z'), agora }))
+      .toMatchObject({ codigo: 'RETENCAO_ATIVA', retencaoAte: new Date('2040-01-01T00:00:00Z') });
+    expect(avaliarExclusao({ retencaoAte: new Date('2029-12-31T00:00:00Z'), agora })).toBeNull();
+    expect(avaliarExclusao({ agora })).toBeNull();
+  });
+
+  test('monta a chave na camada de arquivo sem duplicar o prefixo', () => {
+    const chave = montarChaveArquivamento('exames/t1/123_abc.pdf');
+    expect(chave).toBe('arquivo/exames/t1/123_abc.pdf');
+    expect(montarChaveArquivamento(chave)).toBe(chave);
+    expect(montarChaveArquivamento(null)).toBeNull();
+    expect(ehChaveArquivada(chave)).toBe(true);
+    expect(ehChaveArquivada('laudos/t1/assinado/x.pdf')).toBe(false);
+  });
+});
@@ -0,0 +1,175 @@
+jest.mock('../models/Laudo', () => ({ find: jest.fn(), findOne: jest.fn(), countDocuments: jest.fn(), exists: jest.fn() }));
+jest.mock('../models/Exame', () => ({ findById: jest.fn() }));
+jest.mock('../models/Usuario', () => ({}));
+jest.mock('../models/MascaraLaudo', () => ({}));
+jest.mock('../models/AuditModel', () => ({ create: jest.fn() }));
+jest.mock('../services/worklistService', () => ({ assumirBloqueio: jest.fn(), liberarBloqueio: jest.fn() }));
+jest.mock('../services/certificadoDigitalService', () => ({ obterCertificadoParaAssinatura: jest.fn() }));
+jest.mock('../services/notificacaoService', () => ({ emitirParaUsuario: jest.fn() }));
+jest.mock('../controllers/laudoController', () => ({
+  gerarPdfOriginalLaudo: jest.fn(),
+  concluirEmissaoLaudo: jest.fn(),
+  assinarLaudoComCertificadoAtivo: jest.fn()
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Laudo = require('../models/Laudo');
+const Exame = require('../models/Exame');
+const { assumirBloqueio } = require('../services/worklistService');
+const certificadoService = require('../services/certificadoDigitalService');
+const { gerarPdfOriginalLaudo, concluirEmissaoLaudo, assinarLaudoComCertificadoAtivo } = require('../controllers/laudoController');
+const { finalizarRascunho } = require('../controllers/rascunhoLaudoController');
+const {
+  listarPendentesRevisao,
+  aprovarRevisao,
+  rejeitarRevisao,
+  reenviarParaRevisao
+} = require('../controllers/revisaoLaudoController');
+const { assinarLote } = require('../controllers/assinaturaLoteController');
+const { revisaoPendente, ERRO_REVISAO_PENDENTE, situacaoInicialLaudo } = require('../utils/revisaoLaudo');
+
+const LAUDO_ID = '65a1b2c3d4e5f60718293a4b';
+const EXAME_ID = '65a1b2c3d4e5f60718293a4c';
+const AUTORA = { id: '65a000000000000000000001', nome: 'Dra. Ana', role: 'medico' };
+const REVISOR = { id: '65a000000000000000000002', nome: 'Dr. Bruno', role: 'medico' };
+
+const criarRascunho = () => ({
+  _id: LAUDO_ID,
+  exame: EXAME_ID,
+  tenant_id: 't1',
+  status: 'Rascunho',
+  conclusao: 'Sem alterações',
+  medicoResponsavel: AUTORA.nome,
+  medicoResponsavelId: { toString: () => AUTORA.id },
+  versao: 1,
+  historico: [],
+  set: jest.fn(),
+  save: jest.fn().mockResolvedValue()
+});
+
+const executar = async (acao, usuario, { params = { id: LAUDO_ID }, body = {}, query = {} } = {}) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  await acao({
+    params,
+    body,
+    query,
+    usuario,
+    tenant_id: ['t1'],
+    ip: '127.0.0.1',
+    headers: {}
+  }, res);
+  return { status: res.status.mock.calls[0]?.[0] || 200, corpo: res.json.mock.calls[0][0] };
+};
+
+// Finaliza um rascunho de tipo de exame com dupla leitura e devolve o laudo resultante
+const finalizarComDuplaLeitura = async () => {
+  const laudo = criarRascunho();
+  Laudo.findOne.mockResolvedValue(laudo);
+  const exame = { _id: EXAME_ID, tipoExame: { nome: 'Mamografia', exigeDuplaLeitura: true } };
+  Exame.findById.mockReturnValue({ populate: () => ({ populate: jest.fn().mockResolvedValue(exame) }) });
+
+  const resultado = await executar(finalizarRascunho, AUTORA);
+  return { laudo, ...resultado };
+};
+
+describe('Dupla leitura de laudos', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Laudo.exists.mockResolvedValue(null);
+    assumirBloqueio.mockResolvedValue({ _id: EXAME_ID });
+    concluirEmissaoLaudo.mockResolvedValue({ certificadoAtivo: true });
+  });
+
+  test('tipo de exame com dupla leitura envia o laudo finalizado para revisão', async () => {
+    const { laudo, status, corpo } = await finalizarComDuplaLeitura();
+
+    expect(status).toBe(200);
+    expect(corpo.laudo).toMatchObject({ status: 'Em revisão', exigeRevisao: true });
+    expect(laudo.revisao).toEqual({ exigida: true, status: 'Pendente' });
+    expect(revisaoPendente(laudo)).toBe(true);
+    expect(concluirEmissaoLaudo).toHaveBeenCalledWith(laudo, expect.anything(), AUTORA.id, AUTORA.nome);
+  });
+
+  test('a fila de revisão não inclui os laudos do próprio médico', async () => {
+    const cursor = { populate: jest.fn(), sort: jest.fn(), skip: jest.fn(), limit: jest.fn().mockResolvedValue([]) };
+    cursor.populate.mockReturnValue(cursor);
+    cursor.sort.mockReturnValue(cursor);
+    cursor.skip.mockReturnValue(cursor);
+    Laudo.find.mockReturnValue(cursor);
+    Laudo.countDocuments.mockResolvedValue(0);
+
+    await executar(listarPendentesRevisao, REVISOR);
+
+    expect(Laudo.find).toHaveBeenCalledWith({
+      tenant_id: { $in: ['t1'] },
+      status: 'Em revisão',
+      'revisao.status': 'Pendente',
+      medicoResponsavelId: { $ne: REVISOR.id }
+    });
+  });
+
+  test('outro médico aprova a revisão e o laudo fica pronto para assinatura', async () => {
+    const { laudo } = await finalizarComDuplaLeitura();
+    Laudo.findOne.mockResolvedValue(laudo);
+
+    const propria = await executar(aprovarRevisao, AUTORA);
+    expect(propria.status).toBe(403);
+    expect(laudo.revisao.status).toBe('Pendente');
+
+    const { status, corpo } = await executar(aprovarRevisao, REVISOR, { body: { conclusao: 'Nódulo BI-RADS 2' } });
+
+    expect(status).toBe(200);
+    expect(corpo.laudo.status).toBe('Laudo pronto para assinatura');
+    expect(laudo.revisao).toMatchObject({ status: 'Aprovado', revisorId: REVISOR.id, editadoPeloRevisor: true });
+    expect(laudo.conclusao).toBe('Nódulo BI-RADS 2');
+    expect(revisaoPendente(laudo)).toBe(false);
+    expect(gerarPdfOriginalLaudo).toHaveBeenCalledWith(laudo, AUTORA.id, AUTORA.nome);
+
+    const novamente = await executar(aprovarRevisao, REVISOR);
+    expect(novamente.status).toBe(400);
+    expect(novamente.corpo.erro).toBe('Este laudo não está aguardando revisão');
+  });
+
+  test('rejeição exige comentários e devolve o laudo para correção e nova rodada', async () => {
+    const { laudo } = await finalizarComDuplaLeitura();
+    Laudo.findOne.mockResolvedValue(laudo);
+
+    const semComentario = await executar(rejeitarRevisao, REVISOR, { body: { comentarios: '  ' } });
+    expect(semComentario.status).toBe(400);
+    expect(laudo.save).not.toHaveBeenCalled();
+
+    const { corpo } = await executar(rejeitarRevisao, REVISOR, { body: { comentarios: 'Descrever a lateralidade' } });
+    expect(corpo.laudo.status).toBe('Revisão rejeitada');
+    expect(laudo.revisao).toMatchObject({ status: 'Rejeitado', comentarios: 'Descrever a lateralidade' });
+    expect(revisaoPendente(laudo)).toBe(true);
+
+    expect((await executar(reenviarParaRevisao, REVISOR)).status).toBe(403);
+
+    const reenvio = await executar(reenviarParaRevisao, AUTORA, { body: { conclusao: 'Nódulo à direita' } });
+    expect(reenvio.corpo.laudo.status).toBe('Em revisão');
+    expect(laudo.revisao).toMatchObject({ status: 'Pendente', rodada: 2 });
+  });
+
+  test('laudo com revisão pendente não é assinado', async () => {
+    const { laudo } = await finalizarComDuplaLeitura();
+    laudo.status = 'Laudo pronto para assinatura';
+    certificadoService.obterCertificadoParaAssinatura.mockResolvedValue({ certificadoId: 'cert1' });
+    Laudo.find.mockReturnValue({ populate: jest.fn().mockResolvedValue([laudo]) });
+
+    const { corpo } = await executar(assinarLote, AUTORA, { params: {}, body: { laudoIds: [LAUDO_ID] } });
+
+    expect(corpo).toMatchObject({ assinados: 0, falhas: 1 });
+    expect(corpo.resultados[0]).toEqual({ laudoId: LAUDO_ID, sucesso: false, erro: ERRO_REVISAO_PENDENTE });
+    expect(assinarLaudoComCertificadoAtivo).not.toHaveBeenCalled();
+  });
+
+  test('a refação de tipo com dupla leitura volta para revisão em vez de sair assinada', () => {
+    const refeito = situacaoInicialLaudo({ nome: 'Mamografia', exigeDuplaLeitura: true }, 'Laudo assinado');
+    expect(refeito).toEqual({ status: 'Em revisão', revisao: { exigida: true, status: 'Pendente' } });
+    expect(revisaoPendente(refeito)).toBe(true);
+
+    const semDuplaLeitura = situacaoInicialLaudo({ nome: 'Eletrocardiograma' }, 'Laudo assinado');
+    expect(semDuplaLeitura).toEqual({ status: 'Laudo assinado', revisao: undefined });
+    expect(revisaoPendente(semDuplaLeitura)).toBe(false);
+  });
+});
@@ -0,0 +1,6 @@
+// Variáveis mínimas para carregar modelos e serviços nos testes (o .env, se existir, tem precedência)
+require('dotenv').config();
+
+process.env.CRYPTO_SECRET = process.env.CRYPTO_SECRET || 'segredo-de-teste-com-tamanho-suficiente-para-scrypt';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jwt-segredo-de-teste';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'jwt-refresh-segredo-de-teste';
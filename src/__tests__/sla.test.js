@@ -0,0 +1,145 @@
+jest.mock('../models/Exame', () => ({ find: jest.fn(), updateOne: jest.fn(), updateMany: jest.fn() }));
+jest.mock('../models/Laudo', () => ({ find: jest.fn() }));
+jest.mock('../models/TipoExame', () => ({ findById: jest.fn() }));
+jest.mock('../models/PrazoSla', () => ({ findOne: jest.fn(), findOneAndUpdate: jest.fn() }));
+jest.mock('../models/AuditModel', () => ({ create: jest.fn() }));
+jest.mock('../services/notificacaoService', () => ({ notificarAdminsTenant: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Exame = require('../models/Exame');
+const TipoExame = require('../models/TipoExame');
+const PrazoSla = require('../models/PrazoSla');
+const { verificarSlas } = require('../services/slaService');
+const { salvarPrazo } = require('../controllers/prazoSlaController');
+const {
+  STATUS_SLA,
+  obterPrazoPadraoHoras,
+  calcularAntecedenciaAlerta,
+  calcularPrazo,
+  calcularInicioAlerta,
+  classificarSla,
+  resumirConformidade
+} = require('../utils/sla');
+
+describe('SLA de laudos', () => {
+  const dataExame = new Date('2024-05-10T08:00:00Z');
+  const prazo = calcularPrazo(dataExame, 4);
+
+  afterEach(() => {
+    delete process.env.SLA_PRAZO_URGENTE_HORAS;
+  });
+
+  test('calcula o prazo e usa os padrões configuráveis por urgência', () => {
+    expect(prazo.toISOString()).toBe('2024-05-10T12:00:00.000Z');
+    expect(obterPrazoPadraoHoras(false)).toBe(48);
+    expect(obterPrazoPadraoHoras(true)).toBe(4);
+
+    process.env.SLA_PRAZO_URGENTE_HORAS = '2';
+    expect(obterPrazoPadraoHoras(true)).toBe(2);
+    expect(calcularAntecedenciaAlerta(4)).toBe(48);
+    expect(calcularAntecedenciaAlerta(4, 30)).toBe(30);
+  });
+
+  test('classifica exames em aberto e concluídos', () => {
+    const antecedenciaMinutos = 30;
+
+    expect(classificarSla({ prazo, antecedenciaMinutos, agora: new Date('2024-05-10T10:00:00Z') }))
+      .toBe(STATUS_SLA.NO_PRAZO);
+    expect(classificarSla({ prazo, antecedenciaMinutos, agora: new Date('2024-05-10T11:45:00Z') }))
+      .toBe(STATUS_SLA.EM_RISCO);
+    expect(classificarSla({ prazo, antecedenciaMinutos, agora: new Date('2024-05-10T12:01:00Z') }))
+      .toBe(STATUS_SLA.VIOLADO);
+    expect(classificarSla({ prazo, concluidoEm: new Date('2024-05-10T11:00:00Z') }))
+      .toBe(STATUS_SLA.CUMPRIDO);
+    expect(classificarSla({ prazo, concluidoEm: new Date('2024-05-10T13:00:00Z') }))
+      .toBe(STATUS_SLA.CUMPRIDO_COM_ATRASO);
+    expect(classificarSla({ prazo: null })).toBeNull();
+    expect(calcularInicioAlerta(prazo, antecedenciaMinutos).toISOString()).toBe('2024-05-10T11:30:00.000Z');
+  });
+
+  test('resume a conformidade e o tempo médio de resposta', () => {
+    const resumo = resumirConformidade([
+      { status: STATUS_SLA.CUMPRIDO, dataBase: dataExame, concluidoEm: new Date('2024-05-10T10:00:00Z') },
+      { status: STATUS_SLA.CUMPRIDO_COM_ATRASO, dataBase: dataExame, concluidoEm: new Date('2024-05-10T14:00:00Z') },
+      { status: STATUS_SLA.VIOLADO, dataBase: dataExame },
+      { status: STATUS_SLA.EM_RISCO, dataBase: dataExame }
+    ]);
+
+    expect(resumo).toMatchObject({
+      total: 4,
+      concluidos: 2,
+      emAberto: 2,
+      violados: 1,
+      emRisco: 1,
+      taxaConformidade: 33.33,
+      tempoMedioRespostaHoras: 4
+    });
+  });
+});
+
+describe('SLA de laudos - monitor e configuração', () => {
+  const consulta = (resultado) => {
+    const cursor = { select: jest.fn(), populate: jest.fn(), limit: jest.fn().mockResolvedValue(resultado) };
+    cursor.select.mockReturnValue(cursor);
+    cursor.populate.mockReturnValue(cursor);
+    return cursor;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('o monitor consulta apenas exames em aberto que já alcançaram o momento de alerta', async () => {
+    const abertos = consulta([]);
+    abertos.populate.mockResolvedValue([]);
+    Exame.find
+      .mockReturnValueOnce(consulta([]))
+      .mockReturnValueOnce(consulta([]))
+      .mockReturnValueOnce(abertos);
+    const agora = new Date('2024-05-10T11:45:00Z');
+
+    const resumo = await verificarSlas(agora);
+
+    expect(resumo.verificados).toBe(0);
+    expect(Exame.find).toHaveBeenLastCalledWith(expect.objectContaining({
+      'sla.concluidoEm': null,
+      'sla.alertaEm': { $lte: agora }
+    }));
+  });
+
+  test('prazos sem momento de alerta recebem sla.alertaEm antes de entrar no monitor', async () => {
+    const prazoLaudo = new Date('2024-05-10T12:00:00Z');
+    const abertos = consulta([]);
+    abertos.populate.mockResolvedValue([]);
+    Exame.find
+      .mockReturnValueOnce(consulta([]))
+      .mockReturnValueOnce(consulta([{ _id: 'e1', prazoLaudo, sla: { alertaAntecedenciaMinutos: 30 } }]))
+      .mockReturnValueOnce(abertos);
+
+    await verificarSlas(new Date('2024-05-10T08:00:00Z'));
+
+    expect(Exame.updateOne).toHaveBeenCalledWith(
+      { _id: 'e1' },
+      { $set: { 'sla.alertaEm': new Date('2024-05-10T11:30:00Z') } }
+    );
+  });
+
+  test('global "false" enviado por formulário não é tratado como prazo global', async () => {
+    const prazo = { _id: 'p1', toObject: () => ({}) };
+    TipoExame.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ nome: 'Tomografia' }) });
+    PrazoSla.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+    PrazoSla.findOneAndUpdate.mockResolvedValue(prazo);
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    await salvarPrazo({
+      body: { tipoExameId: '65a1b2c3d4e5f60718293a4b', prazoHoras: '24', global: 'false' },
+      usuario: { id: '65a000000000000000000001', role: 'admin' },
+      tenant_id: ['t1'],
+      ip: '127.0.0.1',
+      headers: {}
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(PrazoSla.findOneAndUpdate.mock.calls[0][0]).toEqual({ tipoExameId: '65a1b2c3d4e5f60718293a4b', tenant_id: 't1' });
+  });
+});
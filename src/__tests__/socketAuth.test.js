@@ -0,0 +1,56 @@
+const jwt = require('jsonwebtoken');
+const { autenticarSocket, entrarSalas, extrairToken } = require('../middleware/socketAuthMiddleware');
+
+const SEGREDO = 'segredo-socket-teste';
+
+const criarSocket = (handshake) => ({
+  handshake,
+  data: {},
+  join: jest.fn()
+});
+
+const autenticar = (socket) => new Promise(resolve => autenticarSocket(socket, resolve));
+
+describe('Socket.IO - autenticação do handshake e salas', () => {
+  const segredoOriginal = process.env.JWT_SECRET;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = SEGREDO;
+  });
+
+  afterAll(() => {
+    process.env.JWT_SECRET = segredoOriginal;
+  });
+
+  test('entra apenas nas salas do usuário e dos tenants do token', async () => {
+    const token = jwt.sign({ id: 'u1', role: 'medico', tenant_id: [{ _id: 't1' }, 't2'] }, SEGREDO);
+    const socket = criarSocket({ auth: { token } });
+
+    expect(await autenticar(socket)).toBeUndefined();
+    entrarSalas(socket);
+
+    expect(socket.join).toHaveBeenCalledWith(['usuario:u1', 'tenant:t1', 'tenant:t2']);
+  });
+
+  test('aceita o token no cabeçalho Authorization', async () => {
+    const token = jwt.sign({ id: 'u2', role: 'admin', tenant_id: 't9' }, SEGREDO);
+    expect(extrairToken({ headers: { authorization: `Bearer ${token}` } })).toBe(token);
+
+    const socket = criarSocket({ headers: { authorization: `Bearer ${token}` } });
+    expect(await autenticar(socket)).toBeUndefined();
+    expect(socket.data.usuario).toEqual({ id: 'u2', role: 'admin', tenants: ['t9'] });
+  });
+
+  test('recusa conexões sem token, com token inválido ou expirado', async () => {
+    expect((await autenticar(criarSocket({}))).message).toBe('Token não fornecido');
+
+    const outroSegredo = jwt.sign({ id: 'u1', role: 'medico', tenant_id: 't1' }, 'outro-segredo');
+    expect((await autenticar(criarSocket({ auth: { token: outroSegredo } }))).message).toBe('Token inválido');
+
+    const expirado = jwt.sign({ id: 'u1', role: 'medico', tenant_id: 't1', exp: Math.floor(Date.now() / 1000) - 60 }, SEGREDO);
+    expect((await autenticar(criarSocket({ auth: { token: expirado } }))).message).toBe('Token expirado');
+
+    const semRole = jwt.sign({ id: 'u1' }, SEGREDO);
+    expect((await autenticar(criarSocket({ auth: { token: semRole } }))).message).toBe('Token inválido');
+  });
+});
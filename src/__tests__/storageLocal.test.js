@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { criarStorage } = require('../services/storage');
+const { normalizarTenantId, gerarChaveArquivo, validarChave } = require('../utils/storage');
+
+describe('Armazenamento - driver local e seleção do driver', () => {
+  let diretorio;
+  let storage;
+
+  beforeEach(() => {
+    diretorio = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-teste-'));
+    storage = criarStorage({
+      STORAGE_DRIVER: 'local',
+      STORAGE_LOCAL_DIR: diretorio,
+      STORAGE_URL_BASE: 'http://localhost:3000/api/arquivos',
+      STORAGE_URL_SEGREDO: 'segredo-teste'
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(diretorio, { recursive: true, force: true });
+  });
+
+  test('grava, lê, confere e remove arquivos com o content-type', async () => {
+    const key = 'exames/t1/1700000000_abc.pdf';
+    const resultado = await storage.enviar(key, Buffer.from('%PDF-1.7'), { contentType: 'application/pdf' });
+
+    expect(resultado.url).toBe('http://localhost:3000/api/arquivos/exames/t1/1700000000_abc.pdf');
+    expect((await storage.baixar(key)).toString()).toBe('%PDF-1.7');
+    expect(await storage.existe(key)).toBe(true);
+    expect((await storage.lerMetadados(key)).contentType).toBe('application/pdf');
+
+    await storage.remover(key);
+    expect(await storage.existe(key)).toBe(false);
+    await expect(storage.remover(key)).resolves.toBeUndefined();
+  });
+
+  test('move o arquivo para a camada de arquivo junto com os metadados', async () => {
+    const key = 'exames/t1/1700000000_abc.pdf';
+    await storage.enviar(key, Buffer.from('%PDF-1.7'), { contentType: 'application/pdf' });
+
+    const resultado = await storage.mover(key, `arquivo/${key}`, { classe: 'GLACIER_IR' });
+
+    expect(resultado.url).toBe('http://localhost:3000/api/arquivos/arquivo/exames/t1/1700000000_abc.pdf');
+    expect(await storage.existe(key)).toBe(false);
+    expect((await storage.baixar(`arquivo/${key}`)).toString()).toBe('%PDF-1.7');
+    expect((await storage.lerMetadados(`arquivo/${key}`)).contentType).toBe('application/pdf');
+  });
+
+  test('gera URLs assinadas verificáveis e rejeita chaves fora do diretório', async () => {
+    const key = 'laudos/t1/assinado/laudo.pdf';
+    const url = new URL(await storage.gerarUrlAssinada(key, 60));
+    const expira = url.searchParams.get('expira');
+    const assinatura = url.searchParams.get('assinatura');
+
+    expect(storage.verificarUrlAssinada(key, expira, assinatura)).toBe(true);
+    expect(storage.verificarUrlAssinada('laudos/t1/assinado/outro.pdf', expira, assinatura)).toBe(false);
+    expect(storage.verificarUrlAssinada(key, String(Number(expira) - 3600), assinatura)).toBe(false);
+
+    await expect(storage.enviar('../fora.txt', Buffer.from('x'))).rejects.toThrow('Chave de armazenamento inválida');
+    expect(() => validarChave('/etc/passwd')).toThrow();
+  });
+
+  test('normaliza o tenant da chave e valida a configuração do driver', async () => {
+    expect(normalizarTenantId([{ _id: 'abc' }, { _id: 'def' }])).toBe('abc');
+    expect(normalizarTenantId(null)).toBe('default');
+    expect(gerarChaveArquivo('exames', ['t1'], 'exame.PDF')).toMatch(/^exames\/t1\/\d+_[0-9a-f-]{36}\.PDF$/);
+
+    expect(() => criarStorage({ STORAGE_DRIVER: 'ftp' })).toThrow('STORAGE_DRIVER inválido');
+    expect(() => criarStorage({ STORAGE_DRIVER: 'minio' })).toThrow('STORAGE_ENDPOINT');
+    expect(() => criarStorage({ STORAGE_DRIVER: 'local', JWT_SECRET: 'jwt' })).toThrow('Defina STORAGE_URL_SEGREDO');
+    expect(() => criarStorage({ STORAGE_DRIVER: 'local', JWT_SECRET: 'jwt', STORAGE_URL_SEGREDO: 'jwt' }))
+      .toThrow('STORAGE_URL_SEGREDO deve ser diferente de JWT_SECRET');
+    expect(criarStorage({ STORAGE_DRIVER: 'minio', STORAGE_ENDPOINT: 'http://localhost:9000', AWS_S3_BUCKET: 'laudos' }).nome).toBe('minio');
+    expect(criarStorage({ AWS_S3_BUCKET: 'laudos', AWS_REGION: 'sa-east-1' }).urlArquivo('a/b.pdf'))
+      .toBe('https://laudos.s3.sa-east-1.amazonaws.com/a/b.pdf');
+
+    // Chaves inválidas são recusadas antes de qualquer chamada ao bucket
+    const s3 = criarStorage({ AWS_S3_BUCKET: 'laudos', AWS_REGION: 'sa-east-1' });
+    await expect(s3.mover('../fora.pdf', 'arquivo/fora.pdf')).rejects.toThrow('Chave de armazenamento inválida');
+    await expect(s3.mover('exames/t1/a.pdf', '/arquivo/a.pdf')).rejects.toThrow('Chave de armazenamento inválida');
+  });
+});
@@ -0,0 +1,31 @@
+const { detectarTipoArquivo, montarChaveThumbnail, thumbnailAtualizada } = require('../utils/thumbnail');
+
+const dicomVazio = () => {
+  const buffer = Buffer.alloc(132);
+  buffer.write('DICM', 128, 'ascii');
+  return buffer;
+};
+
+describe('Miniaturas dos exames - tipo do arquivo e chave no S3', () => {
+  test('identifica PDF, JPG, PNG e DICOM pelo conteúdo', () => {
+    expect(detectarTipoArquivo(Buffer.from('%PDF-1.7\n...'))).toBe('pdf');
+    expect(detectarTipoArquivo(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00]))).toBe('imagem');
+    expect(detectarTipoArquivo(Buffer.from('89504e470d0a1a0a0000', 'hex'))).toBe('imagem');
+    expect(detectarTipoArquivo(dicomVazio())).toBe('dicom');
+    expect(detectarTipoArquivo(Buffer.from('texto qualquer'), 'exame.txt')).toBeNull();
+    expect(detectarTipoArquivo(null)).toBeNull();
+  });
+
+  test('grava a miniatura ao lado do arquivo original', () => {
+    expect(montarChaveThumbnail('exames/t1/1700000000_abc.pdf')).toBe('exames/t1/1700000000_abc_thumb.jpg');
+    expect(montarChaveThumbnail('exames/t1/1700000000_abc')).toBe('exames/t1/1700000000_abc_thumb.jpg');
+    expect(montarChaveThumbnail(null)).toBeNull();
+  });
+
+  test('considera desatualizada a miniatura de outro arquivo ou caminho local', () => {
+    const arquivoKey = 'exames/t1/1700000000_abc.pdf';
+    expect(thumbnailAtualizada({ arquivoKey, thumbnail: 'exames/t1/1700000000_abc_thumb.jpg' })).toBe(true);
+    expect(thumbnailAtualizada({ arquivoKey, thumbnail: 'uploads/thumbnails/thumbnail_x.png' })).toBe(false);
+    expect(thumbnailAtualizada({ arquivoKey, thumbnail: null })).toBe(false);
+  });
+});
@@ -0,0 +1,136 @@
+const forge = require('node-forge');
+const { OIDS, sha256, asn1Helpers } = require('../utils/carimboTempo');
+
+/*
+ * TSA local (RFC 3161) usada pelos testes: responde requisições de
+ * carimbo de tempo com um certificado autoassinado. Não deve ser usada em
+ * produção — os carimbos não têm validade jurídica.
+ */
+
+const { asn1 } = forge;
+const { Class, Type } = asn1;
+const {
+  seq, set, oid, octetString, inteiro, inteiroBytes, algoritmo, explicito,
+  derParaBuffer, lerDer, paraBinario, paraBuffer, ehTipo
+} = asn1Helpers;
+
+const POLITICA_LOCAL = '1.3.6.1.4.1.99999.1.1';
+
+const atributo = (tipo, valor) => seq([oid(tipo), set([valor])]);
+
+const gerarCertificadoTsa = () => {
+  const chaves = forge.pki.rsa.generateKeyPair(2048);
+  const certificado = forge.pki.createCertificate();
+  const agora = new Date();
+
+  certificado.publicKey = chaves.publicKey;
+  certificado.serialNumber = '01';
+  certificado.validity.notBefore = new Date(agora.getTime() - 60 * 1000);
+  certificado.validity.notAfter = new Date(agora.getTime() + 365 * 24 * 60 * 60 * 1000);
+
+  const nome = [
+    { name: 'commonName', value: 'LaudoFy TSA Local (testes)' },
+    { name: 'organizationName', value: 'LaudoFy' }
+  ];
+  certificado.setSubject(nome);
+  certificado.setIssuer(nome);
+  certificado.setExtensions([
+    { name: 'basicConstraints', cA: false },
+    { name: 'keyUsage', digitalSignature: true, nonRepudiation: true },
+    { name: 'extKeyUsage', timeStamping: true, critical: true }
+  ]);
+  certificado.sign(chaves.privateKey, forge.md.sha256.create());
+
+  return { certificado, chavePrivada: chaves.privateKey };
+};
+
+// Token (ContentInfo/SignedData) assinado pela TSA sobre o TSTInfo
+const assinarTstInfo = (tstInfoDer, certificado, chavePrivada, incluirCertificado) => {
+  const certificadoAsn1 = forge.pki.certificateToAsn1(certificado);
+  const certificadoDer = derParaBuffer(certificadoAsn1);
+
+  const essCertIdV2 = seq([seq([seq([octetString(sha256(certificadoDer))])])]);
+  const atributosAssinados = [
+    atributo(OIDS.contentType, oid(OIDS.tstInfo)),
+    atributo(OIDS.messageDigest, octetString(sha256(tstInfoDer))),
+    atributo(OIDS.signingCertificateV2, essCertIdV2)
+  ].sort((a, b) => Buffer.compare(derParaBuffer(a), derParaBuffer(b))); // DER: SET OF ordenado
+
+  const md = forge.md.sha256.create();
+  md.update(paraBinario(derParaBuffer(set(atributosAssinados))));
+  const assinatura = chavePrivada.sign(md);
+
+  const signerInfo = seq([
+    inteiro(1),
+    seq([
+      forge.pki.distinguishedNameToAsn1(certificado.issuer),
+      inteiroBytes(Buffer.from(certificado.serialNumber, 'hex'))
+    ]),
+    algoritmo(OIDS.sha256),
+    asn1.create(Class.CONTEXT_SPECIFIC, 0, true, atributosAssinados),
+    algoritmo(OIDS.rsaEncryption),
+    asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, assinatura)
+  ]);
+
+  const signedData = seq([
+    inteiro(3),
+    set([algoritmo(OIDS.sha256)]),
+    seq([oid(OIDS.tstInfo), explicito(0, octetString(tstInfoDer))]),
+    ...(incluirCertificado ? [asn1.create(Class.CONTEXT_SPECIFIC, 0, true, [certificadoAsn1])] : []),
+    set([signerInfo])
+  ]);
+
+  return seq([oid(OIDS.signedData), explicito(0, signedData)]);
+};
+
+/**
+ * Cria uma TSA local em memória.
+ * @param {Object} opcoes - { certificado, chavePrivada } (gerados se omitidos)
+ * @returns {{ responder: (requisicaoDer: Buffer) => Buffer, certificado: Object, certificadoPem: string }}
+ */
+const criarTsaLocal = (opcoes = {}) => {
+  const { certificado, chavePrivada } = opcoes.certificado && opcoes.chavePrivada
+    ? opcoes
+    : gerarCertificadoTsa();
+  let proximoSerial = 1;
+
+  const responder = (requisicaoDer) => {
+    let requisicao;
+    try {
+      requisicao = lerDer(requisicaoDer);
+    } catch (err) {
+      // status 2 = rejection, failInfo badDataFormat
+      return derParaBuffer(seq([seq([inteiro(2)])]));
+    }
+
+    const [, messageImprint, ...opcionais] = requisicao.value;
+    const nonce = opcionais.find(item => ehTipo(item, Type.INTEGER));
+    const certReq = opcionais.find(item => ehTipo(item, Type.BOOLEAN));
+
+    const tstInfo = seq([
+      inteiro(1),
+      oid(POLITICA_LOCAL),
+      messageImprint,
+      inteiro(proximoSerial++),
+      asn1.create(Class.UNIVERSAL, Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(new Date())),
+      ...(nonce ? [nonce] : [])
+    ]);
+
+    const incluirCertificado = !!certReq && certReq.value === String.fromCharCode(0xff);
+    const token = assinarTstInfo(derParaBuffer(tstInfo), certificado, chavePrivada, incluirCertificado);
+
+    return derParaBuffer(seq([seq([inteiro(0)]), token]));
+  };
+
+  return {
+    responder,
+    certificado,
+    certificadoDer: paraBuffer(asn1.toDer(forge.pki.certificateToAsn1(certificado)).getBytes()),
+    certificadoPem: forge.pki.certificateToPem(certificado)
+  };
+};
+
+module.exports = {
+  POLITICA_LOCAL,
+  criarTsaLocal
+};
@@ -0,0 +1,77 @@
+const forge = require('node-forge');
+const { verificarAssinaturaCms } = require('../utils/verificacaoAssinatura');
+const { criarRequisicaoCarimbo, interpretarRespostaCarimbo, adicionarCarimboAoCms, obterValorAssinaturaCms } = require('../utils/carimboTempo');
+const { criarTsaLocal } = require('./tsaLocal');
+
+const gerarAssinatura = (dados, dataAssinatura = new Date()) => {
+  const chaves = forge.pki.rsa.generateKeyPair(2048);
+  const certificado = forge.pki.createCertificate();
+  certificado.publicKey = chaves.publicKey;
+  certificado.serialNumber = '0a1b';
+  certificado.validity.notBefore = new Date(Date.now() - 60 * 60 * 1000);
+  certificado.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  certificado.setSubject([{ name: 'commonName', value: 'Dra. Ana Souza:12345678900' }]);
+  certificado.setIssuer([{ name: 'commonName', value: 'AC Teste' }, { name: 'organizationName', value: 'ICP-Brasil' }]);
+  certificado.sign(chaves.privateKey, forge.md.sha256.create());
+
+  const p7 = forge.pkcs7.createSignedData();
+  p7.content = forge.util.createBuffer(dados.toString('binary'));
+  p7.addCertificate(certificado);
+  p7.addSigner({
+    key: chaves.privateKey,
+    certificate: certificado,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: dataAssinatura }
+    ]
+  });
+  p7.sign({ detached: true });
+
+  return Buffer.from(forge.asn1.toDer(p7.toAsn1()).getBytes(), 'binary');
+};
+
+describe('Verificação de assinaturas CMS', () => {
+  const dados = Buffer.from('%PDF-1.7 conteúdo coberto pelo ByteRange');
+  const cms = gerarAssinatura(dados);
+
+  test('valida a assinatura e identifica signatário e emissor', () => {
+    const resultado = verificarAssinaturaCms(cms, dados);
+
+    expect(resultado).toMatchObject({
+      integra: true,
+      motivo: null,
+      carimboTempo: null,
+      certificadoValidoNaAssinatura: true
+    });
+    expect(resultado.signatario).toMatchObject({
+      nome: 'Dra. Ana Souza:12345678900',
+      emissor: 'AC Teste',
+      emissorOrganizacao: 'ICP-Brasil'
+    });
+    expect(resultado.dataAssinatura).toBeInstanceOf(Date);
+  });
+
+  test('detecta documento alterado após a assinatura', () => {
+    const alterado = Buffer.from(dados);
+    alterado[alterado.length - 1] ^= 0x01;
+
+    expect(verificarAssinaturaCms(cms, alterado)).toMatchObject({
+      integra: false,
+      motivo: 'O documento foi alterado após a assinatura'
+    });
+    expect(verificarAssinaturaCms(Buffer.from('lixo'), dados).integra).toBe(false);
+  });
+
+  test('considera o carimbo de tempo incluído na assinatura', () => {
+    const tsa = criarTsaLocal();
+    const requisicao = criarRequisicaoCarimbo(obterValorAssinaturaCms(cms));
+    const { token } = interpretarRespostaCarimbo(tsa.responder(requisicao.der));
+
+    const resultado = verificarAssinaturaCms(adicionarCarimboAoCms(cms, token), dados);
+
+    expect(resultado.integra).toBe(true);
+    expect(resultado.carimboTempo).toMatchObject({ valido: true, emissor: 'LaudoFy TSA Local (testes)' });
+  });
+});
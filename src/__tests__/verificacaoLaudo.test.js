@@ -0,0 +1,104 @@
+jest.mock('../models/Laudo', () => ({ findById: jest.fn() }));
+jest.mock('../services/laudoStorageService', () => ({ downloadLaudoFromS3: jest.fn() }));
+jest.mock('../services/linkPublicoService', () => ({ buscarLinkPorToken: jest.fn() }));
+jest.mock('../controllers/laudoController', () => ({ obterPdfAssinadoComAdendos: jest.fn() }));
+jest.mock('../utils/pdfAssinatura', () => ({ listarAssinaturasPdf: jest.fn() }));
+jest.mock('../utils/verificacaoAssinatura', () => ({ verificarAssinaturaCms: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Laudo = require('../models/Laudo');
+const { downloadLaudoFromS3 } = require('../services/laudoStorageService');
+const { obterPdfAssinadoComAdendos } = require('../controllers/laudoController');
+const { listarAssinaturasPdf } = require('../utils/pdfAssinatura');
+const { verificarAssinaturaCms } = require('../utils/verificacaoAssinatura');
+const { verificarPdf } = require('../controllers/verificacaoLaudoController');
+
+const LAUDO_ID = '65a1b2c3d4e5f60718293a4b';
+const ARMAZENADO = Buffer.from('%PDF-1.7 laudo assinado %%EOF\n');
+const ADENDO = Buffer.from('1 0 obj adendo endobj %%EOF\n');
+
+const laudo = (dados = {}) => ({
+  _id: LAUDO_ID,
+  versao: 1,
+  status: 'Laudo assinado',
+  medicoResponsavel: 'Dra. Ana',
+  dataAssinatura: new Date('2024-03-01T10:00:00Z'),
+  valido: true,
+  ehVersaoAtual: true,
+  laudoAssinadoKey: 'laudos/t1/assinado/laudo.pdf',
+  adendos: [],
+  ...dados
+});
+
+const executar = async (pdf, body = { laudoId: LAUDO_ID }) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  await verificarPdf({ file: { buffer: pdf }, body }, res);
+  return res.json.mock.calls[0][0];
+};
+
+describe('Verificação pública de PDF de laudo', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    listarAssinaturasPdf.mockReturnValue([{ cms: Buffer.from('cms'), dadosAssinados: ARMAZENADO, cobreDocumentoInteiro: true }]);
+    verificarAssinaturaCms.mockReturnValue({ integra: true, motivo: null, signatario: { nome: 'Dra. Ana' } });
+    downloadLaudoFromS3.mockResolvedValue(ARMAZENADO);
+  });
+
+  test('reconhece o PDF idêntico ao armazenado e devolve os dados do laudo', async () => {
+    Laudo.findById.mockResolvedValue(laudo());
+
+    const resposta = await executar(ARMAZENADO);
+
+    expect(resposta.autentico).toBe(true);
+    expect(resposta.documento.correspondencia).toBe('identico');
+    expect(resposta.laudo).toMatchObject({ id: LAUDO_ID, medicoResponsavel: 'Dra. Ana' });
+    expect(obterPdfAssinadoComAdendos).not.toHaveBeenCalled();
+  });
+
+  test('aceita bytes anexados apenas quando são os adendos gerados pelo sistema', async () => {
+    const registrado = laudo({ adendos: [{ numero: 1, arquivoKey: 'laudos/t1/adendos/1.pdf' }] });
+    Laudo.findById.mockResolvedValue(registrado);
+    obterPdfAssinadoComAdendos.mockResolvedValue(Buffer.concat([ARMAZENADO, ADENDO]));
+
+    const comAdendo = await executar(Buffer.concat([ARMAZENADO, ADENDO]));
+    expect(comAdendo.autentico).toBe(true);
+    expect(comAdendo.documento.correspondencia).toBe('identico_com_adendos');
+    expect(obterPdfAssinadoComAdendos).toHaveBeenCalledWith(registrado);
+
+    const alterado = await executar(Buffer.concat([ARMAZENADO, Buffer.from('1 0 obj outro texto endobj %%EOF\n')]));
+    expect(alterado.autentico).toBe(false);
+    expect(alterado.documento.correspondencia).toBe('revisao_nao_reconhecida');
+    expect(alterado.laudo).toBeNull();
+  });
+
+  test('atualização incremental em laudo sem adendos não é autêntica, mesmo com assinaturas íntegras', async () => {
+    Laudo.findById.mockResolvedValue(laudo());
+
+    const resposta = await executar(Buffer.concat([ARMAZENADO, ADENDO]));
+
+    expect(resposta.autentico).toBe(false);
+    expect(resposta.documento.correspondencia).toBe('revisao_nao_reconhecida');
+    expect(obterPdfAssinadoComAdendos).not.toHaveBeenCalled();
+  });
+
+  test('não expõe dados do laudo informado quando o arquivo não confere', async () => {
+    Laudo.findById.mockResolvedValue(laudo());
+
+    const resposta = await executar(Buffer.from('%PDF-1.7 outro documento %%EOF\n'));
+
+    expect(resposta.autentico).toBe(false);
+    expect(resposta.documento.correspondencia).toBe('divergente');
+    expect(resposta.documento.hashArmazenadoSha256).toBeNull();
+    expect(resposta.laudo).toBeNull();
+  });
+
+  test('assinatura violada invalida o documento idêntico', async () => {
+    Laudo.findById.mockResolvedValue(laudo());
+    verificarAssinaturaCms.mockReturnValue({ integra: false, motivo: 'O documento foi alterado após a assinatura' });
+
+    const resposta = await executar(ARMAZENADO);
+
+    expect(resposta.autentico).toBe(false);
+    expect(resposta.assinaturas[0].motivo).toBe('O documento foi alterado após a assinatura');
+  });
+});
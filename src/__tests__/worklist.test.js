@@ -0,0 +1,123 @@
+const {
+  BLOQUEIO_MINUTOS_PADRAO,
+  calcularExpiracao,
+  situacaoBloqueio,
+  ordenarWorklist
+} = require('../utils/worklist');
+
+describe('Worklist - bloqueio e ordenação', () => {
+  const agora = new Date('2024-05-10T12:00:00Z');
+
+  afterEach(() => {
+    delete process.env.WORKLIST_LOCK_MINUTOS;
+  });
+
+  test('calcula a expiração com a duração configurada ou a padrão', () => {
+    expect(calcularExpiracao(agora).getTime() - agora.getTime()).toBe(BLOQUEIO_MINUTOS_PADRAO * 60000);
+
+    process.env.WORKLIST_LOCK_MINUTOS = '10';
+    expect(calcularExpiracao(agora).toISOString()).toBe('2024-05-10T12:10:00.000Z');
+  });
+
+  test('identifica bloqueio livre, próprio, de outro médico e expirado', () => {
+    const bloqueio = { usuarioId: 'medico-1', expiraEm: new Date('2024-05-10T12:05:00Z') };
+
+    expect(situacaoBloqueio(undefined, 'medico-1', agora)).toBe('livre');
+    expect(situacaoBloqueio(bloqueio, 'medico-1', agora)).toBe('meu');
+    expect(situacaoBloqueio(bloqueio, 'medico-2', agora)).toBe('outro');
+    expect(situacaoBloqueio(bloqueio, 'medico-2', new Date('2024-05-10T12:06:00Z'))).toBe('livre');
+  });
+
+  test('ordena urgentes primeiro e, em seguida, os mais antigos', () => {
+    const exames = [
+      { id: 'a', dataExame: '2024-05-09', tipoExame: { urgente: false } },
+      { id: 'b', dataExame: '2024-05-10', tipoExame: { urgente: true } },
+      { id: 'c', dataExame: '2024-05-01', tipoExame: { urgente: false } },
+      { id: 'd', dataExame: '2024-05-08', tipoExame: { urgente: true } }
+    ];
+
+    expect(ordenarWorklist(exames).map(e => e.id)).toEqual(['d', 'b', 'c', 'a']);
+  });
+
+  test('prioriza exames com medidas alteradas dentro do mesmo grupo de urgência', () => {
+    const exames = [
+      { id: 'a', dataExame: '2024-05-01', tipoExame: { urgente: false } },
+      { id: 'b', dataExame: '2024-05-09', tipoExame: { urgente: false }, possuiAlteracoes: true },
+      { id: 'c', dataExame: '2024-05-10', tipoExame: { urgente: true } }
+    ];
+
+    expect(ordenarWorklist(exames).map(e => e.id)).toEqual(['c', 'b', 'a']);
+  });
+});
+
+describe('Worklist - paginação no banco', () => {
+  const mongoose = require('mongoose');
+  const Exame = require('../models/Exame');
+  const { encrypt } = require('../utils/crypto');
+  const { listarPaginaWorklist } = require('../services/worklistService');
+
+  const TENANT = '65a1b2c3d4e5f60718293a40';
+  const MEDICO = '65a000000000000000000001';
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const exameBruto = (id, status) => ({
+    _id: new mongoose.Types.ObjectId(id),
+    tenant_id: new mongoose.Types.ObjectId(TENANT),
+    status: encrypt(status),
+    dataExame: new Date('2024-05-10T08:00:00Z')
+  });
+
+  test('filtra, ordena e pagina no banco excluindo exames com laudo válido', async () => {
+    const aggregate = jest.spyOn(Exame, 'aggregate').mockResolvedValue([
+      { exames: [exameBruto('65a1b2c3d4e5f60718293a01', 'Pendente')], total: [{ total: 41 }] }
+    ]);
+    jest.spyOn(Exame, 'populate').mockResolvedValue();
+    const updateMany = jest.spyOn(Exame, 'updateMany');
+
+    const { exames, total } = await listarPaginaWorklist(
+      { tenant_id: { $in: [TENANT] } },
+      { usuarioId: MEDICO, apenasMeus: true, page: 3, limit: 20 }
+    );
+
+    expect(total).toBe(41);
+    expect(exames).toHaveLength(1);
+    expect(exames[0].status).toBe('Pendente');
+    expect(updateMany).not.toHaveBeenCalled();
+
+    const [pipeline] = aggregate.mock.calls[0];
+    const [filtroTenant, naoCancelado, meus] = pipeline[0].$match.$and;
+    expect(filtroTenant.tenant_id.$in[0]).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(naoCancelado).toEqual({ cancelado: { $ne: true } });
+    expect(meus['bloqueio.usuarioId']).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(pipeline[1].$lookup.from).toBe('laudos');
+    expect(pipeline[2]).toEqual({ $match: { laudoValido: { $size: 0 } } });
+    expect(pipeline.find(etapa => etapa.$sort).$sort).toEqual({ ordemUrgencia: -1, ordemAlteracoes: -1, ordemData: 1, _id: 1 });
+
+    const paginacao = pipeline.find(etapa => etapa.$facet).$facet.exames;
+    expect(paginacao.slice(0, 2)).toEqual([{ $skip: 40 }, { $limit: 20 }]);
+  });
+
+  test('exames cancelados antes do campo cancelado são marcados e retirados da página', async () => {
+    jest.spyOn(Exame, 'aggregate').mockResolvedValue([{
+      exames: [
+        exameBruto('65a1b2c3d4e5f60718293a01', 'Cancelado'),
+        exameBruto('65a1b2c3d4e5f60718293a02', 'Pendente')
+      ],
+      total: [{ total: 2 }]
+    }]);
+    jest.spyOn(Exame, 'populate').mockResolvedValue();
+    const updateMany = jest.spyOn(Exame, 'updateMany').mockResolvedValue({});
+
+    const { exames, total } = await listarPaginaWorklist({}, { usuarioId: MEDICO });
+
+    expect(total).toBe(1);
+    expect(exames.map(exame => exame._id.toString())).toEqual(['65a1b2c3d4e5f60718293a02']);
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [new mongoose.Types.ObjectId('65a1b2c3d4e5f60718293a01')] } },
+      { $set: { cancelado: true } }
+    );
+  });
+});
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const Laudo = require('../models/Laudo');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const certificadoService = require('../services/certificadoDigitalService');
+const { assinarPdfComCertificado } = require('../services/assinaturaPdfService');
+const { ehFalhaCarimboObrigatorio } = require('../services/carimboTempoService');
+const { uploadLaudoToS3, downloadLaudoFromS3 } = require('../services/laudoStorageService');
+const { gerarPdfAdendoLaudo } = require('./laudoController');
+
+/*
+ * Adendos: complementos datados a um laudo já assinado, sem reemissão.
+ * Cada adendo gera um PDF próprio, assinado separadamente com o certificado
+ * do médico (obrigatório), e o laudo original (e sua assinatura) permanece inalterado.
+ */
+
+const buscarLaudoDoTenant = async (req) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  const query = { _id: id };
+  if (req.usuario.role !== 'adminMaster') {
+    query.tenant_id = Array.isArray(req.tenant_id) ? { $in: req.tenant_id } : req.tenant_id;
+  }
+  return Laudo.findOne(query);
+};
+
+const formatarAdendo = (adendo) => ({
+  id: adendo._id,
+  numero: adendo.numero,
+  data: adendo.data,
+  medicoId: adendo.medicoId,
+  medicoNome: adendo.medicoNome,
+  motivo: adendo.motivo,
+  texto: adendo.texto,
+  assinadoCom: adendo.assinadoCom,
+  temArquivo: !!adendo.arquivoKey
+});
+
+// Criar adendo em um laudo assinado
+exports.criarAdendo = async (req, res) => {
+  try {
+    const texto = (req.body.texto || '').trim();
+    const motivo = (req.body.motivo || '').trim();
+
+    if (!texto) {
+      return res.status(400).json({ erro: 'O texto do adendo é obrigatório' });
+    }
+
+    const laudo = await buscarLaudoDoTenant(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    if (laudo.status !== 'Laudo assinado' || !laudo.valido) {
+      return res.status(400).json({ erro: 'Adendos só podem ser adicionados a laudos assinados e válidos' });
+    }
+
+    const usuarioId = req.usuario.id;
+    const usuarioNome = req.usuarioNome || req.usuario.nome;
+
+    // O laudo é assinado: adendos também precisam da assinatura digital do médico
+    let certificadoParaAssinatura;
+    try {
+      certificadoParaAssinatura = await certificadoService.obterCertificadoParaAssinatura(usuarioId);
+    } catch (certificadoError) {
+      logger.warn(`Certificado digital não encontrado para médico ${usuarioId}: ${certificadoError.message}`);
+      return res.status(400).json({ erro: 'É necessário um certificado digital ativo para assinar o adendo' });
+    }
+
+    const numero = (laudo.adendos || []).reduce((maior, a) => Math.max(maior, a.numero || 0), 0) + 1;
+
+    laudo.adendos.push({
+      numero,
+      texto,
+      motivo: motivo || undefined,
+      medicoId: usuarioId,
+      medicoNome: usuarioNome,
+      data: new Date()
+    });
+    const adendo = laudo.adendos[laudo.adendos.length - 1];
+
+    let pdfAdendo = await gerarPdfAdendoLaudo(
+      laudo._id,
+      adendo,
+      true,
+      certificadoParaAssinatura.informacoes || null
+    );
+
+    // Falha na assinatura não registra o adendo (nada é salvo antes deste ponto)
+    try {
+      pdfAdendo = await assinarPdfComCertificado(pdfAdendo, certificadoParaAssinatura, {
+        reason: `Adendo nº ${numero} ao laudo médico`
+      });
+    } catch (signError) {
+      if (ehFalhaCarimboObrigatorio(signError)) {
+        throw signError;
+      }
+      logger.error('Erro ao assinar adendo:', signError);
+      return res.status(502).json({ erro: 'Não foi possível assinar o adendo. O adendo não foi registrado; tente novamente.' });
+    }
+    adendo.assinadoCom = 'certificado_medico';
+    adendo.certificadoId = certificadoParaAssinatura.certificadoId;
+
+    const uploadResult = await uploadLaudoToS3(
+      pdfAdendo,
+      laudo._id,
+      laudo.tenant_id,
+      'adendo',
+      `adendo_${numero}_laudo_${laudo._id}.pdf`
+    );
+    adendo.arquivoKey = uploadResult.key;
+
+    laudo.atualizadoPor = usuarioNome;
+    laudo.atualizadoPorId = usuarioId;
+    laudo.historico.push({
+      usuario: usuarioId,
+      nomeUsuario: usuarioNome,
+      acao: 'Adendo',
+      detalhes: `Adendo nº ${numero} adicionado${motivo ? `: ${motivo}` : ''}`,
+      versao: laudo.versao
+    });
+
+    await laudo.save();
+
+    try {
+      await AuditLog.create({
+        userId: usuarioId,
+        action: 'create',
+        description: `Adendo nº ${numero} adicionado ao laudo ${laudo._id}`,
+        collectionName: 'laudos',
+        documentId: laudo._id,
+        before: null,
+        after: { adendo: numero, assinadoCom: adendo.assinadoCom },
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        tenant_id: laudo.tenant_id
+      });
+    } catch (auditError) {
+      console.error('Erro ao criar log de auditoria');
+    }
+
+    res.status(201).json({
+      mensagem: 'Adendo adicionado e assinado digitalmente!',
+      adendo: formatarAdendo(adendo)
+    });
+  } catch (err) {
+    logger.error('Erro ao criar adendo:', err);
+    if (ehFalhaCarimboObrigatorio(err)) {
+      return res.status(502).json({ erro: 'Não foi possível obter o carimbo de tempo. O adendo não foi registrado; tente novamente.' });
+    }
+    res.status(500).json({
+      erro: 'Erro ao criar adendo',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Listar adendos do laudo
+exports.listarAdendos = async (req, res) => {
+  try {
+    const laudo = await buscarLaudoDoTenant(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    const adendos = (laudo.adendos || [])
+      .map(formatarAdendo)
+      .sort((a, b) => a.numero - b.numero);
+
+    res.json({ adendos });
+  } catch (err) {
+    logger.error('Erro ao listar adendos:', err);
+    res.status(500).json({ erro: 'Erro ao listar adendos' });
+  }
+};
+
+// Download do PDF de um adendo (documento assinado separadamente)
+exports.downloadAdendo = async (req, res) => {
+  try {
+    const laudo = await buscarLaudoDoTenant(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    const adendo = (laudo.adendos || []).find(a => a.numero === parseInt(req.params.numero));
+    if (!adendo || !adendo.arquivoKey) {
+      return res.status(404).json({ erro: 'Adendo não encontrado' });
+    }
+
+    const pdf = await downloadLaudoFromS3(adendo.arquivoKey);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="adendo_${adendo.numero}_laudo_${laudo._id}.pdf"`);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(pdf);
+  } catch (err) {
+    logger.error('Erro ao baixar adendo:', err);
+    res.status(500).json({ erro: 'Erro ao baixar adendo' });
+  }
+};
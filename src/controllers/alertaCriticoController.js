@@ -0,0 +1,297 @@
+const mongoose = require('mongoose');
+const AlertaCritico = require('../models/AlertaCritico');
+const Laudo = require('../models/Laudo');
+const Tenant = require('../models/Tenant');
+const Usuario = require('../models/Usuario');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const { registrarAchadoCritico, reconhecerAlerta } = require('../services/alertaCriticoService');
+const { obterIntervaloEscalonamento } = require('../utils/alertaCritico');
+
+const ehAdminMaster = (req) => req.usuario.isAdminMaster || req.usuario.role === 'adminMaster';
+
+const temRole = (req, role) => (req.usuario.todasRoles || [req.usuario.role]).includes(role);
+
+// Filtro de tenant conforme o usuário autenticado
+const filtroTenant = (req) => {
+  if (ehAdminMaster(req)) return {};
+  return { tenant_id: Array.isArray(req.tenant_id) ? { $in: req.tenant_id } : req.tenant_id };
+};
+
+// Tenant em que o usuário está operando (primeiro da lista para usuários multi-tenant)
+const obterTenantUsuario = (req) => {
+  const tenantId = Array.isArray(req.tenant_id) ? req.tenant_id[0] : req.tenant_id;
+  return tenantId?._id || tenantId || null;
+};
+
+const formatarAlerta = (alerta) => ({
+  id: alerta._id,
+  laudo: alerta.laudo,
+  exame: alerta.exame,
+  paciente: alerta.paciente?.nome !== undefined
+    ? { id: alerta.paciente._id, nome: alerta.paciente.nome }
+    : alerta.paciente,
+  descricao: alerta.descricao,
+  status: alerta.status,
+  medico: { id: alerta.medicoId, nome: alerta.medicoNome },
+  nivel: alerta.nivel,
+  proximoEscalonamento: alerta.proximoEscalonamento,
+  notificacoes: alerta.notificacoes,
+  reconhecidoPor: alerta.reconhecidoPor ? { id: alerta.reconhecidoPor, nome: alerta.reconhecidoPorNome } : null,
+  reconhecidoEm: alerta.reconhecidoEm,
+  observacaoReconhecimento: alerta.observacaoReconhecimento,
+  criadoEm: alerta.createdAt,
+  tenant_id: alerta.tenant_id
+});
+
+// Sinalizar achado crítico em um laudo (médico responsável)
+exports.marcarAchadoCritico = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const descricao = String(req.body.descricao || '').trim();
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID do laudo inválido' });
+    }
+    if (!descricao) {
+      return res.status(400).json({ erro: 'Descreva o achado crítico' });
+    }
+
+    const laudo = await Laudo.findOne({ _id: id, ...filtroTenant(req) })
+      .select('exame tenant_id versao valido status medicoResponsavelId alertaCritico');
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    if (laudo.medicoResponsavelId?.toString() !== req.usuario.id) {
+      return res.status(403).json({ erro: 'Apenas o médico responsável pode sinalizar achado crítico neste laudo' });
+    }
+
+    if (!laudo.valido || laudo.status === 'Cancelado') {
+      return res.status(400).json({ erro: 'Laudo inválido ou cancelado' });
+    }
+
+    const { alerta, novo } = await registrarAchadoCritico(laudo, {
+      descricao,
+      usuarioId: req.usuario.id,
+      usuarioNome: req.usuarioNome,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(novo ? 201 : 200).json({
+      mensagem: novo ? 'Achado crítico sinalizado e contatos notificados' : 'Este laudo já possui alerta de achado crítico',
+      alerta: formatarAlerta(alerta)
+    });
+  } catch (err) {
+    logger.error('Erro ao sinalizar achado crítico:', err);
+    res.status(500).json({
+      erro: 'Erro ao sinalizar achado crítico',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Listar alertas do tenant (padrão: pendentes)
+exports.listarAlertas = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const status = req.query.status || 'pendente';
+
+    const filtro = { ...filtroTenant(req) };
+    if (status !== 'todos') filtro.status = status;
+    if (req.query.laudo && mongoose.isValidObjectId(req.query.laudo)) filtro.laudo = req.query.laudo;
+
+    const [alertas, total] = await Promise.all([
+      AlertaCritico.find(filtro)
+        .populate('paciente', 'nome')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AlertaCritico.countDocuments(filtro)
+    ]);
+
+    res.json({
+      alertas: alertas.map(formatarAlerta),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    logger.error('Erro ao listar alertas críticos:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar alertas críticos',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+exports.obterAlerta = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID inválido' });
+    }
+
+    const alerta = await AlertaCritico.findOne({ _id: id, ...filtroTenant(req) }).populate('paciente', 'nome');
+    if (!alerta) {
+      return res.status(404).json({ erro: 'Alerta não encontrado' });
+    }
+
+    res.json(formatarAlerta(alerta));
+  } catch (err) {
+    logger.error('Erro ao obter alerta crítico:', err);
+    res.status(500).json({
+      erro: 'Erro ao obter alerta crítico',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Reconhecer o alerta: contatos designados ou administradores do tenant
+exports.reconhecer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID inválido' });
+    }
+
+    const alerta = await AlertaCritico.findOne({ _id: id, ...filtroTenant(req) });
+    if (!alerta) {
+      return res.status(404).json({ erro: 'Alerta não encontrado' });
+    }
+
+    const tenant = await Tenant.findById(alerta.tenant_id).select('alertaCritico');
+    const contatos = (tenant?.alertaCritico?.contatos || []).map(contato => contato.toString());
+    const podeReconhecer = ehAdminMaster(req) || temRole(req, 'admin') || contatos.includes(req.usuario.id);
+    if (!podeReconhecer) {
+      return res.status(403).json({ erro: 'Apenas os contatos designados ou administradores podem reconhecer o alerta' });
+    }
+
+    if (alerta.status === 'reconhecido') {
+      return res.status(409).json({
+        erro: 'Alerta já reconhecido',
+        reconhecidoPor: alerta.reconhecidoPorNome,
+        reconhecidoEm: alerta.reconhecidoEm
+      });
+    }
+
+    const reconhecido = await reconhecerAlerta(alerta._id, {
+      usuarioId: req.usuario.id,
+      usuarioNome: req.usuarioNome,
+      observacao: req.body.observacao ? String(req.body.observacao).trim() : null,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    if (!reconhecido) {
+      return res.status(409).json({ erro: 'Alerta já reconhecido' });
+    }
+
+    res.json({ mensagem: 'Alerta reconhecido', alerta: formatarAlerta(reconhecido) });
+  } catch (err) {
+    logger.error('Erro ao reconhecer alerta crítico:', err);
+    res.status(500).json({
+      erro: 'Erro ao reconhecer alerta crítico',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Contatos designados e intervalo de reescalonamento do tenant
+exports.obterConfiguracao = async (req, res) => {
+  try {
+    const tenantId = obterTenantUsuario(req);
+    const tenant = await Tenant.findById(tenantId)
+      .select('alertaCritico')
+      .populate('alertaCritico.contatos', 'nome email role');
+
+    if (!tenant) {
+      return res.status(404).json({ erro: 'Tenant não encontrado' });
+    }
+
+    const config = tenant.alertaCritico || {};
+    res.json({
+      contatos: config.contatos || [],
+      emailsAdicionais: config.emailsAdicionais || [],
+      intervaloEscalonamentoMinutos: config.intervaloEscalonamentoMinutos || null,
+      intervaloEfetivoMinutos: obterIntervaloEscalonamento(config)
+    });
+  } catch (err) {
+    logger.error('Erro ao obter configuração de alertas críticos:', err);
+    res.status(500).json({
+      erro: 'Erro ao obter configuração de alertas críticos',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+exports.salvarConfiguracao = async (req, res) => {
+  try {
+    const tenantId = obterTenantUsuario(req);
+    const contatos = Array.isArray(req.body.contatos) ? req.body.contatos : [];
+    const emailsAdicionais = Array.isArray(req.body.emailsAdicionais)
+      ? req.body.emailsAdicionais.map(email => String(email).trim().toLowerCase()).filter(Boolean)
+      : [];
+    const intervalo = req.body.intervaloEscalonamentoMinutos;
+    const intervaloEscalonamentoMinutos = intervalo === undefined || intervalo === null || intervalo === ''
+      ? null
+      : parseFloat(intervalo);
+
+    if (contatos.some(contato => !mongoose.isValidObjectId(contato))) {
+      return res.status(400).json({ erro: 'Contato inválido' });
+    }
+    if (emailsAdicionais.some(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+      return res.status(400).json({ erro: 'E-mail adicional inválido' });
+    }
+    if (intervaloEscalonamentoMinutos !== null && (!Number.isFinite(intervaloEscalonamentoMinutos) || intervaloEscalonamentoMinutos < 1)) {
+      return res.status(400).json({ erro: 'O intervalo de reescalonamento deve ser de pelo menos 1 minuto' });
+    }
+
+    // Contatos precisam ser usuários ativos do próprio tenant
+    const usuarios = await Usuario.find({ _id: { $in: contatos }, tenant_id: tenantId, ativo: true }).select('_id');
+    if (usuarios.length !== new Set(contatos.map(String)).size) {
+      return res.status(400).json({ erro: 'Todos os contatos devem ser usuários ativos do tenant' });
+    }
+
+    const tenant = await Tenant.findById(tenantId).select('alertaCritico');
+    if (!tenant) {
+      return res.status(404).json({ erro: 'Tenant não encontrado' });
+    }
+
+    const anterior = tenant.alertaCritico?.toObject ? tenant.alertaCritico.toObject() : null;
+    tenant.alertaCritico = {
+      contatos: usuarios.map(usuario => usuario._id),
+      emailsAdicionais: [...new Set(emailsAdicionais)],
+      intervaloEscalonamentoMinutos
+    };
+    await tenant.save();
+
+    try {
+      await AuditLog.create({
+        userId: req.usuario.id,
+        action: 'update',
+        description: 'Configuração de alertas de achado crítico atualizada',
+        collectionName: 'tenants',
+        documentId: tenant._id,
+        before: anterior,
+        after: tenant.alertaCritico.toObject(),
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        tenant_id: tenant._id
+      });
+    } catch (auditError) {
+      console.error('Erro ao criar log de auditoria');
+    }
+
+    res.json({ mensagem: 'Configuração salva', alertaCritico: tenant.alertaCritico });
+  } catch (err) {
+    logger.error('Erro ao salvar configuração de alertas críticos:', err);
+    res.status(500).json({
+      erro: 'Erro ao salvar configuração de alertas críticos',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
@@ -0,0 +1,43 @@
+const logger = require('../utils/logger');
+const { validarChave } = require('../utils/storage');
+const { obterStorage } = require('../services/storage');
+
+// Serve arquivos do driver local pelas URLs assinadas geradas em gerarUrlAssinada
+exports.servirArquivoLocal = async (req, res) => {
+  try {
+    const storage = obterStorage();
+    if (storage.nome !== 'local') {
+      return res.status(404).json({ erro: 'Recurso não encontrado' });
+    }
+
+    const key = req.params[0];
+    try {
+      validarChave(key);
+    } catch (chaveError) {
+      return res.status(400).json({ erro: 'Caminho de arquivo inválido' });
+    }
+
+    if (!storage.verificarUrlAssinada(key, req.query.expira, req.query.assinatura)) {
+      return res.status(403).json({ erro: 'Link inválido ou expirado' });
+    }
+
+    if (!(await storage.existe(key))) {
+      return res.status(404).json({ erro: 'Arquivo não encontrado' });
+    }
+
+    const [{ contentType }, buffer] = await Promise.all([
+      storage.lerMetadados(key),
+      storage.baixar(key)
+    ]);
+
+    res.setHeader('Content-Type', contentType || 'application/octet-stream');
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(buffer);
+  } catch (err) {
+    logger.error('Erro ao servir arquivo do armazenamento local:', err);
+    res.status(500).json({
+      erro: 'Erro ao obter arquivo',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Laudo = require('../models/Laudo');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const certificadoService = require('../services/certificadoDigitalService');
+const { emitirParaUsuario } = require('../services/notificacaoService');
+const { ehFalhaCarimboObrigatorio } = require('../services/carimboTempoService');
+const { revisaoPendente, ERRO_REVISAO_PENDENTE } = require('../utils/revisaoLaudo');
+const { assinarLaudoComCertificadoAtivo } = require('./laudoController');
+
+/*
+ * Assinatura em lote: o certificado do médico é carregado (e a senha validada)
+ * uma única vez e cada laudo é assinado em sequência, com resultado por item.
+ * O progresso é emitido via Socket.IO na sala do usuário (`usuario:<id>`).
+ */
+
+const LIMITE_LOTE_PADRAO = 50;
+const STATUS_ASSINAVEIS = ['Laudo pronto para assinatura', 'Laudo realizado'];
+
+// Quantidade máxima de laudos por lote (ASSINATURA_LOTE_MAX)
+const obterLimiteLote = () => {
+  const limite = parseInt(process.env.ASSINATURA_LOTE_MAX, 10);
+  return Number.isFinite(limite) && limite > 0 ? limite : LIMITE_LOTE_PADRAO;
+};
+
+const filtroTenant = (req) => {
+  if (req.usuario.role === 'adminMaster') return {};
+  return { tenant_id: Array.isArray(req.tenant_id) ? { $in: req.tenant_id } : req.tenant_id };
+};
+
+// Motivo pelo qual o laudo não pode entrar no lote (ou null se pode ser assinado)
+const motivoImpedimento = (laudo, usuarioId) => {
+  if (!laudo) return 'Laudo não encontrado';
+  if (laudo.medicoResponsavelId.toString() !== usuarioId.toString()) {
+    return 'Você não tem permissão para assinar este laudo';
+  }
+  if (revisaoPendente(laudo)) {
+    return ERRO_REVISAO_PENDENTE;
+  }
+  if (!STATUS_ASSINAVEIS.includes(laudo.status)) {
+    return `Laudo com status "${laudo.status}" não pode ser assinado`;
+  }
+  return null;
+};
+
+// Assinar vários laudos com o certificado do médico
+exports.assinarLote = async (req, res) => {
+  try {
+    const ids = [...new Set((Array.isArray(req.body.laudoIds) ? req.body.laudoIds : []).map(String))];
+    const limite = obterLimiteLote();
+
+    if (ids.length === 0) {
+      return res.status(400).json({ erro: 'Informe os laudos a serem assinados' });
+    }
+
+    if (ids.length > limite) {
+      return res.status(400).json({ erro: `O lote pode conter no máximo ${limite} laudos` });
+    }
+
+    const usuarioId = req.usuario.id;
+    const usuarioNome = req.usuarioNome || req.usuario.nome;
+    const emitirProgresso = req.body.emitirProgresso !== false && req.body.emitirProgresso !== 'false';
+    const loteId = req.body.loteId || crypto.randomUUID();
+
+    // Certificado carregado uma única vez para todo o lote
+    let certificado;
+    try {
+      certificado = await certificadoService.obterCertificadoParaAssinatura(usuarioId);
+    } catch (certificadoError) {
+      return res.status(400).json({
+        erro: 'Você não possui um certificado digital ativo. Cadastre um certificado ou faça upload dos laudos assinados.'
+      });
+    }
+
+    const laudos = await Laudo.find({
+      _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) },
+      ...filtroTenant(req)
+    }).populate({
+      path: 'exame',
+      populate: [
+        { path: 'paciente', select: 'nome cpf' },
+        { path: 'tipoExame', select: 'nome' }
+      ]
+    });
+    const laudoPorId = new Map(laudos.map(laudo => [laudo._id.toString(), laudo]));
+
+    const resultados = [];
+    let assinados = 0;
+
+    for (const id of ids) {
+      const laudo = laudoPorId.get(id);
+      let resultado;
+
+      const impedimento = motivoImpedimento(laudo, usuarioId);
+      if (impedimento) {
+        resultado = { laudoId: id, sucesso: false, erro: impedimento };
+      } else {
+        try {
+          const resultadoPdf = await assinarLaudoComCertificadoAtivo(
+            laudo,
+            usuarioId,
+            usuarioNome,
+            certificado,
+            'Laudo assinado com certificado digital (assinatura em lote)'
+          );
+
+          resultado = resultadoPdf.success
+            ? {
+              laudoId: id,
+              sucesso: true,
+              status: laudo.status,
+              assinadoDigitalmente: resultadoPdf.assinadoCom === 'certificado_medico',
+              dataAssinatura: laudo.dataAssinatura
+            }
+            : { laudoId: id, sucesso: false, erro: 'Erro ao gerar PDF assinado' };
+        } catch (err) {
+          logger.error(`Erro ao assinar laudo ${id} no lote ${loteId}:`, err);
+          resultado = {
+            laudoId: id,
+            sucesso: false,
+            erro: ehFalhaCarimboObrigatorio(err) ? 'Carimbo de tempo indisponível' : 'Erro ao assinar o laudo'
+          };
+        }
+      }
+
+      if (resultado.sucesso) assinados++;
+      resultados.push(resultado);
+
+      if (emitirProgresso) {
+        emitirParaUsuario(usuarioId, 'assinaturaLote:progresso', {
+          loteId,
+          total: ids.length,
+          processados: resultados.length,
+          assinados,
+          falhas: resultados.length - assinados,
+          item: resultado
+        });
+      }
+    }
+
+    const resumo = {
+      loteId,
+      total: ids.length,
+      assinados,
+      falhas: ids.length - assinados,
+      resultados
+    };
+
+    if (emitirProgresso) {
+      emitirParaUsuario(usuarioId, 'assinaturaLote:concluida', { ...resumo, resultados: undefined });
+    }
+
+    if (assinados > 0) {
+      try {
+        await AuditLog.create({
+          userId: usuarioId,
+          action: 'update',
+          description: `Assinatura em lote: ${assinados} de ${ids.length} laudo(s) assinados`,
+          collectionName: 'laudos',
+          before: null,
+          after: {
+            loteId,
+            assinados: resultados.filter(r => r.sucesso).map(r => r.laudoId),
+            falhas: resultados.filter(r => !r.sucesso).map(r => ({ laudoId: r.laudoId, erro: r.erro }))
+          },
+          ip: req.ip,
+          userAgent: req.headers['user-agent'],
+          tenant_id: laudos[0].tenant_id
+        });
+      } catch (auditError) {
+        console.error('Erro ao criar log de auditoria');
+      }
+    }
+
+    res.json({
+      mensagem: assinados === ids.length
+        ? `${assinados} laudo(s) assinados com sucesso`
+        : `${assinados} de ${ids.length} laudo(s) assinados`,
+      ...resumo
+    });
+  } catch (err) {
+    logger.error('Erro na assinatura em lote:', err);
+    res.status(500).json({
+      erro: 'Erro na assinatura em lote',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
@@ -16,6 +16,7 @@ exports.listarAuditoria = async (req, res) => {
             action, 
             collectionName, 
             userId, 
+            pacienteId,
             documentId,
             startDate,
             endDate,
@@ -29,6 +30,7 @@ exports.listarAuditoria = async (req, res) => {
         if (action) filter.action = action;
         if (collectionName) filter.collectionName = collectionName;
         if (userId) filter.userId = userId;
+        if (pacienteId) filter.pacienteId = pacienteId;
         if (documentId) filter.documentId = documentId;
         if (status) filter.status = status;
         
@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const { validarBranding } = require('../utils/brandingTenant');
+const { salvarLogoTenant, removerLogoTenant, obterUrlLogo } = require('../services/brandingService');
+const { gerarPdfPreviaBranding } = require('./laudoController');
+
+/*
+ * Identidade visual do tenant: logo, textos de cabeçalho/rodapé, endereço, CNPJ,
+ * cores, fonte e margens aplicados aos PDFs de laudo e às páginas públicas.
+ */
+
+const obterTenantsUsuario = (req) => {
+  const tenants = Array.isArray(req.tenant_id) ? req.tenant_id : [req.tenant_id];
+  return tenants.filter(Boolean).map(t => t.toString());
+};
+
+const ehAdminMaster = (req) => req.usuario?.isAdminMaster || req.usuario?.role === 'adminMaster';
+
+const ehAdminTenant = (req) => ehAdminMaster(req) || (req.usuario?.todasRoles || [req.usuario?.role]).includes('admin');
+
+// Qualquer usuário do tenant consulta; apenas administradores alteram
+const podeAcessarTenant = (req, tenantId) =>
+  ehAdminMaster(req) || obterTenantsUsuario(req).includes(tenantId.toString());
+
+const podeAlterarBranding = (req, tenantId) => ehAdminTenant(req) && podeAcessarTenant(req, tenantId);
+
+// Assinatura dos arquivos aceitos como logo (o mimetype do upload não é confiável)
+const ASSINATURAS_LOGO = {
+  'image/png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'image/jpeg': Buffer.from([0xff, 0xd8, 0xff])
+};
+
+const detectarTipoLogo = (buffer) => Object.keys(ASSINATURAS_LOGO)
+  .find(tipo => buffer.subarray(0, ASSINATURAS_LOGO[tipo].length).equals(ASSINATURAS_LOGO[tipo])) || null;
+
+const formatarBranding = async (tenant) => {
+  const branding = tenant.branding || {};
+  return {
+    tenantId: tenant._id,
+    nomeFantasia: tenant.nomeFantasia,
+    cnpj: tenant.cnpj || null,
+    textoCabecalho: branding.textoCabecalho || null,
+    textoRodape: branding.textoRodape || null,
+    endereco: branding.endereco || null,
+    cores: {
+      primaria: branding.cores?.primaria || null,
+      secundaria: branding.cores?.secundaria || null,
+      texto: branding.cores?.texto || null
+    },
+    tamanhoFonte: branding.tamanhoFonte || null,
+    margens: {
+      esquerda: branding.margens?.esquerda || null,
+      direita: branding.margens?.direita || null,
+      superior: branding.margens?.superior || null,
+      inferior: branding.margens?.inferior || null
+    },
+    logo: branding.logoKey ? {
+      contentType: branding.logoContentType,
+      url: await obterUrlLogo(tenant)
+    } : null,
+    atualizadoEm: branding.atualizadoEm || null
+  };
+};
+
+const registrarAuditoria = async (req, tenant, description, before, after) => {
+  try {
+    await AuditLog.create({
+      userId: req.usuario.id,
+      action: 'update',
+      description,
+      collectionName: 'tenants',
+      documentId: tenant._id,
+      before,
+      after,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      tenant_id: tenant._id
+    });
+  } catch (auditError) {
+    console.error('Erro ao criar log de auditoria');
+  }
+};
+
+// Busca o tenant da rota conferindo o acesso do usuário
+const carregarTenant = async (req, res, { alterar = false } = {}) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ erro: 'ID do tenant inválido' });
+    return null;
+  }
+
+  const permitido = alterar ? podeAlterarBranding(req, id) : podeAcessarTenant(req, id);
+  if (!permitido) {
+    res.status(403).json({ erro: 'Acesso negado à identidade visual deste tenant' });
+    return null;
+  }
+
+  const tenant = await Tenant.findById(id);
+  if (!tenant) {
+    res.status(404).json({ erro: 'Tenant não encontrado' });
+    return null;
+  }
+
+  return tenant;
+};
+
+// Obter configurações de branding
+exports.obterBranding = async (req, res) => {
+  try {
+    const tenant = await carregarTenant(req, res);
+    if (!tenant) return;
+
+    res.json(await formatarBranding(tenant));
+  } catch (err) {
+    logger.error('Erro ao obter branding do tenant:', err);
+    res.status(500).json({
+      erro: 'Erro ao obter identidade visual',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Atualizar textos, cores, fonte, margens e CNPJ
+exports.atualizarBranding = async (req, res) => {
+  try {
+    const tenant = await carregarTenant(req, res, { alterar: true });
+    if (!tenant) return;
+
+    const { branding, cnpj, erros } = validarBranding(req.body);
+    if (erros.length > 0) {
+      return res.status(400).json({ erro: 'Dados de identidade visual inválidos', detalhes: erros });
+    }
+
+    if (cnpj) {
+      const outroTenant = await Tenant.findOne({ cnpj, _id: { $ne: tenant._id } }).select('_id');
+      if (outroTenant) {
+        return res.status(400).json({ erro: 'Já existe um tenant com este CNPJ' });
+      }
+    }
+
+    const antes = await formatarBranding(tenant);
+
+    tenant.branding = tenant.branding || {};
+    Object.entries(branding).forEach(([campo, valor]) => {
+      tenant.branding[campo] = valor;
+    });
+    tenant.branding.atualizadoEm = new Date();
+    if (cnpj !== undefined) {
+      tenant.cnpj = cnpj;
+    }
+    await tenant.save();
+
+    const depois = await formatarBranding(tenant);
+
+    await registrarAuditoria(req, tenant, `Identidade visual do tenant ${tenant.nomeFantasia} atualizada`,
+      { ...antes, logo: undefined }, { ...depois, logo: undefined });
+
+    res.json(depois);
+  } catch (err) {
+    logger.error('Erro ao atualizar branding do tenant:', err);
+    res.status(500).json({
+      erro: 'Erro ao atualizar identidade visual',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Enviar logo (PNG ou JPEG)
+exports.enviarLogo = async (req, res) => {
+  try {
+    const tenant = await carregarTenant(req, res, { alterar: true });
+    if (!tenant) return;
+
+    if (!req.file?.buffer?.length) {
+      return res.status(400).json({ erro: 'Arquivo do logo não enviado (campo "logo")' });
+    }
+
+    const contentType = detectarTipoLogo(req.file.buffer);
+    if (!contentType) {
+      return res.status(400).json({ erro: 'O logo deve ser uma imagem PNG ou JPEG' });
+    }
+
+    const logoAnterior = tenant.branding?.logoKey || null;
+    const logoKey = await salvarLogoTenant(tenant, req.file.buffer, contentType);
+
+    await registrarAuditoria(req, tenant, `Logo do tenant ${tenant.nomeFantasia} atualizado`,
+      { logoKey: logoAnterior }, { logoKey, contentType, tamanho: req.file.size });
+
+    res.status(201).json(await formatarBranding(tenant));
+  } catch (err) {
+    logger.error('Erro ao enviar logo do tenant:', err);
+    res.status(500).json({
+      erro: 'Erro ao enviar logo',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Remover logo (os PDFs voltam a usar o logo padrão)
+exports.removerLogo = async (req, res) => {
+  try {
+    const tenant = await carregarTenant(req, res, { alterar: true });
+    if (!tenant) return;
+
+    const logoAnterior = tenant.branding?.logoKey || null;
+    const removido = await removerLogoTenant(tenant);
+    if (!removido) {
+      return res.status(404).json({ erro: 'O tenant não possui logo personalizado' });
+    }
+
+    await registrarAuditoria(req, tenant, `Logo do tenant ${tenant.nomeFantasia} removido`,
+      { logoKey: logoAnterior }, { logoKey: null });
+
+    res.json(await formatarBranding(tenant));
+  } catch (err) {
+    logger.error('Erro ao remover logo do tenant:', err);
+    res.status(500).json({
+      erro: 'Erro ao remover logo',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Prévia: laudo de exemplo gerado com a identidade visual atual do tenant
+exports.previaBranding = async (req, res) => {
+  try {
+    const tenant = await carregarTenant(req, res);
+    if (!tenant) return;
+
+    const pdf = await gerarPdfPreviaBranding(tenant._id);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="previa_branding_${tenant._id}.pdf"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(pdf);
+  } catch (err) {
+    logger.error('Erro ao gerar prévia do branding:', err);
+    res.status(500).json({
+      erro: 'Erro ao gerar prévia da identidade visual',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
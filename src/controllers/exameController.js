@@ -18,6 +18,12 @@ const { uploadPDFToUploadcare } = require('../services/uploadcareService.js');
 const { gerarThumbnailPDFRemoto } = require('../utils/pdfUtils.js');
 const { v4: uuidv4 } = require('uuid');
 const { deleteFile } = require('../services/storageServiceV3.js');
+const { aplicarPrazoExame } = require('../services/slaService');
+const { processarDicomExame, analisarArquivoDicom, buscarPacienteDoTenant } = require('../services/dicomService');
+const { avaliarAlteracoesExame, obterReferenciasExame } = require('../services/faixaReferenciaService');
+const { listarExamesAnteriores } = require('../services/comparacaoExameService');
+const { obterThumbnailExame, agendarThumbnailExame, removerThumbnailExame } = require('../services/thumbnailService');
+const { verificarExclusaoExame } = require('../services/retencaoService');
 
 // Função para calcular a idade com base na data de nascimento
 const calcularIdade = (dataNascimento) => {
@@ -175,6 +181,31 @@ exports.criarExame = async (req, res) => {
             dataExame: new Date()
         };
 
+        // DICOM: metadados do cabeçalho, conferência com o paciente e prévia
+        let avisos = [];
+        if (req.file.dicom) {
+            try {
+                const resultadoDicom = await processarDicomExame(req.file.buffer, {
+                    tenantId,
+                    paciente: pacienteInfo
+                });
+                dadosExame.dicom = resultadoDicom.metadados;
+                dadosExame.previaKey = resultadoDicom.previaKey;
+                if (resultadoDicom.metadados.dataEstudo) {
+                    dadosExame.dataExame = resultadoDicom.metadados.dataEstudo;
+                }
+                avisos = resultadoDicom.avisos;
+            } catch (dicomError) {
+                if (dicomError.codigo !== 'DICOM_INVALIDO') throw dicomError;
+                await deleteFile(arquivoKey);
+                return res.status(400).json({
+                    success: false,
+                    erro: dicomError.message,
+                    codigo: 'DICOM_INVALIDO'
+                });
+            }
+        }
+
         // Adicionar campos opcionais apenas se tiverem valores
         if (segmentoPR && segmentoPR !== '') {
             dadosExame.segmentoPR = parseFloat(segmentoPR);
@@ -196,8 +227,28 @@ exports.criarExame = async (req, res) => {
         }
 
         const exame = new Exame(dadosExame);
+
+        // SLA: prazo do laudo conforme o tipo de exame e o tenant
+        try {
+            await aplicarPrazoExame(exame, tipoExameDoc);
+        } catch (slaError) {
+            logger.error(`Erro ao calcular prazo de SLA do exame: ${slaError.message}`);
+        }
+
+        // Medidas fora da faixa de referência ficam sinalizadas para o médico e a worklist
+        try {
+            const { alteracoes, possuiAlteracoes } = await avaliarAlteracoesExame(dadosExame, pacienteInfo);
+            exame.alteracoes = alteracoes;
+            exame.possuiAlteracoes = possuiAlteracoes;
+        } catch (faixaError) {
+            logger.error(`Erro ao avaliar faixas de referência do exame: ${faixaError.message}`);
+        }
+
         await exame.save();
 
+        // Miniatura gerada em segundo plano a partir do arquivo ainda em memória
+        agendarThumbnailExame(exame, req.file.buffer);
+
         // **LOG DE SUCESSO DA CRIAÇÃO**
         try {
             // Descriptografar nome do paciente para auditoria
@@ -236,7 +287,8 @@ exports.criarExame = async (req, res) => {
 
         res.status(201).json({
             success: true,
-            exame: exame.toObject()
+            exame: exame.toObject(),
+            avisos
         });
 
     } catch (err) {
@@ -568,7 +620,7 @@ exports.obterExame = async (req, res) => {
     }
 
     const exame = await Exame.findOne(query)
-      .populate('paciente', 'nome dataNascimento')
+      .populate('paciente', 'nome dataNascimento sexo')
       .populate('tipoExame', 'nome')
       .populate('tecnico', 'nome')
       .populate('tenant_id', 'nomeFantasia');
@@ -577,7 +629,15 @@ exports.obterExame = async (req, res) => {
       return res.status(404).json({ erro: 'Exame não encontrado' });
     }
 
-    res.json(exame);
+    // Faixas de referência aplicadas às medidas (alterações já vêm em exame.alteracoes)
+    let faixasReferencia = [];
+    try {
+      faixasReferencia = await obterReferenciasExame(exame);
+    } catch (faixaError) {
+      logger.error(`Erro ao obter faixas de referência do exame: ${faixaError.message}`);
+    }
+
+    res.json({ ...exame.toJSON(), faixasReferencia });
   } catch (err) {
     logger.error('Erro ao obter exame:', err);
     res.status(500).json({ 
@@ -587,6 +647,47 @@ exports.obterExame = async (req, res) => {
   }
 };
 
+// Exames anteriores do paciente com laudos assinados e variação das medidas
+// (?tipoExame=<id>|todos; padrão: mesmo tipo do exame atual)
+exports.listarAnteriores = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tipoExame = req.query.tipoExame;
+    const limite = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID do exame inválido' });
+    }
+    if (tipoExame && tipoExame !== 'todos' && !mongoose.isValidObjectId(tipoExame)) {
+      return res.status(400).json({ erro: 'Tipo de exame inválido' });
+    }
+
+    const exame = await Exame.findOne({ _id: id, ...req.tenantFilter })
+      .select('paciente tipoExame dataExame tenant_id segmentoPR frequenciaCardiaca duracaoQRS eixoMedioQRS altura peso');
+    if (!exame) {
+      return res.status(404).json({ erro: 'Exame não encontrado' });
+    }
+
+    const tipoExameId = tipoExame === 'todos' ? null : (tipoExame || exame.tipoExame);
+    const anteriores = await listarExamesAnteriores(exame, { tipoExameId, limite });
+
+    res.json({
+      exame: {
+        id: exame._id,
+        dataExame: exame.dataExame,
+        tipoExame: exame.tipoExame
+      },
+      anteriores
+    });
+  } catch (err) {
+    logger.error('Erro ao listar exames anteriores:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar exames anteriores',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
 // Atualizar um exame - APENAS SUCESSO
 exports.atualizarExame = async (req, res) => {
     try {
@@ -648,7 +749,16 @@ exports.atualizarExame = async (req, res) => {
         // Preparar dados para atualização
         const updateData = {};
         
-        if (req.body.paciente) updateData.paciente = new mongoose.Types.ObjectId(req.body.paciente);
+        // Novo paciente só do tenant do exame
+        let novoPaciente = null;
+        if (req.body.paciente) {
+            novoPaciente = await buscarPacienteDoTenant(req.body.paciente, { tenant_id: exameExistente.tenant_id });
+            if (!novoPaciente) {
+                if (req.file) await deleteFile(req.file.key);
+                return res.status(404).json({ erro: 'Paciente não encontrado' });
+            }
+            updateData.paciente = novoPaciente._id;
+        }
         if (req.body.tipoExame) updateData.tipoExame = new mongoose.Types.ObjectId(req.body.tipoExame);
         if (req.body.observacoes) updateData.observacoes = req.body.observacoes;
         
@@ -680,11 +790,37 @@ exports.atualizarExame = async (req, res) => {
         }
 
         // Arquivo - só atualizar se um novo foi enviado
+        let avisos = [];
         if (req.file) {
+            // Substituir o arquivo exclui o anterior: mesmas restrições da exclusão
+            const impedimento = await verificarExclusaoExame(exameExistente);
+            if (impedimento) {
+                await deleteFile(req.file.key);
+                return res.status(403).json({
+                    erro: impedimento.mensagem,
+                    codigo: impedimento.codigo,
+                    retencaoAte: impedimento.retencaoAte
+                });
+            }
+
             try {
                 // Com S3, o arquivo já foi enviado
                 const arquivoURL = req.file.location; // URL do S3
                 const arquivoKey = req.file.key; // Chave do S3
+
+                // DICOM é lido antes de descartar o arquivo antigo: um arquivo inválido não substitui nada
+                if (req.file.dicom) {
+                    const resultadoDicom = await processarDicomExame(req.file.buffer, {
+                        tenantId,
+                        paciente: novoPaciente || exameExistente.paciente
+                    });
+                    updateData.dicom = resultadoDicom.metadados;
+                    updateData.previaKey = resultadoDicom.previaKey;
+                    avisos = resultadoDicom.avisos;
+                } else {
+                    updateData.$unset = { dicom: 1, previaKey: 1 };
+                }
+                updateData.$unset = { ...updateData.$unset, thumbnail: 1, arquivamento: 1 };
                 
                 // Deletar arquivo antigo do S3 se existir
                 if (exameExistente.arquivoKey) {
@@ -696,14 +832,46 @@ exports.atualizarExame = async (req, res) => {
                     }
                 }
                 
+                // Prévia e miniatura antigas pertencem ao arquivo substituído
+                if (exameExistente.previaKey) {
+                    await deleteFile(exameExistente.previaKey);
+                }
+                await removerThumbnailExame(exameExistente);
+                
                 updateData.arquivo = arquivoURL;
                 updateData.arquivoKey = arquivoKey;
             } catch (uploadError) {
+                if (uploadError.codigo === 'DICOM_INVALIDO') {
+                    await deleteFile(req.file.key);
+                    return res.status(400).json({ erro: uploadError.message, codigo: 'DICOM_INVALIDO' });
+                }
                 console.error('Erro no upload');
                 return res.status(500).json({ erro: 'Erro ao fazer upload do arquivo' });
             }
         }
 
+        // Reavaliar as faixas de referência com as medidas, o paciente e o tipo de exame resultantes
+        try {
+            const exameResultante = {
+                tipoExame: updateData.tipoExame || exameExistente.tipoExame,
+                tenant_id: exameExistente.tenant_id,
+                dataExame: exameExistente.dataExame,
+                dicom: updateData.$unset ? null : (updateData.dicom || exameExistente.dicom)
+            };
+            numericFields.forEach(field => {
+                exameResultante[field] = updateData[field] ?? exameExistente[field];
+            });
+
+            const { alteracoes, possuiAlteracoes } = await avaliarAlteracoesExame(
+                exameResultante,
+                novoPaciente || exameExistente.paciente
+            );
+            updateData.alteracoes = alteracoes;
+            updateData.possuiAlteracoes = possuiAlteracoes;
+        } catch (faixaError) {
+            logger.error(`Erro ao avaliar faixas de referência do exame: ${faixaError.message}`);
+        }
+
         // Atualizar o exame
         const exameAtualizado = await Exame.findByIdAndUpdate(
             id,
@@ -715,6 +883,10 @@ exports.atualizarExame = async (req, res) => {
         .populate('tecnico', 'nome email')
         .populate('tenant_id', 'nomeFantasia');
 
+        if (req.file) {
+            agendarThumbnailExame(exameAtualizado, req.file.buffer);
+        }
+
         // **LOG DE SUCESSO DA ATUALIZAÇÃO**
         try {
             // Descriptografar dados para auditoria
@@ -749,7 +921,8 @@ exports.atualizarExame = async (req, res) => {
         res.json({
             success: true,
             message: 'Exame atualizado com sucesso',
-            exame: exameAtualizado
+            exame: exameAtualizado,
+            avisos
         });
 
     } catch (err) {
@@ -793,6 +966,17 @@ exports.deletarExame = async (req, res) => {
             });
         }
 
+        // Bloqueio legal e período de retenção do prontuário
+        const impedimento = await verificarExclusaoExame(exame);
+        if (impedimento) {
+            return res.status(403).json({
+                erro: impedimento.mensagem,
+                codigo: impedimento.codigo,
+                retencaoAte: impedimento.retencaoAte,
+                message: 'Cannot delete exam under legal hold or retention period'
+            });
+        }
+
         // Dados antes da exclusão para auditoria
         let nomePaciente = exame.paciente?.nome;
         if (typeof nomePaciente === 'string' && nomePaciente.includes(':')) {
@@ -822,6 +1006,11 @@ exports.deletarExame = async (req, res) => {
             }
         }
 
+        if (exame.previaKey) {
+            await deleteFile(exame.previaKey);
+        }
+        await removerThumbnailExame(exame);
+
         // Proceder com a exclusão
         await Exame.findByIdAndDelete(id);
 
@@ -911,6 +1100,105 @@ exports.downloadArquivo = async (req, res) => {
     }
 };
 
+// Prévia (PNG) de exame enviado em DICOM - SEM AUDITORIA (acesso a arquivo)
+exports.obterPrevia = async (req, res) => {
+    try {
+        const { getSignedUrl } = require('../services/storageServiceV3');
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ erro: 'ID do exame inválido' });
+        }
+
+        const exame = await Exame.findOne({ _id: req.params.id, ...req.tenantFilter }).select('previaKey');
+        if (!exame) {
+            return res.status(404).json({ erro: 'Exame não encontrado' });
+        }
+        if (!exame.previaKey) {
+            return res.status(404).json({ erro: 'Exame sem prévia disponível' });
+        }
+
+        const signedUrl = await getSignedUrl(exame.previaKey, 3600);
+        res.json({
+            previaUrl: signedUrl,
+            expiresIn: 3600
+        });
+    } catch (err) {
+        logger.error('Erro ao obter prévia do exame:', err);
+        res.status(500).json({
+            erro: 'Erro ao obter prévia do exame',
+            detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+};
+
+// Miniatura do arquivo do exame (?regenerar=true força nova geração)
+exports.obterThumbnail = async (req, res) => {
+    try {
+        const { getSignedUrl } = require('../services/storageServiceV3');
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ erro: 'ID do exame inválido' });
+        }
+
+        const exame = await Exame.findOne({ _id: req.params.id, ...req.tenantFilter })
+            .select('arquivoKey thumbnail tenant_id');
+        if (!exame) {
+            return res.status(404).json({ erro: 'Exame não encontrado' });
+        }
+        if (!exame.arquivoKey) {
+            return res.status(404).json({ erro: 'Exame sem arquivo armazenado' });
+        }
+
+        const thumbnailKey = await obterThumbnailExame(exame, { regenerar: req.query.regenerar === 'true' });
+        if (!thumbnailKey) {
+            return res.status(422).json({ erro: 'Tipo de arquivo sem suporte a miniatura' });
+        }
+
+        const signedUrl = await getSignedUrl(thumbnailKey, 3600);
+        res.json({
+            thumbnailUrl: signedUrl,
+            expiresIn: 3600
+        });
+    } catch (err) {
+        logger.error('Erro ao obter miniatura do exame:', err);
+        res.status(500).json({
+            erro: 'Erro ao obter miniatura do exame',
+            detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+};
+
+// Lê o cabeçalho de um arquivo DICOM para pré-preencher o cadastro do exame
+exports.analisarDicom = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ erro: 'Arquivo não enviado' });
+        }
+
+        let paciente = null;
+        if (req.body.paciente) {
+            if (!mongoose.Types.ObjectId.isValid(req.body.paciente)) {
+                return res.status(400).json({ erro: 'ID do paciente inválido' });
+            }
+            paciente = await buscarPacienteDoTenant(req.body.paciente, req.tenantFilter);
+            if (!paciente) {
+                return res.status(404).json({ erro: 'Paciente não encontrado' });
+            }
+        }
+
+        res.json(analisarArquivoDicom(req.file.buffer, paciente));
+    } catch (err) {
+        if (err.codigo === 'DICOM_INVALIDO') {
+            return res.status(400).json({ erro: err.message, codigo: 'DICOM_INVALIDO' });
+        }
+        logger.error('Erro ao analisar arquivo DICOM:', err);
+        res.status(500).json({
+            erro: 'Erro ao analisar arquivo DICOM',
+            detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+};
+
 // Listar exames para seleção - SEM AUDITORIA (consulta simples)
 exports.listarExamesParaSelecao = async (req, res) => {
     try {
@@ -1035,6 +1323,16 @@ exports.deletarArquivo = async (req, res) => {
             return res.status(404).json({ message: 'File not found in exam' });
         }
 
+        const impedimento = await verificarExclusaoExame(exame);
+        if (impedimento) {
+            return res.status(403).json({
+                erro: impedimento.mensagem,
+                codigo: impedimento.codigo,
+                retencaoAte: impedimento.retencaoAte,
+                message: 'Cannot delete file under legal hold or retention period'
+            });
+        }
+
         // Remove file from filesystem
         try {
             await fs.promises.unlink(path.join(__dirname, '../../uploads', filename));
@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const FaixaReferencia = require('../models/FaixaReferencia');
+const TipoExame = require('../models/TipoExame');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const { MEDIDAS_REFERENCIA, CAMPOS_MEDIDA, formatarFaixa } = require('../utils/faixaReferencia');
+
+const ehAdminMaster = (req) => req.usuario.isAdminMaster || req.usuario.role === 'adminMaster';
+
+// Tenant em que o usuário está operando (primeiro da lista para usuários multi-tenant)
+const obterTenantUsuario = (req) => {
+  const tenantId = Array.isArray(req.tenant_id) ? req.tenant_id[0] : req.tenant_id;
+  return tenantId?._id || tenantId || null;
+};
+
+const registrarAuditoria = async (req, action, description, documentId, before, after, tenantId) => {
+  try {
+    await AuditLog.create({
+      userId: req.usuario.id,
+      action,
+      description,
+      collectionName: 'faixasreferencia',
+      documentId,
+      before,
+      after,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      tenant_id: tenantId || obterTenantUsuario(req)
+    });
+  } catch (auditError) {
+    console.error('Erro ao criar log de auditoria');
+  }
+};
+
+const lerNumeroOpcional = (valor) => {
+  if (valor === undefined || valor === null || valor === '') return null;
+  const numero = parseFloat(valor);
+  return Number.isFinite(numero) ? numero : NaN;
+};
+
+// Valida e normaliza os dados da faixa; retorna { dados } ou { erro }
+const lerDadosFaixa = (body) => {
+  if (!CAMPOS_MEDIDA.includes(body.campo)) {
+    return { erro: `Medida inválida. Valores permitidos: ${CAMPOS_MEDIDA.join(', ')}` };
+  }
+
+  const sexo = body.sexo || null;
+  if (sexo && !['M', 'F'].includes(sexo)) {
+    return { erro: 'Sexo deve ser M, F ou vazio (ambos)' };
+  }
+
+  const dados = {
+    campo: body.campo,
+    sexo,
+    idadeMinima: lerNumeroOpcional(body.idadeMinima),
+    idadeMaxima: lerNumeroOpcional(body.idadeMaxima),
+    minimo: lerNumeroOpcional(body.minimo),
+    maximo: lerNumeroOpcional(body.maximo),
+    unidade: body.unidade ? String(body.unidade).trim() : undefined,
+    ativo: body.ativo !== false && body.ativo !== 'false'
+  };
+
+  if ([dados.idadeMinima, dados.idadeMaxima, dados.minimo, dados.maximo].some(Number.isNaN)) {
+    return { erro: 'Idades e limites da faixa devem ser numéricos' };
+  }
+  if (dados.minimo === null && dados.maximo === null) {
+    return { erro: 'Informe o limite mínimo, o máximo ou ambos' };
+  }
+  if (dados.minimo !== null && dados.maximo !== null && dados.minimo > dados.maximo) {
+    return { erro: 'O limite mínimo não pode ser maior que o máximo' };
+  }
+  if ((dados.idadeMinima !== null && dados.idadeMinima < 0) || (dados.idadeMaxima !== null && dados.idadeMaxima < 0)) {
+    return { erro: 'A idade não pode ser negativa' };
+  }
+  if (dados.idadeMinima !== null && dados.idadeMaxima !== null && dados.idadeMinima > dados.idadeMaxima) {
+    return { erro: 'A idade mínima não pode ser maior que a máxima' };
+  }
+
+  return { dados };
+};
+
+const podeAlterar = (req, faixa) =>
+  ehAdminMaster(req) || (faixa.tenant_id && faixa.tenant_id.toString() === obterTenantUsuario(req)?.toString());
+
+// Listar faixas (do tenant e globais), opcionalmente de um tipo de exame
+exports.listarFaixas = async (req, res) => {
+  try {
+    const tenantId = obterTenantUsuario(req);
+    const filtro = { tenant_id: tenantId ? { $in: [tenantId, null] } : null };
+
+    if (req.query.tipoExameId) {
+      if (!mongoose.isValidObjectId(req.query.tipoExameId)) {
+        return res.status(400).json({ erro: 'Tipo de exame inválido' });
+      }
+      filtro.tipoExameId = req.query.tipoExameId;
+    }
+
+    const faixas = await FaixaReferencia.find(filtro)
+      .populate('tipoExameId', 'nome')
+      .sort({ tipoExameId: 1, campo: 1, sexo: 1, idadeMinima: 1 });
+
+    res.json({
+      medidas: MEDIDAS_REFERENCIA,
+      faixas: faixas.map(faixa => ({
+        ...faixa.toObject(),
+        global: !faixa.tenant_id,
+        descricaoFaixa: formatarFaixa({
+          minimo: faixa.minimo ?? null,
+          maximo: faixa.maximo ?? null,
+          unidade: faixa.unidade
+        })
+      }))
+    });
+  } catch (err) {
+    logger.error('Erro ao listar faixas de referência:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar faixas de referência',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Criar faixa de referência (global apenas para adminMaster)
+exports.criarFaixa = async (req, res) => {
+  try {
+    const { tipoExameId, global } = req.body;
+
+    if (!tipoExameId || !mongoose.isValidObjectId(tipoExameId)) {
+      return res.status(400).json({ erro: 'Tipo de exame inválido' });
+    }
+
+    if (global && !ehAdminMaster(req)) {
+      return res.status(403).json({ erro: 'Apenas o administrador master pode definir faixas globais' });
+    }
+
+    const { dados, erro } = lerDadosFaixa(req.body);
+    if (erro) {
+      return res.status(400).json({ erro });
+    }
+
+    const tipoExame = await TipoExame.findById(tipoExameId).select('nome');
+    if (!tipoExame) {
+      return res.status(404).json({ erro: 'Tipo de exame não encontrado' });
+    }
+
+    const tenantId = global ? null : obterTenantUsuario(req);
+    const faixa = await FaixaReferencia.create({
+      ...dados,
+      tipoExameId,
+      tenant_id: tenantId,
+      criadoPor: req.usuario.id
+    });
+
+    await registrarAuditoria(
+      req,
+      'create',
+      `Faixa de referência ${global ? 'global ' : ''}de ${dados.campo} criada para ${tipoExame.nome}`,
+      faixa._id,
+      null,
+      faixa.toObject(),
+      tenantId
+    );
+
+    res.status(201).json(faixa);
+  } catch (err) {
+    logger.error('Erro ao criar faixa de referência:', err);
+    res.status(500).json({
+      erro: 'Erro ao criar faixa de referência',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Atualizar faixa de referência (medida e tipo de exame não mudam)
+exports.atualizarFaixa = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID inválido' });
+    }
+
+    const faixa = await FaixaReferencia.findById(id);
+    if (!faixa) {
+      return res.status(404).json({ erro: 'Faixa de referência não encontrada' });
+    }
+
+    if (!podeAlterar(req, faixa)) {
+      return res.status(403).json({ erro: 'Sem permissão para alterar esta faixa de referência' });
+    }
+
+    const { dados, erro } = lerDadosFaixa({ ...req.body, campo: faixa.campo });
+    if (erro) {
+      return res.status(400).json({ erro });
+    }
+
+    const anterior = faixa.toObject();
+    faixa.set(dados);
+    await faixa.save();
+
+    await registrarAuditoria(
+      req,
+      'update',
+      `Faixa de referência de ${faixa.campo} atualizada`,
+      faixa._id,
+      anterior,
+      faixa.toObject(),
+      faixa.tenant_id
+    );
+
+    res.json(faixa);
+  } catch (err) {
+    logger.error('Erro ao atualizar faixa de referência:', err);
+    res.status(500).json({
+      erro: 'Erro ao atualizar faixa de referência',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Remover faixa de referência
+exports.removerFaixa = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID inválido' });
+    }
+
+    const faixa = await FaixaReferencia.findById(id);
+    if (!faixa) {
+      return res.status(404).json({ erro: 'Faixa de referência não encontrada' });
+    }
+
+    if (!podeAlterar(req, faixa)) {
+      return res.status(403).json({ erro: 'Sem permissão para remover esta faixa de referência' });
+    }
+
+    await faixa.deleteOne();
+
+    await registrarAuditoria(
+      req,
+      'delete',
+      `Faixa de referência de ${faixa.campo} removida`,
+      faixa._id,
+      faixa.toObject(),
+      null,
+      faixa.tenant_id
+    );
+
+    res.json({ mensagem: 'Faixa de referência removida com sucesso' });
+  } catch (err) {
+    logger.error('Erro ao remover faixa de referência:', err);
+    res.status(500).json({
+      erro: 'Erro ao remover faixa de referência',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
@@ -0,0 +1,604 @@
+const mongoose = require('mongoose');
+const Paciente = require('../models/Paciente');
+const Exame = require('../models/Exame');
+const Laudo = require('../models/Laudo');
+const TipoExame = require('../models/TipoExame');
+const MapeamentoExameHl7 = require('../models/MapeamentoExameHl7');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const { cpfValido } = require('../utils/portalPaciente');
+const { aplicarPrazoExame } = require('../services/slaService');
+const {
+  VERSAO_FHIR,
+  SISTEMA_CPF,
+  SISTEMA_TIPO_EXAME,
+  SISTEMA_PEDIDO,
+  MEDIDAS_OBSERVACAO,
+  STATUS_DIAGNOSTIC_REPORT,
+  lerReferencia,
+  pacienteParaPatient,
+  patientParaPaciente,
+  exameParaServiceRequest,
+  serviceRequestParaExame,
+  exameParaObservations,
+  laudoParaDiagnosticReport,
+  montarBundle,
+  operationOutcome
+} = require('../utils/fhir');
+
+/*
+ * API FHIR R4: Patient (Paciente), ServiceRequest (Exame), Observation (medidas do exame)
+ * e DiagnosticReport (Laudo). Leitura e busca para todos; criação de Patient e ServiceRequest.
+ * A paginação (_count/_offset) e os filtros sobre campos em claro vão para a consulta;
+ * filtros sobre campos criptografados são aplicados ao percorrer o cursor, mantendo
+ * em memória apenas a página. Rascunhos de laudo não são expostos.
+ */
+
+const CONTENT_TYPE_FHIR = 'application/fhir+json; charset=utf-8';
+const COUNT_PADRAO = 20;
+const COUNT_MAXIMO = 100;
+
+// Filtro de tenant conforme o usuário autenticado
+const filtroTenant = (req) => {
+  if (req.usuario.role === 'adminMaster') return {};
+  return { tenant_id: Array.isArray(req.tenant_id) ? { $in: req.tenant_id } : req.tenant_id };
+};
+
+// Tenant em que o usuário está operando (primeiro da lista para usuários multi-tenant)
+const obterTenantUsuario = (req) => {
+  const tenantId = Array.isArray(req.tenant_id) ? req.tenant_id[0] : req.tenant_id;
+  return tenantId?._id || tenantId || null;
+};
+
+const registrarAuditoria = async (req, action, description, collectionName, documentId, after, tenantId) => {
+  try {
+    await AuditLog.create({
+      userId: req.usuario.id,
+      action,
+      description,
+      collectionName,
+      documentId,
+      before: null,
+      after,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      tenant_id: tenantId || obterTenantUsuario(req)
+    });
+  } catch (auditError) {
+    console.error('Erro ao criar log de auditoria');
+  }
+};
+
+const responder = (res, status, recurso) => res.status(status).type(CONTENT_TYPE_FHIR).send(JSON.stringify(recurso));
+
+const responderErro = (res, status, codigo, diagnosticos) => responder(res, status, operationOutcome(codigo, diagnosticos));
+
+const tratarErro = (res, err, contexto) => {
+  logger.error(`Erro FHIR ao ${contexto}:`, err);
+  responderErro(res, 500, 'exception', process.env.NODE_ENV === 'development' ? err.message : `Erro ao ${contexto}`);
+};
+
+const urlBase = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+// _count e _offset da busca
+const lerPaginacao = (query) => {
+  const count = Math.min(Math.max(parseInt(query._count, 10) || COUNT_PADRAO, 1), COUNT_MAXIMO);
+  const offset = Math.max(parseInt(query._offset, 10) || 0, 0);
+  return { count, offset };
+};
+
+// Busca com todos os filtros na consulta: total por countDocuments e página por skip/limit
+const buscarPagina = async (req, modelo, filtro, { ordenacao, preparar = consulta => consulta, converter }) => {
+  const { count, offset } = lerPaginacao(req.query);
+  const [total, documentos] = await Promise.all([
+    modelo.countDocuments(filtro),
+    preparar(modelo.find(filtro).sort(ordenacao).skip(offset).limit(count))
+  ]);
+  return montarBundle(documentos.map(converter), { total, urlBase: urlBase(req) });
+};
+
+// Busca com filtro sobre campos criptografados: percorre o cursor e guarda só a página
+const buscarPaginaFiltrada = async (req, consulta, { converter, filtrar = () => true }) => {
+  const { count, offset } = lerPaginacao(req.query);
+  const pagina = [];
+  let total = 0;
+
+  for await (const documento of consulta.cursor()) {
+    for (const recurso of [].concat(converter(documento)).filter(filtrar)) {
+      if (total >= offset && pagina.length < count) pagina.push(recurso);
+      total++;
+    }
+  }
+
+  return montarBundle(pagina, { total, urlBase: urlBase(req) });
+};
+
+// Parâmetro token "sistema|valor" ou "valor"
+const lerToken = (valor) => {
+  const texto = String(valor || '');
+  const indice = texto.indexOf('|');
+  return indice === -1 ? { sistema: null, valor: texto } : { sistema: texto.slice(0, indice) || null, valor: texto.slice(indice + 1) };
+};
+
+// Parâmetros de data com prefixo (eq, ge, gt, le, lt); aceita repetição (authored=ge...&authored=le...)
+const aplicarFiltroData = (filtro, campo, valores) => {
+  const lista = [].concat(valores || []);
+  const operadores = { ge: '$gte', gt: '$gt', le: '$lte', lt: '$lt' };
+
+  for (const valor of lista) {
+    const m = String(valor).match(/^(eq|ge|gt|le|lt)?(\d{4}-\d{2}-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:\d{2})?)?)$/);
+    if (!m) return false;
+
+    const data = new Date(m[2]);
+    if (isNaN(data.getTime())) return false;
+
+    filtro[campo] = filtro[campo] || {};
+    if (!m[1] || m[1] === 'eq') {
+      const fim = new Date(data);
+      if (m[2].length === 10) fim.setUTCDate(fim.getUTCDate() + 1);
+      else fim.setTime(fim.getTime() + 1000);
+      filtro[campo].$gte = data;
+      filtro[campo].$lt = fim;
+    } else {
+      filtro[campo][operadores[m[1]]] = data;
+    }
+  }
+  return true;
+};
+
+// O hpp mantém só o último valor de parâmetros repetidos; os originais ficam em req.queryPolluted
+const parametroRepetido = (req, nome) => req.queryPolluted?.[nome] || req.query[nome];
+
+const idsValidos = (valor) => String(valor || '').split(',').map(v => v.trim()).filter(Boolean);
+
+// Referência de paciente vinda de ?patient= ou ?subject=
+const lerPacienteBusca = (query) => {
+  const valor = query.patient || query.subject;
+  if (!valor) return null;
+  return lerReferencia(valor, 'Patient');
+};
+
+const normalizarTexto = (texto) => String(texto || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+// URL do PDF do laudo: assinado quando houver, senão o original
+const urlPdfLaudo = (req, laudo) => {
+  const base = `${req.protocol}://${req.get('host')}/api/laudos/${laudo._id}`;
+  if (laudo.laudoAssinadoKey || laudo.arquivoPath) return `${base}/download/assinado`;
+  if (laudo.laudoOriginalKey || laudo.laudoOriginal) return `${base}/download/original`;
+  return null;
+};
+
+/**
+ * CapabilityStatement do servidor
+ */
+exports.capabilityStatement = (req, res) => {
+  const recurso = (tipo, interacoes, parametros) => ({
+    type: tipo,
+    interaction: interacoes.map(code => ({ code })),
+    searchParam: parametros.map(([name, type]) => ({ name, type }))
+  });
+
+  responder(res, 200, {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    fhirVersion: VERSAO_FHIR,
+    format: ['application/fhir+json'],
+    implementation: { description: 'Laudofy FHIR API', url: urlBase(req) },
+    rest: [{
+      mode: 'server',
+      resource: [
+        recurso('Patient', ['read', 'search-type', 'create'],
+          [['_id', 'token'], ['identifier', 'token'], ['name', 'string'], ['birthdate', 'date']]),
+        recurso('ServiceRequest', ['read', 'search-type', 'create'],
+          [['_id', 'token'], ['patient', 'reference'], ['subject', 'reference'], ['status', 'token'], ['authored', 'date'], ['identifier', 'token']]),
+        recurso('Observation', ['read', 'search-type'],
+          [['patient', 'reference'], ['subject', 'reference'], ['based-on', 'reference'], ['code', 'token'], ['date', 'date']]),
+        recurso('DiagnosticReport', ['read', 'search-type'],
+          [['_id', 'token'], ['patient', 'reference'], ['subject', 'reference'], ['based-on', 'reference'], ['status', 'token'], ['issued', 'date']])
+      ]
+    }]
+  });
+};
+
+// Patient
+
+exports.buscarPatient = async (req, res) => {
+  try {
+    const filtro = { ...filtroTenant(req) };
+
+    if (req.query._id) {
+      const ids = idsValidos(req.query._id).filter(id => mongoose.isValidObjectId(id));
+      if (ids.length === 0) return responder(res, 200, montarBundle([], { total: 0 }));
+      filtro._id = { $in: ids };
+    }
+
+    if (req.query.identifier) {
+      const { sistema, valor } = lerToken(req.query.identifier);
+      const cpfHash = sistema && sistema !== SISTEMA_CPF ? null : Paciente.hashCpf(valor);
+      if (!cpfHash) return responder(res, 200, montarBundle([], { total: 0 }));
+      filtro.cpfHash = cpfHash;
+    }
+
+    const ordenacao = { dataCriacao: -1 };
+
+    // Nome e nascimento são criptografados
+    if (!req.query.name && !req.query.birthdate) {
+      return responder(res, 200, await buscarPagina(req, Paciente, filtro, { ordenacao, converter: pacienteParaPatient }));
+    }
+
+    const termo = normalizarTexto(req.query.name);
+    const nascimento = req.query.birthdate ? String(req.query.birthdate).replace(/^eq/, '') : null;
+
+    responder(res, 200, await buscarPaginaFiltrada(req, Paciente.find(filtro).sort(ordenacao), {
+      converter: pacienteParaPatient,
+      filtrar: p => (!termo || normalizarTexto(p.name?.[0]?.text).includes(termo)) &&
+        (!nascimento || p.birthDate === nascimento)
+    }));
+  } catch (err) {
+    tratarErro(res, err, 'buscar pacientes');
+  }
+};
+
+exports.lerPatient = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return responderErro(res, 404, 'not-found', `Patient/${id} não encontrado`);
+    }
+
+    const paciente = await Paciente.findOne({ _id: id, ...filtroTenant(req) });
+    if (!paciente) {
+      return responderErro(res, 404, 'not-found', `Patient/${id} não encontrado`);
+    }
+
+    responder(res, 200, pacienteParaPatient(paciente));
+  } catch (err) {
+    tratarErro(res, err, 'obter paciente');
+  }
+};
+
+exports.criarPatient = async (req, res) => {
+  try {
+    const tenantId = obterTenantUsuario(req);
+    if (!tenantId) {
+      return responderErro(res, 400, 'invalid', 'Tenant não identificado');
+    }
+
+    const { dados, erros } = patientParaPaciente(req.body);
+    if (dados && dados.cpf.length === 11 && !cpfValido(dados.cpf)) {
+      erros.push('CPF inválido');
+    }
+    if (erros.length > 0) {
+      return responderErro(res, 422, 'invalid', erros);
+    }
+
+    const existente = await Paciente.buscarPorCpf(tenantId, dados.cpf, '_id');
+    if (existente) {
+      return responderErro(res, 409, 'duplicate', `Já existe Patient/${existente._id} com este CPF`);
+    }
+
+    const paciente = await Paciente.create({ ...dados, tenant_id: tenantId });
+
+    await registrarAuditoria(req, 'create', 'Paciente criado via FHIR', 'pacientes', paciente._id,
+      { origem: 'fhir' }, tenantId);
+
+    res.location(`${urlBase(req)}/Patient/${paciente._id}`);
+    responder(res, 201, pacienteParaPatient(paciente));
+  } catch (err) {
+    tratarErro(res, err, 'criar paciente');
+  }
+};
+
+// ServiceRequest
+
+// Monta o filtro do Mongo para os parâmetros de exame (patient, _id, based-on); null = nenhum resultado possível
+const filtroExames = (req, { parametroId = '_id' } = {}) => {
+  const filtro = { ...filtroTenant(req) };
+
+  const pacienteId = lerPacienteBusca(req.query);
+  if (req.query.patient || req.query.subject) {
+    if (!mongoose.isValidObjectId(pacienteId)) return null;
+    filtro.paciente = pacienteId;
+  }
+
+  if (req.query[parametroId]) {
+    const ids = idsValidos(req.query[parametroId])
+      .map(valor => lerReferencia(valor, 'ServiceRequest'))
+      .filter(id => mongoose.isValidObjectId(id));
+    if (ids.length === 0) return null;
+    filtro._id = { $in: ids };
+  }
+
+  return filtro;
+};
+
+exports.buscarServiceRequest = async (req, res) => {
+  try {
+    const filtro = filtroExames(req);
+    if (!filtro) return responder(res, 200, montarBundle([], { total: 0 }));
+
+    if (req.query.authored && !aplicarFiltroData(filtro, 'dataExame', parametroRepetido(req, 'authored'))) {
+      return responderErro(res, 400, 'invalid', 'Parâmetro authored inválido');
+    }
+    if (req.query.identifier) {
+      const { sistema, valor } = lerToken(req.query.identifier);
+      if (sistema && sistema !== SISTEMA_PEDIDO) return responder(res, 200, montarBundle([], { total: 0 }));
+      filtro['pedidoExterno.numero'] = valor;
+    }
+
+    const ordenacao = { dataExame: -1 };
+    const popular = consulta => consulta
+      .populate('tipoExame', 'nome urgente')
+      .populate('paciente', 'nome');
+
+    // O status do exame é criptografado
+    if (!req.query.status) {
+      return responder(res, 200, await buscarPagina(req, Exame, filtro, {
+        ordenacao,
+        preparar: popular,
+        converter: exameParaServiceRequest
+      }));
+    }
+
+    const status = String(req.query.status).split(',');
+    responder(res, 200, await buscarPaginaFiltrada(req, popular(Exame.find(filtro).sort(ordenacao)), {
+      converter: exameParaServiceRequest,
+      filtrar: r => status.includes(r.status)
+    }));
+  } catch (err) {
+    tratarErro(res, err, 'buscar pedidos de exame');
+  }
+};
+
+exports.lerServiceRequest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const exame = mongoose.isValidObjectId(id)
+      ? await Exame.findOne({ _id: id, ...filtroTenant(req) })
+        .populate('tipoExame', 'nome urgente')
+        .populate('paciente', 'nome')
+      : null;
+
+    if (!exame) {
+      return responderErro(res, 404, 'not-found', `ServiceRequest/${id} não encontrado`);
+    }
+
+    responder(res, 200, exameParaServiceRequest(exame));
+  } catch (err) {
+    tratarErro(res, err, 'obter pedido de exame');
+  }
+};
+
+// Tipo de exame do pedido: código do sistema, mapeamento do tenant (mesma tabela do HL7) ou nome
+const resolverTipoExame = async (tenantId, dados) => {
+  for (const coding of dados.codigos) {
+    if (coding.sistema === SISTEMA_TIPO_EXAME && mongoose.isValidObjectId(coding.codigo)) {
+      const tipoExame = await TipoExame.findById(coding.codigo);
+      if (tipoExame) return tipoExame;
+    }
+  }
+
+  for (const coding of dados.codigos) {
+    const mapeamento = await MapeamentoExameHl7.findOne({
+      tenant_id: tenantId,
+      codigoExterno: coding.codigo.toUpperCase(),
+      ativo: true
+    }).populate('tipoExameId');
+    if (mapeamento?.tipoExameId) return mapeamento.tipoExameId;
+  }
+
+  const nomes = [dados.textoCodigo, ...dados.codigos.map(c => c.descricao)].filter(Boolean);
+  for (const nome of nomes) {
+    const escapado = String(nome).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const tipoExame = await TipoExame.findOne({ nome: new RegExp(`^${escapado}$`, 'i') });
+    if (tipoExame) return tipoExame;
+  }
+
+  return null;
+};
+
+exports.criarServiceRequest = async (req, res) => {
+  try {
+    const tenantId = obterTenantUsuario(req);
+    if (!tenantId) {
+      return responderErro(res, 400, 'invalid', 'Tenant não identificado');
+    }
+
+    const { dados, erros } = serviceRequestParaExame(req.body);
+    if (erros.length > 0) {
+      return responderErro(res, 422, 'invalid', erros);
+    }
+
+    const paciente = mongoose.isValidObjectId(dados.pacienteId)
+      ? await Paciente.findOne({ _id: dados.pacienteId, tenant_id: tenantId }).select('nome')
+      : null;
+    if (!paciente) {
+      return responderErro(res, 422, 'invalid', `ServiceRequest.subject: Patient/${dados.pacienteId} não encontrado`);
+    }
+
+    const tipoExame = await resolverTipoExame(tenantId, dados);
+    if (!tipoExame) {
+      return responderErro(res, 422, 'code-invalid', 'ServiceRequest.code não corresponde a nenhum tipo de exame');
+    }
+
+    if (dados.numeroPedido && await Exame.exists({ tenant_id: tenantId, 'pedidoExterno.numero': dados.numeroPedido })) {
+      return responderErro(res, 409, 'duplicate', `Já existe um pedido com o identificador ${dados.numeroPedido}`);
+    }
+
+    const exame = new Exame({
+      paciente: paciente._id,
+      tipoExame: tipoExame._id,
+      dataExame: dados.dataExame,
+      observacoes: dados.observacoes || 'Pedido recebido via FHIR',
+      status: 'Pendente',
+      tecnico: req.usuario.id,
+      tenant_id: tenantId,
+      origem: 'fhir',
+      pedidoExterno: dados.numeroPedido ? { numero: dados.numeroPedido, aplicacao: dados.aplicacao } : undefined
+    });
+
+    try {
+      await aplicarPrazoExame(exame, tipoExame);
+    } catch (slaError) {
+      logger.error(`Erro ao calcular prazo de SLA do exame: ${slaError.message}`);
+    }
+
+    await exame.save();
+
+    await registrarAuditoria(req, 'create', `Exame criado via FHIR: ${tipoExame.nome}`, 'exames', exame._id,
+      { origem: 'fhir', tipoExame: tipoExame.nome, numeroPedido: dados.numeroPedido }, tenantId);
+
+    exame.tipoExame = tipoExame;
+    exame.paciente = paciente;
+
+    res.location(`${urlBase(req)}/ServiceRequest/${exame._id}`);
+    responder(res, 201, exameParaServiceRequest(exame));
+  } catch (err) {
+    tratarErro(res, err, 'criar pedido de exame');
+  }
+};
+
+// Observation
+
+exports.buscarObservation = async (req, res) => {
+  try {
+    const filtro = filtroExames(req, { parametroId: 'based-on' });
+    if (!filtro) return responder(res, 200, montarBundle([], { total: 0 }));
+
+    if (req.query.date && !aplicarFiltroData(filtro, 'dataExame', parametroRepetido(req, 'date'))) {
+      return responderErro(res, 400, 'invalid', 'Parâmetro date inválido');
+    }
+
+    // Cada exame gera várias observações: a página é montada sobre as observações
+    let codigos = null;
+    if (req.query.code) {
+      codigos = String(req.query.code).split(',').map(c => lerToken(c).valor);
+      const campos = MEDIDAS_OBSERVACAO.filter(m => codigos.includes(m.loinc)).map(m => m.campo);
+      if (campos.length === 0) return responder(res, 200, montarBundle([], { total: 0 }));
+      filtro.$or = campos.map(campo => ({ [campo]: { $nin: [null, ''] } }));
+    }
+
+    const consulta = Exame.find(filtro)
+      .select(`paciente dataExame status ${MEDIDAS_OBSERVACAO.map(m => m.campo).join(' ')}`)
+      .sort({ dataExame: -1 });
+
+    responder(res, 200, await buscarPaginaFiltrada(req, consulta, {
+      converter: exameParaObservations,
+      filtrar: obs => !codigos || obs.code.coding.some(c => codigos.includes(c.code))
+    }));
+  } catch (err) {
+    tratarErro(res, err, 'buscar observações');
+  }
+};
+
+exports.lerObservation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const separador = id.indexOf('-');
+    const exameId = separador === -1 ? null : id.slice(0, separador);
+
+    const exame = mongoose.isValidObjectId(exameId)
+      ? await Exame.findOne({ _id: exameId, ...filtroTenant(req) })
+      : null;
+    const observacao = exame ? exameParaObservations(exame).find(obs => obs.id === id) : null;
+
+    if (!observacao) {
+      return responderErro(res, 404, 'not-found', `Observation/${id} não encontrado`);
+    }
+
+    responder(res, 200, observacao);
+  } catch (err) {
+    tratarErro(res, err, 'obter observação');
+  }
+};
+
+// DiagnosticReport
+
+const popularLaudo = (consulta) => consulta.populate({
+  path: 'exame',
+  populate: [
+    { path: 'paciente', select: 'nome' },
+    { path: 'tipoExame', select: 'nome' }
+  ]
+});
+
+// DiagnosticReport.status → condições sobre o status (e a versão) do laudo
+const filtroStatusDiagnosticReport = (statusFhir) => {
+  const condicoes = [];
+
+  statusFhir.forEach(status => {
+    const statusLaudo = Object.keys(STATUS_DIAGNOSTIC_REPORT)
+      .filter(chave => STATUS_DIAGNOSTIC_REPORT[chave] === status && chave !== 'Laudo assinado');
+    if (statusLaudo.length > 0) condicoes.push({ status: { $in: statusLaudo } });
+  });
+
+  // Laudo assinado é final na primeira versão e amended nas seguintes
+  if (statusFhir.includes('final')) condicoes.push({ status: 'Laudo assinado', versao: { $not: { $gt: 1 } } });
+  if (statusFhir.includes('amended')) condicoes.push({ status: 'Laudo assinado', versao: { $gt: 1 } });
+
+  return condicoes;
+};
+
+exports.buscarDiagnosticReport = async (req, res) => {
+  try {
+    const filtro = { ...filtroTenant(req) };
+
+    if (req.query._id) {
+      const ids = idsValidos(req.query._id).filter(id => mongoose.isValidObjectId(id));
+      if (ids.length === 0) return responder(res, 200, montarBundle([], { total: 0 }));
+      filtro._id = { $in: ids };
+    }
+
+    // patient e based-on filtram pelos exames
+    if (req.query.patient || req.query.subject || req.query['based-on']) {
+      const filtroExame = filtroExames(req, { parametroId: 'based-on' });
+      if (!filtroExame) return responder(res, 200, montarBundle([], { total: 0 }));
+      const exames = await Exame.find(filtroExame).select('_id');
+      filtro.exame = { $in: exames.map(e => e._id) };
+    }
+
+    if (req.query.issued && !aplicarFiltroData(filtro, 'dataAssinatura', parametroRepetido(req, 'issued'))) {
+      return responderErro(res, 400, 'invalid', 'Parâmetro issued inválido');
+    }
+
+    if (req.query.status) {
+      const condicoes = filtroStatusDiagnosticReport(String(req.query.status).split(','));
+      if (condicoes.length === 0) return responder(res, 200, montarBundle([], { total: 0 }));
+      filtro.$or = condicoes;
+    } else {
+      filtro.status = { $ne: 'Rascunho' };
+    }
+
+    responder(res, 200, await buscarPagina(req, Laudo, filtro, {
+      ordenacao: { createdAt: -1 },
+      preparar: consulta => popularLaudo(consulta.select('-rascunho -historico')),
+      converter: laudo => laudoParaDiagnosticReport(laudo, { urlPdf: urlPdfLaudo(req, laudo) })
+    }));
+  } catch (err) {
+    tratarErro(res, err, 'buscar laudos');
+  }
+};
+
+exports.lerDiagnosticReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const laudo = mongoose.isValidObjectId(id)
+      ? await popularLaudo(Laudo.findOne({ _id: id, ...filtroTenant(req), status: { $ne: 'Rascunho' } }).select('-rascunho -historico'))
+      : null;
+
+    if (!laudo) {
+      return responderErro(res, 404, 'not-found', `DiagnosticReport/${id} não encontrado`);
+    }
+
+    await registrarAuditoria(req, 'view', 'Laudo consultado via FHIR', 'laudos', laudo._id, null, laudo.tenant_id);
+
+    responder(res, 200, laudoParaDiagnosticReport(laudo, { urlPdf: urlPdfLaudo(req, laudo) }));
+  } catch (err) {
+    tratarErro(res, err, 'obter laudo');
+  }
+};
@@ -23,7 +23,8 @@ exports.listarLaudosPorMedico = async (req, res) => {
       return res.status(400).json({ erro: 'Tenant ID não disponível' });
     }
 
-    const query = { tenant_id: tenantId };
+    // Rascunhos só entram no financeiro depois de finalizados
+    const query = { tenant_id: tenantId, status: { $ne: 'Rascunho' } };
 
     if (medicoId) {
       query.medicoResponsavelId = medicoId;
@@ -129,6 +130,7 @@ exports.registrarPagamento = async (req, res) => {
     const laudos = await Laudo.find({
       _id: { $in: laudoIds },
       tenant_id: tenantId,
+      status: { $ne: 'Rascunho' },
       pagamentoRegistrado: { $ne: true }
     })
     .populate('medicoResponsavelId', 'nome')
@@ -0,0 +1,538 @@
+const mongoose = require('mongoose');
+const FraseLaudo = require('../models/FraseLaudo');
+const TipoExame = require('../models/TipoExame');
+const Exame = require('../models/Exame');
+const Usuario = require('../models/Usuario');
+const AuditLog = require('../models/AuditModel');
+const { montarContextoExame } = require('../utils/mascaraLaudo');
+const {
+  normalizarAtalho,
+  atalhoValido,
+  montarMapaAtalhos,
+  expandirAtalhos,
+  montarExportacao,
+  validarImportacao
+} = require('../utils/frasesLaudo');
+
+// Função auxiliar para obter os tenants do usuário como array de strings
+const obterTenantsUsuario = (req) => {
+  const tenants = Array.isArray(req.tenant_id) ? req.tenant_id : [req.tenant_id];
+  return tenants.filter(Boolean).map(t => t.toString());
+};
+
+const ehAdminMaster = (req) => req.usuario?.isAdminMaster || req.usuario?.role === 'adminMaster';
+
+// Frases compartilhadas do tenant são mantidas pelos administradores
+const ehAdminTenant = (req) => ehAdminMaster(req) || (req.usuario?.todasRoles || [req.usuario?.role]).includes('admin');
+
+// Tenant da biblioteca: o informado (se o usuário tiver acesso) ou o primeiro do usuário
+const resolverTenant = (req) => {
+  const informado = req.body?.tenantId || req.query.tenantId;
+  if (informado && mongoose.Types.ObjectId.isValid(informado)) {
+    if (ehAdminMaster(req) || obterTenantsUsuario(req).includes(informado.toString())) {
+      return informado.toString();
+    }
+    return null;
+  }
+  return obterTenantsUsuario(req)[0] || null;
+};
+
+// Frases visíveis para o médico no tenant: as pessoais e as compartilhadas
+const filtroFrasesDisponiveis = (req, tenantId) => ({
+  tenant_id: tenantId,
+  $or: [
+    { escopo: 'tenant' },
+    { escopo: 'pessoal', usuarioId: req.usuario.id }
+  ]
+});
+
+const podeAcessarFrase = (req, frase) => {
+  if (!ehAdminMaster(req) && !obterTenantsUsuario(req).includes(frase.tenant_id.toString())) return false;
+  return frase.escopo === 'tenant' || frase.usuarioId?.toString() === req.usuario.id.toString();
+};
+
+const podeAlterarFrase = (req, frase) => {
+  if (!podeAcessarFrase(req, frase)) return false;
+  return frase.escopo === 'pessoal' || ehAdminTenant(req);
+};
+
+const validarTiposExame = async (tipoExameIds) => {
+  const ids = (Array.isArray(tipoExameIds) ? tipoExameIds : []).filter(Boolean).map(id => id.toString());
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) return null;
+  if (ids.length === 0) return [];
+
+  const encontrados = await TipoExame.countDocuments({ _id: { $in: ids } });
+  return encontrados === new Set(ids).size ? [...new Set(ids)] : null;
+};
+
+const registrarAuditoria = async (req, dados) => {
+  try {
+    await AuditLog.create({
+      userId: req.usuario.id,
+      action: dados.action,
+      description: dados.description,
+      collectionName: 'fraselaudos',
+      documentId: dados.documentId || null,
+      before: dados.before || null,
+      after: dados.after || null,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      tenant_id: dados.tenantId
+    });
+  } catch (auditError) {
+    console.error('Erro ao criar log de auditoria');
+  }
+};
+
+// Listar frases disponíveis (pessoais e compartilhadas)
+exports.listarFrases = async (req, res) => {
+  try {
+    const tenantId = resolverTenant(req);
+    if (!tenantId) {
+      return res.status(403).json({ erro: 'Tenant não autorizado' });
+    }
+
+    const { tipoExameId, escopo, categoria, busca, incluirInativas } = req.query;
+    const query = filtroFrasesDisponiveis(req, tenantId);
+
+    if (incluirInativas !== 'true') {
+      query.status = 'ativo';
+    }
+
+    if (escopo) {
+      if (!['pessoal', 'tenant'].includes(escopo)) {
+        return res.status(400).json({ erro: 'Escopo inválido. Use: pessoal ou tenant' });
+      }
+      query.escopo = escopo;
+    }
+
+    if (tipoExameId) {
+      if (!mongoose.Types.ObjectId.isValid(tipoExameId)) {
+        return res.status(400).json({ erro: 'ID do tipo de exame inválido' });
+      }
+      query.$and = [{ $or: [{ tipoExameIds: { $size: 0 } }, { tipoExameIds: tipoExameId }] }];
+    }
+
+    if (categoria) {
+      query.categoria = categoria;
+    }
+
+    if (busca) {
+      const termo = busca.toString().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$and = [...(query.$and || []), {
+        $or: [
+          { atalho: { $regex: termo, $options: 'i' } },
+          { titulo: { $regex: termo, $options: 'i' } },
+          { texto: { $regex: termo, $options: 'i' } }
+        ]
+      }];
+    }
+
+    const frases = await FraseLaudo.find(query)
+      .populate('tipoExameIds', 'nome')
+      .sort({ usos: -1, atalho: 1 });
+
+    res.json({ frases });
+  } catch (err) {
+    console.error('Erro ao listar frases');
+    res.status(500).json({
+      erro: 'Erro ao listar frases',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Obter frase por ID
+exports.obterFrase = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ erro: 'ID da frase inválido' });
+    }
+
+    const frase = await FraseLaudo.findById(id).populate('tipoExameIds', 'nome');
+    if (!frase || !podeAcessarFrase(req, frase)) {
+      return res.status(404).json({ erro: 'Frase não encontrada' });
+    }
+
+    res.json({ frase });
+  } catch (err) {
+    console.error('Erro ao obter frase');
+    res.status(500).json({
+      erro: 'Erro ao obter frase',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Criar frase (pessoal por padrão; compartilhada no tenant apenas por administradores)
+exports.criarFrase = async (req, res) => {
+  try {
+    const { titulo, texto, categoria } = req.body;
+    const escopo = req.body.escopo || 'pessoal';
+    const atalho = normalizarAtalho(req.body.atalho);
+
+    if (!atalhoValido(atalho) || !texto || !texto.trim()) {
+      return res.status(400).json({
+        erro: 'Atalho (2 a 30 caracteres: letras, números, "_" ou "-") e texto são obrigatórios'
+      });
+    }
+
+    if (!['pessoal', 'tenant'].includes(escopo)) {
+      return res.status(400).json({ erro: 'Escopo inválido. Use: pessoal ou tenant' });
+    }
+
+    if (escopo === 'tenant' && !ehAdminTenant(req)) {
+      return res.status(403).json({ erro: 'Apenas administradores podem criar frases compartilhadas' });
+    }
+
+    const tenantId = resolverTenant(req);
+    if (!tenantId) {
+      return res.status(403).json({ erro: 'Tenant não autorizado' });
+    }
+
+    const tipoExameIds = await validarTiposExame(req.body.tipoExameIds);
+    if (!tipoExameIds) {
+      return res.status(400).json({ erro: 'Tipo de exame inválido' });
+    }
+
+    const usuarioId = escopo === 'pessoal' ? req.usuario.id : null;
+    const existente = await FraseLaudo.findOne({ tenant_id: tenantId, usuarioId, atalho });
+    if (existente) {
+      return res.status(409).json({ erro: `Já existe uma frase com o atalho "${atalho}"` });
+    }
+
+    const frase = await FraseLaudo.create({
+      atalho,
+      titulo: titulo && titulo.trim() ? titulo.trim() : atalho,
+      texto: texto.trim(),
+      categoria: categoria || null,
+      tipoExameIds,
+      escopo,
+      usuarioId,
+      tenant_id: tenantId,
+      criadoPor: req.usuarioNome,
+      criadoPorId: req.usuario.id
+    });
+
+    await registrarAuditoria(req, {
+      action: 'create',
+      description: `Frase ${escopo === 'tenant' ? 'compartilhada' : 'pessoal'} criada: /${frase.atalho}`,
+      documentId: frase._id,
+      after: { atalho: frase.atalho, titulo: frase.titulo, escopo },
+      tenantId
+    });
+
+    res.status(201).json({ mensagem: 'Frase criada com sucesso', frase });
+  } catch (err) {
+    console.error('Erro ao criar frase');
+    res.status(500).json({
+      erro: 'Erro ao criar frase',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Atualizar frase
+exports.atualizarFrase = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ erro: 'ID da frase inválido' });
+    }
+
+    const frase = await FraseLaudo.findById(id);
+    if (!frase || !podeAcessarFrase(req, frase)) {
+      return res.status(404).json({ erro: 'Frase não encontrada' });
+    }
+
+    if (!podeAlterarFrase(req, frase)) {
+      return res.status(403).json({ erro: 'Você não tem permissão para alterar esta frase' });
+    }
+
+    const antes = { atalho: frase.atalho, titulo: frase.titulo, texto: frase.texto, status: frase.status };
+
+    if (req.body.atalho !== undefined) {
+      const atalho = normalizarAtalho(req.body.atalho);
+      if (!atalhoValido(atalho)) {
+        return res.status(400).json({ erro: 'Atalho inválido' });
+      }
+      if (atalho !== frase.atalho) {
+        const existente = await FraseLaudo.findOne({ tenant_id: frase.tenant_id, usuarioId: frase.usuarioId, atalho });
+        if (existente) {
+          return res.status(409).json({ erro: `Já existe uma frase com o atalho "${atalho}"` });
+        }
+      }
+      frase.atalho = atalho;
+    }
+
+    if (req.body.texto !== undefined) {
+      if (typeof req.body.texto !== 'string' || !req.body.texto.trim()) {
+        return res.status(400).json({ erro: 'O texto da frase não pode ser vazio' });
+      }
+      frase.texto = req.body.texto.trim();
+    }
+
+    if (req.body.tipoExameIds !== undefined) {
+      const tipoExameIds = await validarTiposExame(req.body.tipoExameIds);
+      if (!tipoExameIds) {
+        return res.status(400).json({ erro: 'Tipo de exame inválido' });
+      }
+      frase.tipoExameIds = tipoExameIds;
+    }
+
+    if (req.body.status !== undefined) {
+      if (!['ativo', 'inativo'].includes(req.body.status)) {
+        return res.status(400).json({ erro: 'Status inválido. Use: ativo ou inativo' });
+      }
+      frase.status = req.body.status;
+    }
+
+    if (req.body.titulo !== undefined) frase.titulo = req.body.titulo || frase.atalho;
+    if (req.body.categoria !== undefined) frase.categoria = req.body.categoria || null;
+
+    await frase.save();
+
+    await registrarAuditoria(req, {
+      action: 'update',
+      description: `Frase atualizada: /${frase.atalho}`,
+      documentId: frase._id,
+      before: antes,
+      after: { atalho: frase.atalho, titulo: frase.titulo, texto: frase.texto, status: frase.status },
+      tenantId: frase.tenant_id
+    });
+
+    res.json({ mensagem: 'Frase atualizada com sucesso', frase });
+  } catch (err) {
+    console.error('Erro ao atualizar frase');
+    res.status(500).json({
+      erro: 'Erro ao atualizar frase',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Excluir frase
+exports.excluirFrase = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ erro: 'ID da frase inválido' });
+    }
+
+    const frase = await FraseLaudo.findById(id);
+    if (!frase || !podeAcessarFrase(req, frase)) {
+      return res.status(404).json({ erro: 'Frase não encontrada' });
+    }
+
+    if (!podeAlterarFrase(req, frase)) {
+      return res.status(403).json({ erro: 'Você não tem permissão para excluir esta frase' });
+    }
+
+    await frase.deleteOne();
+
+    await registrarAuditoria(req, {
+      action: 'delete',
+      description: `Frase excluída: /${frase.atalho}`,
+      documentId: frase._id,
+      before: { atalho: frase.atalho, titulo: frase.titulo, texto: frase.texto, escopo: frase.escopo },
+      tenantId: frase.tenant_id
+    });
+
+    res.json({ mensagem: 'Frase excluída com sucesso' });
+  } catch (err) {
+    console.error('Erro ao excluir frase');
+    res.status(500).json({
+      erro: 'Erro ao excluir frase',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Expandir atalhos no texto do editor (ou um único atalho) com os dados do exame
+exports.expandirFrases = async (req, res) => {
+  try {
+    const { exameId, atalho } = req.body;
+    const texto = atalho ? `/${normalizarAtalho(atalho)}` : req.body.texto;
+
+    if (typeof texto !== 'string') {
+      return res.status(400).json({ erro: 'Informe o texto ou o atalho a expandir' });
+    }
+
+    let exame = null;
+    if (exameId) {
+      if (!mongoose.Types.ObjectId.isValid(exameId)) {
+        return res.status(400).json({ erro: 'ID do exame inválido' });
+      }
+
+      exame = await Exame.findById(exameId).populate('paciente').populate('tipoExame');
+      if (!exame) {
+        return res.status(404).json({ erro: 'Exame não encontrado' });
+      }
+
+      if (!ehAdminMaster(req) && !obterTenantsUsuario(req).includes(exame.tenant_id.toString())) {
+        return res.status(403).json({ erro: 'Acesso negado a este exame' });
+      }
+    }
+
+    const tenantId = exame ? exame.tenant_id : resolverTenant(req);
+    if (!tenantId) {
+      return res.status(403).json({ erro: 'Tenant não autorizado' });
+    }
+
+    const query = { ...filtroFrasesDisponiveis(req, tenantId), status: 'ativo' };
+    if (exame?.tipoExame) {
+      query.$and = [{ $or: [{ tipoExameIds: { $size: 0 } }, { tipoExameIds: exame.tipoExame._id }] }];
+    }
+    const frases = await FraseLaudo.find(query);
+    const mapaAtalhos = montarMapaAtalhos(frases);
+
+    let contexto = {};
+    if (exame) {
+      const medico = await Usuario.findById(req.usuario.id);
+      contexto = montarContextoExame(exame, {
+        medicoNome: req.usuarioNome || medico?.nome,
+        crm: medico?.crm
+      });
+    }
+
+    const resultado = expandirAtalhos(texto, mapaAtalhos, contexto);
+
+    if (atalho && resultado.expandidos.length === 0) {
+      return res.status(404).json({ erro: `Atalho "${normalizarAtalho(atalho)}" não encontrado` });
+    }
+
+    if (resultado.expandidos.length > 0) {
+      const ids = resultado.expandidos.map(a => mapaAtalhos.get(a)._id);
+      await FraseLaudo.updateMany({ _id: { $in: ids } }, { $inc: { usos: 1 } });
+    }
+
+    res.json(resultado);
+  } catch (err) {
+    console.error('Erro ao expandir frases');
+    res.status(500).json({
+      erro: 'Erro ao expandir frases',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Exportar a biblioteca pessoal do médico em JSON
+exports.exportarFrases = async (req, res) => {
+  try {
+    const tenantId = resolverTenant(req);
+    if (!tenantId) {
+      return res.status(403).json({ erro: 'Tenant não autorizado' });
+    }
+
+    const frases = await FraseLaudo.find({ tenant_id: tenantId, escopo: 'pessoal', usuarioId: req.usuario.id })
+      .populate('tipoExameIds', 'nome')
+      .sort({ atalho: 1 });
+
+    const nomesTiposExame = new Map();
+    frases.forEach(frase => frase.tipoExameIds.forEach(tipo => nomesTiposExame.set(tipo._id.toString(), tipo.nome)));
+
+    const exportacao = montarExportacao(frases, nomesTiposExame);
+
+    await registrarAuditoria(req, {
+      action: 'export',
+      description: `Biblioteca de frases exportada (${frases.length} frases)`,
+      after: { total: frases.length },
+      tenantId
+    });
+
+    res.setHeader('Content-Disposition', 'attachment; filename="frases_laudo.json"');
+    res.json(exportacao);
+  } catch (err) {
+    console.error('Erro ao exportar frases');
+    res.status(500).json({
+      erro: 'Erro ao exportar frases',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Importar frases para a biblioteca pessoal (atualiza atalhos existentes; ?substituir=true remove os demais)
+exports.importarFrases = async (req, res) => {
+  try {
+    const tenantId = resolverTenant(req);
+    if (!tenantId) {
+      return res.status(403).json({ erro: 'Tenant não autorizado' });
+    }
+
+    const { frases, erros } = validarImportacao(req.body);
+    if (frases.length === 0) {
+      return res.status(400).json({ erro: 'Nenhuma frase válida para importar', erros });
+    }
+
+    // Tipos de exame são identificados pelo nome na exportação
+    const nomes = [...new Set(frases.flatMap(frase => frase.tiposExame))];
+    const tiposExame = nomes.length > 0 ? await TipoExame.find({ nome: { $in: nomes } }).select('nome') : [];
+    const idsPorNome = new Map(tiposExame.map(tipo => [tipo.nome, tipo._id]));
+
+    const usuarioId = req.usuario.id;
+    const operacoes = frases.map(frase => ({
+      updateOne: {
+        filter: { tenant_id: tenantId, usuarioId, atalho: frase.atalho },
+        update: {
+          $set: {
+            titulo: frase.titulo,
+            texto: frase.texto,
+            categoria: frase.categoria,
+            tipoExameIds: frase.tiposExame.map(nome => idsPorNome.get(nome)).filter(Boolean),
+            status: 'ativo'
+          },
+          $setOnInsert: {
+            escopo: 'pessoal',
+            criadoPor: req.usuarioNome,
+            criadoPorId: usuarioId
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    const resultado = await FraseLaudo.bulkWrite(operacoes, { ordered: false });
+
+    let removidas = 0;
+    if (req.query.substituir === 'true') {
+      const remocao = await FraseLaudo.deleteMany({
+        tenant_id: tenantId,
+        escopo: 'pessoal',
+        usuarioId,
+        atalho: { $nin: frases.map(frase => frase.atalho) }
+      });
+      removidas = remocao.deletedCount;
+    }
+
+    const resumo = {
+      criadas: resultado.upsertedCount,
+      atualizadas: resultado.matchedCount,
+      removidas,
+      ignoradas: erros.length
+    };
+
+    await registrarAuditoria(req, {
+      action: 'import',
+      description: `Biblioteca de frases importada (${frases.length} frases)`,
+      after: resumo,
+      tenantId
+    });
+
+    res.json({
+      mensagem: 'Frases importadas com sucesso',
+      ...resumo,
+      tiposExameNaoEncontrados: nomes.filter(nome => !idsPorNome.has(nome)),
+      erros
+    });
+  } catch (err) {
+    console.error('Erro ao importar frases');
+    res.status(500).json({
+      erro: 'Erro ao importar frases',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
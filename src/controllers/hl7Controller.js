@@ -0,0 +1,630 @@
+const mongoose = require('mongoose');
+const DestinoHl7 = require('../models/DestinoHl7');
+const MensagemHl7 = require('../models/MensagemHl7');
+const MapeamentoExameHl7 = require('../models/MapeamentoExameHl7');
+const PedidoHl7 = require('../models/PedidoHl7');
+const TipoExame = require('../models/TipoExame');
+const Laudo = require('../models/Laudo');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const {
+  exportarLaudo,
+  entregarMensagem,
+  resolverDiretorioEntrega,
+  destinoMllpPermitido
+} = require('../services/hl7Service');
+const { resolverPedido } = require('../services/pedidoHl7Service');
+
+/*
+ * Integração HL7 v2 com os sistemas hospitalares: destinos de entrega por tenant
+ * (MLLP/TCP ou file-drop), log das mensagens ORU^R01 com o ACK e reenvio manual;
+ * na entrada, mapeamento dos códigos de exame e fila de revisão dos pedidos ORM/OML.
+ */
+
+const STATUS_MENSAGEM = ['pendente', 'enviada', 'confirmada', 'rejeitada', 'erro'];
+const STATUS_PEDIDO = ['processado', 'pendente_revisao', 'resolvido', 'descartado'];
+
+// Filtro de tenant conforme o usuário autenticado
+const filtroTenant = (req) => {
+  if (req.usuario.role === 'adminMaster') return {};
+  return { tenant_id: Array.isArray(req.tenant_id) ? { $in: req.tenant_id } : req.tenant_id };
+};
+
+// Tenant em que o usuário está operando (primeiro da lista para usuários multi-tenant)
+const obterTenantUsuario = (req) => {
+  const tenantId = Array.isArray(req.tenant_id) ? req.tenant_id[0] : req.tenant_id;
+  return tenantId?._id || tenantId || null;
+};
+
+const registrarAuditoria = async (req, action, description, collectionName, documentId, before, after, tenantId) => {
+  try {
+    await AuditLog.create({
+      userId: req.usuario.id,
+      action,
+      description,
+      collectionName,
+      documentId,
+      before,
+      after,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      tenant_id: tenantId || obterTenantUsuario(req)
+    });
+  } catch (auditError) {
+    console.error('Erro ao criar log de auditoria');
+  }
+};
+
+const CAMPOS_DESTINO = [
+  'nome', 'tipo', 'host', 'porta', 'aguardarAck', 'timeoutMs', 'diretorio',
+  'aplicacaoDestino', 'instalacaoDestino', 'incluirPdf', 'ativo'
+];
+
+// Valida os campos obrigatórios de cada tipo de destino
+const validarDestino = (dados) => {
+  if (!dados.nome || !String(dados.nome).trim()) {
+    return 'Nome do destino é obrigatório';
+  }
+  if (!['mllp', 'arquivo'].includes(dados.tipo)) {
+    return 'Tipo de destino inválido. Use "mllp" ou "arquivo".';
+  }
+  if (dados.tipo === 'mllp') {
+    const porta = Number(dados.porta);
+    if (!dados.host || !Number.isInteger(porta) || porta < 1 || porta > 65535) {
+      return 'Destinos MLLP exigem host e porta válidos';
+    }
+    if (!destinoMllpPermitido(dados.host, porta)) {
+      return 'Host e porta não liberados para envio MLLP. Solicite a liberação ao administrador da plataforma.';
+    }
+  }
+  if (dados.tipo === 'arquivo') {
+    if (!dados.diretorio) {
+      return 'Destinos de arquivo exigem um diretório';
+    }
+    if (!resolverDiretorioEntrega(dados.diretorio)) {
+      return 'Diretório de entrega deve ficar dentro do diretório base de integração HL7';
+    }
+  }
+  return null;
+};
+
+const formatarMensagem = (mensagem, { incluirConteudo = false } = {}) => ({
+  id: mensagem._id,
+  controlId: mensagem.controlId,
+  tipoMensagem: mensagem.tipoMensagem,
+  laudoId: mensagem.laudoId,
+  exameId: mensagem.exameId,
+  destino: mensagem.destinoId?.nome
+    ? { id: mensagem.destinoId._id, nome: mensagem.destinoId.nome, tipo: mensagem.destinoId.tipo }
+    : mensagem.destinoId,
+  status: mensagem.status,
+  origem: mensagem.origem,
+  tentativas: mensagem.tentativas,
+  ultimaTentativaEm: mensagem.ultimaTentativaEm,
+  enviadaEm: mensagem.enviadaEm,
+  ultimoErro: mensagem.ultimoErro,
+  ack: mensagem.ack?.codigo ? mensagem.ack : null,
+  criadoEm: mensagem.createdAt,
+  ...(incluirConteudo ? { conteudo: mensagem.conteudo } : {})
+});
+
+// Listar destinos HL7 do tenant
+exports.listarDestinos = async (req, res) => {
+  try {
+    const destinos = await DestinoHl7.find(filtroTenant(req)).sort({ nome: 1 });
+    res.json(destinos);
+  } catch (err) {
+    logger.error('Erro ao listar destinos HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar destinos HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Criar destino HL7
+exports.criarDestino = async (req, res) => {
+  try {
+    const tenantId = obterTenantUsuario(req);
+    if (!tenantId) {
+      return res.status(400).json({ erro: 'Tenant não identificado' });
+    }
+
+    const dados = {};
+    CAMPOS_DESTINO.forEach(campo => {
+      if (req.body[campo] !== undefined) dados[campo] = req.body[campo];
+    });
+
+    const erroValidacao = validarDestino(dados);
+    if (erroValidacao) {
+      return res.status(400).json({ erro: erroValidacao });
+    }
+
+    const destino = await DestinoHl7.create({
+      ...dados,
+      tenant_id: tenantId,
+      criadoPor: req.usuario.id
+    });
+
+    await registrarAuditoria(req, 'create', `Destino HL7 criado: ${destino.nome}`, 'destinoshl7',
+      destino._id, null, destino.toObject(), tenantId);
+
+    res.status(201).json(destino);
+  } catch (err) {
+    logger.error('Erro ao criar destino HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao criar destino HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Atualizar destino HL7
+exports.atualizarDestino = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID do destino inválido' });
+    }
+
+    const destino = await DestinoHl7.findOne({ _id: id, ...filtroTenant(req) });
+    if (!destino) {
+      return res.status(404).json({ erro: 'Destino HL7 não encontrado' });
+    }
+
+    const antes = destino.toObject();
+    CAMPOS_DESTINO.forEach(campo => {
+      if (req.body[campo] !== undefined) destino[campo] = req.body[campo];
+    });
+
+    const erroValidacao = validarDestino(destino);
+    if (erroValidacao) {
+      return res.status(400).json({ erro: erroValidacao });
+    }
+
+    await destino.save();
+
+    await registrarAuditoria(req, 'update', `Destino HL7 atualizado: ${destino.nome}`, 'destinoshl7',
+      destino._id, antes, destino.toObject(), destino.tenant_id);
+
+    res.json(destino);
+  } catch (err) {
+    logger.error('Erro ao atualizar destino HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao atualizar destino HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Remover destino HL7 (o log das mensagens enviadas é mantido)
+exports.removerDestino = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID do destino inválido' });
+    }
+
+    const destino = await DestinoHl7.findOneAndDelete({ _id: id, ...filtroTenant(req) });
+    if (!destino) {
+      return res.status(404).json({ erro: 'Destino HL7 não encontrado' });
+    }
+
+    await registrarAuditoria(req, 'delete', `Destino HL7 removido: ${destino.nome}`, 'destinoshl7',
+      destino._id, destino.toObject(), null, destino.tenant_id);
+
+    res.json({ mensagem: 'Destino HL7 removido com sucesso' });
+  } catch (err) {
+    logger.error('Erro ao remover destino HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao remover destino HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Log de mensagens enviadas (filtros: status, laudoId, destinoId)
+exports.listarMensagens = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, laudoId, destinoId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { ...filtroTenant(req) };
+    if (status) {
+      if (!STATUS_MENSAGEM.includes(status)) {
+        return res.status(400).json({ erro: 'Status inválido' });
+      }
+      query.status = status;
+    }
+    if (laudoId) {
+      if (!mongoose.isValidObjectId(laudoId)) {
+        return res.status(400).json({ erro: 'ID do laudo inválido' });
+      }
+      query.laudoId = laudoId;
+    }
+    if (destinoId) {
+      if (!mongoose.isValidObjectId(destinoId)) {
+        return res.status(400).json({ erro: 'ID do destino inválido' });
+      }
+      query.destinoId = destinoId;
+    }
+
+    const [mensagens, total] = await Promise.all([
+      MensagemHl7.find(query)
+        .select('-conteudo')
+        .populate('destinoId', 'nome tipo')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      MensagemHl7.countDocuments(query)
+    ]);
+
+    res.json({
+      mensagens: mensagens.map(mensagem => formatarMensagem(mensagem)),
+      paginacao: {
+        total,
+        paginaAtual: parseInt(page),
+        totalPaginas: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (err) {
+    logger.error('Erro ao listar mensagens HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar mensagens HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Detalhe da mensagem, com o conteúdo HL7
+exports.obterMensagem = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID da mensagem inválido' });
+    }
+
+    const mensagem = await MensagemHl7.findOne({ _id: id, ...filtroTenant(req) })
+      .populate('destinoId', 'nome tipo');
+    if (!mensagem) {
+      return res.status(404).json({ erro: 'Mensagem HL7 não encontrada' });
+    }
+
+    await registrarAuditoria(req, 'view', `Mensagem HL7 ${mensagem.controlId} visualizada`, 'mensagenshl7',
+      mensagem._id, null, null, mensagem.tenant_id);
+
+    res.json(formatarMensagem(mensagem, { incluirConteudo: true }));
+  } catch (err) {
+    logger.error('Erro ao obter mensagem HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao obter mensagem HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Reenviar a mensagem ao mesmo destino (mesmo controlId, para o destino descartar duplicidades)
+exports.reenviarMensagem = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID da mensagem inválido' });
+    }
+
+    const mensagem = await MensagemHl7.findOne({ _id: id, ...filtroTenant(req) });
+    if (!mensagem) {
+      return res.status(404).json({ erro: 'Mensagem HL7 não encontrada' });
+    }
+
+    const destino = await DestinoHl7.findById(mensagem.destinoId);
+    if (!destino) {
+      return res.status(400).json({ erro: 'O destino desta mensagem foi removido' });
+    }
+
+    const statusAnterior = mensagem.status;
+    await entregarMensagem(mensagem, destino);
+
+    await registrarAuditoria(req, 'export', `Mensagem HL7 ${mensagem.controlId} reenviada para ${destino.nome}`,
+      'mensagenshl7', mensagem._id, { status: statusAnterior }, { status: mensagem.status, tentativas: mensagem.tentativas },
+      mensagem.tenant_id);
+
+    await mensagem.populate('destinoId', 'nome tipo');
+    res.json(formatarMensagem(mensagem));
+  } catch (err) {
+    logger.error('Erro ao reenviar mensagem HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao reenviar mensagem HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Gerar e enviar uma nova ORU^R01 do laudo (ex.: destino cadastrado depois da assinatura)
+exports.exportarLaudo = async (req, res) => {
+  try {
+    const { laudoId } = req.params;
+    if (!mongoose.isValidObjectId(laudoId)) {
+      return res.status(400).json({ erro: 'ID do laudo inválido' });
+    }
+
+    const laudo = await Laudo.findOne({ _id: laudoId, ...filtroTenant(req) }).select('status tenant_id');
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+    if (laudo.status !== 'Laudo assinado') {
+      return res.status(400).json({ erro: 'Apenas laudos assinados podem ser exportados' });
+    }
+
+    const { destinoIds } = req.body;
+    if (destinoIds !== undefined && (!Array.isArray(destinoIds) || !destinoIds.every(d => mongoose.isValidObjectId(d)))) {
+      return res.status(400).json({ erro: 'Lista de destinos inválida' });
+    }
+
+    const mensagens = await exportarLaudo(laudo._id, {
+      destinoIds: destinoIds?.length ? destinoIds : null,
+      origem: 'manual',
+      usuarioId: req.usuario.id
+    });
+
+    if (mensagens.length === 0) {
+      return res.status(400).json({ erro: 'Nenhum destino HL7 ativo para este tenant' });
+    }
+
+    await registrarAuditoria(req, 'export', `Laudo exportado via HL7 para ${mensagens.length} destino(s)`,
+      'laudos', laudo._id, null, { mensagens: mensagens.map(m => ({ controlId: m.controlId, status: m.status })) },
+      laudo.tenant_id);
+
+    res.status(201).json({ mensagens: mensagens.map(mensagem => formatarMensagem(mensagem)) });
+  } catch (err) {
+    logger.error('Erro ao exportar laudo via HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao exportar laudo via HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Listar mapeamentos de código de exame do tenant
+exports.listarMapeamentos = async (req, res) => {
+  try {
+    const mapeamentos = await MapeamentoExameHl7.find(filtroTenant(req))
+      .populate('tipoExameId', 'nome')
+      .sort({ codigoExterno: 1 });
+    res.json(mapeamentos);
+  } catch (err) {
+    logger.error('Erro ao listar mapeamentos HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar mapeamentos HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Criar mapeamento código externo → tipo de exame
+exports.criarMapeamento = async (req, res) => {
+  try {
+    const tenantId = obterTenantUsuario(req);
+    if (!tenantId) {
+      return res.status(400).json({ erro: 'Tenant não identificado' });
+    }
+
+    const { codigoExterno, descricaoExterna, tipoExameId, ativo } = req.body;
+    if (!codigoExterno || !String(codigoExterno).trim()) {
+      return res.status(400).json({ erro: 'Código externo é obrigatório' });
+    }
+    if (!mongoose.isValidObjectId(tipoExameId) || !(await TipoExame.exists({ _id: tipoExameId }))) {
+      return res.status(400).json({ erro: 'Tipo de exame inválido' });
+    }
+
+    const existente = await MapeamentoExameHl7.exists({
+      tenant_id: tenantId,
+      codigoExterno: String(codigoExterno).trim().toUpperCase()
+    });
+    if (existente) {
+      return res.status(400).json({ erro: 'Já existe um mapeamento para este código' });
+    }
+
+    const mapeamento = await MapeamentoExameHl7.create({
+      codigoExterno,
+      descricaoExterna,
+      tipoExameId,
+      ativo,
+      tenant_id: tenantId,
+      criadoPor: req.usuario.id
+    });
+
+    await registrarAuditoria(req, 'create', `Mapeamento HL7 criado: ${mapeamento.codigoExterno}`, 'mapeamentoexamehl7s',
+      mapeamento._id, null, mapeamento.toObject(), tenantId);
+
+    res.status(201).json(mapeamento);
+  } catch (err) {
+    logger.error('Erro ao criar mapeamento HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao criar mapeamento HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Atualizar mapeamento (tipo de exame, descrição ou ativo)
+exports.atualizarMapeamento = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID do mapeamento inválido' });
+    }
+
+    const mapeamento = await MapeamentoExameHl7.findOne({ _id: id, ...filtroTenant(req) });
+    if (!mapeamento) {
+      return res.status(404).json({ erro: 'Mapeamento HL7 não encontrado' });
+    }
+
+    const { descricaoExterna, tipoExameId, ativo } = req.body;
+    if (tipoExameId !== undefined) {
+      if (!mongoose.isValidObjectId(tipoExameId) || !(await TipoExame.exists({ _id: tipoExameId }))) {
+        return res.status(400).json({ erro: 'Tipo de exame inválido' });
+      }
+    }
+
+    const antes = mapeamento.toObject();
+    if (descricaoExterna !== undefined) mapeamento.descricaoExterna = descricaoExterna;
+    if (tipoExameId !== undefined) mapeamento.tipoExameId = tipoExameId;
+    if (ativo !== undefined) mapeamento.ativo = ativo;
+    await mapeamento.save();
+
+    await registrarAuditoria(req, 'update', `Mapeamento HL7 atualizado: ${mapeamento.codigoExterno}`, 'mapeamentoexamehl7s',
+      mapeamento._id, antes, mapeamento.toObject(), mapeamento.tenant_id);
+
+    res.json(mapeamento);
+  } catch (err) {
+    logger.error('Erro ao atualizar mapeamento HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao atualizar mapeamento HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Remover mapeamento
+exports.removerMapeamento = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID do mapeamento inválido' });
+    }
+
+    const mapeamento = await MapeamentoExameHl7.findOneAndDelete({ _id: id, ...filtroTenant(req) });
+    if (!mapeamento) {
+      return res.status(404).json({ erro: 'Mapeamento HL7 não encontrado' });
+    }
+
+    await registrarAuditoria(req, 'delete', `Mapeamento HL7 removido: ${mapeamento.codigoExterno}`, 'mapeamentoexamehl7s',
+      mapeamento._id, mapeamento.toObject(), null, mapeamento.tenant_id);
+
+    res.json({ mensagem: 'Mapeamento HL7 removido com sucesso' });
+  } catch (err) {
+    logger.error('Erro ao remover mapeamento HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao remover mapeamento HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Pedidos recebidos (padrão: fila de revisão)
+exports.listarPedidos = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pendente_revisao', numeroPedido } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    if (!STATUS_PEDIDO.includes(status)) {
+      return res.status(400).json({ erro: 'Status inválido' });
+    }
+
+    const query = { ...filtroTenant(req), status };
+    if (numeroPedido) query.numeroPedido = String(numeroPedido);
+
+    const [pedidos, total] = await Promise.all([
+      PedidoHl7.find(query)
+        .populate('exameId', 'status dataExame')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      PedidoHl7.countDocuments(query)
+    ]);
+
+    res.json({
+      pedidos,
+      paginacao: {
+        total,
+        paginaAtual: parseInt(page),
+        totalPaginas: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (err) {
+    logger.error('Erro ao listar pedidos HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar pedidos HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Resolver pedido da fila escolhendo o tipo de exame (e, opcionalmente, salvando o mapeamento)
+exports.resolverPedido = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID do pedido inválido' });
+    }
+
+    const { tipoExameId, salvarMapeamento = false } = req.body;
+    if (!mongoose.isValidObjectId(tipoExameId)) {
+      return res.status(400).json({ erro: 'Tipo de exame inválido' });
+    }
+
+    const pedido = await PedidoHl7.findOne({ _id: id, ...filtroTenant(req) });
+    if (!pedido) {
+      return res.status(404).json({ erro: 'Pedido HL7 não encontrado' });
+    }
+    if (pedido.status !== 'pendente_revisao') {
+      return res.status(400).json({ erro: 'Este pedido não está aguardando revisão' });
+    }
+
+    const exame = await resolverPedido(pedido, tipoExameId, {
+      usuarioId: req.usuario.id,
+      salvarMapeamento: salvarMapeamento === true
+    });
+
+    await registrarAuditoria(req, 'create', `Exame criado a partir do pedido HL7 ${pedido.numeroPedido || pedido.controlId}`,
+      'exames', exame._id, null, { pedidoHl7Id: pedido._id, tipoExameId, salvarMapeamento: salvarMapeamento === true },
+      pedido.tenant_id);
+
+    res.json({ pedido, exame });
+  } catch (err) {
+    if (err.status === 404) {
+      return res.status(404).json({ erro: err.message });
+    }
+    logger.error('Erro ao resolver pedido HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao resolver pedido HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Descartar pedido da fila (ex.: código que não é atendido pela clínica)
+exports.descartarPedido = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID do pedido inválido' });
+    }
+
+    const pedido = await PedidoHl7.findOne({ _id: id, ...filtroTenant(req) });
+    if (!pedido) {
+      return res.status(404).json({ erro: 'Pedido HL7 não encontrado' });
+    }
+    if (pedido.status !== 'pendente_revisao') {
+      return res.status(400).json({ erro: 'Este pedido não está aguardando revisão' });
+    }
+
+    const statusAnterior = pedido.status;
+    pedido.status = 'descartado';
+    if (req.body.motivo) pedido.motivo = String(req.body.motivo).trim();
+    pedido.resolvidoPor = req.usuario.id;
+    pedido.resolvidoEm = new Date();
+    await pedido.save();
+
+    await registrarAuditoria(req, 'update', `Pedido HL7 ${pedido.numeroPedido || pedido.controlId} descartado`, 'pedidohl7s',
+      pedido._id, { status: statusAnterior }, { status: pedido.status, motivo: pedido.motivo }, pedido.tenant_id);
+
+    res.json(pedido);
+  } catch (err) {
+    logger.error('Erro ao descartar pedido HL7:', err);
+    res.status(500).json({
+      erro: 'Erro ao descartar pedido HL7',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
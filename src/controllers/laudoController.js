@@ -10,10 +10,13 @@ const QRCode = require('qrcode');
 const AuditLog = require('../models/AuditModel');
 const Usuario = require('../models/Usuario');
 const { uploadPDFToUploadcare } = require('../services/uploadcareService');
+const { assinarPdfComCertificado } = require('../services/assinaturaPdfService');
+const { ehFalhaCarimboObrigatorio } = require('../services/carimboTempoService');
 const { 
   uploadLaudoToS3, 
   deleteLaudoFromS3, 
   getSignedUrlForLaudo,
+  downloadLaudoFromS3,
   uploadLaudoStreamToS3 
 } = require('../services/laudoStorageService');
 const imageSize = require('image-size');
@@ -21,6 +24,22 @@ const { plainAddPlaceholder } = require('@signpdf/placeholder-plain');
 const { encrypt, decrypt } = require('../utils/crypto');
 const { validationResult } = require('express-validator');
 const { format } = require('date-fns');
+const MascaraLaudo = require('../models/MascaraLaudo');
+const { normalizarSecoes, montarConclusaoDasSecoes } = require('../utils/mascaraLaudo');
+const { revisaoPendente, ERRO_REVISAO_PENDENTE, situacaoInicialLaudo } = require('../utils/revisaoLaudo');
+const { filtroStatusListagem } = require('../utils/rascunhoLaudo');
+const { anexarPaginasIncremental } = require('../utils/pdfIncremental');
+const { assumirBloqueio, liberarBloqueio } = require('../services/worklistService');
+const { registrarConclusaoSla } = require('../services/slaService');
+const { obterUrlPublicaLaudo, montarUrlPublica } = require('../services/linkPublicoService');
+const { gerarCodigoAcesso } = require('../utils/linkPublico');
+const { montarEstilosTenant, montarTextoRodape, resumoBrandingPublico } = require('../utils/brandingTenant');
+const { carregarBrandingTenant, obterUrlLogo } = require('../services/brandingService');
+const { agendarExportacaoLaudo } = require('../services/hl7Service');
+const { formatarFaixa } = require('../utils/faixaReferencia');
+const { registrarAchadoCritico } = require('../services/alertaCriticoService');
+const { buscarLaudosAssinados, carregarComparacaoLaudo } = require('../services/comparacaoExameService');
+const { descreverVariacao } = require('../utils/comparacaoExame');
 
 // Configurações de diretórios
 const LAUDOS_DIR = path.join(__dirname, '../../laudos');
@@ -71,7 +90,7 @@ const obterLaudoPorId = async (laudoId) => {
       ]
     })
     .populate('medicoResponsavelId', 'nome crm email especialidades')
-    .populate('tenant_id', 'nomeFantasia razaoSocial cnpj endereco telefone email');
+    .populate('tenant_id', 'nomeFantasia razaoSocial cnpj endereco telefone email branding');
 
   if (!laudo) {
     return null;
@@ -133,7 +152,7 @@ const obterLaudoPorId = async (laudoId) => {
     const exame = laudoJson.exame;
     
     // Verificar se os campos do exame precisam ser descriptografados
-    const exameFields = ['arquivo', 'observacoes', 'status', 'altura', 'peso', 'frequenciaCardiaca', 'segmentoPR', 'duracaoQRS'];
+    const exameFields = ['arquivo', 'observacoes', 'status', 'altura', 'peso', 'frequenciaCardiaca', 'segmentoPR', 'duracaoQRS', 'eixoMedioQRS'];
     
     exameFields.forEach(field => {
       if (exame[field] && typeof exame[field] === 'string' && exame[field].includes(':')) {
@@ -190,6 +209,51 @@ const defaultStyles = {
   }
 };
 
+// Estilos do PDF com a identidade visual do tenant (padrão do sistema quando não configurada)
+const obterEstilosPdfTenant = async (tenantId) => {
+  try {
+    const identidade = await carregarBrandingTenant(tenantId?._id || tenantId);
+    if (!identidade) return defaultStyles;
+
+    return {
+      ...montarEstilosTenant(identidade.branding, defaultStyles),
+      identidade
+    };
+  } catch (error) {
+    logger.warn(`Branding do tenant ${tenantId?._id || tenantId} indisponível, usando o padrão: ${error.message}`);
+    return defaultStyles;
+  }
+};
+
+// Rodapé do tenant (texto, endereço e CNPJ) em todas as páginas já geradas (exige bufferPages)
+function adicionarRodapeTenant(doc, styles) {
+  const identidade = styles?.identidade;
+  const texto = identidade ? montarTextoRodape(identidade.branding, identidade.cnpj) : '';
+  if (!texto) return;
+
+  const paginas = doc.bufferedPageRange();
+
+  for (let i = paginas.start; i < paginas.start + paginas.count; i++) {
+    doc.switchToPage(i);
+
+    // Zerar a margem inferior para o texto no rodapé não abrir uma nova página
+    const margemInferior = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    doc.fillColor(styles.colors.gray)
+      .font('Helvetica')
+      .fontSize(6)
+      .text(texto, styles.margins.left, doc.page.height - 18, {
+        width: doc.page.width - styles.margins.left - styles.margins.right,
+        align: 'center',
+        lineBreak: false,
+        ellipsis: true
+      });
+
+    doc.page.margins.bottom = margemInferior;
+  }
+}
+
 // Função base para gerar o conteúdo do PDF do laudo - MELHORADA
 async function gerarConteudoPdfLaudo(doc, laudo, exame, usuarioMedico, medicoNome, conclusao, publicLink, styles) {
   // Ensure styles is defined with required properties
@@ -197,6 +261,7 @@ async function gerarConteudoPdfLaudo(doc, laudo, exame, usuarioMedico, medicoNom
     ...defaultStyles,
     ...(styles || {})
   };
+  const identidade = styles.identidade || null;
 
   // Os dados já vêm descriptografados através da função obterLaudoPorId
   const laudoDescriptografado = laudo;
@@ -215,8 +280,10 @@ async function gerarConteudoPdfLaudo(doc, laudo, exame, usuarioMedico, medicoNom
       .rect(0, 0, doc.page.width, 4)
       .fill();
 
-    // Logo
-    if (LOGO_PATH && fs.existsSync(LOGO_PATH)) {
+    // Logo (do tenant, quando configurado)
+    if (identidade?.logo) {
+      doc.image(identidade.logo, styles.margins.left, 20, { fit: [180, 45] });
+    } else if (LOGO_PATH && fs.existsSync(LOGO_PATH)) {
       doc.image(LOGO_PATH, styles.margins.left, 20, { height: 45 });
     } else {
       doc.fillColor(styles.colors.light)
@@ -227,6 +294,17 @@ async function gerarConteudoPdfLaudo(doc, laudo, exame, usuarioMedico, medicoNom
 
     // Informações do lado direito
     const rightTextX = doc.page.width - styles.margins.headerRight - 150;
+
+    if (identidade?.branding?.textoCabecalho) {
+      doc.fillColor(styles.colors.light)
+        .font('Helvetica')
+        .fontSize(styles.fonts.small)
+        .text(identidade.branding.textoCabecalho, styles.margins.left, 70, {
+          width: rightTextX - styles.margins.left - 20,
+          lineBreak: false,
+          ellipsis: true
+        });
+    }
     
     // Box de informações do laudo
     doc.fillColor(styles.colors.light)
@@ -246,8 +324,8 @@ async function gerarConteudoPdfLaudo(doc, laudo, exame, usuarioMedico, medicoNom
 
   addHeader();
 
-  // Logo de fundo mais sutil
-  if (LOGO_LAUDOFY && fs.existsSync(LOGO_LAUDOFY)) {
+  // Logo de fundo mais sutil (omitido quando o tenant usa o próprio logo)
+  if (!identidade?.logo && LOGO_LAUDOFY && fs.existsSync(LOGO_LAUDOFY)) {
     doc.opacity(0.03);
     doc.image(LOGO_LAUDOFY, doc.page.width / 2 - 250, doc.page.height / 2 - 250, { width: 500 });
     doc.opacity(1);
@@ -300,8 +378,8 @@ async function gerarConteudoPdfLaudo(doc, laudo, exame, usuarioMedico, medicoNom
         .fontSize(styles.fonts.label)
         .text(item.label, styles.margins.left, sectionY);
 
-      doc.fillColor(styles.colors.text)
-        .font('Helvetica')
+      doc.fillColor(item.destaque ? styles.colors.error : styles.colors.text)
+        .font(item.destaque ? 'Helvetica-Bold' : 'Helvetica')
         .fontSize(styles.fonts.normal)
         .text(item.value, styles.margins.left + 80, sectionY);
 
@@ -311,6 +389,15 @@ async function gerarConteudoPdfLaudo(doc, laudo, exame, usuarioMedico, medicoNom
     return sectionY + styles.spacing.element;
   };
 
+  // Medidas fora da faixa de referência saem em destaque, com a faixa aplicada
+  const alteracoesExame = exameDescriptografado?.alteracoes || [];
+  const destacarMedida = (campo, item) => {
+    const alteracao = alteracoesExame.find(a => a.campo === campo);
+    if (!alteracao) return item;
+    const sentido = alteracao.situacao === 'alto' ? 'Acima' : 'Abaixo';
+    return { ...item, value: `${item.value} (${sentido} da referência: ${formatarFaixa(alteracao)})`, destaque: true };
+  };
+
   // Seção: Dados do Paciente
   const dadosPaciente = [
     { label: 'Nome:', value: pacienteDescriptografado?.nome || 'Não informado' },
@@ -385,14 +472,14 @@ async function gerarConteudoPdfLaudo(doc, laudo, exame, usuarioMedico, medicoNom
   if (exameDescriptografado?.altura) {
     const altura = parseFloat(exameDescriptografado.altura);
     if (!isNaN(altura)) {
-      dadosPaciente.push({ label: 'Altura:', value: altura + ' cm' });
+      dadosPaciente.push(destacarMedida('altura', { label: 'Altura:', value: altura + ' cm' }));
     }
   }
   
   if (exameDescriptografado?.peso) {
     const peso = parseFloat(exameDescriptografado.peso);
     if (!isNaN(peso)) {
-      dadosPaciente.push({ label: 'Peso:', value: peso + ' kg' });
+      dadosPaciente.push(destacarMedida('peso', { label: 'Peso:', value: peso + ' kg' }));
     }
   }
 
@@ -409,21 +496,28 @@ async function gerarConteudoPdfLaudo(doc, laudo, exame, usuarioMedico, medicoNom
   if (exameDescriptografado?.frequenciaCardiaca) {
     const fc = parseFloat(exameDescriptografado.frequenciaCardiaca);
     if (!isNaN(fc)) {
-      dadosExame.push({ label: 'FC:', value: fc + ' bpm' });
+      dadosExame.push(destacarMedida('frequenciaCardiaca', { label: 'FC:', value: fc + ' bpm' }));
     }
   }
   
   if (exameDescriptografado?.segmentoPR) {
     const pr = parseFloat(exameDescriptografado.segmentoPR);
     if (!isNaN(pr)) {
-      dadosExame.push({ label: 'PR:', value: pr + ' ms' });
+      dadosExame.push(destacarMedida('segmentoPR', { label: 'PR:', value: pr + ' ms' }));
     }
   }
   
   if (exameDescriptografado?.duracaoQRS) {
     const qrs = parseFloat(exameDescriptografado.duracaoQRS);
     if (!isNaN(qrs)) {
-      dadosExame.push({ label: 'QRS:', value: qrs + ' ms' });
+      dadosExame.push(destacarMedida('duracaoQRS', { label: 'QRS:', value: qrs + ' ms' }));
+    }
+  }
+
+  if (exameDescriptografado?.eixoMedioQRS !== undefined && exameDescriptografado?.eixoMedioQRS !== null && exameDescriptografado?.eixoMedioQRS !== '') {
+    const eixo = parseFloat(exameDescriptografado.eixoMedioQRS);
+    if (!isNaN(eixo)) {
+      dadosExame.push(destacarMedida('eixoMedioQRS', { label: 'Eixo QRS:', value: eixo + '°' }));
     }
   }
 
@@ -434,6 +528,47 @@ async function gerarConteudoPdfLaudo(doc, laudo, exame, usuarioMedico, medicoNom
 
   currentY = drawSection('DADOS DO EXAME', dadosExame, currentY);
 
+  // Seção opcional: comparação com exame anterior escolhido pelo médico
+  let comparacao = null;
+  try {
+    comparacao = await carregarComparacaoLaudo(laudoDescriptografado, exameDescriptografado);
+  } catch (error) {
+    logger.error(`Erro ao carregar comparação com exame anterior: ${error.message}`);
+  }
+
+  if (comparacao) {
+    const rotulosMedida = {
+      frequenciaCardiaca: 'FC:',
+      segmentoPR: 'PR:',
+      duracaoQRS: 'QRS:',
+      eixoMedioQRS: 'Eixo QRS:',
+      altura: 'Altura:',
+      peso: 'Peso:'
+    };
+    const laudoAnterior = comparacao.laudo;
+    const dadosComparacao = [
+      {
+        label: 'Exame:',
+        value: `${new Date(comparacao.exame.dataExame).toLocaleDateString('pt-BR')} - ${comparacao.exame.tipoExame?.nome || 'Exame'}`
+      },
+      {
+        label: 'Laudo:',
+        value: laudoAnterior
+          ? `Nº ${laudoAnterior.id.toString().substring(0, 8)} - assinado em ${new Date(laudoAnterior.dataAssinatura).toLocaleDateString('pt-BR')} por ${laudoAnterior.medico || 'Não informado'}`
+          : 'Exame anterior sem laudo assinado'
+      }
+    ];
+
+    comparacao.medidas.forEach(medida => {
+      dadosComparacao.push({ label: rotulosMedida[medida.campo], value: descreverVariacao(medida) });
+    });
+    if (comparacao.medidas.length === 0) {
+      dadosComparacao.push({ label: 'Medidas:', value: 'Sem medidas em comum para comparar' });
+    }
+
+    currentY = drawSection('COMPARAÇÃO COM EXAME ANTERIOR', dadosComparacao, currentY);
+  }
+
   // Linha divisória antes da conclusão
   doc.strokeColor(styles.colors.border)
     .lineWidth(1)
@@ -455,46 +590,118 @@ async function gerarConteudoPdfLaudo(doc, laudo, exame, usuarioMedico, medicoNom
 
   currentY += 45;
 
-  // Conclusão formatada com melhor tipografia - usar conclusão descriptografada
-  // Garantir que a conclusão seja descriptografada
-  let conclusaoFinal = conclusao || laudoDescriptografado.conclusao || 'Conclusão não informada';
-  
-  // Se a conclusão ainda está criptografada, descriptografar
-  if (typeof conclusaoFinal === 'string' && conclusaoFinal.includes(':')) {
-    try {
-      conclusaoFinal = decrypt(conclusaoFinal) || conclusaoFinal;
-    } catch (error) {
-      console.error('Erro ao descriptografar conclusão:');
-    }
-  }
-  
-  const conclusaoParagrafos = conclusaoFinal.split('\n') || ['Não informado'];
-  
-  conclusaoParagrafos.forEach(paragrafo => {
-    if (paragrafo.trim().length > 0) {
-      const height = doc.heightOfString(paragrafo, {
-        width: doc.page.width - styles.margins.left - styles.margins.right,
-        align: 'justify'
-      });
+  const larguraTexto = doc.page.width - styles.margins.left - styles.margins.right;
+
+  // Desenha um bloco de texto em parágrafos, quebrando a página quando necessário
+  const desenharParagrafos = (texto) => {
+    const paragrafos = String(texto || '').split('\n');
+
+    paragrafos.forEach(paragrafo => {
+      if (paragrafo.trim().length > 0) {
+        const height = doc.heightOfString(paragrafo, {
+          width: larguraTexto,
+          align: 'justify'
+        });
 
-      if (currentY + height > doc.page.height - 200) {
+        if (currentY + height > doc.page.height - 200) {
+          doc.addPage();
+          currentY = styles.margins.top;
+          addHeader();
+        }
+
+        doc.fillColor(styles.colors.text)
+          .font('Helvetica')
+          .fontSize(styles.fonts.normal)
+          .text(paragrafo, styles.margins.left, currentY, {
+            width: larguraTexto,
+            align: 'justify',
+            lineGap: styles.spacing.line
+          });
+
+        currentY += height + styles.spacing.paragraph;
+      }
+    });
+  };
+
+  // Laudo estruturado: cada seção da máscara é um bloco com título próprio
+  const secoesLaudo = (laudoDescriptografado.secoes || [])
+    .filter(secao => secao?.titulo && secao.conteudo && String(secao.conteudo).trim())
+    .sort((a, b) => (a.ordem || 0) - (b.ordem || 0));
+
+  if (secoesLaudo.length > 0) {
+    secoesLaudo.forEach(secao => {
+      // Evitar título órfão no final da página
+      if (currentY + 60 > doc.page.height - 200) {
         doc.addPage();
         currentY = styles.margins.top;
         addHeader();
       }
 
-      doc.fillColor(styles.colors.text)
-        .font('Helvetica')
-        .fontSize(styles.fonts.normal)
-        .text(paragrafo, styles.margins.left, currentY, {
-          width: doc.page.width - styles.margins.left - styles.margins.right,
-          align: 'justify',
-          lineGap: styles.spacing.line
-        });
+      doc.fillColor(styles.colors.secondary)
+        .font('Helvetica-Bold')
+        .fontSize(styles.fonts.section)
+        .text(secao.titulo.toUpperCase(), styles.margins.left, currentY);
+
+      currentY += styles.spacing.element + 6;
+
+      doc.strokeColor(styles.colors.border)
+        .lineWidth(0.5)
+        .moveTo(styles.margins.left, currentY - 4)
+        .lineTo(doc.page.width - styles.margins.right, currentY - 4)
+        .stroke();
 
-      currentY += height + styles.spacing.paragraph;
+      desenharParagrafos(secao.conteudo);
+      currentY += styles.spacing.element;
+    });
+  } else {
+    // Conclusão formatada com melhor tipografia - usar conclusão descriptografada
+    // Garantir que a conclusão seja descriptografada
+    let conclusaoFinal = conclusao || laudoDescriptografado.conclusao || 'Conclusão não informada';
+    
+    // Se a conclusão ainda está criptografada, descriptografar
+    if (typeof conclusaoFinal === 'string' && conclusaoFinal.includes(':')) {
+      try {
+        conclusaoFinal = decrypt(conclusaoFinal) || conclusaoFinal;
+      } catch (error) {
+        console.error('Erro ao descriptografar conclusão:');
+      }
     }
-  });
+
+    desenharParagrafos(conclusaoFinal);
+  }
+
+  // Dupla leitura: registrar o médico laudador e o revisor no documento
+  const revisao = laudoDescriptografado.revisao;
+  if (revisao?.exigida && revisao.status === 'Aprovado') {
+    if (currentY + 50 > doc.page.height - 200) {
+      doc.addPage();
+      currentY = styles.margins.top;
+      addHeader();
+    }
+
+    const laudador = laudoDescriptografado.medicoResponsavel || medicoNome;
+    const dataRevisao = revisao.dataRevisao ?
+      new Date(revisao.dataRevisao).toLocaleDateString('pt-BR') : '';
+
+    doc.fillColor(styles.colors.secondary)
+      .font('Helvetica-Bold')
+      .fontSize(styles.fonts.small)
+      .text('DUPLA LEITURA', styles.margins.left, currentY);
+
+    currentY += styles.spacing.element + 4;
+
+    doc.fillColor(styles.colors.text)
+      .font('Helvetica')
+      .fontSize(styles.fonts.small)
+      .text(
+        `Laudado por: ${laudador}   |   Revisado por: ${revisao.revisorNome || 'Não informado'}${dataRevisao ? ` em ${dataRevisao}` : ''}`,
+        styles.margins.left,
+        currentY,
+        { width: larguraTexto }
+      );
+
+    currentY += styles.spacing.section;
+  }
 
   // Adicionar link público e QR code de forma discreta no final da página
   if (publicLink && publicLink.trim() !== '') {
@@ -508,6 +715,63 @@ async function gerarConteudoPdfLaudo(doc, laudo, exame, usuarioMedico, medicoNom
   return currentY;
 }
 
+// Achado crítico informado ao criar ou assinar o laudo (achadoCritico + descricaoAchadoCritico)
+const lerAchadoCritico = (body = {}) => {
+  const marcado = body.achadoCritico === true || body.achadoCritico === 'true';
+  const descricao = String(body.descricaoAchadoCritico || '').trim();
+  if (marcado && !descricao) {
+    return { marcado, erro: 'Descreva o achado crítico' };
+  }
+  return { marcado, descricao };
+};
+
+// Dispara o alerta do achado crítico; falha no alerta não desfaz o laudo
+const registrarAchadoCriticoInformado = async (req, laudo, achadoCritico) => {
+  if (!achadoCritico.marcado) return null;
+  try {
+    const { alerta } = await registrarAchadoCritico(laudo, {
+      descricao: achadoCritico.descricao,
+      usuarioId: req.usuario.id,
+      usuarioNome: req.usuarioNome || req.usuario.nome,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+    return alerta._id;
+  } catch (err) {
+    logger.error('Erro ao registrar achado crítico:', err);
+    return null;
+  }
+};
+
+// Exame anterior escolhido para comparação (exameAnteriorId + incluirComparacaoPdf)
+const montarComparacao = async (body = {}, exame) => {
+  if (!body.exameAnteriorId) return { comparacao: undefined };
+  if (!mongoose.Types.ObjectId.isValid(body.exameAnteriorId)) {
+    return { erro: 'ID do exame anterior inválido' };
+  }
+  if (body.exameAnteriorId.toString() === exame._id.toString()) {
+    return { erro: 'O exame anterior deve ser diferente do exame laudado' };
+  }
+
+  const exameAnterior = await Exame.findOne({
+    _id: body.exameAnteriorId,
+    paciente: exame.paciente._id || exame.paciente,
+    tenant_id: exame.tenant_id
+  }).select('_id');
+  if (!exameAnterior) {
+    return { erro: 'Exame anterior não encontrado para este paciente' };
+  }
+
+  const laudoAnterior = (await buscarLaudosAssinados([exameAnterior._id])).get(exameAnterior._id.toString());
+  return {
+    comparacao: {
+      exameAnterior: exameAnterior._id,
+      laudoAnterior: laudoAnterior?._id || null,
+      incluirNoPdf: body.incluirComparacaoPdf === true || body.incluirComparacaoPdf === 'true'
+    }
+  };
+};
+
 // Helper function to handle encryption
 const encryptFields = (data) => {
     const fieldsToEncrypt = ['conteudo', 'conclusao', 'observacoes'];
@@ -577,8 +841,7 @@ function adicionarTextoVerificacaoFinal(doc, styles) {
 }
 
 // Função para adicionar área de assinatura médica - VERSÃO OTIMIZADA PARA UMA PÁGINA
-async function adicionarAreaAssinaturaMedica(doc, medicoNome, usuarioMedico, currentY, assinadoDigitalmente = false, dataAssinatura = null, certificadoInfo = null) {
-  const styles = defaultStyles;
+async function adicionarAreaAssinaturaMedica(doc, medicoNome, usuarioMedico, currentY, assinadoDigitalmente = false, dataAssinatura = null, certificadoInfo = null, styles = defaultStyles) {
   const pageWidth = doc.page.width;
   const pageHeight = doc.page.height;
   const centerX = pageWidth / 2;
@@ -752,11 +1015,13 @@ async function adicionarAreaAssinaturaMedica(doc, medicoNome, usuarioMedico, cur
         });
     }
   }
+
+  adicionarRodapeTenant(doc, styles);
   
   return assinaturaY;
 }
 // Função para gerar PDF assinado - ATUALIZADA PARA USAR CERTIFICADOS DOS MÉDICOS
-exports.gerarPdfLaudoAssinado = async (laudoId, exame, tipoExame, medicoNome, medicoId, conclusao, tenantId = 'default', senhaCertificado = null) => {
+exports.gerarPdfLaudoAssinado = async (laudoId, exame, tipoExame, medicoNome, medicoId, conclusao, tenantId = 'default', senhaCertificado = null, certificadoCarregado = null) => {
   try {
     // Obter dados completos e descriptografados
     const laudoCompleto = await obterLaudoPorId(laudoId);
@@ -771,7 +1036,9 @@ exports.gerarPdfLaudoAssinado = async (laudoId, exame, tipoExame, medicoNome, me
     doc.on('data', chunk => pdfBuffers.push(chunk));
 
     // Gerar link público para o laudo
-    const publicLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/publico/${laudoId}`;
+    const publicLink = await obterUrlPublicaLaudo(laudoCompleto, { usuarioId: medicoId });
+
+    const styles = await obterEstilosPdfTenant(laudoCompleto.tenant_id);
 
     // Gerar conteúdo do PDF usando dados descriptografados
     const currentY = await gerarConteudoPdfLaudo(
@@ -782,22 +1049,25 @@ exports.gerarPdfLaudoAssinado = async (laudoId, exame, tipoExame, medicoNome, me
       medicoNome, 
       conclusao, 
       publicLink, 
-      defaultStyles
+      styles
     );
 
-    // Buscar certificado digital do médico para obter informações
+    // Buscar certificado digital do médico (na assinatura em lote ele já vem carregado)
     const certificadoService = require('../services/certificadoDigitalService');
-    let certificadoInfo = null;
-    
-    try {
-      const certInfo = await certificadoService.obterCertificadoParaAssinatura(medicoId);
-      certificadoInfo = certInfo.informacoes;
-    } catch (certificadoError) {
-      console.warn(`Certificado digital não encontrado para médico ${medicoId}:`, certificadoError.message);
+    let certificadoParaAssinatura = certificadoCarregado;
+
+    if (!certificadoParaAssinatura) {
+      try {
+        certificadoParaAssinatura = await certificadoService.obterCertificadoParaAssinatura(medicoId);
+      } catch (certificadoError) {
+        console.warn(`Certificado digital não encontrado para médico ${medicoId}:`, certificadoError.message);
+      }
     }
 
+    const certificadoInfo = certificadoParaAssinatura?.informacoes || null;
+
     // Adicionar área de assinatura no final do documento
-    await adicionarAreaAssinaturaMedica(doc, medicoNome, usuarioMedico, currentY, true, new Date(), certificadoInfo);
+    await adicionarAreaAssinaturaMedica(doc, medicoNome, usuarioMedico, currentY, true, new Date(), certificadoInfo, styles);
 
     await new Promise((resolve, reject) => {
       doc.on('end', resolve);
@@ -807,14 +1077,7 @@ exports.gerarPdfLaudoAssinado = async (laudoId, exame, tipoExame, medicoNome, me
 
     const pdfBuffer = Buffer.concat(pdfBuffers);
 
-    // Buscar certificado digital do médico para assinatura
-    let certificadoParaAssinatura = null;
-    
-    try {
-      certificadoParaAssinatura = await certificadoService.obterCertificadoParaAssinatura(medicoId);
-    } catch (certificadoError) {
-      console.warn(`Certificado digital não encontrado para médico ${medicoId}:`, certificadoError.message);
-      
+    if (!certificadoParaAssinatura) {
       // Se não há certificado do médico, fazer upload sem assinatura para S3
       try {
         const uploadResult = await uploadLaudoToS3(
@@ -862,64 +1125,7 @@ exports.gerarPdfLaudoAssinado = async (laudoId, exame, tipoExame, medicoNome, me
 
     // Assinar com certificado do médico
     try {
-      const { SignPdf } = await import('@signpdf/signpdf');
-      const { P12Signer } = await import('@signpdf/signer-p12');
-      
-      const bufferCertificado = certificadoParaAssinatura.bufferCertificado;
-      const senhaOriginal = certificadoParaAssinatura.senha; // Senha original descriptografada
-      
-      // Testar diferentes variações da senha
-      const senhasParaTestar = [
-        senhaOriginal,
-        senhaOriginal?.trim(),
-        senhaOriginal?.toLowerCase(),
-        senhaOriginal?.toUpperCase(),
-        ''  // senha vazia
-      ].filter(Boolean);
-      
-      const forge = require('node-forge');
-      let senhaCorreta = null;
-      let signedPdf = null;
-      
-      for (let i = 0; i < senhasParaTestar.length; i++) {
-        try {
-          const senhaTest = senhasParaTestar[i];
-          
-          // Validar senha com node-forge primeiro
-          const p12Asn1 = forge.asn1.fromDer(bufferCertificado.toString('binary'));
-          const p12 = forge.pkcs12.pkcs12FromAsn1(p12Asn1, senhaTest);
-          
-          // Se a validação passou, tentar assinar o PDF
-          const pdfWithPlaceholder = plainAddPlaceholder({
-            pdfBuffer,
-            reason: 'Assinatura Digital Laudo Médico',
-            name: certificadoParaAssinatura.informacoes.medico,
-            location: 'Sistema LaudoFy',
-          });
-
-          const signer = new P12Signer(bufferCertificado, { passphrase: senhaTest });
-          const signPdf = new SignPdf();
-          
-          signedPdf = await signPdf.sign(pdfWithPlaceholder, signer);
-          
-          senhaCorreta = senhaTest;
-          break; // Sair do loop, encontramos a senha correta
-          
-        } catch (testError) {
-          // Continuar testando próxima variação
-        }
-      }
-      
-      if (!senhaCorreta || !signedPdf) {
-        throw new Error('Nenhuma variação de senha funcionou para assinatura');
-      }
-
-      // Registrar uso do certificado
-      const CertificadoDigital = require('../models/CertificadoDigital');
-      const certificado = await CertificadoDigital.findById(certificadoParaAssinatura.certificadoId);
-      if (certificado) {
-        await certificado.registrarUso(true);
-      }
+      const signedPdf = await assinarPdfComCertificado(pdfBuffer, certificadoParaAssinatura);
 
       // Upload do PDF assinado para S3
       try {
@@ -968,6 +1174,11 @@ exports.gerarPdfLaudoAssinado = async (laudoId, exame, tipoExame, medicoNome, me
       }
     } catch (signError) {
       console.error('Error signing PDF');
+
+      // Com TSA obrigatória o laudo não pode ser liberado sem a assinatura carimbada
+      if (ehFalhaCarimboObrigatorio(signError)) {
+        throw signError;
+      }
       
       // Fall back to unsigned PDF if signing fails - upload para S3
       try {
@@ -1019,21 +1230,366 @@ exports.gerarPdfLaudoAssinado = async (laudoId, exame, tipoExame, medicoNome, me
   }
 };
 
+// Gera o PDF original (sem assinatura digital) e salva no S3.
+// Também usado para regenerar o PDF quando o conteúdo muda antes da assinatura (ex.: revisão).
+exports.gerarPdfOriginalLaudo = async (laudo, usuarioId, usuarioNome) => {
+  // Obter dados completos do laudo para gerar PDF
+  const laudoCompleto = await obterLaudoPorId(laudo._id);
+  if (!laudoCompleto) {
+    throw new Error('Erro ao obter dados do laudo');
+  }
+
+  // Buscar usuário médico
+  const usuarioMedico = await Usuario.findById(usuarioId);
+
+  // Gerar PDF original
+  const pdfBuffers = [];
+  const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+  
+  doc.on('data', chunk => pdfBuffers.push(chunk));
+
+  // Gerar link público para o laudo original
+  const publicLink = await obterUrlPublicaLaudo(laudoCompleto, { usuarioId });
+
+  const styles = await obterEstilosPdfTenant(laudoCompleto.tenant_id);
+
+  // Gerar conteúdo do PDF
+  await gerarConteudoPdfLaudo(
+    doc, 
+    laudoCompleto, 
+    laudoCompleto.exame, 
+    usuarioMedico, 
+    usuarioNome, 
+    laudoCompleto.conclusao, 
+    publicLink, 
+    styles
+  );
+
+  // Adicionar área de assinatura FÍSICA (com linha) para o laudo original
+  await adicionarAreaAssinaturaMedica(
+    doc, 
+    usuarioNome, 
+    usuarioMedico, 
+    doc.y || 600, 
+    false, // NÃO assinado digitalmente - mostra linha para assinatura física
+    null,
+    null,
+    styles
+  );
+
+  // Finalizar documento
+  await new Promise((resolve, reject) => {
+    doc.on('end', resolve);
+    doc.on('error', reject);
+    doc.end();
+  });
+
+  const pdfBuffer = Buffer.concat(pdfBuffers);
+  const chaveAnterior = laudo.laudoOriginalKey;
+
+  // Fazer upload do PDF original para S3
+  try {
+    const uploadResult = await uploadLaudoToS3(
+      pdfBuffer, 
+      laudo._id, 
+      laudo.tenant_id, 
+      'original', 
+      `laudo_original_${laudo._id}.pdf`
+    );
+    
+    // Salvar chave S3 no laudo
+    laudo.laudoOriginalKey = uploadResult.key;
+    laudo.laudoOriginal = uploadResult.url; // Manter compatibilidade com UploadCare legado
+    
+    await laudo.save();
+    
+    console.log(`PDF original salvo no S3: ${uploadResult.key}`);
+
+    // Remover a versão anterior do PDF original, se houver
+    if (chaveAnterior && chaveAnterior !== uploadResult.key) {
+      await deleteLaudoFromS3(chaveAnterior);
+    }
+  } catch (s3Error) {
+    console.error('Erro ao fazer upload do PDF original para S3:', s3Error);
+    // Continuar sem falhar - o PDF será gerado dinamicamente quando necessário
+  }
+
+  return pdfBuffer;
+};
+
+// Gera o PDF (uma página) de um adendo ao laudo assinado
+exports.gerarPdfAdendoLaudo = async (laudoId, adendo, assinadoDigitalmente = false, certificadoInfo = null) => {
+  const laudoCompleto = await obterLaudoPorId(laudoId);
+  if (!laudoCompleto) {
+    throw new Error('Laudo não encontrado');
+  }
+
+  const styles = await obterEstilosPdfTenant(laudoCompleto.tenant_id);
+  const usuarioMedico = await Usuario.findById(adendo.medicoId);
+  const medicoNome = adendo.medicoNome || usuarioMedico?.nome;
+
+  const pdfBuffers = [];
+  const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+  doc.on('data', chunk => pdfBuffers.push(chunk));
+
+  const larguraTexto = doc.page.width - styles.margins.left - styles.margins.right;
+
+  // Cabeçalho
+  doc.fillColor(styles.colors.primary)
+    .rect(0, 0, doc.page.width, 70)
+    .fill();
+
+  doc.fillColor(styles.colors.light)
+    .font('Helvetica-Bold')
+    .fontSize(styles.fonts.title)
+    .text(`ADENDO Nº ${adendo.numero} AO LAUDO`, styles.margins.left, 22);
+
+  doc.font('Helvetica')
+    .fontSize(styles.fonts.small)
+    .text(`Código de validação do laudo: ${laudoCompleto._id.toString().slice(-8).toUpperCase()}`, styles.margins.left, 45);
+
+  let currentY = 90;
+
+  const infos = [
+    { label: 'Paciente', value: laudoCompleto.exame?.paciente?.nome || 'Não informado' },
+    { label: 'Exame', value: laudoCompleto.exame?.tipoExame?.nome || 'Não informado' },
+    { label: 'Data do exame', value: laudoCompleto.exame?.dataExame ?
+      new Date(laudoCompleto.exame.dataExame).toLocaleDateString('pt-BR') : 'Não informado' },
+    { label: 'Laudo assinado em', value: laudoCompleto.dataAssinatura ?
+      new Date(laudoCompleto.dataAssinatura).toLocaleString('pt-BR') : 'Não informado' },
+    { label: 'Médico responsável pelo laudo', value: laudoCompleto.medicoResponsavel || 'Não informado' },
+    { label: 'Data do adendo', value: new Date(adendo.data || Date.now()).toLocaleString('pt-BR') }
+  ];
+
+  infos.forEach(info => {
+    doc.fillColor(styles.colors.secondary)
+      .font('Helvetica-Bold')
+      .fontSize(styles.fonts.label)
+      .text(`${info.label}: `, styles.margins.left, currentY, { continued: true })
+      .fillColor(styles.colors.text)
+      .font('Helvetica')
+      .text(String(info.value));
+    currentY += styles.spacing.paragraph + 2;
+  });
+
+  currentY += styles.spacing.element;
+
+  if (adendo.motivo) {
+    doc.fillColor(styles.colors.secondary)
+      .font('Helvetica-Bold')
+      .fontSize(styles.fonts.section)
+      .text('MOTIVO', styles.margins.left, currentY);
+    currentY += styles.spacing.element + 6;
+
+    doc.fillColor(styles.colors.text)
+      .font('Helvetica')
+      .fontSize(styles.fonts.normal)
+      .text(adendo.motivo, styles.margins.left, currentY, { width: larguraTexto, align: 'justify' });
+    currentY = doc.y + styles.spacing.section;
+  }
+
+  doc.fillColor(styles.colors.secondary)
+    .font('Helvetica-Bold')
+    .fontSize(styles.fonts.section)
+    .text('COMPLEMENTO', styles.margins.left, currentY);
+  currentY += styles.spacing.element + 6;
+
+  String(adendo.texto || '').split('\n').forEach(paragrafo => {
+    if (paragrafo.trim().length === 0) return;
+    doc.fillColor(styles.colors.text)
+      .font('Helvetica')
+      .fontSize(styles.fonts.normal)
+      .text(paragrafo, styles.margins.left, currentY, {
+        width: larguraTexto,
+        align: 'justify',
+        lineGap: styles.spacing.line
+      });
+    currentY = doc.y + styles.spacing.paragraph;
+  });
+
+  doc.fillColor(styles.colors.gray)
+    .font('Helvetica-Oblique')
+    .fontSize(styles.fonts.small)
+    .text('Este adendo complementa o laudo original, que permanece válido e com a assinatura inalterada.',
+      styles.margins.left, currentY + styles.spacing.element, { width: larguraTexto });
+
+  await adicionarAreaAssinaturaMedica(
+    doc,
+    medicoNome,
+    usuarioMedico,
+    doc.y + styles.spacing.section,
+    assinadoDigitalmente,
+    adendo.data,
+    certificadoInfo,
+    styles
+  );
+
+  await new Promise((resolve, reject) => {
+    doc.on('end', resolve);
+    doc.on('error', reject);
+    doc.end();
+  });
+
+  return Buffer.concat(pdfBuffers);
+};
+
+// Baixa o PDF assinado do laudo (S3 ou URL legada do UploadCare)
+const obterBufferLaudoAssinado = async (laudo) => {
+  if (laudo.laudoAssinadoKey) {
+    return downloadLaudoFromS3(laudo.laudoAssinadoKey);
+  }
+
+  const arquivoUrl = laudo.arquivoPath || laudo.laudoAssinado;
+  if (arquivoUrl && arquivoUrl.startsWith('http')) {
+    const axios = require('axios');
+    const response = await axios.get(arquivoUrl, { responseType: 'arraybuffer', timeout: 30000 });
+    return Buffer.from(response.data);
+  }
+
+  return null;
+};
+
+// Gera um laudo de exemplo com a identidade visual do tenant (prévia do branding)
+exports.gerarPdfPreviaBranding = async (tenantId) => {
+  const laudoExemplo = {
+    _id: new mongoose.Types.ObjectId(),
+    secoes: [
+      { titulo: 'Análise', ordem: 1, conteudo: 'Ritmo sinusal regular, frequência cardíaca de 72 bpm.\nEixo elétrico normal. Intervalos PR e QRS dentro dos limites da normalidade.' },
+      { titulo: 'Conclusão', ordem: 2, conteudo: 'Eletrocardiograma dentro dos limites da normalidade.' }
+    ]
+  };
+  const exameExemplo = {
+    tipoExame: { nome: 'Eletrocardiograma' },
+    dataExame: new Date(),
+    frequenciaCardiaca: 72,
+    segmentoPR: 160,
+    duracaoQRS: 90,
+    paciente: {
+      nome: 'Paciente Exemplo',
+      cpf: '000.000.000-00',
+      dataNascimento: '1980-01-01'
+    }
+  };
+  const medicoExemplo = { crm: '000000/UF' };
+
+  const pdfBuffers = [];
+  const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+  doc.on('data', chunk => pdfBuffers.push(chunk));
+
+  const styles = await obterEstilosPdfTenant(tenantId);
+  const currentY = await gerarConteudoPdfLaudo(
+    doc,
+    laudoExemplo,
+    exameExemplo,
+    medicoExemplo,
+    'Médico Exemplo',
+    null,
+    montarUrlPublica('exemplo'),
+    styles
+  );
+
+  await adicionarAreaAssinaturaMedica(doc, 'Médico Exemplo', medicoExemplo, currentY, false, null, null, styles);
+
+  await new Promise((resolve, reject) => {
+    doc.on('end', resolve);
+    doc.on('error', reject);
+    doc.end();
+  });
+
+  return Buffer.concat(pdfBuffers);
+};
+
+// PDF assinado com as páginas dos adendos anexadas por atualização incremental,
+// preservando os bytes (e a assinatura) do documento original
+exports.obterPdfAssinadoComAdendos = async (laudo) => {
+  let pdf = await obterBufferLaudoAssinado(laudo);
+  if (!pdf) return null;
+
+  const adendos = (laudo.adendos || [])
+    .filter(adendo => adendo.arquivoKey)
+    .sort((a, b) => a.numero - b.numero);
+
+  for (const adendo of adendos) {
+    const pdfAdendo = await downloadLaudoFromS3(adendo.arquivoKey);
+    pdf = await anexarPaginasIncremental(pdf, pdfAdendo);
+  }
+
+  return pdf;
+};
+
+// Etapas comuns à emissão do laudo (criação direta ou finalização de rascunho):
+// valor, PDF original, status do exame, liberação da worklist e SLA
+exports.concluirEmissaoLaudo = async (laudo, exame, usuarioId, usuarioNome) => {
+  // Verificar se o médico tem certificado digital ativo
+  const CertificadoDigital = require('../models/CertificadoDigital');
+  const certificadoAtivo = await CertificadoDigital.findOne({
+    medicoId: usuarioId,
+    ativo: true,
+    dataVencimento: { $gt: new Date() }
+  });
+
+  // Calcular valor do laudo se os IDs necessários estão disponíveis
+  if (laudo.tipoExameId && laudo.especialidadeId) {
+    await laudo.calcularValorPago();
+  }
+
+  await laudo.save();
+
+  // === GERAR E SALVAR PDF ORIGINAL NO S3 ===
+  try {
+    await exports.gerarPdfOriginalLaudo(laudo, usuarioId, usuarioNome);
+  } catch (pdfError) {
+    console.error('Erro ao gerar PDF original:', pdfError);
+    // Continuar sem falhar - o PDF será gerado dinamicamente quando necessário
+  }
+
+  // Atualizar status do exame
+  exame.status = certificadoAtivo ? 'Laudo pronto para assinatura' : 'Laudo realizado';
+  exame.laudo = laudo._id;
+  await exame.save();
+
+  // Exame laudado sai da worklist: liberar o bloqueio
+  await liberarBloqueio({ _id: exame._id }, usuarioId);
+
+  // SLA: registrar a conclusão dentro (ou fora) do prazo
+  try {
+    await registrarConclusaoSla(exame._id, laudo.createdAt);
+  } catch (slaError) {
+    logger.error('Erro ao registrar conclusão do SLA:', slaError);
+  }
+
+  return { certificadoAtivo: !!certificadoAtivo };
+};
+
 // --- CRIAÇÃO DO LAUDO JÁ ASSINADO ---
 exports.criarLaudo = async (req, res) => {
   let laudo;
+  let exameBloqueadoId = null;
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { exameId, conclusao } = req.body;
+    const { exameId, mascaraId } = req.body;
     const usuarioId = req.usuario.id;
     const usuarioNome = req.usuarioNome;
 
+    // Laudo estruturado: a conclusão pode ser derivada das seções da máscara
+    const secoes = normalizarSecoes(req.body.secoes);
+    const conclusao = req.body.conclusao || montarConclusaoDasSecoes(secoes);
+
     if (!exameId || !conclusao) {
-      return res.status(400).json({ erro: 'Exame e conclusão são obrigatórios' });
+      return res.status(400).json({ erro: 'Exame e conclusão (ou seções da máscara) são obrigatórios' });
+    }
+
+    const achadoCritico = lerAchadoCritico(req.body);
+    if (achadoCritico.erro) {
+      return res.status(400).json({ erro: achadoCritico.erro });
+    }
+
+    if (mascaraId && !mongoose.Types.ObjectId.isValid(mascaraId)) {
+      return res.status(400).json({ erro: 'ID da máscara inválido' });
     }
 
     const exame = await Exame.findById(exameId)
@@ -1044,141 +1600,82 @@ exports.criarLaudo = async (req, res) => {
       return res.status(404).json({ erro: 'Exame não encontrado' });
     }
 
-    const tenantId = exame.tenant_id;
-
-    const laudoExistente = await Laudo.findOne({ exame: exameId, valido: true });
-    if (laudoExistente) {
-      return res.status(400).json({ erro: 'Já existe um laudo válido para este exame' });
+    // Apenas máscaras do tenant do exame ou globais
+    let mascara = null;
+    if (mascaraId) {
+      mascara = await MascaraLaudo.buscarParaTenant(mascaraId, exame.tenant_id, 'versao tipoExameId');
+      if (!mascara) {
+        return res.status(404).json({ erro: 'Máscara de laudo não encontrada' });
+      }
     }
 
-    const gerarCodigoAcesso = () => Math.floor(1000 + Math.random() * 9000).toString();
-    const codigoAcesso = gerarCodigoAcesso();
-
-    // Buscar médico para obter especialidade
-    const medico = await Usuario.findById(usuarioId).populate('especialidades');
-
-    // Verificar se o médico tem certificado digital ativo
-    const CertificadoDigital = require('../models/CertificadoDigital');
-    const certificadoAtivo = await CertificadoDigital.findOne({
-      medicoId: usuarioId,
-      ativo: true,
-      dataVencimento: { $gt: new Date() }
-    });
-
-    // Cria o laudo com status baseado na presença de certificado
-    const laudoData = {
-      exame: exameId,
-      medicoResponsavel: usuarioNome,
-      medicoResponsavelId: usuarioId,
-      conclusao,
-      status: 'Laudo pronto para assinatura',
-      valido: true,
-      criadoPor: usuarioNome,
-      criadoPorId: usuarioId,
-      codigoAcesso,
-      tenant_id: tenantId,
-      tipoExameId: exame.tipoExame,
-      especialidadeId: medico?.especialidades?.[0] || null
-    };
-
-    // Encrypt sensitive fields
-    const encryptedData = encryptFields(laudoData);
-
-    laudo = new Laudo(encryptedData);
-
-    // Calcular valor do laudo se os IDs necessários estão disponíveis
-    if (laudo.tipoExameId && laudo.especialidadeId) {
-      await laudo.calcularValorPago();
+    if (mascara && mascara.tipoExameId.toString() !== exame.tipoExame._id.toString()) {
+      return res.status(400).json({ erro: 'A máscara não corresponde ao tipo de exame' });
     }
 
-    await laudo.save();
-
-    // === GERAR E SALVAR PDF ORIGINAL NO S3 ===
-    try {
-      // Obter dados completos do laudo para gerar PDF
-      const laudoCompleto = await obterLaudoPorId(laudo._id);
-      if (!laudoCompleto) {
-        throw new Error('Erro ao obter dados do laudo criado');
-      }
-
-      // Buscar usuário médico
-      const usuarioMedico = await Usuario.findById(usuarioId);
-
-      // Gerar PDF original
-      const pdfBuffers = [];
-      const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
-      
-      doc.on('data', chunk => pdfBuffers.push(chunk));
-
-      // Gerar link público para o laudo original
-      const publicLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/publico/${laudo._id}`;
+    const { comparacao, erro: erroComparacao } = await montarComparacao(req.body, exame);
+    if (erroComparacao) {
+      return res.status(400).json({ erro: erroComparacao });
+    }
 
-      // Gerar conteúdo do PDF
-      await gerarConteudoPdfLaudo(
-        doc, 
-        laudoCompleto, 
-        laudoCompleto.exame, 
-        usuarioMedico, 
-        usuarioNome, 
-        laudoCompleto.conclusao, 
-        publicLink, 
-        defaultStyles
-      );
+    const tenantId = exame.tenant_id;
 
-      // Adicionar área de assinatura FÍSICA (com linha) para o laudo original
-      await adicionarAreaAssinaturaMedica(
-        doc, 
-        usuarioNome, 
-        usuarioMedico, 
-        doc.y || 600, 
-        false, // NÃO assinado digitalmente - mostra linha para assinatura física
-        null,
-        null
-      );
+    const laudoExistente = await Laudo.findOne({ exame: exameId, valido: true });
+    if (laudoExistente) {
+      return res.status(400).json({ erro: 'Já existe um laudo válido para este exame' });
+    }
 
-      // Finalizar documento
-      await new Promise((resolve, reject) => {
-        doc.on('end', resolve);
-        doc.on('error', reject);
-        doc.end();
+    // Worklist: apenas o médico que detém o bloqueio do exame pode laudá-lo
+    // (exame livre é assumido aqui mesmo, de forma atômica)
+    const exameBloqueado = await assumirBloqueio({ _id: exameId }, usuarioId, usuarioNome);
+    if (!exameBloqueado) {
+      const atual = await Exame.findById(exameId).select('bloqueio');
+      return res.status(409).json({
+        erro: 'Este exame está sendo laudado por outro médico',
+        bloqueio: {
+          usuarioNome: atual?.bloqueio?.usuarioNome,
+          expiraEm: atual?.bloqueio?.expiraEm
+        }
       });
+    }
+    exameBloqueadoId = exameBloqueado._id;
 
-      const pdfBuffer = Buffer.concat(pdfBuffers);
+    const codigoAcesso = gerarCodigoAcesso();
 
-      // Fazer upload do PDF original para S3
-      const { uploadLaudoToS3 } = require('../services/laudoStorageService');
-      
-      try {
-        const uploadResult = await uploadLaudoToS3(
-          pdfBuffer, 
-          laudo._id, 
-          tenantId, 
-          'original', 
-          `laudo_original_${laudo._id}.pdf`
-        );
-        
-        // Salvar chave S3 no laudo
-        laudo.laudoOriginalKey = uploadResult.key;
-        laudo.laudoOriginal = uploadResult.url; // Manter compatibilidade com UploadCare legado
-        
-        await laudo.save();
-        
-        console.log(`PDF original salvo no S3: ${uploadResult.key}`);
-        
-      } catch (s3Error) {
-        console.error('Erro ao fazer upload do PDF original para S3:', s3Error);
-        // Continuar sem falhar - o PDF será gerado dinamicamente quando necessário
-      }
-      
-    } catch (pdfError) {
-      console.error('Erro ao gerar PDF original:', pdfError);
-      // Continuar sem falhar - o PDF será gerado dinamicamente quando necessário
-    }
+    // Buscar médico para obter especialidade
+    const medico = await Usuario.findById(usuarioId).populate('especialidades');
 
-    // Atualizar status do exame
-    exame.status = certificadoAtivo ? 'Laudo pronto para assinatura' : 'Laudo realizado';
-    exame.laudo = laudo._id;
-    await exame.save();
+    // Tipos de exame com dupla leitura exigem revisão de um segundo médico antes da assinatura
+    const exigeRevisao = !!exame.tipoExame?.exigeDuplaLeitura;
+
+    // Cria o laudo com status baseado na presença de certificado
+    const laudoData = {
+      exame: exameId,
+      medicoResponsavel: usuarioNome,
+      medicoResponsavelId: usuarioId,
+      conclusao,
+      secoes,
+      mascaraId: mascara?._id,
+      mascaraVersao: mascara?.versao,
+      ...situacaoInicialLaudo(exame.tipoExame),
+      valido: true,
+      criadoPor: usuarioNome,
+      criadoPorId: usuarioId,
+      codigoAcesso,
+      tenant_id: tenantId,
+      tipoExameId: exame.tipoExame,
+      especialidadeId: medico?.especialidades?.[0] || null,
+      comparacao
+    };
+
+    // Encrypt sensitive fields
+    const encryptedData = encryptFields(laudoData);
+
+    laudo = new Laudo(encryptedData);
+
+    const { certificadoAtivo } = await exports.concluirEmissaoLaudo(laudo, exame, usuarioId, usuarioNome);
+
+    const alertaCriticoId = await registrarAchadoCriticoInformado(req, laudo, achadoCritico);
 
     await AuditLog.create({
       userId: usuarioId,
@@ -1193,22 +1690,31 @@ exports.criarLaudo = async (req, res) => {
       additionalInfo: {
         pacienteId: exame.paciente._id,
         tipoExame: exame.tipoExame.nome,
-        temCertificado: !!certificadoAtivo
+        temCertificado: !!certificadoAtivo,
+        exigeRevisao,
+        alertaCritico: alertaCriticoId
       },
       tenant_id: tenantId
     });
 
+    let mensagem = certificadoAtivo ? 'Laudo criado! Você pode assinar automaticamente ou fazer upload do laudo assinado.' : 'Laudo criado! Faça upload do laudo assinado para finalizar.';
+    if (exigeRevisao) {
+      mensagem = 'Laudo criado! Este tipo de exame exige dupla leitura: o laudo foi enviado para revisão de outro médico antes da assinatura.';
+    }
+
     res.status(201).json({
-      mensagem: certificadoAtivo ? 'Laudo criado! Você pode assinar automaticamente ou fazer upload do laudo assinado.' : 'Laudo criado! Faça upload do laudo assinado para finalizar.',
+      mensagem,
       laudo: {
         id: laudo._id,
         exame: exameId,
         status: laudo.status,
         criadoEm: laudo.createdAt,
         valorPago: laudo.valorPago,
-        temCertificado: !!certificadoAtivo
+        temCertificado: !!certificadoAtivo,
+        exigeRevisao
       },
       temCertificado: !!certificadoAtivo,
+      alertaCritico: alertaCriticoId,
       valido: true
     });
 
@@ -1221,6 +1727,15 @@ exports.criarLaudo = async (req, res) => {
       });
     }
 
+    // Não manter o exame bloqueado na worklist por uma emissão que falhou
+    if (exameBloqueadoId) {
+      try {
+        await liberarBloqueio({ _id: exameBloqueadoId }, req.usuario.id);
+      } catch (bloqueioError) {
+        logger.error('Erro ao liberar bloqueio do exame:', bloqueioError);
+      }
+    }
+
     res.status(500).json({
       erro: 'Erro ao criar laudo',
       detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
@@ -1234,9 +1749,9 @@ exports.refazerLaudo = async (req, res) => {
   try {
     const laudoId = req.params.id;
     const { conclusao } = req.body;
-    const usuarioId = req.usuarioId;
+    const motivo = (req.body.motivo || req.body.motivoRefacao || '').trim();
+    const usuarioId = req.usuario.id;
     const usuarioNome = req.usuarioNome;
-    const tenantId = req.tenant_id;
 
     // Busca o laudo original
     const laudoOriginal = await Laudo.findById(laudoId).populate({
@@ -1248,8 +1763,15 @@ exports.refazerLaudo = async (req, res) => {
       return res.status(404).json({ erro: 'Laudo original não encontrado' });
     }
 
+    // Apenas a versão atual pode ser refeita (a cadeia de versões é linear)
+    if (laudoOriginal.laudoSubstituto) {
+      return res.status(400).json({ erro: 'Este laudo já foi substituído por uma versão mais recente' });
+    }
+
+    const tenantId = laudoOriginal.tenant_id;
+    const novaVersao = (laudoOriginal.versao || 1) + 1;
+
     // Cria novo laudo (nova versão)
-    const gerarCodigoAcesso = () => Math.floor(1000 + Math.random() * 9000).toString();
     const codigoAcesso = gerarCodigoAcesso();
 
     novoLaudo = new Laudo({
@@ -1257,8 +1779,24 @@ exports.refazerLaudo = async (req, res) => {
       medicoResponsavel: usuarioNome,
       medicoResponsavelId: usuarioId,
       conclusao: conclusao || laudoOriginal.conclusao,
-      status: 'Laudo assinado',
+      secoes: req.body.secoes !== undefined
+        ? normalizarSecoes(req.body.secoes)
+        : (laudoOriginal.secoes || []).map(secao => secao.toObject()),
+      mascaraId: laudoOriginal.mascaraId,
+      mascaraVersao: laudoOriginal.mascaraVersao,
+      // A nova versão passa pela mesma dupla leitura da criação antes de ser assinada
+      ...situacaoInicialLaudo(laudoOriginal.exame.tipoExame, 'Laudo assinado'),
       valido: true,
+      versao: novaVersao,
+      laudoAnterior: laudoOriginal._id,
+      motivoRefacao: motivo || undefined,
+      comparacao: laudoOriginal.comparacao?.exameAnterior
+        ? {
+          exameAnterior: laudoOriginal.comparacao.exameAnterior,
+          laudoAnterior: laudoOriginal.comparacao.laudoAnterior,
+          incluirNoPdf: laudoOriginal.comparacao.incluirNoPdf
+        }
+        : undefined,
       criadoPor: usuarioNome,
       criadoPorId: usuarioId,
       codigoAcesso,
@@ -1269,8 +1807,8 @@ exports.refazerLaudo = async (req, res) => {
           usuario: usuarioId,
           nomeUsuario: usuarioNome,
           acao: 'Refação',
-          detalhes: 'Laudo refeito',
-          versao: (laudoOriginal.historico?.length || 0) + 1
+          detalhes: motivo ? `Laudo refeito: ${motivo}` : 'Laudo refeito',
+          versao: novaVersao
         }
       ],
       tenant_id: tenantId,
@@ -1285,6 +1823,16 @@ exports.refazerLaudo = async (req, res) => {
 
     await novoLaudo.save();
 
+    // Encadeia as versões: a anterior deixa de ser válida e aponta para a substituta
+    laudoOriginal.valido = false;
+    laudoOriginal.ehVersaoAtual = false;
+    laudoOriginal.status = 'Laudo refeito';
+    laudoOriginal.laudoSubstituto = novoLaudo._id;
+    laudoOriginal.motivoSubstituicao = motivo || undefined;
+    laudoOriginal.atualizadoPor = usuarioNome;
+    laudoOriginal.atualizadoPorId = usuarioId;
+    await laudoOriginal.save();
+
     // Atualiza exame para apontar para o novo laudo
     laudoOriginal.exame.laudo = novoLaudo._id;
     laudoOriginal.exame.status = 'Laudo realizado';
@@ -1293,8 +1841,8 @@ exports.refazerLaudo = async (req, res) => {
     // Auditoria
     await AuditLog.create({
       userId: usuarioId,
-      action: 'recreate',
-      description: `Laudo refeito para exame ${laudoOriginal.exame._id}`,
+      action: 'update',
+      description: `Laudo refeito para exame ${laudoOriginal.exame._id} (versão ${novaVersao})`,
       collectionName: 'laudos',
       documentId: novoLaudo._id,
       before: laudoOriginal.toObject(),
@@ -1308,6 +1856,28 @@ exports.refazerLaudo = async (req, res) => {
       tenant_id: tenantId
     });
 
+    // Com revisão pendente a nova versão só é assinada após a aprovação do revisor
+    if (revisaoPendente(novoLaudo)) {
+      try {
+        await exports.gerarPdfOriginalLaudo(novoLaudo, usuarioId, usuarioNome);
+      } catch (pdfError) {
+        logger.error('Erro ao gerar PDF original da nova versão:', pdfError);
+      }
+
+      return res.status(201).json({
+        mensagem: 'Laudo refeito! Este tipo de exame exige dupla leitura: a nova versão foi enviada para revisão de outro médico antes da assinatura.',
+        laudo: {
+          id: novoLaudo._id,
+          exame: laudoOriginal.exame._id,
+          status: novoLaudo.status,
+          criadoEm: novoLaudo.createdAt,
+          valorPago: novoLaudo.valorPago,
+          exigeRevisao: true
+        },
+        valido: true
+      });
+    }
+
     // Gera o PDF assinado
     const resultado = await exports.gerarPdfLaudoAssinado(
       novoLaudo._id,
@@ -1323,6 +1893,9 @@ exports.refazerLaudo = async (req, res) => {
     novoLaudo.dataAssinatura = new Date();
     await novoLaudo.save();
 
+    // Exportar o resultado para os sistemas hospitalares (HL7)
+    agendarExportacaoLaudo(novoLaudo._id);
+
     res.status(201).json({
       mensagem: 'Laudo refeito e assinado com sucesso',
       laudo: {
@@ -1378,7 +1951,7 @@ exports.listarLaudosPorPaciente = async (req, res) => {
     }
 
     // Buscar laudos dos exames do paciente
-    let query = { exame: { $in: exameIds } };
+    let query = { exame: { $in: exameIds }, status: { $ne: 'Rascunho' } };
     
     // Aplicar filtro de tenant se não for adminMaster
     if (req.usuario.role !== 'adminMaster') {
@@ -1469,15 +2042,18 @@ exports.listarLaudos = async (req, res) => {
       }
     }
     
-    // Aplicar filtros básicos
-    if (req.query.status && req.query.status.trim() !== '') {
-      baseQuery.status = req.query.status.trim();
-    }
+    // Aplicar filtros básicos (rascunhos só do próprio médico e quando solicitados explicitamente)
+    Object.assign(baseQuery, filtroStatusListagem(req.query.status, req.usuario.id));
     
     if (req.query.exameId && req.query.exameId.trim() !== '') {
       baseQuery.exame = req.query.exameId.trim();
     }
 
+    // Filtro pela situação do envio por e-mail (ex.: falhas para reenvio)
+    if (req.query.statusEnvio && req.query.statusEnvio.trim() !== '') {
+      baseQuery.statusEnvio = req.query.statusEnvio.trim();
+    }
+
     // Filtro de datas
     if (req.query.dataInicio || req.query.dataFim) {
       baseQuery.createdAt = {};
@@ -1924,7 +2500,9 @@ exports.downloadLaudoOriginal = async (req, res) => {
       doc.on('data', chunk => pdfBuffers.push(chunk));
 
       // Gerar link público para o laudo
-      const publicLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/publico/${id}`;
+      const publicLink = await obterUrlPublicaLaudo(laudoCompleto, { usuarioId: req.usuario.id });
+
+      const styles = await obterEstilosPdfTenant(laudoCompleto.tenant_id);
 
       // Gerar conteúdo do PDF
       const currentY = await gerarConteudoPdfLaudo(
@@ -1935,7 +2513,7 @@ exports.downloadLaudoOriginal = async (req, res) => {
         medicoNome, 
         laudoCompleto.conclusao, 
         publicLink, 
-        defaultStyles
+        styles
       );
 
       // Adicionar área de assinatura FÍSICA (com linha) para o laudo original
@@ -1946,7 +2524,8 @@ exports.downloadLaudoOriginal = async (req, res) => {
         currentY, 
         false, // NÃO assinado digitalmente - mostra linha para assinatura física
         null,
-        null
+        null,
+        styles
       );
 
       // Finalizar documento
@@ -1980,6 +2559,17 @@ exports.downloadLaudoAssinado = async (req, res) => {
       return res.status(404).json({ erro: 'Laudo não encontrado' });
     }
 
+    // Laudo com adendos: anexar as páginas dos adendos ao PDF assinado (?original=true retorna só o laudo)
+    if (laudo.adendos?.length > 0 && req.query.original !== 'true') {
+      const pdfComAdendos = await exports.obterPdfAssinadoComAdendos(laudo);
+      if (pdfComAdendos) {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="laudo_assinado_${laudo._id}.pdf"`);
+        res.setHeader('Cache-Control', 'no-cache');
+        return res.send(pdfComAdendos);
+      }
+    }
+
     // Priorizar S3 se disponível
     if (laudo.laudoAssinadoKey) {
       try {
@@ -2117,22 +2707,157 @@ exports.getLaudosPorExame = async (req, res) => {
   }
 };
 
-// Enviar laudo por e-mail
+// Enviar laudo por e-mail (também usado para reenvio)
 exports.enviarEmailLaudo = async (req, res) => {
   try {
-    res.status(501).json({ erro: 'Função não implementada neste exemplo' });
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID do laudo inválido' });
+    }
+
+    const query = { _id: id };
+    if (req.usuario.role !== 'adminMaster') {
+      query.tenant_id = Array.isArray(req.tenant_id) ? { $in: req.tenant_id } : req.tenant_id;
+    }
+
+    const laudo = await Laudo.findOne(query).populate({
+      path: 'exame',
+      populate: { path: 'paciente', select: 'nome email' }
+    });
+
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    if (laudo.status !== 'Laudo assinado') {
+      return res.status(400).json({ erro: 'Apenas laudos assinados podem ser enviados por e-mail' });
+    }
+
+    const paciente = laudo.exame?.paciente;
+    const destinatario = (req.body?.email || paciente?.email || '').trim();
+
+    if (!destinatario) {
+      return res.status(400).json({ erro: 'O paciente não possui e-mail cadastrado. Informe um destinatário.' });
+    }
+
+    // Obter o PDF assinado: S3 primeiro, URL legada (UploadCare) como fallback
+    let arquivoLaudo = null;
+    if (laudo.adendos?.length > 0) {
+      arquivoLaudo = await exports.obterPdfAssinadoComAdendos(laudo);
+    } else if (laudo.laudoAssinadoKey) {
+      arquivoLaudo = await downloadLaudoFromS3(laudo.laudoAssinadoKey);
+    } else {
+      arquivoLaudo = laudo.arquivoPath || laudo.laudoAssinado || null;
+    }
+
+    if (!arquivoLaudo) {
+      return res.status(404).json({ erro: 'Arquivo do laudo assinado não encontrado' });
+    }
+
+    const usuarioId = req.usuario.id;
+    const usuarioNome = req.usuarioNome || req.usuario.nome;
+
+    try {
+      const resultado = await sendMedicalReport(
+        destinatario,
+        paciente?.nome || 'Paciente',
+        laudo._id.toString(),
+        arquivoLaudo,
+        laudo.codigoAcesso,
+        { publicLink: await obterUrlPublicaLaudo(laudo, { origem: 'email', usuarioId }) }
+      );
+
+      await laudo.registrarEnvioEmail(usuarioId, usuarioNome, destinatario, 'Enviado');
+
+      try {
+        await AuditLog.create({
+          userId: usuarioId,
+          action: 'export',
+          description: `Laudo enviado por e-mail (${resultado.transporte})`,
+          collectionName: 'laudos',
+          documentId: laudo._id,
+          before: null,
+          after: { statusEnvio: 'Enviado', tentativasEnvio: laudo.tentativasEnvio },
+          ip: req.ip,
+          userAgent: req.headers['user-agent'],
+          tenant_id: laudo.tenant_id
+        });
+      } catch (auditError) {
+        console.error('Erro ao criar log de auditoria:');
+      }
+
+      res.json({
+        mensagem: 'Laudo enviado por e-mail com sucesso',
+        statusEnvio: laudo.statusEnvio,
+        destinatario,
+        dataEnvioEmail: laudo.dataEnvioEmail,
+        tentativasEnvio: laudo.tentativasEnvio
+      });
+    } catch (envioError) {
+      logger.error('Falha no envio do laudo por e-mail:', envioError);
+      await laudo.registrarEnvioEmail(usuarioId, usuarioNome, destinatario, 'Falha', envioError.message);
+
+      res.status(502).json({
+        erro: 'Falha no envio do e-mail. Verifique o destinatário e tente reenviar.',
+        statusEnvio: laudo.statusEnvio,
+        tentativasEnvio: laudo.tentativasEnvio,
+        detalhes: process.env.NODE_ENV === 'development' ? envioError.message : undefined
+      });
+    }
   } catch (err) {
     logger.error('Erro ao enviar laudo por e-mail:', err);
     res.status(500).json({ erro: 'Erro ao enviar laudo por e-mail' });
   }
 };
 
-// Visualizar laudo público
-exports.visualizarLaudoPublico = async (req, res) => {
+// Histórico de envios por e-mail do laudo
+exports.listarEnviosEmail = async (req, res) => {
   try {
     const { id } = req.params;
-    
-    const laudoCompleto = await obterLaudoPorId(id);
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID do laudo inválido' });
+    }
+
+    const query = { _id: id };
+    if (req.usuario.role !== 'adminMaster') {
+      query.tenant_id = Array.isArray(req.tenant_id) ? { $in: req.tenant_id } : req.tenant_id;
+    }
+
+    const laudo = await Laudo.findOne(query);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    const envios = (laudo.historico || [])
+      .filter(item => item.acao === 'EnvioEmail')
+      .map(item => ({
+        data: item.data,
+        usuario: item.nomeUsuario,
+        destinatario: item.destinatarioEmail,
+        statusEnvio: item.statusEnvio,
+        mensagemErro: item.mensagemErro
+      }))
+      .reverse();
+
+    res.json({
+      statusEnvio: laudo.statusEnvio || 'Pendente',
+      dataEnvioEmail: laudo.dataEnvioEmail,
+      destinatarioEmail: laudo.destinatarioEmail,
+      tentativasEnvio: laudo.tentativasEnvio || 0,
+      envios
+    });
+  } catch (err) {
+    logger.error('Erro ao listar envios do laudo:', err);
+    res.status(500).json({ erro: 'Erro ao listar envios do laudo' });
+  }
+};
+
+// Visualizar laudo público (acesso validado pelo linkPublicoMiddleware)
+exports.visualizarLaudoPublico = async (req, res) => {
+  try {
+    const laudoCompleto = await obterLaudoPorId(req.linkPublico.laudo);
     if (!laudoCompleto) {
       return res.status(404).json({ erro: 'Laudo não encontrado' });
     }
@@ -2160,7 +2885,17 @@ exports.visualizarLaudoPublico = async (req, res) => {
         data: laudoCompleto.exame?.dataExame
       },
       conclusao: laudoCompleto.conclusao,
-      medico: laudoCompleto.medicoResponsavel || 'Médico não informado'
+      medico: laudoCompleto.medicoResponsavel || 'Médico não informado',
+      adendos: (laudoCompleto.adendos || []).map(adendo => ({
+        numero: adendo.numero,
+        data: adendo.data,
+        medico: adendo.medicoNome,
+        motivo: adendo.motivo,
+        texto: adendo.texto,
+        assinadoDigitalmente: adendo.assinadoCom === 'certificado_medico'
+      })),
+      // Identidade visual da clínica para a página pública
+      clinica: resumoBrandingPublico(laudoCompleto.tenant_id, await obterUrlLogo(laudoCompleto.tenant_id))
     };
 
     res.json(laudoPublico);
@@ -2170,24 +2905,39 @@ exports.visualizarLaudoPublico = async (req, res) => {
   }
 };
 
-// Gerar PDF público do laudo
+// Gerar PDF público do laudo (acesso validado pelo linkPublicoMiddleware)
 exports.gerarPdfLaudoPublico = async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const laudoCompleto = await obterLaudoPorId(id);
+    const laudoCompleto = await obterLaudoPorId(req.linkPublico.laudo);
     if (!laudoCompleto) {
       return res.status(404).json({ erro: 'Laudo não encontrado' });
     }
 
     // Verificar se laudo tem PDF assinado
     if (laudoCompleto.laudoAssinadoKey || laudoCompleto.laudoAssinado) {
+      // Com adendos, o PDF é montado com as páginas dos adendos anexadas
+      if (laudoCompleto.adendos?.length > 0) {
+        try {
+          const pdfComAdendos = await exports.obterPdfAssinadoComAdendos(laudoCompleto);
+          if (pdfComAdendos) {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `inline; filename="laudo_${laudoCompleto._id}.pdf"`);
+            return res.send(pdfComAdendos);
+          }
+        } catch (adendoError) {
+          console.error('Erro ao anexar adendos ao PDF público:', adendoError);
+        }
+      }
+
       // Se tem S3 key, buscar do S3
       if (laudoCompleto.laudoAssinadoKey) {
         const { getSignedUrlForLaudo } = require('../services/laudoStorageService');
         try {
-          const signedUrl = await getSignedUrlForLaudo(laudoCompleto.laudoAssinadoKey);
-          return res.redirect(signedUrl);
+          const signedUrlResult = await getSignedUrlForLaudo(laudoCompleto.laudoAssinadoKey);
+          if (!signedUrlResult.success) {
+            throw new Error(signedUrlResult.error);
+          }
+          return res.redirect(signedUrlResult.url);
         } catch (error) {
           console.error('Erro ao obter URL assinada do S3:', error);
         }
@@ -2205,7 +2955,8 @@ exports.gerarPdfLaudoPublico = async (req, res) => {
     
     const doc = new PDFDocument({
       size: 'A4',
-      margins: { top: 40, bottom: 40, left: 40, right: 40 }
+      margins: { top: 40, bottom: 40, left: 40, right: 40 },
+      bufferPages: true
     });
 
     res.setHeader('Content-Type', 'application/pdf');
@@ -2216,8 +2967,8 @@ exports.gerarPdfLaudoPublico = async (req, res) => {
     const pdfBuffers = [];
     doc.on('data', chunk => pdfBuffers.push(chunk));
 
-    // Gerar link público
-    const publicLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/publico/${id}`;
+    // Link público pelo qual o laudo foi acessado
+    const publicLink = montarUrlPublica(req.params.token);
     
     // Gerar QR Code
     let qrCodeDataUrl;
@@ -2237,6 +2988,7 @@ exports.gerarPdfLaudoPublico = async (req, res) => {
     // Gerar conteúdo do PDF
     const usuarioMedico = await Usuario.findById(laudoCompleto.medicoResponsavelId);
     
+    const styles = await obterEstilosPdfTenant(laudoCompleto.tenant_id);
     await gerarConteudoPdfLaudo(
       doc, 
       laudoCompleto, 
@@ -2245,7 +2997,7 @@ exports.gerarPdfLaudoPublico = async (req, res) => {
       laudoCompleto.medicoResponsavel, 
       laudoCompleto.conclusao, 
       publicLink, 
-      defaultStyles
+      styles
     );
 
     // Adicionar área de assinatura física (o link público será adicionado discretamente pela função)
@@ -2257,7 +3009,8 @@ exports.gerarPdfLaudoPublico = async (req, res) => {
       currentY, 
       false, // Não assinado digitalmente - mostra linha para assinatura física
       null,
-      null
+      null,
+      styles
     );
 
     doc.end();
@@ -2268,16 +3021,6 @@ exports.gerarPdfLaudoPublico = async (req, res) => {
   }
 };
 
-// Autenticar laudo público (removido - não é mais necessário)
-exports.autenticarLaudoPublico = async (req, res) => {
-  try {
-    res.status(410).json({ erro: 'Autenticação não é mais necessária. O laudo é público.' });
-  } catch (err) {
-    logger.error('Erro ao autenticar laudo público:', err);
-    res.status(500).json({ erro: 'Erro ao autenticar laudo público' });
-  }
-};
-
 // Invalidar laudo
 exports.invalidarLaudo = async (req, res) => {
   try {
@@ -2739,6 +3482,15 @@ exports.assinarLaudoComCertificado = async (laudoId, medicoId, senhaCertificado)
       await certificado.registrarUso(false, null, 'Senha incorreta durante assinatura');
       throw new Error('Senha do certificado incorreta');
     }
+
+    const laudo = await Laudo.findById(laudoId);
+    if (!laudo) {
+      throw new Error('Laudo não encontrado');
+    }
+
+    if (revisaoPendente(laudo)) {
+      throw new Error(ERRO_REVISAO_PENDENTE);
+    }
     
     // Obter dados do laudo descriptografados
     const laudoCompleto = await obterLaudoPorId(laudoId);
@@ -2766,10 +3518,13 @@ exports.assinarLaudoComCertificado = async (laudoId, medicoId, senhaCertificado)
        });
 
     // Gerar link público para o laudo
-    const publicLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/publico/${laudoId}`;
+    const publicLink = await obterUrlPublicaLaudo(laudoCompleto, { usuarioId: medicoId });
+
+    const styles = await obterEstilosPdfTenant(laudoCompleto.tenant_id);
 
     // Gerar conteúdo do PDF usando dados descriptografados
-    await gerarConteudoPdfLaudo(doc, laudoCompleto, laudoCompleto.exame, usuarioMedico, medicoNome, laudoCompleto.conclusao, publicLink, defaultStyles);
+    await gerarConteudoPdfLaudo(doc, laudoCompleto, laudoCompleto.exame, usuarioMedico, medicoNome, laudoCompleto.conclusao, publicLink, styles);
+    adicionarRodapeTenant(doc, styles);
 
     await new Promise((resolve, reject) => {
       doc.on('end', resolve);
@@ -2802,27 +3557,24 @@ exports.assinarLaudoComCertificado = async (laudoId, medicoId, senhaCertificado)
     // Registrar uso bem-sucedido do certificado
     await certificado.registrarUso(true);
 
-    // Upload do PDF assinado
-    const pdfFile = {
-      buffer: signedPdf,
-      originalname: `laudo_assinado_${laudoId}.pdf`,
-      mimetype: 'application/pdf',
-      size: signedPdf.length,
-      stream: () => {
-        const stream = new require('stream').Readable();
-        stream.push(signedPdf);
-        stream.push(null);
-        return stream;
-      }
-    };
-
-    const uploadcareUrl = await uploadPDFToUploadcare(pdfFile);
+    // Upload do PDF assinado para o armazenamento configurado
+    const uploadResult = await uploadLaudoToS3(
+      signedPdf,
+      laudoId,
+      laudo.tenant_id,
+      'assinado',
+      `laudo_assinado_${laudoId}.pdf`
+    );
     
     // Atualizar laudo
-    laudo.laudoAssinado = uploadcareUrl;
+    laudo.laudoAssinado = uploadResult.url;
+    laudo.laudoAssinadoKey = uploadResult.key;
     laudo.dataAssinatura = new Date();
     laudo.status = 'Laudo assinado';
     await laudo.save();
+
+    // Exportar o resultado para os sistemas hospitalares (HL7)
+    agendarExportacaoLaudo(laudo._id);
     
     // Atualizar status do exame também
     const exameAtualizar = await Exame.findById(laudo.exame._id || laudo.exame);
@@ -2847,6 +3599,84 @@ exports.assinarLaudoComCertificado = async (laudoId, medicoId, senhaCertificado)
 
 // === NOVOS MÉTODOS PARA ASSINATURA FLEXÍVEL ===
 
+// Gera o PDF assinado com o certificado do médico e atualiza o laudo e o exame.
+// `certificadoCarregado` evita recarregar o certificado a cada laudo (assinatura em lote).
+exports.assinarLaudoComCertificadoAtivo = async (
+  laudo,
+  usuarioId,
+  usuarioNome,
+  certificadoCarregado = null,
+  detalhes = 'Laudo assinado automaticamente com certificado digital'
+) => {
+  // Gerar PDF assinado automaticamente
+  const resultadoPdf = await exports.gerarPdfLaudoAssinado(
+    laudo._id,
+    laudo.exame,
+    laudo.exame.tipoExame,
+    usuarioNome,
+    usuarioId,
+    laudo.conclusao,
+    laudo.tenant_id,
+    null,
+    certificadoCarregado
+  );
+
+  if (!resultadoPdf.success) {
+    return resultadoPdf;
+  }
+
+  // Salvar chave S3 do laudo assinado se disponível
+  if (resultadoPdf.s3Key) {
+    laudo.laudoAssinadoKey = resultadoPdf.s3Key;
+  }
+
+  // Implementar exclusão automática do laudo original após assinatura
+  if (laudo.laudoOriginalKey) {
+    try {
+      // Excluir laudo original do S3
+      await deleteLaudoFromS3(laudo.laudoOriginalKey);
+      logger.info(`Laudo original excluído do S3: ${laudo.laudoOriginalKey}`);
+      
+      // Limpar a chave do laudo original
+      laudo.laudoOriginalKey = null;
+    } catch (deleteError) {
+      logger.error('Erro ao excluir laudo original do S3:', deleteError);
+      // Continuar mesmo se houver erro na exclusão
+    }
+  }
+
+  // Atualizar laudo
+  laudo.arquivoPath = resultadoPdf.fileUrl;
+  laudo.assinadoDigitalmente = true;
+  laudo.assinadoCom = resultadoPdf.assinadoCom;
+  laudo.certificadoId = resultadoPdf.certificadoId;
+  laudo.status = 'Laudo assinado';
+  laudo.dataAssinatura = new Date();
+  
+  // Adicionar ao histórico
+  laudo.historico.push({
+    usuario: usuarioId,
+    nomeUsuario: usuarioNome,
+    acao: 'Assinatura',
+    detalhes,
+    versao: laudo.versao
+  });
+
+  await laudo.save();
+
+  // Exportar o resultado para os sistemas hospitalares (HL7)
+  agendarExportacaoLaudo(laudo._id);
+
+  // Atualizar status do exame
+  const exame = await Exame.findById(laudo.exame._id || laudo.exame);
+  if (exame) {
+    exame.status = 'Laudo realizado';
+    await exame.save();
+  }
+
+  return resultadoPdf;
+};
+
 // Assinar laudo automaticamente (quando médico confirma no modal)
 exports.assinarLaudoAutomaticamente = async (req, res) => {
   try {
@@ -2854,6 +3684,11 @@ exports.assinarLaudoAutomaticamente = async (req, res) => {
     const usuarioId = req.usuario.id;
     const usuarioNome = req.usuario.nome;
 
+    const achadoCritico = lerAchadoCritico(req.body);
+    if (achadoCritico.erro) {
+      return res.status(400).json({ erro: achadoCritico.erro });
+    }
+
     // Buscar o laudo
     const laudo = await Laudo.findById(id)
       .populate({
@@ -2873,6 +3708,11 @@ exports.assinarLaudoAutomaticamente = async (req, res) => {
       return res.status(403).json({ erro: 'Você não tem permissão para assinar este laudo' });
     }
 
+    // Dupla leitura: exige aprovação do revisor antes da assinatura
+    if (revisaoPendente(laudo)) {
+      return res.status(400).json({ erro: ERRO_REVISAO_PENDENTE, revisao: laudo.revisao?.status });
+    }
+
     // Verificar se o laudo pode ser assinado
     if (!['Laudo pronto para assinatura', 'Laudo realizado'].includes(laudo.status)) {
       return res.status(400).json({ erro: 'Este laudo não pode ser assinado automaticamente' });
@@ -2892,66 +3732,13 @@ exports.assinarLaudoAutomaticamente = async (req, res) => {
       });
     }
 
-    // Gerar PDF assinado automaticamente
-    const resultadoPdf = await exports.gerarPdfLaudoAssinado(
-      laudo._id,
-      laudo.exame,
-      laudo.exame.tipoExame,
-      usuarioNome,
-      usuarioId,
-      laudo.conclusao,
-      laudo.tenant_id
-    );
+    const resultadoPdf = await exports.assinarLaudoComCertificadoAtivo(laudo, usuarioId, usuarioNome);
 
     if (!resultadoPdf.success) {
       return res.status(500).json({ erro: 'Erro ao gerar PDF assinado' });
     }
 
-    // Salvar chave S3 do laudo assinado se disponível
-    if (resultadoPdf.s3Key) {
-      laudo.laudoAssinadoKey = resultadoPdf.s3Key;
-    }
-
-    // Implementar exclusão automática do laudo original após assinatura
-    if (laudo.laudoOriginalKey) {
-      try {
-        // Excluir laudo original do S3
-        await deleteLaudoFromS3(laudo.laudoOriginalKey);
-        logger.info(`Laudo original excluído do S3: ${laudo.laudoOriginalKey}`);
-        
-        // Limpar a chave do laudo original
-        laudo.laudoOriginalKey = null;
-      } catch (deleteError) {
-        logger.error('Erro ao excluir laudo original do S3:', deleteError);
-        // Continuar mesmo se houver erro na exclusão
-      }
-    }
-
-    // Atualizar laudo
-    laudo.arquivoPath = resultadoPdf.fileUrl;
-    laudo.assinadoDigitalmente = true;
-    laudo.assinadoCom = resultadoPdf.assinadoCom;
-    laudo.certificadoId = resultadoPdf.certificadoId;
-    laudo.status = 'Laudo assinado';
-    laudo.dataAssinatura = new Date();
-    
-    // Adicionar ao histórico
-    laudo.historico.push({
-      usuario: usuarioId,
-      nomeUsuario: usuarioNome,
-      acao: 'Assinatura',
-      detalhes: 'Laudo assinado automaticamente com certificado digital',
-      versao: laudo.versao
-    });
-
-    await laudo.save();
-
-    // Atualizar status do exame
-    const exame = await Exame.findById(laudo.exame._id || laudo.exame);
-    if (exame) {
-      exame.status = 'Laudo realizado';
-      await exame.save();
-    }
+    const alertaCriticoId = await registrarAchadoCriticoInformado(req, laudo, achadoCritico);
 
     res.json({
       mensagem: 'Laudo assinado automaticamente com sucesso!',
@@ -2959,12 +3746,16 @@ exports.assinarLaudoAutomaticamente = async (req, res) => {
         id: laudo._id,
         status: laudo.status,
         arquivoPath: laudo.arquivoPath,
-        dataAssinatura: laudo.dataAssinatura
+        dataAssinatura: laudo.dataAssinatura,
+        alertaCritico: alertaCriticoId
       }
     });
 
   } catch (error) {
     console.error('Erro ao assinar laudo automaticamente:');
+    if (ehFalhaCarimboObrigatorio(error)) {
+      return res.status(502).json({ erro: 'Não foi possível obter o carimbo de tempo. O laudo não foi assinado; tente novamente.' });
+    }
     res.status(500).json({ 
       erro: 'Erro interno do servidor',
       detalhes: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -2979,6 +3770,11 @@ exports.assinarLaudoManual = async (req, res) => {
     const usuarioId = req.usuario.id;
     const usuarioNome = req.usuario.nome;
 
+    const achadoCritico = lerAchadoCritico(req.body);
+    if (achadoCritico.erro) {
+      return res.status(400).json({ erro: achadoCritico.erro });
+    }
+
     // Buscar o laudo
     const laudo = await Laudo.findById(id)
       .populate({
@@ -2998,6 +3794,11 @@ exports.assinarLaudoManual = async (req, res) => {
       return res.status(403).json({ erro: 'Você não tem permissão para assinar este laudo' });
     }
 
+    // Dupla leitura: exige aprovação do revisor antes da assinatura
+    if (revisaoPendente(laudo)) {
+      return res.status(400).json({ erro: ERRO_REVISAO_PENDENTE, revisao: laudo.revisao?.status });
+    }
+
     // Verificar se o laudo pode ser assinado
     if (!['Laudo pronto para assinatura', 'Laudo realizado'].includes(laudo.status)) {
       return res.status(400).json({ erro: 'Este laudo não pode ser assinado' });
@@ -3056,6 +3857,9 @@ exports.assinarLaudoManual = async (req, res) => {
 
     await laudo.save();
 
+    // Exportar o resultado para os sistemas hospitalares (HL7)
+    agendarExportacaoLaudo(laudo._id);
+
     // Atualizar status do exame
     const exame = await Exame.findById(laudo.exame._id || laudo.exame);
     if (exame) {
@@ -3063,13 +3867,16 @@ exports.assinarLaudoManual = async (req, res) => {
       await exame.save();
     }
 
+    const alertaCriticoId = await registrarAchadoCriticoInformado(req, laudo, achadoCritico);
+
     res.json({
       mensagem: 'Laudo assinado com sucesso!',
       laudo: {
         id: laudo._id,
         status: laudo.status,
         arquivoPath: laudo.arquivoPath,
-        dataAssinatura: laudo.dataAssinatura
+        dataAssinatura: laudo.dataAssinatura,
+        alertaCritico: alertaCriticoId
       }
     });
 
@@ -3093,6 +3900,11 @@ exports.uploadLaudoAssinado = async (req, res) => {
       return res.status(400).json({ erro: 'Arquivo PDF é obrigatório' });
     }
 
+    const achadoCritico = lerAchadoCritico(req.body);
+    if (achadoCritico.erro) {
+      return res.status(400).json({ erro: achadoCritico.erro });
+    }
+
     // Verificar se é um PDF
     if (req.file.mimetype !== 'application/pdf') {
       return res.status(400).json({ erro: 'Apenas arquivos PDF são aceitos' });
@@ -3109,6 +3921,11 @@ exports.uploadLaudoAssinado = async (req, res) => {
       return res.status(403).json({ erro: 'Você não tem permissão para fazer upload neste laudo' });
     }
 
+    // Dupla leitura: exige aprovação do revisor antes da assinatura
+    if (revisaoPendente(laudo)) {
+      return res.status(400).json({ erro: ERRO_REVISAO_PENDENTE, revisao: laudo.revisao?.status });
+    }
+
     // Verificar se o laudo pode receber upload
     if (!['Laudo pronto para assinatura', 'Laudo realizado'].includes(laudo.status)) {
       return res.status(400).json({ erro: 'Este laudo não pode receber upload' });
@@ -3193,6 +4010,9 @@ exports.uploadLaudoAssinado = async (req, res) => {
 
     await laudo.save();
 
+    // Exportar o resultado para os sistemas hospitalares (HL7)
+    agendarExportacaoLaudo(laudo._id);
+
     // Atualizar status do exame
     const Exame = require('../models/Exame');
     const exame = await Exame.findById(laudo.exame);
@@ -3224,6 +4044,8 @@ exports.uploadLaudoAssinado = async (req, res) => {
       console.error('Erro ao criar log de auditoria:');
     }
 
+    const alertaCriticoId = await registrarAchadoCriticoInformado(req, laudo, achadoCritico);
+
     res.json({
       mensagem: 'Laudo assinado enviado com sucesso!',
       laudo: {
@@ -3232,7 +4054,8 @@ exports.uploadLaudoAssinado = async (req, res) => {
         arquivoPath: laudo.arquivoPath,
         dataAssinatura: laudo.dataAssinatura,
         assinadoDigitalmente: false,
-        assinadoCom: 'upload_manual'
+        assinadoCom: 'upload_manual',
+        alertaCritico: alertaCriticoId
       },
       notificacao: {
         status: 'upload_concluido',
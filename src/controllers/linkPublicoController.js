@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const Laudo = require('../models/Laudo');
+const LinkPublicoLaudo = require('../models/LinkPublicoLaudo');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const { codigoAcessoConfere, gerarCodigoAcesso } = require('../utils/linkPublico');
+const {
+  criarLinkPublico,
+  revogarLinksLaudo,
+  buscarLinkPorToken,
+  situacaoLink,
+  registrarTentativaInvalida,
+  registrarAcessoValido,
+  emitirTokenAcesso
+} = require('../services/linkPublicoService');
+
+/*
+ * Links públicos de laudos: acesso do paciente por token de compartilhamento e
+ * código de acesso, e gestão dos links (rotação e revogação) pela equipe.
+ */
+
+const VALIDADE_MAXIMA_DIAS = 365;
+
+const filtroTenant = (req) => {
+  if (req.usuario.role === 'adminMaster') return {};
+  return { tenant_id: Array.isArray(req.tenant_id) ? { $in: req.tenant_id } : req.tenant_id };
+};
+
+const resumirLink = (link) => {
+  const { disponivel, motivo } = situacaoLink(link);
+  return {
+    id: link._id,
+    origem: link.origem,
+    situacao: disponivel ? 'ativo' : motivo,
+    criadoEm: link.createdAt,
+    expiraEm: link.expiraEm,
+    revogadoEm: link.revogadoEm,
+    motivoRevogacao: link.motivoRevogacao,
+    bloqueadoAte: link.bloqueadoAte,
+    acessos: link.acessos,
+    ultimoAcessoEm: link.ultimoAcessoEm
+  };
+};
+
+const registrarAuditoria = async (req, laudo, description, after = null) => {
+  try {
+    await AuditLog.create({
+      userId: req.usuario.id,
+      action: 'update',
+      description,
+      collectionName: 'laudos',
+      documentId: laudo._id,
+      before: null,
+      after,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      tenant_id: laudo.tenant_id
+    });
+  } catch (auditError) {
+    console.error('Erro ao criar log de auditoria');
+  }
+};
+
+const buscarLaudo = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Laudo.findOne({ _id: req.params.id, ...filtroTenant(req) });
+};
+
+// Situação de um link público (sem dados do paciente)
+exports.obterSituacaoLink = async (req, res) => {
+  try {
+    const link = await buscarLinkPorToken(req.params.token);
+    if (!link) {
+      return res.status(404).json({ erro: 'Link inválido' });
+    }
+
+    const { disponivel, motivo, bloqueadoAte } = situacaoLink(link);
+    if (motivo === 'revogado' || motivo === 'expirado') {
+      return res.status(410).json({ erro: `Este link foi ${motivo}`, motivo });
+    }
+
+    res.json({
+      disponivel,
+      motivo,
+      bloqueadoAte,
+      expiraEm: link.expiraEm,
+      requerCodigoAcesso: true
+    });
+  } catch (err) {
+    logger.error('Erro ao consultar link público:', err);
+    res.status(500).json({ erro: 'Erro ao consultar link público' });
+  }
+};
+
+// Confirmar o código de acesso e emitir o token de acesso ao laudo
+exports.autenticarLink = async (req, res) => {
+  try {
+    const link = await buscarLinkPorToken(req.params.token);
+    if (!link) {
+      return res.status(404).json({ erro: 'Link inválido' });
+    }
+
+    const { motivo, bloqueadoAte } = situacaoLink(link);
+    if (motivo === 'revogado' || motivo === 'expirado') {
+      return res.status(410).json({ erro: `Este link foi ${motivo}`, motivo });
+    }
+    if (motivo === 'bloqueado') {
+      return res.status(423).json({ erro: 'Muitas tentativas inválidas. Tente novamente mais tarde.', bloqueadoAte });
+    }
+
+    const laudo = await Laudo.findById(link.laudo).select('codigoAcesso');
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    if (!codigoAcessoConfere(req.body.codigoAcesso, laudo.codigoAcesso)) {
+      const tentativa = await registrarTentativaInvalida(link);
+
+      if (tentativa.revogado) {
+        logger.warn(`Link público ${link._id} revogado por excesso de tentativas`);
+        return res.status(410).json({ erro: 'Este link foi revogado por excesso de tentativas', motivo: 'revogado' });
+      }
+      if (tentativa.bloqueadoAte) {
+        return res.status(423).json({
+          erro: 'Muitas tentativas inválidas. Tente novamente mais tarde.',
+          bloqueadoAte: tentativa.bloqueadoAte
+        });
+      }
+      return res.status(401).json({
+        erro: 'Código de acesso inválido',
+        tentativasRestantes: tentativa.tentativasRestantes
+      });
+    }
+
+    await registrarAcessoValido(link);
+    const { token, expiraEm } = emitirTokenAcesso(link);
+
+    res.json({ tokenAcesso: token, expiraEm });
+  } catch (err) {
+    logger.error('Erro ao autenticar link público:', err);
+    res.status(500).json({ erro: 'Erro ao autenticar link público' });
+  }
+};
+
+// Listar os links públicos de um laudo
+exports.listarLinks = async (req, res) => {
+  try {
+    const laudo = await buscarLaudo(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    const links = await LinkPublicoLaudo.find({ laudo: laudo._id }).sort({ createdAt: -1 });
+
+    res.json({ laudoId: laudo._id, links: links.map(resumirLink) });
+  } catch (err) {
+    logger.error('Erro ao listar links públicos:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar links públicos',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Gerar um novo link (revogando os anteriores) e, opcionalmente, um novo código de acesso
+exports.rotacionarLink = async (req, res) => {
+  try {
+    const laudo = await buscarLaudo(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    let validadeDias;
+    if (req.body.validadeDias !== undefined) {
+      validadeDias = parseInt(req.body.validadeDias, 10);
+      if (!Number.isInteger(validadeDias) || validadeDias < 1 || validadeDias > VALIDADE_MAXIMA_DIAS) {
+        return res.status(400).json({ erro: `A validade deve ser de 1 a ${VALIDADE_MAXIMA_DIAS} dias` });
+      }
+    }
+
+    const usuarioId = req.usuario.id;
+    const revogados = await revogarLinksLaudo(laudo._id, { usuarioId, motivo: 'Substituído por novo link' });
+
+    const regenerarCodigo = req.body.regenerarCodigo === true || req.body.regenerarCodigo === 'true';
+    let codigoAcesso;
+    if (regenerarCodigo) {
+      codigoAcesso = gerarCodigoAcesso();
+      laudo.codigoAcesso = codigoAcesso;
+      await laudo.save();
+    }
+
+    const { link, url } = await criarLinkPublico(laudo, { origem: 'manual', usuarioId, validadeDias });
+
+    await registrarAuditoria(req, laudo, 'Link público do laudo rotacionado', {
+      linkId: link._id,
+      linksRevogados: revogados,
+      codigoAcessoRegenerado: regenerarCodigo
+    });
+
+    res.status(201).json({
+      mensagem: 'Novo link público gerado',
+      url,
+      link: resumirLink(link),
+      linksRevogados: revogados,
+      codigoAcesso
+    });
+  } catch (err) {
+    logger.error('Erro ao gerar link público:', err);
+    res.status(500).json({
+      erro: 'Erro ao gerar link público',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Revogar um link específico ou todos os links ativos do laudo
+exports.revogarLinks = async (req, res) => {
+  try {
+    const laudo = await buscarLaudo(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    const { linkId } = req.params;
+    if (linkId && !mongoose.isValidObjectId(linkId)) {
+      return res.status(400).json({ erro: 'Link inválido' });
+    }
+
+    const revogados = await revogarLinksLaudo(laudo._id, {
+      linkId,
+      usuarioId: req.usuario.id,
+      motivo: req.body?.motivo
+    });
+
+    if (linkId && revogados === 0) {
+      return res.status(404).json({ erro: 'Link ativo não encontrado' });
+    }
+
+    await registrarAuditoria(req, laudo, linkId
+      ? 'Link público do laudo revogado'
+      : 'Todos os links públicos do laudo revogados', { linkId: linkId || null, linksRevogados: revogados });
+
+    res.json({ mensagem: `${revogados} link(s) revogado(s)`, linksRevogados: revogados });
+  } catch (err) {
+    logger.error('Erro ao revogar links públicos:', err);
+    res.status(500).json({
+      erro: 'Erro ao revogar links públicos',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
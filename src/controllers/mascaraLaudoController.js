@@ -0,0 +1,494 @@
+const mongoose = require('mongoose');
+const MascaraLaudo = require('../models/MascaraLaudo');
+const TipoExame = require('../models/TipoExame');
+const Exame = require('../models/Exame');
+const Usuario = require('../models/Usuario');
+const AuditLog = require('../models/AuditModel');
+const {
+  VARIAVEIS_DISPONIVEIS,
+  montarContextoExame,
+  normalizarSecoes,
+  renderizarMascara,
+  montarConclusaoDasSecoes
+} = require('../utils/mascaraLaudo');
+
+// Função auxiliar para obter os tenants do usuário como array de strings
+const obterTenantsUsuario = (req) => {
+  const tenants = Array.isArray(req.tenant_id) ? req.tenant_id : [req.tenant_id];
+  return tenants.filter(Boolean).map(t => t.toString());
+};
+
+const ehAdminMaster = (req) => req.usuario?.isAdminMaster || req.usuario?.role === 'adminMaster';
+
+// Verifica se o usuário pode ler a máscara (globais são visíveis para todos)
+const podeAcessarMascara = (req, mascara) => {
+  if (ehAdminMaster(req) || !mascara.tenant_id) return true;
+  return obterTenantsUsuario(req).includes(mascara.tenant_id.toString());
+};
+
+// Verifica se o usuário pode alterar a máscara (globais apenas adminMaster)
+const podeAlterarMascara = (req, mascara) => {
+  if (ehAdminMaster(req)) return true;
+  if (!mascara.tenant_id) return false;
+  return obterTenantsUsuario(req).includes(mascara.tenant_id.toString());
+};
+
+// Escolhe a máscara mais específica para o tipo de exame (tenant > especialidade > global)
+const buscarMascaraAplicavel = async (tipoExameId, tenantId = null, especialidadeIds = []) => {
+  const especialidades = (Array.isArray(especialidadeIds) ? especialidadeIds : [especialidadeIds])
+    .filter(Boolean)
+    .map(e => e.toString());
+
+  const candidatas = await MascaraLaudo.find({
+    tipoExameId,
+    ehVersaoAtual: true,
+    status: 'ativo',
+    tenant_id: tenantId ? { $in: [null, tenantId] } : null
+  }).sort({ updatedAt: -1 });
+
+  let melhor = null;
+  let melhorPontuacao = -1;
+
+  candidatas.forEach(mascara => {
+    const doEspecialidade = mascara.especialidadeId
+      ? especialidades.includes(mascara.especialidadeId.toString())
+      : null;
+
+    // Máscara de outra especialidade não se aplica
+    if (doEspecialidade === false) return;
+
+    const pontuacao = (mascara.tenant_id ? 2 : 0) + (doEspecialidade ? 1 : 0);
+    if (pontuacao > melhorPontuacao) {
+      melhor = mascara;
+      melhorPontuacao = pontuacao;
+    }
+  });
+
+  return melhor;
+};
+
+exports.buscarMascaraAplicavel = buscarMascaraAplicavel;
+
+// Listar variáveis disponíveis para as máscaras
+exports.listarVariaveis = async (req, res) => {
+  res.json({ variaveis: VARIAVEIS_DISPONIVEIS });
+};
+
+// Listar máscaras (somente a versão atual de cada uma)
+exports.listarMascaras = async (req, res) => {
+  try {
+    const { tipoExameId, especialidadeId, tenantId, incluirInativas } = req.query;
+
+    const query = { ehVersaoAtual: true };
+
+    if (incluirInativas !== 'true') {
+      query.status = 'ativo';
+    }
+
+    if (tipoExameId) {
+      if (!mongoose.Types.ObjectId.isValid(tipoExameId)) {
+        return res.status(400).json({ erro: 'ID do tipo de exame inválido' });
+      }
+      query.tipoExameId = tipoExameId;
+    }
+
+    if (especialidadeId) {
+      if (!mongoose.Types.ObjectId.isValid(especialidadeId)) {
+        return res.status(400).json({ erro: 'ID da especialidade inválido' });
+      }
+      query.especialidadeId = { $in: [null, especialidadeId] };
+    }
+
+    if (ehAdminMaster(req)) {
+      if (tenantId) {
+        query.tenant_id = { $in: [null, tenantId] };
+      }
+    } else {
+      query.tenant_id = { $in: [null, ...obterTenantsUsuario(req)] };
+    }
+
+    const mascaras = await MascaraLaudo.find(query)
+      .populate('tipoExameId', 'nome')
+      .populate('especialidadeId', 'nome')
+      .populate('tenant_id', 'nomeFantasia')
+      .sort({ nome: 1 });
+
+    res.json({ mascaras });
+  } catch (err) {
+    console.error('Erro ao listar máscaras de laudo');
+    res.status(500).json({
+      erro: 'Erro ao listar máscaras de laudo',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Obter a máscara aplicável a um exame
+exports.obterMascaraAplicavel = async (req, res) => {
+  try {
+    const { exameId } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(exameId)) {
+      return res.status(400).json({ erro: 'ID do exame inválido' });
+    }
+
+    const exame = await Exame.findById(exameId).select('tipoExame tenant_id');
+    if (!exame) {
+      return res.status(404).json({ erro: 'Exame não encontrado' });
+    }
+
+    if (!ehAdminMaster(req) && !obterTenantsUsuario(req).includes(exame.tenant_id.toString())) {
+      return res.status(403).json({ erro: 'Acesso negado a este exame' });
+    }
+
+    const mascara = await buscarMascaraAplicavel(
+      exame.tipoExame,
+      exame.tenant_id,
+      req.usuario.especialidades
+    );
+
+    if (!mascara) {
+      return res.status(404).json({ erro: 'Nenhuma máscara cadastrada para este tipo de exame' });
+    }
+
+    res.json({ mascara });
+  } catch (err) {
+    console.error('Erro ao buscar máscara aplicável');
+    res.status(500).json({
+      erro: 'Erro ao buscar máscara aplicável',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Obter máscara por ID
+exports.obterMascara = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ erro: 'ID da máscara inválido' });
+    }
+
+    const mascara = await MascaraLaudo.findById(id)
+      .populate('tipoExameId', 'nome')
+      .populate('especialidadeId', 'nome');
+
+    if (!mascara || !podeAcessarMascara(req, mascara)) {
+      return res.status(404).json({ erro: 'Máscara não encontrada' });
+    }
+
+    res.json({ mascara });
+  } catch (err) {
+    console.error('Erro ao obter máscara de laudo');
+    res.status(500).json({
+      erro: 'Erro ao obter máscara de laudo',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Criar máscara (versão 1)
+exports.criarMascara = async (req, res) => {
+  try {
+    const { nome, descricao, tipoExameId, especialidadeId, global } = req.body;
+    const secoes = normalizarSecoes(req.body.secoes);
+
+    if (!nome || !tipoExameId || secoes.length === 0) {
+      return res.status(400).json({ erro: 'Nome, tipo de exame e ao menos uma seção são obrigatórios' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(tipoExameId)) {
+      return res.status(400).json({ erro: 'ID do tipo de exame inválido' });
+    }
+
+    const tipoExame = await TipoExame.findById(tipoExameId);
+    if (!tipoExame) {
+      return res.status(404).json({ erro: 'Tipo de exame não encontrado' });
+    }
+
+    if (especialidadeId && !tipoExame.especialidades.some(e => e.toString() === especialidadeId.toString())) {
+      return res.status(400).json({ erro: 'A especialidade informada não está vinculada ao tipo de exame' });
+    }
+
+    // Apenas adminMaster cria máscaras globais; demais usuários criam no próprio tenant
+    let tenantMascara = null;
+    if (ehAdminMaster(req)) {
+      tenantMascara = global === true || global === 'true' ? null : (req.body.tenantId || null);
+    } else {
+      tenantMascara = obterTenantsUsuario(req)[0] || null;
+      if (!tenantMascara) {
+        return res.status(403).json({ erro: 'Tenant não autorizado' });
+      }
+    }
+
+    const mascara = new MascaraLaudo({
+      nome,
+      descricao,
+      tipoExameId,
+      especialidadeId: especialidadeId || null,
+      tenant_id: tenantMascara,
+      secoes,
+      versao: 1,
+      criadoPor: req.usuarioNome,
+      criadoPorId: req.usuario.id
+    });
+
+    await mascara.save();
+
+    // **LOG DE SUCESSO DA CRIAÇÃO**
+    try {
+      await AuditLog.create({
+        userId: req.usuario.id,
+        action: 'create',
+        description: `Máscara de laudo criada: ${mascara.nome} (${tipoExame.nome})`,
+        collectionName: 'mascaralaudos',
+        documentId: mascara._id,
+        before: null,
+        after: { nome: mascara.nome, versao: mascara.versao, secoes: mascara.secoes.length },
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        tenant_id: mascara.tenant_id || obterTenantsUsuario(req)[0]
+      });
+    } catch (auditError) {
+      console.error('Erro ao criar log de auditoria');
+    }
+
+    res.status(201).json({
+      mensagem: 'Máscara de laudo criada com sucesso',
+      mascara
+    });
+  } catch (err) {
+    console.error('Erro ao criar máscara de laudo');
+    res.status(500).json({
+      erro: 'Erro ao criar máscara de laudo',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Criar nova versão de uma máscara (as versões anteriores são preservadas)
+exports.criarNovaVersao = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ erro: 'ID da máscara inválido' });
+    }
+
+    const mascaraAtual = await MascaraLaudo.findById(id);
+    if (!mascaraAtual || !podeAcessarMascara(req, mascaraAtual)) {
+      return res.status(404).json({ erro: 'Máscara não encontrada' });
+    }
+
+    if (!podeAlterarMascara(req, mascaraAtual)) {
+      return res.status(403).json({ erro: 'Você não tem permissão para alterar esta máscara' });
+    }
+
+    if (!mascaraAtual.ehVersaoAtual) {
+      return res.status(409).json({ erro: 'Apenas a versão atual da máscara pode originar uma nova versão' });
+    }
+
+    const secoes = req.body.secoes !== undefined
+      ? normalizarSecoes(req.body.secoes)
+      : normalizarSecoes(mascaraAtual.secoes.map(s => s.toObject()));
+
+    if (secoes.length === 0) {
+      return res.status(400).json({ erro: 'A máscara deve possuir ao menos uma seção' });
+    }
+
+    const novaVersao = new MascaraLaudo({
+      nome: req.body.nome || mascaraAtual.nome,
+      descricao: req.body.descricao !== undefined ? req.body.descricao : mascaraAtual.descricao,
+      tipoExameId: mascaraAtual.tipoExameId,
+      especialidadeId: mascaraAtual.especialidadeId,
+      tenant_id: mascaraAtual.tenant_id,
+      secoes,
+      versao: mascaraAtual.versao + 1,
+      grupoId: mascaraAtual.grupoId,
+      mascaraAnterior: mascaraAtual._id,
+      observacaoVersao: req.body.observacaoVersao,
+      status: mascaraAtual.status,
+      criadoPor: req.usuarioNome,
+      criadoPorId: req.usuario.id
+    });
+
+    await novaVersao.save();
+
+    mascaraAtual.ehVersaoAtual = false;
+    await mascaraAtual.save();
+
+    // **LOG DE SUCESSO DA ATUALIZAÇÃO**
+    try {
+      await AuditLog.create({
+        userId: req.usuario.id,
+        action: 'update',
+        description: `Nova versão da máscara de laudo: ${novaVersao.nome} (v${novaVersao.versao})`,
+        collectionName: 'mascaralaudos',
+        documentId: novaVersao._id,
+        before: { id: mascaraAtual._id, versao: mascaraAtual.versao },
+        after: { id: novaVersao._id, versao: novaVersao.versao, observacaoVersao: novaVersao.observacaoVersao },
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        tenant_id: novaVersao.tenant_id || obterTenantsUsuario(req)[0]
+      });
+    } catch (auditError) {
+      console.error('Erro ao criar log de auditoria');
+    }
+
+    res.status(201).json({
+      mensagem: `Versão ${novaVersao.versao} da máscara criada com sucesso`,
+      mascara: novaVersao
+    });
+  } catch (err) {
+    console.error('Erro ao criar nova versão da máscara');
+    res.status(500).json({
+      erro: 'Erro ao criar nova versão da máscara',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Listar todas as versões de uma máscara
+exports.listarVersoes = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ erro: 'ID da máscara inválido' });
+    }
+
+    const mascara = await MascaraLaudo.findById(id);
+    if (!mascara || !podeAcessarMascara(req, mascara)) {
+      return res.status(404).json({ erro: 'Máscara não encontrada' });
+    }
+
+    const versoes = await MascaraLaudo.find({ grupoId: mascara.grupoId })
+      .select('nome versao ehVersaoAtual status observacaoVersao criadoPor createdAt secoes')
+      .sort({ versao: -1 });
+
+    res.json({ grupoId: mascara.grupoId, versoes });
+  } catch (err) {
+    console.error('Erro ao listar versões da máscara');
+    res.status(500).json({
+      erro: 'Erro ao listar versões da máscara',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Ativar/inativar máscara (aplica-se à versão atual)
+exports.alterarStatusMascara = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ erro: 'ID da máscara inválido' });
+    }
+
+    if (!['ativo', 'inativo'].includes(status)) {
+      return res.status(400).json({ erro: 'Status inválido. Use: ativo ou inativo' });
+    }
+
+    const mascara = await MascaraLaudo.findById(id);
+    if (!mascara || !podeAcessarMascara(req, mascara)) {
+      return res.status(404).json({ erro: 'Máscara não encontrada' });
+    }
+
+    if (!podeAlterarMascara(req, mascara)) {
+      return res.status(403).json({ erro: 'Você não tem permissão para alterar esta máscara' });
+    }
+
+    const statusAnterior = mascara.status;
+    mascara.status = status;
+    await mascara.save();
+
+    // **LOG DE SUCESSO DA ALTERAÇÃO DE STATUS**
+    try {
+      await AuditLog.create({
+        userId: req.usuario.id,
+        action: 'update',
+        description: `Status da máscara de laudo alterado: ${mascara.nome} - ${statusAnterior} → ${status}`,
+        collectionName: 'mascaralaudos',
+        documentId: mascara._id,
+        before: { status: statusAnterior },
+        after: { status },
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        tenant_id: mascara.tenant_id || obterTenantsUsuario(req)[0]
+      });
+    } catch (auditError) {
+      console.error('Erro ao criar log de auditoria');
+    }
+
+    res.json({
+      mensagem: `Status da máscara alterado para ${status}`,
+      mascara
+    });
+  } catch (err) {
+    console.error('Erro ao alterar status da máscara');
+    res.status(500).json({
+      erro: 'Erro ao alterar status da máscara',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Renderizar máscara com os dados do exame, gerando o rascunho do laudo
+exports.renderizarMascara = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { exameId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(exameId)) {
+      return res.status(400).json({ erro: 'ID da máscara ou do exame inválido' });
+    }
+
+    const mascara = await MascaraLaudo.findById(id);
+    if (!mascara || !podeAcessarMascara(req, mascara)) {
+      return res.status(404).json({ erro: 'Máscara não encontrada' });
+    }
+
+    const exame = await Exame.findById(exameId)
+      .populate('paciente')
+      .populate('tipoExame');
+
+    if (!exame) {
+      return res.status(404).json({ erro: 'Exame não encontrado' });
+    }
+
+    if (!ehAdminMaster(req) && !obterTenantsUsuario(req).includes(exame.tenant_id.toString())) {
+      return res.status(403).json({ erro: 'Acesso negado a este exame' });
+    }
+
+    if (exame.tipoExame?._id?.toString() !== mascara.tipoExameId.toString()) {
+      return res.status(400).json({ erro: 'A máscara não corresponde ao tipo de exame' });
+    }
+
+    const medico = await Usuario.findById(req.usuario.id);
+    const contexto = montarContextoExame(exame, {
+      medicoNome: req.usuarioNome || medico?.nome,
+      crm: medico?.crm
+    });
+
+    const { secoes, pendentes } = renderizarMascara(mascara, contexto);
+
+    res.json({
+      rascunho: {
+        exameId,
+        mascaraId: mascara._id,
+        mascaraVersao: mascara.versao,
+        secoes,
+        conclusao: montarConclusaoDasSecoes(secoes)
+      },
+      pendentes
+    });
+  } catch (err) {
+    console.error('Erro ao renderizar máscara de laudo');
+    res.status(500).json({
+      erro: 'Erro ao renderizar máscara de laudo',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
@@ -1,6 +1,6 @@
 const Paciente = require('../models/Paciente');
 const AuditLog = require('../models/AuditModel');
-const { encrypt, decrypt } = require('../utils/crypto');
+const { decrypt } = require('../utils/crypto');
 const { maskSensitiveData } = require('../utils/helpers');
 const mongoose = require('mongoose');
 
@@ -21,7 +21,7 @@ function decryptPaciente(paciente) {
 // Criar um novo paciente
 exports.criarPaciente = async (req, res) => {
     try {
-        const { nome, cpf, dataNascimento, endereco, telefone, email } = req.body;
+        const { nome, cpf, dataNascimento, endereco, telefone, email, sexo } = req.body;
         
         if (!nome || !cpf || !dataNascimento || !endereco || !telefone) {
             return res.status(400).json({ 
@@ -30,16 +30,14 @@ exports.criarPaciente = async (req, res) => {
             });
         }
 
-        // Verifica se o CPF já está cadastrado (usando criptografia)
-        const cpfCriptografado = encrypt(cpf.toString().replace(/\D/g, ''));
-        
         // Extrair tenant_id correto - para usuários normais, pegar o primeiro do array
         let tenantId = req.tenant_id;
         if (Array.isArray(tenantId)) {
             tenantId = tenantId[0];
         }
         
-        const cpfExistente = await Paciente.findOne({ cpf: cpfCriptografado, tenant_id: tenantId });
+        // Verifica se o CPF já está cadastrado (hash indexado do CPF)
+        const cpfExistente = await Paciente.buscarPorCpf(tenantId, cpf, '_id');
         if (cpfExistente) {
             return res.status(409).json({ 
                 success: false,
@@ -54,6 +52,7 @@ exports.criarPaciente = async (req, res) => {
             endereco: endereco.trim(), // Será criptografado
             telefone: telefone.replace(/\D/g, ''), // Será criptografado
             email: email ? email.toLowerCase().trim() : null,
+            sexo: sexo || null,
             tenant_id: tenantId
         });
 
@@ -262,13 +261,15 @@ exports.atualizarPaciente = async (req, res) => {
             return res.status(403).json({ erro: 'CPF não pode ser alterado' });
         }
 
-        const camposPermitidos = ['nome', 'dataNascimento', 'endereco', 'telefone', 'email'];
+        const camposPermitidos = ['nome', 'dataNascimento', 'endereco', 'telefone', 'email', 'sexo'];
         const atualizacao = {};
         
         camposPermitidos.forEach(campo => {
             if (req.body[campo] !== undefined) {
                 if (campo === 'email' && req.body[campo]) {
                     atualizacao[campo] = req.body[campo].toLowerCase().trim();
+                } else if (campo === 'sexo') {
+                    atualizacao[campo] = req.body[campo] || null;
                 } else {
                     atualizacao[campo] = req.body[campo];
                 }
@@ -15,8 +15,10 @@ exports.listarLaudosPorMedico = async (req, res) => {
       return res.status(400).json({ erro: 'Tenant ID é obrigatório' });
     }
 
+    // Rascunhos só entram no financeiro depois de finalizados
     const query = {
       tenant_id: tenantId,
+      status: { $ne: 'Rascunho' }
     };
 
     if (medicoId) {
@@ -116,6 +118,7 @@ exports.registrarPagamento = async (req, res) => {
     const laudosParaPagamento = await Laudo.find({
       _id: { $in: laudos },
       tenant_id: tenant_id,
+      status: { $ne: 'Rascunho' },
       pagamentoRegistrado: false
     }).populate('medico', 'nome email');
 
@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const { cpfValido, normalizarDataNascimento } = require('../utils/portalPaciente');
+const {
+  identificarPaciente,
+  solicitarCodigo,
+  verificarCodigo,
+  emitirTokenPortal,
+  listarLaudosPaciente,
+  buscarLaudoPaciente
+} = require('../services/portalPacienteService');
+const { obterPdfAssinadoComAdendos } = require('./laudoController');
+
+/*
+ * Portal do paciente: o paciente se identifica com CPF + data de nascimento,
+ * recebe um código de uso único e consulta/baixa seus laudos assinados no tenant.
+ * Todo acesso é registrado no AuditLog com o pacienteId.
+ */
+
+const CANAIS = ['email', 'sms'];
+
+// Resposta idêntica para paciente encontrado ou não, para não revelar cadastros
+const RESPOSTA_SOLICITACAO = {
+  mensagem: 'Se os dados estiverem corretos, você receberá um código de acesso em instantes.'
+};
+
+const registrarAuditoria = async (req, pacienteId, tenantId, dados) => {
+  try {
+    await AuditLog.create({
+      pacienteId,
+      action: dados.action,
+      description: dados.description,
+      collectionName: dados.collectionName || 'pacientes',
+      documentId: dados.documentId !== undefined ? dados.documentId : pacienteId,
+      before: null,
+      after: dados.after || null,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'] || 'desconhecido',
+      tenant_id: tenantId
+    });
+  } catch (auditError) {
+    console.error('Erro ao criar log de auditoria');
+  }
+};
+
+// Valida o corpo comum às etapas de identificação
+const lerIdentificacao = async (req) => {
+  const { tenantId, cpf, dataNascimento } = req.body;
+
+  if (!tenantId || !mongoose.isValidObjectId(tenantId)) {
+    return { erro: 'Clínica não informada' };
+  }
+  if (!cpfValido(cpf)) {
+    return { erro: 'CPF inválido' };
+  }
+  if (!normalizarDataNascimento(dataNascimento)) {
+    return { erro: 'Data de nascimento inválida' };
+  }
+
+  const tenant = await Tenant.findOne({ _id: tenantId, status: 'ativo' }).select('_id');
+  if (!tenant) {
+    return { erro: 'Clínica não encontrada' };
+  }
+
+  return { tenantId: tenant._id, cpf, dataNascimento };
+};
+
+// Solicitar código de acesso (e-mail ou SMS)
+exports.solicitarCodigo = async (req, res) => {
+  try {
+    const identificacao = await lerIdentificacao(req);
+    if (identificacao.erro) {
+      return res.status(400).json({ erro: identificacao.erro });
+    }
+
+    const canal = req.body.canal || 'email';
+    if (!CANAIS.includes(canal)) {
+      return res.status(400).json({ erro: 'Canal inválido. Use "email" ou "sms".' });
+    }
+
+    const paciente = await identificarPaciente(identificacao.tenantId, identificacao.cpf, identificacao.dataNascimento);
+    if (!paciente) {
+      logger.warn(`Portal do paciente: identificação não confere (tenant ${identificacao.tenantId}, IP ${req.ip})`);
+      return res.json(RESPOSTA_SOLICITACAO);
+    }
+
+    const resultado = await solicitarCodigo(paciente, canal, req.ip);
+
+    await registrarAuditoria(req, paciente._id, paciente.tenant_id, {
+      action: 'login',
+      description: resultado.enviado
+        ? `Portal do paciente: código de acesso enviado por ${canal}`
+        : `Portal do paciente: código de acesso não enviado (${resultado.motivo})`,
+      after: { canal, enviado: resultado.enviado, motivo: resultado.motivo || null, destino: resultado.destino || null }
+    });
+
+    res.json(RESPOSTA_SOLICITACAO);
+  } catch (err) {
+    logger.error('Erro ao solicitar código do portal do paciente:', err);
+    res.status(500).json({
+      erro: 'Erro ao solicitar código de acesso',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Confirmar o código e iniciar a sessão do portal
+exports.verificarCodigo = async (req, res) => {
+  try {
+    const identificacao = await lerIdentificacao(req);
+    if (identificacao.erro) {
+      return res.status(400).json({ erro: identificacao.erro });
+    }
+
+    const { codigo } = req.body;
+    if (!/^\d{6}$/.test(String(codigo || '').trim())) {
+      return res.status(400).json({ erro: 'Código inválido' });
+    }
+
+    const paciente = await identificarPaciente(identificacao.tenantId, identificacao.cpf, identificacao.dataNascimento);
+    if (!paciente) {
+      return res.status(401).json({ erro: 'Código inválido ou expirado' });
+    }
+
+    const resultado = await verificarCodigo(paciente, codigo);
+
+    await registrarAuditoria(req, paciente._id, paciente.tenant_id, {
+      action: 'login',
+      description: resultado.valido
+        ? 'Portal do paciente: acesso autorizado'
+        : 'Portal do paciente: código de acesso inválido',
+      after: { sucesso: resultado.valido }
+    });
+
+    if (!resultado.valido) {
+      return res.status(401).json({
+        erro: 'Código inválido ou expirado',
+        tentativasRestantes: resultado.tentativasRestantes
+      });
+    }
+
+    const { token, expiraEm } = emitirTokenPortal(paciente);
+
+    res.json({
+      token,
+      expiraEm,
+      paciente: { nome: paciente.nome }
+    });
+  } catch (err) {
+    logger.error('Erro ao verificar código do portal do paciente:', err);
+    res.status(500).json({
+      erro: 'Erro ao verificar código de acesso',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Listar os laudos assinados do paciente no tenant
+exports.listarLaudos = async (req, res) => {
+  try {
+    const { id, tenant_id } = req.pacientePortal;
+    const laudos = await listarLaudosPaciente(id, tenant_id);
+
+    await registrarAuditoria(req, id, tenant_id, {
+      action: 'view',
+      description: 'Portal do paciente: listagem de laudos',
+      collectionName: 'laudos',
+      documentId: null,
+      after: { total: laudos.length }
+    });
+
+    res.json({ laudos });
+  } catch (err) {
+    logger.error('Erro ao listar laudos do portal do paciente:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar laudos',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Download do PDF assinado (com adendos, quando houver)
+exports.downloadLaudo = async (req, res) => {
+  try {
+    const { id, tenant_id } = req.pacientePortal;
+    const laudo = await buscarLaudoPaciente(id, tenant_id, req.params.id);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    const pdf = await obterPdfAssinadoComAdendos(laudo);
+    if (!pdf) {
+      return res.status(404).json({ erro: 'Arquivo do laudo assinado não encontrado' });
+    }
+
+    await registrarAuditoria(req, id, tenant_id, {
+      action: 'export',
+      description: 'Portal do paciente: download do laudo assinado',
+      collectionName: 'laudos',
+      documentId: laudo._id
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="laudo_${laudo._id}.pdf"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(pdf);
+  } catch (err) {
+    logger.error('Erro ao baixar laudo do portal do paciente:', err);
+    res.status(500).json({
+      erro: 'Erro ao baixar laudo',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const PrazoSla = require('../models/PrazoSla');
+const TipoExame = require('../models/TipoExame');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const { obterConfiguracaoSla } = require('../services/slaService');
+
+const ehAdminMaster = (req) => req.usuario.isAdminMaster || req.usuario.role === 'adminMaster';
+
+// Tenant em que o usuário está operando (primeiro da lista para usuários multi-tenant)
+const obterTenantUsuario = (req) => {
+  const tenantId = Array.isArray(req.tenant_id) ? req.tenant_id[0] : req.tenant_id;
+  return tenantId?._id || tenantId || null;
+};
+
+const registrarAuditoria = async (req, action, description, documentId, before, after, tenantId) => {
+  try {
+    await AuditLog.create({
+      userId: req.usuario.id,
+      action,
+      description,
+      collectionName: 'prazossla',
+      documentId,
+      before,
+      after,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      tenant_id: tenantId || obterTenantUsuario(req)
+    });
+  } catch (auditError) {
+    console.error('Erro ao criar log de auditoria');
+  }
+};
+
+// Listar prazos configurados (do tenant e globais) com o prazo efetivo de cada tipo de exame
+exports.listarPrazos = async (req, res) => {
+  try {
+    const tenantId = obterTenantUsuario(req);
+
+    const [prazos, tipos] = await Promise.all([
+      PrazoSla.find({ tenant_id: tenantId ? { $in: [tenantId, null] } : null })
+        .populate('tipoExameId', 'nome urgente')
+        .sort({ createdAt: -1 }),
+      TipoExame.find({ status: { $ne: 'inativo' } }).select('nome urgente').sort({ urgente: -1, nome: 1 })
+    ]);
+
+    const efetivos = await Promise.all(tipos.map(async tipo => ({
+      tipoExame: { id: tipo._id, nome: tipo.nome, urgente: !!tipo.urgente },
+      ...(await obterConfiguracaoSla(tipo, tenantId))
+    })));
+
+    res.json({ prazos, efetivos });
+  } catch (err) {
+    logger.error('Erro ao listar prazos de SLA:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar prazos de SLA',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Criar ou atualizar o prazo de um tipo de exame (global apenas para adminMaster)
+exports.salvarPrazo = async (req, res) => {
+  try {
+    const { tipoExameId, alertaAntecedenciaMinutos } = req.body;
+    const global = req.body.global === true || req.body.global === 'true';
+    const prazoHoras = parseFloat(req.body.prazoHoras);
+
+    if (!tipoExameId || !mongoose.isValidObjectId(tipoExameId)) {
+      return res.status(400).json({ erro: 'Tipo de exame inválido' });
+    }
+
+    if (!Number.isFinite(prazoHoras) || prazoHoras <= 0) {
+      return res.status(400).json({ erro: 'O prazo (em horas) deve ser maior que zero' });
+    }
+
+    if (global && !ehAdminMaster(req)) {
+      return res.status(403).json({ erro: 'Apenas o administrador master pode definir prazos globais' });
+    }
+
+    const tipoExame = await TipoExame.findById(tipoExameId).select('nome');
+    if (!tipoExame) {
+      return res.status(404).json({ erro: 'Tipo de exame não encontrado' });
+    }
+
+    const tenantId = global ? null : obterTenantUsuario(req);
+    const filtro = { tipoExameId, tenant_id: tenantId };
+    const anterior = await PrazoSla.findOne(filtro).lean();
+
+    const prazo = await PrazoSla.findOneAndUpdate(
+      filtro,
+      {
+        $set: {
+          prazoHoras,
+          alertaAntecedenciaMinutos: alertaAntecedenciaMinutos !== undefined && alertaAntecedenciaMinutos !== ''
+            ? parseFloat(alertaAntecedenciaMinutos)
+            : undefined,
+          ativo: req.body.ativo !== false && req.body.ativo !== 'false'
+        },
+        $setOnInsert: { criadoPor: req.usuario.id }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    await registrarAuditoria(
+      req,
+      anterior ? 'update' : 'create',
+      `Prazo de SLA ${global ? 'global ' : ''}de ${tipoExame.nome} definido em ${prazoHoras}h`,
+      prazo._id,
+      anterior,
+      prazo.toObject(),
+      tenantId
+    );
+
+    res.status(anterior ? 200 : 201).json(prazo);
+  } catch (err) {
+    logger.error('Erro ao salvar prazo de SLA:', err);
+    res.status(500).json({
+      erro: 'Erro ao salvar prazo de SLA',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Remover configuração (o tipo de exame volta ao prazo global ou padrão)
+exports.removerPrazo = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID inválido' });
+    }
+
+    const prazo = await PrazoSla.findById(id);
+    if (!prazo) {
+      return res.status(404).json({ erro: 'Prazo de SLA não encontrado' });
+    }
+
+    const tenantId = obterTenantUsuario(req);
+    const podeRemover = ehAdminMaster(req) || (prazo.tenant_id && prazo.tenant_id.toString() === tenantId?.toString());
+    if (!podeRemover) {
+      return res.status(403).json({ erro: 'Sem permissão para remover este prazo' });
+    }
+
+    await prazo.deleteOne();
+
+    await registrarAuditoria(
+      req,
+      'delete',
+      'Prazo de SLA removido',
+      prazo._id,
+      prazo.toObject(),
+      null,
+      prazo.tenant_id
+    );
+
+    res.json({ mensagem: 'Prazo de SLA removido com sucesso' });
+  } catch (err) {
+    logger.error('Erro ao remover prazo de SLA:', err);
+    res.status(500).json({
+      erro: 'Erro ao remover prazo de SLA',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
@@ -0,0 +1,406 @@
+const mongoose = require('mongoose');
+const Laudo = require('../models/Laudo');
+const Exame = require('../models/Exame');
+const Usuario = require('../models/Usuario');
+const MascaraLaudo = require('../models/MascaraLaudo');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const { normalizarSecoes, montarConclusaoDasSecoes } = require('../utils/mascaraLaudo');
+const { conteudoAlterado, rascunhoVazio, adicionarVersao } = require('../utils/rascunhoLaudo');
+const { gerarCodigoAcesso } = require('../utils/linkPublico');
+const { situacaoInicialLaudo } = require('../utils/revisaoLaudo');
+const { assumirBloqueio, liberarBloqueio } = require('../services/worklistService');
+const { concluirEmissaoLaudo } = require('./laudoController');
+
+/*
+ * Rascunhos de laudo: o médico redige o laudo com salvamento automático
+ * (sem gerar PDF nem enviar ao S3) e só o finaliza quando estiver pronto.
+ * Na finalização o rascunho entra no fluxo normal de revisão e assinatura.
+ * Rascunhos ficam com `valido: false` e não contam como laudo do exame.
+ */
+
+const ERRO_BLOQUEIO = 'Este exame está sendo laudado por outro médico';
+
+// Rascunho aberto do próprio médico
+const buscarRascunho = async (req) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  return Laudo.findOne({ _id: id, status: 'Rascunho', medicoResponsavelId: req.usuario.id });
+};
+
+const formatarRascunho = (laudo, incluirVersoes = false) => ({
+  id: laudo._id,
+  exame: laudo.exame,
+  conclusao: laudo.conclusao,
+  secoes: laudo.secoes,
+  mascaraId: laudo.mascaraId,
+  mascaraVersao: laudo.mascaraVersao,
+  ultimoAutosave: laudo.rascunho?.ultimoAutosave,
+  totalVersoes: laudo.rascunho?.versoes?.length || 0,
+  criadoEm: laudo.createdAt,
+  ...(incluirVersoes && {
+    versoes: (laudo.rascunho?.versoes || []).map(versao => ({
+      numero: versao.numero,
+      data: versao.data,
+      restauradaDe: versao.restauradaDe,
+      conclusao: versao.conclusao,
+      secoes: versao.secoes
+    })).reverse()
+  })
+});
+
+// Aplica o conteúdo ao rascunho e registra uma versão quando houver alteração
+const aplicarConteudo = (laudo, conteudo, usuarioId, restauradaDe) => {
+  const atual = { conclusao: laudo.conclusao, secoes: laudo.secoes };
+  if (!conteudoAlterado(atual, conteudo)) return false;
+
+  laudo.conclusao = conteudo.conclusao || undefined;
+  laudo.secoes = conteudo.secoes;
+
+  const versoes = (laudo.rascunho?.versoes || []).map(versao => versao.toObject());
+  laudo.set('rascunho.versoes', adicionarVersao(versoes, {
+    conclusao: conteudo.conclusao || undefined,
+    secoes: conteudo.secoes,
+    data: new Date(),
+    usuarioId,
+    restauradaDe
+  }));
+  laudo.set('rascunho.ultimoAutosave', new Date());
+
+  return true;
+};
+
+const registrarAuditoria = async (req, action, description, laudo, before, after) => {
+  try {
+    await AuditLog.create({
+      userId: req.usuario.id,
+      action,
+      description,
+      collectionName: 'laudos',
+      documentId: laudo._id,
+      before,
+      after,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      tenant_id: laudo.tenant_id
+    });
+  } catch (auditError) {
+    console.error('Erro ao criar log de auditoria');
+  }
+};
+
+// Listar rascunhos abertos do médico
+exports.listarRascunhos = async (req, res) => {
+  try {
+    const rascunhos = await Laudo.find({ status: 'Rascunho', medicoResponsavelId: req.usuario.id })
+      .populate({
+        path: 'exame',
+        select: 'paciente tipoExame dataExame prazoLaudo',
+        populate: [
+          { path: 'paciente', select: 'nome' },
+          { path: 'tipoExame', select: 'nome urgente' }
+        ]
+      })
+      .sort({ 'rascunho.ultimoAutosave': -1, updatedAt: -1 });
+
+    res.json({ rascunhos: rascunhos.map(laudo => formatarRascunho(laudo)) });
+  } catch (err) {
+    logger.error('Erro ao listar rascunhos:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar rascunhos',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Criar rascunho para um exame (ou retomar o rascunho aberto do médico)
+exports.criarRascunho = async (req, res) => {
+  try {
+    const { exameId, mascaraId } = req.body;
+    const usuarioId = req.usuario.id;
+    const usuarioNome = req.usuarioNome || req.usuario.nome;
+
+    if (!exameId || !mongoose.isValidObjectId(exameId)) {
+      return res.status(400).json({ erro: 'ID do exame inválido' });
+    }
+
+    const filtroExame = { _id: exameId };
+    if (req.usuario.role !== 'adminMaster') {
+      filtroExame.tenant_id = Array.isArray(req.tenant_id) ? { $in: req.tenant_id } : req.tenant_id;
+    }
+
+    const exame = await Exame.findOne(filtroExame).populate('tipoExame', 'nome');
+    if (!exame) {
+      return res.status(404).json({ erro: 'Exame não encontrado' });
+    }
+
+    const laudoExistente = await Laudo.exists({ exame: exameId, valido: true });
+    if (laudoExistente) {
+      return res.status(400).json({ erro: 'Já existe um laudo válido para este exame' });
+    }
+
+    // Redigir o rascunho também assume o exame na worklist
+    const exameBloqueado = await assumirBloqueio({ _id: exameId }, usuarioId, usuarioNome);
+    if (!exameBloqueado) {
+      return res.status(409).json({ erro: ERRO_BLOQUEIO });
+    }
+
+    const rascunhoAberto = await Laudo.findOne({ exame: exameId, status: 'Rascunho', medicoResponsavelId: usuarioId });
+    if (rascunhoAberto) {
+      return res.json({ mensagem: 'Rascunho aberto retomado', rascunho: formatarRascunho(rascunhoAberto, true) });
+    }
+
+    let mascara = null;
+    if (mascaraId) {
+      if (!mongoose.isValidObjectId(mascaraId)) {
+        return res.status(400).json({ erro: 'ID da máscara inválido' });
+      }
+      mascara = await MascaraLaudo.buscarParaTenant(mascaraId, exame.tenant_id, 'versao tipoExameId');
+      if (!mascara || mascara.tipoExameId.toString() !== exame.tipoExame?._id.toString()) {
+        return res.status(400).json({ erro: 'A máscara não corresponde ao tipo de exame' });
+      }
+    }
+
+    const medico = await Usuario.findById(usuarioId).select('especialidades');
+    const secoes = normalizarSecoes(req.body.secoes);
+    const conclusao = (req.body.conclusao || '').trim();
+
+    const laudo = new Laudo({
+      exame: exameId,
+      medicoResponsavel: usuarioNome,
+      medicoResponsavelId: usuarioId,
+      conclusao: conclusao || undefined,
+      secoes,
+      mascaraId: mascara?._id,
+      mascaraVersao: mascara?.versao,
+      status: 'Rascunho',
+      valido: false,
+      criadoPor: usuarioNome,
+      criadoPorId: usuarioId,
+      codigoAcesso: gerarCodigoAcesso(),
+      tenant_id: exame.tenant_id,
+      tipoExameId: exame.tipoExame?._id,
+      especialidadeId: medico?.especialidades?.[0] || null,
+      rascunho: {
+        versoes: rascunhoVazio({ conclusao, secoes })
+          ? []
+          : adicionarVersao([], { conclusao: conclusao || undefined, secoes, data: new Date(), usuarioId }),
+        ultimoAutosave: new Date()
+      }
+    });
+
+    await laudo.save();
+
+    await registrarAuditoria(req, 'create', `Rascunho de laudo criado para o exame ${exameId}`, laudo, null, {
+      exame: exameId,
+      status: 'Rascunho'
+    });
+
+    res.status(201).json({ mensagem: 'Rascunho criado com sucesso', rascunho: formatarRascunho(laudo, true) });
+  } catch (err) {
+    logger.error('Erro ao criar rascunho:', err);
+    res.status(500).json({
+      erro: 'Erro ao criar rascunho',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Obter rascunho com as versões salvas
+exports.obterRascunho = async (req, res) => {
+  try {
+    const laudo = await buscarRascunho(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Rascunho não encontrado' });
+    }
+
+    res.json({ rascunho: formatarRascunho(laudo, true) });
+  } catch (err) {
+    logger.error('Erro ao obter rascunho:', err);
+    res.status(500).json({
+      erro: 'Erro ao obter rascunho',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Autosave: atualiza o conteúdo do rascunho e renova o bloqueio do exame
+exports.salvarRascunho = async (req, res) => {
+  try {
+    const laudo = await buscarRascunho(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Rascunho não encontrado' });
+    }
+
+    const exameBloqueado = await assumirBloqueio(
+      { _id: laudo.exame },
+      req.usuario.id,
+      req.usuarioNome || req.usuario.nome
+    );
+    if (!exameBloqueado) {
+      return res.status(409).json({ erro: ERRO_BLOQUEIO });
+    }
+
+    const conteudo = {
+      conclusao: req.body.conclusao !== undefined ? (req.body.conclusao || '').trim() : laudo.conclusao,
+      secoes: req.body.secoes !== undefined
+        ? normalizarSecoes(req.body.secoes)
+        : laudo.secoes.map(secao => secao.toObject())
+    };
+
+    const alterado = aplicarConteudo(laudo, conteudo, req.usuario.id);
+    if (alterado) {
+      await laudo.save();
+    }
+
+    res.json({
+      mensagem: alterado ? 'Rascunho salvo' : 'Nenhuma alteração',
+      ultimoAutosave: laudo.rascunho?.ultimoAutosave,
+      totalVersoes: laudo.rascunho?.versoes?.length || 0
+    });
+  } catch (err) {
+    logger.error('Erro ao salvar rascunho:', err);
+    res.status(500).json({
+      erro: 'Erro ao salvar rascunho',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Restaurar uma versão anterior do rascunho (gera uma nova versão)
+exports.restaurarVersao = async (req, res) => {
+  try {
+    const laudo = await buscarRascunho(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Rascunho não encontrado' });
+    }
+
+    const numero = parseInt(req.params.numero, 10);
+    const versao = (laudo.rascunho?.versoes || []).find(v => v.numero === numero);
+    if (!versao) {
+      return res.status(404).json({ erro: 'Versão do rascunho não encontrada' });
+    }
+
+    const alterado = aplicarConteudo(
+      laudo,
+      { conclusao: versao.conclusao, secoes: versao.secoes.map(secao => secao.toObject()) },
+      req.usuario.id,
+      numero
+    );
+    if (alterado) {
+      await laudo.save();
+    }
+
+    res.json({
+      mensagem: alterado ? `Versão ${numero} restaurada` : 'O rascunho já está nesta versão',
+      rascunho: formatarRascunho(laudo, true)
+    });
+  } catch (err) {
+    logger.error('Erro ao restaurar versão do rascunho:', err);
+    res.status(500).json({
+      erro: 'Erro ao restaurar versão do rascunho',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Finalizar rascunho: segue o mesmo fluxo da criação de laudo
+exports.finalizarRascunho = async (req, res) => {
+  try {
+    const laudo = await buscarRascunho(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Rascunho não encontrado' });
+    }
+
+    const usuarioId = req.usuario.id;
+    const usuarioNome = req.usuarioNome || req.usuario.nome;
+
+    const conclusao = laudo.conclusao || montarConclusaoDasSecoes(laudo.secoes || []);
+    if (!conclusao) {
+      return res.status(400).json({ erro: 'Preencha a conclusão (ou as seções da máscara) antes de finalizar' });
+    }
+
+    const exame = await Exame.findById(laudo.exame)
+      .populate('paciente')
+      .populate('tipoExame');
+    if (!exame) {
+      return res.status(404).json({ erro: 'Exame não encontrado' });
+    }
+
+    const laudoExistente = await Laudo.exists({ exame: exame._id, valido: true });
+    if (laudoExistente) {
+      return res.status(400).json({ erro: 'Já existe um laudo válido para este exame' });
+    }
+
+    const exameBloqueado = await assumirBloqueio({ _id: exame._id }, usuarioId, usuarioNome);
+    if (!exameBloqueado) {
+      return res.status(409).json({ erro: ERRO_BLOQUEIO });
+    }
+
+    // Tipos de exame com dupla leitura exigem revisão de um segundo médico antes da assinatura
+    const exigeRevisao = !!exame.tipoExame?.exigeDuplaLeitura;
+
+    laudo.conclusao = conclusao;
+    const { status, revisao } = situacaoInicialLaudo(exame.tipoExame);
+    laudo.status = status;
+    laudo.revisao = revisao;
+    laudo.valido = true;
+    laudo.atualizadoPor = usuarioNome;
+    laudo.atualizadoPorId = usuarioId;
+    laudo.set('rascunho.finalizadoEm', new Date());
+
+    const { certificadoAtivo } = await concluirEmissaoLaudo(laudo, exame, usuarioId, usuarioNome);
+
+    await registrarAuditoria(req, 'update', `Rascunho finalizado para o exame ${exame._id} - Status: ${laudo.status}`, laudo,
+      { status: 'Rascunho' },
+      { status: laudo.status, valorPago: laudo.valorPago, exigeRevisao }
+    );
+
+    res.json({
+      mensagem: exigeRevisao
+        ? 'Laudo finalizado! Este tipo de exame exige dupla leitura: o laudo foi enviado para revisão de outro médico antes da assinatura.'
+        : 'Laudo finalizado! Você já pode assiná-lo.',
+      laudo: {
+        id: laudo._id,
+        exame: exame._id,
+        status: laudo.status,
+        valorPago: laudo.valorPago,
+        temCertificado: certificadoAtivo,
+        exigeRevisao
+      }
+    });
+  } catch (err) {
+    logger.error('Erro ao finalizar rascunho:', err);
+    res.status(500).json({
+      erro: 'Erro ao finalizar rascunho',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Descartar rascunho e liberar o exame na worklist
+exports.descartarRascunho = async (req, res) => {
+  try {
+    const laudo = await buscarRascunho(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Rascunho não encontrado' });
+    }
+
+    await laudo.deleteOne();
+    await liberarBloqueio({ _id: laudo.exame }, req.usuario.id);
+
+    await registrarAuditoria(req, 'delete', `Rascunho de laudo descartado (exame ${laudo.exame})`, laudo,
+      { status: 'Rascunho', exame: laudo.exame },
+      null
+    );
+
+    res.json({ mensagem: 'Rascunho descartado com sucesso' });
+  } catch (err) {
+    logger.error('Erro ao descartar rascunho:', err);
+    res.status(500).json({
+      erro: 'Erro ao descartar rascunho',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
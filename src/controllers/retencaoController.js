@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Exame = require('../models/Exame');
+const Tenant = require('../models/Tenant');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const { obterPoliticas, gerarRelatorio } = require('../services/retencaoService');
+const { normalizarPoliticas } = require('../utils/retencao');
+
+const HORIZONTE_MAXIMO_DIAS = 3650;
+
+// Tenant em que o usuário está operando (primeiro da lista para usuários multi-tenant)
+const obterTenantUsuario = (req) => {
+  const tenantId = Array.isArray(req.tenant_id) ? req.tenant_id[0] : req.tenant_id;
+  return tenantId?._id || tenantId || null;
+};
+
+const registrarAuditoria = async (req, dados) => {
+  try {
+    await AuditLog.create({
+      userId: req.usuario.id,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      tenant_id: obterTenantUsuario(req),
+      ...dados
+    });
+  } catch (auditError) {
+    console.error('Erro ao criar log de auditoria');
+  }
+};
+
+const formatarBloqueio = (bloqueio) => ({
+  ativo: !!bloqueio?.ativo,
+  motivo: bloqueio?.motivo || null,
+  usuarioId: bloqueio?.usuarioId || null,
+  usuarioNome: bloqueio?.usuarioNome || null,
+  data: bloqueio?.data || null
+});
+
+// Políticas efetivas do tenant (as não configuradas mostram o padrão)
+exports.obterPoliticas = async (req, res) => {
+  try {
+    const tenantId = obterTenantUsuario(req);
+    const tenant = await Tenant.findById(tenantId).select('politicasRetencao');
+    if (!tenant) {
+      return res.status(404).json({ erro: 'Tenant não encontrado' });
+    }
+
+    res.json({
+      politicas: tenant.politicasRetencao || [],
+      efetivas: await obterPoliticas(tenantId)
+    });
+  } catch (err) {
+    logger.error('Erro ao obter políticas de retenção:', err);
+    res.status(500).json({
+      erro: 'Erro ao obter políticas de retenção',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+exports.salvarPoliticas = async (req, res) => {
+  try {
+    const tenantId = obterTenantUsuario(req);
+    const { politicas, erro } = normalizarPoliticas(req.body.politicas);
+    if (erro) {
+      return res.status(400).json({ erro });
+    }
+
+    const tenant = await Tenant.findById(tenantId).select('politicasRetencao');
+    if (!tenant) {
+      return res.status(404).json({ erro: 'Tenant não encontrado' });
+    }
+
+    const anterior = tenant.politicasRetencao.map(politica => politica.toObject());
+    tenant.politicasRetencao = politicas;
+    await tenant.save();
+
+    await registrarAuditoria(req, {
+      action: 'update',
+      description: 'Políticas de retenção de documentos atualizadas',
+      collectionName: 'tenants',
+      documentId: tenant._id,
+      before: anterior,
+      after: politicas
+    });
+
+    res.json({
+      mensagem: 'Políticas de retenção salvas',
+      politicas: tenant.politicasRetencao,
+      efetivas: await obterPoliticas(tenantId)
+    });
+  } catch (err) {
+    logger.error('Erro ao salvar políticas de retenção:', err);
+    res.status(500).json({
+      erro: 'Erro ao salvar políticas de retenção',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Documentos a arquivar, com retenção vencida (ou vencendo em ?dias) e sob bloqueio legal
+exports.obterRelatorio = async (req, res) => {
+  try {
+    const dias = req.query.dias === undefined ? 30 : parseInt(req.query.dias);
+    if (!Number.isInteger(dias) || dias < 0 || dias > HORIZONTE_MAXIMO_DIAS) {
+      return res.status(400).json({ erro: `Informe um horizonte de 0 a ${HORIZONTE_MAXIMO_DIAS} dias` });
+    }
+
+    const relatorio = await gerarRelatorio(obterTenantUsuario(req), { dias });
+    res.json(relatorio);
+  } catch (err) {
+    logger.error('Erro ao gerar relatório de retenção:', err);
+    res.status(500).json({
+      erro: 'Erro ao gerar relatório de retenção',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Bloqueio legal do exame: impede a exclusão do exame e de seus arquivos até ser removido
+exports.aplicarBloqueioLegal = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const motivo = String(req.body.motivo || '').trim();
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID do exame inválido' });
+    }
+    if (!motivo) {
+      return res.status(400).json({ erro: 'Informe o motivo do bloqueio legal' });
+    }
+
+    const exame = await Exame.findOne({ _id: id, tenant_id: obterTenantUsuario(req) }).select('bloqueioLegal');
+    if (!exame) {
+      return res.status(404).json({ erro: 'Exame não encontrado' });
+    }
+    if (exame.bloqueioLegal?.ativo) {
+      return res.status(409).json({ erro: 'O exame já está sob bloqueio legal', codigo: 'BLOQUEIO_LEGAL' });
+    }
+
+    exame.bloqueioLegal = {
+      ativo: true,
+      motivo,
+      usuarioId: req.usuario.id,
+      usuarioNome: req.usuarioNome || req.usuario.nome,
+      data: new Date()
+    };
+    await exame.save();
+
+    await registrarAuditoria(req, {
+      action: 'update',
+      description: `Bloqueio legal aplicado ao exame ${id}`,
+      collectionName: 'exames',
+      documentId: exame._id,
+      before: { bloqueioLegal: false },
+      after: { bloqueioLegal: true, motivo }
+    });
+
+    res.json({ mensagem: 'Bloqueio legal aplicado', bloqueioLegal: formatarBloqueio(exame.bloqueioLegal) });
+  } catch (err) {
+    logger.error('Erro ao aplicar bloqueio legal:', err);
+    res.status(500).json({
+      erro: 'Erro ao aplicar bloqueio legal',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+exports.removerBloqueioLegal = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ erro: 'ID do exame inválido' });
+    }
+
+    const exame = await Exame.findOne({ _id: id, tenant_id: obterTenantUsuario(req) }).select('bloqueioLegal');
+    if (!exame) {
+      return res.status(404).json({ erro: 'Exame não encontrado' });
+    }
+    if (!exame.bloqueioLegal?.ativo) {
+      return res.status(400).json({ erro: 'O exame não está sob bloqueio legal' });
+    }
+
+    const anterior = formatarBloqueio(exame.bloqueioLegal);
+    exame.bloqueioLegal = { ativo: false };
+    await exame.save();
+
+    await registrarAuditoria(req, {
+      action: 'update',
+      description: `Bloqueio legal removido do exame ${id} (aplicado por ${anterior.usuarioNome})`,
+      collectionName: 'exames',
+      documentId: exame._id,
+      before: { bloqueioLegal: true, motivo: anterior.motivo },
+      after: { bloqueioLegal: false }
+    });
+
+    res.json({ mensagem: 'Bloqueio legal removido' });
+  } catch (err) {
+    logger.error('Erro ao remover bloqueio legal:', err);
+    res.status(500).json({
+      erro: 'Erro ao remover bloqueio legal',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
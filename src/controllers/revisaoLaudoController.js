@@ -0,0 +1,319 @@
+const mongoose = require('mongoose');
+const Laudo = require('../models/Laudo');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const { gerarPdfOriginalLaudo } = require('./laudoController');
+const { normalizarSecoes, montarConclusaoDasSecoes } = require('../utils/mascaraLaudo');
+
+/*
+ * Dupla leitura: laudos de tipos de exame com `exigeDuplaLeitura` ficam
+ * "Em revisão" até que um segundo médico (diferente do laudador) aprove,
+ * rejeite com comentários ou edite o conteúdo. Só então podem ser assinados.
+ */
+
+// Filtro de tenant conforme o usuário autenticado
+const filtroTenant = (req) => {
+  if (req.usuario.role === 'adminMaster') return {};
+  return { tenant_id: Array.isArray(req.tenant_id) ? { $in: req.tenant_id } : req.tenant_id };
+};
+
+const buscarLaudoDoTenant = async (req) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Laudo.findOne({ _id: id, ...filtroTenant(req) });
+};
+
+const registrarAuditoria = async (req, laudo, description, before, after) => {
+  try {
+    await AuditLog.create({
+      userId: req.usuario.id,
+      action: 'update',
+      description,
+      collectionName: 'laudos',
+      documentId: laudo._id,
+      before,
+      after,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      tenant_id: laudo.tenant_id
+    });
+  } catch (auditError) {
+    console.error('Erro ao criar log de auditoria');
+  }
+};
+
+// Listar laudos aguardando revisão (exclui os laudos do próprio médico)
+exports.listarPendentesRevisao = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {
+      ...filtroTenant(req),
+      status: 'Em revisão',
+      'revisao.status': 'Pendente',
+      medicoResponsavelId: { $ne: req.usuario.id }
+    };
+
+    const [laudos, total] = await Promise.all([
+      Laudo.find(query)
+        .populate({
+          path: 'exame',
+          select: 'paciente tipoExame dataExame',
+          populate: [
+            { path: 'paciente', select: 'nome' },
+            { path: 'tipoExame', select: 'nome' }
+          ]
+        })
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Laudo.countDocuments(query)
+    ]);
+
+    res.json({
+      laudos: laudos.map(laudo => ({
+        id: laudo._id,
+        exame: laudo.exame,
+        medicoResponsavel: laudo.medicoResponsavel,
+        medicoResponsavelId: laudo.medicoResponsavelId,
+        rodada: laudo.revisao?.rodada || 1,
+        criadoEm: laudo.createdAt
+      })),
+      paginacao: {
+        total,
+        paginaAtual: parseInt(page),
+        totalPaginas: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (err) {
+    logger.error('Erro ao listar laudos pendentes de revisão:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar laudos pendentes de revisão',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Aprovar a revisão, opcionalmente editando a conclusão ou as seções
+exports.aprovarRevisao = async (req, res) => {
+  try {
+    const laudo = await buscarLaudoDoTenant(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    if (laudo.status !== 'Em revisão' || laudo.revisao?.status !== 'Pendente') {
+      return res.status(400).json({ erro: 'Este laudo não está aguardando revisão' });
+    }
+
+    if (laudo.medicoResponsavelId.toString() === req.usuario.id) {
+      return res.status(403).json({ erro: 'O revisor deve ser um médico diferente do responsável pelo laudo' });
+    }
+
+    const before = { status: laudo.status, revisao: laudo.revisao?.status };
+
+    // Edição pelo revisor
+    let editado = false;
+    if (req.body.secoes !== undefined) {
+      const secoes = normalizarSecoes(req.body.secoes);
+      laudo.secoes = secoes;
+      laudo.conclusao = req.body.conclusao || montarConclusaoDasSecoes(secoes);
+      editado = true;
+    } else if (req.body.conclusao) {
+      laudo.conclusao = req.body.conclusao;
+      editado = true;
+    }
+
+    if (!laudo.conclusao) {
+      return res.status(400).json({ erro: 'A conclusão do laudo não pode ficar vazia' });
+    }
+
+    laudo.revisao.status = 'Aprovado';
+    laudo.revisao.revisorId = req.usuario.id;
+    laudo.revisao.revisorNome = req.usuario.nome;
+    laudo.revisao.dataRevisao = new Date();
+    laudo.revisao.comentarios = req.body.comentarios || undefined;
+    laudo.revisao.editadoPeloRevisor = laudo.revisao.editadoPeloRevisor || editado;
+    laudo.status = 'Laudo pronto para assinatura';
+    laudo.atualizadoPor = req.usuario.nome;
+    laudo.atualizadoPorId = req.usuario.id;
+
+    laudo.historico.push({
+      usuario: req.usuario.id,
+      nomeUsuario: req.usuario.nome,
+      acao: 'Revisão',
+      detalhes: editado ?
+        `Laudo revisado, editado e aprovado por ${req.usuario.nome}` :
+        `Laudo revisado e aprovado por ${req.usuario.nome}`,
+      versao: laudo.versao
+    });
+
+    await laudo.save();
+
+    // Regenerar o PDF original com o conteúdo revisado e os dois médicos
+    try {
+      await gerarPdfOriginalLaudo(laudo, laudo.medicoResponsavelId.toString(), laudo.medicoResponsavel);
+    } catch (pdfError) {
+      logger.error('Erro ao regenerar PDF original após revisão:', pdfError);
+    }
+
+    await registrarAuditoria(
+      req,
+      laudo,
+      `Revisão do laudo ${laudo._id} aprovada${editado ? ' com edições' : ''}`,
+      before,
+      { status: laudo.status, revisao: laudo.revisao.status, editadoPeloRevisor: laudo.revisao.editadoPeloRevisor }
+    );
+
+    res.json({
+      mensagem: 'Revisão aprovada! O laudo está pronto para assinatura.',
+      laudo: {
+        id: laudo._id,
+        status: laudo.status,
+        revisao: laudo.revisao
+      }
+    });
+  } catch (err) {
+    logger.error('Erro ao aprovar revisão do laudo:', err);
+    res.status(500).json({
+      erro: 'Erro ao aprovar revisão do laudo',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Rejeitar a revisão, devolvendo o laudo ao médico responsável com comentários
+exports.rejeitarRevisao = async (req, res) => {
+  try {
+    const { comentarios } = req.body;
+    if (!comentarios || !String(comentarios).trim()) {
+      return res.status(400).json({ erro: 'Os comentários são obrigatórios para rejeitar a revisão' });
+    }
+
+    const laudo = await buscarLaudoDoTenant(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    if (laudo.status !== 'Em revisão' || laudo.revisao?.status !== 'Pendente') {
+      return res.status(400).json({ erro: 'Este laudo não está aguardando revisão' });
+    }
+
+    if (laudo.medicoResponsavelId.toString() === req.usuario.id) {
+      return res.status(403).json({ erro: 'O revisor deve ser um médico diferente do responsável pelo laudo' });
+    }
+
+    laudo.revisao.status = 'Rejeitado';
+    laudo.revisao.revisorId = req.usuario.id;
+    laudo.revisao.revisorNome = req.usuario.nome;
+    laudo.revisao.dataRevisao = new Date();
+    laudo.revisao.comentarios = String(comentarios);
+    laudo.status = 'Revisão rejeitada';
+    laudo.atualizadoPor = req.usuario.nome;
+    laudo.atualizadoPorId = req.usuario.id;
+
+    laudo.historico.push({
+      usuario: req.usuario.id,
+      nomeUsuario: req.usuario.nome,
+      acao: 'Revisão',
+      detalhes: `Revisão rejeitada por ${req.usuario.nome}: ${comentarios}`,
+      versao: laudo.versao
+    });
+
+    await laudo.save();
+
+    await registrarAuditoria(
+      req,
+      laudo,
+      `Revisão do laudo ${laudo._id} rejeitada`,
+      { status: 'Em revisão', revisao: 'Pendente' },
+      { status: laudo.status, revisao: laudo.revisao.status }
+    );
+
+    res.json({
+      mensagem: 'Revisão rejeitada. O laudo foi devolvido ao médico responsável.',
+      laudo: {
+        id: laudo._id,
+        status: laudo.status,
+        revisao: laudo.revisao
+      }
+    });
+  } catch (err) {
+    logger.error('Erro ao rejeitar revisão do laudo:', err);
+    res.status(500).json({
+      erro: 'Erro ao rejeitar revisão do laudo',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Médico responsável corrige o laudo rejeitado e o reenvia para revisão
+exports.reenviarParaRevisao = async (req, res) => {
+  try {
+    const laudo = await buscarLaudoDoTenant(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    if (laudo.medicoResponsavelId.toString() !== req.usuario.id) {
+      return res.status(403).json({ erro: 'Apenas o médico responsável pode reenviar o laudo para revisão' });
+    }
+
+    if (laudo.status !== 'Revisão rejeitada') {
+      return res.status(400).json({ erro: 'Apenas laudos com revisão rejeitada podem ser reenviados' });
+    }
+
+    if (req.body.secoes !== undefined) {
+      const secoes = normalizarSecoes(req.body.secoes);
+      laudo.secoes = secoes;
+      laudo.conclusao = req.body.conclusao || montarConclusaoDasSecoes(secoes);
+    } else if (req.body.conclusao) {
+      laudo.conclusao = req.body.conclusao;
+    }
+
+    if (!laudo.conclusao) {
+      return res.status(400).json({ erro: 'A conclusão do laudo não pode ficar vazia' });
+    }
+
+    laudo.revisao.status = 'Pendente';
+    laudo.revisao.rodada = (laudo.revisao.rodada || 1) + 1;
+    laudo.revisao.editadoPeloRevisor = false;
+    laudo.status = 'Em revisão';
+    laudo.atualizadoPor = req.usuario.nome;
+    laudo.atualizadoPorId = req.usuario.id;
+
+    laudo.historico.push({
+      usuario: req.usuario.id,
+      nomeUsuario: req.usuario.nome,
+      acao: 'Revisão',
+      detalhes: `Laudo corrigido e reenviado para revisão (rodada ${laudo.revisao.rodada})`,
+      versao: laudo.versao
+    });
+
+    await laudo.save();
+
+    await registrarAuditoria(
+      req,
+      laudo,
+      `Laudo ${laudo._id} reenviado para revisão`,
+      { status: 'Revisão rejeitada', revisao: 'Rejeitado' },
+      { status: laudo.status, revisao: laudo.revisao.status, rodada: laudo.revisao.rodada }
+    );
+
+    res.json({
+      mensagem: 'Laudo reenviado para revisão.',
+      laudo: {
+        id: laudo._id,
+        status: laudo.status,
+        revisao: laudo.revisao
+      }
+    });
+  } catch (err) {
+    logger.error('Erro ao reenviar laudo para revisão:', err);
+    res.status(500).json({
+      erro: 'Erro ao reenviar laudo para revisão',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
@@ -64,7 +64,8 @@ exports.criarTipoExame = async (req, res) => {
     // Validar campo urgente
     const dadosTipoExame = {
       ...req.body,
-      urgente: req.body.urgente === true || req.body.urgente === 'true'
+      urgente: req.body.urgente === true || req.body.urgente === 'true',
+      exigeDuplaLeitura: req.body.exigeDuplaLeitura === true || req.body.exigeDuplaLeitura === 'true'
     };
 
     // Cria o tipo de exame
@@ -101,6 +102,7 @@ exports.criarTipoExame = async (req, res) => {
           id: tipoExame._id,
           nome: tipoExame.nome,
           urgente: tipoExame.urgente,
+          exigeDuplaLeitura: tipoExame.exigeDuplaLeitura,
           especialidades: especialidadesNomes,
           status: tipoExame.status || 'ativo'
         },
@@ -156,6 +158,7 @@ exports.atualizarTipoExame = async (req, res) => {
     const dadosAntes = {
       nome: tipoExameAntigo.nome,
       urgente: tipoExameAntigo.urgente,
+      exigeDuplaLeitura: tipoExameAntigo.exigeDuplaLeitura,
       especialidades: tipoExameAntigo.especialidades.map(esp => esp.nome).join(', '),
       status: tipoExameAntigo.status
     };
@@ -173,6 +176,10 @@ exports.atualizarTipoExame = async (req, res) => {
       urgente: req.body.urgente === true || req.body.urgente === 'true'
     };
 
+    if (req.body.exigeDuplaLeitura !== undefined) {
+      dadosAtualizacao.exigeDuplaLeitura = req.body.exigeDuplaLeitura === true || req.body.exigeDuplaLeitura === 'true';
+    }
+
     // Atualiza o tipo de exame
     const tipoExameAtualizado = await TipoExame.findByIdAndUpdate(
       req.params.id,
@@ -214,6 +221,7 @@ exports.atualizarTipoExame = async (req, res) => {
         after: {
           nome: tipoExameAtualizado.nome,
           urgente: tipoExameAtualizado.urgente,
+          exigeDuplaLeitura: tipoExameAtualizado.exigeDuplaLeitura,
           especialidades: novasEspecialidadesNomes || dadosAntes.especialidades,
           status: tipoExameAtualizado.status
         },
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Laudo = require('../models/Laudo');
+const logger = require('../utils/logger');
+const { downloadLaudoFromS3 } = require('../services/laudoStorageService');
+const { listarAssinaturasPdf } = require('../utils/pdfAssinatura');
+const { verificarAssinaturaCms } = require('../utils/verificacaoAssinatura');
+const { buscarLinkPorToken } = require('../services/linkPublicoService');
+const { obterPdfAssinadoComAdendos } = require('./laudoController');
+
+/*
+ * Verificação pública de autenticidade: quem recebeu o PDF de um laudo (paciente,
+ * hospital) envia o arquivo e recebe a validação das assinaturas e a comparação
+ * com o PDF assinado armazenado para o laudo referenciado.
+ */
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// O link público impresso no laudo (/publico/<token>) identifica o documento;
+// PDFs antigos trazem o id do laudo no lugar do token
+const extrairLaudoIdPdf = async (pdf) => {
+  const conteudo = pdf.toString('latin1');
+
+  const token = conteudo.match(/\/publico\/([A-Za-z0-9_-]{43})(?![A-Za-z0-9_-])/);
+  if (token) {
+    const link = await buscarLinkPorToken(token[1]);
+    if (link) return link.laudo.toString();
+  }
+
+  const encontrado = conteudo.match(/\/publico\/([a-f0-9]{24})\b/i);
+  return encontrado ? encontrado[1] : null;
+};
+
+// Correspondências em que o arquivo enviado é exatamente um documento emitido pelo sistema
+const CORRESPONDENCIAS_AUTENTICAS = ['identico', 'identico_com_adendos'];
+
+/**
+ * Compara o arquivo enviado com o PDF assinado armazenado.
+ * 'identico': mesmos bytes; 'identico_com_adendos': mesmos bytes do PDF distribuído
+ * com os adendos registrados no laudo; 'revisao_nao_reconhecida': o armazenado seguido
+ * de atualizações que o sistema não gerou; 'divergente': outro documento.
+ */
+const compararComArmazenado = async (laudo, pdf) => {
+  if (!laudo.laudoAssinadoKey) {
+    return { correspondencia: 'arquivo_indisponivel', hashArmazenado: null };
+  }
+
+  let armazenado;
+  try {
+    armazenado = await downloadLaudoFromS3(laudo.laudoAssinadoKey);
+  } catch (err) {
+    logger.error(`Erro ao obter PDF assinado do laudo ${laudo._id} para verificação:`, err);
+    return { correspondencia: 'arquivo_indisponivel', hashArmazenado: null };
+  }
+
+  const hashArmazenado = sha256(armazenado);
+  if (armazenado.equals(pdf)) {
+    return { correspondencia: 'identico', hashArmazenado };
+  }
+  if (pdf.length <= armazenado.length || !pdf.subarray(0, armazenado.length).equals(armazenado)) {
+    return { correspondencia: 'divergente', hashArmazenado };
+  }
+
+  // Bytes após o documento assinado só são aceitos se forem exatamente os adendos anexados pelo sistema
+  const possuiAdendos = (laudo.adendos || []).some(adendo => adendo.arquivoKey);
+  if (possuiAdendos) {
+    try {
+      const comAdendos = await obterPdfAssinadoComAdendos(laudo);
+      if (comAdendos && comAdendos.equals(pdf)) {
+        return { correspondencia: 'identico_com_adendos', hashArmazenado };
+      }
+    } catch (err) {
+      logger.error(`Erro ao montar PDF com adendos do laudo ${laudo._id} para verificação:`, err);
+    }
+  }
+
+  return { correspondencia: 'revisao_nao_reconhecida', hashArmazenado };
+};
+
+// Verificar a autenticidade de um PDF de laudo assinado
+exports.verificarPdf = async (req, res) => {
+  try {
+    if (!req.file || !req.file.buffer?.length) {
+      return res.status(400).json({ erro: 'Envie o PDF do laudo no campo "arquivo"' });
+    }
+
+    const pdf = req.file.buffer;
+
+    let assinaturas;
+    try {
+      assinaturas = listarAssinaturasPdf(pdf).map(assinatura => ({
+        ...verificarAssinaturaCms(assinatura.cms, assinatura.dadosAssinados),
+        cobreDocumentoInteiro: assinatura.cobreDocumentoInteiro
+      }));
+    } catch (err) {
+      return res.status(400).json({ erro: 'Não foi possível ler as assinaturas do PDF', detalhes: err.message });
+    }
+
+    const laudoId = req.body.laudoId || await extrairLaudoIdPdf(pdf);
+    const laudo = laudoId && mongoose.isValidObjectId(laudoId)
+      ? await Laudo.findById(laudoId)
+      : null;
+
+    const { correspondencia, hashArmazenado } = laudo
+      ? await compararComArmazenado(laudo, pdf)
+      : { correspondencia: 'laudo_nao_identificado', hashArmazenado: null };
+
+    const assinaturasIntegras = assinaturas.length > 0 && assinaturas.every(assinatura => assinatura.integra);
+    const documentoConfere = CORRESPONDENCIAS_AUTENTICAS.includes(correspondencia);
+    const autentico = assinaturasIntegras && documentoConfere;
+
+    logger.info(`Verificação pública de PDF: laudo ${laudo?._id || 'não identificado'}, ` +
+      `correspondência ${correspondencia}, ${assinaturas.length} assinatura(s), autêntico: ${autentico}`);
+
+    res.json({
+      autentico,
+      documento: {
+        hashSha256: sha256(pdf),
+        hashArmazenadoSha256: documentoConfere ? hashArmazenado : null,
+        tamanho: pdf.length,
+        correspondencia
+      },
+      assinaturas: assinaturas.map(assinatura => ({
+        integra: assinatura.integra,
+        motivo: assinatura.motivo,
+        signatario: assinatura.signatario?.nome || null,
+        emissorCertificado: assinatura.signatario?.emissor || null,
+        certificado: assinatura.signatario,
+        dataAssinatura: assinatura.carimboTempo?.valido
+          ? assinatura.carimboTempo.dataHora
+          : assinatura.dataAssinatura,
+        carimboTempo: assinatura.carimboTempo,
+        certificadoValidoNaAssinatura: assinatura.certificadoValidoNaAssinatura,
+        cobreDocumentoInteiro: assinatura.cobreDocumentoInteiro
+      })),
+      // Dados do laudo só para quem apresenta o próprio documento (o laudoId é informado pelo cliente)
+      laudo: documentoConfere
+        ? {
+          id: laudo._id,
+          versao: laudo.versao,
+          status: laudo.status,
+          medicoResponsavel: laudo.medicoResponsavel,
+          dataAssinatura: laudo.dataAssinatura,
+          valido: laudo.valido,
+          ehVersaoAtual: laudo.ehVersaoAtual,
+          substituido: !!laudo.laudoSubstituto,
+          laudoSubstitutoId: laudo.laudoSubstituto || null
+        }
+        : null
+    });
+  } catch (err) {
+    logger.error('Erro ao verificar autenticidade do PDF:', err);
+    res.status(500).json({
+      erro: 'Erro ao verificar autenticidade do PDF',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Laudo = require('../models/Laudo');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const { diffPalavras, diffSecoes, compararCampos } = require('../utils/diffTexto');
+
+/*
+ * Versões de laudos refeitos: percorre a cadeia laudoAnterior/laudoSubstituto
+ * e compara duas versões (diff por palavras da conclusão e das seções).
+ */
+
+// Proteção contra cadeias corrompidas (ciclos ou muito longas)
+const LIMITE_VERSOES = 100;
+
+const CAMPOS_COMPARADOS = [
+  'status',
+  'medicoResponsavel',
+  'mascaraVersao',
+  'assinadoCom',
+  'dataAssinatura',
+  'valido'
+];
+
+const filtroTenant = (req) => {
+  if (req.usuario.role === 'adminMaster') return {};
+  return { tenant_id: Array.isArray(req.tenant_id) ? { $in: req.tenant_id } : req.tenant_id };
+};
+
+// Percorre a cadeia de versões nos dois sentidos a partir de um laudo
+const carregarCadeiaVersoes = async (laudo, filtro) => {
+  const visitados = new Set([laudo._id.toString()]);
+
+  const percorrer = async (inicial, campo) => {
+    const encontrados = [];
+    let atual = inicial;
+    while (atual[campo] && encontrados.length < LIMITE_VERSOES && !visitados.has(atual[campo].toString())) {
+      const proximo = await Laudo.findOne({ _id: atual[campo], ...filtro });
+      if (!proximo) break;
+      visitados.add(proximo._id.toString());
+      encontrados.push(proximo);
+      atual = proximo;
+    }
+    return encontrados;
+  };
+
+  const anteriores = await percorrer(laudo, 'laudoAnterior');
+  const posteriores = await percorrer(laudo, 'laudoSubstituto');
+
+  return [...anteriores.reverse(), laudo, ...posteriores];
+};
+
+const resumirVersao = (laudo) => ({
+  id: laudo._id,
+  versao: laudo.versao,
+  status: laudo.status,
+  valido: laudo.valido,
+  medicoResponsavel: laudo.medicoResponsavel,
+  medicoResponsavelId: laudo.medicoResponsavelId,
+  criadoPor: laudo.criadoPor,
+  criadoPorId: laudo.criadoPorId,
+  criadoEm: laudo.createdAt,
+  dataAssinatura: laudo.dataAssinatura,
+  motivoRefacao: laudo.motivoRefacao,
+  motivoSubstituicao: laudo.motivoSubstituicao
+});
+
+const secoesDe = (laudo) => (laudo.secoes || []).map(secao => secao.toObject());
+
+const buscarLaudo = async (req) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Laudo.findOne({ _id: id, ...filtroTenant(req) });
+};
+
+// Listar a cadeia de versões de um laudo
+exports.listarVersoes = async (req, res) => {
+  try {
+    const laudo = await buscarLaudo(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    const versoes = await carregarCadeiaVersoes(laudo, filtroTenant(req));
+
+    res.json({
+      laudoId: laudo._id,
+      exame: laudo.exame,
+      totalVersoes: versoes.length,
+      versoes: versoes.map(resumirVersao)
+    });
+  } catch (err) {
+    logger.error('Erro ao listar versões do laudo:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar versões do laudo',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Comparar duas versões da cadeia (?de=1&para=3; padrão: a última com a anterior)
+exports.compararVersoes = async (req, res) => {
+  try {
+    const laudo = await buscarLaudo(req);
+    if (!laudo) {
+      return res.status(404).json({ erro: 'Laudo não encontrado' });
+    }
+
+    const versoes = await carregarCadeiaVersoes(laudo, filtroTenant(req));
+    if (versoes.length < 2) {
+      return res.status(400).json({ erro: 'Este laudo não possui outras versões para comparar' });
+    }
+
+    // As versões são identificadas pela posição na cadeia (1 = original)
+    const indiceDe = (valor, padrao) => {
+      if (valor === undefined || valor === '') return padrao;
+      const numero = parseInt(valor, 10);
+      return Number.isInteger(numero) && numero >= 1 && numero <= versoes.length ? numero - 1 : -1;
+    };
+
+    const indicePara = indiceDe(req.query.para, versoes.length - 1);
+    const indiceAnterior = indiceDe(req.query.de, indicePara - 1);
+
+    if (indicePara < 0 || indiceAnterior < 0 || indiceAnterior === indicePara) {
+      return res.status(400).json({
+        erro: `Informe duas versões diferentes entre 1 e ${versoes.length}`
+      });
+    }
+
+    // Sempre compara da mais antiga para a mais recente
+    const [inicio, fim] = [Math.min(indiceAnterior, indicePara), Math.max(indiceAnterior, indicePara)];
+    const anterior = versoes[inicio];
+    const atual = versoes[fim];
+
+    // Quem alterou e por quê em cada refação entre as duas versões
+    const alteracoes = versoes.slice(inicio + 1, fim + 1).map((versao, i) => ({
+      versao: inicio + i + 2,
+      laudoId: versao._id,
+      alteradoPor: versao.criadoPor || versao.medicoResponsavel,
+      alteradoPorId: versao.criadoPorId || versao.medicoResponsavelId,
+      alteradoEm: versao.createdAt,
+      motivoRefacao: versao.motivoRefacao || versoes[inicio + i].motivoSubstituicao || null
+    }));
+
+    try {
+      await AuditLog.create({
+        userId: req.usuario.id,
+        action: 'view',
+        description: `Comparação das versões ${inicio + 1} e ${fim + 1} do laudo ${laudo._id}`,
+        collectionName: 'laudos',
+        documentId: laudo._id,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        tenant_id: laudo.tenant_id
+      });
+    } catch (auditError) {
+      console.error('Erro ao criar log de auditoria');
+    }
+
+    res.json({
+      laudoId: laudo._id,
+      totalVersoes: versoes.length,
+      de: { posicao: inicio + 1, ...resumirVersao(anterior) },
+      para: { posicao: fim + 1, ...resumirVersao(atual) },
+      alteracoes,
+      conclusao: diffPalavras(anterior.conclusao, atual.conclusao),
+      secoes: diffSecoes(secoesDe(anterior), secoesDe(atual)),
+      campos: compararCampos(anterior, atual, CAMPOS_COMPARADOS)
+    });
+  } catch (err) {
+    logger.error('Erro ao comparar versões do laudo:', err);
+    res.status(500).json({
+      erro: 'Erro ao comparar versões do laudo',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
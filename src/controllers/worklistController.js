@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const Exame = require('../models/Exame');
+const Laudo = require('../models/Laudo');
+const TipoExame = require('../models/TipoExame');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const { situacaoBloqueio, obterDuracaoBloqueio } = require('../utils/worklist');
+const { assumirBloqueio, liberarBloqueio, listarPaginaWorklist } = require('../services/worklistService');
+
+// Filtro de tenant conforme o usuário autenticado
+const filtroTenant = (req) => {
+  if (req.usuario.role === 'adminMaster' || req.usuario.isAdminMaster) return {};
+  return { tenant_id: Array.isArray(req.tenant_id) ? { $in: req.tenant_id } : req.tenant_id };
+};
+
+const formatarBloqueio = (bloqueio, usuarioId) => {
+  const situacao = situacaoBloqueio(bloqueio, usuarioId);
+  if (situacao === 'livre') return { situacao };
+
+  return {
+    situacao,
+    usuarioId: bloqueio.usuarioId,
+    usuarioNome: bloqueio.usuarioNome,
+    dataBloqueio: bloqueio.dataBloqueio,
+    expiraEm: bloqueio.expiraEm
+  };
+};
+
+const formatarExame = (exame, usuarioId) => ({
+  id: exame._id,
+  paciente: exame.paciente ? { id: exame.paciente._id, nome: exame.paciente.nome } : null,
+  tipoExame: exame.tipoExame ? {
+    id: exame.tipoExame._id,
+    nome: exame.tipoExame.nome,
+    urgente: !!exame.tipoExame.urgente
+  } : null,
+  dataExame: exame.dataExame,
+  prazoLaudo: exame.prazoLaudo,
+  slaStatus: exame.sla?.status,
+  possuiAlteracoes: !!exame.possuiAlteracoes,
+  alteracoes: (exame.alteracoes || []).map(alteracao => ({ campo: alteracao.campo, situacao: alteracao.situacao })),
+  status: exame.status,
+  tenant_id: exame.tenant_id,
+  bloqueio: formatarBloqueio(exame.bloqueio, usuarioId)
+});
+
+// Worklist do médico: exames sem laudo, urgentes primeiro, depois os com medidas alteradas e os mais antigos
+exports.listarWorklist = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.max(parseInt(req.query.limit) || 20, 1);
+    const usuarioId = req.usuario.id;
+
+    const baseQuery = filtroTenant(req);
+
+    // Médicos veem apenas os tipos de exame das suas especialidades
+    if (req.usuario.role === 'medico') {
+      if (!req.usuario.especialidades || req.usuario.especialidades.length === 0) {
+        return res.json({ exames: [], page, limit, total: 0, totalPages: 0 });
+      }
+
+      const tipos = await TipoExame.find({
+        especialidades: { $in: req.usuario.especialidades }
+      }).select('_id');
+      baseQuery.tipoExame = { $in: tipos.map(tipo => tipo._id) };
+    }
+
+    if (req.query.tipoExame && mongoose.isValidObjectId(req.query.tipoExame)) {
+      const tipoExameId = new mongoose.Types.ObjectId(req.query.tipoExame);
+      if (baseQuery.tipoExame && !baseQuery.tipoExame.$in.some(id => id.equals(tipoExameId))) {
+        return res.json({ exames: [], page, limit, total: 0, totalPages: 0 });
+      }
+      baseQuery.tipoExame = tipoExameId;
+    }
+
+    // Exames com laudo válido e cancelados ficam fora; ordenação e paginação no banco
+    const { exames, total } = await listarPaginaWorklist(baseQuery, {
+      usuarioId,
+      incluirBloqueados: req.query.incluirBloqueados !== 'false',
+      apenasMeus: req.query.apenasMeus === 'true',
+      page,
+      limit
+    });
+
+    res.json({
+      exames: exames.map(exame => formatarExame(exame, usuarioId)),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      duracaoBloqueioMinutos: obterDuracaoBloqueio()
+    });
+  } catch (err) {
+    logger.error('Erro ao listar worklist:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar worklist',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Assumir (ou renovar) o exame para laudar
+exports.assumirExame = async (req, res) => {
+  try {
+    const { exameId } = req.params;
+    if (!mongoose.isValidObjectId(exameId)) {
+      return res.status(400).json({ erro: 'ID do exame inválido' });
+    }
+
+    const filtroExame = { _id: exameId, ...filtroTenant(req) };
+
+    const possuiLaudo = await Laudo.exists({ exame: exameId, valido: true });
+    if (possuiLaudo) {
+      return res.status(400).json({ erro: 'Este exame já possui um laudo válido' });
+    }
+
+    const exame = await assumirBloqueio(filtroExame, req.usuario.id, req.usuarioNome || req.usuario.nome);
+
+    if (!exame) {
+      const atual = await Exame.findOne(filtroExame).select('bloqueio');
+      if (!atual) {
+        return res.status(404).json({ erro: 'Exame não encontrado' });
+      }
+
+      return res.status(409).json({
+        erro: 'Este exame já está sendo laudado por outro médico',
+        bloqueio: formatarBloqueio(atual.bloqueio, req.usuario.id)
+      });
+    }
+
+    res.json({
+      mensagem: 'Exame assumido com sucesso',
+      exameId: exame._id,
+      bloqueio: formatarBloqueio(exame.bloqueio, req.usuario.id)
+    });
+  } catch (err) {
+    logger.error('Erro ao assumir exame:', err);
+    res.status(500).json({
+      erro: 'Erro ao assumir exame',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Liberar o exame assumido pelo próprio médico
+exports.liberarExame = async (req, res) => {
+  try {
+    const { exameId } = req.params;
+    if (!mongoose.isValidObjectId(exameId)) {
+      return res.status(400).json({ erro: 'ID do exame inválido' });
+    }
+
+    const exame = await liberarBloqueio({ _id: exameId, ...filtroTenant(req) }, req.usuario.id);
+    if (!exame) {
+      return res.status(409).json({ erro: 'Você não possui o bloqueio deste exame' });
+    }
+
+    res.json({ mensagem: 'Exame liberado com sucesso', exameId: exame._id });
+  } catch (err) {
+    logger.error('Erro ao liberar exame:', err);
+    res.status(500).json({
+      erro: 'Erro ao liberar exame',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Admin: listar bloqueios ativos
+exports.listarBloqueios = async (req, res) => {
+  try {
+    const exames = await Exame.find({
+      ...filtroTenant(req),
+      'bloqueio.expiraEm': { $gt: new Date() }
+    })
+      .select('paciente tipoExame dataExame prazoLaudo sla status bloqueio tenant_id')
+      .populate('paciente', 'nome')
+      .populate('tipoExame', 'nome urgente')
+      .sort({ 'bloqueio.dataBloqueio': 1 });
+
+    res.json({
+      bloqueios: exames.map(exame => formatarExame(exame, req.usuario.id))
+    });
+  } catch (err) {
+    logger.error('Erro ao listar bloqueios da worklist:', err);
+    res.status(500).json({
+      erro: 'Erro ao listar bloqueios',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Admin: quebrar o bloqueio de um exame
+exports.quebrarBloqueio = async (req, res) => {
+  try {
+    const { exameId } = req.params;
+    if (!mongoose.isValidObjectId(exameId)) {
+      return res.status(400).json({ erro: 'ID do exame inválido' });
+    }
+
+    const filtroExame = { _id: exameId, ...filtroTenant(req) };
+    const atual = await Exame.findOne(filtroExame).select('bloqueio tenant_id');
+    if (!atual) {
+      return res.status(404).json({ erro: 'Exame não encontrado' });
+    }
+
+    const bloqueioAnterior = atual.bloqueio?.usuarioId ? {
+      usuarioId: atual.bloqueio.usuarioId,
+      usuarioNome: atual.bloqueio.usuarioNome,
+      expiraEm: atual.bloqueio.expiraEm
+    } : null;
+
+    if (!bloqueioAnterior) {
+      return res.status(400).json({ erro: 'Este exame não está bloqueado' });
+    }
+
+    await liberarBloqueio(filtroExame);
+
+    try {
+      await AuditLog.create({
+        userId: req.usuario.id,
+        action: 'update',
+        description: `Bloqueio da worklist removido do exame ${exameId} (médico: ${bloqueioAnterior.usuarioNome})`,
+        collectionName: 'exames',
+        documentId: atual._id,
+        before: { bloqueio: bloqueioAnterior },
+        after: { bloqueio: null },
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        tenant_id: atual.tenant_id
+      });
+    } catch (auditError) {
+      console.error('Erro ao criar log de auditoria');
+    }
+
+    res.json({ mensagem: 'Bloqueio removido com sucesso', exameId: atual._id });
+  } catch (err) {
+    logger.error('Erro ao quebrar bloqueio:', err);
+    res.status(500).json({
+      erro: 'Erro ao quebrar bloqueio',
+      detalhes: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
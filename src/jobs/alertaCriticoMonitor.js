@@ -0,0 +1,55 @@
+const logger = require('../utils/logger');
+const { escalarAlertasPendentes } = require('../services/alertaCriticoService');
+
+/*
+ * Monitor periódico dos alertas de achado crítico não reconhecidos.
+ * Intervalo configurável por ALERTA_CRITICO_MONITOR_INTERVALO_MINUTOS (padrão: 1);
+ * desativado com ALERTA_CRITICO_MONITOR_ATIVO=false.
+ */
+
+const INTERVALO_PADRAO_MINUTOS = 1;
+
+let timer = null;
+let executando = false;
+
+const executarVerificacao = async () => {
+  // Evita execuções sobrepostas quando uma verificação demora mais que o intervalo
+  if (executando) return null;
+  executando = true;
+
+  try {
+    const resumo = await escalarAlertasPendentes();
+    if (resumo.reescalonados > 0) {
+      logger.warn(`Alertas críticos: ${resumo.reescalonados} alerta(s) sem reconhecimento reescalonado(s)`);
+    }
+    return resumo;
+  } catch (err) {
+    logger.error(`Erro no monitor de alertas críticos: ${err.message}`);
+    return null;
+  } finally {
+    executando = false;
+  }
+};
+
+const iniciarMonitorAlertasCriticos = () => {
+  if (timer || process.env.ALERTA_CRITICO_MONITOR_ATIVO === 'false') return;
+
+  const minutos = parseFloat(process.env.ALERTA_CRITICO_MONITOR_INTERVALO_MINUTOS) || INTERVALO_PADRAO_MINUTOS;
+  timer = setInterval(executarVerificacao, minutos * 60 * 1000);
+  timer.unref();
+
+  logger.info(`Monitor de alertas críticos iniciado (intervalo: ${minutos} min)`);
+};
+
+const pararMonitorAlertasCriticos = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  iniciarMonitorAlertasCriticos,
+  pararMonitorAlertasCriticos,
+  executarVerificacao
+};
@@ -0,0 +1,56 @@
+const logger = require('../utils/logger');
+const { arquivarPendentes } = require('../services/retencaoService');
+
+/*
+ * Arquivamento periódico dos arquivos de exames e laudos que passaram do prazo
+ * da política de retenção do tenant. Intervalo configurável por
+ * ARQUIVAMENTO_MONITOR_INTERVALO_MINUTOS (padrão: 1440); desativado com
+ * ARQUIVAMENTO_MONITOR_ATIVO=false.
+ */
+
+const INTERVALO_PADRAO_MINUTOS = 24 * 60;
+
+let timer = null;
+let executando = false;
+
+const executarArquivamento = async () => {
+  // Evita execuções sobrepostas quando um lote demora mais que o intervalo
+  if (executando) return null;
+  executando = true;
+
+  try {
+    const resumo = await arquivarPendentes();
+    if (resumo.exames > 0 || resumo.laudos > 0 || resumo.falhas > 0) {
+      logger.info(`Arquivamento: ${resumo.exames} exame(s) e ${resumo.laudos} laudo(s) arquivado(s), ${resumo.falhas} falha(s)`);
+    }
+    return resumo;
+  } catch (err) {
+    logger.error(`Erro no monitor de arquivamento: ${err.message}`);
+    return null;
+  } finally {
+    executando = false;
+  }
+};
+
+const iniciarMonitorArquivamento = () => {
+  if (timer || process.env.ARQUIVAMENTO_MONITOR_ATIVO === 'false') return;
+
+  const minutos = parseFloat(process.env.ARQUIVAMENTO_MONITOR_INTERVALO_MINUTOS) || INTERVALO_PADRAO_MINUTOS;
+  timer = setInterval(executarArquivamento, minutos * 60 * 1000);
+  timer.unref();
+
+  logger.info(`Monitor de arquivamento iniciado (intervalo: ${minutos} min)`);
+};
+
+const pararMonitorArquivamento = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  iniciarMonitorArquivamento,
+  pararMonitorArquivamento,
+  executarArquivamento
+};
\ No newline at end of file
@@ -0,0 +1,55 @@
+const logger = require('../utils/logger');
+const { verificarSlas } = require('../services/slaService');
+
+/*
+ * Monitor periódico de SLA dos exames.
+ * Intervalo configurável por SLA_MONITOR_INTERVALO_MINUTOS (padrão: 5);
+ * desativado com SLA_MONITOR_ATIVO=false.
+ */
+
+const INTERVALO_PADRAO_MINUTOS = 5;
+
+let timer = null;
+let executando = false;
+
+const executarVerificacao = async () => {
+  // Evita execuções sobrepostas quando uma verificação demora mais que o intervalo
+  if (executando) return null;
+  executando = true;
+
+  try {
+    const resumo = await verificarSlas();
+    if (resumo.emRisco > 0 || resumo.violados > 0 || resumo.notificacoes > 0) {
+      logger.info(`SLA: ${resumo.verificados} exames verificados, ${resumo.emRisco} em risco, ${resumo.violados} violados, ${resumo.notificacoes} notificações enviadas`);
+    }
+    return resumo;
+  } catch (err) {
+    logger.error(`Erro no monitor de SLA: ${err.message}`);
+    return null;
+  } finally {
+    executando = false;
+  }
+};
+
+const iniciarMonitorSla = () => {
+  if (timer || process.env.SLA_MONITOR_ATIVO === 'false') return;
+
+  const minutos = parseFloat(process.env.SLA_MONITOR_INTERVALO_MINUTOS) || INTERVALO_PADRAO_MINUTOS;
+  timer = setInterval(executarVerificacao, minutos * 60 * 1000);
+  timer.unref();
+
+  logger.info(`Monitor de SLA iniciado (intervalo: ${minutos} min)`);
+};
+
+const pararMonitorSla = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  iniciarMonitorSla,
+  pararMonitorSla,
+  executarVerificacao
+};
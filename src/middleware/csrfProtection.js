@@ -14,6 +14,26 @@ const csrfProtection = csrf({
   }
 });
 
+// Rotas sem CSRF: públicas ou autenticadas apenas por token Bearer (sem sessão de navegador)
+const csrfBypass = [
+  '/api/csrf-token',
+  '/api/auth/login',
+  '/api/auth/logout',
+  '/api/auth/refresh-token',
+  '/health',
+  '/api/test',
+  '/api/verificacao',
+  '/api/publico',
+  '/api/portal-paciente',
+  '/api/fhir'
+];
+
+// Aplica a proteção CSRF informada, exceto nas rotas de csrfBypass
+const csrfComExcecoes = (protecao) => (req, res, next) => {
+  if (csrfBypass.some(path => req.path.startsWith(path))) return next();
+  return protecao(req, res, next);
+};
+
 const csrfErrorHandler = (err, req, res, next) => {
   if (err.code !== 'EBADCSRFTOKEN') return next(err);
   
@@ -29,4 +49,4 @@ const csrfErrorHandler = (err, req, res, next) => {
   });
 };
 
-module.exports = { csrfProtection, csrfErrorHandler };
\ No newline at end of file
+module.exports = { csrfProtection, csrfErrorHandler, csrfBypass, csrfComExcecoes };
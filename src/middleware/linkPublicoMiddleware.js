@@ -0,0 +1,30 @@
+const { buscarLinkPorToken, situacaoLink, validarTokenAcesso } = require('../services/linkPublicoService');
+
+// Rotas públicas do laudo: exige link válido e o token de acesso emitido após o código
+const linkPublicoMiddleware = async (req, res, next) => {
+  try {
+    const link = await buscarLinkPorToken(req.params.token);
+    if (!link) {
+      return res.status(404).json({ erro: 'Link inválido' });
+    }
+
+    const { motivo } = situacaoLink(link);
+    if (motivo === 'revogado' || motivo === 'expirado') {
+      return res.status(410).json({ erro: `Este link foi ${motivo}`, motivo });
+    }
+
+    // Header para chamadas da aplicação; query string para abrir o PDF em nova aba
+    const tokenAcesso = req.header('X-Token-Acesso') || req.query.acesso;
+    if (!tokenAcesso || !validarTokenAcesso(tokenAcesso, link)) {
+      return res.status(401).json({ erro: 'Informe o código de acesso', requerCodigoAcesso: true });
+    }
+
+    req.linkPublico = link;
+    next();
+  } catch (error) {
+    console.error('Erro no middleware de link público');
+    return res.status(500).json({ erro: 'Erro ao validar link público' });
+  }
+};
+
+module.exports = linkPublicoMiddleware;
@@ -0,0 +1,17 @@
+const { validarTokenPortal } = require('../services/portalPacienteService');
+
+// Sessão do portal do paciente (token emitido após a confirmação do código)
+const portalPacienteMiddleware = (req, res, next) => {
+  const authHeader = req.header('Authorization') || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+  const payload = token && validarTokenPortal(token);
+  if (!payload) {
+    return res.status(401).json({ erro: 'Sessão do portal inválida ou expirada', codigo: 'PORTAL_SESSAO_INVALIDA' });
+  }
+
+  req.pacientePortal = { id: payload.paciente, tenant_id: payload.tenant_id };
+  next();
+};
+
+module.exports = portalPacienteMiddleware;
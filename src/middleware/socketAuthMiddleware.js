@@ -0,0 +1,66 @@
+const jwt = require('jsonwebtoken');
+const { salaTenant, salaUsuario } = require('../services/notificacaoService');
+
+/*
+ * Autenticação do handshake do Socket.IO com o mesmo JWT das rotas HTTP.
+ * As salas (`tenant:<id>` e `usuario:<id>`) vêm do token: o cliente não escolhe onde entra.
+ */
+
+// Token enviado em `auth: { token }` pelo cliente ou no cabeçalho Authorization
+const extrairToken = (handshake = {}) => {
+  if (handshake.auth?.token) return String(handshake.auth.token).replace(/^Bearer /, '').trim();
+
+  const authHeader = handshake.headers?.authorization;
+  if (authHeader?.startsWith('Bearer ')) return authHeader.split(' ')[1];
+
+  return null;
+};
+
+// Ids dos tenants do token (lista, id único ou documento populado)
+const extrairTenants = (tenantIds) => {
+  const lista = Array.isArray(tenantIds) ? tenantIds : [tenantIds];
+  return lista
+    .map(tenant => (tenant && typeof tenant === 'object' && tenant._id ? tenant._id : tenant))
+    .filter(Boolean)
+    .map(String);
+};
+
+const autenticarSocket = (socket, next) => {
+  const token = extrairToken(socket.handshake);
+  if (!token) {
+    return next(new Error('Token não fornecido'));
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.id || !decoded.role) {
+      return next(new Error('Token inválido'));
+    }
+
+    socket.data.usuario = {
+      id: String(decoded.id),
+      role: decoded.role,
+      tenants: extrairTenants(decoded.tenant_id)
+    };
+    next();
+  } catch (err) {
+    next(new Error(err.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido'));
+  }
+};
+
+// Salas do usuário autenticado: a dele e a de cada tenant em que atua
+const salasDoUsuario = (usuario) => [
+  salaUsuario(usuario.id),
+  ...usuario.tenants.map(salaTenant)
+];
+
+const entrarSalas = (socket) => {
+  socket.join(salasDoUsuario(socket.data.usuario));
+};
+
+module.exports = {
+  autenticarSocket,
+  entrarSalas,
+  salasDoUsuario,
+  extrairToken
+};
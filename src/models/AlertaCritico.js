@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../utils/crypto');
+
+// Cada disparo de notificação do alerta (inicial e reescalonamentos)
+const NotificacaoAlertaSchema = new mongoose.Schema({
+  data: { type: Date, default: Date.now },
+  nivel: { type: Number, required: true },
+  usuarios: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Usuario' }],
+  emails: { type: Number, default: 0 },
+  falhas: { type: Number, default: 0 }
+}, { _id: false });
+
+// Achado crítico (risco de vida) registrado em um laudo, com o reconhecimento da clínica
+const AlertaCriticoSchema = new mongoose.Schema({
+  laudo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Laudo',
+    required: true
+  },
+  exame: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exame',
+    required: true
+  },
+  paciente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Paciente'
+  },
+  descricao: {
+    type: String,
+    required: true,
+    set: v => v ? encrypt(v.trim()) : v,
+    get: v => v ? decrypt(v) : v
+  },
+  status: {
+    type: String,
+    enum: ['pendente', 'reconhecido'],
+    default: 'pendente'
+  },
+  medicoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+  medicoNome: {
+    type: String
+  },
+  // Nível atual: 0 = notificação inicial, 1+ = reescalonamentos
+  nivel: {
+    type: Number,
+    default: 0
+  },
+  proximoEscalonamento: {
+    type: Date,
+    default: null
+  },
+  notificacoes: [NotificacaoAlertaSchema],
+  reconhecidoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
+  reconhecidoPorNome: {
+    type: String,
+    default: null
+  },
+  reconhecidoEm: {
+    type: Date,
+    default: null
+  },
+  observacaoReconhecimento: {
+    type: String,
+    set: v => v ? encrypt(v.trim()) : v,
+    get: v => v ? decrypt(v) : v
+  },
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+AlertaCriticoSchema.index({ status: 1, proximoEscalonamento: 1 });
+AlertaCriticoSchema.index({ tenant_id: 1, status: 1, createdAt: -1 });
+AlertaCriticoSchema.index({ laudo: 1 });
+
+module.exports = mongoose.model('AlertaCritico', AlertaCriticoSchema);
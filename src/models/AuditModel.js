@@ -5,7 +5,18 @@ const AuditLogSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Usuario',
-        required: true // Agora obrigatório pois só auditamos ações de usuários autenticados
+        // Obrigatório para ações de usuários autenticados; acessos do portal do paciente usam pacienteId
+        // e ações do sistema (monitores) são marcadas como automáticas
+        required: function() { return !this.pacienteId && !this.automatico; }
+    },
+    pacienteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Paciente',
+        default: null
+    },
+    automatico: {
+        type: Boolean,
+        default: false
     },
     action: {
         type: String,
@@ -68,6 +79,7 @@ const AuditLogSchema = new mongoose.Schema({
 
 // Índices para performance
 AuditLogSchema.index({ userId: 1 });
+AuditLogSchema.index({ pacienteId: 1 });
 AuditLogSchema.index({ collectionName: 1 });
 AuditLogSchema.index({ documentId: 1 });
 AuditLogSchema.index({ timestamp: -1 });
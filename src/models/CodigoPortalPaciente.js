@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Código de uso único do portal do paciente (apenas o hash é armazenado)
+const CodigoPortalPacienteSchema = new mongoose.Schema({
+  paciente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Paciente',
+    required: true
+  },
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  codigoHash: {
+    type: String,
+    required: true
+  },
+  canal: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  expiraEm: {
+    type: Date,
+    required: true
+  },
+  tentativas: {
+    type: Number,
+    default: 0
+  },
+  utilizadoEm: {
+    type: Date
+  },
+  invalidadoEm: {
+    type: Date
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+CodigoPortalPacienteSchema.index({ paciente: 1, tenant_id: 1, createdAt: -1 });
+// Remove os códigos um dia após expirarem
+CodigoPortalPacienteSchema.index({ expiraEm: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('CodigoPortalPaciente', CodigoPortalPacienteSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Destino das mensagens HL7 do tenant (HIS do hospital): conexão MLLP/TCP ou diretório de arquivos
+const DestinoHl7Schema = new mongoose.Schema({
+  nome: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  tipo: {
+    type: String,
+    enum: ['mllp', 'arquivo'],
+    required: true
+  },
+  // MLLP/TCP
+  host: {
+    type: String,
+    trim: true
+  },
+  porta: {
+    type: Number,
+    min: 1,
+    max: 65535
+  },
+  aguardarAck: {
+    type: Boolean,
+    default: true
+  },
+  timeoutMs: {
+    type: Number,
+    default: 10000,
+    min: 1000,
+    max: 120000
+  },
+  // Diretório de entrega (file-drop), dentro de HL7_DIRETORIO_BASE
+  diretorio: {
+    type: String,
+    trim: true
+  },
+  // MSH-5 e MSH-6 esperados pelo sistema de destino
+  aplicacaoDestino: {
+    type: String,
+    trim: true
+  },
+  instalacaoDestino: {
+    type: String,
+    trim: true
+  },
+  incluirPdf: {
+    type: Boolean,
+    default: true
+  },
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  criadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+}, {
+  timestamps: true
+});
+
+DestinoHl7Schema.index({ tenant_id: 1, ativo: 1 });
+
+module.exports = mongoose.model('DestinoHl7', DestinoHl7Schema);
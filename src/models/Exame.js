@@ -18,7 +18,8 @@ const ExameSchema = new mongoose.Schema({
     },
     arquivo: {
         type: String,
-        required: true,
+        // Exames criados a partir de pedidos (HL7/FHIR) recebem o arquivo depois
+        required: function() { return this.origem === 'manual'; },
         set: function(v) {
             return v ? encrypt(v.trim()) : v;
         },
@@ -50,7 +51,7 @@ const ExameSchema = new mongoose.Schema({
     },
     observacoes: {
         type: String,
-        required: true,
+        required: function() { return this.origem === 'manual'; },
         set: function(v) {
             return v ? encrypt(v.trim()) : v;
         },
@@ -112,6 +113,11 @@ const ExameSchema = new mongoose.Schema({
             }
         }
     },
+    // O status é criptografado: cancelamento também em texto claro para ser filtrado no banco (worklist)
+    cancelado: {
+        type: Boolean,
+        default: false
+    },
     // Campos numéricos com criptografia
     segmentoPR: {
         type: String,
@@ -252,6 +258,229 @@ const ExameSchema = new mongoose.Schema({
             }
         }
     },
+    // SLA: prazo para o laudo, calculado pelo tipo de exame/tenant
+    prazoLaudo: {
+        type: Date
+    },
+    sla: {
+        prazoHoras: {
+            type: Number
+        },
+        alertaAntecedenciaMinutos: {
+            type: Number
+        },
+        status: {
+            type: String,
+            enum: ['No prazo', 'Em risco', 'Violado', 'Cumprido', 'Cumprido com atraso']
+        },
+        concluidoEm: {
+            type: Date
+        },
+        // Momento em que o exame passa a "Em risco"; o monitor só consulta exames a partir dele
+        alertaEm: {
+            type: Date
+        },
+        notificadoRiscoEm: {
+            type: Date
+        },
+        notificadoViolacaoEm: {
+            type: Date
+        }
+    },
+    // Worklist: médico que assumiu o exame para laudar (bloqueio expira automaticamente)
+    bloqueio: {
+        usuarioId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Usuario'
+        },
+        usuarioNome: {
+            type: String,
+            set: function(v) {
+                return v ? encrypt(v.trim()) : v;
+            },
+            get: function(v) {
+                if (!v) return v;
+                try {
+                    return decrypt(v);
+                } catch (error) {
+                    console.error('Erro ao descriptografar usuarioNome do bloqueio:', error);
+                    return '';
+                }
+            }
+        },
+        dataBloqueio: {
+            type: Date
+        },
+        expiraEm: {
+            type: Date
+        }
+    },
+    // Origem do exame: cadastro manual ou pedido do sistema hospitalar (HL7 ou FHIR)
+    origem: {
+        type: String,
+        enum: ['manual', 'hl7', 'fhir'],
+        default: 'manual'
+    },
+    pedidoExterno: {
+        numero: {
+            type: String
+        },
+        aplicacao: {
+            type: String
+        },
+        pedidoHl7Id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PedidoHl7'
+        }
+    },
+    // Medidas fora da faixa de referência do tipo de exame (o valor fica só no campo criptografado)
+    alteracoes: [{
+        _id: false,
+        campo: { type: String },
+        descricao: { type: String },
+        situacao: { type: String, enum: ['baixo', 'alto'] },
+        minimo: { type: Number },
+        maximo: { type: Number },
+        unidade: { type: String }
+    }],
+    possuiAlteracoes: {
+        type: Boolean,
+        default: false
+    },
+    // Metadados do cabeçalho quando o arquivo é DICOM (dados do paciente criptografados)
+    dicom: {
+        pacienteNome: {
+            type: String,
+            set: function(v) {
+                return v ? encrypt(v.trim()) : v;
+            },
+            get: function(v) {
+                if (!v) return v;
+                try {
+                    return decrypt(v);
+                } catch (error) {
+                    console.error('Erro ao descriptografar pacienteNome do DICOM:', error);
+                    return v;
+                }
+            }
+        },
+        pacienteId: {
+            type: String,
+            set: function(v) {
+                return v ? encrypt(v.trim()) : v;
+            },
+            get: function(v) {
+                if (!v) return v;
+                try {
+                    return decrypt(v);
+                } catch (error) {
+                    console.error('Erro ao descriptografar pacienteId do DICOM:', error);
+                    return v;
+                }
+            }
+        },
+        pacienteNascimento: {
+            type: String,
+            set: function(v) {
+                return v ? encrypt(v.trim()) : v;
+            },
+            get: function(v) {
+                if (!v) return v;
+                try {
+                    return decrypt(v);
+                } catch (error) {
+                    console.error('Erro ao descriptografar pacienteNascimento do DICOM:', error);
+                    return v;
+                }
+            }
+        },
+        pacienteSexo: { type: String },
+        dataEstudo: { type: Date },
+        modalidade: { type: String },
+        descricaoEstudo: { type: String },
+        fabricante: { type: String },
+        instituicao: { type: String },
+        studyInstanceUid: { type: String },
+        seriesInstanceUid: { type: String },
+        sopInstanceUid: { type: String },
+        sopClassUid: { type: String },
+        transferSyntax: { type: String },
+        linhas: { type: Number },
+        colunas: { type: Number },
+        quadros: { type: Number },
+        ondas: {
+            canais: { type: Number },
+            amostras: { type: Number },
+            frequencia: { type: Number },
+            derivacoes: [{ type: String }]
+        },
+        // Divergências com o paciente selecionado no momento do upload
+        divergencias: [{ type: String }]
+    },
+    // Prévia (PNG) gerada a partir da imagem ou das ondas do arquivo DICOM
+    previaKey: {
+        type: String
+    },
+    // Retenção: arquivos movidos para a camada de arquivo (as chaves passam a ter o prefixo arquivo/)
+    arquivamento: {
+        arquivado: {
+            type: Boolean,
+            default: false
+        },
+        arquivadoEm: {
+            type: Date
+        },
+        prefixo: {
+            type: String
+        },
+        classe: {
+            type: String
+        }
+    },
+    // Bloqueio legal: impede a exclusão do exame e dos arquivos independentemente do prazo de retenção
+    bloqueioLegal: {
+        ativo: {
+            type: Boolean,
+            default: false
+        },
+        motivo: {
+            type: String,
+            set: function(v) {
+                return v ? encrypt(v.trim()) : v;
+            },
+            get: function(v) {
+                if (!v) return v;
+                try {
+                    return decrypt(v);
+                } catch (error) {
+                    console.error('Erro ao descriptografar motivo do bloqueio legal:', error);
+                    return '';
+                }
+            }
+        },
+        usuarioId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Usuario'
+        },
+        usuarioNome: {
+            type: String,
+            set: function(v) {
+                return v ? encrypt(v.trim()) : v;
+            },
+            get: function(v) {
+                if (!v) return v;
+                try {
+                    return decrypt(v);
+                } catch (error) {
+                    console.error('Erro ao descriptografar usuarioNome do bloqueio legal:', error);
+                    return '';
+                }
+            }
+        },
+        data: {
+            type: Date
+        }
+    },
     tenant_id: { 
         type: mongoose.Schema.Types.ObjectId, 
         ref: 'Tenant',
@@ -275,5 +504,11 @@ ExameSchema.index({ paciente: 1 });
 ExameSchema.index({ tipoExame: 1 });
 ExameSchema.index({ status: 1 });
 ExameSchema.index({ dataExame: -1 });
+ExameSchema.index({ 'bloqueio.usuarioId': 1, 'bloqueio.expiraEm': 1 });
+ExameSchema.index({ 'sla.status': 1, prazoLaudo: 1 });
+ExameSchema.index({ 'sla.concluidoEm': 1, 'sla.alertaEm': 1, prazoLaudo: 1 });
+ExameSchema.index({ tenant_id: 1, 'pedidoExterno.numero': 1 });
+ExameSchema.index({ tenant_id: 1, 'arquivamento.arquivado': 1, dataExame: 1 });
+ExameSchema.index({ tenant_id: 1, 'bloqueioLegal.ativo': 1 });
 
 module.exports = mongoose.model('Exame', ExameSchema);
\ No newline at end of file
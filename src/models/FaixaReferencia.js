@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { CAMPOS_MEDIDA } = require('../utils/faixaReferencia');
+
+// Faixa de referência de uma medida por tipo de exame. tenant_id nulo = padrão para todos os tenants.
+const FaixaReferenciaSchema = new mongoose.Schema({
+  tipoExameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TipoExame',
+    required: true
+  },
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  campo: {
+    type: String,
+    enum: CAMPOS_MEDIDA,
+    required: true
+  },
+  // Nulo = vale para ambos os sexos
+  sexo: {
+    type: String,
+    enum: ['M', 'F', null],
+    default: null
+  },
+  // Idade em anos completos (limites inclusivos); nulo = sem limite
+  idadeMinima: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  idadeMaxima: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  minimo: {
+    type: Number
+  },
+  maximo: {
+    type: Number
+  },
+  unidade: {
+    type: String,
+    trim: true
+  },
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+  criadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+}, {
+  timestamps: true
+});
+
+FaixaReferenciaSchema.index({ tipoExameId: 1, tenant_id: 1, campo: 1 });
+
+module.exports = mongoose.model('FaixaReferencia', FaixaReferenciaSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Frase/macro da biblioteca dos médicos: pessoal (do médico) ou compartilhada no tenant
+const FraseLaudoSchema = new mongoose.Schema({
+  atalho: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_-]{2,30}$/
+  },
+  titulo: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Texto com placeholders no formato das máscaras: {{campo}} ou {{campo|valor padrão}}
+  texto: {
+    type: String,
+    required: true
+  },
+  categoria: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Tipos de exame em que a frase é sugerida (vazio = todos)
+  tipoExameIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TipoExame'
+  }],
+  escopo: {
+    type: String,
+    enum: ['pessoal', 'tenant'],
+    default: 'pessoal'
+  },
+  // Dono da frase pessoal (null nas compartilhadas)
+  usuarioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['ativo', 'inativo'],
+    default: 'ativo'
+  },
+  usos: {
+    type: Number,
+    default: 0
+  },
+  criadoPor: {
+    type: String
+  },
+  criadoPorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+}, {
+  timestamps: true
+});
+
+// Um atalho por médico (pessoais) ou por tenant (compartilhadas)
+FraseLaudoSchema.index({ tenant_id: 1, usuarioId: 1, atalho: 1 }, { unique: true });
+FraseLaudoSchema.index({ tenant_id: 1, escopo: 1, tipoExameIds: 1 });
+
+module.exports = mongoose.model('FraseLaudo', FraseLaudoSchema);
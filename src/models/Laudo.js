@@ -29,7 +29,10 @@ const HistoricoSchema = new mongoose.Schema({
       'Refação',
       'Cancelamento',
       'ErroEnvio',
-      'TransacaoFinanceira'
+      'TransacaoFinanceira',
+      'Revisão',
+      'Adendo',
+      'AlertaCritico'
     ]
   },
   detalhes: {
@@ -56,6 +59,99 @@ const HistoricoSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Seção do laudo estruturado (preenchida a partir de uma máscara)
+const SecaoLaudoSchema = new mongoose.Schema({
+  chave: {
+    type: String,
+    trim: true
+  },
+  titulo: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  conteudo: {
+    type: String,
+    set: v => v ? encrypt(v.trim()) : v,
+    get: v => v ? decrypt(v) : v
+  },
+  ordem: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false, toJSON: { getters: true }, toObject: { getters: true } });
+
+// Adendo: complemento datado e assinado separadamente, anexado a um laudo já assinado
+const AdendoSchema = new mongoose.Schema({
+  numero: {
+    type: Number,
+    required: true
+  },
+  texto: {
+    type: String,
+    required: true,
+    set: v => v ? encrypt(v.trim()) : v,
+    get: v => v ? decrypt(v) : v
+  },
+  motivo: {
+    type: String,
+    set: v => v ? encrypt(v.trim()) : v,
+    get: v => v ? decrypt(v) : v
+  },
+  medicoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+  medicoNome: {
+    type: String,
+    set: v => v ? encrypt(v.trim()) : v,
+    get: v => v ? decrypt(v) : v
+  },
+  data: {
+    type: Date,
+    default: Date.now
+  },
+  assinadoCom: {
+    type: String,
+    enum: ['certificado_medico', 'sem_assinatura'],
+    default: 'sem_assinatura'
+  },
+  certificadoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CertificadoDigital'
+  },
+  arquivoKey: {
+    type: String, // Chave no S3 do PDF do adendo (assinado separadamente)
+    default: ''
+  }
+}, { _id: true, toJSON: { getters: true }, toObject: { getters: true } });
+
+// Versão salva automaticamente de um rascunho de laudo
+const VersaoRascunhoSchema = new mongoose.Schema({
+  numero: {
+    type: Number,
+    required: true
+  },
+  conclusao: {
+    type: String,
+    set: v => v ? encrypt(v.trim()) : v,
+    get: v => v ? decrypt(v) : v
+  },
+  secoes: [SecaoLaudoSchema],
+  data: {
+    type: Date,
+    default: Date.now
+  },
+  usuarioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  },
+  restauradaDe: {
+    type: Number // Número da versão restaurada, quando aplicável
+  }
+}, { _id: false, toJSON: { getters: true }, toObject: { getters: true } });
+
 const LaudoSchema = new mongoose.Schema({
   exame: {
     type: mongoose.Schema.Types.ObjectId,
@@ -75,10 +171,21 @@ const LaudoSchema = new mongoose.Schema({
   },
   conclusao: {
     type: String,
-    required: true,
+    // Rascunhos podem ser salvos sem conclusão
+    required: function() { return this.status !== 'Rascunho'; },
     set: v => v ? encrypt(v.trim()) : v,
     get: v => decrypt(v)
   },
+  // Laudo estruturado: seções renderizadas a partir da máscara do tipo de exame
+  secoes: [SecaoLaudoSchema],
+  adendos: [AdendoSchema],
+  mascaraId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MascaraLaudo'
+  },
+  mascaraVersao: {
+    type: Number
+  },
   laudoOriginal: {
     type: String,
     default: '',
@@ -100,10 +207,28 @@ const LaudoSchema = new mongoose.Schema({
     type: String, // Chave do arquivo no S3 para laudo assinado
     default: ''
   },
+  // Retenção: PDFs movidos para a camada de arquivo (as chaves passam a ter o prefixo arquivo/)
+  arquivamento: {
+    arquivado: {
+      type: Boolean,
+      default: false
+    },
+    arquivadoEm: {
+      type: Date
+    },
+    prefixo: {
+      type: String
+    },
+    classe: {
+      type: String
+    }
+  },
   status: {
     type: String,
     enum: [
       'Rascunho',
+      'Em revisão', // Aguardando dupla leitura
+      'Revisão rejeitada',
       'Laudo em processamento', 
       'Laudo realizado', 
       'Laudo assinado',
@@ -115,6 +240,52 @@ const LaudoSchema = new mongoose.Schema({
     ],
     default: 'Rascunho'
   },
+  // Rascunho: versões salvas automaticamente até a finalização
+  rascunho: {
+    versoes: [VersaoRascunhoSchema],
+    ultimoAutosave: {
+      type: Date
+    },
+    finalizadoEm: {
+      type: Date
+    }
+  },
+  // Dupla leitura: revisão obrigatória por um segundo médico antes da assinatura
+  revisao: {
+    exigida: {
+      type: Boolean,
+      default: false
+    },
+    status: {
+      type: String,
+      enum: ['Pendente', 'Aprovado', 'Rejeitado']
+    },
+    revisorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    },
+    revisorNome: {
+      type: String,
+      set: v => v ? encrypt(v.trim()) : v,
+      get: v => v ? decrypt(v) : v
+    },
+    dataRevisao: {
+      type: Date
+    },
+    comentarios: {
+      type: String,
+      set: v => v ? encrypt(v.trim()) : v,
+      get: v => v ? decrypt(v) : v
+    },
+    editadoPeloRevisor: {
+      type: Boolean,
+      default: false
+    },
+    rodada: {
+      type: Number,
+      default: 1
+    }
+  },
   // Campos financeiros adicionados
   valorPago: {
     type: Number,
@@ -202,6 +373,31 @@ const LaudoSchema = new mongoose.Schema({
     get: v => v ? decrypt(v) : v
   },
   historico: [HistoricoSchema],
+  // Achado crítico (risco de vida) sinalizado pelo médico; o alerta guarda o reconhecimento
+  achadoCritico: {
+    type: Boolean,
+    default: false
+  },
+  alertaCritico: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertaCritico',
+    default: null
+  },
+  // Exame anterior do paciente usado como comparação (opcionalmente impresso no PDF)
+  comparacao: {
+    exameAnterior: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exame'
+    },
+    laudoAnterior: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Laudo'
+    },
+    incluirNoPdf: {
+      type: Boolean,
+      default: false
+    }
+  },
   criadoPor: {
     type: String,
     set: v => v ? encrypt(v.trim()) : v,
@@ -231,6 +427,15 @@ const LaudoSchema = new mongoose.Schema({
     set: v => v ? encrypt(v.trim()) : v,
     get: v => v ? decrypt(v) : v
   },
+  // Situação do último envio por e-mail (para reenvio pela recepção)
+  statusEnvio: {
+    type: String,
+    enum: ['Pendente', 'Enviado', 'Falha']
+  },
+  tentativasEnvio: {
+    type: Number,
+    default: 0
+  },
   ehVersaoAtual: {
     type: Boolean,
     default: true
@@ -284,6 +489,12 @@ const LaudoSchema = new mongoose.Schema({
 
 // Método para calcular e definir valor do laudo
 LaudoSchema.methods.calcularValorPago = async function() {
+  // Rascunhos não entram nos cálculos financeiros até serem finalizados
+  if (this.status === 'Rascunho') {
+    this.valorPago = 0;
+    return;
+  }
+
   try {
     const ValorLaudo = require('./ValorLaudo');
     
@@ -371,7 +582,8 @@ LaudoSchema.pre('save', function(next) {
       detalhes: `Versão ${this.versao} criada`,
       versao: this.versao
     });
-  } else if (this.isModified()) {
+  } else if (this.isModified() && this.status !== 'Rascunho') {
+    // O autosave do rascunho não gera histórico (as versões ficam em rascunho.versoes)
     this.historico.push({
       usuario: this.atualizadoPor || this.criadoPor,
       nomeUsuario: decrypt(this.atualizadoPor) || decrypt(this.criadoPor) || (this.atualizadoPor || this.criadoPor),
@@ -387,16 +599,19 @@ LaudoSchema.pre('save', function(next) {
 LaudoSchema.methods.registrarEnvioEmail = async function(usuario, nomeUsuario, destinatario, status, mensagemErro = null) {
   this.dataEnvioEmail = new Date();
   this.destinatarioEmail = destinatario;
+  this.statusEnvio = status;
+  this.tentativasEnvio = (this.tentativasEnvio || 0) + 1;
 
+  // Os setters do HistoricoSchema já criptografam os campos
   this.historico.push({
-    usuario: encrypt(usuario.trim()),
-    nomeUsuario: encrypt(nomeUsuario.trim()),
+    usuario: usuario.toString(),
+    nomeUsuario: nomeUsuario || 'Sistema',
     acao: 'EnvioEmail',
-    detalhes: mensagemErro ? encrypt(mensagemErro.trim()) : encrypt(`Laudo enviado para ${destinatario}`.trim()),
+    detalhes: mensagemErro ? `Falha no envio para ${destinatario}` : `Laudo enviado para ${destinatario}`,
     versao: this.versao,
-    destinatarioEmail: encrypt(destinatario.trim()),
+    destinatarioEmail: destinatario,
     statusEnvio: status,
-    mensagemErro: mensagemErro ? encrypt(mensagemErro.trim()) : null
+    mensagemErro: mensagemErro || undefined
   });
 
   await this.save();
@@ -429,5 +644,9 @@ LaudoSchema.index({ tenant_id: 1 });
 LaudoSchema.index({ valorPago: 1 });
 LaudoSchema.index({ pagamentoRegistrado: 1 });
 LaudoSchema.index({ dataPagamento: -1 });
+LaudoSchema.index({ statusEnvio: 1 });
+LaudoSchema.index({ 'revisao.status': 1, tenant_id: 1 });
+LaudoSchema.index({ medicoResponsavelId: 1, status: 1, exame: 1 });
+LaudoSchema.index({ tenant_id: 1, dataAssinatura: 1 });
 
 module.exports = mongoose.model('Laudo', LaudoSchema);
\ No newline at end of file
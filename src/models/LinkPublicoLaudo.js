@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../utils/crypto');
+
+// Link público de um laudo: token de compartilhamento (buscado pelo hash) com validade,
+// revogação e controle de tentativas do código de acesso.
+const LinkPublicoLaudoSchema = new mongoose.Schema({
+  laudo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Laudo',
+    required: true
+  },
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Token cifrado: o mesmo link ativo é reaproveitado no PDF e nos e-mails
+  token: {
+    type: String,
+    required: true,
+    set: v => v ? encrypt(v.trim()) : v,
+    get: v => v ? decrypt(v) : v
+  },
+  origem: {
+    type: String,
+    enum: ['pdf', 'email', 'manual'],
+    default: 'manual'
+  },
+  expiraEm: {
+    type: Date,
+    required: true
+  },
+  revogadoEm: {
+    type: Date
+  },
+  revogadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  },
+  motivoRevogacao: {
+    type: String
+  },
+  tentativasFalhas: {
+    type: Number,
+    default: 0
+  },
+  bloqueios: {
+    type: Number,
+    default: 0
+  },
+  bloqueadoAte: {
+    type: Date
+  },
+  acessos: {
+    type: Number,
+    default: 0
+  },
+  ultimoAcessoEm: {
+    type: Date
+  },
+  criadoPorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+}, {
+  timestamps: true
+});
+
+LinkPublicoLaudoSchema.index({ laudo: 1, revogadoEm: 1, expiraEm: -1 });
+
+module.exports = mongoose.model('LinkPublicoLaudo', LinkPublicoLaudoSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Código de exame do sistema hospitalar (OBR-4) → TipoExame do tenant
+const MapeamentoExameHl7Schema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  codigoExterno: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  descricaoExterna: {
+    type: String,
+    trim: true
+  },
+  tipoExameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TipoExame',
+    required: true
+  },
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+  criadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+}, {
+  timestamps: true
+});
+
+MapeamentoExameHl7Schema.index({ tenant_id: 1, codigoExterno: 1 }, { unique: true });
+
+module.exports = mongoose.model('MapeamentoExameHl7', MapeamentoExameHl7Schema);
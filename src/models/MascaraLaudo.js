@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// Seção de uma máscara de laudo (ex.: Ritmo, Eixo, Conclusão)
+const SecaoMascaraSchema = new mongoose.Schema({
+  chave: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  titulo: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Texto da seção com placeholders no formato {{campo}} ou {{campo|valor padrão}}
+  conteudo: {
+    type: String,
+    default: ''
+  },
+  ordem: {
+    type: Number,
+    default: 0
+  },
+  obrigatoria: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const MascaraLaudoSchema = new mongoose.Schema({
+  nome: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  descricao: {
+    type: String,
+    trim: true
+  },
+  tipoExameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TipoExame',
+    required: true
+  },
+  // Opcional: máscara específica de uma especialidade
+  especialidadeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Especialidade',
+    default: null
+  },
+  // Opcional: máscara específica de um tenant (null = máscara global)
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  secoes: {
+    type: [SecaoMascaraSchema],
+    validate: {
+      validator: v => Array.isArray(v) && v.length > 0,
+      message: 'A máscara deve possuir ao menos uma seção'
+    }
+  },
+  // Controle de versões: todas as versões de uma máscara compartilham o mesmo grupoId
+  versao: {
+    type: Number,
+    default: 1
+  },
+  grupoId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  mascaraAnterior: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MascaraLaudo'
+  },
+  ehVersaoAtual: {
+    type: Boolean,
+    default: true
+  },
+  observacaoVersao: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['ativo', 'inativo'],
+    default: 'ativo'
+  },
+  criadoPor: {
+    type: String
+  },
+  criadoPorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+}, {
+  timestamps: true
+});
+
+// A primeira versão inicia o grupo
+MascaraLaudoSchema.pre('validate', function(next) {
+  if (!this.grupoId) {
+    this.grupoId = this._id;
+  }
+  next();
+});
+
+// Máscara utilizável em laudos do tenant: as do próprio tenant e as globais
+MascaraLaudoSchema.statics.buscarParaTenant = function(id, tenantId, campos = null) {
+  const query = this.findOne({ _id: id, tenant_id: { $in: [null, tenantId] } });
+  return campos ? query.select(campos) : query;
+};
+
+MascaraLaudoSchema.index({ tipoExameId: 1, tenant_id: 1, ehVersaoAtual: 1 });
+MascaraLaudoSchema.index({ grupoId: 1, versao: -1 }, { unique: true });
+MascaraLaudoSchema.index({ status: 1 });
+
+module.exports = mongoose.model('MascaraLaudo', MascaraLaudoSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../utils/crypto');
+
+// Log das mensagens HL7 enviadas, com o ACK recebido de cada destino
+const MensagemHl7Schema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  destinoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DestinoHl7',
+    required: true
+  },
+  laudoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Laudo',
+    required: true
+  },
+  exameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exame'
+  },
+  tipoMensagem: {
+    type: String,
+    default: 'ORU^R01'
+  },
+  // MSH-10, repetido no MSA-2 do ACK
+  controlId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // A mensagem contém dados do paciente: armazenada criptografada
+  conteudo: {
+    type: String,
+    required: true,
+    set: v => v ? encrypt(v) : v,
+    get: v => v ? decrypt(v) : v
+  },
+  status: {
+    type: String,
+    enum: ['pendente', 'enviada', 'confirmada', 'rejeitada', 'erro'],
+    default: 'pendente'
+  },
+  origem: {
+    type: String,
+    enum: ['automatica', 'manual'],
+    default: 'automatica'
+  },
+  tentativas: {
+    type: Number,
+    default: 0
+  },
+  ultimaTentativaEm: Date,
+  enviadaEm: Date,
+  ultimoErro: String,
+  ack: {
+    codigo: String,
+    texto: String,
+    recebidoEm: Date
+  },
+  criadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+MensagemHl7Schema.index({ tenant_id: 1, createdAt: -1 });
+MensagemHl7Schema.index({ laudoId: 1 });
+MensagemHl7Schema.index({ tenant_id: 1, status: 1 });
+
+module.exports = mongoose.model('MensagemHl7', MensagemHl7Schema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
-const { encrypt, decrypt } = require('../utils/crypto');
+const { encrypt, decrypt, keyedHash } = require('../utils/crypto');
+
+// Hash do CPF (somente dígitos) usado nas buscas; null quando não há dígitos
+const hashCpf = (cpf) => keyedHash(String(cpf || '').replace(/\D/g, ''));
 
 const PacienteSchema = new mongoose.Schema({
     nome: {
@@ -30,6 +33,11 @@ const PacienteSchema = new mongoose.Schema({
             return decrypted || v; // Retorna o valor original se a descriptografia falhar
         }
     },
+    // O CPF é cifrado com IV aleatório; a busca por CPF usa este hash indexado
+    cpfHash: {
+        type: String,
+        select: false
+    },
     dataNascimento: {
         type: String,
         required: true,
@@ -78,6 +86,12 @@ const PacienteSchema = new mongoose.Schema({
             }
         }
     },
+    // Sexo biológico (M/F) para as faixas de referência das medidas dos exames
+    sexo: {
+        type: String,
+        enum: ['M', 'F', null],
+        default: null
+    },
     endereco: {
         type: String,
         required: true,
@@ -135,10 +149,41 @@ const PacienteSchema = new mongoose.Schema({
 // Middleware para atualizar dataAtualizacao
 PacienteSchema.pre('save', function(next) {
     this.dataAtualizacao = new Date();
+    if (this.isModified('cpf')) {
+        this.cpfHash = hashCpf(this.cpf);
+    }
     next();
 });
 
+// Localiza o paciente do tenant pelo CPF sem descriptografar os demais
+PacienteSchema.statics.buscarPorCpf = async function(tenantId, cpf, campos = null) {
+    const cpfHash = hashCpf(cpf);
+    if (!cpfHash) return null;
+
+    const query = this.findOne({ tenant_id: tenantId, cpfHash });
+    return campos ? query.select(campos) : query;
+};
+
+PacienteSchema.statics.hashCpf = hashCpf;
+
+// Preenche o hash do CPF dos pacientes cadastrados antes da busca indexada; retorna quantos foram atualizados
+PacienteSchema.statics.preencherHashCpf = async function() {
+    const cursor = this.find({ cpfHash: { $exists: false } }).select('cpf').cursor();
+    let atualizados = 0;
+
+    for await (const paciente of cursor) {
+        await this.updateOne(
+            { _id: paciente._id },
+            { $set: { cpfHash: hashCpf(paciente.cpf) } }
+        );
+        atualizados++;
+    }
+
+    return atualizados;
+};
+
 // Índice único para cpf e tenant_id
 PacienteSchema.index({ cpf: 1, tenant_id: 1 }, { unique: true });
+PacienteSchema.index({ tenant_id: 1, cpfHash: 1 });
 
 module.exports = mongoose.model('Paciente', PacienteSchema);
\ No newline at end of file
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../utils/crypto');
+
+const criptografado = {
+  type: String,
+  set: v => v ? encrypt(v) : v,
+  get: v => v ? decrypt(v) : v
+};
+
+// Pedido de exame recebido via HL7 (ORM/OML): registro da entrada e fila de revisão
+const PedidoHl7Schema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  controlId: {
+    type: String,
+    required: true
+  },
+  tipoMensagem: String,
+  aplicacaoOrigem: String,
+  numeroPedido: String,
+  controlePedido: String,
+  codigoExame: String,
+  descricaoExame: String,
+  dataPedido: Date,
+  observacoes: criptografado,
+  // Dados do paciente recebidos no PID (para a revisão manual)
+  paciente: {
+    nome: criptografado,
+    cpf: criptografado,
+    dataNascimento: criptografado,
+    endereco: criptografado,
+    telefone: criptografado
+  },
+  status: {
+    type: String,
+    enum: ['processado', 'pendente_revisao', 'resolvido', 'descartado'],
+    required: true
+  },
+  motivo: String,
+  pacienteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Paciente'
+  },
+  exameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exame'
+  },
+  resolvidoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  },
+  resolvidoEm: Date
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+PedidoHl7Schema.index({ tenant_id: 1, status: 1, createdAt: -1 });
+PedidoHl7Schema.index({ tenant_id: 1, numeroPedido: 1 });
+
+module.exports = mongoose.model('PedidoHl7', PedidoHl7Schema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Prazo de resposta (SLA) por tipo de exame. tenant_id nulo = padrão para todos os tenants.
+const PrazoSlaSchema = new mongoose.Schema({
+  tipoExameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TipoExame',
+    required: true
+  },
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  prazoHoras: {
+    type: Number,
+    required: true,
+    min: 0.25
+  },
+  // Antecedência para alerta de risco; se vazio, usa SLA_ALERTA_PERCENTUAL do prazo
+  alertaAntecedenciaMinutos: {
+    type: Number,
+    min: 0
+  },
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+  criadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+}, {
+  timestamps: true
+});
+
+PrazoSlaSchema.index({ tipoExameId: 1, tenant_id: 1 }, { unique: true });
+
+module.exports = mongoose.model('PrazoSla', PrazoSlaSchema);
@@ -1,11 +1,57 @@
 const mongoose = require('mongoose');
 
+// Identidade visual usada nos PDFs de laudo e nas páginas públicas (vazio = padrão do sistema)
+const BrandingSchema = new mongoose.Schema({
+  logoKey: { type: String, default: null },
+  logoContentType: { type: String, default: null },
+  textoCabecalho: { type: String, default: null },
+  textoRodape: { type: String, default: null },
+  endereco: { type: String, default: null },
+  cores: {
+    primaria: { type: String, default: null },
+    secundaria: { type: String, default: null },
+    texto: { type: String, default: null }
+  },
+  tamanhoFonte: { type: Number, min: 8, max: 14, default: null },
+  margens: {
+    esquerda: { type: Number, default: null },
+    direita: { type: Number, default: null },
+    superior: { type: Number, default: null },
+    inferior: { type: Number, default: null }
+  },
+  atualizadoEm: { type: Date, default: null }
+}, { _id: false });
+
+// Destinatários dos alertas de achado crítico (vazio = administradores do tenant)
+const AlertaCriticoConfigSchema = new mongoose.Schema({
+  contatos: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Usuario' }],
+  emailsAdicionais: [{ type: String, trim: true, lowercase: true }],
+  intervaloEscalonamentoMinutos: { type: Number, min: 1, default: null }
+}, { _id: false });
+
+// Retenção por tipo de documento (campos vazios = RETENCAO_*_ANOS / ARQUIVAMENTO_*_DIAS ou padrão)
+const PoliticaRetencaoSchema = new mongoose.Schema({
+  tipoDocumento: { type: String, enum: ['exame', 'laudo'], required: true },
+  anosRetencao: { type: Number, min: 1, default: null },
+  diasParaArquivamento: { type: Number, min: 1, default: null }
+}, { _id: false });
+
 const TenantSchema = new mongoose.Schema({
   nomeFantasia: { type: String, required: true },
   cnpj: { type: String },
   status: { type: String, enum: ['ativo', 'inativo'], default: 'ativo' },
   dataCadastro: { type: Date, default: Date.now },
-  modulosAtivos: [String]
+  modulosAtivos: [String],
+  // Instalação de destino (MSH-6) dos pedidos HL7 enviados pelo hospital a este tenant
+  codigoHl7: { type: String, trim: true },
+  // IPs do sistema hospitalar autorizados a enviar pedidos HL7 (MLLP) a este tenant
+  ipsOrigemHl7: [{ type: String, trim: true }],
+  branding: { type: BrandingSchema, default: () => ({}) },
+  alertaCritico: { type: AlertaCriticoConfigSchema, default: () => ({}) },
+  politicasRetencao: { type: [PoliticaRetencaoSchema], default: [] }
 });
 
+TenantSchema.index({ codigoHl7: 1 }, { unique: true, sparse: true });
+TenantSchema.index({ ipsOrigemHl7: 1 });
+
 module.exports = mongoose.model('Tenant', TenantSchema);
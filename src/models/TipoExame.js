@@ -12,6 +12,11 @@ const TipoExameSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  // Laudos deste tipo passam por revisão de um segundo médico antes da assinatura
+  exigeDuplaLeitura: {
+    type: Boolean,
+    default: false
+  },
   status: {
     type: String,
     enum: ['ativo', 'inativo'],
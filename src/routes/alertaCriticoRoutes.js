@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const alertaCriticoController = require('../controllers/alertaCriticoController');
+const authMiddleware = require('../middleware/authMiddleware');
+const tenantMiddleware = require('../middleware/tenantMiddleware');
+const { autorizacaoMiddleware } = require('../middleware/autorizacaoMiddleware');
+
+// Contatos designados e intervalo de reescalonamento do tenant
+router.get(
+  '/configuracao',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  alertaCriticoController.obterConfiguracao
+);
+
+router.put(
+  '/configuracao',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  alertaCriticoController.salvarConfiguracao
+);
+
+// Alertas do tenant (?status=pendente|reconhecido|todos)
+router.get('/', authMiddleware, tenantMiddleware, alertaCriticoController.listarAlertas);
+
+router.get('/:id', authMiddleware, tenantMiddleware, alertaCriticoController.obterAlerta);
+
+// Reconhecimento explícito (contatos designados e administradores)
+router.post('/:id/reconhecer', authMiddleware, tenantMiddleware, alertaCriticoController.reconhecer);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const arquivoController = require('../controllers/arquivoController');
+
+const router = express.Router();
+
+// Rota pública: o acesso é autorizado pela assinatura e validade da URL (driver local)
+router.get('/*', arquivoController.servirArquivoLocal);
+
+module.exports = router;
@@ -7,6 +7,7 @@ const { decrypt } = require('../utils/crypto');
 const authMiddleware = require('../middleware/authMiddleware');
 const tenantMiddleware = require('../middleware/tenantMiddleware');
 const { startOfMonth, endOfMonth, subDays } = require('date-fns');
+const { classificarSla, resumirConformidade } = require('../utils/sla');
 
 // Estatísticas Gerais
 router.get('/estatisticas', authMiddleware, tenantMiddleware, async (req, res) => {
@@ -230,4 +231,63 @@ router.get('/performance-medicos', authMiddleware, tenantMiddleware, async (req,
     }
 });
 
+// Conformidade de SLA (prazo de laudo)
+router.get('/sla', authMiddleware, tenantMiddleware, async (req, res) => {
+    try {
+        const dias = parseInt(req.query.dias) || 30;
+        const inicio = subDays(new Date(), dias);
+
+        const exames = await Exame.find({
+            tenant_id: req.tenant_id,
+            prazoLaudo: { $ne: null },
+            dataExame: { $gte: inicio }
+        })
+            .populate('tipoExame', 'nome urgente')
+            .select('tipoExame dataExame prazoLaudo sla status')
+            .lean();
+
+        const porTipo = {};
+        const itens = [];
+
+        exames.forEach(exame => {
+            // Decrypt status
+            let statusExame;
+            try {
+                statusExame = decrypt(exame.status);
+            } catch (err) {
+                statusExame = exame.status;
+            }
+            if (statusExame === 'Cancelado') return;
+
+            const item = {
+                status: exame.sla?.status || classificarSla({
+                    prazo: exame.prazoLaudo,
+                    concluidoEm: exame.sla?.concluidoEm,
+                    antecedenciaMinutos: exame.sla?.alertaAntecedenciaMinutos || 0
+                }),
+                dataBase: exame.dataExame,
+                concluidoEm: exame.sla?.concluidoEm
+            };
+            itens.push(item);
+
+            const tipoNome = exame.tipoExame?.nome || 'Sem tipo';
+            if (!porTipo[tipoNome]) {
+                porTipo[tipoNome] = { urgente: !!exame.tipoExame?.urgente, itens: [] };
+            }
+            porTipo[tipoNome].itens.push(item);
+        });
+
+        res.json({
+            periodoDias: dias,
+            geral: resumirConformidade(itens),
+            porTipoExame: Object.entries(porTipo)
+                .map(([tipo, dados]) => ({ tipo, urgente: dados.urgente, ...resumirConformidade(dados.itens) }))
+                .sort((a, b) => b.total - a.total)
+        });
+    } catch (err) {
+        console.error('Erro ao obter estatísticas de SLA');
+        res.status(500).json({ message: 'Erro ao processar estatísticas de SLA' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
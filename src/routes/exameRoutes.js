@@ -3,13 +3,24 @@ const exameController = require('../controllers/exameController');
 const authMiddleware = require('../middleware/authMiddleware');
 const { autorizacaoMiddleware, verificarAcessoTenant } = require('../middleware/autorizacaoMiddleware');
 const upload = require('../utils/multerConfig'); // CORRIGIDO: Usar a configuração correta
-const { upload: s3Upload } = require('../services/storageServiceV3'); // NOVO: Upload S3 v3
+const { upload: s3Upload, ehUploadDicom } = require('../services/storageServiceV3'); // NOVO: Upload S3 v3
 const Exame = require('../models/Exame');
 const { auditLog } = require('../middleware/auditMiddleware');
 const tenantMiddleware = require('../middleware/tenantMiddleware');
+const multer = require('multer');
 
 const router = express.Router();
 
+// Análise do cabeçalho DICOM antes do cadastro: arquivo fica só em memória
+const dicomUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (ehUploadDicom(file)) return cb(null, true);
+        cb(new Error('Apenas arquivos DICOM (.dcm) são aceitos'), false);
+    }
+});
+
 // Middleware para tratamento de erros do multer
 const handleMulterError = (err, req, res, next) => {
     if (err) {
@@ -82,6 +93,17 @@ router.post(
 // Rota para listar exames com paginação e filtros
 router.get('/', authMiddleware, tenantMiddleware, exameController.listarExames);
 
+// Rota para ler o cabeçalho DICOM e conferir com o paciente selecionado
+router.post(
+    '/dicom/analisar',
+    authMiddleware,
+    tenantMiddleware,
+    autorizacaoMiddleware(['tecnico', 'admin', 'recepcionista']),
+    dicomUpload.single('arquivo'),
+    handleMulterError,
+    exameController.analisarDicom
+);
+
 // Rota para listar exames para seleção
 router.get('/selecao', authMiddleware, tenantMiddleware, exameController.listarExamesParaSelecao);
 
@@ -93,6 +115,13 @@ router.get('/:id', authMiddleware, tenantMiddleware, exameController.obterExame)
 
 router.get('/:id/download', authMiddleware, tenantMiddleware, exameController.downloadArquivo);
 
+router.get('/:id/previa', authMiddleware, tenantMiddleware, exameController.obterPrevia);
+
+router.get('/:id/thumbnail', authMiddleware, tenantMiddleware, exameController.obterThumbnail);
+
+// Exames anteriores do paciente para comparação no laudo
+router.get('/:id/anteriores', authMiddleware, tenantMiddleware, exameController.listarAnteriores);
+
 // Rota para atualizar um exame (técnicos, administradores e recepcionistas)
 router.put(
     '/:id',
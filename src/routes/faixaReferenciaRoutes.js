@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const faixaReferenciaController = require('../controllers/faixaReferenciaController');
+const authMiddleware = require('../middleware/authMiddleware');
+const tenantMiddleware = require('../middleware/tenantMiddleware');
+const { autorizacaoMiddleware } = require('../middleware/autorizacaoMiddleware');
+
+// Faixas de referência do tenant e globais (filtro opcional por tipoExameId)
+router.get(
+  '/',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin', 'medico']),
+  faixaReferenciaController.listarFaixas
+);
+
+// Criar faixa de referência de uma medida
+router.post(
+  '/',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  faixaReferenciaController.criarFaixa
+);
+
+// Atualizar faixa de referência
+router.put(
+  '/:id',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  faixaReferenciaController.atualizarFaixa
+);
+
+// Remover faixa de referência
+router.delete(
+  '/:id',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  faixaReferenciaController.removerFaixa
+);
+
+module.exports = router;
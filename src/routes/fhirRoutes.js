@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const fhirController = require('../controllers/fhirController');
+const authMiddleware = require('../middleware/authMiddleware');
+const tenantMiddleware = require('../middleware/tenantMiddleware');
+const { autorizacaoMiddleware } = require('../middleware/autorizacaoMiddleware');
+
+// CapabilityStatement
+router.get('/metadata', authMiddleware, fhirController.capabilityStatement);
+
+// Patient (Paciente)
+router.get('/Patient', authMiddleware, tenantMiddleware, fhirController.buscarPatient);
+
+router.get('/Patient/:id', authMiddleware, tenantMiddleware, fhirController.lerPatient);
+
+router.post('/Patient', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['tecnico', 'admin', 'recepcionista']), fhirController.criarPatient);
+
+// ServiceRequest (Exame)
+router.get('/ServiceRequest', authMiddleware, tenantMiddleware, fhirController.buscarServiceRequest);
+
+router.get('/ServiceRequest/:id', authMiddleware, tenantMiddleware, fhirController.lerServiceRequest);
+
+router.post('/ServiceRequest', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['tecnico', 'admin', 'recepcionista']), fhirController.criarServiceRequest);
+
+// Observation (medidas do exame)
+router.get('/Observation', authMiddleware, tenantMiddleware, fhirController.buscarObservation);
+
+router.get('/Observation/:id', authMiddleware, tenantMiddleware, fhirController.lerObservation);
+
+// DiagnosticReport (Laudo, com o PDF em presentedForm)
+router.get('/DiagnosticReport', authMiddleware, tenantMiddleware, fhirController.buscarDiagnosticReport);
+
+router.get('/DiagnosticReport/:id', authMiddleware, tenantMiddleware, fhirController.lerDiagnosticReport);
+
+module.exports = router;
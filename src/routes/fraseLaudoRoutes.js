@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const fraseLaudoController = require('../controllers/fraseLaudoController');
+const authMiddleware = require('../middleware/authMiddleware');
+const tenantMiddleware = require('../middleware/tenantMiddleware');
+
+// Exportar/importar a biblioteca pessoal do médico (JSON)
+router.get('/exportar', authMiddleware, tenantMiddleware, fraseLaudoController.exportarFrases);
+
+router.post('/importar', authMiddleware, tenantMiddleware, fraseLaudoController.importarFrases);
+
+// Expandir atalhos ("/atalho") no texto da conclusão com os dados do exame
+router.post('/expandir', authMiddleware, tenantMiddleware, fraseLaudoController.expandirFrases);
+
+// Listar frases (pessoais e compartilhadas do tenant)
+router.get('/', authMiddleware, tenantMiddleware, fraseLaudoController.listarFrases);
+
+// Obter frase por ID
+router.get('/:id', authMiddleware, tenantMiddleware, fraseLaudoController.obterFrase);
+
+// Criar frase (compartilhadas apenas por administradores)
+router.post('/', authMiddleware, tenantMiddleware, fraseLaudoController.criarFrase);
+
+// Atualizar frase
+router.put('/:id', authMiddleware, tenantMiddleware, fraseLaudoController.atualizarFrase);
+
+// Excluir frase
+router.delete('/:id', authMiddleware, tenantMiddleware, fraseLaudoController.excluirFrase);
+
+module.exports = router;
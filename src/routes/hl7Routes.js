@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const hl7Controller = require('../controllers/hl7Controller');
+const authMiddleware = require('../middleware/authMiddleware');
+const tenantMiddleware = require('../middleware/tenantMiddleware');
+const { autorizacaoMiddleware } = require('../middleware/autorizacaoMiddleware');
+
+// Destinos de entrega (MLLP/TCP ou diretório) do tenant
+router.get('/destinos', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.listarDestinos);
+
+router.post('/destinos', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.criarDestino);
+
+router.put('/destinos/:id', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.atualizarDestino);
+
+router.delete('/destinos/:id', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.removerDestino);
+
+// Log de mensagens enviadas e ACKs
+router.get('/mensagens', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.listarMensagens);
+
+router.get('/mensagens/:id', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.obterMensagem);
+
+// Reenvio manual
+router.post('/mensagens/:id/reenviar', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.reenviarMensagem);
+
+// Exportar novamente um laudo assinado
+router.post('/laudos/:laudoId/exportar', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.exportarLaudo);
+
+// Mapeamento dos códigos de exame recebidos nos pedidos (OBR-4)
+router.get('/mapeamentos', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.listarMapeamentos);
+
+router.post('/mapeamentos', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.criarMapeamento);
+
+router.put('/mapeamentos/:id', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.atualizarMapeamento);
+
+router.delete('/mapeamentos/:id', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.removerMapeamento);
+
+// Pedidos recebidos e fila de revisão
+router.get('/pedidos', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.listarPedidos);
+
+router.post('/pedidos/:id/resolver', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.resolverPedido);
+
+router.post('/pedidos/:id/descartar', authMiddleware, tenantMiddleware, autorizacaoMiddleware(['admin']), hl7Controller.descartarPedido);
+
+module.exports = router;
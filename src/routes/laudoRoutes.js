@@ -1,5 +1,12 @@
 const express = require('express');
 const laudoController = require('../controllers/laudoController');
+const revisaoLaudoController = require('../controllers/revisaoLaudoController');
+const adendoLaudoController = require('../controllers/adendoLaudoController');
+const rascunhoLaudoController = require('../controllers/rascunhoLaudoController');
+const versaoLaudoController = require('../controllers/versaoLaudoController');
+const assinaturaLoteController = require('../controllers/assinaturaLoteController');
+const linkPublicoController = require('../controllers/linkPublicoController');
+const alertaCriticoController = require('../controllers/alertaCriticoController');
 const authMiddleware = require('../middleware/authMiddleware');
 const {autorizacaoMiddleware} = require('../middleware/autorizacaoMiddleware');
 const upload = require('../utils/multerConfig');
@@ -37,6 +44,11 @@ router.get(
   laudoController.getHistoricoLaudo
 );
 
+// Versões de laudos refeitos e comparação entre elas
+router.get('/:id/versoes', authMiddleware, tenantMiddleware, versaoLaudoController.listarVersoes);
+
+router.get('/:id/versoes/diff', authMiddleware, tenantMiddleware, versaoLaudoController.compararVersoes);
+
 // Listar Laudos
 router.get(
   '/',
@@ -52,6 +64,96 @@ router.get(
   laudoController.listarLaudosPorPaciente
 );
 
+// Dupla leitura: laudos aguardando revisão de outro médico
+router.get(
+  '/revisao/pendentes',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  revisaoLaudoController.listarPendentesRevisao
+);
+
+router.post(
+  '/:id/revisao/aprovar',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  revisaoLaudoController.aprovarRevisao
+);
+
+router.post(
+  '/:id/revisao/rejeitar',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  revisaoLaudoController.rejeitarRevisao
+);
+
+router.post(
+  '/:id/revisao/reenviar',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  revisaoLaudoController.reenviarParaRevisao
+);
+
+// Rascunhos: criação, autosave, versões e finalização (sem PDF até finalizar)
+router.get(
+  '/rascunhos',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  rascunhoLaudoController.listarRascunhos
+);
+
+router.post(
+  '/rascunhos',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  rascunhoLaudoController.criarRascunho
+);
+
+router.get(
+  '/rascunhos/:id',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  rascunhoLaudoController.obterRascunho
+);
+
+router.put(
+  '/rascunhos/:id',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  rascunhoLaudoController.salvarRascunho
+);
+
+router.post(
+  '/rascunhos/:id/versoes/:numero/restaurar',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  rascunhoLaudoController.restaurarVersao
+);
+
+router.post(
+  '/rascunhos/:id/finalizar',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  rascunhoLaudoController.finalizarRascunho
+);
+
+router.delete(
+  '/rascunhos/:id',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  rascunhoLaudoController.descartarRascunho
+);
+
 // Obter Laudo por ID
 router.get(
   '/:id',
@@ -106,17 +208,47 @@ router.get(
   laudoController.getLaudosPorExame
 );
 
-// Adicione esta rota
+// Adendos ao laudo assinado (complementos assinados separadamente)
+router.get('/:id/adendos', authMiddleware, tenantMiddleware, adendoLaudoController.listarAdendos);
+
+router.post(
+  '/:id/adendos',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  adendoLaudoController.criarAdendo
+);
+
+router.get('/:id/adendos/:numero/download', authMiddleware, tenantMiddleware, adendoLaudoController.downloadAdendo);
+
+// Achado crítico: notifica os contatos do tenant e exige reconhecimento
+router.post(
+  '/:id/achado-critico',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  alertaCriticoController.marcarAchadoCritico
+);
+
+// Envio (e reenvio) do laudo assinado por e-mail
 router.post('/:id/enviar-email', authMiddleware, tenantMiddleware, laudoController.enviarEmailLaudo);
 
+// Histórico e situação dos envios por e-mail
+router.get('/:id/envios-email', authMiddleware, tenantMiddleware, laudoController.listarEnviosEmail);
+
 router.get('/laudos/:path(*)/download', (req, res) => {
     const filePath = path.join(__dirname, '../..', req.params.path);
     res.sendFile(filePath);
   });
 
-router.get('/publico/:id', laudoController.visualizarLaudoPublico);
-router.get('/publico/:id/pdf', laudoController.gerarPdfLaudoPublico);
-router.post('/publico/:id/auth', laudoController.autenticarLaudoPublico);
+// Links públicos do laudo (o acesso do paciente fica em /api/publico/laudos)
+router.get('/:id/links-publicos', authMiddleware, tenantMiddleware, linkPublicoController.listarLinks);
+
+router.post('/:id/links-publicos', authMiddleware, tenantMiddleware, linkPublicoController.rotacionarLink);
+
+router.delete('/:id/links-publicos', authMiddleware, tenantMiddleware, linkPublicoController.revogarLinks);
+
+router.delete('/:id/links-publicos/:linkId', authMiddleware, tenantMiddleware, linkPublicoController.revogarLinks);
 
 router.patch('/laudos/:id/invalidar', authMiddleware, tenantMiddleware, laudoController.invalidarLaudo);
 
@@ -124,6 +256,14 @@ router.get('/reports/laudos', authMiddleware, tenantMiddleware, laudoController.
 
 router.get('/relatorios/exportar-pdf', authMiddleware, tenantMiddleware, laudoController.relatorioPdf);
 
+// Assinar vários laudos de uma vez com o certificado do médico
+router.post('/assinar-lote',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  assinaturaLoteController.assinarLote
+);
+
 // Assinar laudo automaticamente (quando o médico confirma no modal)
 router.post('/:id/assinar-automaticamente',
   authMiddleware,
@@ -0,0 +1,44 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const linkPublicoController = require('../controllers/linkPublicoController');
+const laudoController = require('../controllers/laudoController');
+const linkPublicoMiddleware = require('../middleware/linkPublicoMiddleware');
+
+const router = express.Router();
+
+// Rotas públicas (sem autenticação): limitar para evitar abuso
+const linkPublicoLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 100,
+  message: {
+    erro: 'Muitas requisições. Tente novamente em alguns minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Além do bloqueio por link, limita tentativas de código por IP
+const autenticacaoLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 20,
+  message: {
+    erro: 'Muitas tentativas de acesso. Tente novamente em alguns minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+router.use(linkPublicoLimiter);
+
+// Situação do link (válido, bloqueado, expirado ou revogado)
+router.get('/:token', linkPublicoController.obterSituacaoLink);
+
+// Confirmar o código de acesso e obter o token de acesso
+router.post('/:token/autenticar', autenticacaoLimiter, linkPublicoController.autenticarLink);
+
+// Dados e PDF do laudo (exigem o token de acesso)
+router.get('/:token/laudo', linkPublicoMiddleware, laudoController.visualizarLaudoPublico);
+
+router.get('/:token/pdf', linkPublicoMiddleware, laudoController.gerarPdfLaudoPublico);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const mascaraLaudoController = require('../controllers/mascaraLaudoController');
+const authMiddleware = require('../middleware/authMiddleware');
+const tenantMiddleware = require('../middleware/tenantMiddleware');
+const { autorizacaoMiddleware } = require('../middleware/autorizacaoMiddleware');
+
+// Variáveis disponíveis para uso nas máscaras
+router.get('/variaveis', authMiddleware, mascaraLaudoController.listarVariaveis);
+
+// Máscara mais específica para um exame (?exameId=)
+router.get('/aplicavel', authMiddleware, tenantMiddleware, mascaraLaudoController.obterMascaraAplicavel);
+
+// Listar máscaras (versão atual)
+router.get('/', authMiddleware, tenantMiddleware, mascaraLaudoController.listarMascaras);
+
+// Obter máscara por ID
+router.get('/:id', authMiddleware, tenantMiddleware, mascaraLaudoController.obterMascara);
+
+// Criar máscara
+router.post(
+  '/',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  mascaraLaudoController.criarMascara
+);
+
+// Versões da máscara
+router.get('/:id/versoes', authMiddleware, tenantMiddleware, mascaraLaudoController.listarVersoes);
+
+router.post(
+  '/:id/versoes',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  mascaraLaudoController.criarNovaVersao
+);
+
+// Ativar/inativar máscara
+router.patch(
+  '/:id/status',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  mascaraLaudoController.alterarStatusMascara
+);
+
+// Renderizar máscara com os dados do exame (gera o rascunho do laudo)
+router.post(
+  '/:id/renderizar',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  mascaraLaudoController.renderizarMascara
+);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const portalPacienteController = require('../controllers/portalPacienteController');
+const portalPacienteMiddleware = require('../middleware/portalPacienteMiddleware');
+
+const router = express.Router();
+
+// Rotas públicas (sem autenticação): limitar para evitar abuso
+const solicitacaoLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 5,
+  message: {
+    erro: 'Muitas solicitações de código. Tente novamente em alguns minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const verificacaoLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10,
+  message: {
+    erro: 'Muitas tentativas de acesso. Tente novamente em alguns minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const portalLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 100,
+  message: {
+    erro: 'Muitas requisições. Tente novamente em alguns minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Identificação por CPF + data de nascimento e envio do código (e-mail ou SMS)
+router.post('/codigo', solicitacaoLimiter, portalPacienteController.solicitarCodigo);
+
+// Confirmação do código e início da sessão do portal
+router.post('/sessao', verificacaoLimiter, portalPacienteController.verificarCodigo);
+
+// Laudos assinados do paciente (exigem a sessão do portal)
+router.get('/laudos', portalLimiter, portalPacienteMiddleware, portalPacienteController.listarLaudos);
+
+router.get('/laudos/:id/pdf', portalLimiter, portalPacienteMiddleware, portalPacienteController.downloadLaudo);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const prazoSlaController = require('../controllers/prazoSlaController');
+const authMiddleware = require('../middleware/authMiddleware');
+const tenantMiddleware = require('../middleware/tenantMiddleware');
+const { autorizacaoMiddleware } = require('../middleware/autorizacaoMiddleware');
+
+// Prazos configurados e prazo efetivo por tipo de exame
+router.get(
+  '/',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  prazoSlaController.listarPrazos
+);
+
+// Criar/atualizar prazo de um tipo de exame
+router.put(
+  '/',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  prazoSlaController.salvarPrazo
+);
+
+// Remover prazo configurado
+router.delete(
+  '/:id',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  prazoSlaController.removerPrazo
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const retencaoController = require('../controllers/retencaoController');
+const authMiddleware = require('../middleware/authMiddleware');
+const tenantMiddleware = require('../middleware/tenantMiddleware');
+const { autorizacaoMiddleware } = require('../middleware/autorizacaoMiddleware');
+
+// Prazos de retenção e de arquivamento por tipo de documento
+router.get(
+  '/politicas',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  retencaoController.obterPoliticas
+);
+
+router.put(
+  '/politicas',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  retencaoController.salvarPoliticas
+);
+
+// Documentos a arquivar, com retenção vencendo em ?dias (padrão: 30) e sob bloqueio legal
+router.get(
+  '/relatorio',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  retencaoController.obterRelatorio
+);
+
+// Bloqueio legal do exame
+router.post(
+  '/exames/:id/bloqueio-legal',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  retencaoController.aplicarBloqueioLegal
+);
+
+router.delete(
+  '/exames/:id/bloqueio-legal',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  retencaoController.removerBloqueioLegal
+);
+
+module.exports = router;
@@ -1,12 +1,56 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const tenantController = require('../controllers/tenantController');
+const brandingController = require('../controllers/brandingController');
+const { TIPOS_LOGO, TAMANHO_MAXIMO_LOGO } = require('../utils/brandingTenant');
+
+// Upload do logo do tenant (PNG ou JPEG, em memória até o envio ao S3)
+const uploadLogo = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: TAMANHO_MAXIMO_LOGO,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.fieldname !== 'logo') {
+      return cb(new Error(`Campo inesperado: ${file.fieldname}. Use 'logo' como nome do campo.`), false);
+    }
+    if (!TIPOS_LOGO[file.mimetype]) {
+      return cb(new Error('Tipo de arquivo inválido. Apenas PNG ou JPEG são aceitos.'), false);
+    }
+    cb(null, true);
+  }
+});
+
+// Middleware para tratamento de erros do multer
+const handleMulterError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        erro: `Arquivo muito grande. Tamanho máximo: ${TAMANHO_MAXIMO_LOGO / (1024 * 1024)}MB`
+      });
+    }
+    return res.status(400).json({ erro: err.message });
+  }
+  if (err.message.includes('Tipo de arquivo inválido') || err.message.includes('Campo inesperado')) {
+    return res.status(400).json({ erro: err.message });
+  }
+  next(err);
+};
 
 router.get('/', tenantController.listarTenants);
 router.post('/', tenantController.criarTenant);
 router.put('/:id', tenantController.atualizarTenant);
 router.delete('/:id', tenantController.deletarTenant);
 
+// Identidade visual dos laudos (logo, cabeçalho, rodapé, cores, fonte e margens)
+router.get('/:id/branding', brandingController.obterBranding);
+router.put('/:id/branding', brandingController.atualizarBranding);
+router.post('/:id/branding/logo', uploadLogo.single('logo'), handleMulterError, brandingController.enviarLogo);
+router.delete('/:id/branding/logo', brandingController.removerLogo);
+router.get('/:id/branding/previa', brandingController.previaBranding);
+
 // Route to get a tenant by ID
 router.get('/:id', tenantController.obterTenantPorId);
 
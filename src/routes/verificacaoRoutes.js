@@ -0,0 +1,29 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const verificacaoLaudoController = require('../controllers/verificacaoLaudoController');
+const upload = require('../utils/multerConfig');
+
+const router = express.Router();
+
+// Rotas públicas (sem autenticação): limitar para evitar abuso
+const verificacaoLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 20,
+  message: {
+    erro: 'Muitas verificações. Tente novamente em alguns minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Verificar a autenticidade de um PDF de laudo assinado
+router.post('/laudo',
+  verificacaoLimiter,
+  (req, res, next) => upload.single('arquivo')(req, res, (err) => {
+    if (err) return res.status(400).json({ erro: err.message });
+    next();
+  }),
+  verificacaoLaudoController.verificarPdf
+);
+
+module.exports = router;
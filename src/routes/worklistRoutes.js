@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const worklistController = require('../controllers/worklistController');
+const authMiddleware = require('../middleware/authMiddleware');
+const tenantMiddleware = require('../middleware/tenantMiddleware');
+const { autorizacaoMiddleware } = require('../middleware/autorizacaoMiddleware');
+
+// Worklist do médico (exames sem laudo, por urgência e antiguidade)
+router.get(
+  '/',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico', 'admin']),
+  worklistController.listarWorklist
+);
+
+// Bloqueios ativos (admin)
+router.get(
+  '/bloqueios',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  worklistController.listarBloqueios
+);
+
+// Quebrar bloqueio (admin)
+router.delete(
+  '/bloqueios/:exameId',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['admin']),
+  worklistController.quebrarBloqueio
+);
+
+// Assumir/renovar e liberar um exame
+router.post(
+  '/:exameId/assumir',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  worklistController.assumirExame
+);
+
+router.post(
+  '/:exameId/liberar',
+  authMiddleware,
+  tenantMiddleware,
+  autorizacaoMiddleware(['medico']),
+  worklistController.liberarExame
+);
+
+module.exports = router;
@@ -0,0 +1,118 @@
+/**
+ * Backfill das miniaturas dos exames já cadastrados
+ *
+ * Gera a miniatura (1ª página do PDF, imagem reduzida ou prévia do DICOM) dos exames
+ * com arquivo no S3 que ainda não têm miniatura atualizada.
+ *
+ * Opções:
+ *   --todos          regenera também as miniaturas existentes
+ *   --tenant=<id>    processa apenas um tenant
+ *   --limite=<n>     processa no máximo n exames
+ *   --dry-run        apenas lista os exames que seriam processados
+ */
+
+const mongoose = require('mongoose');
+const Exame = require('../models/Exame');
+const { gerarThumbnailExame } = require('../services/thumbnailService');
+const { thumbnailAtualizada } = require('../utils/thumbnail');
+
+const lerOpcoes = (args) => {
+  const valor = (nome) => args.find(arg => arg.startsWith(`--${nome}=`))?.split('=')[1];
+  return {
+    todos: args.includes('--todos'),
+    dryRun: args.includes('--dry-run'),
+    tenant: valor('tenant') || null,
+    limite: parseInt(valor('limite')) || 0
+  };
+};
+
+// Conectar ao MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {
+      dbName: 'laudos-medicos',
+      serverSelectionTimeoutMS: 20000,
+      socketTimeoutMS: 45000
+    });
+    console.log('✅ Conectado ao MongoDB');
+  } catch (error) {
+    console.error('❌ Erro ao conectar ao MongoDB:', error);
+    process.exit(1);
+  }
+};
+
+const gerarThumbnailsExames = async (opcoes) => {
+  const filtro = { arquivoKey: { $exists: true, $nin: [null, ''] } };
+  if (opcoes.tenant) filtro.tenant_id = opcoes.tenant;
+
+  const resumo = { processados: 0, gerados: 0, ignorados: 0, semSuporte: 0, erros: 0 };
+
+  // Um exame por vez: a renderização do PDF é pesada
+  const cursor = Exame.find(filtro).select('arquivoKey thumbnail tenant_id').sort({ createdAt: 1 }).cursor();
+
+  for await (const exame of cursor) {
+    if (opcoes.limite && resumo.processados >= opcoes.limite) break;
+
+    if (!opcoes.todos && thumbnailAtualizada(exame)) {
+      resumo.ignorados++;
+      continue;
+    }
+
+    resumo.processados++;
+
+    if (opcoes.dryRun) {
+      console.log(`📝 ${exame._id} - ${exame.arquivoKey}`);
+      continue;
+    }
+
+    try {
+      const key = await gerarThumbnailExame(exame);
+      if (key) {
+        resumo.gerados++;
+        console.log(`✅ ${exame._id} - ${key}`);
+      } else {
+        resumo.semSuporte++;
+        console.log(`⚠️  ${exame._id} - tipo de arquivo sem suporte a miniatura`);
+      }
+    } catch (error) {
+      resumo.erros++;
+      console.error(`❌ ${exame._id} - ${error.message}`);
+    }
+  }
+
+  console.log('\n📊 Resumo:');
+  console.log(`   Processados: ${resumo.processados}`);
+  console.log(`   Miniaturas geradas: ${resumo.gerados}`);
+  console.log(`   Já atualizados (ignorados): ${resumo.ignorados}`);
+  console.log(`   Sem suporte: ${resumo.semSuporte}`);
+  console.log(`   Erros: ${resumo.erros}`);
+
+  return resumo;
+};
+
+const executar = async () => {
+  let codigoSaida = 0;
+  try {
+    await connectDB();
+    const resumo = await gerarThumbnailsExames(lerOpcoes(process.argv.slice(2)));
+    if (resumo.erros > 0) codigoSaida = 1;
+  } catch (error) {
+    console.error('❌ Falha no backfill de miniaturas:', error);
+    codigoSaida = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Conexão com MongoDB fechada');
+    process.exit(codigoSaida);
+  }
+};
+
+// Verificar se está sendo executado diretamente
+if (require.main === module) {
+  // Carregar variáveis de ambiente
+  require('dotenv').config();
+
+  console.log('🚀 Iniciando backfill de miniaturas dos exames...');
+  executar();
+}
+
+module.exports = { gerarThumbnailsExames, lerOpcoes };
@@ -72,11 +72,16 @@ async function testS3Connection() {
 async function validateEnvironmentVariables() {
   console.log('=== VALIDAÇÃO DE VARIÁVEIS DE AMBIENTE ===\n');
 
-  const requiredVars = [
+  // Variáveis exigidas pelo driver de armazenamento configurado (STORAGE_DRIVER)
+  const driver = (process.env.STORAGE_DRIVER || 's3').toLowerCase();
+  console.log(`Driver de armazenamento: ${driver}\n`);
+
+  const requiredVars = driver === 'local' ? [] : [
     'AWS_REGION',
     'AWS_ACCESS_KEY_ID', 
     'AWS_SECRET_ACCESS_KEY',
-    'AWS_S3_BUCKET'
+    'AWS_S3_BUCKET',
+    ...(driver === 'minio' ? ['STORAGE_ENDPOINT'] : [])
   ];
 
   let allValid = true;
@@ -0,0 +1,272 @@
+const AlertaCritico = require('../models/AlertaCritico');
+const Laudo = require('../models/Laudo');
+const Exame = require('../models/Exame');
+const Tenant = require('../models/Tenant');
+const Usuario = require('../models/Usuario');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const {
+  buscarAdminsTenant,
+  enviarEmailsNotificacao,
+  emitirParaTenant,
+  emitirParaUsuario
+} = require('./notificacaoService');
+const {
+  obterIntervaloEscalonamento,
+  calcularProximoEscalonamento,
+  montarDestinatarios,
+  montarEmails,
+  descreverNivel
+} = require('../utils/alertaCritico');
+
+/*
+ * Alertas de achado crítico: notificação imediata aos contatos do tenant,
+ * reconhecimento explícito e reescalonamento enquanto não houver reconhecimento.
+ * Cada etapa fica em Laudo.historico e no AuditLog.
+ */
+
+const registrarAuditoria = async (alerta, dados) => {
+  try {
+    await AuditLog.create({
+      // Ações do monitor não são atribuídas a nenhum usuário
+      userId: dados.automatico ? null : dados.usuarioId,
+      automatico: !!dados.automatico,
+      action: dados.action || 'update',
+      description: dados.description,
+      collectionName: 'alertascriticos',
+      documentId: alerta._id,
+      before: dados.before || null,
+      after: dados.after || null,
+      ip: dados.ip || 'sistema',
+      userAgent: dados.userAgent || 'monitor-alertas-criticos',
+      tenant_id: alerta.tenant_id
+    });
+  } catch (auditError) {
+    console.error('Erro ao criar log de auditoria');
+  }
+};
+
+const registrarHistoricoLaudo = async (laudoId, entrada) => {
+  await Laudo.updateOne(
+    { _id: laudoId },
+    { $push: { historico: { ...entrada, acao: 'AlertaCritico', data: new Date() } } }
+  );
+};
+
+const resumoAlerta = (alerta) => ({
+  alertaId: alerta._id,
+  laudoId: alerta.laudo,
+  exameId: alerta.exame,
+  nivel: alerta.nivel,
+  status: alerta.status
+});
+
+// Paciente e tipo de exame para o texto da notificação
+const carregarExameAlerta = (exameId) => Exame.findById(exameId)
+  .select('paciente tipoExame')
+  .populate('paciente', 'nome')
+  .populate('tipoExame', 'nome');
+
+/**
+ * Notifica o nível atual do alerta (e-mail, tempo real) e agenda o próximo reescalonamento.
+ * @returns {Promise<Object>} alerta atualizado
+ */
+const notificarAlerta = async (alerta, agora = new Date()) => {
+  const [tenant, exame] = await Promise.all([
+    Tenant.findById(alerta.tenant_id).select('alertaCritico'),
+    carregarExameAlerta(alerta.exame)
+  ]);
+  const config = tenant?.alertaCritico || {};
+
+  const [contatos, admins] = await Promise.all([
+    config.contatos?.length
+      ? Usuario.find({ _id: { $in: config.contatos }, ativo: true }).select('nome email')
+      : [],
+    buscarAdminsTenant(alerta.tenant_id)
+  ]);
+
+  const destinatarios = montarDestinatarios({ contatos, admins, nivel: alerta.nivel });
+  const emails = montarEmails(destinatarios, config.emailsAdicionais || []);
+
+  const titulo = alerta.nivel > 0
+    ? `ACHADO CRÍTICO NÃO RECONHECIDO (${descreverNivel(alerta.nivel)})`
+    : 'ACHADO CRÍTICO em laudo';
+  const notificacao = {
+    titulo,
+    mensagem: 'Um laudo foi sinalizado com achado crítico. Confirme o recebimento no LaudoFy assim que possível.',
+    linhas: [
+      `Paciente: ${exame?.paciente?.nome || 'não identificado'}`,
+      `Exame: ${exame?.tipoExame?.nome || 'Exame'}`,
+      `Achado: ${alerta.descricao}`,
+      `Médico: ${alerta.medicoNome || '-'}`,
+      `Sinalizado em: ${new Date(alerta.createdAt || agora).toLocaleString('pt-BR')}`
+    ]
+  };
+
+  const falhas = await enviarEmailsNotificacao(emails, notificacao);
+
+  // A descrição do achado vai só aos destinatários; o tenant recebe apenas o resumo (atualização de telas)
+  const evento = { titulo, ...resumoAlerta(alerta), data: agora };
+  emitirParaTenant(alerta.tenant_id, 'alertaCritico', evento);
+  destinatarios.forEach(usuario => emitirParaUsuario(usuario._id, 'alertaCritico', { ...evento, descricao: alerta.descricao }));
+
+  alerta.notificacoes.push({
+    data: agora,
+    nivel: alerta.nivel,
+    usuarios: destinatarios.map(usuario => usuario._id),
+    emails: emails.length,
+    falhas
+  });
+  alerta.proximoEscalonamento = calcularProximoEscalonamento(agora, obterIntervaloEscalonamento(config));
+  await alerta.save();
+
+  if (destinatarios.length === 0 && emails.length === 0) {
+    logger.warn(`Alerta crítico ${alerta._id} sem destinatários no tenant ${alerta.tenant_id}`);
+  }
+
+  return alerta;
+};
+
+/**
+ * Sinaliza o laudo com achado crítico e dispara a notificação inicial.
+ * Se o laudo já tiver alerta, ele é retornado sem nova notificação.
+ * @param {Object} laudo - documento do laudo (exame, tenant_id, versao)
+ * @param {Object} dados - { descricao, usuarioId, usuarioNome, ip, userAgent }
+ * @returns {Promise<{ alerta: Object, novo: boolean }>}
+ */
+const registrarAchadoCritico = async (laudo, { descricao, usuarioId, usuarioNome, ip, userAgent }) => {
+  if (laudo.alertaCritico) {
+    const existente = await AlertaCritico.findById(laudo.alertaCritico);
+    if (existente) return { alerta: existente, novo: false };
+  }
+
+  const exameId = laudo.exame?._id || laudo.exame;
+  const exame = await Exame.findById(exameId).select('paciente');
+
+  const alerta = await AlertaCritico.create({
+    laudo: laudo._id,
+    exame: exameId,
+    paciente: exame?.paciente,
+    descricao,
+    medicoId: usuarioId,
+    medicoNome: usuarioNome,
+    tenant_id: laudo.tenant_id
+  });
+
+  await Laudo.updateOne({ _id: laudo._id }, { $set: { achadoCritico: true, alertaCritico: alerta._id } });
+  laudo.achadoCritico = true;
+  laudo.alertaCritico = alerta._id;
+
+  await registrarHistoricoLaudo(laudo._id, {
+    usuario: usuarioId?.toString(),
+    nomeUsuario: usuarioNome,
+    detalhes: `Achado crítico sinalizado: ${descricao}`,
+    versao: laudo.versao
+  });
+
+  await registrarAuditoria(alerta, {
+    action: 'create',
+    usuarioId,
+    description: `Achado crítico sinalizado no laudo ${laudo._id}`,
+    after: resumoAlerta(alerta),
+    ip,
+    userAgent
+  });
+
+  try {
+    await notificarAlerta(alerta);
+  } catch (err) {
+    // O monitor reenvia no próximo ciclo: o alerta fica pendente com escalonamento imediato
+    logger.error(`Erro ao notificar alerta crítico ${alerta._id}: ${err.message}`);
+    await AlertaCritico.updateOne({ _id: alerta._id }, { $set: { proximoEscalonamento: new Date() } });
+  }
+
+  return { alerta, novo: true };
+};
+
+/**
+ * Registra o reconhecimento do alerta (uma única vez).
+ * @returns {Promise<Object|null>} alerta reconhecido ou null se já estava reconhecido
+ */
+const reconhecerAlerta = async (alertaId, { usuarioId, usuarioNome, observacao, ip, userAgent }) => {
+  const agora = new Date();
+  const alerta = await AlertaCritico.findOneAndUpdate(
+    { _id: alertaId, status: 'pendente' },
+    {
+      $set: {
+        status: 'reconhecido',
+        reconhecidoPor: usuarioId,
+        reconhecidoPorNome: usuarioNome,
+        reconhecidoEm: agora,
+        observacaoReconhecimento: observacao || undefined,
+        proximoEscalonamento: null
+      }
+    },
+    { new: true }
+  );
+  if (!alerta) return null;
+
+  await registrarHistoricoLaudo(alerta.laudo, {
+    usuario: usuarioId?.toString(),
+    nomeUsuario: usuarioNome,
+    detalhes: `Achado crítico reconhecido por ${usuarioNome} em ${agora.toLocaleString('pt-BR')}${observacao ? ` - ${observacao}` : ''}`
+  });
+
+  await registrarAuditoria(alerta, {
+    usuarioId,
+    description: `Alerta de achado crítico do laudo ${alerta.laudo} reconhecido por ${usuarioNome}`,
+    before: { status: 'pendente' },
+    after: { status: 'reconhecido', reconhecidoPor: usuarioId, reconhecidoEm: agora },
+    ip,
+    userAgent
+  });
+
+  const evento = { ...resumoAlerta(alerta), reconhecidoPorNome: usuarioNome, reconhecidoEm: agora };
+  emitirParaTenant(alerta.tenant_id, 'alertaCriticoReconhecido', evento);
+  emitirParaUsuario(alerta.medicoId, 'alertaCriticoReconhecido', evento);
+
+  return alerta;
+};
+
+/**
+ * Reescalona os alertas pendentes cujo prazo de reconhecimento venceu.
+ * @returns {Promise<{ verificados: number, reescalonados: number }>}
+ */
+const escalarAlertasPendentes = async (agora = new Date()) => {
+  const vencidos = await AlertaCritico.find({
+    status: 'pendente',
+    proximoEscalonamento: { $ne: null, $lte: agora }
+  });
+
+  const resumo = { verificados: vencidos.length, reescalonados: 0 };
+
+  for (const alerta of vencidos) {
+    try {
+      // Falha na notificação inicial é reenviada no mesmo nível
+      if (alerta.notificacoes.length > 0) alerta.nivel += 1;
+      await notificarAlerta(alerta, agora);
+
+      await registrarHistoricoLaudo(alerta.laudo, {
+        nomeUsuario: 'Sistema',
+        detalhes: `${descreverNivel(alerta.nivel)}: alerta crítico ainda não reconhecido`
+      });
+      await registrarAuditoria(alerta, {
+        automatico: true,
+        description: `Alerta de achado crítico do laudo ${alerta.laudo} reescalonado (${descreverNivel(alerta.nivel)})`,
+        after: resumoAlerta(alerta)
+      });
+      resumo.reescalonados++;
+    } catch (err) {
+      logger.error(`Erro ao reescalonar alerta crítico ${alerta._id}: ${err.message}`);
+    }
+  }
+
+  return resumo;
+};
+
+module.exports = {
+  notificarAlerta,
+  registrarAchadoCritico,
+  reconhecerAlerta,
+  escalarAlertasPendentes
+};
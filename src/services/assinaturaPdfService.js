@@ -0,0 +1,91 @@
+const forge = require('node-forge');
+const { plainAddPlaceholder } = require('@signpdf/placeholder-plain');
+const CertificadoDigital = require('../models/CertificadoDigital');
+const { tsaConfigurada, carimbarAssinaturaPdf } = require('./carimboTempoService');
+const { ltvHabilitado, incorporarMaterialValidacao } = require('./ltvService');
+
+// Espaço reservado para o CMS quando o carimbo de tempo será incluído (token + cadeia da TSA)
+const TAMANHO_ASSINATURA_COM_CARIMBO = 24576;
+
+/**
+ * Assina um PDF com o certificado A1 (.p12/.pfx) do médico.
+ * A assinatura recebe carimbo de tempo (quando há TSA configurada) e o material
+ * de validação LTV no DSS do documento.
+ * @param {Buffer} pdfBuffer - PDF a ser assinado
+ * @param {Object} certificadoParaAssinatura - retorno de certificadoDigitalService.obterCertificadoParaAssinatura
+ * @param {Object} opcoes - { reason, location, carimboTempo, ltv }
+ * @returns {Promise<Buffer>} PDF assinado
+ */
+const assinarPdfComCertificado = async (pdfBuffer, certificadoParaAssinatura, opcoes = {}) => {
+  const { SignPdf } = await import('@signpdf/signpdf');
+  const { P12Signer } = await import('@signpdf/signer-p12');
+
+  const bufferCertificado = certificadoParaAssinatura.bufferCertificado;
+  const senhaOriginal = certificadoParaAssinatura.senha; // Senha original descriptografada
+
+  // Testar diferentes variações da senha (a que já funcionou antes primeiro, na assinatura em lote)
+  const senhasParaTestar = [
+    certificadoParaAssinatura.senhaValidada,
+    senhaOriginal,
+    senhaOriginal?.trim(),
+    senhaOriginal?.toLowerCase(),
+    senhaOriginal?.toUpperCase(),
+    ''  // senha vazia
+  ].filter(Boolean);
+
+  const incluirCarimbo = opcoes.carimboTempo !== false && tsaConfigurada();
+  let signedPdf = null;
+
+  for (let i = 0; i < senhasParaTestar.length; i++) {
+    try {
+      const senhaTest = senhasParaTestar[i];
+
+      // Validar senha com node-forge primeiro
+      const p12Asn1 = forge.asn1.fromDer(bufferCertificado.toString('binary'));
+      forge.pkcs12.pkcs12FromAsn1(p12Asn1, senhaTest);
+
+      // Se a validação passou, tentar assinar o PDF
+      const pdfWithPlaceholder = plainAddPlaceholder({
+        pdfBuffer,
+        reason: opcoes.reason || 'Assinatura Digital Laudo Médico',
+        name: certificadoParaAssinatura.informacoes.medico,
+        location: opcoes.location || 'Sistema LaudoFy',
+        signatureLength: incluirCarimbo ? TAMANHO_ASSINATURA_COM_CARIMBO : undefined,
+      });
+
+      const signer = new P12Signer(bufferCertificado, { passphrase: senhaTest });
+      const signPdf = new SignPdf();
+
+      signedPdf = await signPdf.sign(pdfWithPlaceholder, signer);
+      certificadoParaAssinatura.senhaValidada = senhaTest;
+      break; // Sair do loop, encontramos a senha correta
+
+    } catch (testError) {
+      // Continuar testando próxima variação
+    }
+  }
+
+  if (!signedPdf) {
+    throw new Error('Nenhuma variação de senha funcionou para assinatura');
+  }
+
+  // Registrar uso do certificado
+  const certificado = await CertificadoDigital.findById(certificadoParaAssinatura.certificadoId);
+  if (certificado) {
+    await certificado.registrarUso(true);
+  }
+
+  if (incluirCarimbo) {
+    ({ pdf: signedPdf } = await carimbarAssinaturaPdf(signedPdf));
+  }
+
+  if (opcoes.ltv !== false && ltvHabilitado()) {
+    signedPdf = await incorporarMaterialValidacao(signedPdf);
+  }
+
+  return signedPdf;
+};
+
+module.exports = {
+  assinarPdfComCertificado
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const Tenant = require('../models/Tenant');
+const logger = require('../utils/logger');
+const { TIPOS_LOGO } = require('../utils/brandingTenant');
+const { obterStorage } = require('./storage');
+
+// Cache dos logos baixados do armazenamento; a chave muda a cada upload, então não precisa invalidar
+const CACHE_LOGO_TTL_MS = 10 * 60 * 1000;
+const CACHE_LOGO_MAX_ITENS = 50;
+const cacheLogos = new Map();
+
+const gerarChaveLogo = (tenantId, contentType) =>
+  `branding/${tenantId}/logo_${Date.now()}_${crypto.randomUUID()}.${TIPOS_LOGO[contentType]}`;
+
+const baixarLogo = async (logoKey) => {
+  const emCache = cacheLogos.get(logoKey);
+  if (emCache && emCache.expiraEm > Date.now()) {
+    return emCache.buffer;
+  }
+
+  const buffer = await obterStorage().baixar(logoKey);
+
+  if (cacheLogos.size >= CACHE_LOGO_MAX_ITENS) {
+    cacheLogos.delete(cacheLogos.keys().next().value);
+  }
+  cacheLogos.set(logoKey, { buffer, expiraEm: Date.now() + CACHE_LOGO_TTL_MS });
+
+  return buffer;
+};
+
+/**
+ * Identidade visual do tenant para a geração do PDF.
+ * Falhas ao buscar o logo não impedem a geração: o PDF sai com o logo padrão.
+ * @returns {Promise<{ nome: string, cnpj: string|null, branding: Object, logo: Buffer|null }|null>}
+ */
+const carregarBrandingTenant = async (tenantId) => {
+  if (!tenantId) return null;
+
+  const tenant = await Tenant.findById(tenantId).select('nomeFantasia cnpj branding').lean();
+  if (!tenant) return null;
+
+  let logo = null;
+  if (tenant.branding?.logoKey) {
+    try {
+      logo = await baixarLogo(tenant.branding.logoKey);
+    } catch (error) {
+      logger.warn(`Logo do tenant ${tenantId} indisponível, usando o logo padrão: ${error.message}`);
+    }
+  }
+
+  return {
+    nome: tenant.nomeFantasia,
+    cnpj: tenant.cnpj || null,
+    branding: tenant.branding || {},
+    logo
+  };
+};
+
+// Envia o novo logo ao armazenamento e remove o anterior
+const salvarLogoTenant = async (tenant, buffer, contentType) => {
+  const logoKey = gerarChaveLogo(tenant._id, contentType);
+
+  await obterStorage().enviar(logoKey, buffer, {
+    contentType,
+    metadata: {
+      'tenant-id': tenant._id.toString(),
+      'type': 'branding-logo',
+      'upload-date': new Date().toISOString()
+    }
+  });
+
+  const chaveAnterior = tenant.branding?.logoKey;
+
+  tenant.branding = tenant.branding || {};
+  tenant.branding.logoKey = logoKey;
+  tenant.branding.logoContentType = contentType;
+  tenant.branding.atualizadoEm = new Date();
+  await tenant.save();
+
+  if (chaveAnterior) {
+    await removerArquivoLogo(chaveAnterior);
+  }
+
+  return logoKey;
+};
+
+const removerArquivoLogo = async (logoKey) => {
+  try {
+    await obterStorage().remover(logoKey);
+  } catch (error) {
+    logger.warn(`Não foi possível remover o logo ${logoKey} do armazenamento: ${error.message}`);
+  }
+  cacheLogos.delete(logoKey);
+};
+
+const removerLogoTenant = async (tenant) => {
+  const logoKey = tenant.branding?.logoKey;
+  if (!logoKey) return false;
+
+  tenant.branding.logoKey = null;
+  tenant.branding.logoContentType = null;
+  tenant.branding.atualizadoEm = new Date();
+  await tenant.save();
+
+  await removerArquivoLogo(logoKey);
+  return true;
+};
+
+// URL temporária do logo para as páginas públicas
+const obterUrlLogo = async (tenant, expiresIn = 3600) => {
+  if (!tenant?.branding?.logoKey) return null;
+  try {
+    return await obterStorage().gerarUrlAssinada(tenant.branding.logoKey, expiresIn);
+  } catch (error) {
+    logger.warn(`Não foi possível gerar a URL do logo do tenant ${tenant._id}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  carregarBrandingTenant,
+  salvarLogoTenant,
+  removerLogoTenant,
+  obterUrlLogo
+};
@@ -0,0 +1,110 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const {
+  criarRequisicaoCarimbo,
+  interpretarRespostaCarimbo,
+  obterValorAssinaturaCms,
+  adicionarCarimboAoCms
+} = require('../utils/carimboTempo');
+const { extrairAssinaturaPdf, substituirAssinaturaPdf } = require('../utils/pdfAssinatura');
+
+/*
+ * Carimbo de tempo (RFC 3161) das assinaturas de laudos. A TSA é configurada
+ * por TSA_URL; sem ela as assinaturas seguem sem carimbo, como antes.
+ */
+
+const TIMEOUT_PADRAO_MS = 15000;
+
+// Falha de carimbo com TSA obrigatória: quem assina não pode seguir com PDF sem assinatura
+const CODIGO_CARIMBO_OBRIGATORIO = 'CARIMBO_TEMPO_OBRIGATORIO';
+
+const ehFalhaCarimboObrigatorio = (err) => err?.codigo === CODIGO_CARIMBO_OBRIGATORIO;
+
+const obterConfiguracaoTsa = () => {
+  const timeoutMs = parseInt(process.env.TSA_TIMEOUT_MS, 10);
+
+  return {
+    url: process.env.TSA_URL || null,
+    usuario: process.env.TSA_USUARIO || null,
+    senha: process.env.TSA_SENHA || null,
+    politica: process.env.TSA_POLITICA || null,
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : TIMEOUT_PADRAO_MS,
+    // Quando obrigatório, a falha da TSA impede a assinatura
+    obrigatorio: process.env.TSA_OBRIGATORIO === 'true'
+  };
+};
+
+const tsaConfigurada = () => !!obterConfiguracaoTsa().url;
+
+/**
+ * Solicita à TSA um carimbo de tempo sobre os dados.
+ * @param {Buffer} dados
+ * @returns {Promise<{ token: Buffer, tstInfo: Object }>}
+ */
+const solicitarCarimboTempo = async (dados) => {
+  const configuracao = obterConfiguracaoTsa();
+  if (!configuracao.url) {
+    throw new Error('TSA não configurada (TSA_URL)');
+  }
+
+  const requisicao = criarRequisicaoCarimbo(dados, { politica: configuracao.politica });
+
+  const resposta = await axios.post(configuracao.url, requisicao.der, {
+    headers: {
+      'Content-Type': 'application/timestamp-query',
+      Accept: 'application/timestamp-reply'
+    },
+    auth: configuracao.usuario
+      ? { username: configuracao.usuario, password: configuracao.senha || '' }
+      : undefined,
+    responseType: 'arraybuffer',
+    timeout: configuracao.timeoutMs
+  });
+
+  const { token, tstInfo } = interpretarRespostaCarimbo(Buffer.from(resposta.data));
+
+  // O carimbo precisa corresponder exatamente à requisição enviada
+  if (tstInfo.imprint !== requisicao.imprint) {
+    throw new Error('Carimbo de tempo emitido para dados diferentes dos enviados');
+  }
+  if (tstInfo.nonce !== requisicao.nonce) {
+    throw new Error('Nonce do carimbo de tempo não confere com a requisição');
+  }
+
+  return { token, tstInfo };
+};
+
+/**
+ * Inclui o carimbo de tempo na última assinatura do PDF.
+ * Sem TSA obrigatória, falhas são registradas e o PDF segue sem carimbo.
+ * @param {Buffer} pdfAssinado
+ * @returns {Promise<{ pdf: Buffer, carimbo: Object|null }>}
+ */
+const carimbarAssinaturaPdf = async (pdfAssinado) => {
+  try {
+    const { cms } = extrairAssinaturaPdf(pdfAssinado);
+    const { token, tstInfo } = await solicitarCarimboTempo(obterValorAssinaturaCms(cms));
+
+    return {
+      pdf: substituirAssinaturaPdf(pdfAssinado, adicionarCarimboAoCms(cms, token)),
+      carimbo: { dataHora: tstInfo.dataHora, serial: tstInfo.serial, politica: tstInfo.politica }
+    };
+  } catch (err) {
+    if (obterConfiguracaoTsa().obrigatorio) {
+      const erro = new Error(`Falha ao obter carimbo de tempo: ${err.message}`);
+      erro.codigo = CODIGO_CARIMBO_OBRIGATORIO;
+      throw erro;
+    }
+    logger.warn(`Assinatura mantida sem carimbo de tempo: ${err.message}`);
+    return { pdf: pdfAssinado, carimbo: null };
+  }
+};
+
+module.exports = {
+  CODIGO_CARIMBO_OBRIGATORIO,
+  ehFalhaCarimboObrigatorio,
+  obterConfiguracaoTsa,
+  tsaConfigurada,
+  solicitarCarimboTempo,
+  carimbarAssinaturaPdf
+};
@@ -4,20 +4,17 @@ const crypto = require('crypto');
 const forge = require('node-forge');
 const CertificadoDigital = require('../models/CertificadoDigital');
 const { encrypt } = require('../utils/crypto');
+const { obterStorage } = require('./storage');
 
 class CertificadoDigitalService {
   constructor() {
-    // Diretório seguro para armazenar certificados
+    // Certificados gravados antes da camada de armazenamento ficaram neste diretório
     this.certificadosDir = path.join(__dirname, '../../storage/certificados');
-    this.ensureDirectoryExists();
   }
 
-  async ensureDirectoryExists() {
-    try {
-      await fs.access(this.certificadosDir);
-    } catch {
-      await fs.mkdir(this.certificadosDir, { recursive: true, mode: 0o700 });
-    }
+  // Chave do certificado no armazenamento (arquivoCertificado guarda "certificados/<arquivo>")
+  chaveCertificado(arquivoCertificado) {
+    return `certificados/${path.basename(arquivoCertificado)}`;
   }
 
   /**
@@ -75,7 +72,7 @@ class CertificadoDigitalService {
   }
 
   /**
-   * Salva o certificado de forma segura no sistema de arquivos
+   * Salva o certificado criptografado no armazenamento configurado
    */
   async salvarCertificadoSeguro(medicoId, bufferCertificado, nomeOriginal) {
     try {
@@ -85,36 +82,43 @@ class CertificadoDigitalService {
       const extensao = path.extname(nomeOriginal) || '.pfx';
       const nomeArquivo = `cert_${medicoId}_${timestamp}_${hash}${extensao}`;
       
-      const caminhoCompleto = path.join(this.certificadosDir, nomeArquivo);
+      const chave = this.chaveCertificado(nomeArquivo);
       
       // Criptografar o conteúdo do arquivo antes de salvar
       const conteudoCriptografado = encrypt(bufferCertificado.toString('base64'));
       
-      await fs.writeFile(caminhoCompleto, conteudoCriptografado, { mode: 0o600 });
+      await obterStorage().enviar(chave, Buffer.from(conteudoCriptografado, 'utf8'), {
+        contentType: 'application/octet-stream',
+        metadata: { 'medico-id': medicoId.toString() }
+      });
       
       return {
-        caminhoArquivo: caminhoCompleto,
         nomeArquivo: nomeArquivo,
-        caminhoRelativo: `certificados/${nomeArquivo}`
+        caminhoRelativo: chave
       };
     } catch (error) {
       console.error('Erro ao salvar certificado');
-      throw new Error('Erro ao salvar certificado no sistema de arquivos');
+      throw new Error('Erro ao salvar certificado no armazenamento');
     }
   }
 
   /**
-   * Carrega um certificado do sistema de arquivos
+   * Carrega um certificado do armazenamento (ou do diretório antigo, se ainda estiver lá)
    */
-  async carregarCertificado(caminhoArquivo) {
+  async carregarCertificado(arquivoCertificado) {
     try {
       const { decrypt } = require('../utils/crypto');
-      const conteudoCriptografado = await fs.readFile(caminhoArquivo, 'utf8');
+      let conteudoCriptografado;
+      try {
+        conteudoCriptografado = (await obterStorage().baixar(this.chaveCertificado(arquivoCertificado))).toString('utf8');
+      } catch (storageError) {
+        conteudoCriptografado = await fs.readFile(path.join(this.certificadosDir, path.basename(arquivoCertificado)), 'utf8');
+      }
       const conteudoDescriptografado = decrypt(conteudoCriptografado);
       return Buffer.from(conteudoDescriptografado, 'base64');
     } catch (error) {
       console.error('Erro ao carregar certificado');
-      throw new Error('Erro ao carregar certificado do sistema de arquivos');
+      throw new Error('Erro ao carregar certificado do armazenamento');
     }
   }
 
@@ -221,9 +225,7 @@ class CertificadoDigitalService {
       }
 
       // Carregar arquivo do certificado
-      const bufferCertificado = await this.carregarCertificado(
-        path.join(this.certificadosDir, path.basename(certificado.arquivoCertificado))
-      );
+      const bufferCertificado = await this.carregarCertificado(certificado.arquivoCertificado);
 
       return {
         certificadoId: certificado._id,
@@ -291,10 +293,10 @@ class CertificadoDigitalService {
       certificado.ativo = false;
       await certificado.save();
 
-      // Remover arquivo físico
+      // Remover arquivo do armazenamento (e a cópia antiga em disco, se houver)
       try {
-        const caminhoArquivo = path.join(this.certificadosDir, path.basename(certificado.arquivoCertificado));
-        await fs.unlink(caminhoArquivo);
+        await obterStorage().remover(this.chaveCertificado(certificado.arquivoCertificado));
+        await fs.rm(path.join(this.certificadosDir, path.basename(certificado.arquivoCertificado)), { force: true });
       } catch (error) {
         console.warn('Erro ao remover arquivo do certificado');
       }
@@ -0,0 +1,97 @@
+const Exame = require('../models/Exame');
+const Laudo = require('../models/Laudo');
+const { compararMedidas } = require('../utils/comparacaoExame');
+
+const LIMITE_PADRAO = 10;
+
+const CAMPOS_MEDIDA = 'segmentoPR frequenciaCardiaca duracaoQRS eixoMedioQRS altura peso';
+
+// Laudo assinado válido de cada exame (o mais recente, se houver mais de uma versão)
+const buscarLaudosAssinados = async (exameIds) => {
+  const laudos = await Laudo.find({ exame: { $in: exameIds }, valido: true, status: 'Laudo assinado' })
+    .select('exame conclusao medicoResponsavel medicoResponsavelId dataAssinatura versao createdAt')
+    .sort({ versao: -1 });
+
+  return laudos.reduce((mapa, laudo) => {
+    const chave = laudo.exame.toString();
+    if (!mapa.has(chave)) mapa.set(chave, laudo);
+    return mapa;
+  }, new Map());
+};
+
+const formatarLaudo = (laudo) => (laudo ? {
+  id: laudo._id,
+  versao: laudo.versao,
+  medico: laudo.medicoResponsavel,
+  medicoId: laudo.medicoResponsavelId,
+  dataAssinatura: laudo.dataAssinatura || laudo.createdAt,
+  conclusao: laudo.conclusao
+} : null);
+
+/**
+ * Exames anteriores do mesmo paciente (mais recentes primeiro), com o laudo
+ * assinado de cada um e a variação das medidas em relação ao exame atual.
+ * @param {Object} exame - exame de referência (paciente, tenant_id, tipoExame, dataExame e medidas)
+ * @param {Object} opcoes - tipoExameId (null = todos os tipos) e limite
+ */
+const listarExamesAnteriores = async (exame, { tipoExameId, limite = LIMITE_PADRAO } = {}) => {
+  const filtro = {
+    _id: { $ne: exame._id },
+    paciente: exame.paciente?._id || exame.paciente,
+    tenant_id: exame.tenant_id?._id || exame.tenant_id,
+    dataExame: { $lte: exame.dataExame }
+  };
+  if (tipoExameId) filtro.tipoExame = tipoExameId;
+
+  // Status é criptografado: cancelados são descartados após a leitura
+  const anteriores = (await Exame.find(filtro)
+    .select(`paciente tipoExame dataExame status ${CAMPOS_MEDIDA} possuiAlteracoes alteracoes`)
+    .populate('tipoExame', 'nome')
+    .sort({ dataExame: -1 })
+    .limit(limite * 2))
+    .filter(anterior => anterior.status !== 'Cancelado')
+    .slice(0, limite);
+
+  const laudos = await buscarLaudosAssinados(anteriores.map(anterior => anterior._id));
+
+  return anteriores.map(anterior => ({
+    id: anterior._id,
+    tipoExame: anterior.tipoExame,
+    dataExame: anterior.dataExame,
+    status: anterior.status,
+    possuiAlteracoes: anterior.possuiAlteracoes,
+    laudo: formatarLaudo(laudos.get(anterior._id.toString())),
+    medidas: compararMedidas(exame, anterior)
+  }));
+};
+
+/**
+ * Exame e laudo anteriores referenciados em laudo.comparacao, para a seção do PDF.
+ * @returns {Promise<Object|null>} { exame, laudo, medidas } ou null quando não há comparação
+ */
+const carregarComparacaoLaudo = async (laudo, exameAtual) => {
+  const comparacao = laudo.comparacao;
+  if (!comparacao?.incluirNoPdf || !comparacao.exameAnterior) return null;
+
+  const exameAnterior = await Exame.findById(comparacao.exameAnterior?._id || comparacao.exameAnterior)
+    .select(`tipoExame dataExame ${CAMPOS_MEDIDA}`)
+    .populate('tipoExame', 'nome');
+  if (!exameAnterior) return null;
+
+  const laudoAnterior = comparacao.laudoAnterior
+    ? await Laudo.findById(comparacao.laudoAnterior?._id || comparacao.laudoAnterior)
+      .select('medicoResponsavel dataAssinatura versao createdAt')
+    : null;
+
+  return {
+    exame: exameAnterior,
+    laudo: formatarLaudo(laudoAnterior),
+    medidas: compararMedidas(exameAtual, exameAnterior)
+  };
+};
+
+module.exports = {
+  listarExamesAnteriores,
+  buscarLaudosAssinados,
+  carregarComparacaoLaudo
+};
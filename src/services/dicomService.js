@@ -0,0 +1,155 @@
+const sharp = require('sharp');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Paciente = require('../models/Paciente');
+const { obterStorage } = require('./storage');
+const logger = require('../utils/logger');
+const { lerDicom, extrairQuadro, compararPacienteDicom } = require('../utils/dicom');
+
+/*
+ * Arquivos DICOM enviados como exame: metadados do cabeçalho, conferência com o
+ * paciente selecionado e prévia PNG (imagem ou traçado das ondas de ECG) no armazenamento.
+ */
+
+const LARGURA_PREVIA = 1024;
+const SEGUNDOS_PREVIA_ONDAS = 10;
+const MAX_DERIVACOES_PREVIA = 12;
+
+const escaparXml = (texto) => String(texto)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Traçado em papel de ECG: 25 mm/s, 10 mm/mV, uma faixa por derivação
+const montarSvgOndas = (ondas) => {
+  const canais = ondas.canais.slice(0, MAX_DERIVACOES_PREVIA);
+  const frequencia = ondas.frequencia || 500;
+  const segundos = Math.min(ondas.amostras / frequencia, SEGUNDOS_PREVIA_ONDAS);
+  const amostras = Math.max(Math.floor(segundos * frequencia), 1);
+
+  const pxPorMm = LARGURA_PREVIA / (segundos * 25);
+  const pxPorMicrovolt = (pxPorMm * 10) / 1000;
+  const alturaFaixa = Math.round(30 * pxPorMm);
+  const altura = alturaFaixa * canais.length;
+  const passo = Math.max(Math.ceil(amostras / (LARGURA_PREVIA * 2)), 1);
+
+  const grade = [];
+  for (let mm = 0; mm * pxPorMm <= LARGURA_PREVIA; mm += 5) {
+    grade.push(`<line x1="${(mm * pxPorMm).toFixed(1)}" y1="0" x2="${(mm * pxPorMm).toFixed(1)}" y2="${altura}"/>`);
+  }
+  for (let mm = 0; mm * pxPorMm <= altura; mm += 5) {
+    grade.push(`<line x1="0" y1="${(mm * pxPorMm).toFixed(1)}" x2="${LARGURA_PREVIA}" y2="${(mm * pxPorMm).toFixed(1)}"/>`);
+  }
+
+  const tracados = canais.map((canal, indice) => {
+    const centro = indice * alturaFaixa + alturaFaixa / 2;
+    const pontos = [];
+    for (let s = 0; s < amostras; s += passo) {
+      const x = (s / frequencia) * 25 * pxPorMm;
+      const y = Math.min(Math.max(centro - canal.microvolts[s] * pxPorMicrovolt, indice * alturaFaixa), (indice + 1) * alturaFaixa);
+      pontos.push(`${x.toFixed(1)},${y.toFixed(1)}`);
+    }
+    return `<text x="6" y="${indice * alturaFaixa + 16}">${escaparXml(canal.rotulo)}</text>`
+      + `<polyline points="${pontos.join(' ')}"/>`;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${LARGURA_PREVIA}" height="${altura}">`
+    + `<rect width="100%" height="100%" fill="#fff"/>`
+    + `<g stroke="#f4c7c7" stroke-width="1">${grade.join('')}</g>`
+    + `<g fill="none" stroke="#111" stroke-width="1.2" font-family="Arial" font-size="13">${tracados.join('')}</g>`
+    + '</svg>';
+};
+
+/**
+ * Gera a prévia PNG do arquivo DICOM já lido (null quando a codificação não é suportada)
+ */
+const gerarPreviaDicom = async (dicom) => {
+  if (dicom.ondas && dicom.ondas.canais.length > 0) {
+    return sharp(Buffer.from(montarSvgOndas(dicom.ondas))).png().toBuffer();
+  }
+
+  const quadro = extrairQuadro(dicom);
+  if (!quadro) return null;
+
+  const imagem = quadro.jpeg
+    ? sharp(quadro.jpeg)
+    : sharp(quadro.dados, { raw: { width: quadro.largura, height: quadro.altura, channels: quadro.canais } });
+
+  return imagem.resize({ width: LARGURA_PREVIA, withoutEnlargement: true }).png().toBuffer();
+};
+
+const salvarPrevia = async (tenantId, png) => {
+  const key = `exames/${tenantId}/previas/${Date.now()}_${crypto.randomUUID()}.png`;
+  await obterStorage().enviar(key, png, { contentType: 'image/png' });
+  return key;
+};
+
+// Metadados no formato do campo Exame.dicom
+const montarMetadadosExame = (dicom, avisos) => ({
+  ...dicom.metadados,
+  transferSyntax: dicom.transferSyntax,
+  ondas: dicom.ondas ? {
+    canais: dicom.ondas.canais.length,
+    amostras: dicom.ondas.amostras,
+    frequencia: dicom.ondas.frequencia,
+    derivacoes: dicom.ondas.canais.map(canal => canal.rotulo)
+  } : undefined,
+  divergencias: avisos.map(aviso => aviso.mensagem)
+});
+
+/**
+ * Lê o cabeçalho para pré-preencher o cadastro do exame (sem gravar nada)
+ */
+const analisarArquivoDicom = (buffer, paciente = null) => {
+  const dicom = lerDicom(buffer);
+  return {
+    metadados: dicom.metadados,
+    ondas: dicom.ondas ? {
+      frequencia: dicom.ondas.frequencia,
+      amostras: dicom.ondas.amostras,
+      derivacoes: dicom.ondas.canais.map(canal => canal.rotulo)
+    } : null,
+    avisos: compararPacienteDicom(dicom.metadados, paciente)
+  };
+};
+
+/**
+ * Paciente selecionado para a conferência com o cabeçalho. Os avisos devolvem
+ * nome, nascimento e CPF do cadastro, então só pacientes do próprio tenant são aceitos.
+ * @returns {Promise<Object|null>} null quando o paciente não existe ou é de outro tenant
+ */
+const buscarPacienteDoTenant = async (pacienteId, filtroTenant = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(pacienteId)) return null;
+  return Paciente.findOne({ _id: pacienteId, ...filtroTenant });
+};
+
+/**
+ * Processa o DICOM enviado no cadastro/atualização do exame: metadados, divergências e prévia.
+ * Erro de leitura do arquivo é propagado (codigo DICOM_INVALIDO); falha na prévia só é registrada.
+ */
+const processarDicomExame = async (buffer, { tenantId, paciente }) => {
+  const dicom = lerDicom(buffer);
+  const avisos = compararPacienteDicom(dicom.metadados, paciente);
+
+  let previaKey = null;
+  try {
+    const png = await gerarPreviaDicom(dicom);
+    if (png) previaKey = await salvarPrevia(tenantId, png);
+  } catch (erro) {
+    logger.error(`Erro ao gerar prévia do DICOM: ${erro.message}`);
+  }
+
+  return {
+    metadados: montarMetadadosExame(dicom, avisos),
+    previaKey,
+    avisos
+  };
+};
+
+module.exports = {
+  gerarPreviaDicom,
+  analisarArquivoDicom,
+  buscarPacienteDoTenant,
+  processarDicomExame
+};
@@ -1,32 +1,56 @@
 require('dotenv').config();
-const sgMail = require('@sendgrid/mail');
-const fs = require('fs');
-const path = require('path');
 const logger = require('../utils/logger');
 const Usuario = require('../models/Usuario');
 const crypto = require('crypto')
 const axios = require('axios')
-
-// Configuração robusta com verificação de ambiente
-const initSendGrid = () => {
-  if (!process.env.SENDGRID_API_KEY) {
-    logger.error('Variável SENDGRID_API_KEY não encontrada');
-    throw new Error('Configuração de e-mail incompleta');
-  }
+const { obterTransporte } = require('./emailTransportService');
+
+// Remetente padrão das mensagens
+const obterRemetente = (nomePadrao) => ({
+  email: process.env.EMAIL_FROM_EMAIL || process.env.SENDGRID_FROM_EMAIL,
+  name: process.env.EMAIL_FROM_NAME || process.env.SENDGRID_FROM_NAME || nomePadrao
+});
+
+// Envia uma mensagem pelo transporte configurado, com timeout
+const enviarEmail = async (msg) => {
+  const transporte = obterTransporte();
+
+  const sendPromise = transporte.enviar({
+    ...msg,
+    from: msg.from || obterRemetente()
+  });
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error('Timeout: Serviço de e-mail não respondeu')), 15000);
+  });
 
   try {
-    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-    logger.info('SendGrid configurado com sucesso');
-  } catch (error) {
-    logger.error('Falha na configuração do SendGrid', error);
-    throw new Error('Falha na inicialização do serviço de e-mail');
+    const resultado = await Promise.race([sendPromise, timeoutPromise]);
+    return { ...resultado, transporte: transporte.nome };
+  } finally {
+    clearTimeout(timeoutId);
   }
 };
 
-// Inicialização imediata
-initSendGrid();
+// Obtém o conteúdo do PDF: aceita o buffer já carregado ou uma URL (S3 assinada, UploadCare legado etc.)
+const obterConteudoPdf = async (arquivo) => {
+  if (Buffer.isBuffer(arquivo)) {
+    return arquivo;
+  }
+
+  if (typeof arquivo !== 'string' || !/^https?:\/\//.test(arquivo)) {
+    throw new Error('Arquivo do laudo inválido');
+  }
+
+  const response = await axios.get(arquivo, {
+    responseType: 'arraybuffer',
+    timeout: 10000 // 10 segundos timeout
+  });
+
+  return Buffer.from(response.data);
+};
 
-const sendMedicalReport = async (recipientEmail, patientName, reportId, fileUrl, publicAccessCode) => {
+const sendMedicalReport = async (recipientEmail, patientName, reportId, arquivo, publicAccessCode, opcoes = {}) => {
   const startTime = Date.now();
 
   try {
@@ -35,31 +59,21 @@ const sendMedicalReport = async (recipientEmail, patientName, reportId, fileUrl,
       throw new Error('Formato de e-mail do destinatário inválido');
     }
 
-    if (!fileUrl || !fileUrl.includes('ucarecdn.com')) {
-      throw new Error('URL do arquivo no UploadCare inválida');
-    }
-
-    // Baixar o arquivo do UploadCare
-    const response = await axios.get(fileUrl, {
-      responseType: 'arraybuffer',
-      timeout: 10000 // 10 segundos timeout
-    });
-
-    const fileContent = response.data;
+    const fileContent = await obterConteudoPdf(arquivo);
 
     // Verificar se é um PDF válido
     if (!fileContent.slice(0, 4).equals(Buffer.from('%PDF'))) {
       throw new Error('O arquivo não é um PDF válido');
     }
 
-    // Construção da mensagem com link público e código de acesso
-    const publicLink = `https://laudo-fy-frontend.vercel.app/publico/${reportId}`;
+    // Construção da mensagem com link público (token de compartilhamento) e código de acesso
+    const { publicLink } = opcoes;
+    if (!publicLink) {
+      throw new Error('Link público do laudo não informado');
+    }
     const msg = {
       to: recipientEmail,
-      from: {
-        email: process.env.SENDGRID_FROM_EMAIL,
-        name: process.env.SENDGRID_FROM_NAME
-      },
+      from: obterRemetente(),
       subject: `Laudo Médico #${reportId.substring(0, 8)}`,
       text: `Prezado(a) ${patientName},\n\nSegue em anexo seu laudo médico.\n\nNúmero do Laudo: ${reportId}\n\nAcesso Público: ${publicLink}\nCódigo de Acesso: ${publicAccessCode}`,
       html: `<div style="font-family: Arial, sans-serif;">
@@ -83,34 +97,24 @@ const sendMedicalReport = async (recipientEmail, patientName, reportId, fileUrl,
               <p><strong>Número do Laudo:</strong> ${reportId}</p>
             </div>`,
       attachments: [{
-        content: Buffer.from(fileContent).toString('base64'),
+        content: fileContent,
         filename: `laudo_${reportId.substring(0, 8)}.pdf`,
-        type: 'application/pdf',
-        disposition: 'attachment'
-      }],
-      mailSettings: {
-        sandboxMode: {
-          enable: process.env.NODE_ENV === 'test'
-        }
-      }
+        contentType: 'application/pdf'
+      }]
     };
 
-    // Envio com tratamento de timeout
-    const sendPromise = sgMail.send(msg);
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Timeout: Serviço de e-mail não respondeu')), 15000)
-    );
-
-    const responseSend = await Promise.race([sendPromise, timeoutPromise]);
+    const responseSend = await enviarEmail(msg);
     
     logger.info(`E-mail enviado em ${Date.now() - startTime}ms`, {
-      messageId: responseSend[0]?.headers?.['x-message-id'],
+      messageId: responseSend.messageId,
+      transporte: responseSend.transporte,
       recipient: recipientEmail
     });
 
     return { 
       success: true,
-      messageId: responseSend[0]?.headers?.['x-message-id']
+      messageId: responseSend.messageId,
+      transporte: responseSend.transporte
     };
 
   } catch (error) {
@@ -157,10 +161,7 @@ const sendPasswordResetEmail = async (email) => {
     // Template de email profissional
     const msg = {
       to: email,
-      from: {
-        email: process.env.SENDGRID_FROM_EMAIL,
-        name: process.env.SENDGRID_FROM_NAME || 'Sistema de Recuperação de Senha'
-      },
+      from: obterRemetente('Sistema de Recuperação de Senha'),
       subject: 'Redefinição de Senha',
       text: `Você solicitou a redefinição de senha. Use este link para redefinir sua senha: ${resetUrl}`,
       html: `
@@ -187,31 +188,20 @@ const sendPasswordResetEmail = async (email) => {
             ${resetUrl}
           </p>
         </div>
-      `,
-      mailSettings: {
-        sandboxMode: {
-          enable: process.env.NODE_ENV === 'test'
-        }
-      }
+      `
     };
 
-    // Envio com timeout
-    const sendPromise = sgMail.send(msg);
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Timeout: Serviço de e-mail não respondeu')), 15000)
-    );
-
-    const response = await Promise.race([sendPromise, timeoutPromise]);
+    const response = await enviarEmail(msg);
     
     logger.info(`E-mail de recuperação enviado em ${Date.now() - startTime}ms`, {
-      messageId: response[0]?.headers?.['x-message-id'],
+      messageId: response.messageId,
       recipient: email,
       userId: usuario._id
     });
 
     return { 
       success: true,
-      messageId: response[0]?.headers?.['x-message-id']
+      messageId: response.messageId
     };
 
   } catch (error) {
@@ -226,4 +216,28 @@ const sendPasswordResetEmail = async (email) => {
   }
 };
 
-module.exports = { sendMedicalReport, sendPasswordResetEmail };
\ No newline at end of file
+// Código de uso único do portal do paciente
+const sendCodigoPortalPaciente = async (email, nomePaciente, codigo, validadeMinutos) => {
+  const msg = {
+    to: email,
+    from: obterRemetente('Portal do Paciente'),
+    subject: 'Seu código de acesso ao portal de resultados',
+    text: `Olá, ${nomePaciente}.\n\nSeu código de acesso é ${codigo}. Ele expira em ${validadeMinutos} minutos.\n\nSe você não solicitou o acesso, ignore este e-mail.`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c3e50;">Portal de Resultados</h2>
+        <p>Olá, ${nomePaciente}.</p>
+        <p>Use o código abaixo para acessar seus laudos:</p>
+        <p style="font-size: 28px; font-weight: bold; letter-spacing: 6px; text-align: center;">${codigo}</p>
+        <p>Este código expira em ${validadeMinutos} minutos e só pode ser usado uma vez.</p>
+        <p style="font-size: 12px; color: #7f8c8d;">Se você não solicitou o acesso, ignore este e-mail.</p>
+      </div>
+    `
+  };
+
+  const response = await enviarEmail(msg);
+  logger.info('E-mail com código do portal do paciente enviado', { messageId: response.messageId });
+  return response;
+};
+
+module.exports = { enviarEmail, sendMedicalReport, sendPasswordResetEmail, sendCodigoPortalPaciente };
\ No newline at end of file
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+/*
+ * Transportes de e-mail plugáveis.
+ * O transporte é escolhido pela variável EMAIL_TRANSPORT:
+ *  - sendgrid: API do SendGrid (SENDGRID_API_KEY)
+ *  - smtp: servidor SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ *  - arquivo: grava as mensagens .eml em EMAIL_ARQUIVO_DIR (desenvolvimento/homologação)
+ *  - console: apenas registra a mensagem no log (padrão fora de produção quando nada está configurado)
+ *
+ * Em produção, sem EMAIL_TRANSPORT nem SENDGRID_API_KEY, o envio falha: o console
+ * marcaria laudos como enviados sem que nada saísse.
+ *
+ * Todas as mensagens seguem o mesmo formato:
+ * { to, from: { email, name }, subject, text, html, attachments: [{ filename, content: Buffer, contentType }] }
+ */
+
+const formatarRemetente = (from) => {
+  if (!from) return undefined;
+  if (typeof from === 'string') return from;
+  return from.name ? `"${from.name}" <${from.email}>` : from.email;
+};
+
+// Converte a mensagem para o formato do nodemailer (SMTP, arquivo e console)
+const paraNodemailer = (msg) => ({
+  to: msg.to,
+  from: formatarRemetente(msg.from),
+  subject: msg.subject,
+  text: msg.text,
+  html: msg.html,
+  attachments: (msg.attachments || []).map(anexo => ({
+    filename: anexo.filename,
+    content: anexo.content,
+    contentType: anexo.contentType
+  }))
+});
+
+const criarTransporteSendGrid = () => {
+  if (!process.env.SENDGRID_API_KEY) {
+    logger.error('Variável SENDGRID_API_KEY não encontrada');
+    throw new Error('Configuração de e-mail incompleta');
+  }
+
+  const sgMail = require('@sendgrid/mail');
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+  logger.info('SendGrid configurado com sucesso');
+
+  return {
+    nome: 'sendgrid',
+    enviar: async (msg) => {
+      const response = await sgMail.send({
+        to: msg.to,
+        from: msg.from,
+        subject: msg.subject,
+        text: msg.text,
+        html: msg.html,
+        attachments: (msg.attachments || []).map(anexo => ({
+          content: Buffer.from(anexo.content).toString('base64'),
+          filename: anexo.filename,
+          type: anexo.contentType,
+          disposition: 'attachment'
+        })),
+        mailSettings: {
+          sandboxMode: {
+            enable: process.env.NODE_ENV === 'test'
+          }
+        }
+      });
+
+      return { messageId: response[0]?.headers?.['x-message-id'] };
+    }
+  };
+};
+
+const criarTransporteSmtp = () => {
+  if (!process.env.SMTP_HOST) {
+    logger.error('Variável SMTP_HOST não encontrada');
+    throw new Error('Configuração de e-mail incompleta');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    nome: 'smtp',
+    enviar: async (msg) => {
+      const info = await transporter.sendMail(paraNodemailer(msg));
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const criarTransporteArquivo = () => {
+  const diretorio = path.resolve(process.env.EMAIL_ARQUIVO_DIR || 'emails');
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    nome: 'arquivo',
+    enviar: async (msg) => {
+      const info = await transporter.sendMail(paraNodemailer(msg));
+      await fs.promises.mkdir(diretorio, { recursive: true });
+
+      const arquivo = path.join(diretorio, `${Date.now()}_${info.messageId.replace(/[<>@]/g, '')}.eml`);
+      await fs.promises.writeFile(arquivo, info.message);
+
+      logger.info(`E-mail gravado em arquivo: ${arquivo}`);
+      return { messageId: info.messageId, arquivo };
+    }
+  };
+};
+
+const criarTransporteConsole = () => {
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    nome: 'console',
+    enviar: async (msg) => {
+      const info = await transporter.sendMail(paraNodemailer(msg));
+      logger.info(`[E-mail não enviado - transporte console] Para: ${msg.to} | Assunto: ${msg.subject} | Anexos: ${(msg.attachments || []).length}`);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const TRANSPORTES = {
+  sendgrid: criarTransporteSendGrid,
+  smtp: criarTransporteSmtp,
+  arquivo: criarTransporteArquivo,
+  console: criarTransporteConsole
+};
+
+let transporteAtual = null;
+
+// Retorna o transporte configurado (criado sob demanda)
+const obterTransporte = () => {
+  if (!transporteAtual) {
+    const padrao = process.env.SENDGRID_API_KEY ? 'sendgrid' : (process.env.NODE_ENV === 'production' ? null : 'console');
+    const nome = (process.env.EMAIL_TRANSPORT || padrao || '').toLowerCase();
+    if (!nome) {
+      throw new Error('Configuração de e-mail incompleta: defina EMAIL_TRANSPORT');
+    }
+
+    const criarTransporte = TRANSPORTES[nome];
+
+    if (!criarTransporte) {
+      throw new Error(`Transporte de e-mail desconhecido: ${nome}`);
+    }
+
+    transporteAtual = criarTransporte();
+  }
+
+  return transporteAtual;
+};
+
+// Permite substituir o transporte (ex.: testes ou transportes personalizados)
+const definirTransporte = (transporte) => {
+  transporteAtual = transporte;
+};
+
+module.exports = {
+  obterTransporte,
+  definirTransporte,
+  TRANSPORTES
+};
@@ -0,0 +1,80 @@
+const FaixaReferencia = require('../models/FaixaReferencia');
+const Paciente = require('../models/Paciente');
+const {
+  MEDIDAS_REFERENCIA,
+  calcularIdadeAnos,
+  selecionarFaixa,
+  avaliarMedidas
+} = require('../utils/faixaReferencia');
+
+// Faixas ativas do tipo de exame: do tenant e globais
+const obterFaixasTipoExame = async (tipoExameId, tenantId) => FaixaReferencia.find({
+  tipoExameId,
+  ativo: true,
+  tenant_id: tenantId ? { $in: [tenantId, null] } : null
+}).lean();
+
+// Idade e sexo usados na escolha da faixa
+const obterContextoPaciente = async (exame, paciente) => {
+  const dadosPaciente = paciente?.dataNascimento !== undefined
+    ? paciente
+    : await Paciente.findById(paciente?._id || paciente).select('dataNascimento sexo');
+
+  const sexoDicom = ['M', 'F'].includes(exame.dicom?.pacienteSexo) ? exame.dicom.pacienteSexo : null;
+  return {
+    idade: calcularIdadeAnos(dadosPaciente?.dataNascimento, exame.dataExame || new Date()),
+    sexo: dadosPaciente?.sexo || sexoDicom
+  };
+};
+
+/**
+ * Avalia as medidas do exame contra as faixas do tipo de exame.
+ * Sexo vem do cadastro do paciente ou, na falta dele, do cabeçalho DICOM.
+ * @param {Object} exame - medidas, tipoExame, tenant_id, dataExame e dicom
+ * @param {Object} paciente - documento ou id do paciente
+ * @returns {Promise<{ alteracoes: Array, possuiAlteracoes: boolean }>}
+ */
+const avaliarAlteracoesExame = async (exame, paciente) => {
+  const tipoExameId = exame.tipoExame?._id || exame.tipoExame;
+  const faixas = await obterFaixasTipoExame(tipoExameId, exame.tenant_id);
+  if (faixas.length === 0) {
+    return { alteracoes: [], possuiAlteracoes: false };
+  }
+
+  const alteracoes = avaliarMedidas(exame, faixas, await obterContextoPaciente(exame, paciente));
+  return { alteracoes, possuiAlteracoes: alteracoes.length > 0 };
+};
+
+/**
+ * Faixa aplicada a cada medida do exame, para exibição junto aos valores.
+ * @returns {Promise<Array>} [{ campo, descricao, minimo, maximo, unidade, situacao }]
+ */
+const obterReferenciasExame = async (exame) => {
+  const faixas = await obterFaixasTipoExame(exame.tipoExame?._id || exame.tipoExame, exame.tenant_id?._id || exame.tenant_id);
+  if (faixas.length === 0) return [];
+
+  const contexto = await obterContextoPaciente(exame, exame.paciente);
+  const alteracoes = avaliarMedidas(exame, faixas, contexto);
+
+  return MEDIDAS_REFERENCIA.reduce((referencias, medida) => {
+    const faixa = selecionarFaixa(faixas, medida.campo, contexto);
+    if (!faixa) return referencias;
+
+    const alteracao = alteracoes.find(item => item.campo === medida.campo);
+    referencias.push({
+      campo: medida.campo,
+      descricao: medida.descricao,
+      minimo: faixa.minimo ?? null,
+      maximo: faixa.maximo ?? null,
+      unidade: faixa.unidade || medida.unidade,
+      situacao: alteracao ? alteracao.situacao : null
+    });
+    return referencias;
+  }, []);
+};
+
+module.exports = {
+  obterFaixasTipoExame,
+  avaliarAlteracoesExame,
+  obterReferenciasExame
+};
@@ -0,0 +1,274 @@
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const Laudo = require('../models/Laudo');
+const Tenant = require('../models/Tenant');
+const Usuario = require('../models/Usuario');
+const DestinoHl7 = require('../models/DestinoHl7');
+const MensagemHl7 = require('../models/MensagemHl7');
+const logger = require('../utils/logger');
+const { montarOruR01, enquadrarMllp, extrairMensagensMllp, lerAck } = require('../utils/hl7');
+
+/*
+ * Exportação HL7 v2 (ORU^R01) dos laudos assinados para os sistemas hospitalares (HIS).
+ * Cada destino ativo do tenant recebe uma mensagem, registrada em MensagemHl7 com o ACK.
+ */
+
+/*
+ * Os destinos são cadastrados pelo admin do tenant, mas a entrega sai deste servidor:
+ * file-drop só dentro de HL7_DIRETORIO_BASE e MLLP só para os host:porta liberados em
+ * HL7_MLLP_DESTINOS_PERMITIDOS (ex.: "his.hospital.local:2575,10.0.0.5:*").
+ * Sem a variável, o tipo de destino correspondente fica indisponível.
+ */
+
+const dentroDaBase = (caminho, base) =>
+  caminho === base || caminho.startsWith(base.endsWith(path.sep) ? base : `${base}${path.sep}`);
+
+const obterDiretorioBase = () => (process.env.HL7_DIRETORIO_BASE
+  ? path.resolve(process.env.HL7_DIRETORIO_BASE)
+  : null);
+
+/**
+ * Caminho absoluto do diretório de entrega, se estiver dentro de HL7_DIRETORIO_BASE.
+ * Diretórios relativos são resolvidos a partir da base.
+ * @returns {string|null}
+ */
+const resolverDiretorioEntrega = (diretorio) => {
+  const base = obterDiretorioBase();
+  if (!base || !diretorio) return null;
+
+  const resolvido = path.resolve(base, String(diretorio));
+  return dentroDaBase(resolvido, base) ? resolvido : null;
+};
+
+const lerDestinosMllpPermitidos = () => String(process.env.HL7_MLLP_DESTINOS_PERMITIDOS || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean)
+  .map(item => {
+    const separador = item.lastIndexOf(':');
+    return separador > 0
+      ? { host: item.slice(0, separador), porta: item.slice(separador + 1) }
+      : { host: item, porta: null };
+  });
+
+// Host e porta liberados em HL7_MLLP_DESTINOS_PERMITIDOS ("*" libera qualquer porta do host)
+const destinoMllpPermitido = (host, porta) => {
+  if (!host || !porta) return false;
+  const hostNormalizado = String(host).trim().toLowerCase();
+
+  return lerDestinosMllpPermitidos().some(permitido =>
+    permitido.host === hostNormalizado && (permitido.porta === '*' || Number(permitido.porta) === Number(porta))
+  );
+};
+
+// Envia a mensagem por MLLP e aguarda o ACK (quando configurado)
+const enviarMllp = (destino, conteudo) => new Promise((resolve, reject) => {
+  if (!destinoMllpPermitido(destino.host, destino.porta)) {
+    reject(new Error(`Destino MLLP não permitido: ${destino.host}:${destino.porta}`));
+    return;
+  }
+
+  let recebido = '';
+  let finalizado = false;
+
+  const socket = net.createConnection({ host: destino.host, port: destino.porta });
+  socket.setEncoding('utf8');
+  socket.setTimeout(destino.timeoutMs || 10000);
+
+  const finalizar = (erro, resultado) => {
+    if (finalizado) return;
+    finalizado = true;
+    socket.destroy();
+    if (erro) reject(erro);
+    else resolve(resultado);
+  };
+
+  socket.on('connect', () => {
+    socket.write(enquadrarMllp(conteudo), 'utf8', () => {
+      if (destino.aguardarAck === false) {
+        finalizar(null, { ack: null });
+      }
+    });
+  });
+
+  socket.on('data', (dados) => {
+    recebido += dados;
+    const { mensagens } = extrairMensagensMllp(recebido);
+    if (mensagens.length > 0) {
+      finalizar(null, { ack: lerAck(mensagens[0]), bruto: mensagens[0] });
+    }
+  });
+
+  socket.on('timeout', () => finalizar(new Error(`Tempo esgotado aguardando ACK de ${destino.host}:${destino.porta}`)));
+  socket.on('error', (erro) => finalizar(erro));
+  socket.on('close', () => finalizar(new Error('Conexão encerrada pelo destino antes do ACK')));
+});
+
+// Grava a mensagem no diretório de entrega (arquivo temporário + rename, para o coletor não ler pela metade)
+const gravarArquivo = async (destino, controlId, conteudo) => {
+  const diretorio = resolverDiretorioEntrega(destino.diretorio);
+  if (!diretorio) {
+    throw new Error('Diretório de entrega fora de HL7_DIRETORIO_BASE');
+  }
+
+  await fs.promises.mkdir(diretorio, { recursive: true });
+
+  // Links simbólicos não podem levar a entrega para fora da base
+  const [diretorioReal, baseReal] = await Promise.all([
+    fs.promises.realpath(diretorio),
+    fs.promises.realpath(obterDiretorioBase())
+  ]);
+  if (!dentroDaBase(diretorioReal, baseReal)) {
+    throw new Error('Diretório de entrega fora de HL7_DIRETORIO_BASE');
+  }
+
+  const arquivoFinal = path.join(diretorioReal, `${controlId}.hl7`);
+  const arquivoTemporario = `${arquivoFinal}.tmp`;
+
+  await fs.promises.writeFile(arquivoTemporario, conteudo, 'utf8');
+  await fs.promises.rename(arquivoTemporario, arquivoFinal);
+
+  return arquivoFinal;
+};
+
+/**
+ * Entrega (ou reentrega) uma mensagem registrada e atualiza o log com o resultado.
+ */
+const entregarMensagem = async (mensagem, destino = null) => {
+  const destinoEnvio = destino || await DestinoHl7.findById(mensagem.destinoId);
+  if (!destinoEnvio) {
+    throw new Error('Destino HL7 não encontrado');
+  }
+
+  mensagem.tentativas += 1;
+  mensagem.ultimaTentativaEm = new Date();
+
+  try {
+    if (destinoEnvio.tipo === 'arquivo') {
+      await gravarArquivo(destinoEnvio, mensagem.controlId, mensagem.conteudo);
+      mensagem.status = 'enviada';
+    } else {
+      const { ack } = await enviarMllp(destinoEnvio, mensagem.conteudo);
+      if (!ack) {
+        mensagem.status = destinoEnvio.aguardarAck === false ? 'enviada' : 'erro';
+        if (mensagem.status === 'erro') {
+          mensagem.ultimoErro = 'Resposta do destino sem segmento MSA';
+        }
+      } else {
+        mensagem.ack = { codigo: ack.codigo, texto: ack.texto, recebidoEm: new Date() };
+        mensagem.status = ack.aceito ? 'confirmada' : 'rejeitada';
+        if (ack.controlId && ack.controlId !== mensagem.controlId) {
+          logger.warn(`ACK HL7 com controlId divergente: esperado ${mensagem.controlId}, recebido ${ack.controlId}`);
+        }
+      }
+    }
+
+    if (mensagem.status !== 'erro') {
+      mensagem.enviadaEm = new Date();
+      mensagem.ultimoErro = mensagem.status === 'rejeitada' ? (mensagem.ack?.texto || 'Mensagem rejeitada pelo destino') : null;
+    }
+  } catch (erro) {
+    mensagem.status = 'erro';
+    mensagem.ultimoErro = erro.message;
+    logger.error(`Erro ao enviar mensagem HL7 ${mensagem.controlId} para ${destinoEnvio.nome}:`, erro.message);
+  }
+
+  await mensagem.save();
+  return mensagem;
+};
+
+// Dados do laudo necessários para a mensagem (os getters dos modelos descriptografam)
+const carregarDadosLaudo = async (laudoId) => {
+  const laudo = await Laudo.findById(laudoId).populate({
+    path: 'exame',
+    populate: [
+      { path: 'paciente' },
+      { path: 'tipoExame', select: 'nome' }
+    ]
+  });
+
+  if (!laudo || laudo.status !== 'Laudo assinado') return null;
+
+  const [tenant, medico] = await Promise.all([
+    Tenant.findById(laudo.tenant_id).select('nomeFantasia'),
+    laudo.medicoResponsavelId ? Usuario.findById(laudo.medicoResponsavelId).select('nome crm') : null
+  ]);
+
+  return { laudo, tenant, medico };
+};
+
+/**
+ * Gera e envia a ORU^R01 do laudo assinado para os destinos ativos do tenant.
+ * @returns {Promise<Object[]>} mensagens registradas
+ */
+const exportarLaudo = async (laudoId, { destinoIds = null, origem = 'automatica', usuarioId = null } = {}) => {
+  const dados = await carregarDadosLaudo(laudoId);
+  if (!dados) return [];
+
+  const { laudo, tenant, medico } = dados;
+
+  const filtro = { tenant_id: laudo.tenant_id, ativo: true };
+  if (destinoIds) filtro._id = { $in: destinoIds };
+
+  const destinos = await DestinoHl7.find(filtro);
+  if (destinos.length === 0) return [];
+
+  let pdf = null;
+  if (destinos.some(destino => destino.incluirPdf)) {
+    try {
+      // Carregado aqui para evitar dependência circular com o controller
+      const { obterPdfAssinadoComAdendos } = require('../controllers/laudoController');
+      pdf = await obterPdfAssinadoComAdendos(laudo);
+    } catch (erro) {
+      logger.warn(`PDF do laudo ${laudo._id} indisponível para a mensagem HL7: ${erro.message}`);
+    }
+  }
+
+  const mensagens = [];
+
+  for (const destino of destinos) {
+    const { mensagem, controlId } = montarOruR01({
+      laudo,
+      exame: laudo.exame,
+      paciente: laudo.exame?.paciente,
+      tipoExame: laudo.exame?.tipoExame,
+      medico,
+      remetente: tenant?.nomeFantasia,
+      destino,
+      pdf: destino.incluirPdf ? pdf : null
+    });
+
+    const registro = await MensagemHl7.create({
+      tenant_id: laudo.tenant_id,
+      destinoId: destino._id,
+      laudoId: laudo._id,
+      exameId: laudo.exame?._id,
+      controlId,
+      conteudo: mensagem,
+      origem,
+      criadoPor: usuarioId
+    });
+
+    mensagens.push(await entregarMensagem(registro, destino));
+  }
+
+  return mensagens;
+};
+
+// Disparo após a assinatura: não bloqueia nem falha a resposta ao médico
+const agendarExportacaoLaudo = (laudoId) => {
+  setImmediate(() => {
+    exportarLaudo(laudoId).catch(erro => {
+      logger.error(`Erro na exportação HL7 do laudo ${laudoId}:`, erro);
+    });
+  });
+};
+
+module.exports = {
+  exportarLaudo,
+  agendarExportacaoLaudo,
+  entregarMensagem,
+  resolverDiretorioEntrega,
+  destinoMllpPermitido
+};
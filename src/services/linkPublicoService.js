@@ -0,0 +1,164 @@
+const jwt = require('jsonwebtoken');
+const LinkPublicoLaudo = require('../models/LinkPublicoLaudo');
+const {
+  obterConfiguracaoLinkPublico,
+  gerarTokenLink,
+  hashTokenLink,
+  tokenLinkValido,
+  situacaoLink,
+  registrarFalhaAcesso
+} = require('../utils/linkPublico');
+
+// Links com menos que isso de validade não são reaproveitados em novos PDFs/e-mails
+const VALIDADE_MINIMA_REUSO_DIAS = 7;
+const SESSAO_PADRAO_MINUTOS = 30;
+const AUDIENCIA_TOKEN_ACESSO = 'laudo-publico';
+
+const montarUrlPublica = (token) => `${process.env.FRONTEND_URL || 'http://localhost:5173'}/publico/${token}`;
+
+/**
+ * Cria um novo link público para o laudo.
+ * @returns {Promise<{ link: Object, token: string, url: string }>}
+ */
+const criarLinkPublico = async (laudo, opcoes = {}) => {
+  const configuracao = obterConfiguracaoLinkPublico();
+  const validadeDias = opcoes.validadeDias || configuracao.validadeDias;
+  const token = gerarTokenLink();
+
+  const link = await LinkPublicoLaudo.create({
+    laudo: laudo._id,
+    // tenant_id pode vir populado (obterLaudoPorId)
+    tenant_id: laudo.tenant_id?._id || laudo.tenant_id,
+    tokenHash: hashTokenLink(token),
+    token,
+    origem: opcoes.origem || 'manual',
+    expiraEm: new Date(Date.now() + validadeDias * 24 * 60 * 60 * 1000),
+    criadoPorId: opcoes.usuarioId
+  });
+
+  return { link, token, url: montarUrlPublica(token) };
+};
+
+/**
+ * URL do link ativo do laudo (usada no QR code do PDF e nos e-mails);
+ * cria um novo link quando não há ativo ou ele está perto de expirar.
+ */
+const obterUrlPublicaLaudo = async (laudo, opcoes = {}) => {
+  const limite = new Date(Date.now() + VALIDADE_MINIMA_REUSO_DIAS * 24 * 60 * 60 * 1000);
+  const ativo = await LinkPublicoLaudo.findOne({
+    laudo: laudo._id,
+    revogadoEm: null,
+    expiraEm: { $gt: limite }
+  }).sort({ expiraEm: -1 });
+
+  if (ativo && (!ativo.bloqueadoAte || ativo.bloqueadoAte <= new Date())) {
+    return montarUrlPublica(ativo.token);
+  }
+
+  const { url } = await criarLinkPublico(laudo, { origem: opcoes.origem || 'pdf', usuarioId: opcoes.usuarioId });
+  return url;
+};
+
+/**
+ * Revoga os links ativos do laudo.
+ * @returns {Promise<number>} quantidade de links revogados
+ */
+const revogarLinksLaudo = async (laudoId, opcoes = {}) => {
+  const filtro = { laudo: laudoId, revogadoEm: null };
+  if (opcoes.linkId) filtro._id = opcoes.linkId;
+
+  const resultado = await LinkPublicoLaudo.updateMany(filtro, {
+    $set: {
+      revogadoEm: new Date(),
+      revogadoPor: opcoes.usuarioId,
+      motivoRevogacao: opcoes.motivo || 'Revogado pelo usuário'
+    }
+  });
+
+  return resultado.modifiedCount;
+};
+
+const buscarLinkPorToken = async (token) => {
+  if (!tokenLinkValido(token)) return null;
+  return LinkPublicoLaudo.findOne({ tokenHash: hashTokenLink(token) });
+};
+
+/**
+ * Registra uma tentativa de código incorreta (bloqueio e revogação por excesso).
+ * @returns {Promise<{ bloqueadoAte: Date|null, revogado: boolean, tentativasRestantes: number }>}
+ */
+const registrarTentativaInvalida = async (link) => {
+  const estado = registrarFalhaAcesso(link);
+
+  const atualizacao = {
+    tentativasFalhas: estado.tentativasFalhas,
+    bloqueios: estado.bloqueios,
+    bloqueadoAte: estado.bloqueadoAte
+  };
+  if (estado.revogar) {
+    atualizacao.revogadoEm = new Date();
+    atualizacao.motivoRevogacao = 'Excesso de tentativas de código de acesso';
+  }
+
+  // Condicionado ao contador lido, para que tentativas simultâneas não se percam
+  const atualizado = await LinkPublicoLaudo.findOneAndUpdate(
+    { _id: link._id, tentativasFalhas: link.tentativasFalhas || 0 },
+    { $set: atualizacao },
+    { new: true }
+  );
+
+  if (!atualizado) {
+    const atual = await LinkPublicoLaudo.findById(link._id);
+    return atual ? registrarTentativaInvalida(atual) : { bloqueadoAte: null, revogado: true, tentativasRestantes: 0 };
+  }
+
+  return {
+    bloqueadoAte: estado.bloqueadoAte,
+    revogado: estado.revogar,
+    tentativasRestantes: estado.tentativasRestantes
+  };
+};
+
+const registrarAcessoValido = (link) => LinkPublicoLaudo.updateOne(
+  { _id: link._id },
+  { $set: { tentativasFalhas: 0, ultimoAcessoEm: new Date() }, $inc: { acessos: 1 } }
+);
+
+const obterDuracaoSessaoMinutos = () => {
+  const minutos = parseInt(process.env.LINK_PUBLICO_SESSAO_MINUTOS, 10);
+  return Number.isFinite(minutos) && minutos > 0 ? minutos : SESSAO_PADRAO_MINUTOS;
+};
+
+// Token de acesso assinado, emitido após o código de acesso ser confirmado
+const emitirTokenAcesso = (link) => {
+  const minutos = obterDuracaoSessaoMinutos();
+  const token = jwt.sign(
+    { link: link._id.toString(), laudo: link.laudo.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: `${minutos}m`, audience: AUDIENCIA_TOKEN_ACESSO }
+  );
+  return { token, expiraEm: new Date(Date.now() + minutos * 60 * 1000) };
+};
+
+// Payload do token de acesso, se válido para o link informado
+const validarTokenAcesso = (tokenAcesso, link) => {
+  try {
+    const payload = jwt.verify(tokenAcesso, process.env.JWT_SECRET, { audience: AUDIENCIA_TOKEN_ACESSO });
+    return payload.link === link._id.toString() ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  montarUrlPublica,
+  criarLinkPublico,
+  obterUrlPublicaLaudo,
+  revogarLinksLaudo,
+  buscarLinkPorToken,
+  situacaoLink,
+  registrarTentativaInvalida,
+  registrarAcessoValido,
+  emitirTokenAcesso,
+  validarTokenAcesso
+};
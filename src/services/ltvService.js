@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { extrairCertificadosCms, obterCarimboDoCms } = require('../utils/carimboTempo');
+const { extrairAssinaturaPdf } = require('../utils/pdfAssinatura');
+const { adicionarDssIncremental } = require('../utils/pdfIncremental');
+const {
+  obterUrlsCrl,
+  obterUrlsAcesso,
+  emitidoPor,
+  autoAssinado,
+  montarRequisicaoOcsp,
+  respostaOcspBemSucedida,
+  paraDer
+} = require('../utils/certificadoX509');
+
+/*
+ * Material de validação de longo prazo (PAdES-LTV): cadeia de certificados da
+ * assinatura e do carimbo de tempo, respostas OCSP e CRLs, gravados no DSS do PDF.
+ * A coleta é feita em melhor esforço: indisponibilidade de AC não impede a assinatura.
+ * Como consulta as ACs durante a requisição de assinatura, só é feita com ASSINATURA_LTV=true.
+ */
+
+const TIMEOUT_MS = 10000;
+const LIMITE_CADEIA = 10;
+const VALIDADE_CACHE_MS = 30 * 60 * 1000;
+const VALIDADE_CACHE_FALHA_MS = 5 * 60 * 1000;
+
+// Respostas reaproveitadas entre assinaturas (ex.: assinatura em lote)
+const cache = new Map();
+
+const ltvHabilitado = () => process.env.ASSINATURA_LTV === 'true';
+
+const comCache = async (chave, obter) => {
+  const item = cache.get(chave);
+  if (item && item.expiraEm > Date.now()) {
+    if (item.erro) throw item.erro;
+    return item.valor;
+  }
+
+  try {
+    const valor = await obter();
+    cache.set(chave, { valor, expiraEm: Date.now() + VALIDADE_CACHE_MS });
+    return valor;
+  } catch (erro) {
+    // Endereço indisponível não é consultado de novo a cada laudo do lote
+    cache.set(chave, { erro, expiraEm: Date.now() + VALIDADE_CACHE_FALHA_MS });
+    throw erro;
+  }
+};
+
+const baixar = (url) => comCache(`get:${url}`, async () => {
+  const resposta = await axios.get(url, { responseType: 'arraybuffer', timeout: TIMEOUT_MS });
+  return paraDer(Buffer.from(resposta.data));
+});
+
+const consultarOcsp = (url, certificado, emissor) => {
+  const hash = crypto.createHash('sha256').update(certificado).digest('hex');
+  return comCache(`ocsp:${url}:${hash}`, async () => {
+    const resposta = await axios.post(url, montarRequisicaoOcsp(certificado, emissor), {
+      headers: { 'Content-Type': 'application/ocsp-request', Accept: 'application/ocsp-response' },
+      responseType: 'arraybuffer',
+      timeout: TIMEOUT_MS
+    });
+    const dados = Buffer.from(resposta.data);
+    if (!respostaOcspBemSucedida(dados)) {
+      throw new Error('Resposta OCSP sem sucesso');
+    }
+    return dados;
+  });
+};
+
+// Tenta cada endereço até obter um resultado
+const primeiroDisponivel = async (urls, obter) => {
+  for (const url of urls) {
+    try {
+      return await obter(url);
+    } catch (err) {
+      logger.warn(`LTV: falha ao consultar ${url}: ${err.message}`);
+    }
+  }
+  return null;
+};
+
+/**
+ * Completa a cadeia (AIA) e obtém os dados de revogação de cada certificado.
+ * @param {Buffer[]} certificadosDer
+ * @returns {Promise<{ certificados: Buffer[], crls: Buffer[], ocsps: Buffer[] }>}
+ */
+const coletarMaterialValidacao = async (certificadosDer) => {
+  const certificados = [];
+  const adicionar = (certificado) => {
+    if (!certificados.some(existente => existente.equals(certificado))) certificados.push(certificado);
+  };
+  certificadosDer.forEach(adicionar);
+
+  // Emissores ausentes são buscados pelo endereço caIssuers
+  for (let i = 0; i < certificados.length && certificados.length < LIMITE_CADEIA; i++) {
+    const certificado = certificados[i];
+    if (autoAssinado(certificado) || certificados.some(outro => emitidoPor(certificado, outro))) continue;
+
+    const emissor = await primeiroDisponivel(obterUrlsAcesso(certificado).emissores, baixar);
+    if (emissor && emitidoPor(certificado, emissor)) adicionar(emissor);
+  }
+
+  const crls = [];
+  const ocsps = [];
+
+  for (const certificado of certificados) {
+    if (autoAssinado(certificado)) continue;
+
+    const emissor = certificados.find(outro => emitidoPor(certificado, outro));
+    const ocsp = emissor
+      ? await primeiroDisponivel(obterUrlsAcesso(certificado).ocsp, url => consultarOcsp(url, certificado, emissor))
+      : null;
+
+    if (ocsp) {
+      ocsps.push(ocsp);
+      continue;
+    }
+
+    const crl = await primeiroDisponivel(obterUrlsCrl(certificado), baixar);
+    if (crl && !crls.some(existente => existente.equals(crl))) crls.push(crl);
+  }
+
+  return { certificados, crls, ocsps };
+};
+
+/**
+ * Grava no DSS do PDF o material de validação da última assinatura
+ * (inclusive da TSA, quando houver carimbo de tempo).
+ * @param {Buffer} pdfAssinado
+ * @returns {Promise<Buffer>}
+ */
+const incorporarMaterialValidacao = async (pdfAssinado) => {
+  try {
+    const { cms } = extrairAssinaturaPdf(pdfAssinado);
+    const carimbo = obterCarimboDoCms(cms);
+    const certificados = [
+      ...extrairCertificadosCms(cms),
+      ...(carimbo ? extrairCertificadosCms(carimbo) : [])
+    ];
+
+    const material = await coletarMaterialValidacao(certificados);
+    return await adicionarDssIncremental(pdfAssinado, material);
+  } catch (err) {
+    logger.warn(`Assinatura mantida sem material de validação LTV: ${err.message}`);
+    return pdfAssinado;
+  }
+};
+
+module.exports = {
+  ltvHabilitado,
+  coletarMaterialValidacao,
+  incorporarMaterialValidacao
+};
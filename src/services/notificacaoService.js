@@ -0,0 +1,108 @@
+const Usuario = require('../models/Usuario');
+const { enviarEmail } = require('./emailService');
+const logger = require('../utils/logger');
+
+/*
+ * Notificações para usuários do sistema: evento em tempo real (Socket.IO, salas
+ * `tenant:<id>` e `usuario:<id>`) e e-mail para os administradores do tenant
+ * ou para destinatários específicos (ex.: contatos de alerta crítico).
+ */
+
+let io = null;
+
+// Registra a instância do Socket.IO (chamado pelo server.js)
+const definirSocket = (instancia) => {
+  io = instancia;
+};
+
+const salaTenant = (tenantId) => `tenant:${tenantId}`;
+
+const salaUsuario = (usuarioId) => `usuario:${usuarioId}`;
+
+// Emite um evento para os clientes conectados na sala do tenant
+const emitirParaTenant = (tenantId, evento, dados) => {
+  if (!io || !tenantId) return;
+  io.to(salaTenant(tenantId)).emit(evento, dados);
+};
+
+// Emite um evento apenas para as conexões do usuário (ex.: progresso de operações em lote)
+const emitirParaUsuario = (usuarioId, evento, dados) => {
+  if (!io || !usuarioId) return;
+  io.to(salaUsuario(usuarioId)).emit(evento, dados);
+};
+
+// Administradores ativos do tenant (role principal, roles adicionais ou admin_tenants)
+const buscarAdminsTenant = async (tenantId) => Usuario.find({
+  ativo: true,
+  $or: [
+    { role: 'admin', tenant_id: tenantId },
+    { roles: 'admin', tenant_id: tenantId },
+    { admin_tenants: tenantId }
+  ]
+}).select('nome email');
+
+const escaparHtml = (texto) => String(texto || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Envia a notificação por e-mail para uma lista de endereços.
+ * @param {Array<string>} emails
+ * @param {Object} notificacao - { titulo, mensagem, linhas: [string] }
+ * @returns {Promise<number>} quantidade de falhas
+ */
+const enviarEmailsNotificacao = async (emails, { titulo, mensagem, linhas = [] }) => {
+  let falhas = 0;
+
+  for (const email of emails) {
+    try {
+      await enviarEmail({
+        to: email,
+        subject: `[LaudoFy] ${titulo}`,
+        text: [mensagem, '', ...linhas].join('\n'),
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #334155;">${escaparHtml(titulo)}</h2>
+            <p>${escaparHtml(mensagem)}</p>
+            ${linhas.length > 0 ? `<ul>${linhas.map(linha => `<li>${escaparHtml(linha)}</li>`).join('')}</ul>` : ''}
+            <p style="color: #64748b; font-size: 12px;">Mensagem automática do LaudoFy.</p>
+          </div>
+        `
+      });
+    } catch (err) {
+      falhas++;
+      logger.error(`Falha ao enviar notificação para ${email}: ${err.message}`);
+    }
+  }
+
+  return falhas;
+};
+
+/**
+ * Notifica os administradores do tenant.
+ * @param {string} tenantId
+ * @param {Object} notificacao - { evento, titulo, mensagem, linhas: [string], dados }
+ * @returns {Promise<{ destinatarios: number, falhas: number }>}
+ */
+const notificarAdminsTenant = async (tenantId, notificacao) => {
+  const { evento = 'notificacao', titulo, mensagem, dados = {} } = notificacao;
+
+  emitirParaTenant(tenantId, evento, { titulo, mensagem, ...dados, data: new Date() });
+
+  const admins = await buscarAdminsTenant(tenantId);
+  const falhas = await enviarEmailsNotificacao(admins.map(admin => admin.email).filter(Boolean), notificacao);
+
+  return { destinatarios: admins.length, falhas };
+};
+
+module.exports = {
+  definirSocket,
+  salaTenant,
+  salaUsuario,
+  emitirParaTenant,
+  emitirParaUsuario,
+  buscarAdminsTenant,
+  enviarEmailsNotificacao,
+  notificarAdminsTenant
+};
@@ -0,0 +1,380 @@
+const net = require('net');
+const Tenant = require('../models/Tenant');
+const Paciente = require('../models/Paciente');
+const Exame = require('../models/Exame');
+const TipoExame = require('../models/TipoExame');
+const PedidoHl7 = require('../models/PedidoHl7');
+const MapeamentoExameHl7 = require('../models/MapeamentoExameHl7');
+const AuditLog = require('../models/AuditModel');
+const logger = require('../utils/logger');
+const { extrairPedidosHl7, montarAck, enquadrarMllp, extrairMensagensMllp } = require('../utils/hl7');
+const { cpfValido } = require('../utils/portalPaciente');
+const { aplicarPrazoExame } = require('./slaService');
+const { emitirParaTenant } = require('./notificacaoService');
+
+/*
+ * Entrada de pedidos HL7 (ORM^O01 / OML^O21) do sistema hospitalar.
+ * O tenant é identificado pelo MSH-6 (Tenant.codigoHl7), o paciente pelo CPF e o
+ * tipo de exame pela tabela de mapeamento do tenant. Pedidos com código sem
+ * mapeamento vão para a fila de revisão em vez de serem descartados.
+ * Só são aceitas conexões dos IPs cadastrados no tenant (Tenant.ipsOrigemHl7), e cada
+ * mensagem só é registrada no tenant do MSH-6 se vier de um IP autorizado por ele.
+ */
+
+const TIPOS_SUPORTADOS = ['ORM^O01', 'OML^O21'];
+const TAMANHO_MAXIMO_BUFFER = 5 * 1024 * 1024;
+const TIMEOUT_CONEXAO_MS = 5 * 60 * 1000;
+
+// IPv4 mapeado em IPv6 (::ffff:10.0.0.5) é comparado na forma IPv4
+const normalizarIp = (ip) => String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+const origemConhecida = async (ip) => !!(await Tenant.exists({ ipsOrigemHl7: normalizarIp(ip), status: 'ativo' }));
+
+const registrarAuditoria = async (pacienteId, tenantId, dados) => {
+  try {
+    await AuditLog.create({
+      pacienteId,
+      action: 'create',
+      description: dados.description,
+      collectionName: dados.collectionName,
+      documentId: dados.documentId,
+      before: null,
+      after: dados.after || null,
+      ip: dados.ip || 'hl7',
+      userAgent: 'integracao-hl7',
+      tenant_id: tenantId
+    });
+  } catch (auditError) {
+    console.error('Erro ao criar log de auditoria');
+  }
+};
+
+const obterOuCriarPaciente = async (tenantId, dados, ip) => {
+  const existente = await Paciente.buscarPorCpf(tenantId, dados.cpf, 'nome cpf tenant_id');
+  if (existente) return existente;
+
+  const paciente = await Paciente.create({
+    nome: dados.nome,
+    cpf: dados.cpf,
+    dataNascimento: dados.dataNascimento,
+    // Endereço é obrigatório no cadastro; a recepção completa quando o HIS não envia
+    endereco: dados.endereco || 'Não informado',
+    telefone: dados.telefone || undefined,
+    tenant_id: tenantId
+  });
+
+  await registrarAuditoria(paciente._id, tenantId, {
+    description: 'Paciente cadastrado a partir de pedido HL7',
+    collectionName: 'pacientes',
+    documentId: paciente._id,
+    ip
+  });
+
+  return paciente;
+};
+
+/**
+ * Cria o exame pendente do pedido com o tipo de exame informado.
+ */
+const criarExameDoPedido = async (pedido, tipoExame) => {
+  const exame = new Exame({
+    paciente: pedido.pacienteId,
+    tipoExame: tipoExame._id,
+    dataExame: pedido.dataPedido || new Date(),
+    observacoes: pedido.observacoes || `Pedido ${pedido.numeroPedido || pedido.controlId} recebido via HL7`,
+    status: 'Pendente',
+    tenant_id: pedido.tenant_id,
+    origem: 'hl7',
+    pedidoExterno: {
+      numero: pedido.numeroPedido,
+      aplicacao: pedido.aplicacaoOrigem,
+      pedidoHl7Id: pedido._id
+    }
+  });
+
+  try {
+    await aplicarPrazoExame(exame, tipoExame);
+  } catch (slaError) {
+    logger.error(`Erro ao calcular prazo de SLA do exame: ${slaError.message}`);
+  }
+
+  await exame.save();
+  return exame;
+};
+
+// Pedido já recebido antes (reenvio do HIS): exame criado ou pedido ainda na fila
+const pedidoJaRecebido = async (tenantId, numeroPedido) => {
+  if (!numeroPedido) return false;
+  const [exame, pendente] = await Promise.all([
+    Exame.exists({ tenant_id: tenantId, 'pedidoExterno.numero': numeroPedido }),
+    PedidoHl7.exists({ tenant_id: tenantId, numeroPedido, status: 'pendente_revisao' })
+  ]);
+  return !!(exame || pendente);
+};
+
+// Cancelamento (ORC-1 = CA): só exames ainda pendentes
+const cancelarPedido = async (tenantId, numeroPedido) => {
+  if (!numeroPedido) return 'Pedido sem número para cancelamento';
+
+  const exame = await Exame.findOne({ tenant_id: tenantId, 'pedidoExterno.numero': numeroPedido });
+  if (!exame) {
+    await PedidoHl7.updateMany(
+      { tenant_id: tenantId, numeroPedido, status: 'pendente_revisao' },
+      { $set: { status: 'descartado', motivo: 'Pedido cancelado pelo sistema de origem', resolvidoEm: new Date() } }
+    );
+    return 'Pedido cancelado pelo sistema de origem';
+  }
+  if (exame.status !== 'Pendente') {
+    return `Exame já em andamento (${exame.status}); cancelamento não aplicado`;
+  }
+
+  exame.status = 'Cancelado';
+  exame.cancelado = true;
+  await exame.save();
+  return 'Exame cancelado pelo sistema de origem';
+};
+
+const processarPedido = async (recebida, pedido, tenant, paciente, ip) => {
+  if (pedido.controle === 'NW' && await pedidoJaRecebido(tenant._id, pedido.numeroPedido)) {
+    return 'duplicado';
+  }
+
+  const registro = new PedidoHl7({
+    tenant_id: tenant._id,
+    controlId: recebida.controlId,
+    tipoMensagem: recebida.tipo,
+    aplicacaoOrigem: recebida.aplicacaoOrigem,
+    numeroPedido: pedido.numeroPedido,
+    controlePedido: pedido.controle,
+    codigoExame: pedido.codigoExame,
+    descricaoExame: pedido.descricaoExame,
+    dataPedido: pedido.dataPedido,
+    observacoes: pedido.observacoes,
+    paciente: {
+      nome: recebida.paciente.nome,
+      cpf: recebida.paciente.cpf,
+      dataNascimento: recebida.paciente.dataNascimento,
+      endereco: recebida.paciente.endereco,
+      telefone: recebida.paciente.telefone
+    },
+    pacienteId: paciente._id,
+    status: 'processado'
+  });
+
+  if (pedido.controle === 'CA') {
+    registro.motivo = await cancelarPedido(tenant._id, pedido.numeroPedido);
+    await registro.save();
+    return 'processado';
+  }
+
+  if (pedido.controle !== 'NW') {
+    registro.status = 'pendente_revisao';
+    registro.motivo = `Controle de pedido não suportado: ${pedido.controle}`;
+  } else if (!pedido.codigoExame) {
+    registro.status = 'pendente_revisao';
+    registro.motivo = 'Pedido sem código de exame (OBR-4)';
+  } else {
+    const mapeamento = await MapeamentoExameHl7.findOne({
+      tenant_id: tenant._id,
+      codigoExterno: pedido.codigoExame.toUpperCase(),
+      ativo: true
+    }).populate('tipoExameId');
+
+    if (!mapeamento?.tipoExameId) {
+      registro.status = 'pendente_revisao';
+      registro.motivo = `Código de exame sem mapeamento: ${pedido.codigoExame}`;
+    } else {
+      await registro.save();
+      const exame = await criarExameDoPedido(registro, mapeamento.tipoExameId);
+      registro.exameId = exame._id;
+
+      await registrarAuditoria(paciente._id, tenant._id, {
+        description: `Exame criado a partir do pedido HL7 ${pedido.numeroPedido || recebida.controlId}`,
+        collectionName: 'exames',
+        documentId: exame._id,
+        after: { tipoExame: mapeamento.tipoExameId.nome, numeroPedido: pedido.numeroPedido },
+        ip
+      });
+    }
+  }
+
+  await registro.save();
+
+  if (registro.status === 'pendente_revisao') {
+    emitirParaTenant(tenant._id, 'pedidoHl7Pendente', {
+      pedidoId: registro._id,
+      numeroPedido: registro.numeroPedido,
+      codigoExame: registro.codigoExame,
+      motivo: registro.motivo
+    });
+  }
+
+  return registro.status;
+};
+
+/**
+ * Processa uma mensagem recebida pelo listener MLLP e devolve o ACK.
+ * AR: mensagem não aceita (formato, tipo ou destino); AE: dados inválidos; AA: pedidos registrados.
+ * @returns {Promise<string>} ACK HL7
+ */
+const processarMensagemRecebida = async (texto, { ip } = {}) => {
+  let recebida;
+  try {
+    recebida = extrairPedidosHl7(texto);
+  } catch (erro) {
+    recebida = null;
+  }
+
+  if (!recebida) {
+    return montarAck(null, 'AR', 'Mensagem HL7 inválida');
+  }
+  if (!TIPOS_SUPORTADOS.includes(recebida.tipo)) {
+    return montarAck(recebida, 'AR', `Tipo de mensagem não suportado: ${recebida.tipo}`);
+  }
+
+  const tenant = recebida.instalacaoDestino
+    ? await Tenant.findOne({ codigoHl7: recebida.instalacaoDestino, status: 'ativo' }).select('_id nomeFantasia ipsOrigemHl7')
+    : null;
+  if (!tenant) {
+    return montarAck(recebida, 'AR', `Instalação de destino desconhecida (MSH-6): ${recebida.instalacaoDestino || 'vazia'}`);
+  }
+  if (!(tenant.ipsOrigemHl7 || []).includes(normalizarIp(ip))) {
+    logger.warn(`HL7: mensagem ${recebida.controlId} de ${normalizarIp(ip)} recusada para a instalação ${recebida.instalacaoDestino}`);
+    return montarAck(recebida, 'AR', 'Origem não autorizada para a instalação de destino (MSH-6)');
+  }
+
+  const dadosPaciente = recebida.paciente;
+  if (!dadosPaciente || !dadosPaciente.nome || !cpfValido(dadosPaciente.cpf) || !dadosPaciente.dataNascimento) {
+    return montarAck(recebida, 'AE', 'PID sem nome, CPF válido ou data de nascimento');
+  }
+  if (recebida.pedidos.length === 0) {
+    return montarAck(recebida, 'AE', 'Mensagem sem pedidos (ORC/OBR)');
+  }
+
+  try {
+    const paciente = await obterOuCriarPaciente(tenant._id, dadosPaciente, ip);
+
+    const resultados = [];
+    for (const pedido of recebida.pedidos) {
+      resultados.push(await processarPedido(recebida, pedido, tenant, paciente, ip));
+    }
+
+    const emRevisao = resultados.filter(r => r === 'pendente_revisao').length;
+    logger.info(`HL7: ${recebida.tipo} ${recebida.controlId} do tenant ${tenant.nomeFantasia} - ${resultados.length} pedido(s), ${emRevisao} em revisão`);
+
+    return montarAck(recebida, 'AA', emRevisao > 0 ? `${emRevisao} pedido(s) aguardando revisão` : '');
+  } catch (erro) {
+    logger.error(`Erro ao processar pedido HL7 ${recebida.controlId}:`, erro);
+    return montarAck(recebida, 'AE', 'Erro interno ao processar o pedido');
+  }
+};
+
+/**
+ * Resolve um pedido da fila de revisão com o tipo de exame escolhido,
+ * opcionalmente gravando o mapeamento do código para os próximos pedidos.
+ */
+const resolverPedido = async (pedido, tipoExameId, { usuarioId, salvarMapeamento = false } = {}) => {
+  const tipoExame = await TipoExame.findById(tipoExameId);
+  if (!tipoExame) {
+    const erro = new Error('Tipo de exame não encontrado');
+    erro.status = 404;
+    throw erro;
+  }
+
+  const exame = await criarExameDoPedido(pedido, tipoExame);
+
+  pedido.status = 'resolvido';
+  pedido.exameId = exame._id;
+  pedido.resolvidoPor = usuarioId;
+  pedido.resolvidoEm = new Date();
+  await pedido.save();
+
+  if (salvarMapeamento && pedido.codigoExame) {
+    await MapeamentoExameHl7.findOneAndUpdate(
+      { tenant_id: pedido.tenant_id, codigoExterno: pedido.codigoExame.toUpperCase() },
+      {
+        $set: { tipoExameId: tipoExame._id, ativo: true },
+        $setOnInsert: { descricaoExterna: pedido.descricaoExame, criadoPor: usuarioId }
+      },
+      { upsert: true }
+    );
+  }
+
+  return exame;
+};
+
+// Lê as mensagens MLLP da conexão em ordem, respondendo uma ACK por mensagem
+const atenderConexao = (socket, ip) => {
+  let buffer = '';
+  let fila = Promise.resolve();
+
+  socket.setEncoding('utf8');
+  socket.setTimeout(TIMEOUT_CONEXAO_MS);
+
+  socket.on('data', (dados) => {
+    buffer += dados;
+    if (buffer.length > TAMANHO_MAXIMO_BUFFER) {
+      logger.warn(`HL7: conexão de ${ip} encerrada por exceder o tamanho máximo de mensagem`);
+      socket.destroy();
+      return;
+    }
+
+    const { mensagens, resto } = extrairMensagensMllp(buffer);
+    buffer = resto;
+
+    for (const mensagem of mensagens) {
+      fila = fila
+        .then(() => processarMensagemRecebida(mensagem, { ip }))
+        .then((ack) => {
+          if (!socket.destroyed) socket.write(enquadrarMllp(ack), 'utf8');
+        })
+        .catch((erro) => logger.error('Erro ao responder mensagem HL7:', erro));
+    }
+  });
+
+  socket.on('timeout', () => socket.end());
+};
+
+/**
+ * Inicia o listener MLLP de pedidos quando HL7_MLLP_PORTA está configurada.
+ * Escuta em 127.0.0.1 salvo HL7_MLLP_HOST; conexões de IPs não cadastrados em
+ * nenhum tenant ativo são encerradas sem resposta.
+ */
+const iniciarListenerMllp = () => {
+  const porta = parseInt(process.env.HL7_MLLP_PORTA, 10);
+  if (!porta) return null;
+
+  const host = process.env.HL7_MLLP_HOST || '127.0.0.1';
+
+  const servidor = net.createServer((socket) => {
+    const ip = normalizarIp(socket.remoteAddress);
+    socket.on('error', (erro) => logger.warn(`HL7: erro na conexão de ${ip}: ${erro.message}`));
+
+    origemConhecida(ip)
+      .then((conhecida) => {
+        if (!conhecida) {
+          logger.warn(`HL7: conexão recusada de origem não autorizada ${ip}`);
+          socket.destroy();
+          return;
+        }
+        atenderConexao(socket, ip);
+      })
+      .catch((erro) => {
+        logger.error('Erro ao verificar a origem da conexão HL7:', erro);
+        socket.destroy();
+      });
+  });
+
+  servidor.on('error', (erro) => logger.error('Erro no listener MLLP de pedidos HL7:', erro));
+  servidor.listen(porta, host, () => {
+    logger.info(`📥 Listener MLLP de pedidos HL7 em ${host}:${porta}`);
+  });
+
+  return servidor;
+};
+
+module.exports = {
+  processarMensagemRecebida,
+  resolverPedido,
+  iniciarListenerMllp
+};
@@ -0,0 +1,183 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Paciente = require('../models/Paciente');
+const Exame = require('../models/Exame');
+const Laudo = require('../models/Laudo');
+const CodigoPortalPaciente = require('../models/CodigoPortalPaciente');
+const { sendCodigoPortalPaciente } = require('./emailService');
+const { enviarSms } = require('./smsService');
+const {
+  obterConfiguracaoPortal,
+  identidadeConfere,
+  gerarCodigoOtp,
+  hashCodigoOtp,
+  codigoOtpConfere,
+  mascararEmail,
+  mascararTelefone
+} = require('../utils/portalPaciente');
+
+const AUDIENCIA_TOKEN_PORTAL = 'portal-paciente';
+
+/**
+ * Localiza o paciente do tenant pelo CPF (hash indexado) e confere a data de nascimento.
+ */
+const identificarPaciente = async (tenantId, cpf, dataNascimento) => {
+  const paciente = await Paciente.buscarPorCpf(tenantId, cpf, 'nome cpf dataNascimento email telefone tenant_id');
+  return paciente && identidadeConfere(paciente, cpf, dataNascimento) ? paciente : null;
+};
+
+/**
+ * Gera e envia um novo código, invalidando os anteriores.
+ * @returns {Promise<{ enviado: boolean, motivo?: 'aguardar'|'sem_contato', destino?: string }>}
+ */
+const solicitarCodigo = async (paciente, canal, ip) => {
+  const configuracao = obterConfiguracaoPortal();
+  const agora = new Date();
+
+  const destino = canal === 'sms' ? paciente.telefone : paciente.email;
+  if (!destino) {
+    return { enviado: false, motivo: 'sem_contato' };
+  }
+
+  const ultimo = await CodigoPortalPaciente.findOne({ paciente: paciente._id, tenant_id: paciente.tenant_id })
+    .sort({ createdAt: -1 });
+  if (ultimo && agora - ultimo.createdAt < configuracao.intervaloReenvioSegundos * 1000) {
+    return { enviado: false, motivo: 'aguardar' };
+  }
+
+  await CodigoPortalPaciente.updateMany(
+    { paciente: paciente._id, tenant_id: paciente.tenant_id, utilizadoEm: null, invalidadoEm: null },
+    { $set: { invalidadoEm: agora } }
+  );
+
+  const codigo = gerarCodigoOtp();
+  const solicitacao = new CodigoPortalPaciente({
+    paciente: paciente._id,
+    tenant_id: paciente.tenant_id,
+    canal,
+    expiraEm: new Date(agora.getTime() + configuracao.validadeCodigoMinutos * 60 * 1000),
+    ip
+  });
+  solicitacao.codigoHash = hashCodigoOtp(solicitacao._id, codigo);
+  await solicitacao.save();
+
+  if (canal === 'sms') {
+    await enviarSms(destino, `Seu código de acesso aos laudos é ${codigo}. Válido por ${configuracao.validadeCodigoMinutos} minutos.`);
+  } else {
+    await sendCodigoPortalPaciente(destino, paciente.nome, codigo, configuracao.validadeCodigoMinutos);
+  }
+
+  return { enviado: true, destino: canal === 'sms' ? mascararTelefone(destino) : mascararEmail(destino) };
+};
+
+/**
+ * Confere o código mais recente do paciente; o código é invalidado após o
+ * limite de tentativas.
+ * @returns {Promise<{ valido: boolean, tentativasRestantes?: number }>}
+ */
+const verificarCodigo = async (paciente, codigo) => {
+  const configuracao = obterConfiguracaoPortal();
+  const agora = new Date();
+
+  const solicitacao = await CodigoPortalPaciente.findOne({
+    paciente: paciente._id,
+    tenant_id: paciente.tenant_id,
+    utilizadoEm: null,
+    invalidadoEm: null,
+    expiraEm: { $gt: agora }
+  }).sort({ createdAt: -1 });
+
+  if (!solicitacao) {
+    return { valido: false, tentativasRestantes: 0 };
+  }
+
+  if (!codigoOtpConfere(solicitacao._id, codigo, solicitacao.codigoHash)) {
+    const atualizado = await CodigoPortalPaciente.findOneAndUpdate(
+      { _id: solicitacao._id },
+      { $inc: { tentativas: 1 } },
+      { new: true }
+    );
+    const tentativasRestantes = Math.max(configuracao.maxTentativasCodigo - atualizado.tentativas, 0);
+    if (tentativasRestantes === 0) {
+      await CodigoPortalPaciente.updateOne({ _id: solicitacao._id }, { $set: { invalidadoEm: agora } });
+    }
+    return { valido: false, tentativasRestantes };
+  }
+
+  // Uso único: apenas a primeira requisição consegue marcar o código como utilizado
+  const utilizado = await CodigoPortalPaciente.findOneAndUpdate(
+    { _id: solicitacao._id, utilizadoEm: null },
+    { $set: { utilizadoEm: agora } }
+  );
+  return { valido: !!utilizado };
+};
+
+// Token de sessão do portal, emitido após a confirmação do código
+const emitirTokenPortal = (paciente) => {
+  const { sessaoMinutos } = obterConfiguracaoPortal();
+  const token = jwt.sign(
+    { paciente: paciente._id.toString(), tenant_id: paciente.tenant_id.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: `${sessaoMinutos}m`, audience: AUDIENCIA_TOKEN_PORTAL }
+  );
+  return { token, expiraEm: new Date(Date.now() + sessaoMinutos * 60 * 1000) };
+};
+
+const validarTokenPortal = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: AUDIENCIA_TOKEN_PORTAL });
+    if (!mongoose.isValidObjectId(payload.paciente) || !mongoose.isValidObjectId(payload.tenant_id)) return null;
+    return payload;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Filtro dos laudos assinados (versão atual) dos exames do paciente
+const filtroLaudosPaciente = async (pacienteId, tenantId) => {
+  const exames = await Exame.find({ paciente: pacienteId, tenant_id: tenantId }).select('_id');
+  return {
+    exame: { $in: exames.map(exame => exame._id) },
+    tenant_id: tenantId,
+    status: 'Laudo assinado',
+    valido: true,
+    ehVersaoAtual: { $ne: false }
+  };
+};
+
+const listarLaudosPaciente = async (pacienteId, tenantId) => {
+  const filtro = await filtroLaudosPaciente(pacienteId, tenantId);
+  const laudos = await Laudo.find(filtro)
+    .populate({ path: 'exame', select: 'dataExame tipoExame', populate: { path: 'tipoExame', select: 'nome' } })
+    .sort({ dataAssinatura: -1, createdAt: -1 });
+
+  return laudos.map(laudo => ({
+    id: laudo._id,
+    exame: {
+      id: laudo.exame?._id,
+      tipo: laudo.exame?.tipoExame?.nome || 'Não informado',
+      data: laudo.exame?.dataExame
+    },
+    versao: laudo.versao,
+    medico: laudo.medicoResponsavel,
+    dataAssinatura: laudo.dataAssinatura,
+    assinadoDigitalmente: laudo.assinadoDigitalmente || false,
+    adendos: (laudo.adendos || []).length
+  }));
+};
+
+const buscarLaudoPaciente = async (pacienteId, tenantId, laudoId) => {
+  if (!mongoose.isValidObjectId(laudoId)) return null;
+  const filtro = await filtroLaudosPaciente(pacienteId, tenantId);
+  return Laudo.findOne({ ...filtro, _id: laudoId });
+};
+
+module.exports = {
+  identificarPaciente,
+  solicitarCodigo,
+  verificarCodigo,
+  emitirTokenPortal,
+  validarTokenPortal,
+  listarLaudosPaciente,
+  buscarLaudoPaciente
+};
@@ -0,0 +1,302 @@
+const Exame = require('../models/Exame');
+const Laudo = require('../models/Laudo');
+const Tenant = require('../models/Tenant');
+const logger = require('../utils/logger');
+const { obterStorage } = require('./storage');
+const { thumbnailAtualizada } = require('../utils/thumbnail');
+const {
+  TIPOS_DOCUMENTO,
+  PREFIXO_ARQUIVAMENTO,
+  resolverPolitica,
+  calcularPrazos,
+  calcularLimites,
+  avaliarExclusao,
+  ehChaveArquivada,
+  montarChaveArquivamento
+} = require('../utils/retencao');
+
+/*
+ * Ciclo de vida dos arquivos de exames e laudos: arquivamento em camada fria,
+ * impedimento de exclusão durante a retenção/bloqueio legal e relatório de prazos.
+ */
+
+const LOTE_PADRAO = 200;
+const LIMITE_RELATORIO = 100;
+const CLASSE_ARQUIVAMENTO_PADRAO = 'GLACIER_IR';
+
+// Laudos que tornam o exame parte do prontuário (e, portanto, sujeito à retenção)
+const STATUS_LAUDO_EMITIDO = ['Laudo realizado', 'Laudo assinado', 'Laudo refeito'];
+
+// StorageClass do destino no S3; precisa ter recuperação imediata para os downloads continuarem funcionando
+const obterClasseArquivamento = () => process.env.ARQUIVAMENTO_CLASSE_ARMAZENAMENTO || CLASSE_ARQUIVAMENTO_PADRAO;
+
+const obterPoliticas = async (tenantId) => {
+  const tenant = await Tenant.findById(tenantId).select('politicasRetencao');
+  return TIPOS_DOCUMENTO.reduce((politicas, tipo) => ({
+    ...politicas,
+    [tipo]: resolverPolitica(tenant?.politicasRetencao, tipo)
+  }), {});
+};
+
+/**
+ * Move o objeto para a camada de arquivo. Reexecuções são seguras: se a origem
+ * já não existe mas o destino sim, o objeto foi movido numa execução anterior.
+ * @returns {Promise<string>} chave de destino
+ */
+const moverParaArquivo = async (key, classe) => {
+  if (ehChaveArquivada(key)) return key;
+
+  const storage = obterStorage();
+  const destino = montarChaveArquivamento(key);
+  if (await storage.existe(key)) {
+    await storage.mover(key, destino, { classe });
+  } else if (!(await storage.existe(destino))) {
+    throw new Error(`Arquivo não encontrado no armazenamento: ${key}`);
+  }
+  return destino;
+};
+
+const registroArquivamento = (classe) => ({
+  'arquivamento.arquivado': true,
+  'arquivamento.arquivadoEm': new Date(),
+  'arquivamento.prefixo': PREFIXO_ARQUIVAMENTO,
+  'arquivamento.classe': obterStorage().nome === 's3' ? classe : null
+});
+
+/**
+ * Arquiva o arquivo do exame, a prévia DICOM e a miniatura. Cada chave é gravada
+ * assim que o objeto é movido, para que uma falha no meio não deixe o exame
+ * apontando para um objeto que já saiu do lugar.
+ */
+const arquivarExame = async (exame) => {
+  const classe = obterClasseArquivamento();
+  const storage = obterStorage();
+
+  if (exame.arquivoKey && !ehChaveArquivada(exame.arquivoKey)) {
+    const possuiThumbnail = thumbnailAtualizada(exame);
+    const arquivoKey = await moverParaArquivo(exame.arquivoKey, classe);
+    await Exame.updateOne({ _id: exame._id }, { arquivoKey, arquivo: storage.urlArquivo(arquivoKey) });
+
+    // A miniatura acompanha o arquivo (a chave é derivada de arquivoKey)
+    if (possuiThumbnail) {
+      try {
+        const thumbnail = await moverParaArquivo(exame.thumbnail, classe);
+        await Exame.updateOne({ _id: exame._id }, { thumbnail });
+      } catch (err) {
+        logger.warn(`Miniatura do exame ${exame._id} não arquivada (será gerada de novo): ${err.message}`);
+        await Exame.updateOne({ _id: exame._id }, { $unset: { thumbnail: 1 } });
+      }
+    }
+  }
+
+  if (exame.previaKey && !ehChaveArquivada(exame.previaKey)) {
+    const previaKey = await moverParaArquivo(exame.previaKey, classe);
+    await Exame.updateOne({ _id: exame._id }, { previaKey });
+  }
+
+  await Exame.updateOne({ _id: exame._id }, registroArquivamento(classe));
+};
+
+// Arquiva os PDFs original e assinado do laudo (adendos posteriores geram chave nova, arquivada na próxima execução)
+const arquivarLaudo = async (laudo) => {
+  const classe = obterClasseArquivamento();
+  const storage = obterStorage();
+
+  if (laudo.laudoAssinadoKey && !ehChaveArquivada(laudo.laudoAssinadoKey)) {
+    const laudoAssinadoKey = await moverParaArquivo(laudo.laudoAssinadoKey, classe);
+    await Laudo.updateOne({ _id: laudo._id }, { laudoAssinadoKey, laudoAssinado: storage.urlArquivo(laudoAssinadoKey) });
+  }
+
+  if (laudo.laudoOriginalKey && !ehChaveArquivada(laudo.laudoOriginalKey)) {
+    const laudoOriginalKey = await moverParaArquivo(laudo.laudoOriginalKey, classe);
+    await Laudo.updateOne({ _id: laudo._id }, { laudoOriginalKey, laudoOriginal: storage.urlArquivo(laudoOriginalKey) });
+  }
+
+  await Laudo.updateOne({ _id: laudo._id }, registroArquivamento(classe));
+};
+
+// Exames com arquivo ainda não arquivado (arquivoKey é criptografada; o controle é pelo indicador)
+const filtroExamesParaArquivar = (tenantId, limite) => ({
+  tenant_id: tenantId,
+  'arquivamento.arquivado': { $ne: true },
+  dataExame: { $lte: limite },
+  arquivoKey: { $exists: true, $nin: ['', null] }
+});
+
+// Laudos assinados com algum PDF fora da camada de arquivo
+const filtroLaudosParaArquivar = (tenantId, limite) => ({
+  tenant_id: tenantId,
+  dataAssinatura: { $lte: limite },
+  $or: [
+    { laudoAssinadoKey: { $nin: ['', null], $not: /^arquivo\// } },
+    { laudoOriginalKey: { $nin: ['', null], $not: /^arquivo\// } }
+  ]
+});
+
+/**
+ * Arquiva exames e laudos que passaram do prazo de arquivamento da política do tenant
+ * @param {Object} opcoes - lote (máximo de documentos por execução) e agora
+ * @returns {Promise<{ exames: number, laudos: number, falhas: number }>}
+ */
+const arquivarPendentes = async ({ lote, agora = new Date() } = {}) => {
+  const maximo = lote || parseInt(process.env.ARQUIVAMENTO_LOTE) || LOTE_PADRAO;
+  const resumo = { exames: 0, laudos: 0, falhas: 0 };
+  const restante = () => maximo - resumo.exames - resumo.laudos - resumo.falhas;
+
+  const tenants = await Tenant.find().select('politicasRetencao');
+
+  for (const tenant of tenants) {
+    if (restante() <= 0) break;
+
+    const limiteExame = calcularLimites(resolverPolitica(tenant.politicasRetencao, 'exame'), agora).arquivamento;
+    const exames = await Exame.find(filtroExamesParaArquivar(tenant._id, limiteExame))
+      .select('arquivo arquivoKey previaKey thumbnail tenant_id')
+      .sort({ dataExame: 1 })
+      .limit(restante());
+
+    for (const exame of exames) {
+      try {
+        await arquivarExame(exame);
+        resumo.exames++;
+      } catch (err) {
+        resumo.falhas++;
+        logger.error(`Erro ao arquivar exame ${exame._id}: ${err.message}`);
+      }
+    }
+
+    if (restante() <= 0) break;
+
+    const limiteLaudo = calcularLimites(resolverPolitica(tenant.politicasRetencao, 'laudo'), agora).arquivamento;
+    const laudos = await Laudo.find(filtroLaudosParaArquivar(tenant._id, limiteLaudo))
+      .select('laudoOriginalKey laudoAssinadoKey tenant_id')
+      .sort({ dataAssinatura: 1 })
+      .limit(restante());
+
+    for (const laudo of laudos) {
+      try {
+        await arquivarLaudo(laudo);
+        resumo.laudos++;
+      } catch (err) {
+        resumo.falhas++;
+        logger.error(`Erro ao arquivar laudo ${laudo._id}: ${err.message}`);
+      }
+    }
+  }
+
+  return resumo;
+};
+
+/**
+ * Impedimento para excluir o exame ou seus arquivos: bloqueio legal ou retenção
+ * do exame (a partir da emissão de um laudo) e de cada laudo emitido
+ * @returns {Promise<{ codigo, mensagem, retencaoAte }|null>}
+ */
+const verificarExclusaoExame = async (exame, { agora = new Date() } = {}) => {
+  const laudos = await Laudo.find({ exame: exame._id, status: { $in: STATUS_LAUDO_EMITIDO } })
+    .select('dataAssinatura createdAt');
+
+  let retencaoAte = null;
+  if (laudos.length > 0) {
+    const politicas = await obterPoliticas(exame.tenant_id?._id || exame.tenant_id);
+    const datas = [
+      calcularPrazos(exame.dataExame, politicas.exame).retencaoAte,
+      ...laudos.map(laudo => calcularPrazos(laudo.dataAssinatura || laudo.createdAt, politicas.laudo).retencaoAte)
+    ].filter(Boolean);
+    retencaoAte = datas.length > 0 ? new Date(Math.max(...datas)) : null;
+  }
+
+  return avaliarExclusao({ bloqueioLegal: exame.bloqueioLegal, retencaoAte, agora });
+};
+
+const listarComTotal = async (Modelo, filtro, { select, sort, limite }) => {
+  const [total, itens] = await Promise.all([
+    Modelo.countDocuments(filtro),
+    Modelo.find(filtro).select(select).sort(sort).limit(limite)
+  ]);
+  return { total, itens };
+};
+
+/**
+ * Relatório do tenant: documentos a arquivar e com retenção vencida (ou vencendo
+ * nos próximos `dias`) e exames sob bloqueio legal
+ */
+const gerarRelatorio = async (tenantId, { dias = 30, agora = new Date(), limite = LIMITE_RELATORIO } = {}) => {
+  const politicas = await obterPoliticas(tenantId);
+  const horizonte = new Date(agora.getTime() + dias * 24 * 60 * 60 * 1000);
+  const limitesExame = calcularLimites(politicas.exame, horizonte);
+  const limitesLaudo = calcularLimites(politicas.laudo, horizonte);
+
+  const formatarExame = (exame) => ({
+    id: exame._id,
+    paciente: exame.paciente,
+    tipoExame: exame.tipoExame,
+    dataExame: exame.dataExame,
+    arquivado: !!exame.arquivamento?.arquivado,
+    bloqueioLegal: !!exame.bloqueioLegal?.ativo,
+    ...calcularPrazos(exame.dataExame, politicas.exame)
+  });
+
+  const formatarLaudo = (laudo) => ({
+    id: laudo._id,
+    exame: laudo.exame,
+    versao: laudo.versao,
+    dataAssinatura: laudo.dataAssinatura,
+    arquivado: !!laudo.arquivamento?.arquivado,
+    ...calcularPrazos(laudo.dataAssinatura, politicas.laudo)
+  });
+
+  const camposExame = 'paciente tipoExame dataExame arquivamento bloqueioLegal';
+  const camposLaudo = 'exame versao dataAssinatura arquivamento';
+
+  const [examesArquivar, laudosArquivar, examesExpirados, laudosExpirados, bloqueios] = await Promise.all([
+    listarComTotal(Exame, filtroExamesParaArquivar(tenantId, limitesExame.arquivamento), {
+      select: camposExame, sort: { dataExame: 1 }, limite
+    }),
+    listarComTotal(Laudo, filtroLaudosParaArquivar(tenantId, limitesLaudo.arquivamento), {
+      select: camposLaudo, sort: { dataAssinatura: 1 }, limite
+    }),
+    listarComTotal(Exame, { tenant_id: tenantId, dataExame: { $lte: limitesExame.expiracao } }, {
+      select: camposExame, sort: { dataExame: 1 }, limite
+    }),
+    listarComTotal(Laudo, { tenant_id: tenantId, dataAssinatura: { $lte: limitesLaudo.expiracao } }, {
+      select: camposLaudo, sort: { dataAssinatura: 1 }, limite
+    }),
+    listarComTotal(Exame, { tenant_id: tenantId, 'bloqueioLegal.ativo': true }, {
+      select: camposExame, sort: { 'bloqueioLegal.data': -1 }, limite
+    })
+  ]);
+
+  return {
+    geradoEm: agora,
+    horizonteDias: dias,
+    politicas,
+    arquivamento: {
+      exames: { total: examesArquivar.total, itens: examesArquivar.itens.map(formatarExame) },
+      laudos: { total: laudosArquivar.total, itens: laudosArquivar.itens.map(formatarLaudo) }
+    },
+    // Só informativo: a eliminação após a retenção é decisão do tenant e não é automática
+    expiracao: {
+      exames: { total: examesExpirados.total, itens: examesExpirados.itens.map(formatarExame) },
+      laudos: { total: laudosExpirados.total, itens: laudosExpirados.itens.map(formatarLaudo) }
+    },
+    bloqueiosLegais: {
+      total: bloqueios.total,
+      itens: bloqueios.itens.map(exame => ({
+        ...formatarExame(exame),
+        motivo: exame.bloqueioLegal.motivo,
+        usuarioNome: exame.bloqueioLegal.usuarioNome,
+        data: exame.bloqueioLegal.data
+      }))
+    }
+  };
+};
+
+module.exports = {
+  STATUS_LAUDO_EMITIDO,
+  obterPoliticas,
+  arquivarExame,
+  arquivarLaudo,
+  arquivarPendentes,
+  verificarExclusaoExame,
+  gerarRelatorio
+};
@@ -0,0 +1,220 @@
+const Exame = require('../models/Exame');
+const Laudo = require('../models/Laudo');
+const TipoExame = require('../models/TipoExame');
+const PrazoSla = require('../models/PrazoSla');
+const logger = require('../utils/logger');
+const { notificarAdminsTenant } = require('./notificacaoService');
+const {
+  STATUS_SLA,
+  obterPrazoPadraoHoras,
+  calcularAntecedenciaAlerta,
+  calcularPrazo,
+  calcularInicioAlerta,
+  classificarSla
+} = require('../utils/sla');
+
+const STATUS_CONCLUIDOS = [STATUS_SLA.CUMPRIDO, STATUS_SLA.CUMPRIDO_COM_ATRASO];
+
+// Exames antigos sem prazo calculado (anteriores ao SLA) recebem o prazo pelo monitor
+const DIAS_RETROATIVOS_PRAZO = 30;
+const LOTE_RETROATIVO = 200;
+
+/**
+ * Configuração de SLA aplicável: a do tenant, a global ou o padrão pela urgência do tipo.
+ * @returns {Promise<{ prazoHoras: number, alertaAntecedenciaMinutos: number, origem: string }>}
+ */
+const obterConfiguracaoSla = async (tipoExame, tenantId) => {
+  const tipo = tipoExame?.urgente !== undefined ? tipoExame : await TipoExame.findById(tipoExame).select('urgente');
+  const tipoExameId = tipo?._id || tipoExame;
+
+  const configuracao = await PrazoSla.findOne({
+    tipoExameId,
+    ativo: true,
+    tenant_id: tenantId ? { $in: [tenantId, null] } : null
+  }).sort({ tenant_id: -1 }); // Configuração do tenant tem prioridade sobre a global
+
+  const prazoHoras = configuracao?.prazoHoras || obterPrazoPadraoHoras(!!tipo?.urgente);
+
+  return {
+    prazoHoras,
+    alertaAntecedenciaMinutos: calcularAntecedenciaAlerta(prazoHoras, configuracao?.alertaAntecedenciaMinutos),
+    origem: configuracao ? (configuracao.tenant_id ? 'tenant' : 'global') : 'padrao'
+  };
+};
+
+// Preenche prazoLaudo e sla do exame (não salva o documento)
+const aplicarPrazoExame = async (exame, tipoExame = null) => {
+  const configuracao = await obterConfiguracaoSla(tipoExame || exame.tipoExame, exame.tenant_id);
+  const dataBase = exame.dataExame || exame.createdAt || new Date();
+
+  exame.prazoLaudo = calcularPrazo(dataBase, configuracao.prazoHoras);
+  exame.sla = {
+    prazoHoras: configuracao.prazoHoras,
+    alertaAntecedenciaMinutos: configuracao.alertaAntecedenciaMinutos,
+    alertaEm: calcularInicioAlerta(exame.prazoLaudo, configuracao.alertaAntecedenciaMinutos),
+    status: classificarSla({
+      prazo: exame.prazoLaudo,
+      antecedenciaMinutos: configuracao.alertaAntecedenciaMinutos
+    })
+  };
+
+  return exame;
+};
+
+// Registra a conclusão (laudo emitido) no SLA do exame
+const registrarConclusaoSla = async (exameId, concluidoEm = new Date()) => {
+  const exame = await Exame.findById(exameId).select('prazoLaudo sla');
+  if (!exame?.prazoLaudo || exame.sla?.concluidoEm) return null;
+
+  const status = classificarSla({ prazo: exame.prazoLaudo, concluidoEm });
+  await Exame.updateOne(
+    { _id: exameId },
+    { $set: { 'sla.concluidoEm': concluidoEm, 'sla.status': status } }
+  );
+
+  return status;
+};
+
+// Calcula o prazo de exames recentes criados antes da configuração de SLA
+const calcularPrazosPendentes = async () => {
+  const limite = new Date(Date.now() - DIAS_RETROATIVOS_PRAZO * 24 * 60 * 60 * 1000);
+  const exames = await Exame.find({ prazoLaudo: null, createdAt: { $gte: limite } })
+    .select('tipoExame tenant_id dataExame createdAt')
+    .populate('tipoExame', 'urgente')
+    .limit(LOTE_RETROATIVO);
+
+  for (const exame of exames) {
+    await aplicarPrazoExame(exame);
+    await Exame.updateOne({ _id: exame._id }, { $set: { prazoLaudo: exame.prazoLaudo, sla: exame.sla } });
+  }
+
+  // Prazos calculados antes de existir sla.alertaEm: preencher para entrarem no monitor
+  const semAlerta = await Exame.find({ 'sla.concluidoEm': null, 'sla.alertaEm': null, prazoLaudo: { $ne: null } })
+    .select('prazoLaudo sla.alertaAntecedenciaMinutos')
+    .limit(LOTE_RETROATIVO);
+
+  for (const exame of semAlerta) {
+    await Exame.updateOne(
+      { _id: exame._id },
+      { $set: { 'sla.alertaEm': calcularInicioAlerta(exame.prazoLaudo, exame.sla?.alertaAntecedenciaMinutos) } }
+    );
+  }
+
+  return exames.length + semAlerta.length;
+};
+
+const descreverExame = (exame) => {
+  const tipo = exame.tipoExame?.nome || 'Exame';
+  const prazo = new Date(exame.prazoLaudo).toLocaleString('pt-BR');
+  return `${tipo} (ID ${exame._id}) - prazo ${prazo}${exame.tipoExame?.urgente ? ' - URGENTE' : ''}`;
+};
+
+// Envia uma notificação por tenant e marca os exames como notificados
+const escalarParaAdmins = async (exames, tipo) => {
+  const porTenant = exames.reduce((acc, exame) => {
+    const chave = exame.tenant_id.toString();
+    (acc[chave] = acc[chave] || []).push(exame);
+    return acc;
+  }, {});
+
+  const campoNotificacao = tipo === 'violacao' ? 'sla.notificadoViolacaoEm' : 'sla.notificadoRiscoEm';
+  let notificacoes = 0;
+
+  for (const [tenantId, lista] of Object.entries(porTenant)) {
+    try {
+      await notificarAdminsTenant(tenantId, {
+        evento: tipo === 'violacao' ? 'slaViolado' : 'slaEmRisco',
+        titulo: tipo === 'violacao'
+          ? `${lista.length} exame(s) com prazo de laudo vencido`
+          : `${lista.length} exame(s) próximos do prazo de laudo`,
+        mensagem: tipo === 'violacao'
+          ? 'Os exames abaixo ultrapassaram o prazo de laudo (SLA) e ainda não foram laudados.'
+          : 'Os exames abaixo estão próximos do prazo de laudo (SLA) e ainda não foram laudados.',
+        linhas: lista.map(descreverExame),
+        dados: { exames: lista.map(exame => exame._id) }
+      });
+
+      await Exame.updateMany(
+        { _id: { $in: lista.map(exame => exame._id) } },
+        { $set: { [campoNotificacao]: new Date() } }
+      );
+      notificacoes++;
+    } catch (err) {
+      logger.error(`Erro ao escalar SLA do tenant ${tenantId}: ${err.message}`);
+    }
+  }
+
+  return notificacoes;
+};
+
+/**
+ * Verifica os SLAs em aberto: atualiza a situação, registra conclusões e
+ * escala para os administradores os exames em risco ou com prazo vencido.
+ */
+const verificarSlas = async (agora = new Date()) => {
+  const prazosCalculados = await calcularPrazosPendentes();
+
+  // Apenas exames em aberto que já alcançaram o momento de alerta (índice sla.concluidoEm/sla.alertaEm);
+  // os demais continuam "No prazo" e não precisam ser revisitados a cada execução
+  const abertos = await Exame.find({
+    'sla.concluidoEm': null,
+    'sla.alertaEm': { $lte: agora },
+    prazoLaudo: { $ne: null },
+    'sla.status': { $nin: STATUS_CONCLUIDOS }
+  })
+    .select('tipoExame tenant_id prazoLaudo sla status')
+    .populate('tipoExame', 'nome urgente');
+
+  const resumo = { prazosCalculados, verificados: abertos.length, concluidos: 0, emRisco: 0, violados: 0, notificacoes: 0 };
+  if (abertos.length === 0) return resumo;
+
+  // Exames que já possuem laudo válido: registrar a conclusão
+  const laudos = await Laudo.find({ exame: { $in: abertos.map(exame => exame._id) }, valido: true })
+    .select('exame createdAt');
+  const laudoPorExame = new Map(laudos.map(laudo => [laudo.exame.toString(), laudo]));
+
+  const novosRiscos = [];
+  const novasViolacoes = [];
+
+  for (const exame of abertos) {
+    const laudo = laudoPorExame.get(exame._id.toString());
+    if (laudo) {
+      await registrarConclusaoSla(exame._id, laudo.createdAt);
+      resumo.concluidos++;
+      continue;
+    }
+
+    // Exames cancelados não contam para o SLA
+    if (exame.status === 'Cancelado') continue;
+
+    const status = classificarSla({
+      prazo: exame.prazoLaudo,
+      antecedenciaMinutos: exame.sla?.alertaAntecedenciaMinutos || 0,
+      agora
+    });
+
+    if (status !== exame.sla?.status) {
+      await Exame.updateOne({ _id: exame._id }, { $set: { 'sla.status': status } });
+    }
+
+    if (status === STATUS_SLA.EM_RISCO) {
+      resumo.emRisco++;
+      if (!exame.sla?.notificadoRiscoEm) novosRiscos.push(exame);
+    } else if (status === STATUS_SLA.VIOLADO) {
+      resumo.violados++;
+      if (!exame.sla?.notificadoViolacaoEm) novasViolacoes.push(exame);
+    }
+  }
+
+  resumo.notificacoes += await escalarParaAdmins(novosRiscos, 'risco');
+  resumo.notificacoes += await escalarParaAdmins(novasViolacoes, 'violacao');
+
+  return resumo;
+};
+
+module.exports = {
+  obterConfiguracaoSla,
+  aplicarPrazoExame,
+  registrarConclusaoSla,
+  verificarSlas
+};
@@ -0,0 +1,101 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+/*
+ * Envio de SMS com transportes plugáveis, escolhidos pela variável SMS_TRANSPORT:
+ *  - twilio: API REST do Twilio (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM)
+ *  - console: apenas registra a mensagem no log (padrão quando nada está configurado)
+ */
+
+// Telefones são armazenados apenas com dígitos; números nacionais recebem o DDI 55
+const formatarTelefoneE164 = (telefone) => {
+  const numeros = String(telefone || '').replace(/\D/g, '');
+  if (!numeros) return null;
+  return numeros.startsWith('55') && numeros.length > 11 ? `+${numeros}` : `+55${numeros}`;
+};
+
+const criarTransporteTwilio = () => {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM } = process.env;
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM) {
+    logger.error('Variáveis TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN e TWILIO_FROM são obrigatórias');
+    throw new Error('Configuração de SMS incompleta');
+  }
+
+  return {
+    nome: 'twilio',
+    enviar: async ({ para, mensagem }) => {
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
+        new URLSearchParams({ To: para, From: TWILIO_FROM, Body: mensagem }).toString(),
+        {
+          auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 15000
+        }
+      );
+      return { messageId: response.data?.sid };
+    }
+  };
+};
+
+const criarTransporteConsole = () => ({
+  nome: 'console',
+  enviar: async ({ para }) => {
+    logger.info(`[SMS não enviado - transporte console] Para: ${para}`);
+    return { messageId: null };
+  }
+});
+
+const TRANSPORTES = {
+  twilio: criarTransporteTwilio,
+  console: criarTransporteConsole
+};
+
+let transporteAtual = null;
+
+// Retorna o transporte configurado (criado sob demanda)
+const obterTransporteSms = () => {
+  if (!transporteAtual) {
+    const nome = (process.env.SMS_TRANSPORT || 'console').toLowerCase();
+    const criarTransporte = TRANSPORTES[nome];
+
+    if (!criarTransporte) {
+      throw new Error(`Transporte de SMS desconhecido: ${nome}`);
+    }
+
+    transporteAtual = criarTransporte();
+  }
+
+  return transporteAtual;
+};
+
+// Permite substituir o transporte (ex.: testes ou transportes personalizados)
+const definirTransporteSms = (transporte) => {
+  transporteAtual = transporte;
+};
+
+/**
+ * Envia um SMS.
+ * @param {string} telefone - número do destinatário (com ou sem DDI)
+ * @param {string} mensagem
+ * @returns {Promise<{ messageId: string|null }>}
+ */
+const enviarSms = async (telefone, mensagem) => {
+  const para = formatarTelefoneE164(telefone);
+  if (!para) {
+    throw new Error('Telefone do destinatário não informado');
+  }
+
+  const transporte = obterTransporteSms();
+  const resultado = await transporte.enviar({ para, mensagem });
+  logger.info(`SMS enviado via ${transporte.nome}`, { messageId: resultado.messageId });
+  return resultado;
+};
+
+module.exports = {
+  enviarSms,
+  formatarTelefoneE164,
+  obterTransporteSms,
+  definirTransporteSms,
+  TRANSPORTES
+};
@@ -0,0 +1,78 @@
+const path = require('path');
+const logger = require('../../utils/logger');
+const { criarDriverS3 } = require('./s3Driver');
+const { criarDriverLocal } = require('./localDriver');
+
+/*
+ * Camada única de armazenamento de arquivos (exames, laudos, logos, certificados).
+ * Driver escolhido por STORAGE_DRIVER:
+ *   s3    - Amazon S3 (padrão; AWS_S3_BUCKET, AWS_REGION e credenciais AWS_*)
+ *   minio - endpoint compatível com S3 em STORAGE_ENDPOINT (mesmas variáveis AWS_*)
+ *   local - sistema de arquivos em STORAGE_LOCAL_DIR, servido por /api/arquivos
+ *
+ * Interface dos drivers:
+ *   enviar(key, buffer, { contentType, metadata }) -> { key, url, etag }
+ *   baixar(key) -> Buffer
+ *   remover(key)
+ *   existe(key) -> boolean
+ *   mover(origem, destino, { classe }) -> { key, url } (classe: StorageClass do S3, ignorada nos demais)
+ *   gerarUrlAssinada(key, expiresIn) -> string
+ *   urlArquivo(key) -> string (endereço não assinado, gravado como referência)
+ */
+
+const DRIVERS = ['s3', 'minio', 'local'];
+
+const DIRETORIO_LOCAL_PADRAO = path.join(__dirname, '../../../storage');
+
+const criarStorage = (config = process.env) => {
+  const driver = (config.STORAGE_DRIVER || 's3').toLowerCase();
+
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`STORAGE_DRIVER inválido: ${driver}. Valores permitidos: ${DRIVERS.join(', ')}`);
+  }
+
+  if (driver === 'local') {
+    // Segredo exclusivo: vazar ou rotacionar o JWT não pode afetar as URLs dos arquivos (e vice-versa)
+    const segredo = config.STORAGE_URL_SEGREDO;
+    if (!segredo) {
+      throw new Error('Defina STORAGE_URL_SEGREDO para assinar as URLs do armazenamento local');
+    }
+    if (segredo === config.JWT_SECRET) {
+      throw new Error('STORAGE_URL_SEGREDO deve ser diferente de JWT_SECRET');
+    }
+    return criarDriverLocal({
+      diretorio: config.STORAGE_LOCAL_DIR || DIRETORIO_LOCAL_PADRAO,
+      urlBase: config.STORAGE_URL_BASE || `http://localhost:${config.PORT || 3000}/api/arquivos`,
+      segredo
+    });
+  }
+
+  if (driver === 'minio' && !config.STORAGE_ENDPOINT) {
+    throw new Error('Defina STORAGE_ENDPOINT para usar o driver minio');
+  }
+
+  return criarDriverS3({
+    bucket: config.AWS_S3_BUCKET,
+    region: config.AWS_REGION,
+    endpoint: driver === 'minio' ? config.STORAGE_ENDPOINT : null,
+    accessKeyId: config.AWS_ACCESS_KEY_ID,
+    secretAccessKey: config.AWS_SECRET_ACCESS_KEY
+  });
+};
+
+let storage = null;
+
+// Instância única, criada no primeiro uso a partir das variáveis de ambiente
+const obterStorage = () => {
+  if (!storage) {
+    storage = criarStorage();
+    logger.info(`Armazenamento de arquivos: driver ${storage.nome}`);
+  }
+  return storage;
+};
+
+module.exports = {
+  DRIVERS,
+  criarStorage,
+  obterStorage
+};
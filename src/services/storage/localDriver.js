@@ -0,0 +1,94 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { validarChave, assinarChave, verificarAssinatura } = require('../../utils/storage');
+
+const SUFIXO_METADADOS = '.meta.json';
+
+/**
+ * Driver de sistema de arquivos local (desenvolvimento e execução offline).
+ * URLs assinadas apontam para GET /api/arquivos/<chave>, validadas por HMAC.
+ */
+const criarDriverLocal = ({ diretorio, urlBase, segredo }) => {
+  const raiz = path.resolve(diretorio);
+
+  const caminho = (key) => {
+    const completo = path.resolve(raiz, validarChave(key));
+    if (!completo.startsWith(raiz + path.sep)) {
+      throw new Error(`Chave de armazenamento inválida: ${key}`);
+    }
+    return completo;
+  };
+
+  const urlArquivo = (key) => `${urlBase.replace(/\/$/, '')}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+  return {
+    nome: 'local',
+    diretorio: raiz,
+
+    async enviar(key, buffer, { contentType, metadata = {} } = {}) {
+      const destino = caminho(key);
+      await fs.mkdir(path.dirname(destino), { recursive: true, mode: 0o700 });
+      await fs.writeFile(destino, buffer, { mode: 0o600 });
+      await fs.writeFile(`${destino}${SUFIXO_METADADOS}`, JSON.stringify({ contentType, metadata }), { mode: 0o600 });
+      return { key, url: urlArquivo(key), etag: null };
+    },
+
+    async baixar(key) {
+      return fs.readFile(caminho(key));
+    },
+
+    async remover(key) {
+      const destino = caminho(key);
+      await fs.rm(destino, { force: true });
+      await fs.rm(`${destino}${SUFIXO_METADADOS}`, { force: true });
+    },
+
+    // Sem camadas de armazenamento: só muda a chave (o metadado acompanha o arquivo)
+    async mover(origem, destino) {
+      const de = caminho(origem);
+      const para = caminho(destino);
+      await fs.mkdir(path.dirname(para), { recursive: true, mode: 0o700 });
+      await fs.rename(de, para);
+      try {
+        await fs.rename(`${de}${SUFIXO_METADADOS}`, `${para}${SUFIXO_METADADOS}`);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      return { key: destino, url: urlArquivo(destino) };
+    },
+
+    async existe(key) {
+      try {
+        const info = await fs.stat(caminho(key));
+        return info.isFile();
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+
+    // Content-Type e metadados gravados no envio (arquivos antigos podem não ter)
+    async lerMetadados(key) {
+      try {
+        return JSON.parse(await fs.readFile(`${caminho(key)}${SUFIXO_METADADOS}`, 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return { contentType: null, metadata: {} };
+        throw err;
+      }
+    },
+
+    async gerarUrlAssinada(key, expiresIn = 3600) {
+      const expira = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${urlArquivo(key)}?expira=${expira}&assinatura=${assinarChave(key, expira, segredo)}`;
+    },
+
+    // Conferência feita pela rota /api/arquivos antes de servir o arquivo
+    verificarUrlAssinada(key, expira, assinatura) {
+      return verificarAssinatura(key, expira, assinatura, segredo);
+    },
+
+    urlArquivo
+  };
+};
+
+module.exports = { criarDriverLocal };
@@ -0,0 +1,91 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { validarChave } = require('../../utils/storage');
+
+/**
+ * Driver para Amazon S3 ou qualquer endpoint compatível (MinIO).
+ * Com `endpoint` definido, usa path-style e não pede criptografia no servidor
+ * (o MinIO só aceita SSE-S3 quando tem KMS configurado).
+ */
+const criarDriverS3 = ({ bucket, region, endpoint, accessKeyId, secretAccessKey }) => {
+  const compativel = !!endpoint;
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    ...(compativel && { endpoint, forcePathStyle: true }),
+    credentials: {
+      accessKeyId,
+      secretAccessKey
+    }
+  });
+
+  const urlArquivo = (key) => (compativel
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}/${key}`
+    : `https://${bucket}.s3.${region}.amazonaws.com/${key}`);
+
+  return {
+    nome: compativel ? 'minio' : 's3',
+    client,
+
+    async enviar(key, buffer, { contentType, metadata = {} } = {}) {
+      const resultado = await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: validarChave(key),
+        Body: buffer,
+        ContentType: contentType,
+        ...(!compativel && { ServerSideEncryption: 'AES256' }),
+        Metadata: metadata
+      }));
+      return { key, url: urlArquivo(key), etag: resultado.ETag };
+    },
+
+    async baixar(key) {
+      const resultado = await client.send(new GetObjectCommand({ Bucket: bucket, Key: validarChave(key) }));
+      return Buffer.from(await resultado.Body.transformToByteArray());
+    },
+
+    async remover(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: validarChave(key) }));
+    },
+
+    // Cópia no próprio bucket seguida da remoção; `classe` é a StorageClass do destino (só na AWS)
+    async mover(origem, destino, { classe } = {}) {
+      validarChave(origem);
+      validarChave(destino);
+      await client.send(new CopyObjectCommand({
+        Bucket: bucket,
+        CopySource: `${bucket}/${origem.split('/').map(encodeURIComponent).join('/')}`,
+        Key: destino,
+        MetadataDirective: 'COPY',
+        ...(!compativel && { ServerSideEncryption: 'AES256' }),
+        ...(!compativel && classe && { StorageClass: classe })
+      }));
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: origem }));
+      return { key: destino, url: urlArquivo(destino) };
+    },
+
+    async existe(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: validarChave(key) }));
+        return true;
+      } catch (err) {
+        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return false;
+        throw err;
+      }
+    },
+
+    async gerarUrlAssinada(key, expiresIn = 3600) {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: validarChave(key) }), { expiresIn });
+    },
+
+    urlArquivo
+  };
+};
+
+module.exports = { criarDriverS3 };
@@ -1,102 +1,62 @@
-const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const multer = require('multer');
-const crypto = require('crypto');
 const path = require('path');
+const { ehArquivoDicom } = require('../utils/dicom');
+const { normalizarTenantId, gerarChaveArquivo } = require('../utils/storage');
+const { obterStorage } = require('./storage');
 
-// Configurar AWS SDK v3
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
+// Arquivos DICOM costumam chegar sem mimetype específico; a extensão também vale
+const ehUploadDicom = (file) =>
+  file.mimetype === 'application/dicom' || path.extname(file.originalname || '').toLowerCase() === '.dcm';
 
-// Função para gerar nome único do arquivo
-const generateFileName = (tenantId, type, originalName) => {
-  const timestamp = Date.now();
-  const randomId = crypto.randomUUID();
-  const extension = path.extname(originalName);
-  return `${type}/${tenantId}/${timestamp}_${randomId}${extension}`;
-};
+// Storage do multer: envia o arquivo pelo driver configurado (S3, MinIO ou local)
+const storageArquivos = {
+  _handleFile: (req, file, cb) => {
+    const tenantId = normalizarTenantId(req.tenant_id || req.user?.tenant_id);
+    const fileName = gerarChaveArquivo('exames', tenantId, file.originalname);
 
-// Storage personalizado para S3 v3
-const s3Storage = {
-  _handleFile: async (req, file, cb) => {
-    try {
-      // Corrigir acesso ao tenant_id
-      let tenantId = req.tenant_id || req.user?.tenant_id || 'default';
-      
-      // Se tenant_id for array, pegar o primeiro
-      if (Array.isArray(tenantId)) {
-        if (tenantId.length > 0) {
-          if (typeof tenantId[0] === 'object' && tenantId[0]._id) {
-            tenantId = tenantId[0]._id;
-          } else {
-            tenantId = tenantId[0];
-          }
-        } else {
-          tenantId = 'default';
+    // Coletar dados do arquivo
+    const chunks = [];
+    file.stream.on('data', (chunk) => chunks.push(chunk));
+    file.stream.on('end', async () => {
+      try {
+        const buffer = Buffer.concat(chunks);
+        const dicom = ehUploadDicom(file);
+
+        if (dicom && !ehArquivoDicom(buffer)) {
+          return cb(new Error('Arquivo DICOM inválido'));
         }
+
+        const result = await obterStorage().enviar(fileName, buffer, {
+          contentType: dicom ? 'application/dicom' : file.mimetype,
+          metadata: {
+            'tenant-id': tenantId,
+            'uploaded-by': String(req.usuarioId || req.user?.id || 'system'),
+            'original-name': file.originalname,
+            'upload-date': new Date().toISOString()
+          }
+        });
+
+        cb(null, {
+          key: fileName,
+          location: result.url,
+          etag: result.etag,
+          size: buffer.length,
+          // O controller lê o cabeçalho DICOM e gera a miniatura sem baixar o arquivo de volta
+          buffer,
+          ...(dicom && { dicom: true })
+        });
+      } catch (error) {
+        cb(error);
       }
-      
-      const type = 'exames';
-      const fileName = generateFileName(tenantId, type, file.originalname);
-      
-      // Coletar dados do arquivo
-      const chunks = [];
-      file.stream.on('data', (chunk) => chunks.push(chunk));
-      file.stream.on('end', async () => {
-        try {
-          const buffer = Buffer.concat(chunks);
-          
-          const uploadCommand = new PutObjectCommand({
-            Bucket: process.env.AWS_S3_BUCKET,
-            Key: fileName,
-            Body: buffer,
-            ContentType: file.mimetype,
-            ServerSideEncryption: 'AES256',
-            Metadata: {
-              'tenant-id': tenantId.toString(),
-              'uploaded-by': req.usuarioId || req.user?.id || 'system',
-              'original-name': file.originalname,
-              'upload-date': new Date().toISOString()
-            }
-          });
-          
-          const result = await s3Client.send(uploadCommand);
-          
-          // Gerar URL do arquivo
-          const fileUrl = `https://${process.env.AWS_S3_BUCKET}.s3.${process.env.AWS_REGION}.amazonaws.com/${fileName}`;
-          
-          cb(null, {
-            bucket: process.env.AWS_S3_BUCKET,
-            key: fileName,
-            location: fileUrl,
-            etag: result.ETag,
-            size: buffer.length
-          });
-        } catch (error) {
-          cb(error);
-        }
-      });
-      
-      file.stream.on('error', cb);
-    } catch (error) {
-      cb(error);
-    }
+    });
+
+    file.stream.on('error', cb);
   },
-  
+
   _removeFile: async (req, file, cb) => {
     try {
       if (file.key) {
-        const deleteCommand = new DeleteObjectCommand({
-          Bucket: process.env.AWS_S3_BUCKET,
-          Key: file.key
-        });
-        
-        await s3Client.send(deleteCommand);
+        await obterStorage().remover(file.key);
       }
       cb(null);
     } catch (error) {
@@ -105,50 +65,39 @@ const s3Storage = {
   }
 };
 
-// Configurar multer para S3 v3
+// Configurar multer com o armazenamento configurado
 const upload = multer({
-  storage: s3Storage,
+  storage: storageArquivos,
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024 // 100MB
   },
   fileFilter: (req, file, cb) => {
     const allowedTypes = ['application/pdf', 'image/jpeg', 'image/png'];
     
-    if (allowedTypes.includes(file.mimetype)) {
+    if (allowedTypes.includes(file.mimetype) || ehUploadDicom(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Tipo de arquivo não permitido. Apenas PDF, JPG e PNG são aceitos.'), false);
+      cb(new Error('Tipo de arquivo não permitido. Apenas PDF, JPG, PNG e DICOM (.dcm) são aceitos.'), false);
     }
   }
 });
 
-// Função para deletar arquivo do S3 v3
+// Remove um arquivo do armazenamento (falha só é registrada)
 const deleteFile = async (fileKey) => {
   try {
-    const command = new DeleteObjectCommand({
-      Bucket: process.env.AWS_S3_BUCKET,
-      Key: fileKey
-    });
-    
-    await s3Client.send(command);
-    console.log(`Arquivo deletado do S3: ${fileKey}`);
+    await obterStorage().remover(fileKey);
+    console.log(`Arquivo deletado do armazenamento: ${fileKey}`);
     return true;
   } catch (error) {
-    console.error('Erro ao deletar arquivo do S3:', error);
+    console.error('Erro ao deletar arquivo do armazenamento:', error);
     return false;
   }
 };
 
-// Função para gerar URL assinada (temporária) v3
+// URL assinada (temporária) para download
 const getSignedUrlForFile = async (fileKey, expiresIn = 3600) => {
   try {
-    const command = new GetObjectCommand({
-      Bucket: process.env.AWS_S3_BUCKET,
-      Key: fileKey
-    });
-    
-    const signedUrl = await getSignedUrl(s3Client, command, { expiresIn });
-    return signedUrl;
+    return await obterStorage().gerarUrlAssinada(fileKey, expiresIn);
   } catch (error) {
     console.error('Erro ao gerar URL assinada:', error);
     throw error;
@@ -159,5 +108,5 @@ module.exports = {
   upload,
   deleteFile,
   getSignedUrl: getSignedUrlForFile,
-  s3Client
+  ehUploadDicom
 };
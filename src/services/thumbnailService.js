@@ -0,0 +1,105 @@
+const sharp = require('sharp');
+const Exame = require('../models/Exame');
+const logger = require('../utils/logger');
+const { obterStorage } = require('./storage');
+const { deleteFile } = require('./storageServiceV3');
+const { gerarPreviaDicom } = require('./dicomService');
+const { lerDicom } = require('../utils/dicom');
+const { renderizarPrimeiraPagina } = require('../utils/pdfToThumbnail');
+const {
+  LARGURA_THUMBNAIL,
+  detectarTipoArquivo,
+  montarChaveThumbnail,
+  thumbnailAtualizada
+} = require('../utils/thumbnail');
+const { normalizarTenantId } = require('../utils/storage');
+
+// Imagem de origem da miniatura conforme o tipo do arquivo (null quando não suportado)
+const obterImagemOrigem = async (buffer, nomeArquivo) => {
+  switch (detectarTipoArquivo(buffer, nomeArquivo)) {
+    case 'pdf':
+      return renderizarPrimeiraPagina(buffer);
+    case 'imagem':
+      return buffer;
+    case 'dicom':
+      return gerarPreviaDicom(lerDicom(buffer));
+    default:
+      return null;
+  }
+};
+
+/**
+ * Miniatura JPEG do arquivo do exame: 1ª página do PDF, imagem reduzida ou prévia do DICOM
+ * @returns {Promise<Buffer|null>}
+ */
+const gerarImagemThumbnail = async (buffer, nomeArquivo = '') => {
+  const origem = await obterImagemOrigem(buffer, nomeArquivo);
+  if (!origem) return null;
+
+  return sharp(origem)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .resize({ width: LARGURA_THUMBNAIL, withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+};
+
+/**
+ * Gera a miniatura do arquivo atual do exame, grava no armazenamento ao lado de arquivoKey
+ * e registra a chave em Exame.thumbnail.
+ * @param {Object} exame - _id, arquivoKey e tenant_id
+ * @param {Object} opcoes - buffer do arquivo já em memória (evita baixar de novo)
+ * @returns {Promise<string|null>} chave da miniatura ou null quando o tipo não é suportado
+ */
+const gerarThumbnailExame = async (exame, { buffer } = {}) => {
+  if (!exame.arquivoKey) return null;
+
+  const arquivo = buffer || await obterStorage().baixar(exame.arquivoKey);
+  const imagem = await gerarImagemThumbnail(arquivo, exame.arquivoKey);
+  if (!imagem) return null;
+
+  const key = montarChaveThumbnail(exame.arquivoKey);
+  await obterStorage().enviar(key, imagem, {
+    contentType: 'image/jpeg',
+    metadata: {
+      'tenant-id': normalizarTenantId(exame.tenant_id),
+      'exame-id': exame._id.toString()
+    }
+  });
+
+  await Exame.updateOne({ _id: exame._id }, { thumbnail: key });
+  return key;
+};
+
+/**
+ * Chave da miniatura do exame, gerando-a quando ausente, desatualizada ou removida do armazenamento
+ */
+const obterThumbnailExame = async (exame, { regenerar = false } = {}) => {
+  if (!regenerar && thumbnailAtualizada(exame) && await obterStorage().existe(exame.thumbnail)) {
+    return exame.thumbnail;
+  }
+  return gerarThumbnailExame(exame);
+};
+
+// Geração após o upload sem atrasar a resposta; falha só é registrada
+const agendarThumbnailExame = (exame, buffer) => {
+  setImmediate(() => {
+    gerarThumbnailExame(exame, { buffer }).catch(err => {
+      logger.error(`Erro ao gerar miniatura do exame ${exame._id}: ${err.message}`);
+    });
+  });
+};
+
+// Remove a miniatura do arquivo substituído ou excluído
+const removerThumbnailExame = async (exame) => {
+  const key = montarChaveThumbnail(exame.arquivoKey);
+  if (key) await deleteFile(key);
+};
+
+module.exports = {
+  gerarImagemThumbnail,
+  gerarThumbnailExame,
+  obterThumbnailExame,
+  agendarThumbnailExame,
+  removerThumbnailExame
+};
@@ -0,0 +1,132 @@
+const Exame = require('../models/Exame');
+const { calcularExpiracao, filtroBloqueioDisponivel } = require('../utils/worklist');
+
+const CAMPOS_WORKLIST = ['paciente', 'tipoExame', 'dataExame', 'prazoLaudo', 'sla', 'status', 'bloqueio',
+  'possuiAlteracoes', 'alteracoes', 'tenant_id', 'createdAt'];
+
+/**
+ * Assume (ou renova) o bloqueio de um exame de forma atômica.
+ * Só tem sucesso se o exame estiver livre, com bloqueio expirado ou já bloqueado pelo próprio usuário.
+ * @param {Object} filtroExame - filtro do exame (ex.: { _id, tenant_id })
+ * @param {string} usuarioId
+ * @param {string} usuarioNome
+ * @returns {Promise<Object|null>} exame bloqueado ou null se outro médico detém o bloqueio
+ */
+const assumirBloqueio = async (filtroExame, usuarioId, usuarioNome) => {
+  const agora = new Date();
+
+  return Exame.findOneAndUpdate(
+    { ...filtroExame, ...filtroBloqueioDisponivel(usuarioId, agora) },
+    {
+      $set: {
+        'bloqueio.usuarioId': usuarioId,
+        'bloqueio.usuarioNome': usuarioNome,
+        'bloqueio.dataBloqueio': agora,
+        'bloqueio.expiraEm': calcularExpiracao(agora)
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Libera o bloqueio do exame. Com `usuarioId`, só libera se o bloqueio for desse usuário.
+ * @returns {Promise<Object|null>} exame liberado ou null se nada foi alterado
+ */
+const liberarBloqueio = async (filtroExame, usuarioId = null) => {
+  const filtro = { ...filtroExame, 'bloqueio.usuarioId': usuarioId || { $ne: null } };
+  return Exame.findOneAndUpdate(filtro, { $unset: { bloqueio: 1 } }, { new: true });
+};
+
+/**
+ * Página da worklist paginada no banco: exames sem laudo válido e não cancelados, na ordem de
+ * ordenarWorklist (urgentes, depois com medidas alteradas, depois os mais antigos).
+ * @param {Object} filtro - filtro base do exame (tenant, tipos de exame)
+ * @param {Object} opcoes - { usuarioId, incluirBloqueados, apenasMeus, page, limit }
+ * @returns {Promise<{ exames: Array, total: number }>} exames hidratados, com paciente e tipo de exame
+ */
+const listarPaginaWorklist = async (filtro, {
+  usuarioId,
+  incluirBloqueados = true,
+  apenasMeus = false,
+  page = 1,
+  limit = 20
+} = {}) => {
+  const agora = new Date();
+  const condicoes = [filtro, { cancelado: { $ne: true } }];
+
+  if (apenasMeus) {
+    condicoes.push({ 'bloqueio.usuarioId': usuarioId, 'bloqueio.expiraEm': { $gt: agora } });
+  } else if (!incluirBloqueados) {
+    condicoes.push(filtroBloqueioDisponivel(usuarioId, agora));
+  }
+
+  // O aggregate não converte tipos: aplicar o schema do exame ao filtro (ids de tenant/usuário)
+  const match = Exame.find({ $and: condicoes }).cast();
+
+  const [resultado] = await Exame.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'laudos',
+        let: { exameId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$exame', '$$exameId'] }, valido: true } },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'laudoValido'
+      }
+    },
+    { $match: { laudoValido: { $size: 0 } } },
+    {
+      $lookup: {
+        from: 'tipoexames',
+        localField: 'tipoExame',
+        foreignField: '_id',
+        as: 'tipoExameInfo'
+      }
+    },
+    {
+      $addFields: {
+        ordemUrgencia: { $cond: [{ $arrayElemAt: ['$tipoExameInfo.urgente', 0] }, 1, 0] },
+        ordemAlteracoes: { $cond: ['$possuiAlteracoes', 1, 0] },
+        ordemData: { $ifNull: ['$dataExame', '$createdAt'] }
+      }
+    },
+    { $sort: { ordemUrgencia: -1, ordemAlteracoes: -1, ordemData: 1, _id: 1 } },
+    {
+      $facet: {
+        exames: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: Object.fromEntries(CAMPOS_WORKLIST.map(campo => [campo, 1])) }
+        ],
+        total: [{ $count: 'total' }]
+      }
+    }
+  ]);
+
+  const exames = resultado.exames.map(doc => Exame.hydrate(doc));
+  await Exame.populate(exames, [
+    { path: 'paciente', select: 'nome' },
+    { path: 'tipoExame', select: 'nome urgente' }
+  ]);
+
+  // Exames cancelados antes do campo `cancelado`: marcar para que não voltem à worklist
+  const legados = exames.filter(exame => exame.status === 'Cancelado');
+  if (legados.length > 0) {
+    await Exame.updateMany({ _id: { $in: legados.map(exame => exame._id) } }, { $set: { cancelado: true } });
+  }
+
+  return {
+    exames: exames.filter(exame => exame.status !== 'Cancelado'),
+    total: (resultado.total[0]?.total || 0) - legados.length
+  };
+};
+
+module.exports = {
+  assumirBloqueio,
+  liberarBloqueio,
+  listarPaginaWorklist
+};
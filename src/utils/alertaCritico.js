@@ -0,0 +1,55 @@
+/*
+ * Regras dos alertas de achado crítico: intervalo de reescalonamento e
+ * destinatários de cada nível (contatos designados, depois também os administradores).
+ */
+
+const INTERVALO_ESCALONAMENTO_PADRAO_MINUTOS = 15;
+
+// Intervalo entre reescalonamentos: o do tenant, ALERTA_CRITICO_INTERVALO_MINUTOS ou o padrão
+const obterIntervaloEscalonamento = (config = {}) => {
+  const doTenant = parseFloat(config?.intervaloEscalonamentoMinutos);
+  if (Number.isFinite(doTenant) && doTenant > 0) return doTenant;
+
+  const doAmbiente = parseFloat(process.env.ALERTA_CRITICO_INTERVALO_MINUTOS);
+  return Number.isFinite(doAmbiente) && doAmbiente > 0 ? doAmbiente : INTERVALO_ESCALONAMENTO_PADRAO_MINUTOS;
+};
+
+const calcularProximoEscalonamento = (dataBase, intervaloMinutos) =>
+  new Date(new Date(dataBase).getTime() + intervaloMinutos * 60 * 1000);
+
+/**
+ * Usuários notificados em cada nível. Nível 0 vai aos contatos designados (ou aos
+ * administradores, se o tenant não tiver contatos); a partir do nível 1, a ambos.
+ * @param {Object} params - { contatos: [Usuario], admins: [Usuario], nivel }
+ * @returns {Array} usuários sem repetição
+ */
+const montarDestinatarios = ({ contatos = [], admins = [], nivel = 0 }) => {
+  const lista = contatos.length === 0 || nivel > 0 ? [...contatos, ...admins] : contatos;
+  const vistos = new Set();
+
+  return lista.filter(usuario => {
+    const id = usuario._id.toString();
+    if (vistos.has(id)) return false;
+    vistos.add(id);
+    return true;
+  });
+};
+
+// E-mails dos usuários e adicionais do tenant, sem repetição
+const montarEmails = (usuarios = [], emailsAdicionais = []) => [
+  ...new Set([
+    ...usuarios.map(usuario => usuario.email),
+    ...emailsAdicionais
+  ].filter(Boolean).map(email => email.toLowerCase()))
+];
+
+const descreverNivel = (nivel) => (nivel > 0 ? `Reescalonamento ${nivel}` : 'Notificação inicial');
+
+module.exports = {
+  INTERVALO_ESCALONAMENTO_PADRAO_MINUTOS,
+  obterIntervaloEscalonamento,
+  calcularProximoEscalonamento,
+  montarDestinatarios,
+  montarEmails,
+  descreverNivel
+};
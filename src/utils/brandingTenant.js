@@ -0,0 +1,187 @@
+// utils/brandingTenant.js
+// Identidade visual do tenant nos PDFs de laudo e nas páginas públicas
+const COR_REGEX = /^#[0-9a-fA-F]{6}$/;
+const CNPJ_REGEX = /^\d{14}$/;
+
+const LIMITES = {
+  tamanhoFonte: { min: 8, max: 14 },
+  margem: { min: 20, max: 80 },
+  textoCabecalho: 120,
+  textoRodape: 200,
+  endereco: 200
+};
+
+const TIPOS_LOGO = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg'
+};
+
+const TAMANHO_MAXIMO_LOGO = 2 * 1024 * 1024;
+
+// Fonte normal dos estilos padrão; as demais escalam na mesma proporção
+const TAMANHO_FONTE_PADRAO = 10;
+
+const CAMPOS_TEXTO = ['textoCabecalho', 'textoRodape', 'endereco'];
+const CAMPOS_COR = ['primaria', 'secundaria', 'texto'];
+const CAMPOS_MARGEM = ['esquerda', 'direita', 'superior', 'inferior'];
+
+const normalizarCnpj = (cnpj) => String(cnpj || '').replace(/\D/g, '');
+
+const formatarCnpj = (cnpj) => {
+  const digitos = normalizarCnpj(cnpj);
+  if (!CNPJ_REGEX.test(digitos)) return cnpj || null;
+  return digitos.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+};
+
+/**
+ * Valida as configurações de branding enviadas pelo tenant.
+ * Campos omitidos não são alterados; null remove a personalização do campo.
+ * Os objetos cores e margens são substituídos por inteiro.
+ * @returns {{ branding: Object, cnpj: string|null|undefined, erros: string[] }}
+ */
+const validarBranding = (dados = {}) => {
+  const branding = {};
+  const erros = [];
+
+  CAMPOS_TEXTO.forEach(campo => {
+    if (dados[campo] === undefined) return;
+    if (dados[campo] === null || dados[campo] === '') {
+      branding[campo] = null;
+      return;
+    }
+    if (typeof dados[campo] !== 'string') {
+      erros.push(`${campo} deve ser um texto`);
+      return;
+    }
+    const valor = dados[campo].trim();
+    if (valor.length > LIMITES[campo]) {
+      erros.push(`${campo} deve ter no máximo ${LIMITES[campo]} caracteres`);
+      return;
+    }
+    branding[campo] = valor || null;
+  });
+
+  if (dados.cores !== undefined) {
+    branding.cores = {};
+    CAMPOS_COR.forEach(cor => {
+      const valor = dados.cores?.[cor];
+      if (valor === undefined || valor === null || valor === '') {
+        branding.cores[cor] = null;
+      } else if (!COR_REGEX.test(valor)) {
+        erros.push(`Cor ${cor} inválida (use o formato #RRGGBB)`);
+      } else {
+        branding.cores[cor] = valor.toLowerCase();
+      }
+    });
+  }
+
+  if (dados.tamanhoFonte !== undefined) {
+    const tamanho = dados.tamanhoFonte === null ? null : Number(dados.tamanhoFonte);
+    if (tamanho !== null && !(tamanho >= LIMITES.tamanhoFonte.min && tamanho <= LIMITES.tamanhoFonte.max)) {
+      erros.push(`tamanhoFonte deve estar entre ${LIMITES.tamanhoFonte.min} e ${LIMITES.tamanhoFonte.max}`);
+    } else {
+      branding.tamanhoFonte = tamanho;
+    }
+  }
+
+  if (dados.margens !== undefined) {
+    branding.margens = {};
+    CAMPOS_MARGEM.forEach(margem => {
+      const valor = dados.margens?.[margem];
+      if (valor === undefined || valor === null || valor === '') {
+        branding.margens[margem] = null;
+        return;
+      }
+      const numero = Number(valor);
+      if (!(numero >= LIMITES.margem.min && numero <= LIMITES.margem.max)) {
+        erros.push(`Margem ${margem} deve estar entre ${LIMITES.margem.min} e ${LIMITES.margem.max}`);
+      } else {
+        branding.margens[margem] = numero;
+      }
+    });
+  }
+
+  let cnpj;
+  if (dados.cnpj !== undefined) {
+    if (dados.cnpj === null || dados.cnpj === '') {
+      cnpj = null;
+    } else if (!CNPJ_REGEX.test(normalizarCnpj(dados.cnpj))) {
+      erros.push('CNPJ inválido');
+    } else {
+      cnpj = normalizarCnpj(dados.cnpj);
+    }
+  }
+
+  return { branding, cnpj, erros };
+};
+
+/**
+ * Estilos do PDF do laudo com o branding do tenant aplicado sobre os estilos padrão.
+ */
+const montarEstilosTenant = (branding, estilosPadrao) => {
+  const cores = branding?.cores || {};
+  const margens = branding?.margens || {};
+  const escala = branding?.tamanhoFonte ? branding.tamanhoFonte / TAMANHO_FONTE_PADRAO : 1;
+
+  const fonts = {};
+  Object.entries(estilosPadrao.fonts).forEach(([nome, tamanho]) => {
+    fonts[nome] = Math.round(tamanho * escala * 10) / 10;
+  });
+
+  const esquerda = margens.esquerda || estilosPadrao.margins.left;
+  const direita = margens.direita || estilosPadrao.margins.right;
+
+  return {
+    ...estilosPadrao,
+    colors: {
+      ...estilosPadrao.colors,
+      primary: cores.primaria || estilosPadrao.colors.primary,
+      secondary: cores.secundaria || estilosPadrao.colors.secondary,
+      text: cores.texto || estilosPadrao.colors.text
+    },
+    margins: {
+      ...estilosPadrao.margins,
+      left: esquerda,
+      right: direita,
+      headerRight: direita,
+      top: margens.superior || estilosPadrao.margins.top,
+      bottom: margens.inferior || estilosPadrao.margins.bottom
+    },
+    fonts
+  };
+};
+
+// Linha do rodapé: texto livre, endereço e CNPJ
+const montarTextoRodape = (branding, cnpj) => [
+  branding?.textoRodape,
+  branding?.endereco,
+  cnpj ? `CNPJ ${formatarCnpj(cnpj)}` : null
+].filter(Boolean).join('  •  ');
+
+// Dados de identidade visual expostos nas páginas públicas do laudo
+const resumoBrandingPublico = (tenant, logoUrl = null) => {
+  const branding = tenant?.branding || {};
+  return {
+    nome: tenant?.nomeFantasia || null,
+    cnpj: tenant?.cnpj ? formatarCnpj(tenant.cnpj) : null,
+    endereco: branding.endereco || null,
+    textoCabecalho: branding.textoCabecalho || null,
+    textoRodape: branding.textoRodape || null,
+    logoUrl,
+    cores: {
+      primaria: branding.cores?.primaria || null,
+      secundaria: branding.cores?.secundaria || null,
+      texto: branding.cores?.texto || null
+    }
+  };
+};
+
+module.exports = {
+  TIPOS_LOGO,
+  TAMANHO_MAXIMO_LOGO,
+  formatarCnpj,
+  validarBranding,
+  montarEstilosTenant,
+  montarTextoRodape,
+  resumoBrandingPublico
+};
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+/*
+ * Carimbo de tempo RFC 3161: montagem da requisição (TimeStampReq), leitura da
+ * resposta da TSA (TimeStampResp / TSTInfo) e inclusão do token na assinatura
+ * CMS do PDF como atributo não assinado (id-aa-signatureTimeStampToken).
+ */
+
+const { asn1 } = forge;
+
+const OIDS = {
+  sha256: '2.16.840.1.101.3.4.2.1',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  signedData: '1.2.840.113549.1.7.2',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  tstInfo: '1.2.840.113549.1.9.16.1.4',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+  signatureTimeStampToken: '1.2.840.113549.1.9.16.2.14'
+};
+
+const { Class, Type } = asn1;
+
+// Conversões entre Buffer e a string binária usada pelo node-forge
+const paraBinario = (buffer) => Buffer.from(buffer).toString('binary');
+const paraBuffer = (binario) => Buffer.from(binario, 'binary');
+const derParaBuffer = (objeto) => paraBuffer(asn1.toDer(objeto).getBytes());
+const lerDer = (buffer) => asn1.fromDer(paraBinario(buffer));
+
+const seq = (itens) => asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, itens);
+const set = (itens) => asn1.create(Class.UNIVERSAL, Type.SET, true, itens);
+const oid = (valor) => asn1.create(Class.UNIVERSAL, Type.OID, false, asn1.oidToDer(valor).getBytes());
+const octetString = (buffer) => asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, paraBinario(buffer));
+const inteiro = (valor) => asn1.create(Class.UNIVERSAL, Type.INTEGER, false, asn1.integerToDer(valor).getBytes());
+const inteiroBytes = (buffer) => asn1.create(Class.UNIVERSAL, Type.INTEGER, false, paraBinario(buffer));
+const algoritmo = (valor) => seq([oid(valor), asn1.create(Class.UNIVERSAL, Type.NULL, false, '')]);
+const explicito = (tag, item) => asn1.create(Class.CONTEXT_SPECIFIC, tag, true, [item]);
+
+const ehTipo = (no, tipo, classe = Class.UNIVERSAL) => no && no.tagClass === classe && no.type === tipo;
+
+// Inteiros são comparados sem zeros à esquerda (a TSA pode reencodar o nonce)
+const normalizarHex = (hex) => (hex || '').toLowerCase().replace(/^(00)+(?=.)/, '');
+
+const sha256 = (dados) => crypto.createHash('sha256').update(dados).digest();
+
+/**
+ * Monta a requisição de carimbo de tempo para os dados informados.
+ * @param {Buffer} dados - conteúdo a ser carimbado (ex.: valor da assinatura)
+ * @param {Object} opcoes - { nonce: Buffer, politica: string }
+ * @returns {{ der: Buffer, nonce: string, imprint: string }}
+ */
+const criarRequisicaoCarimbo = (dados, opcoes = {}) => {
+  const hash = sha256(dados);
+
+  let nonce = opcoes.nonce;
+  if (!nonce) {
+    nonce = crypto.randomBytes(8);
+    nonce[0] = (nonce[0] & 0x7f) || 0x01; // positivo e sem zero à esquerda
+  }
+
+  const itens = [
+    inteiro(1),
+    seq([algoritmo(OIDS.sha256), octetString(hash)])
+  ];
+  if (opcoes.politica) itens.push(oid(opcoes.politica));
+  itens.push(inteiroBytes(nonce));
+  itens.push(asn1.create(Class.UNIVERSAL, Type.BOOLEAN, false, String.fromCharCode(0xff))); // certReq
+
+  return {
+    der: derParaBuffer(seq(itens)),
+    nonce: normalizarHex(Buffer.from(nonce).toString('hex')),
+    imprint: hash.toString('hex')
+  };
+};
+
+// SignedData de um ContentInfo (token de carimbo ou assinatura CMS)
+const obterSignedData = (contentInfo) => {
+  if (asn1.derToOid(contentInfo.value[0].value) !== OIDS.signedData) {
+    throw new Error('Estrutura CMS inválida: SignedData esperado');
+  }
+  return contentInfo.value[1].value[0];
+};
+
+const obterSignerInfo = (signedData) => {
+  const signerInfos = signedData.value[signedData.value.length - 1];
+  if (!ehTipo(signerInfos, Type.SET) || signerInfos.value.length === 0) {
+    throw new Error('Estrutura CMS inválida: SignerInfo não encontrado');
+  }
+  return signerInfos.value[0];
+};
+
+/**
+ * Lê o TSTInfo de um token de carimbo de tempo.
+ * @param {Buffer} tokenDer
+ * @returns {{ politica: string, algoritmoHash: string, imprint: string, serial: string, dataHora: Date, nonce: string|null }}
+ */
+const lerTstInfo = (tokenDer) => {
+  const signedData = obterSignedData(lerDer(tokenDer));
+  const encapContentInfo = signedData.value[2];
+
+  if (asn1.derToOid(encapContentInfo.value[0].value) !== OIDS.tstInfo) {
+    throw new Error('Token de carimbo de tempo inválido: TSTInfo esperado');
+  }
+
+  const tstInfo = asn1.fromDer(encapContentInfo.value[1].value[0].value);
+  const [, politica, messageImprint, serial, genTime, ...opcionais] = tstInfo.value;
+  const nonce = opcionais.find(item => ehTipo(item, Type.INTEGER));
+
+  return {
+    politica: asn1.derToOid(politica.value),
+    algoritmoHash: asn1.derToOid(messageImprint.value[0].value[0].value),
+    imprint: paraBuffer(messageImprint.value[1].value).toString('hex'),
+    serial: normalizarHex(paraBuffer(serial.value).toString('hex')),
+    dataHora: asn1.generalizedTimeToDate(genTime.value),
+    nonce: nonce ? normalizarHex(paraBuffer(nonce.value).toString('hex')) : null
+  };
+};
+
+/**
+ * Interpreta a resposta da TSA.
+ * @param {Buffer} respostaDer - corpo da resposta (application/timestamp-reply)
+ * @returns {{ status: number, token: Buffer, tstInfo: Object }}
+ */
+const interpretarRespostaCarimbo = (respostaDer) => {
+  const resposta = lerDer(respostaDer);
+  const statusInfo = resposta.value[0];
+  const status = asn1.derToInteger(statusInfo.value[0].value);
+
+  // 0 = granted, 1 = grantedWithMods
+  if (status !== 0 && status !== 1) {
+    const textos = statusInfo.value[1] && ehTipo(statusInfo.value[1], Type.SEQUENCE)
+      ? statusInfo.value[1].value.map(texto => forge.util.decodeUtf8(texto.value)).join('; ')
+      : '';
+    throw new Error(`A TSA recusou a requisição (status ${status}${textos ? `: ${textos}` : ''})`);
+  }
+
+  if (!resposta.value[1]) {
+    throw new Error('Resposta da TSA sem token de carimbo de tempo');
+  }
+
+  const token = derParaBuffer(resposta.value[1]);
+  return { status, token, tstInfo: lerTstInfo(token) };
+};
+
+// Valor da assinatura do primeiro signatário (é sobre ele que o carimbo é emitido)
+const obterValorAssinaturaCms = (cmsDer) => {
+  const signerInfo = obterSignerInfo(obterSignedData(lerDer(cmsDer)));
+  const assinatura = [...signerInfo.value].reverse().find(item => ehTipo(item, Type.OCTETSTRING));
+  if (!assinatura) {
+    throw new Error('Estrutura CMS inválida: valor da assinatura não encontrado');
+  }
+  return paraBuffer(assinatura.value);
+};
+
+/**
+ * Inclui o token como atributo não assinado do primeiro signatário.
+ * O atributo não altera o conteúdo assinado, apenas complementa a assinatura.
+ * @returns {Buffer} CMS com o carimbo de tempo
+ */
+const adicionarCarimboAoCms = (cmsDer, tokenDer) => {
+  const contentInfo = lerDer(cmsDer);
+  const signerInfo = obterSignerInfo(obterSignedData(contentInfo));
+
+  const atributo = seq([oid(OIDS.signatureTimeStampToken), set([lerDer(tokenDer)])]);
+  const naoAssinados = signerInfo.value.find(item => ehTipo(item, 1, Class.CONTEXT_SPECIFIC));
+
+  if (naoAssinados) {
+    naoAssinados.value = naoAssinados.value
+      .filter(item => asn1.derToOid(item.value[0].value) !== OIDS.signatureTimeStampToken)
+      .concat(atributo);
+  } else {
+    signerInfo.value.push(asn1.create(Class.CONTEXT_SPECIFIC, 1, true, [atributo]));
+  }
+
+  return derParaBuffer(contentInfo);
+};
+
+// Token de carimbo de tempo presente na assinatura CMS (ou null)
+const obterCarimboDoCms = (cmsDer) => {
+  const signerInfo = obterSignerInfo(obterSignedData(lerDer(cmsDer)));
+  const naoAssinados = signerInfo.value.find(item => ehTipo(item, 1, Class.CONTEXT_SPECIFIC));
+  const atributo = naoAssinados?.value.find(item => asn1.derToOid(item.value[0].value) === OIDS.signatureTimeStampToken);
+  return atributo ? derParaBuffer(atributo.value[1].value[0]) : null;
+};
+
+// Certificados (DER) incluídos em uma estrutura CMS
+const extrairCertificadosCms = (cmsDer) => {
+  const signedData = obterSignedData(lerDer(cmsDer));
+  const certificados = signedData.value.find(item => ehTipo(item, 0, Class.CONTEXT_SPECIFIC));
+  return certificados ? certificados.value.map(derParaBuffer) : [];
+};
+
+/**
+ * Verifica a integridade de um token: imprint dos dados e assinatura RSA da TSA.
+ * @returns {{ valido: boolean, motivo?: string, tstInfo?: Object }}
+ */
+const verificarTokenCarimbo = (tokenDer, dados) => {
+  try {
+    const tstInfo = lerTstInfo(tokenDer);
+    if (dados && tstInfo.imprint !== sha256(dados).toString('hex')) {
+      return { valido: false, motivo: 'O carimbo não corresponde aos dados', tstInfo };
+    }
+
+    const signedData = obterSignedData(lerDer(tokenDer));
+    const conteudo = paraBuffer(signedData.value[2].value[1].value[0].value);
+    const signerInfo = obterSignerInfo(signedData);
+    const atributos = signerInfo.value.find(item => ehTipo(item, 0, Class.CONTEXT_SPECIFIC));
+    const assinatura = [...signerInfo.value].reverse().find(item => ehTipo(item, Type.OCTETSTRING));
+
+    const digest = atributos.value
+      .find(attr => asn1.derToOid(attr.value[0].value) === OIDS.messageDigest)
+      ?.value[1].value[0].value;
+    if (!digest || paraBuffer(digest).toString('hex') !== sha256(conteudo).toString('hex')) {
+      return { valido: false, motivo: 'Resumo do TSTInfo não confere', tstInfo };
+    }
+
+    // Os atributos assinados são verificados com a tag SET (e não [0] IMPLICIT)
+    const atributosDer = derParaBuffer(set(atributos.value));
+    const certificado = forge.pki.certificateFromAsn1(lerDer(extrairCertificadosCms(tokenDer)[0]));
+    const md = forge.md.sha256.create();
+    md.update(paraBinario(atributosDer));
+
+    const valido = certificado.publicKey.verify(md.digest().bytes(), assinatura.value);
+    return valido
+      ? { valido: true, tstInfo, emissor: certificado.subject.getField('CN')?.value }
+      : { valido: false, motivo: 'Assinatura da TSA inválida', tstInfo };
+  } catch (err) {
+    return { valido: false, motivo: err.message };
+  }
+};
+
+module.exports = {
+  OIDS,
+  sha256,
+  criarRequisicaoCarimbo,
+  interpretarRespostaCarimbo,
+  lerTstInfo,
+  obterValorAssinaturaCms,
+  adicionarCarimboAoCms,
+  obterCarimboDoCms,
+  extrairCertificadosCms,
+  verificarTokenCarimbo,
+  obterSignedData,
+  obterSignerInfo,
+  // Blocos ASN.1 reutilizados pela TSA local
+  asn1Helpers: { seq, set, oid, octetString, inteiro, inteiroBytes, algoritmo, explicito, derParaBuffer, lerDer, paraBinario, paraBuffer, ehTipo }
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { asn1Helpers } = require('./carimboTempo');
+
+/*
+ * Leitura de certificados X.509 em DER para montar o material de validação
+ * (LTV): endereços de CRL e OCSP, emissores (AIA) e requisições OCSP.
+ */
+
+const { asn1 } = forge;
+const { Class, Type } = asn1;
+const { seq, octetString, algoritmo, derParaBuffer, paraBinario, paraBuffer, ehTipo } = asn1Helpers;
+
+const OIDS_X509 = {
+  sha1: '1.3.14.3.2.26',
+  crlDistributionPoints: '2.5.29.31',
+  authorityInfoAccess: '1.3.6.1.5.5.7.1.1',
+  ocsp: '1.3.6.1.5.5.7.48.1',
+  caIssuers: '1.3.6.1.5.5.7.48.2'
+};
+
+// BIT STRINGs são mantidos como bytes (a chave pública é usada no hash do OCSP)
+const lerCertificado = (certDer) => asn1.fromDer(paraBinario(certDer), { decodeBitStrings: false });
+
+// Campos do TBSCertificate considerando a versão opcional ([0])
+const camposTbs = (certDer) => {
+  const tbs = lerCertificado(certDer).value[0];
+  const deslocamento = ehTipo(tbs.value[0], 0, Class.CONTEXT_SPECIFIC) ? 1 : 0;
+  const campo = (indice) => tbs.value[indice + deslocamento];
+
+  return {
+    serial: campo(0),
+    emissor: campo(2),
+    titular: campo(4),
+    chavePublica: campo(5),
+    extensoes: tbs.value.find(item => ehTipo(item, 3, Class.CONTEXT_SPECIFIC))
+  };
+};
+
+const lerExtensao = (certDer, oidExtensao) => {
+  const { extensoes } = camposTbs(certDer);
+  if (!extensoes) return null;
+
+  const extensao = extensoes.value[0].value
+    .find(item => asn1.derToOid(item.value[0].value) === oidExtensao);
+  if (!extensao) return null;
+
+  return asn1.fromDer(extensao.value[extensao.value.length - 1].value);
+};
+
+// uniformResourceIdentifier ([6]) em qualquer nível da estrutura
+const coletarUris = (no, uris = []) => {
+  if (!no) return uris;
+  if (ehTipo(no, 6, Class.CONTEXT_SPECIFIC) && !no.constructed) {
+    uris.push(no.value);
+  } else if (Array.isArray(no.value)) {
+    no.value.forEach(filho => coletarUris(filho, uris));
+  }
+  return uris;
+};
+
+const apenasHttp = (uris) => uris.filter(uri => /^https?:\/\//i.test(uri));
+
+// Endereços das listas de certificados revogados
+const obterUrlsCrl = (certDer) => apenasHttp(coletarUris(lerExtensao(certDer, OIDS_X509.crlDistributionPoints)));
+
+// Endereços OCSP e do certificado emissor (Authority Information Access)
+const obterUrlsAcesso = (certDer) => {
+  const aia = lerExtensao(certDer, OIDS_X509.authorityInfoAccess);
+  const urls = { ocsp: [], emissores: [] };
+  if (!aia) return urls;
+
+  aia.value.forEach(descricao => {
+    const metodo = asn1.derToOid(descricao.value[0].value);
+    const uris = apenasHttp(coletarUris(descricao.value[1]));
+    if (metodo === OIDS_X509.ocsp) urls.ocsp.push(...uris);
+    if (metodo === OIDS_X509.caIssuers) urls.emissores.push(...uris);
+  });
+
+  return urls;
+};
+
+const emitidoPor = (certDer, emissorDer) => {
+  try {
+    const certificado = new crypto.X509Certificate(certDer);
+    const emissor = new crypto.X509Certificate(emissorDer);
+    return certificado.checkIssued(emissor) && certificado.verify(emissor.publicKey);
+  } catch (err) {
+    return false;
+  }
+};
+
+const autoAssinado = (certDer) => emitidoPor(certDer, certDer);
+
+/**
+ * Requisição OCSP (RFC 6960) para um certificado, identificado por SHA-1
+ * do nome e da chave pública do emissor.
+ * @returns {Buffer} OCSPRequest em DER
+ */
+const montarRequisicaoOcsp = (certDer, emissorDer) => {
+  const certificado = camposTbs(certDer);
+  const emissor = camposTbs(emissorDer);
+  const sha1 = (dados) => crypto.createHash('sha1').update(dados).digest();
+
+  // BIT STRING da chave pública sem o byte de bits não utilizados
+  const chavePublica = paraBuffer(emissor.chavePublica.value[1].value).subarray(1);
+
+  const certId = seq([
+    algoritmo(OIDS_X509.sha1),
+    octetString(sha1(derParaBuffer(certificado.emissor))),
+    octetString(sha1(chavePublica)),
+    certificado.serial
+  ]);
+
+  return derParaBuffer(seq([seq([seq([seq([certId])])])]));
+};
+
+// responseStatus = successful e responseBytes presentes
+const respostaOcspBemSucedida = (respostaDer) => {
+  try {
+    const resposta = asn1.fromDer(paraBinario(respostaDer));
+    return ehTipo(resposta.value[0], Type.ENUMERATED)
+      && resposta.value[0].value === String.fromCharCode(0)
+      && !!resposta.value[1];
+  } catch (err) {
+    return false;
+  }
+};
+
+// Certificados e CRLs podem ser publicados em DER ou PEM
+const paraDer = (dados) => {
+  const texto = Buffer.from(dados).toString('latin1');
+  const pem = texto.match(/-----BEGIN [^-]+-----([\s\S]+?)-----END [^-]+-----/);
+  return pem ? Buffer.from(pem[1].replace(/\s+/g, ''), 'base64') : Buffer.from(dados);
+};
+
+module.exports = {
+  obterUrlsCrl,
+  obterUrlsAcesso,
+  emitidoPor,
+  autoAssinado,
+  montarRequisicaoOcsp,
+  respostaOcspBemSucedida,
+  paraDer
+};
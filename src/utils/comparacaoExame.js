@@ -0,0 +1,49 @@
+const { MEDIDAS_REFERENCIA } = require('./faixaReferencia');
+
+/*
+ * Comparação das medidas numéricas do exame com um exame anterior do paciente.
+ */
+
+const lerNumero = (valor) => {
+  if (valor === undefined || valor === null || valor === '') return null;
+  const numero = parseFloat(valor);
+  return Number.isFinite(numero) ? numero : null;
+};
+
+const arredondar = (valor, casas = 2) => Math.round(valor * 10 ** casas) / 10 ** casas;
+
+/**
+ * Delta das medidas presentes nos dois exames.
+ * @returns {Array} [{ campo, descricao, unidade, atual, anterior, diferenca, variacaoPercentual }]
+ */
+const compararMedidas = (atual, anterior) => MEDIDAS_REFERENCIA.reduce((medidas, medida) => {
+  const valorAtual = lerNumero(atual?.[medida.campo]);
+  const valorAnterior = lerNumero(anterior?.[medida.campo]);
+  if (valorAtual === null || valorAnterior === null) return medidas;
+
+  medidas.push({
+    campo: medida.campo,
+    descricao: medida.descricao,
+    unidade: medida.unidade,
+    atual: valorAtual,
+    anterior: valorAnterior,
+    diferenca: arredondar(valorAtual - valorAnterior),
+    variacaoPercentual: valorAnterior !== 0 ? arredondar(((valorAtual - valorAnterior) / Math.abs(valorAnterior)) * 100, 1) : null
+  });
+  return medidas;
+}, []);
+
+const formatarNumero = (valor) => String(valor).replace('.', ',');
+
+// Texto da variação para o PDF (ex.: "de 98 para 112 ms (+14 ms)")
+const descreverVariacao = ({ atual, anterior, diferenca, unidade }) => {
+  const sufixo = unidade === '°' ? '°' : ` ${unidade}`;
+  const sinal = diferenca > 0 ? '+' : '';
+  const variacao = diferenca === 0 ? 'sem alteração' : `${sinal}${formatarNumero(diferenca)}${sufixo}`;
+  return `de ${formatarNumero(anterior)} para ${formatarNumero(atual)}${sufixo} (${variacao})`;
+};
+
+module.exports = {
+  compararMedidas,
+  descreverVariacao
+};
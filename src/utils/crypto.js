@@ -19,6 +19,9 @@ const salt = 'fixed_salt_value_do_not_change_this';
 // Deriva a chave de forma segura
 const key = crypto.scryptSync(CRYPTO_SECRET, salt, keyLength);
 
+// Chave separada para os hashes de busca, derivada do mesmo segredo
+const hashKey = crypto.scryptSync(CRYPTO_SECRET, 'keyed_hash_salt_do_not_change_this', keyLength);
+
 function encrypt(text) {
   if (text === null || text === undefined) return null;
   
@@ -70,6 +73,12 @@ function decrypt(encryptedText) {
   }
 }
 
+// Hash determinístico (HMAC-SHA256) para localizar registros por campos cifrados com IV aleatório
+function keyedHash(text) {
+  if (text === null || text === undefined || text === '') return null;
+  return crypto.createHmac('sha256', hashKey).update(String(text)).digest('hex');
+}
+
 // Função para verificar se um valor parece criptografado
 function isEncrypted(value) {
   if (typeof value !== 'string') return false;
@@ -77,4 +86,4 @@ function isEncrypted(value) {
   return parts.length === 2 && parts[0].length === ivLength * 2;
 }
 
-module.exports = { encrypt, decrypt, isEncrypted };
\ No newline at end of file
+module.exports = { encrypt, decrypt, keyedHash, isEncrypted };
\ No newline at end of file
@@ -0,0 +1,472 @@
+// utils/dicom.js
+// Leitura de arquivos DICOM (Part 10): cabeçalho do paciente/estudo, pixels do primeiro quadro e ondas de ECG
+const zlib = require('zlib');
+
+const TRANSFER_SYNTAX = {
+  IMPLICITA_LE: '1.2.840.10008.1.2',
+  EXPLICITA_LE: '1.2.840.10008.1.2.1',
+  DEFLATE: '1.2.840.10008.1.2.1.99',
+  EXPLICITA_BE: '1.2.840.10008.1.2.2',
+  JPEG_BASELINE: '1.2.840.10008.1.2.4.50',
+  JPEG_ESTENDIDO: '1.2.840.10008.1.2.4.51'
+};
+
+// VRs com campo de tamanho de 4 bytes na sintaxe explícita
+const VR_TAMANHO_LONGO = new Set(['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV']);
+
+const TAMANHO_INDEFINIDO = 0xFFFFFFFF;
+const TAG_PIXEL_DATA = '7FE00010';
+
+// Tags usadas (VR necessária para a sintaxe implícita)
+const DICIONARIO = {
+  '00080005': 'CS', // SpecificCharacterSet
+  '00080016': 'UI', // SOPClassUID
+  '00080018': 'UI', // SOPInstanceUID
+  '00080020': 'DA', // StudyDate
+  '00080030': 'TM', // StudyTime
+  '00080060': 'CS', // Modality
+  '00080070': 'LO', // Manufacturer
+  '00080080': 'LO', // InstitutionName
+  '00080100': 'SH', // CodeValue
+  '00080104': 'LO', // CodeMeaning
+  '00081030': 'LO', // StudyDescription
+  '00100010': 'PN', // PatientName
+  '00100020': 'LO', // PatientID
+  '00100030': 'DA', // PatientBirthDate
+  '00100040': 'CS', // PatientSex
+  '0020000D': 'UI', // StudyInstanceUID
+  '0020000E': 'UI', // SeriesInstanceUID
+  '00280002': 'US', // SamplesPerPixel
+  '00280004': 'CS', // PhotometricInterpretation
+  '00280006': 'US', // PlanarConfiguration
+  '00280008': 'IS', // NumberOfFrames
+  '00280010': 'US', // Rows
+  '00280011': 'US', // Columns
+  '00280100': 'US', // BitsAllocated
+  '00280101': 'US', // BitsStored
+  '00280103': 'US', // PixelRepresentation
+  '00281050': 'DS', // WindowCenter
+  '00281051': 'DS', // WindowWidth
+  '00281052': 'DS', // RescaleIntercept
+  '00281053': 'DS', // RescaleSlope
+  '003A0005': 'US', // NumberOfWaveformChannels
+  '003A0010': 'UL', // NumberOfWaveformSamples
+  '003A001A': 'DS', // SamplingFrequency
+  '003A0200': 'SQ', // ChannelDefinitionSequence
+  '003A0203': 'SH', // ChannelLabel
+  '003A0208': 'SQ', // ChannelSourceSequence
+  '003A0210': 'DS', // ChannelSensitivity
+  '003A0211': 'SQ', // ChannelSensitivityUnitsSequence
+  '003A0212': 'DS', // ChannelSensitivityCorrectionFactor
+  '003A0213': 'DS', // ChannelBaseline
+  '54000100': 'SQ', // WaveformSequence
+  '54001004': 'US', // WaveformBitsAllocated
+  '54001006': 'CS', // WaveformSampleInterpretation
+  '54001010': 'OW', // WaveformData
+  '7FE00010': 'OW' // PixelData
+};
+
+const erroDicom = (mensagem) => {
+  const erro = new Error(mensagem);
+  erro.codigo = 'DICOM_INVALIDO';
+  return erro;
+};
+
+/**
+ * Verifica o preâmbulo DICOM Part 10 ("DICM" no byte 128)
+ */
+const ehArquivoDicom = (buffer) => Buffer.isBuffer(buffer)
+  && buffer.length >= 132
+  && buffer.toString('ascii', 128, 132) === 'DICM';
+
+const hex4 = (n) => n.toString(16).toUpperCase().padStart(4, '0');
+
+// Lê um conjunto de elementos até `fim` ou até o delimitador de item (FFFE,E00D)
+const lerConjunto = (ctx, inicio, fim) => {
+  const { buffer, explicita } = ctx;
+  const elementos = {};
+  let pos = inicio;
+
+  while (pos + 8 <= fim) {
+    const grupo = buffer.readUInt16LE(pos);
+    const numero = buffer.readUInt16LE(pos + 2);
+    const tag = hex4(grupo) + hex4(numero);
+
+    if (grupo === 0xFFFE) {
+      pos += 8;
+      if (numero === 0xE00D) return { elementos, pos };
+      continue;
+    }
+
+    let vr;
+    let tamanho;
+    if (explicita) {
+      vr = buffer.toString('ascii', pos + 4, pos + 6);
+      if (VR_TAMANHO_LONGO.has(vr)) {
+        tamanho = buffer.readUInt32LE(pos + 8);
+        pos += 12;
+      } else {
+        tamanho = buffer.readUInt16LE(pos + 6);
+        pos += 8;
+      }
+    } else {
+      vr = DICIONARIO[tag] || 'UN';
+      tamanho = buffer.readUInt32LE(pos + 4);
+      pos += 8;
+    }
+
+    if (tag === TAG_PIXEL_DATA && tamanho === TAMANHO_INDEFINIDO) {
+      const fragmentos = [];
+      while (pos + 8 <= buffer.length) {
+        const numeroItem = buffer.readUInt16LE(pos + 2);
+        const tamanhoItem = buffer.readUInt32LE(pos + 4);
+        pos += 8;
+        if (numeroItem === 0xE0DD) break;
+        fragmentos.push(buffer.subarray(pos, pos + tamanhoItem));
+        pos += tamanhoItem;
+      }
+      // O primeiro item é a tabela de offsets
+      elementos[tag] = { vr, fragmentos: fragmentos.slice(1) };
+      continue;
+    }
+
+    if (vr === 'SQ' || tamanho === TAMANHO_INDEFINIDO) {
+      const limite = tamanho === TAMANHO_INDEFINIDO ? fim : pos + tamanho;
+      // UN de tamanho indefinido é codificado em sintaxe implícita
+      const ctxItens = explicita && vr === 'UN' ? { ...ctx, explicita: false } : ctx;
+      const itens = [];
+
+      while (pos + 8 <= limite) {
+        const numeroItem = buffer.readUInt16LE(pos + 2);
+        const tamanhoItem = buffer.readUInt32LE(pos + 4);
+        pos += 8;
+        if (numeroItem === 0xE0DD) break;
+        if (numeroItem !== 0xE000) throw erroDicom('Sequência DICOM malformada');
+
+        const fimItem = tamanhoItem === TAMANHO_INDEFINIDO ? limite : pos + tamanhoItem;
+        const item = lerConjunto(ctxItens, pos, fimItem);
+        itens.push(item.elementos);
+        pos = tamanhoItem === TAMANHO_INDEFINIDO ? item.pos : fimItem;
+      }
+
+      elementos[tag] = { vr: 'SQ', itens };
+      if (tamanho !== TAMANHO_INDEFINIDO) pos = limite;
+      continue;
+    }
+
+    if (pos + tamanho > buffer.length) {
+      throw erroDicom('Arquivo DICOM truncado');
+    }
+
+    elementos[tag] = { vr, valor: buffer.subarray(pos, pos + tamanho) };
+    pos += tamanho;
+
+    if (ctx.grupoMeta && pos + 2 <= fim && buffer.readUInt16LE(pos) !== 0x0002) break;
+  }
+
+  return { elementos, pos };
+};
+
+const VR_TEXTO = new Set(['AE', 'AS', 'CS', 'DA', 'DS', 'DT', 'IS', 'LO', 'LT', 'PN', 'SH', 'ST', 'TM', 'UC', 'UI', 'UR', 'UT']);
+
+// Valor do elemento conforme a VR; multivalorados retornam o primeiro valor
+const lerValor = (elementos, tag, codificacao = 'latin1') => {
+  const elemento = elementos?.[tag];
+  if (!elemento || !elemento.valor) return null;
+  const { vr, valor } = elemento;
+
+  if (VR_TEXTO.has(vr)) {
+    const texto = valor.toString(vr === 'UI' ? 'ascii' : codificacao).replace(/[\0\s]+$/, '').trim();
+    if (!texto) return null;
+    if (vr === 'DS' || vr === 'IS') {
+      const numero = parseFloat(texto.split('\\')[0]);
+      return isNaN(numero) ? null : numero;
+    }
+    return texto;
+  }
+  if (valor.length < 2) return null;
+  if (vr === 'US') return valor.readUInt16LE(0);
+  if (vr === 'SS') return valor.readInt16LE(0);
+  if (valor.length < 4) return null;
+  if (vr === 'UL') return valor.readUInt32LE(0);
+  if (vr === 'SL') return valor.readInt32LE(0);
+  return null;
+};
+
+/**
+ * Nome DICOM (Família^Nome^Meio^Prefixo^Sufixo) → "Nome Meio Família"
+ */
+const formatarNomeDicom = (valor) => {
+  if (!valor) return null;
+  const [familia, nome, meio] = String(valor).split('=')[0].split('^').map(p => (p || '').trim());
+  const texto = [nome, meio, familia].filter(Boolean).join(' ').replace(/\s+/g, ' ');
+  return texto || null;
+};
+
+// DA (YYYYMMDD) → YYYY-MM-DD
+const formatarDataDicom = (valor) => {
+  const m = String(valor || '').match(/^(\d{4})\.?(\d{2})\.?(\d{2})$/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+};
+
+// Data + hora do estudo → Date (hora local)
+const dataHoraEstudo = (data, hora) => {
+  const d = String(data || '').match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (!d) return null;
+  const h = String(hora || '').match(/^(\d{2})(\d{2})?(\d{2})?/) || [];
+  const resultado = new Date(+d[1], +d[2] - 1, +d[3], +(h[1] || 0), +(h[2] || 0), +(h[3] || 0));
+  return isNaN(resultado.getTime()) ? null : resultado;
+};
+
+// Unidade da sensibilidade do canal → fator para microvolts
+const FATOR_MICROVOLTS = { uv: 1, mv: 1000, v: 1000000 };
+
+const lerOndas = (elementos, codificacao) => {
+  const sequencia = elementos['54000100']?.itens;
+  if (!sequencia || sequencia.length === 0) return null;
+
+  const grupo = sequencia[0];
+  const numeroCanais = lerValor(grupo, '003A0005');
+  const numeroAmostras = lerValor(grupo, '003A0010');
+  const frequencia = lerValor(grupo, '003A001A');
+  const bits = lerValor(grupo, '54001004') || 16;
+  const interpretacao = lerValor(grupo, '54001006') || 'SS';
+  const dados = grupo['54001010']?.valor;
+
+  if (!numeroCanais || !numeroAmostras || !dados) return null;
+
+  const bytesAmostra = bits / 8;
+  if (![1, 2].includes(bytesAmostra) || dados.length < numeroCanais * numeroAmostras * bytesAmostra) return null;
+
+  const lerAmostra = {
+    SS: (i) => dados.readInt16LE(i * 2),
+    US: (i) => dados.readUInt16LE(i * 2),
+    SB: (i) => dados.readInt8(i),
+    UB: (i) => dados.readUInt8(i)
+  }[interpretacao];
+  if (!lerAmostra) return null;
+
+  const definicoes = grupo['003A0200']?.itens || [];
+
+  const canais = Array.from({ length: numeroCanais }, (_, c) => {
+    const definicao = definicoes[c] || {};
+    const fonte = definicao['003A0208']?.itens?.[0];
+    const unidade = String(lerValor(definicao['003A0211']?.itens?.[0], '00080100') || 'uV').toLowerCase();
+    const sensibilidade = lerValor(definicao, '003A0210') ?? 1;
+    const correcao = lerValor(definicao, '003A0212') ?? 1;
+    const linhaBase = lerValor(definicao, '003A0213') ?? 0;
+    const fator = FATOR_MICROVOLTS[unidade] || 1;
+
+    const microvolts = new Float32Array(numeroAmostras);
+    for (let s = 0; s < numeroAmostras; s++) {
+      microvolts[s] = (lerAmostra(s * numeroCanais + c) * sensibilidade * correcao + linhaBase) * fator;
+    }
+
+    return {
+      rotulo: lerValor(fonte, '00080104', codificacao) || lerValor(definicao, '003A0203', codificacao) || `Canal ${c + 1}`,
+      microvolts
+    };
+  });
+
+  return { frequencia, amostras: numeroAmostras, canais };
+};
+
+/**
+ * Lê o arquivo DICOM.
+ * @returns {{ transferSyntax: string, metadados: Object, elementos: Object, ondas: Object|null }}
+ */
+const lerDicom = (buffer) => {
+  if (!ehArquivoDicom(buffer)) {
+    throw erroDicom('Arquivo não é DICOM (preâmbulo DICM ausente)');
+  }
+
+  try {
+    return lerConteudoDicom(buffer);
+  } catch (erro) {
+    if (erro.codigo === 'DICOM_INVALIDO') throw erro;
+    throw erroDicom(`Arquivo DICOM malformado: ${erro.message}`);
+  }
+};
+
+const lerConteudoDicom = (buffer) => {
+  const meta = lerConjunto({ buffer, explicita: true, grupoMeta: true }, 132, buffer.length);
+  const transferSyntax = lerValor(meta.elementos, '00020010') || TRANSFER_SYNTAX.EXPLICITA_LE;
+
+  if (transferSyntax === TRANSFER_SYNTAX.EXPLICITA_BE) {
+    throw erroDicom('Transfer syntax Big Endian não suportada');
+  }
+
+  let dados = buffer;
+  let inicio = meta.pos;
+  if (transferSyntax === TRANSFER_SYNTAX.DEFLATE) {
+    dados = zlib.inflateRawSync(buffer.subarray(meta.pos));
+    inicio = 0;
+  }
+
+  const { elementos } = lerConjunto(
+    { buffer: dados, explicita: transferSyntax !== TRANSFER_SYNTAX.IMPLICITA_LE },
+    inicio,
+    dados.length
+  );
+
+  const codificacao = String(lerValor(elementos, '00080005') || '').includes('ISO_IR 192') ? 'utf8' : 'latin1';
+  const texto = (tag) => lerValor(elementos, tag, codificacao);
+
+  return {
+    transferSyntax,
+    elementos,
+    metadados: {
+      pacienteNome: formatarNomeDicom(texto('00100010')),
+      pacienteId: texto('00100020'),
+      pacienteNascimento: formatarDataDicom(texto('00100030')),
+      pacienteSexo: texto('00100040'),
+      dataEstudo: dataHoraEstudo(texto('00080020'), texto('00080030')),
+      modalidade: texto('00080060'),
+      descricaoEstudo: texto('00081030'),
+      fabricante: texto('00080070'),
+      instituicao: texto('00080080'),
+      studyInstanceUid: texto('0020000D'),
+      seriesInstanceUid: texto('0020000E'),
+      sopInstanceUid: texto('00080018'),
+      sopClassUid: texto('00080016'),
+      linhas: texto('00280010'),
+      colunas: texto('00280011'),
+      quadros: texto('00280008') || (elementos[TAG_PIXEL_DATA] ? 1 : null)
+    },
+    ondas: lerOndas(elementos, codificacao)
+  };
+};
+
+/**
+ * Primeiro quadro da imagem em 8 bits (tons de cinza ou RGB) ou o JPEG encapsulado.
+ * @returns {{ largura, altura, canais, dados: Buffer }|{ jpeg: Buffer }|null}
+ */
+const extrairQuadro = (dicom) => {
+  const { elementos, transferSyntax } = dicom;
+  const pixels = elementos[TAG_PIXEL_DATA];
+  if (!pixels) return null;
+
+  if (pixels.fragmentos) {
+    if (![TRANSFER_SYNTAX.JPEG_BASELINE, TRANSFER_SYNTAX.JPEG_ESTENDIDO].includes(transferSyntax)) return null;
+    const quadros = lerValor(elementos, '00280008') || 1;
+    const jpeg = quadros > 1 ? pixels.fragmentos[0] : Buffer.concat(pixels.fragmentos);
+    return jpeg?.length ? { jpeg } : null;
+  }
+
+  const altura = lerValor(elementos, '00280010');
+  const largura = lerValor(elementos, '00280011');
+  const amostras = lerValor(elementos, '00280002') || 1;
+  const bits = lerValor(elementos, '00280100') || 8;
+  const comSinal = lerValor(elementos, '00280103') === 1;
+  const fotometria = lerValor(elementos, '00280004') || 'MONOCHROME2';
+  const total = (altura || 0) * (largura || 0);
+
+  if (!total || ![8, 16].includes(bits) || pixels.valor.length < total * amostras * (bits / 8)) return null;
+
+  if (amostras === 3) {
+    if (bits !== 8 || fotometria !== 'RGB') return null;
+    const dados = Buffer.alloc(total * 3);
+    const planar = lerValor(elementos, '00280006') === 1;
+    for (let i = 0; i < total; i++) {
+      for (let c = 0; c < 3; c++) {
+        dados[i * 3 + c] = planar ? pixels.valor[c * total + i] : pixels.valor[i * 3 + c];
+      }
+    }
+    return { largura, altura, canais: 3, dados };
+  }
+
+  if (amostras !== 1) return null;
+
+  const inclinacao = lerValor(elementos, '00281053') ?? 1;
+  const intercepto = lerValor(elementos, '00281052') ?? 0;
+  const valores = new Float32Array(total);
+  let minimo = Infinity;
+  let maximo = -Infinity;
+
+  for (let i = 0; i < total; i++) {
+    let bruto;
+    if (bits === 8) bruto = comSinal ? pixels.valor.readInt8(i) : pixels.valor[i];
+    else bruto = comSinal ? pixels.valor.readInt16LE(i * 2) : pixels.valor.readUInt16LE(i * 2);
+    const valor = bruto * inclinacao + intercepto;
+    valores[i] = valor;
+    if (valor < minimo) minimo = valor;
+    if (valor > maximo) maximo = valor;
+  }
+
+  // Janela do arquivo quando houver; senão, mínimo/máximo
+  const centro = lerValor(elementos, '00281050');
+  const janela = lerValor(elementos, '00281051');
+  const inferior = janela > 1 ? centro - janela / 2 : minimo;
+  const amplitude = janela > 1 ? janela : (maximo - minimo) || 1;
+  const inverter = fotometria === 'MONOCHROME1';
+
+  const dados = Buffer.alloc(total);
+  for (let i = 0; i < total; i++) {
+    const nivel = Math.round(Math.min(Math.max((valores[i] - inferior) / amplitude, 0), 1) * 255);
+    dados[i] = inverter ? 255 - nivel : nivel;
+  }
+
+  return { largura, altura, canais: 1, dados };
+};
+
+const normalizarNome = (texto) => String(texto || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z]+/)
+  .filter(parte => parte.length > 2);
+
+/**
+ * Compara o paciente do arquivo com o paciente selecionado no cadastro.
+ * @returns {Array<{ campo, dicom, cadastro, mensagem }>} divergências encontradas
+ */
+const compararPacienteDicom = (metadados, paciente) => {
+  const avisos = [];
+  if (!metadados || !paciente) return avisos;
+
+  if (metadados.pacienteNome && paciente.nome) {
+    const doArquivo = normalizarNome(metadados.pacienteNome);
+    const doCadastro = new Set(normalizarNome(paciente.nome));
+    const emComum = doArquivo.filter(parte => doCadastro.has(parte)).length;
+    // Nomes abreviados no equipamento são aceitos enquanto as partes do arquivo existirem no cadastro
+    if (doArquivo.length > 0 && emComum < Math.min(doArquivo.length, 2)) {
+      avisos.push({
+        campo: 'nome',
+        dicom: metadados.pacienteNome,
+        cadastro: paciente.nome,
+        mensagem: 'O nome do paciente no arquivo DICOM difere do paciente selecionado'
+      });
+    }
+  }
+
+  if (metadados.pacienteNascimento && paciente.dataNascimento && metadados.pacienteNascimento !== paciente.dataNascimento) {
+    avisos.push({
+      campo: 'dataNascimento',
+      dicom: metadados.pacienteNascimento,
+      cadastro: paciente.dataNascimento,
+      mensagem: 'A data de nascimento no arquivo DICOM difere do paciente selecionado'
+    });
+  }
+
+  const idNumerico = String(metadados.pacienteId || '').replace(/\D/g, '');
+  const cpf = String(paciente.cpf || '').replace(/\D/g, '');
+  if (idNumerico.length === 11 && cpf.length === 11 && idNumerico !== cpf) {
+    avisos.push({
+      campo: 'cpf',
+      dicom: metadados.pacienteId,
+      cadastro: paciente.cpf,
+      mensagem: 'O ID do paciente no arquivo DICOM (CPF) difere do paciente selecionado'
+    });
+  }
+
+  return avisos;
+};
+
+module.exports = {
+  TRANSFER_SYNTAX,
+  ehArquivoDicom,
+  lerDicom,
+  extrairQuadro,
+  formatarNomeDicom,
+  compararPacienteDicom
+};
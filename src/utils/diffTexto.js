@@ -0,0 +1,173 @@
+/*
+ * Diff de texto por palavras (algoritmo de Myers) usado para comparar
+ * versões de laudos refeitos.
+ */
+
+// Palavras e espaços em branco viram tokens separados para preservar a formatação
+const tokenizar = (texto) => (texto || '').match(/\s+|[^\s]+/g) || [];
+
+// Caminho de edição mínimo entre duas sequências de tokens
+const diffSequencias = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Guarda apenas as diagonais alcançáveis neste passo
+    trace.push({ inicio: -d - 1, valores: v.slice(offset - d - 1, offset + d + 2) });
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return reconstruirCaminho(trace, a, b);
+      }
+    }
+  }
+
+  return [];
+};
+
+const reconstruirCaminho = (trace, a, b) => {
+  const operacoes = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const { inicio, valores } = trace[d];
+    const obter = (k) => valores[k - inicio];
+    const k = x - y;
+
+    const kAnterior = (k === -d || (k !== d && obter(k - 1) < obter(k + 1))) ? k + 1 : k - 1;
+    const xAnterior = obter(kAnterior);
+    const yAnterior = xAnterior - kAnterior;
+
+    while (x > xAnterior && y > yAnterior) {
+      operacoes.push({ tipo: 'igual', texto: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === xAnterior) {
+        operacoes.push({ tipo: 'adicionado', texto: b[y - 1] });
+      } else {
+        operacoes.push({ tipo: 'removido', texto: a[x - 1] });
+      }
+    }
+
+    x = xAnterior;
+    y = yAnterior;
+  }
+
+  return operacoes.reverse();
+};
+
+// Junta tokens consecutivos do mesmo tipo em um único segmento
+const agruparSegmentos = (operacoes) => operacoes.reduce((segmentos, operacao) => {
+  const ultimo = segmentos[segmentos.length - 1];
+  if (ultimo && ultimo.tipo === operacao.tipo) {
+    ultimo.texto += operacao.texto;
+  } else {
+    segmentos.push({ ...operacao });
+  }
+  return segmentos;
+}, []);
+
+const contarPalavras = (segmentos, tipo) => segmentos
+  .filter(segmento => segmento.tipo === tipo)
+  .reduce((total, segmento) => total + tokenizar(segmento.texto).filter(t => t.trim()).length, 0);
+
+/**
+ * Diff por palavras entre dois textos.
+ * @returns {{ alterado: boolean, segmentos: Array<{ tipo: 'igual'|'adicionado'|'removido', texto: string }>,
+ *   palavrasAdicionadas: number, palavrasRemovidas: number }}
+ */
+const diffPalavras = (textoAnterior, textoAtual) => {
+  const a = tokenizar(textoAnterior);
+  const b = tokenizar(textoAtual);
+
+  // Prefixo e sufixo comuns ficam fora do algoritmo (correções costumam ser pontuais)
+  let inicio = 0;
+  while (inicio < a.length && inicio < b.length && a[inicio] === b[inicio]) inicio++;
+
+  let fimA = a.length;
+  let fimB = b.length;
+  while (fimA > inicio && fimB > inicio && a[fimA - 1] === b[fimB - 1]) {
+    fimA--;
+    fimB--;
+  }
+
+  const operacoes = [
+    ...a.slice(0, inicio).map(texto => ({ tipo: 'igual', texto })),
+    ...diffSequencias(a.slice(inicio, fimA), b.slice(inicio, fimB)),
+    ...a.slice(fimA).map(texto => ({ tipo: 'igual', texto }))
+  ];
+
+  const segmentos = agruparSegmentos(operacoes);
+
+  return {
+    alterado: segmentos.some(segmento => segmento.tipo !== 'igual'),
+    segmentos,
+    palavrasAdicionadas: contarPalavras(segmentos, 'adicionado'),
+    palavrasRemovidas: contarPalavras(segmentos, 'removido')
+  };
+};
+
+/**
+ * Compara as seções de duas versões (pela chave ou título) com diff por palavras.
+ * @returns {Array<{ chave: string, titulo: string, situacao: 'adicionada'|'removida'|'alterada', diff: Object }>}
+ */
+const diffSecoes = (secoesAnteriores = [], secoesAtuais = []) => {
+  const chaveDe = (secao) => secao.chave || secao.titulo;
+  const anteriores = new Map(secoesAnteriores.map(secao => [chaveDe(secao), secao]));
+  const atuais = new Map(secoesAtuais.map(secao => [chaveDe(secao), secao]));
+  const chaves = [...new Set([...anteriores.keys(), ...atuais.keys()])];
+
+  return chaves.reduce((alteracoes, chave) => {
+    const anterior = anteriores.get(chave);
+    const atual = atuais.get(chave);
+    const diff = diffPalavras(anterior?.conteudo, atual?.conteudo);
+
+    if (anterior && atual && !diff.alterado) return alteracoes;
+
+    alteracoes.push({
+      chave,
+      titulo: (atual || anterior).titulo,
+      situacao: !anterior ? 'adicionada' : !atual ? 'removida' : 'alterada',
+      diff
+    });
+    return alteracoes;
+  }, []);
+};
+
+/**
+ * Lista os campos simples que mudaram entre duas versões.
+ * @returns {Array<{ campo: string, anterior: *, atual: * }>}
+ */
+const compararCampos = (anterior, atual, campos) => campos
+  .filter(campo => {
+    const valorAnterior = anterior?.[campo] instanceof Date ? anterior[campo].getTime() : anterior?.[campo] ?? null;
+    const valorAtual = atual?.[campo] instanceof Date ? atual[campo].getTime() : atual?.[campo] ?? null;
+    return String(valorAnterior) !== String(valorAtual);
+  })
+  .map(campo => ({ campo, anterior: anterior?.[campo] ?? null, atual: atual?.[campo] ?? null }));
+
+module.exports = {
+  tokenizar,
+  diffPalavras,
+  diffSecoes,
+  compararCampos
+};
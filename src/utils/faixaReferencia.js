@@ -0,0 +1,143 @@
+/*
+ * Faixas de referência das medidas do exame. Cada faixa vale para um tipo de
+ * exame e pode ser restrita por sexo e idade; a mais específica é aplicada.
+ */
+
+// Medidas do exame que aceitam faixa de referência
+const MEDIDAS_REFERENCIA = [
+  { campo: 'frequenciaCardiaca', descricao: 'Frequência cardíaca', unidade: 'bpm' },
+  { campo: 'segmentoPR', descricao: 'Segmento PR', unidade: 'ms' },
+  { campo: 'duracaoQRS', descricao: 'Duração do QRS', unidade: 'ms' },
+  { campo: 'eixoMedioQRS', descricao: 'Eixo médio do QRS', unidade: '°' },
+  { campo: 'altura', descricao: 'Altura', unidade: 'cm' },
+  { campo: 'peso', descricao: 'Peso', unidade: 'kg' }
+];
+
+const CAMPOS_MEDIDA = MEDIDAS_REFERENCIA.map(medida => medida.campo);
+
+const SITUACAO = {
+  BAIXO: 'baixo',
+  ALTO: 'alto'
+};
+
+const lerNumero = (valor) => {
+  if (valor === undefined || valor === null || valor === '') return null;
+  const numero = parseFloat(valor);
+  return Number.isFinite(numero) ? numero : null;
+};
+
+// Idade em anos completos na data de referência (null se a data de nascimento for inválida)
+const calcularIdadeAnos = (dataNascimento, referencia = new Date()) => {
+  if (!dataNascimento) return null;
+  const texto = String(dataNascimento);
+  const nascimento = /^\d{4}-\d{2}-\d{2}$/.test(texto)
+    ? new Date(Number(texto.slice(0, 4)), Number(texto.slice(5, 7)) - 1, Number(texto.slice(8, 10)))
+    : new Date(dataNascimento);
+  if (isNaN(nascimento.getTime())) return null;
+
+  const data = new Date(referencia);
+  let idade = data.getFullYear() - nascimento.getFullYear();
+  const mes = data.getMonth() - nascimento.getMonth();
+  if (mes < 0 || (mes === 0 && data.getDate() < nascimento.getDate())) idade--;
+  return idade >= 0 ? idade : null;
+};
+
+// Faixa sem restrição de sexo/idade vale para todos; com restrição, exige o dado do paciente
+const faixaAplicavel = (faixa, { idade = null, sexo = null } = {}) => {
+  if (faixa.ativo === false) return false;
+  if (faixa.sexo && faixa.sexo !== sexo) return false;
+
+  const temIdadeMinima = faixa.idadeMinima !== undefined && faixa.idadeMinima !== null;
+  const temIdadeMaxima = faixa.idadeMaxima !== undefined && faixa.idadeMaxima !== null;
+  if ((temIdadeMinima || temIdadeMaxima) && idade === null) return false;
+  if (temIdadeMinima && idade < faixa.idadeMinima) return false;
+  if (temIdadeMaxima && idade > faixa.idadeMaxima) return false;
+
+  return true;
+};
+
+// Tenant antes de global, sexo definido antes de genérico, faixa etária mais estreita primeiro
+const especificidade = (faixa) => {
+  const amplitudeIdade = (faixa.idadeMaxima ?? 150) - (faixa.idadeMinima ?? 0);
+  return [faixa.tenant_id ? 1 : 0, faixa.sexo ? 1 : 0, -amplitudeIdade];
+};
+
+const compararEspecificidade = (a, b) => {
+  const pesoA = especificidade(a);
+  const pesoB = especificidade(b);
+  for (let i = 0; i < pesoA.length; i++) {
+    if (pesoA[i] !== pesoB[i]) return pesoB[i] - pesoA[i];
+  }
+  return 0;
+};
+
+/**
+ * Faixa mais específica para a medida, dado o paciente.
+ * @param {Array} faixas - faixas do tipo de exame (do tenant e globais)
+ * @param {string} campo - uma das medidas de MEDIDAS_REFERENCIA
+ * @param {Object} contexto - { idade, sexo }
+ * @returns {Object|null}
+ */
+const selecionarFaixa = (faixas, campo, contexto = {}) => {
+  const candidatas = (faixas || [])
+    .filter(faixa => faixa.campo === campo && faixaAplicavel(faixa, contexto))
+    .sort(compararEspecificidade);
+  return candidatas[0] || null;
+};
+
+/**
+ * Compara as medidas do exame com as faixas de referência.
+ * O valor não é copiado para a alteração: as medidas são criptografadas no exame.
+ * @returns {Array} [{ campo, descricao, situacao, minimo, maximo, unidade }]
+ */
+const avaliarMedidas = (exame, faixas, contexto = {}) => {
+  const alteracoes = [];
+
+  MEDIDAS_REFERENCIA.forEach(medida => {
+    const valor = lerNumero(exame?.[medida.campo]);
+    if (valor === null) return;
+
+    const faixa = selecionarFaixa(faixas, medida.campo, contexto);
+    if (!faixa) return;
+
+    const minimo = lerNumero(faixa.minimo);
+    const maximo = lerNumero(faixa.maximo);
+    let situacao = null;
+    if (minimo !== null && valor < minimo) situacao = SITUACAO.BAIXO;
+    if (maximo !== null && valor > maximo) situacao = SITUACAO.ALTO;
+    if (!situacao) return;
+
+    alteracoes.push({
+      campo: medida.campo,
+      descricao: medida.descricao,
+      situacao,
+      minimo,
+      maximo,
+      unidade: faixa.unidade || medida.unidade
+    });
+  });
+
+  return alteracoes;
+};
+
+// Texto da faixa para exibição (ex.: "60 a 100 bpm", "até 120 ms")
+const formatarFaixa = ({ minimo, maximo, unidade }) => {
+  const sufixo = unidade ? ` ${unidade}` : '';
+  if (minimo !== null && minimo !== undefined && maximo !== null && maximo !== undefined) {
+    return `${minimo} a ${maximo}${sufixo}`;
+  }
+  if (maximo !== null && maximo !== undefined) return `até ${maximo}${sufixo}`;
+  if (minimo !== null && minimo !== undefined) return `a partir de ${minimo}${sufixo}`;
+  return '';
+};
+
+module.exports = {
+  MEDIDAS_REFERENCIA,
+  CAMPOS_MEDIDA,
+  SITUACAO,
+  calcularIdadeAnos,
+  faixaAplicavel,
+  selecionarFaixa,
+  avaliarMedidas,
+  formatarFaixa
+};
@@ -0,0 +1,335 @@
+// utils/fhir.js
+// Conversão entre os modelos do sistema e recursos FHIR R4 (Patient, ServiceRequest, Observation, DiagnosticReport)
+
+const VERSAO_FHIR = '4.0.1';
+
+// Sistemas de identificadores e terminologias
+const SISTEMA_CPF = 'http://rnds.saude.gov.br/fhir/r4/NamingSystem/cpf';
+const SISTEMA_TIPO_EXAME = 'urn:laudofy:tipo-exame';
+const SISTEMA_PEDIDO = 'urn:laudofy:pedido-externo';
+const SISTEMA_LOINC = 'http://loinc.org';
+const SISTEMA_UCUM = 'http://unitsofmeasure.org';
+
+// Medidas do exame publicadas como Observation (LOINC / UCUM)
+const MEDIDAS_OBSERVACAO = [
+  { campo: 'frequenciaCardiaca', codigo: 'fc', loinc: '8867-4', descricao: 'Frequência cardíaca', unidade: '/min' },
+  { campo: 'segmentoPR', codigo: 'pr', loinc: '8625-6', descricao: 'Intervalo PR', unidade: 'ms' },
+  { campo: 'duracaoQRS', codigo: 'qrs', loinc: '8633-0', descricao: 'Duração do QRS', unidade: 'ms' },
+  { campo: 'eixoMedioQRS', codigo: 'eixo-qrs', loinc: '8632-2', descricao: 'Eixo médio do QRS', unidade: 'deg' },
+  { campo: 'altura', codigo: 'altura', loinc: '8302-2', descricao: 'Altura', unidade: 'cm' },
+  { campo: 'peso', codigo: 'peso', loinc: '29463-7', descricao: 'Peso', unidade: 'kg' }
+];
+
+// Status do exame → ServiceRequest.status
+const STATUS_SERVICE_REQUEST = {
+  Pendente: 'active',
+  'Concluído': 'active',
+  'Laudo realizado': 'completed',
+  Cancelado: 'revoked'
+};
+
+// Status do laudo → DiagnosticReport.status (rascunhos não são expostos)
+const STATUS_DIAGNOSTIC_REPORT = {
+  'Em revisão': 'preliminary',
+  'Revisão rejeitada': 'preliminary',
+  'Laudo em processamento': 'preliminary',
+  'Laudo pronto para assinatura': 'preliminary',
+  'Laudo realizado': 'preliminary',
+  'Laudo assinado': 'final',
+  'Laudo refeito': 'amended',
+  Cancelado: 'cancelled',
+  'Erro ao gerar PDF': 'preliminary',
+  'Erro no envio': 'final'
+};
+
+const idTexto = (valor) => (valor?._id || valor) ? String(valor._id || valor) : null;
+
+const dataIso = (valor) => {
+  if (!valor) return undefined;
+  const data = valor instanceof Date ? valor : new Date(valor);
+  return isNaN(data.getTime()) ? undefined : data.toISOString();
+};
+
+// Remove chaves vazias (FHIR não aceita null nem arrays vazios)
+const limpar = (recurso) => {
+  Object.keys(recurso).forEach(chave => {
+    const valor = recurso[chave];
+    if (valor === undefined || valor === null || valor === '' || (Array.isArray(valor) && valor.length === 0)) {
+      delete recurso[chave];
+    }
+  });
+  return recurso;
+};
+
+const meta = (atualizadoEm) => {
+  const lastUpdated = dataIso(atualizadoEm);
+  return lastUpdated ? { lastUpdated } : undefined;
+};
+
+const referencia = (tipo, valor, display) => {
+  const id = idTexto(valor);
+  return id ? limpar({ reference: `${tipo}/${id}`, display }) : undefined;
+};
+
+// Id de referência "Tipo/id" ou "id" → id
+const lerReferencia = (valor, tipo) => {
+  const texto = String(valor?.reference ?? valor ?? '').trim();
+  if (!texto) return null;
+  const partes = texto.split('/');
+  if (partes.length === 1) return partes[0];
+  return partes[partes.length - 2] === tipo ? partes[partes.length - 1] : null;
+};
+
+// Data de nascimento YYYY-MM-DD
+const dataNascimentoValida = (valor) => {
+  const texto = String(valor || '');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(texto)) return false;
+  const data = new Date(`${texto}T00:00:00Z`);
+  return !isNaN(data.getTime()) && data.toISOString().startsWith(texto) && data <= new Date();
+};
+
+/**
+ * Paciente → Patient
+ */
+const pacienteParaPatient = (paciente) => {
+  const partesNome = String(paciente.nome || '').trim().split(/\s+/).filter(Boolean);
+
+  return limpar({
+    resourceType: 'Patient',
+    id: idTexto(paciente),
+    meta: meta(paciente.dataAtualizacao || paciente.dataCriacao),
+    identifier: paciente.cpf ? [{ use: 'official', system: SISTEMA_CPF, value: String(paciente.cpf).replace(/\D/g, '') }] : [],
+    name: partesNome.length ? [limpar({
+      use: 'official',
+      text: paciente.nome,
+      family: partesNome.length > 1 ? partesNome[partesNome.length - 1] : undefined,
+      given: partesNome.length > 1 ? partesNome.slice(0, -1) : partesNome
+    })] : [],
+    telecom: [
+      paciente.telefone ? { system: 'phone', value: paciente.telefone } : null,
+      paciente.email ? { system: 'email', value: paciente.email } : null
+    ].filter(Boolean),
+    birthDate: paciente.dataNascimento,
+    address: paciente.endereco ? [{ text: paciente.endereco }] : []
+  });
+};
+
+/**
+ * Patient → dados do Paciente, com a lista de erros de validação.
+ * @returns {{ dados: Object, erros: string[] }}
+ */
+const patientParaPaciente = (recurso) => {
+  const erros = [];
+  if (!recurso || recurso.resourceType !== 'Patient') {
+    return { dados: null, erros: ['resourceType deve ser Patient'] };
+  }
+
+  const identificadores = Array.isArray(recurso.identifier) ? recurso.identifier : [];
+  const identificadorCpf = identificadores.find(i => i?.system === SISTEMA_CPF)
+    || identificadores.find(i => /cpf/i.test(String(i?.system || '')) || /cpf/i.test(String(i?.type?.text || '')));
+  const cpf = String(identificadorCpf?.value || '').replace(/\D/g, '');
+
+  const nomes = Array.isArray(recurso.name) ? recurso.name : [];
+  const nomeOficial = nomes.find(n => n?.use === 'official') || nomes[0];
+  const nome = String(nomeOficial?.text || [...(nomeOficial?.given || []), nomeOficial?.family].filter(Boolean).join(' ')).trim();
+
+  const endereco = (Array.isArray(recurso.address) ? recurso.address : [])[0];
+  const textoEndereco = String(endereco?.text || [
+    ...(endereco?.line || []), endereco?.district, endereco?.city, endereco?.state, endereco?.postalCode
+  ].filter(Boolean).join(', ')).trim();
+
+  const telecom = Array.isArray(recurso.telecom) ? recurso.telecom : [];
+  const telefone = telecom.find(t => t?.system === 'phone')?.value;
+  const email = telecom.find(t => t?.system === 'email')?.value;
+
+  if (!nome) erros.push('Patient.name é obrigatório');
+  if (cpf.length !== 11) erros.push(`Patient.identifier com sistema ${SISTEMA_CPF} (CPF) é obrigatório`);
+  if (!dataNascimentoValida(recurso.birthDate)) erros.push('Patient.birthDate deve estar no formato YYYY-MM-DD');
+  if (!textoEndereco) erros.push('Patient.address é obrigatório');
+
+  return {
+    dados: {
+      nome,
+      cpf,
+      dataNascimento: recurso.birthDate,
+      endereco: textoEndereco,
+      telefone: telefone ? String(telefone).replace(/\D/g, '') : undefined,
+      email: email ? String(email).trim().toLowerCase() : undefined
+    },
+    erros
+  };
+};
+
+/**
+ * Exame → ServiceRequest (o tipo de exame como code)
+ */
+const exameParaServiceRequest = (exame) => {
+  const tipoExame = exame.tipoExame?.nome ? exame.tipoExame : null;
+
+  return limpar({
+    resourceType: 'ServiceRequest',
+    id: idTexto(exame),
+    meta: meta(exame.updatedAt),
+    identifier: exame.pedidoExterno?.numero
+      ? [limpar({ system: SISTEMA_PEDIDO, value: exame.pedidoExterno.numero, assigner: exame.pedidoExterno.aplicacao ? { display: exame.pedidoExterno.aplicacao } : undefined })]
+      : [],
+    status: STATUS_SERVICE_REQUEST[exame.status] || 'unknown',
+    intent: 'order',
+    priority: tipoExame?.urgente ? 'urgent' : 'routine',
+    code: {
+      coding: [limpar({ system: SISTEMA_TIPO_EXAME, code: idTexto(exame.tipoExame), display: tipoExame?.nome })],
+      text: tipoExame?.nome
+    },
+    subject: referencia('Patient', exame.paciente, exame.paciente?.nome),
+    authoredOn: dataIso(exame.dataExame),
+    occurrenceDateTime: dataIso(exame.dataExame),
+    note: exame.observacoes ? [{ text: exame.observacoes }] : []
+  });
+};
+
+/**
+ * ServiceRequest → dados do exame. O tipo de exame é resolvido pelo controller a partir de `codigos`.
+ * @returns {{ dados: Object, erros: string[] }}
+ */
+const serviceRequestParaExame = (recurso) => {
+  const erros = [];
+  if (!recurso || recurso.resourceType !== 'ServiceRequest') {
+    return { dados: null, erros: ['resourceType deve ser ServiceRequest'] };
+  }
+
+  const pacienteId = lerReferencia(recurso.subject, 'Patient');
+  const codigos = (Array.isArray(recurso.code?.coding) ? recurso.code.coding : [])
+    .filter(c => c?.code)
+    .map(c => ({ sistema: c.system || null, codigo: String(c.code).trim(), descricao: c.display || null }));
+  const dataExame = recurso.occurrenceDateTime || recurso.authoredOn;
+  const notas = (Array.isArray(recurso.note) ? recurso.note : []).map(n => n?.text).filter(Boolean);
+  const identificador = (Array.isArray(recurso.identifier) ? recurso.identifier : []).find(i => i?.value);
+
+  if (!pacienteId) erros.push('ServiceRequest.subject deve referenciar um Patient');
+  if (codigos.length === 0 && !recurso.code?.text) erros.push('ServiceRequest.code é obrigatório');
+  if (recurso.intent && !['order', 'original-order', 'plan', 'proposal'].includes(recurso.intent)) {
+    erros.push('ServiceRequest.intent não suportado');
+  }
+  if (dataExame && isNaN(new Date(dataExame).getTime())) erros.push('ServiceRequest.occurrenceDateTime inválido');
+
+  return {
+    dados: {
+      pacienteId,
+      codigos,
+      textoCodigo: recurso.code?.text || null,
+      dataExame: dataExame ? new Date(dataExame) : new Date(),
+      observacoes: notas.join('\n') || null,
+      numeroPedido: identificador ? String(identificador.value) : null,
+      aplicacao: identificador?.assigner?.display || null
+    },
+    erros
+  };
+};
+
+/**
+ * Medidas do exame → Observation (id: <exameId>-<codigo>)
+ */
+const exameParaObservations = (exame) => {
+  const exameId = idTexto(exame);
+
+  return MEDIDAS_OBSERVACAO
+    .map(medida => ({ medida, valor: parseFloat(exame[medida.campo]) }))
+    .filter(({ valor }) => !isNaN(valor))
+    .map(({ medida, valor }) => limpar({
+      resourceType: 'Observation',
+      id: `${exameId}-${medida.codigo}`,
+      status: exame.status === 'Cancelado' ? 'cancelled' : 'final',
+      category: [{
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'procedure', display: 'Procedure' }]
+      }],
+      code: {
+        coding: [{ system: SISTEMA_LOINC, code: medida.loinc, display: medida.descricao }],
+        text: medida.descricao
+      },
+      subject: referencia('Patient', exame.paciente),
+      basedOn: [referencia('ServiceRequest', exameId)],
+      effectiveDateTime: dataIso(exame.dataExame),
+      valueQuantity: { value: valor, unit: medida.unidade, system: SISTEMA_UCUM, code: medida.unidade }
+    }));
+};
+
+/**
+ * Laudo → DiagnosticReport, com o PDF como presentedForm quando houver
+ * @param {Object} opcoes.urlPdf - URL de download do PDF
+ */
+const laudoParaDiagnosticReport = (laudo, { urlPdf = null } = {}) => {
+  const exame = laudo.exame?._id ? laudo.exame : null;
+  const exameId = idTexto(laudo.exame);
+  const status = (laudo.versao || 1) > 1 && laudo.status === 'Laudo assinado'
+    ? 'amended'
+    : (STATUS_DIAGNOSTIC_REPORT[laudo.status] || 'unknown');
+
+  return limpar({
+    resourceType: 'DiagnosticReport',
+    id: idTexto(laudo),
+    meta: meta(laudo.updatedAt),
+    status,
+    code: {
+      coding: exame?.tipoExame?.nome
+        ? [{ system: SISTEMA_TIPO_EXAME, code: idTexto(exame.tipoExame), display: exame.tipoExame.nome }]
+        : [],
+      text: exame?.tipoExame?.nome || 'Laudo'
+    },
+    subject: exame ? referencia('Patient', exame.paciente, exame.paciente?.nome) : undefined,
+    basedOn: exameId ? [referencia('ServiceRequest', exameId)] : [],
+    effectiveDateTime: dataIso(exame?.dataExame),
+    issued: dataIso(laudo.dataAssinatura || laudo.updatedAt),
+    performer: laudo.medicoResponsavel ? [{ display: laudo.medicoResponsavel }] : [],
+    result: exame ? exameParaObservations(exame).map(obs => ({ reference: `Observation/${obs.id}` })) : [],
+    conclusion: laudo.conclusao,
+    presentedForm: urlPdf
+      ? [{ contentType: 'application/pdf', language: 'pt-BR', url: urlPdf, title: `Laudo ${idTexto(laudo)}`, creation: dataIso(laudo.dataAssinatura) }]
+      : []
+  });
+};
+
+/**
+ * Bundle searchset com o total antes da paginação
+ */
+const montarBundle = (recursos, { total, urlBase = '' } = {}) => ({
+  resourceType: 'Bundle',
+  type: 'searchset',
+  total: total ?? recursos.length,
+  entry: recursos.map(recurso => ({
+    fullUrl: urlBase ? `${urlBase}/${recurso.resourceType}/${recurso.id}` : undefined,
+    resource: recurso,
+    search: { mode: 'match' }
+  }))
+});
+
+/**
+ * OperationOutcome de erro (severidade error)
+ * @param {string} codigo - código IssueType (invalid, not-found, duplicate, exception...)
+ */
+const operationOutcome = (codigo, diagnosticos) => ({
+  resourceType: 'OperationOutcome',
+  issue: (Array.isArray(diagnosticos) ? diagnosticos : [diagnosticos]).map(texto => ({
+    severity: codigo === 'informational' ? 'information' : 'error',
+    code: codigo,
+    diagnostics: texto
+  }))
+});
+
+module.exports = {
+  VERSAO_FHIR,
+  SISTEMA_CPF,
+  SISTEMA_TIPO_EXAME,
+  SISTEMA_PEDIDO,
+  MEDIDAS_OBSERVACAO,
+  STATUS_SERVICE_REQUEST,
+  STATUS_DIAGNOSTIC_REPORT,
+  lerReferencia,
+  pacienteParaPatient,
+  patientParaPaciente,
+  exameParaServiceRequest,
+  serviceRequestParaExame,
+  exameParaObservations,
+  laudoParaDiagnosticReport,
+  montarBundle,
+  operationOutcome
+};
@@ -0,0 +1,135 @@
+// utils/frasesLaudo.js
+// Biblioteca de frases/macros dos médicos: atalhos, expansão no texto e importação
+const { substituirVariaveis } = require('./mascaraLaudo');
+
+// Atalho: letras minúsculas, números, "_" e "-" (ex.: rsr, bav-1)
+const ATALHO_REGEX = /^[a-z0-9_-]{2,30}$/;
+
+// No texto do editor o atalho é digitado com "/" no início de uma palavra (ex.: "/rsr")
+const ATALHO_NO_TEXTO_REGEX = /(^|\s)\/([A-Za-z0-9_-]{2,30})(?=$|[\s.,;:!?)])/g;
+
+const FORMATO_EXPORTACAO = 'laudos-frases';
+const VERSAO_EXPORTACAO = 1;
+const MAX_FRASES_IMPORTACAO = 500;
+
+const normalizarAtalho = (atalho) => String(atalho || '').trim().replace(/^\//, '').toLowerCase();
+
+const atalhoValido = (atalho) => ATALHO_REGEX.test(normalizarAtalho(atalho));
+
+/**
+ * Mapa atalho → frase disponível para o médico.
+ * A frase pessoal prevalece sobre a compartilhada do tenant com o mesmo atalho.
+ */
+const montarMapaAtalhos = (frases) => {
+  const mapa = new Map();
+
+  (frases || []).forEach(frase => {
+    const atalho = normalizarAtalho(frase.atalho);
+    const existente = mapa.get(atalho);
+    if (!existente || (existente.escopo !== 'pessoal' && frase.escopo === 'pessoal')) {
+      mapa.set(atalho, frase);
+    }
+  });
+
+  return mapa;
+};
+
+/**
+ * Expande os atalhos do texto ("/atalho") e resolve as variáveis das frases.
+ * Atalhos desconhecidos permanecem no texto.
+ * @returns {{ texto: string, expandidos: string[], pendentes: string[] }}
+ */
+const expandirAtalhos = (texto, mapaAtalhos, contexto = {}) => {
+  const expandidos = new Set();
+  const pendentes = new Set();
+
+  const resultado = String(texto || '').replace(ATALHO_NO_TEXTO_REGEX, (match, espaco, atalho) => {
+    const frase = mapaAtalhos.get(normalizarAtalho(atalho));
+    if (!frase) return match;
+
+    const { texto: expandido, pendentes: pendentesFrase } = substituirVariaveis(frase.texto, contexto);
+    pendentesFrase.forEach(p => pendentes.add(p));
+    expandidos.add(normalizarAtalho(atalho));
+    return `${espaco}${expandido}`;
+  });
+
+  return { texto: resultado, expandidos: [...expandidos], pendentes: [...pendentes] };
+};
+
+// Formato de exportação da biblioteca pessoal (tipos de exame identificados pelo nome)
+const montarExportacao = (frases, nomesTiposExame = new Map()) => ({
+  formato: FORMATO_EXPORTACAO,
+  versao: VERSAO_EXPORTACAO,
+  exportadoEm: new Date().toISOString(),
+  frases: (frases || []).map(frase => ({
+    atalho: frase.atalho,
+    titulo: frase.titulo,
+    texto: frase.texto,
+    categoria: frase.categoria || null,
+    tiposExame: (frase.tipoExameIds || [])
+      .map(tipo => nomesTiposExame.get((tipo?._id || tipo).toString()))
+      .filter(Boolean)
+  }))
+});
+
+/**
+ * Valida o conteúdo importado (mesmo formato da exportação).
+ * @returns {{ frases: Object[], erros: { indice: number, erro: string }[] }}
+ */
+const validarImportacao = (conteudo) => {
+  if (conteudo?.formato && conteudo.formato !== FORMATO_EXPORTACAO) {
+    return { frases: [], erros: [{ indice: null, erro: 'Formato de arquivo não reconhecido' }] };
+  }
+
+  const lista = Array.isArray(conteudo) ? conteudo : conteudo?.frases;
+  if (!Array.isArray(lista)) {
+    return { frases: [], erros: [{ indice: null, erro: 'O arquivo deve conter a lista "frases"' }] };
+  }
+  if (lista.length > MAX_FRASES_IMPORTACAO) {
+    return { frases: [], erros: [{ indice: null, erro: `Máximo de ${MAX_FRASES_IMPORTACAO} frases por importação` }] };
+  }
+
+  const frases = [];
+  const erros = [];
+  const atalhos = new Set();
+
+  lista.forEach((item, indice) => {
+    const atalho = normalizarAtalho(item?.atalho);
+    const texto = typeof item?.texto === 'string' ? item.texto.trim() : '';
+
+    if (!ATALHO_REGEX.test(atalho)) {
+      erros.push({ indice, erro: 'Atalho inválido' });
+      return;
+    }
+    if (!texto) {
+      erros.push({ indice, erro: 'Texto da frase não informado' });
+      return;
+    }
+    if (atalhos.has(atalho)) {
+      erros.push({ indice, erro: `Atalho duplicado: ${atalho}` });
+      return;
+    }
+
+    atalhos.add(atalho);
+    frases.push({
+      atalho,
+      titulo: typeof item.titulo === 'string' && item.titulo.trim() ? item.titulo.trim() : atalho,
+      texto,
+      categoria: typeof item.categoria === 'string' && item.categoria.trim() ? item.categoria.trim() : null,
+      tiposExame: Array.isArray(item.tiposExame)
+        ? item.tiposExame.filter(nome => typeof nome === 'string' && nome.trim()).map(nome => nome.trim())
+        : []
+    });
+  });
+
+  return { frases, erros };
+};
+
+module.exports = {
+  normalizarAtalho,
+  atalhoValido,
+  montarMapaAtalhos,
+  expandirAtalhos,
+  montarExportacao,
+  validarImportacao
+};
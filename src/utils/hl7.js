@@ -0,0 +1,424 @@
+// utils/hl7.js
+// Mensagens HL7 v2.5: resultado do laudo (ORU^R01), pedidos recebidos (ORM/OML) e ACKs
+const crypto = require('crypto');
+
+const VERSAO_HL7 = '2.5';
+const APLICACAO_ORIGEM = 'LAUDOFY';
+
+// Delimitadores MLLP: <VT> mensagem <FS><CR>
+const MLLP_INICIO = '\x0b';
+const MLLP_FIM = '\x1c\r';
+
+// Medidas do exame enviadas como OBX numérico (unidades UCUM)
+const MEDIDAS_EXAME = [
+  { campo: 'frequenciaCardiaca', codigo: 'FC', descricao: 'Frequência cardíaca', unidade: '/min' },
+  { campo: 'segmentoPR', codigo: 'PR', descricao: 'Intervalo PR', unidade: 'ms' },
+  { campo: 'duracaoQRS', codigo: 'QRS', descricao: 'Duração do QRS', unidade: 'ms' },
+  { campo: 'eixoMedioQRS', codigo: 'EIXO_QRS', descricao: 'Eixo médio do QRS', unidade: 'deg' },
+  { campo: 'altura', codigo: 'ALTURA', descricao: 'Altura', unidade: 'cm' },
+  { campo: 'peso', codigo: 'PESO', descricao: 'Peso', unidade: 'kg' }
+];
+
+// Escapa os delimitadores HL7; quebras de linha viram \.br\
+const escaparHl7 = (valor) => {
+  if (valor === undefined || valor === null) return '';
+  return String(valor)
+    .replace(/\\/g, '\\E\\')
+    .replace(/\|/g, '\\F\\')
+    .replace(/\^/g, '\\S\\')
+    .replace(/&/g, '\\T\\')
+    .replace(/~/g, '\\R\\')
+    .replace(/\r\n|\r|\n/g, '\\.br\\');
+};
+
+const doisDigitos = (n) => String(n).padStart(2, '0');
+
+// Data no formato HL7 (YYYYMMDD ou YYYYMMDDHHMMSS±ZZZZ, no fuso do servidor)
+const formatarDataHl7 = (data, { comHora = true } = {}) => {
+  if (!data) return '';
+  const d = data instanceof Date ? data : new Date(data);
+  if (isNaN(d.getTime())) return '';
+
+  const dia = `${d.getFullYear()}${doisDigitos(d.getMonth() + 1)}${doisDigitos(d.getDate())}`;
+  if (!comHora) return dia;
+
+  const offset = -d.getTimezoneOffset();
+  const sinal = offset >= 0 ? '+' : '-';
+  const fuso = `${sinal}${doisDigitos(Math.floor(Math.abs(offset) / 60))}${doisDigitos(Math.abs(offset) % 60)}`;
+
+  return `${dia}${doisDigitos(d.getHours())}${doisDigitos(d.getMinutes())}${doisDigitos(d.getSeconds())}${fuso}`;
+};
+
+// Data de nascimento do paciente (YYYY-MM-DD ou DD/MM/YYYY) → YYYYMMDD
+const formatarNascimentoHl7 = (dataNascimento) => {
+  const texto = String(dataNascimento || '').trim();
+  let m = texto.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}${m[2]}${m[3]}`;
+  m = texto.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (m) return `${m[3]}${m[2]}${m[1]}`;
+  return formatarDataHl7(dataNascimento, { comHora: false });
+};
+
+// MSH-10: até 20 caracteres, único por mensagem
+const gerarControlId = () =>
+  `LF${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+// Nome no formato XPN (sobrenome^prenomes)
+const formatarNomeHl7 = (nome) => {
+  const partes = String(nome || '').trim().split(/\s+/).filter(Boolean);
+  if (partes.length === 0) return '';
+  if (partes.length === 1) return escaparHl7(partes[0]);
+  const sobrenome = partes.pop();
+  return `${escaparHl7(sobrenome)}^${escaparHl7(partes.join(' '))}`;
+};
+
+const montarSegmento = (campos) => campos.join('|').replace(/\|+$/, '');
+
+/**
+ * Monta a mensagem ORU^R01 do laudo assinado.
+ * @param {Object} dados
+ * @param {Object} dados.laudo - _id, versao, conclusao, dataAssinatura, medicoResponsavel
+ * @param {Object} dados.exame - _id, dataExame e medidas (frequenciaCardiaca, segmentoPR, ...)
+ * @param {Object} dados.paciente - _id, nome, cpf, dataNascimento, endereco, telefone
+ * @param {Object} dados.tipoExame - _id, nome
+ * @param {Object} [dados.medico] - nome, crm
+ * @param {string} [dados.remetente] - instalação de origem (nome do tenant)
+ * @param {Object} [dados.destino] - aplicacaoDestino, instalacaoDestino
+ * @param {Buffer} [dados.pdf] - PDF assinado embutido em base64 (OBX ED)
+ * @param {string} [dados.controlId]
+ * @returns {{ mensagem: string, controlId: string }}
+ */
+const montarOruR01 = ({ laudo, exame, paciente, tipoExame, medico, remetente, destino, pdf, controlId, dataMensagem } = {}) => {
+  const idMensagem = controlId || gerarControlId();
+  // Nova versão de laudo já enviado é uma correção do resultado
+  const statusResultado = (laudo?.versao || 1) > 1 ? 'C' : 'F';
+  const dataResultado = formatarDataHl7(laudo?.dataAssinatura || new Date());
+
+  const segmentos = [];
+
+  segmentos.push(
+    'MSH|^~\\&|' + montarSegmento([
+      APLICACAO_ORIGEM,
+      escaparHl7(remetente),
+      escaparHl7(destino?.aplicacaoDestino),
+      escaparHl7(destino?.instalacaoDestino),
+      formatarDataHl7(dataMensagem || new Date()),
+      '',
+      'ORU^R01^ORU_R01',
+      idMensagem,
+      'P',
+      VERSAO_HL7,
+      '',
+      '',
+      'AL',
+      'NE',
+      'BRA',
+      'UNICODE UTF-8'
+    ])
+  );
+
+  const cpf = String(paciente?.cpf || '').replace(/\D/g, '');
+  const identificadores = [`${paciente?._id || ''}^^^${APLICACAO_ORIGEM}^PI`];
+  if (cpf) identificadores.push(`${cpf}^^^BRA^TAX`);
+
+  segmentos.push(montarSegmento([
+    'PID',
+    '1',
+    '',
+    identificadores.join('~'),
+    '',
+    formatarNomeHl7(paciente?.nome),
+    '',
+    formatarNascimentoHl7(paciente?.dataNascimento),
+    '',
+    '',
+    '',
+    escaparHl7(paciente?.endereco),
+    '',
+    escaparHl7(paciente?.telefone)
+  ]));
+
+  const interprete = (medico?.nome || laudo?.medicoResponsavel)
+    ? `${escaparHl7(medico?.crm)}&${escaparHl7(medico?.nome || laudo?.medicoResponsavel)}`
+    : '';
+
+  const obr = [
+    'OBR',
+    '1',
+    `${exame?._id || ''}^${APLICACAO_ORIGEM}`,
+    `${laudo?._id || ''}^${APLICACAO_ORIGEM}`,
+    `${tipoExame?._id || ''}^${escaparHl7(tipoExame?.nome)}^${APLICACAO_ORIGEM}`,
+    '',
+    '',
+    formatarDataHl7(exame?.dataExame)
+  ];
+  // OBR-22 (data do resultado), OBR-25 (status) e OBR-32 (médico laudador)
+  while (obr.length < 33) obr.push('');
+  obr[22] = dataResultado;
+  obr[25] = statusResultado;
+  obr[32] = interprete;
+  segmentos.push(montarSegmento(obr));
+
+  let sequencia = 0;
+  const adicionarObx = (tipo, codigo, descricao, valor, unidade = '') => {
+    sequencia += 1;
+    segmentos.push(montarSegmento([
+      'OBX',
+      String(sequencia),
+      tipo,
+      `${codigo}^${escaparHl7(descricao)}^${APLICACAO_ORIGEM}`,
+      '',
+      valor,
+      unidade ? `${unidade}^${unidade}^UCUM` : '',
+      '',
+      '',
+      '',
+      '',
+      statusResultado,
+      '',
+      '',
+      dataResultado
+    ]));
+  };
+
+  if (laudo?.conclusao) {
+    adicionarObx('TX', 'CONCLUSAO', 'Conclusão', escaparHl7(laudo.conclusao));
+  }
+
+  MEDIDAS_EXAME.forEach(medida => {
+    const valor = parseFloat(exame?.[medida.campo]);
+    if (!isNaN(valor)) {
+      adicionarObx('NM', medida.codigo, medida.descricao, String(valor), medida.unidade);
+    }
+  });
+
+  if (pdf?.length) {
+    adicionarObx('ED', 'PDF', 'Laudo assinado', `${APLICACAO_ORIGEM}^AP^PDF^Base64^${pdf.toString('base64')}`);
+  }
+
+  return { mensagem: segmentos.join('\r') + '\r', controlId: idMensagem };
+};
+
+const enquadrarMllp = (mensagem) => `${MLLP_INICIO}${mensagem}${MLLP_FIM}`;
+
+/**
+ * Extrai as mensagens completas de um buffer MLLP acumulado.
+ * @returns {{ mensagens: string[], resto: string }}
+ */
+const extrairMensagensMllp = (dados) => {
+  const mensagens = [];
+  let resto = String(dados || '');
+
+  let fim = resto.indexOf(MLLP_FIM);
+  while (fim !== -1) {
+    const inicio = resto.indexOf(MLLP_INICIO);
+    if (inicio !== -1 && inicio < fim) {
+      mensagens.push(resto.slice(inicio + 1, fim));
+    }
+    resto = resto.slice(fim + MLLP_FIM.length);
+    fim = resto.indexOf(MLLP_FIM);
+  }
+
+  return { mensagens, resto };
+};
+
+/**
+ * Lê o ACK (MSA) recebido do destino.
+ * @returns {{ codigo: string, controlId: string, texto: string|null, aceito: boolean }|null}
+ */
+const lerAck = (mensagem) => {
+  const segmentos = String(mensagem || '').split(/\r\n|\r|\n/).filter(Boolean);
+  const msa = segmentos.find(seg => seg.startsWith('MSA|'));
+  if (!msa) return null;
+
+  const campos = msa.split('|');
+  const err = segmentos.find(seg => seg.startsWith('ERR|'));
+  const codigo = (campos[1] || '').trim().toUpperCase();
+
+  return {
+    codigo,
+    controlId: (campos[2] || '').trim(),
+    texto: campos[3] || (err ? err.split('|').slice(1).filter(Boolean).join(' ') : null),
+    aceito: codigo === 'AA' || codigo === 'CA'
+  };
+};
+
+// Desfaz os escapes HL7 (inverso de escaparHl7)
+const desescaparHl7 = (valor) => String(valor || '')
+  .replace(/\\\.br\\/g, '\n')
+  .replace(/\\F\\/g, '|')
+  .replace(/\\S\\/g, '^')
+  .replace(/\\T\\/g, '&')
+  .replace(/\\R\\/g, '~')
+  .replace(/\\E\\/g, '\\');
+
+/**
+ * Separa a mensagem em segmentos e campos, respeitando os delimitadores declarados no MSH.
+ * campo(nome, n) segue a numeração HL7 (MSH-9, PID-5...); componentes e repetições vêm sem escape.
+ * @returns {Object|null} { segmentos, obterSegmentos, campo, bruto, repeticoes, componentes }
+ */
+const lerMensagemHl7 = (texto) => {
+  const linhas = String(texto || '').split(/\r\n|\r|\n/).filter(linha => linha.trim());
+  if (linhas.length === 0 || !linhas[0].startsWith('MSH')) return null;
+
+  const separadorCampo = linhas[0][3];
+  const codificacao = linhas[0].slice(4).split(separadorCampo)[0];
+  const separadorComponente = codificacao[0] || '^';
+  const separadorRepeticao = codificacao[1] || '~';
+
+  const segmentos = linhas.map(linha => linha.split(separadorCampo));
+
+  // No MSH o próprio separador é o campo 1, então os índices ficam deslocados
+  const valorCampo = (segmento, n) => {
+    if (!segmento) return '';
+    const indice = segmento[0] === 'MSH' ? n - 1 : n;
+    return segmento[indice] || '';
+  };
+
+  const repeticoes = (segmento, n) => valorCampo(segmento, n).split(separadorRepeticao).filter(Boolean);
+
+  const componentes = (valor) => String(valor || '').split(separadorComponente).map(desescaparHl7);
+
+  return {
+    segmentos,
+    obterSegmentos: (nome) => segmentos.filter(segmento => segmento[0] === nome),
+    campo: (segmento, n) => desescaparHl7(valorCampo(segmento, n)),
+    bruto: valorCampo,
+    repeticoes,
+    componentes
+  };
+};
+
+// Data HL7 (YYYYMMDD[HHMM[SS]]) → Date; dataSomente retorna YYYY-MM-DD
+const lerDataHl7 = (valor, { dataSomente = false } = {}) => {
+  const m = String(valor || '').match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?/);
+  if (!m) return null;
+  if (dataSomente) return `${m[1]}-${m[2]}-${m[3]}`;
+  const data = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4] || 0), Number(m[5] || 0), Number(m[6] || 0));
+  return isNaN(data.getTime()) ? null : data;
+};
+
+// Identificador do paciente com tipo CPF/TAX no PID-3 ou, na falta, o PID-19
+const extrairCpfPid = (msg, pid) => {
+  for (const repeticao of msg.repeticoes(pid, 3)) {
+    const [id, , , autoridade, tipo] = msg.componentes(repeticao);
+    const tipoId = String(tipo || '').toUpperCase();
+    if (['CPF', 'TAX'].includes(tipoId) || /CPF/i.test(autoridade || '')) {
+      return id.replace(/\D/g, '');
+    }
+  }
+  return msg.campo(pid, 19).replace(/\D/g, '') || null;
+};
+
+const extrairPaciente = (msg) => {
+  const pid = msg.obterSegmentos('PID')[0];
+  if (!pid) return null;
+
+  const [sobrenome, prenomes] = msg.componentes(msg.repeticoes(pid, 5)[0]);
+  const endereco = msg.componentes(msg.repeticoes(pid, 11)[0]).filter(Boolean).join(', ');
+  const telefone = msg.componentes(msg.repeticoes(pid, 13)[0]);
+
+  return {
+    nome: [prenomes, sobrenome].filter(Boolean).join(' ').trim(),
+    cpf: extrairCpfPid(msg, pid),
+    dataNascimento: lerDataHl7(msg.campo(pid, 7), { dataSomente: true }),
+    endereco: endereco || null,
+    telefone: (telefone[0] || `${telefone[5] || ''}${telefone[6] || ''}`).replace(/\D/g, '') || null
+  };
+};
+
+/**
+ * Extrai os pedidos de uma mensagem ORM^O01 / OML^O21.
+ * Cada ORC inicia um pedido; o OBR seguinte traz o código do exame (OBR-4).
+ * @returns {{ tipo: string, controlId: string, aplicacaoOrigem: string, instalacaoOrigem: string,
+ *   instalacaoDestino: string, paciente: Object|null, pedidos: Object[] }|null}
+ */
+const extrairPedidosHl7 = (texto) => {
+  const msg = lerMensagemHl7(texto);
+  if (!msg) return null;
+
+  const msh = msg.segmentos[0];
+  const [evento, gatilho] = msg.componentes(msg.bruto(msh, 9));
+
+  const pedidos = [];
+  let atual = null;
+
+  msg.segmentos.forEach(segmento => {
+    if (segmento[0] === 'ORC') {
+      atual = {
+        controle: msg.campo(segmento, 1).toUpperCase() || 'NW',
+        numeroPedido: msg.componentes(msg.bruto(segmento, 2))[0] || null,
+        dataPedido: lerDataHl7(msg.campo(segmento, 9)),
+        codigoExame: null,
+        descricaoExame: null,
+        sistemaCodificacao: null,
+        observacoes: []
+      };
+      pedidos.push(atual);
+    } else if (segmento[0] === 'OBR') {
+      if (!atual || atual.codigoExame) {
+        atual = { controle: 'NW', numeroPedido: null, dataPedido: null, observacoes: [] };
+        pedidos.push(atual);
+      }
+      const [codigo, descricao, sistema] = msg.componentes(msg.bruto(segmento, 4));
+      atual.codigoExame = codigo ? codigo.trim() : null;
+      atual.descricaoExame = descricao || null;
+      atual.sistemaCodificacao = sistema || null;
+      atual.numeroPedido = atual.numeroPedido || msg.componentes(msg.bruto(segmento, 2))[0] || null;
+      atual.dataPedido = atual.dataPedido || lerDataHl7(msg.campo(segmento, 7));
+      if (msg.campo(segmento, 13)) atual.observacoes.push(msg.campo(segmento, 13));
+    } else if (segmento[0] === 'NTE' && atual) {
+      const nota = msg.campo(segmento, 3);
+      if (nota) atual.observacoes.push(nota);
+    }
+  });
+
+  return {
+    tipo: [evento, gatilho].filter(Boolean).join('^'),
+    controlId: msg.campo(msh, 10),
+    aplicacaoOrigem: msg.componentes(msg.bruto(msh, 3))[0] || '',
+    instalacaoOrigem: msg.componentes(msg.bruto(msh, 4))[0] || '',
+    instalacaoDestino: msg.componentes(msg.bruto(msh, 6))[0] || '',
+    paciente: extrairPaciente(msg),
+    pedidos: pedidos.map(pedido => ({ ...pedido, observacoes: pedido.observacoes.join('\n') || null }))
+  };
+};
+
+/**
+ * ACK de resposta a uma mensagem recebida.
+ * @param {Object} recebida - { tipo, controlId, aplicacaoOrigem, instalacaoOrigem, instalacaoDestino }
+ * @param {'AA'|'AE'|'AR'} codigo
+ */
+const montarAck = (recebida, codigo, texto = '') => {
+  const gatilho = String(recebida?.tipo || '').split('^')[1] || '';
+  return [
+    'MSH|^~\\&|' + montarSegmento([
+      APLICACAO_ORIGEM,
+      escaparHl7(recebida?.instalacaoDestino),
+      escaparHl7(recebida?.aplicacaoOrigem),
+      escaparHl7(recebida?.instalacaoOrigem),
+      formatarDataHl7(new Date()),
+      '',
+      `ACK^${gatilho}^ACK`,
+      gerarControlId(),
+      'P',
+      VERSAO_HL7
+    ]),
+    montarSegmento(['MSA', codigo, escaparHl7(recebida?.controlId), escaparHl7(texto)])
+  ].join('\r') + '\r';
+};
+
+module.exports = {
+  VERSAO_HL7,
+  escaparHl7,
+  formatarDataHl7,
+  gerarControlId,
+  montarOruR01,
+  enquadrarMllp,
+  extrairMensagensMllp,
+  lerAck,
+  desescaparHl7,
+  lerMensagemHl7,
+  extrairPedidosHl7,
+  montarAck
+};
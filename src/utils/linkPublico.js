@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+/*
+ * Links públicos de laudos: tokens de compartilhamento não adivinháveis,
+ * código de acesso e limite de tentativas com bloqueio temporário.
+ */
+
+const VALIDADE_PADRAO_DIAS = 90;
+const MAX_TENTATIVAS_PADRAO = 5;
+const BLOQUEIO_PADRAO_MINUTOS = 15;
+// Após esta quantidade de bloqueios o link é revogado definitivamente
+const MAX_BLOQUEIOS = 3;
+
+const lerInteiroPositivo = (valor, padrao) => {
+  const numero = parseInt(valor, 10);
+  return Number.isFinite(numero) && numero > 0 ? numero : padrao;
+};
+
+const obterConfiguracaoLinkPublico = () => ({
+  validadeDias: lerInteiroPositivo(process.env.LINK_PUBLICO_VALIDADE_DIAS, VALIDADE_PADRAO_DIAS),
+  maxTentativas: lerInteiroPositivo(process.env.LINK_PUBLICO_MAX_TENTATIVAS, MAX_TENTATIVAS_PADRAO),
+  bloqueioMinutos: lerInteiroPositivo(process.env.LINK_PUBLICO_BLOQUEIO_MINUTOS, BLOQUEIO_PADRAO_MINUTOS),
+  maxBloqueios: MAX_BLOQUEIOS
+});
+
+// 256 bits aleatórios, seguros para URL
+const gerarTokenLink = () => crypto.randomBytes(32).toString('base64url');
+
+// Apenas o hash do token é usado nas buscas
+const hashTokenLink = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const tokenLinkValido = (token) => typeof token === 'string' && /^[A-Za-z0-9_-]{43}$/.test(token);
+
+const gerarCodigoAcesso = () => crypto.randomInt(1000, 10000).toString();
+
+// Comparação em tempo constante
+const codigoAcessoConfere = (informado, esperado) => {
+  const a = Buffer.from(String(informado || '').trim());
+  const b = Buffer.from(String(esperado || ''));
+  return a.length === b.length && a.length > 0 && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Situação do link para acesso público.
+ * @returns {{ disponivel: boolean, motivo: 'revogado'|'expirado'|'bloqueado'|null, bloqueadoAte: Date|null }}
+ */
+const situacaoLink = (link, agora = new Date()) => {
+  if (link.revogadoEm) return { disponivel: false, motivo: 'revogado', bloqueadoAte: null };
+  if (link.expiraEm <= agora) return { disponivel: false, motivo: 'expirado', bloqueadoAte: null };
+  if (link.bloqueadoAte && link.bloqueadoAte > agora) {
+    return { disponivel: false, motivo: 'bloqueado', bloqueadoAte: link.bloqueadoAte };
+  }
+  return { disponivel: true, motivo: null, bloqueadoAte: null };
+};
+
+/**
+ * Novo estado após uma tentativa de código incorreta.
+ * @returns {{ tentativasFalhas: number, bloqueios: number, bloqueadoAte: Date|null, revogar: boolean,
+ *   tentativasRestantes: number }}
+ */
+const registrarFalhaAcesso = (link, agora = new Date(), configuracao = obterConfiguracaoLinkPublico()) => {
+  const tentativasFalhas = (link.tentativasFalhas || 0) + 1;
+
+  if (tentativasFalhas < configuracao.maxTentativas) {
+    return {
+      tentativasFalhas,
+      bloqueios: link.bloqueios || 0,
+      bloqueadoAte: null,
+      revogar: false,
+      tentativasRestantes: configuracao.maxTentativas - tentativasFalhas
+    };
+  }
+
+  const bloqueios = (link.bloqueios || 0) + 1;
+  return {
+    tentativasFalhas: 0,
+    bloqueios,
+    bloqueadoAte: new Date(agora.getTime() + configuracao.bloqueioMinutos * 60 * 1000),
+    revogar: bloqueios >= configuracao.maxBloqueios,
+    tentativasRestantes: 0
+  };
+};
+
+module.exports = {
+  obterConfiguracaoLinkPublico,
+  gerarTokenLink,
+  hashTokenLink,
+  tokenLinkValido,
+  gerarCodigoAcesso,
+  codigoAcessoConfere,
+  situacaoLink,
+  registrarFalhaAcesso
+};
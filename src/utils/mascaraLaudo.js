@@ -0,0 +1,173 @@
+// utils/mascaraLaudo.js
+// Preenchimento de máscaras de laudo a partir dos dados do exame e do paciente
+
+// {{campo}} ou {{campo|valor padrão}}
+const PLACEHOLDER_REGEX = /\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g;
+
+// Marcador usado quando o campo não possui valor, para o médico completar manualmente
+const VALOR_AUSENTE = '___';
+
+// Variáveis disponíveis para uso nas máscaras (exibidas no editor)
+const VARIAVEIS_DISPONIVEIS = [
+  { chave: 'nomePaciente', descricao: 'Nome do paciente' },
+  { chave: 'idade', descricao: 'Idade do paciente (anos)' },
+  { chave: 'dataNascimento', descricao: 'Data de nascimento do paciente' },
+  { chave: 'dataExame', descricao: 'Data de realização do exame' },
+  { chave: 'tipoExame', descricao: 'Nome do tipo de exame' },
+  { chave: 'frequenciaCardiaca', descricao: 'Frequência cardíaca (bpm)' },
+  { chave: 'segmentoPR', descricao: 'Segmento PR (ms)' },
+  { chave: 'duracaoQRS', descricao: 'Duração do QRS (ms)' },
+  { chave: 'eixoMedioQRS', descricao: 'Eixo médio do QRS (graus)' },
+  { chave: 'altura', descricao: 'Altura (cm)' },
+  { chave: 'peso', descricao: 'Peso (kg)' },
+  { chave: 'imc', descricao: 'Índice de massa corporal' },
+  { chave: 'medico', descricao: 'Nome do médico responsável' },
+  { chave: 'crm', descricao: 'CRM do médico responsável' },
+  { chave: 'dataAtual', descricao: 'Data de emissão do laudo' }
+];
+
+// Converte datas nos formatos YYYY-MM-DD, DD/MM/YYYY ou Date sem deslocamento de fuso
+const converterData = (valor) => {
+  if (!valor) return null;
+  if (valor instanceof Date) return isNaN(valor.getTime()) ? null : valor;
+
+  const texto = String(valor).trim();
+  let partes = texto.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (partes) {
+    return new Date(parseInt(partes[1]), parseInt(partes[2]) - 1, parseInt(partes[3]));
+  }
+
+  partes = texto.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (partes) {
+    return new Date(parseInt(partes[3]), parseInt(partes[2]) - 1, parseInt(partes[1]));
+  }
+
+  const data = new Date(texto);
+  return isNaN(data.getTime()) ? null : data;
+};
+
+const calcularIdade = (dataNascimento, referencia = new Date()) => {
+  const nascimento = converterData(dataNascimento);
+  if (!nascimento) return null;
+
+  let idade = referencia.getFullYear() - nascimento.getFullYear();
+  const m = referencia.getMonth() - nascimento.getMonth();
+  if (m < 0 || (m === 0 && referencia.getDate() < nascimento.getDate())) {
+    idade--;
+  }
+  return idade >= 0 && idade <= 150 ? idade : null;
+};
+
+const formatarData = (valor) => {
+  const data = converterData(valor);
+  return data ? data.toLocaleDateString('pt-BR') : null;
+};
+
+const formatarNumero = (valor) => {
+  if (valor === undefined || valor === null || valor === '') return null;
+  const numero = parseFloat(valor);
+  if (isNaN(numero)) return null;
+  return numero.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+};
+
+// Monta o contexto de variáveis a partir do exame (com paciente e tipoExame populados)
+const montarContextoExame = (exame, extras = {}) => {
+  const paciente = exame?.paciente || {};
+  const idade = exame?.idade !== undefined && exame?.idade !== null && !isNaN(parseInt(exame.idade))
+    ? parseInt(exame.idade)
+    : calcularIdade(paciente.dataNascimento);
+
+  const altura = parseFloat(exame?.altura);
+  const peso = parseFloat(exame?.peso);
+  const imc = !isNaN(altura) && !isNaN(peso) && altura > 0
+    ? peso / Math.pow(altura / 100, 2)
+    : null;
+
+  return {
+    nomePaciente: paciente.nome || null,
+    idade: idade !== null ? String(idade) : null,
+    dataNascimento: formatarData(paciente.dataNascimento),
+    dataExame: formatarData(exame?.dataExame),
+    tipoExame: exame?.tipoExame?.nome || null,
+    frequenciaCardiaca: formatarNumero(exame?.frequenciaCardiaca),
+    segmentoPR: formatarNumero(exame?.segmentoPR),
+    duracaoQRS: formatarNumero(exame?.duracaoQRS),
+    eixoMedioQRS: formatarNumero(exame?.eixoMedioQRS),
+    altura: formatarNumero(exame?.altura),
+    peso: formatarNumero(exame?.peso),
+    imc: formatarNumero(imc),
+    medico: extras.medicoNome || null,
+    crm: extras.crm || null,
+    dataAtual: new Date().toLocaleDateString('pt-BR')
+  };
+};
+
+// Substitui os placeholders do texto; retorna também as variáveis sem valor
+const substituirVariaveis = (texto, contexto = {}) => {
+  const pendentes = new Set();
+
+  const resultado = String(texto || '').replace(PLACEHOLDER_REGEX, (match, chave, padrao) => {
+    const valor = chave.split('.').reduce((obj, parte) => (obj ? obj[parte] : undefined), contexto);
+
+    if (valor !== undefined && valor !== null && valor !== '') {
+      return String(valor);
+    }
+
+    if (padrao !== undefined) {
+      return padrao.trim();
+    }
+
+    pendentes.add(chave);
+    return VALOR_AUSENTE;
+  });
+
+  return { texto: resultado, pendentes: [...pendentes] };
+};
+
+// Normaliza as seções recebidas do cliente (descarta entradas inválidas)
+const normalizarSecoes = (secoes) => {
+  if (!Array.isArray(secoes)) return [];
+
+  return secoes
+    .filter(secao => secao && typeof secao.titulo === 'string' && secao.titulo.trim())
+    .map((secao, indice) => ({
+      chave: (secao.chave || secao.titulo).toString().trim(),
+      titulo: secao.titulo.trim(),
+      conteudo: typeof secao.conteudo === 'string' ? secao.conteudo : '',
+      ordem: Number.isFinite(Number(secao.ordem)) ? Number(secao.ordem) : indice
+    }))
+    .sort((a, b) => a.ordem - b.ordem);
+};
+
+// Preenche todas as seções da máscara com o contexto informado
+const renderizarMascara = (mascara, contexto) => {
+  const pendentes = new Set();
+
+  const secoes = normalizarSecoes(mascara?.secoes).map(secao => {
+    const { texto, pendentes: pendentesSecao } = substituirVariaveis(secao.conteudo, contexto);
+    pendentesSecao.forEach(p => pendentes.add(p));
+    return { ...secao, conteudo: texto };
+  });
+
+  return { secoes, pendentes: [...pendentes] };
+};
+
+// Texto corrido das seções, usado como conclusão do laudo (listagens, e-mail, busca)
+const montarConclusaoDasSecoes = (secoes) => {
+  return normalizarSecoes(secoes)
+    .filter(secao => secao.conteudo && secao.conteudo.trim())
+    .map(secao => `${secao.titulo.toUpperCase()}\n${secao.conteudo.trim()}`)
+    .join('\n\n');
+};
+
+module.exports = {
+  VALOR_AUSENTE,
+  VARIAVEIS_DISPONIVEIS,
+  calcularIdade,
+  formatarData,
+  montarContextoExame,
+  substituirVariaveis,
+  normalizarSecoes,
+  renderizarMascara,
+  montarConclusaoDasSecoes
+};
@@ -0,0 +1,95 @@
+/*
+ * Leitura e substituição da assinatura CMS gravada em /Contents de um PDF
+ * assinado. O intervalo /Contents fica fora do /ByteRange, então trocar a
+ * assinatura (ex.: para incluir o carimbo de tempo) não altera o resumo assinado.
+ */
+
+const REGEX_BYTE_RANGE = /\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g;
+
+// Tamanho total de uma estrutura DER (cabeçalho + conteúdo)
+const tamanhoDer = (buffer) => {
+  const primeiro = buffer[1];
+  if (primeiro < 0x80) return 2 + primeiro;
+
+  const bytesTamanho = primeiro & 0x7f;
+  let tamanho = 0;
+  for (let i = 0; i < bytesTamanho; i++) {
+    tamanho = tamanho * 256 + buffer[2 + i];
+  }
+  return 2 + bytesTamanho + tamanho;
+};
+
+/**
+ * Lista as assinaturas do documento, na ordem em que aparecem no arquivo.
+ * @param {Buffer} pdf
+ * @returns {Array<{ byteRange: number[], cms: Buffer, dadosAssinados: Buffer,
+ *   cobreDocumentoInteiro: boolean, inicio: number, capacidade: number }>}
+ *   `inicio` e `capacidade` delimitam os dígitos hexadecimais do placeholder
+ */
+const listarAssinaturasPdf = (pdf) => {
+  const buffer = Buffer.from(pdf);
+  const texto = buffer.toString('latin1');
+
+  return [...texto.matchAll(REGEX_BYTE_RANGE)].map(ocorrencia => {
+    const byteRange = ocorrencia.slice(1).map(Number);
+    const inicio = byteRange[0] + byteRange[1] + 1; // após "<"
+    const fim = byteRange[2] - 1; // antes de ">"
+
+    if (byteRange[0] !== 0 || byteRange[2] + byteRange[3] > buffer.length
+      || texto[inicio - 1] !== '<' || texto[fim] !== '>') {
+      throw new Error('PDF inválido: /Contents da assinatura não corresponde ao /ByteRange');
+    }
+
+    const conteudo = Buffer.from(texto.slice(inicio, fim), 'hex');
+
+    return {
+      byteRange,
+      cms: conteudo.subarray(0, tamanhoDer(conteudo)),
+      dadosAssinados: Buffer.concat([
+        buffer.subarray(byteRange[0], byteRange[0] + byteRange[1]),
+        buffer.subarray(byteRange[2], byteRange[2] + byteRange[3])
+      ]),
+      cobreDocumentoInteiro: byteRange[2] + byteRange[3] === buffer.length,
+      inicio,
+      capacidade: fim - inicio
+    };
+  });
+};
+
+/**
+ * Localiza a última assinatura do documento.
+ * @param {Buffer} pdf
+ * @returns {{ byteRange: number[], cms: Buffer, inicio: number, capacidade: number }}
+ */
+const extrairAssinaturaPdf = (pdf) => {
+  const assinaturas = listarAssinaturasPdf(pdf);
+  if (assinaturas.length === 0) {
+    throw new Error('PDF sem assinatura: /ByteRange não encontrado');
+  }
+  return assinaturas[assinaturas.length - 1];
+};
+
+/**
+ * Grava uma nova assinatura CMS no placeholder da última assinatura.
+ * @param {Buffer} pdf
+ * @param {Buffer} cms - assinatura em DER
+ * @returns {Buffer} PDF com a assinatura substituída
+ */
+const substituirAssinaturaPdf = (pdf, cms) => {
+  const { inicio, capacidade } = extrairAssinaturaPdf(pdf);
+  const hex = Buffer.from(cms).toString('hex');
+
+  if (hex.length > capacidade) {
+    throw new Error(`Espaço reservado para a assinatura insuficiente (${hex.length / 2} de ${capacidade / 2} bytes)`);
+  }
+
+  const resultado = Buffer.from(pdf);
+  resultado.write(hex.padEnd(capacidade, '0'), inicio, 'latin1');
+  return resultado;
+};
+
+module.exports = {
+  listarAssinaturasPdf,
+  extrairAssinaturaPdf,
+  substituirAssinaturaPdf
+};
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const { PDFDocument, PDFName, PDFNumber, PDFArray, PDFDict, PDFRef } = require('pdf-lib');
+
+/*
+ * Atualizações incrementais de PDF (ISO 32000, 7.5.6): anexar páginas e incluir
+ * o dicionário DSS (material de validação PAdES-LTV). Os bytes do documento
+ * original são preservados integralmente e os objetos novos ou alterados são
+ * gravados em uma nova seção xref ao final do arquivo. Assim, assinaturas
+ * digitais já presentes no documento continuam válidas para a revisão assinada.
+ * A nova seção segue o formato da anterior: tabela xref clássica ou xref stream (7.5.8).
+ */
+
+// Offset da última tabela xref do documento (valor após "startxref")
+const obterUltimoStartXref = (buffer) => {
+  const fim = buffer.subarray(Math.max(0, buffer.length - 2048)).toString('latin1');
+  const ocorrencias = [...fim.matchAll(/startxref\s+(\d+)\s+%%EOF/g)];
+  if (ocorrencias.length === 0) {
+    throw new Error('PDF inválido: startxref não encontrado');
+  }
+  return parseInt(ocorrencias[ocorrencias.length - 1][1], 10);
+};
+
+const serializarObjeto = (objeto) => {
+  const bytes = new Uint8Array(objeto.sizeInBytes());
+  objeto.copyBytesInto(bytes, 0);
+  return Buffer.from(bytes);
+};
+
+// A seção xref anterior é uma xref stream quando startxref aponta para um objeto, e não para "xref"
+const usaXrefStream = (buffer, startXref) =>
+  /^\s*\d+\s+\d+\s+obj\b/.test(buffer.subarray(startXref, startXref + 64).toString('latin1'));
+
+// Agrupa números de objeto consecutivos em subseções da xref
+const agruparSubsecoes = (entradas) => {
+  const ordenadas = [...entradas].sort((a, b) => a.numero - b.numero);
+  const subsecoes = [];
+
+  ordenadas.forEach(entrada => {
+    const atual = subsecoes[subsecoes.length - 1];
+    if (atual && atual.inicio + atual.itens.length === entrada.numero) {
+      atual.itens.push(entrada);
+    } else {
+      subsecoes.push({ inicio: entrada.numero, itens: [entrada] });
+    }
+  });
+
+  return subsecoes;
+};
+
+const montarTabelaXref = (entradas) => {
+  const subsecoes = agruparSubsecoes(entradas);
+
+  let tabela = 'xref\n';
+  subsecoes.forEach(subsecao => {
+    tabela += `${subsecao.inicio} ${subsecao.itens.length}\n`;
+    subsecao.itens.forEach(item => {
+      tabela += `${String(item.offset).padStart(10, '0')} ${String(item.geracao).padStart(5, '0')} n \n`;
+    });
+  });
+
+  return tabela;
+};
+
+/**
+ * Objeto xref stream (tipo 1: objetos não comprimidos) com as chaves do trailer.
+ * Colunas /W [1 4 2]: tipo, offset e geração.
+ */
+const montarXrefStream = (entradas, numero, chavesTrailer) => {
+  const subsecoes = agruparSubsecoes(entradas);
+  const itens = subsecoes.flatMap(subsecao => subsecao.itens);
+
+  const dados = Buffer.alloc(itens.length * 7);
+  itens.forEach((item, i) => {
+    dados.writeUInt8(1, i * 7);
+    dados.writeUInt32BE(item.offset, i * 7 + 1);
+    dados.writeUInt16BE(item.geracao, i * 7 + 5);
+  });
+
+  const indice = subsecoes.map(subsecao => `${subsecao.inicio} ${subsecao.itens.length}`).join(' ');
+  return Buffer.concat([
+    Buffer.from(`${numero} 0 obj\n<< /Type /XRef ${chavesTrailer} /W [1 4 2] /Index [${indice}] /Length ${dados.length} >>\nstream\n`, 'latin1'),
+    dados,
+    Buffer.from('\nendstream\nendobj\n', 'latin1')
+  ]);
+};
+
+// Carrega o documento para edição, preservando os bytes originais
+const carregarParaAtualizacao = async (pdfOriginal) => {
+  const original = Buffer.from(pdfOriginal);
+  const startXrefAnterior = obterUltimoStartXref(original);
+
+  const documento = await PDFDocument.load(original, { updateMetadata: false });
+  const contexto = documento.context;
+
+  if (contexto.trailerInfo.Encrypt) {
+    throw new Error('PDFs criptografados não são suportados');
+  }
+
+  // Streams de objetos e xref streams não entram no contexto do pdf-lib: os números
+  // novos partem do /Size da seção anterior para não reutilizar os desses objetos
+  const tamanho = original.subarray(startXrefAnterior).toString('latin1').match(/\/Size\s+(\d+)/);
+  if (tamanho) {
+    contexto.largestObjectNumber = Math.max(contexto.largestObjectNumber, parseInt(tamanho[1], 10) - 1);
+  }
+
+  return {
+    original,
+    startXrefAnterior,
+    documento,
+    contexto,
+    maiorObjetoOriginal: contexto.largestObjectNumber
+  };
+};
+
+/**
+ * Grava a seção incremental com os objetos novos e os alterados (`alterados`).
+ * @returns {Buffer} PDF original seguido da atualização
+ */
+const gravarAtualizacao = ({ original, startXrefAnterior, contexto, maiorObjetoOriginal }, alterados) => {
+  const objetos = contexto.enumerateIndirectObjects()
+    .filter(([ref]) => ref.objectNumber > maiorObjetoOriginal || alterados.has(ref.objectNumber));
+
+  const partes = [];
+  const entradas = [];
+  let offset = original.length;
+
+  // Garantir que a atualização comece em uma nova linha
+  const separador = original[original.length - 1] === 0x0a ? '' : '\n';
+  if (separador) {
+    partes.push(Buffer.from(separador, 'latin1'));
+    offset += separador.length;
+  }
+
+  objetos.forEach(([ref, objeto]) => {
+    const bloco = Buffer.concat([
+      Buffer.from(`${ref.objectNumber} ${ref.generationNumber} obj\n`, 'latin1'),
+      serializarObjeto(objeto),
+      Buffer.from('\nendobj\n', 'latin1')
+    ]);
+    entradas.push({ numero: ref.objectNumber, geracao: ref.generationNumber, offset });
+    partes.push(bloco);
+    offset += bloco.length;
+  });
+
+  // Com xref stream, o próprio stream ocupa o próximo número de objeto
+  const xrefStream = usaXrefStream(original, startXrefAnterior);
+  const numeroXref = contexto.largestObjectNumber + 1;
+  const tamanho = xrefStream ? numeroXref + 1 : contexto.largestObjectNumber + 1;
+
+  const { Root, Info, ID } = contexto.trailerInfo;
+  let chavesTrailer = `/Size ${tamanho} /Root ${Root.toString()}`;
+  if (Info) chavesTrailer += ` /Info ${Info.toString()}`;
+  if (ID) chavesTrailer += ` /ID ${ID.toString()}`;
+  chavesTrailer += ` /Prev ${startXrefAnterior}`;
+
+  if (xrefStream) {
+    entradas.push({ numero: numeroXref, geracao: 0, offset });
+    partes.push(montarXrefStream(entradas, numeroXref, chavesTrailer));
+    partes.push(Buffer.from(`startxref\n${offset}\n%%EOF\n`, 'latin1'));
+  } else {
+    partes.push(Buffer.from(
+      `${montarTabelaXref(entradas)}trailer\n<< ${chavesTrailer} >>\nstartxref\n${offset}\n%%EOF\n`,
+      'latin1'
+    ));
+  }
+
+  return Buffer.concat([original, ...partes]);
+};
+
+/**
+ * Anexa ao final de `pdfOriginal` todas as páginas de `pdfAnexo`.
+ * @param {Buffer} pdfOriginal - PDF base (pode estar assinado)
+ * @param {Buffer} pdfAnexo - PDF cujas páginas serão anexadas
+ * @returns {Promise<Buffer>} PDF com a atualização incremental
+ */
+const anexarPaginasIncremental = async (pdfOriginal, pdfAnexo) => {
+  const atualizacao = await carregarParaAtualizacao(pdfOriginal);
+  const { documento, contexto } = atualizacao;
+
+  const anexo = await PDFDocument.load(Buffer.from(pdfAnexo));
+  const paginas = await documento.copyPages(anexo, anexo.getPageIndices());
+
+  // Inserir as páginas na raiz da árvore de páginas
+  const pagesRef = documento.catalog.get(PDFName.of('Pages'));
+  const pages = contexto.lookup(pagesRef);
+  const kidsRef = pages.get(PDFName.of('Kids'));
+  const kids = pages.lookup(PDFName.of('Kids'), PDFArray);
+  const totalAtual = pages.lookup(PDFName.of('Count'), PDFNumber).asNumber();
+
+  paginas.forEach(pagina => {
+    pagina.node.set(PDFName.of('Parent'), pagesRef);
+    kids.push(pagina.ref);
+  });
+  pages.set(PDFName.of('Count'), PDFNumber.of(totalAtual + paginas.length));
+
+  // Objetos gravados na atualização: os novos e os que foram alterados
+  const alterados = new Set([pagesRef.objectNumber]);
+  if (kidsRef instanceof PDFRef) alterados.add(kidsRef.objectNumber);
+
+  return gravarAtualizacao(atualizacao, alterados);
+};
+
+/**
+ * Inclui (ou complementa) o dicionário DSS do catálogo com certificados e
+ * dados de revogação, permitindo validar a assinatura a longo prazo (PAdES-LTV).
+ * @param {Buffer} pdfOriginal - PDF já assinado
+ * @param {Object} material - { certificados: Buffer[], crls: Buffer[], ocsps: Buffer[] } em DER
+ * @returns {Promise<Buffer>} PDF com a atualização incremental (ou o original, se não houver material)
+ */
+const adicionarDssIncremental = async (pdfOriginal, material = {}) => {
+  const entradas = [
+    ['Certs', material.certificados],
+    ['CRLs', material.crls],
+    ['OCSPs', material.ocsps]
+  ];
+
+  if (entradas.every(([, itens]) => !itens || itens.length === 0)) {
+    return Buffer.from(pdfOriginal);
+  }
+
+  const atualizacao = await carregarParaAtualizacao(pdfOriginal);
+  const { documento, contexto } = atualizacao;
+
+  const dssAnterior = documento.catalog.lookupMaybe(PDFName.of('DSS'), PDFDict);
+  const dss = contexto.obj({ Type: 'DSS' });
+
+  entradas.forEach(([chave, itens]) => {
+    const lista = contexto.obj([]);
+    const existentes = dssAnterior?.lookupMaybe(PDFName.of(chave), PDFArray);
+    const vistos = new Set();
+
+    if (existentes) {
+      existentes.asArray().forEach(ref => lista.push(ref));
+    }
+
+    (itens || []).forEach(item => {
+      const hash = crypto.createHash('sha256').update(item).digest('hex');
+      if (vistos.has(hash)) return;
+      vistos.add(hash);
+      lista.push(contexto.register(contexto.flateStream(item)));
+    });
+
+    if (lista.size() > 0) dss.set(PDFName.of(chave), lista);
+  });
+
+  documento.catalog.set(PDFName.of('DSS'), contexto.register(dss));
+
+  return gravarAtualizacao(atualizacao, new Set([contexto.trailerInfo.Root.objectNumber]));
+};
+
+module.exports = {
+  anexarPaginasIncremental,
+  adicionarDssIncremental,
+  obterUltimoStartXref,
+  usaXrefStream
+};
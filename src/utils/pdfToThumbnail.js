@@ -1,42 +1,78 @@
-const { PDFDocument, rgb } = require('pdf-lib');
 const sharp = require('sharp');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { fromBuffer } = require('pdf2pic');
+const { LARGURA_THUMBNAIL } = require('./thumbnail');
 
-exports.gerarThumbnailPDF = async(pdfPath, thumbnailPath) => {
+const execFileAsync = promisify(execFile);
+
+const TEMPO_LIMITE_RENDERIZACAO_MS = 30000;
+
+// pdf2pic: GraphicsMagick + Ghostscript
+const renderizarComPdf2pic = async (pdfBuffer, largura) => {
+  const converter = fromBuffer(pdfBuffer, {
+    density: 150,
+    format: 'png',
+    width: largura,
+    preserveAspectRatio: true
+  });
+  const resultado = await converter(1, { responseType: 'buffer' });
+  if (!resultado?.buffer?.length) throw new Error('pdf2pic não retornou imagem');
+  return resultado.buffer;
+};
+
+// poppler-utils (pdftoppm), usado quando o GraphicsMagick não está instalado
+const renderizarComPoppler = async (pdfBuffer, largura) => {
+  const diretorio = await fs.mkdtemp(path.join(os.tmpdir(), 'thumbnail-'));
   try {
-    // 1. Ler o PDF
-    const pdfBytes = await fs.readFile(pdfPath);
-    const pdfDoc = await PDFDocument.load(pdfBytes);
-    
-    // 2. Extrair a primeira página
-    const pages = pdfDoc.getPages();
-    if (pages.length === 0) throw new Error('PDF não contém páginas');
-    
-    // 3. Criar uma imagem representativa (simplificado)
-    // Nota: Esta é uma abordagem simplificada que não renderiza o conteúdo real do PDF
-    const image = await sharp({
-      create: {
-        width: 800,
-        height: 1100,
-        channels: 3,
-        background: { r: 255, g: 255, b: 255 }
-      }
-    })
-    .composite([{
-      input: Buffer.from(`<svg width="800" height="1100">
-        <rect width="100%" height="100%" fill="#f0f0f0"/>
-        <text x="50%" y="50%" font-family="Arial" font-size="24" fill="#333" text-anchor="middle">${path.basename(pdfPath)}</text>
-      </svg>`),
-      top: 0,
-      left: 0
-    }])
-    .jpeg({ quality: 75 })
-    .toFile(thumbnailPath);
-    
-    return thumbnailPath;
-  } catch (err) {
-    console.error('Erro ao gerar thumbnail simplificada:', err);
-    throw err;
+    const entrada = path.join(diretorio, 'arquivo.pdf');
+    const saida = path.join(diretorio, 'pagina');
+    await fs.writeFile(entrada, pdfBuffer);
+    await execFileAsync('pdftoppm', [
+      '-f', '1', '-l', '1', '-singlefile', '-png',
+      '-scale-to-x', String(largura), '-scale-to-y', '-1',
+      entrada, saida
+    ], { timeout: TEMPO_LIMITE_RENDERIZACAO_MS });
+    return await fs.readFile(`${saida}.png`);
+  } finally {
+    await fs.rm(diretorio, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Rasteriza a primeira página do PDF em PNG.
+ * Tenta pdf2pic e, se falhar, o pdftoppm do poppler.
+ * @returns {Promise<Buffer>}
+ */
+const renderizarPrimeiraPagina = async (pdfBuffer, largura = LARGURA_THUMBNAIL * 2) => {
+  const falhas = [];
+  for (const renderizar of [renderizarComPdf2pic, renderizarComPoppler]) {
+    try {
+      return await renderizar(pdfBuffer, largura);
+    } catch (err) {
+      falhas.push(err.message);
+    }
   }
-}
\ No newline at end of file
+  throw new Error(`Não foi possível renderizar o PDF: ${falhas.join(' | ')}`);
+};
+
+// Miniatura de um PDF local; o formato segue a extensão de thumbnailPath
+const gerarThumbnailPDF = async (pdfPath, thumbnailPath) => {
+  const pdfBuffer = await fs.readFile(pdfPath);
+  const pagina = await renderizarPrimeiraPagina(pdfBuffer);
+
+  await sharp(pagina)
+    .flatten({ background: '#ffffff' })
+    .resize({ width: LARGURA_THUMBNAIL, withoutEnlargement: true })
+    .toFile(thumbnailPath);
+
+  return thumbnailPath;
+};
+
+module.exports = {
+  renderizarPrimeiraPagina,
+  gerarThumbnailPDF
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+/*
+ * Portal do paciente: identificação por CPF + data de nascimento e
+ * código de uso único enviado por e-mail ou SMS.
+ */
+
+const VALIDADE_CODIGO_PADRAO_MINUTOS = 10;
+const MAX_TENTATIVAS_CODIGO_PADRAO = 5;
+const INTERVALO_REENVIO_PADRAO_SEGUNDOS = 60;
+const SESSAO_PADRAO_MINUTOS = 60;
+
+const lerInteiroPositivo = (valor, padrao) => {
+  const numero = parseInt(valor, 10);
+  return Number.isFinite(numero) && numero > 0 ? numero : padrao;
+};
+
+const obterConfiguracaoPortal = () => ({
+  validadeCodigoMinutos: lerInteiroPositivo(process.env.PORTAL_PACIENTE_CODIGO_MINUTOS, VALIDADE_CODIGO_PADRAO_MINUTOS),
+  maxTentativasCodigo: lerInteiroPositivo(process.env.PORTAL_PACIENTE_MAX_TENTATIVAS, MAX_TENTATIVAS_CODIGO_PADRAO),
+  intervaloReenvioSegundos: lerInteiroPositivo(process.env.PORTAL_PACIENTE_REENVIO_SEGUNDOS, INTERVALO_REENVIO_PADRAO_SEGUNDOS),
+  sessaoMinutos: lerInteiroPositivo(process.env.PORTAL_PACIENTE_SESSAO_MINUTOS, SESSAO_PADRAO_MINUTOS)
+});
+
+const normalizarCpf = (cpf) => String(cpf || '').replace(/\D/g, '');
+
+// Dígitos verificadores do CPF
+const cpfValido = (cpf) => {
+  const numeros = normalizarCpf(cpf);
+  if (numeros.length !== 11 || /^(\d)\1{10}$/.test(numeros)) return false;
+
+  const digito = (quantidade) => {
+    let soma = 0;
+    for (let i = 0; i < quantidade; i++) {
+      soma += Number(numeros[i]) * (quantidade + 1 - i);
+    }
+    const resto = (soma * 10) % 11;
+    return resto === 10 ? 0 : resto;
+  };
+
+  return digito(9) === Number(numeros[9]) && digito(10) === Number(numeros[10]);
+};
+
+/**
+ * Data de nascimento no formato armazenado no Paciente (YYYY-MM-DD).
+ * Aceita YYYY-MM-DD e DD/MM/YYYY; retorna null para datas inválidas.
+ */
+const normalizarDataNascimento = (data) => {
+  const texto = String(data || '').trim();
+  let partes = texto.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (partes) {
+    partes = [partes[1], partes[2], partes[3]];
+  } else {
+    const br = texto.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    if (!br) return null;
+    partes = [br[3], br[2], br[1]];
+  }
+
+  const [ano, mes, dia] = partes.map(Number);
+  const date = new Date(Date.UTC(ano, mes - 1, dia));
+  if (date.getUTCFullYear() !== ano || date.getUTCMonth() !== mes - 1 || date.getUTCDate() !== dia) {
+    return null;
+  }
+  return partes.join('-');
+};
+
+// Compara os dados informados com o paciente (campos já descriptografados pelos getters)
+const identidadeConfere = (paciente, cpf, dataNascimento) => {
+  const cpfInformado = normalizarCpf(cpf);
+  const dataInformada = normalizarDataNascimento(dataNascimento);
+  if (!cpfInformado || !dataInformada) return false;
+
+  return normalizarCpf(paciente.cpf) === cpfInformado &&
+    normalizarDataNascimento(paciente.dataNascimento) === dataInformada;
+};
+
+const gerarCodigoOtp = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+// O código é guardado apenas como hash, vinculado à solicitação
+const hashCodigoOtp = (solicitacaoId, codigo) => crypto
+  .createHash('sha256')
+  .update(`${solicitacaoId}:${String(codigo || '').trim()}`)
+  .digest('hex');
+
+const codigoOtpConfere = (solicitacaoId, codigo, hashEsperado) => {
+  const a = Buffer.from(hashCodigoOtp(solicitacaoId, codigo), 'hex');
+  const b = Buffer.from(String(hashEsperado || ''), 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const mascararEmail = (email) => {
+  const [usuario, dominio] = String(email || '').split('@');
+  if (!usuario || !dominio) return null;
+  return `${usuario.slice(0, 2)}${'*'.repeat(Math.max(usuario.length - 2, 1))}@${dominio}`;
+};
+
+const mascararTelefone = (telefone) => {
+  const numeros = String(telefone || '').replace(/\D/g, '');
+  if (numeros.length < 4) return null;
+  return `${'*'.repeat(numeros.length - 4)}${numeros.slice(-4)}`;
+};
+
+module.exports = {
+  obterConfiguracaoPortal,
+  normalizarCpf,
+  cpfValido,
+  normalizarDataNascimento,
+  identidadeConfere,
+  gerarCodigoOtp,
+  hashCodigoOtp,
+  codigoOtpConfere,
+  mascararEmail,
+  mascararTelefone
+};
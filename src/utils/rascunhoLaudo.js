@@ -0,0 +1,60 @@
+/*
+ * Rascunhos de laudo: controle das versões salvas automaticamente
+ * enquanto o médico redige o laudo.
+ */
+
+const MAX_VERSOES_PADRAO = 20;
+
+// Quantidade de versões mantidas por rascunho (RASCUNHO_MAX_VERSOES)
+const obterMaxVersoes = () => {
+  const max = parseInt(process.env.RASCUNHO_MAX_VERSOES, 10);
+  return Number.isFinite(max) && max > 0 ? max : MAX_VERSOES_PADRAO;
+};
+
+const normalizarConteudo = ({ conclusao, secoes } = {}) => JSON.stringify({
+  conclusao: (conclusao || '').trim(),
+  secoes: (secoes || []).map(secao => ({
+    chave: secao.chave || '',
+    titulo: secao.titulo || '',
+    conteudo: (secao.conteudo || '').trim()
+  }))
+});
+
+// Indica se o conteúdo novo difere do atual (evita versões repetidas no autosave)
+const conteudoAlterado = (atual, novo) => normalizarConteudo(atual) !== normalizarConteudo(novo);
+
+const rascunhoVazio = ({ conclusao, secoes } = {}) =>
+  !(conclusao || '').trim() && !(secoes || []).some(secao => (secao.conteudo || '').trim());
+
+/**
+ * Acrescenta uma versão ao histórico do rascunho, descartando as mais antigas.
+ * @param {Array} versoes - versões existentes (ordem cronológica)
+ * @param {Object} versao - { conclusao, secoes, data, usuarioId }
+ * @returns {Array} novo histórico com a versão numerada
+ */
+const adicionarVersao = (versoes = [], versao, max = obterMaxVersoes()) => {
+  const numero = versoes.reduce((maior, v) => Math.max(maior, v.numero || 0), 0) + 1;
+  return [...versoes, { ...versao, numero }].slice(-max);
+};
+
+/**
+ * Filtro de status da listagem de laudos: rascunhos só aparecem quando pedidos
+ * explicitamente e, por serem privados, apenas os do próprio médico.
+ * @param {string} status - status solicitado na query
+ * @param {string} usuarioId - usuário autenticado
+ */
+const filtroStatusListagem = (status, usuarioId) => {
+  const valor = (status || '').trim();
+  if (!valor) return { status: { $ne: 'Rascunho' } };
+  if (valor === 'Rascunho') return { status: valor, medicoResponsavelId: usuarioId };
+  return { status: valor };
+};
+
+module.exports = {
+  MAX_VERSOES_PADRAO,
+  obterMaxVersoes,
+  conteudoAlterado,
+  rascunhoVazio,
+  adicionarVersao,
+  filtroStatusListagem
+};
@@ -0,0 +1,147 @@
+/*
+ * Regras de retenção dos documentos clínicos: prazo de guarda e de arquivamento por
+ * tipo de documento, chaves na camada de arquivo e impedimentos de exclusão.
+ */
+
+const TIPOS_DOCUMENTO = ['exame', 'laudo'];
+
+// Prontuário: guarda mínima de 20 anos a partir do último registro (Resolução CFM 1.821/2007)
+const RETENCAO_PADRAO_ANOS = 20;
+const ARQUIVAMENTO_PADRAO_DIAS = 365;
+const RETENCAO_MAXIMA_ANOS = 100;
+
+const PREFIXO_ARQUIVAMENTO = 'arquivo/';
+
+const numeroPositivo = (valor) => {
+  const numero = parseFloat(valor);
+  return Number.isFinite(numero) && numero > 0 ? numero : null;
+};
+
+/**
+ * Política efetiva do tipo de documento: a do tenant, as variáveis
+ * RETENCAO_<TIPO>_ANOS / ARQUIVAMENTO_<TIPO>_DIAS ou o padrão
+ * @param {Array} politicas - Tenant.politicasRetencao
+ * @param {'exame'|'laudo'} tipoDocumento
+ */
+const resolverPolitica = (politicas = [], tipoDocumento) => {
+  const doTenant = (politicas || []).find(politica => politica.tipoDocumento === tipoDocumento) || {};
+  const sufixo = tipoDocumento.toUpperCase();
+
+  return {
+    tipoDocumento,
+    anosRetencao: numeroPositivo(doTenant.anosRetencao)
+      || numeroPositivo(process.env[`RETENCAO_${sufixo}_ANOS`])
+      || RETENCAO_PADRAO_ANOS,
+    diasParaArquivamento: numeroPositivo(doTenant.diasParaArquivamento)
+      || numeroPositivo(process.env[`ARQUIVAMENTO_${sufixo}_DIAS`])
+      || ARQUIVAMENTO_PADRAO_DIAS,
+    personalizada: !!(doTenant.anosRetencao || doTenant.diasParaArquivamento)
+  };
+};
+
+/**
+ * Valida as políticas enviadas pelo administrador (campos vazios voltam ao padrão)
+ * @returns {{ politicas: Array, erro: string|null }}
+ */
+const normalizarPoliticas = (entrada) => {
+  if (!Array.isArray(entrada)) {
+    return { politicas: [], erro: 'Informe a lista de políticas de retenção' };
+  }
+
+  const politicas = [];
+  for (const item of entrada) {
+    if (!TIPOS_DOCUMENTO.includes(item?.tipoDocumento)) {
+      return { politicas: [], erro: `Tipo de documento inválido. Valores permitidos: ${TIPOS_DOCUMENTO.join(', ')}` };
+    }
+    if (politicas.some(politica => politica.tipoDocumento === item.tipoDocumento)) {
+      return { politicas: [], erro: `Política duplicada para ${item.tipoDocumento}` };
+    }
+
+    const vazio = (valor) => valor === undefined || valor === null || valor === '';
+    const anosRetencao = vazio(item.anosRetencao) ? null : Number(item.anosRetencao);
+    const diasParaArquivamento = vazio(item.diasParaArquivamento) ? null : Number(item.diasParaArquivamento);
+
+    if (anosRetencao !== null && (!Number.isInteger(anosRetencao) || anosRetencao < 1 || anosRetencao > RETENCAO_MAXIMA_ANOS)) {
+      return { politicas: [], erro: `O prazo de retenção deve ser de 1 a ${RETENCAO_MAXIMA_ANOS} anos` };
+    }
+    if (diasParaArquivamento !== null && (!Number.isInteger(diasParaArquivamento) || diasParaArquivamento < 1)) {
+      return { politicas: [], erro: 'O prazo para arquivamento deve ser de pelo menos 1 dia' };
+    }
+
+    politicas.push({ tipoDocumento: item.tipoDocumento, anosRetencao, diasParaArquivamento });
+  }
+
+  return { politicas, erro: null };
+};
+
+const somarDias = (data, dias) => new Date(new Date(data).getTime() + dias * 24 * 60 * 60 * 1000);
+
+const somarAnos = (data, anos) => {
+  const resultado = new Date(data);
+  resultado.setUTCFullYear(resultado.getUTCFullYear() + anos);
+  return resultado;
+};
+
+/**
+ * Datas de arquivamento e de fim da retenção contadas da data de referência
+ * (data do exame ou da assinatura do laudo)
+ */
+const calcularPrazos = (dataReferencia, politica) => {
+  if (!dataReferencia) return { arquivarEm: null, retencaoAte: null };
+  return {
+    arquivarEm: somarDias(dataReferencia, politica.diasParaArquivamento),
+    retencaoAte: somarAnos(dataReferencia, politica.anosRetencao)
+  };
+};
+
+// Datas de referência mais antigas que estes limites já devem ser arquivadas / saíram da retenção
+const calcularLimites = (politica, agora = new Date()) => ({
+  arquivamento: somarDias(agora, -politica.diasParaArquivamento),
+  expiracao: somarAnos(agora, -politica.anosRetencao)
+});
+
+/**
+ * Impedimento para excluir o documento ou seus arquivos
+ * @param {Object} params - { bloqueioLegal, retencaoAte, agora }
+ * @returns {{ codigo: string, mensagem: string, retencaoAte?: Date }|null}
+ */
+const avaliarExclusao = ({ bloqueioLegal, retencaoAte, agora = new Date() }) => {
+  if (bloqueioLegal?.ativo) {
+    return {
+      codigo: 'BLOQUEIO_LEGAL',
+      mensagem: 'O documento está sob bloqueio legal e não pode ser excluído'
+    };
+  }
+
+  if (retencaoAte && new Date(retencaoAte) > agora) {
+    return {
+      codigo: 'RETENCAO_ATIVA',
+      mensagem: 'O documento está no período de retenção obrigatória e não pode ser excluído',
+      retencaoAte: new Date(retencaoAte)
+    };
+  }
+
+  return null;
+};
+
+const ehChaveArquivada = (key) => typeof key === 'string' && key.startsWith(PREFIXO_ARQUIVAMENTO);
+
+// Chave na camada de arquivo: arquivo/<chave original>
+const montarChaveArquivamento = (key) => {
+  if (!key) return null;
+  return ehChaveArquivada(key) ? key : `${PREFIXO_ARQUIVAMENTO}${key}`;
+};
+
+module.exports = {
+  TIPOS_DOCUMENTO,
+  RETENCAO_PADRAO_ANOS,
+  ARQUIVAMENTO_PADRAO_DIAS,
+  PREFIXO_ARQUIVAMENTO,
+  resolverPolitica,
+  normalizarPoliticas,
+  calcularPrazos,
+  calcularLimites,
+  avaliarExclusao,
+  ehChaveArquivada,
+  montarChaveArquivamento
+};
@@ -0,0 +1,26 @@
+/*
+ * Dupla leitura: regras compartilhadas pelos fluxos de emissão
+ * (criação, rascunho e refação) e de assinatura (individual, automática, manual e em lote).
+ */
+
+const ERRO_REVISAO_PENDENTE = 'Este laudo exige dupla leitura e ainda não foi aprovado pelo revisor';
+
+// Laudos de tipos com dupla leitura só podem ser assinados após a aprovação do revisor
+const revisaoPendente = (laudo) => !!laudo?.revisao?.exigida && laudo.revisao.status !== 'Aprovado';
+
+/**
+ * Status inicial de um laudo emitido (criação, finalização de rascunho ou refação).
+ * Tipos de exame com dupla leitura entram em revisão; os demais recebem `statusSemRevisao`.
+ * @returns {{ status: string, revisao: Object|undefined }}
+ */
+const situacaoInicialLaudo = (tipoExame, statusSemRevisao = 'Laudo pronto para assinatura') => (
+  tipoExame?.exigeDuplaLeitura
+    ? { status: 'Em revisão', revisao: { exigida: true, status: 'Pendente' } }
+    : { status: statusSemRevisao, revisao: undefined }
+);
+
+module.exports = {
+  ERRO_REVISAO_PENDENTE,
+  revisaoPendente,
+  situacaoInicialLaudo
+};
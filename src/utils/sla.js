@@ -0,0 +1,125 @@
+/*
+ * Regras de SLA (prazo de laudo) dos exames.
+ * O prazo é calculado a partir da data do exame e do tempo de resposta
+ * configurado para o tipo de exame (e tenant) ou dos valores padrão.
+ */
+
+const STATUS_SLA = {
+  NO_PRAZO: 'No prazo',
+  EM_RISCO: 'Em risco',
+  VIOLADO: 'Violado',
+  CUMPRIDO: 'Cumprido',
+  CUMPRIDO_COM_ATRASO: 'Cumprido com atraso'
+};
+
+const PRAZO_PADRAO_HORAS = 48;
+const PRAZO_URGENTE_HORAS = 4;
+const ALERTA_PERCENTUAL_PADRAO = 20;
+
+const lerNumeroPositivo = (valor, padrao) => {
+  const numero = parseFloat(valor);
+  return Number.isFinite(numero) && numero > 0 ? numero : padrao;
+};
+
+// Prazo padrão (em horas) quando não há configuração para o tipo de exame
+const obterPrazoPadraoHoras = (urgente = false) => urgente
+  ? lerNumeroPositivo(process.env.SLA_PRAZO_URGENTE_HORAS, PRAZO_URGENTE_HORAS)
+  : lerNumeroPositivo(process.env.SLA_PRAZO_PADRAO_HORAS, PRAZO_PADRAO_HORAS);
+
+// Antecedência (em minutos) para considerar o exame "em risco"
+const calcularAntecedenciaAlerta = (prazoHoras, alertaAntecedenciaMinutos = null) => {
+  if (alertaAntecedenciaMinutos && alertaAntecedenciaMinutos > 0) {
+    return alertaAntecedenciaMinutos;
+  }
+  const percentual = lerNumeroPositivo(process.env.SLA_ALERTA_PERCENTUAL, ALERTA_PERCENTUAL_PADRAO);
+  return Math.round(prazoHoras * 60 * (percentual / 100));
+};
+
+const calcularPrazo = (dataBase, prazoHoras) =>
+  new Date(new Date(dataBase).getTime() + prazoHoras * 60 * 60 * 1000);
+
+// Momento a partir do qual o exame é considerado "em risco"
+const calcularInicioAlerta = (prazo, antecedenciaMinutos = 0) =>
+  new Date(new Date(prazo).getTime() - (antecedenciaMinutos || 0) * 60 * 1000);
+
+/**
+ * Classifica a situação do SLA de um exame.
+ * @param {Object} params - { prazo, concluidoEm, antecedenciaMinutos, agora }
+ * @returns {string|null} um dos valores de STATUS_SLA (null se não há prazo)
+ */
+const classificarSla = ({ prazo, concluidoEm = null, antecedenciaMinutos = 0, agora = new Date() }) => {
+  if (!prazo) return null;
+  const limite = new Date(prazo).getTime();
+
+  if (concluidoEm) {
+    return new Date(concluidoEm).getTime() <= limite ? STATUS_SLA.CUMPRIDO : STATUS_SLA.CUMPRIDO_COM_ATRASO;
+  }
+
+  const instante = new Date(agora).getTime();
+  if (instante > limite) return STATUS_SLA.VIOLADO;
+  if (instante >= limite - antecedenciaMinutos * 60 * 1000) return STATUS_SLA.EM_RISCO;
+  return STATUS_SLA.NO_PRAZO;
+};
+
+/**
+ * Resume a conformidade de uma lista de exames já classificados.
+ * @param {Array} itens - [{ status, dataBase, concluidoEm }]
+ */
+const resumirConformidade = (itens) => {
+  const resumo = {
+    total: itens.length,
+    concluidos: 0,
+    cumpridos: 0,
+    cumpridosComAtraso: 0,
+    emAberto: 0,
+    noPrazo: 0,
+    emRisco: 0,
+    violados: 0,
+    taxaConformidade: null,
+    tempoMedioRespostaHoras: null
+  };
+
+  let somaTempos = 0;
+  let quantidadeTempos = 0;
+
+  itens.forEach(item => {
+    switch (item.status) {
+      case STATUS_SLA.CUMPRIDO: resumo.cumpridos++; break;
+      case STATUS_SLA.CUMPRIDO_COM_ATRASO: resumo.cumpridosComAtraso++; break;
+      case STATUS_SLA.NO_PRAZO: resumo.noPrazo++; break;
+      case STATUS_SLA.EM_RISCO: resumo.emRisco++; break;
+      case STATUS_SLA.VIOLADO: resumo.violados++; break;
+      default: break;
+    }
+
+    if (item.concluidoEm && item.dataBase) {
+      somaTempos += new Date(item.concluidoEm) - new Date(item.dataBase);
+      quantidadeTempos++;
+    }
+  });
+
+  resumo.concluidos = resumo.cumpridos + resumo.cumpridosComAtraso;
+  resumo.emAberto = resumo.noPrazo + resumo.emRisco + resumo.violados;
+
+  // Conformidade: concluídos no prazo sobre tudo que já tem desfecho (concluídos + violados em aberto)
+  const comDesfecho = resumo.concluidos + resumo.violados;
+  if (comDesfecho > 0) {
+    resumo.taxaConformidade = Math.round((resumo.cumpridos / comDesfecho) * 10000) / 100;
+  }
+
+  if (quantidadeTempos > 0) {
+    resumo.tempoMedioRespostaHoras = Math.round((somaTempos / quantidadeTempos / 3600000) * 100) / 100;
+  }
+
+  return resumo;
+};
+
+module.exports = {
+  STATUS_SLA,
+  obterPrazoPadraoHoras,
+  calcularAntecedenciaAlerta,
+  calcularPrazo,
+  calcularInicioAlerta,
+  classificarSla,
+  resumirConformidade
+};
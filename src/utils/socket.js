@@ -6,4 +6,5 @@ const socket = io('https://laudofy-backend-production.up.railway.app', {
   transports: ['websocket'] // 👌 evita fallback zuado com polling
 });
 
+// O servidor exige o JWT no handshake: defina socket.auth = { token } antes de socket.connect()
 export default socket;
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/*
+ * Funções comuns aos drivers de armazenamento (S3, MinIO e sistema de arquivos local).
+ */
+
+const TENANT_PADRAO = 'default';
+
+/**
+ * Tenant usado no prefixo das chaves. Aceita o id, o documento populado
+ * ou a lista de tenants do usuário (usa o primeiro).
+ */
+const normalizarTenantId = (tenant) => {
+  const valor = Array.isArray(tenant) ? tenant[0] : tenant;
+  if (!valor) return TENANT_PADRAO;
+  if (typeof valor === 'object' && valor._id) return valor._id.toString();
+  return valor.toString();
+};
+
+// Chave única: <tipo>/<tenant>/<timestamp>_<uuid><extensão>
+const gerarChaveArquivo = (tipo, tenantId, nomeOriginal = '') => {
+  const extensao = path.extname(nomeOriginal);
+  return `${tipo}/${normalizarTenantId(tenantId)}/${Date.now()}_${crypto.randomUUID()}${extensao}`;
+};
+
+/**
+ * Rejeita chaves que escapariam do diretório/bucket (absolutas, com "..", vazias)
+ * @returns {string} a própria chave
+ */
+const validarChave = (key) => {
+  if (typeof key !== 'string' || key.trim() === '') {
+    throw new Error('Chave de armazenamento inválida');
+  }
+  const partes = key.split('/');
+  if (key.startsWith('/') || key.includes('\\') || key.includes('\0') || partes.some(parte => parte === '..' || parte === '')) {
+    throw new Error(`Chave de armazenamento inválida: ${key}`);
+  }
+  return key;
+};
+
+// Assinatura HMAC das URLs temporárias do driver local
+const assinarChave = (key, expiraEm, segredo) => crypto
+  .createHmac('sha256', segredo)
+  .update(`${key}:${expiraEm}`)
+  .digest('hex');
+
+/**
+ * Confere a assinatura e a validade de uma URL do driver local
+ * @param {number} agora - timestamp em segundos
+ */
+const verificarAssinatura = (key, expiraEm, assinatura, segredo, agora = Math.floor(Date.now() / 1000)) => {
+  const expira = parseInt(expiraEm, 10);
+  if (!Number.isFinite(expira) || expira < agora || typeof assinatura !== 'string') return false;
+
+  const esperada = Buffer.from(assinarChave(key, expira, segredo), 'hex');
+  const recebida = Buffer.from(assinatura, 'hex');
+  return esperada.length === recebida.length && crypto.timingSafeEqual(esperada, recebida);
+};
+
+module.exports = {
+  TENANT_PADRAO,
+  normalizarTenantId,
+  gerarChaveArquivo,
+  validarChave,
+  assinarChave,
+  verificarAssinatura
+};
@@ -0,0 +1,45 @@
+const path = require('path');
+const { ehArquivoDicom } = require('./dicom');
+
+/*
+ * Miniaturas dos arquivos de exame: identificação do tipo e chave no armazenamento.
+ */
+
+const LARGURA_THUMBNAIL = 480;
+const SUFIXO_THUMBNAIL = '_thumb.jpg';
+
+/**
+ * Tipo do arquivo pelo conteúdo (a extensão só desempata arquivos sem assinatura)
+ * @returns {'pdf'|'imagem'|'dicom'|null}
+ */
+const detectarTipoArquivo = (buffer, nomeArquivo = '') => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+
+  if (buffer.toString('ascii', 0, 5) === '%PDF-') return 'pdf';
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'imagem';
+  if (buffer.toString('hex', 0, 8) === '89504e470d0a1a0a') return 'imagem';
+  if (ehArquivoDicom(buffer)) return 'dicom';
+
+  const extensao = path.extname(nomeArquivo).toLowerCase();
+  if (extensao === '.pdf' && buffer.includes('%PDF-')) return 'pdf';
+  return null;
+};
+
+// A miniatura fica ao lado do arquivo original: exames/<tenant>/<arquivo>_thumb.jpg
+const montarChaveThumbnail = (arquivoKey) => {
+  if (!arquivoKey) return null;
+  const extensao = path.posix.extname(arquivoKey);
+  const base = extensao ? arquivoKey.slice(0, -extensao.length) : arquivoKey;
+  return `${base}${SUFIXO_THUMBNAIL}`;
+};
+
+// Miniatura registrada no exame corresponde ao arquivo atual (valores antigos eram caminhos locais)
+const thumbnailAtualizada = (exame) => !!exame?.thumbnail
+  && exame.thumbnail === montarChaveThumbnail(exame.arquivoKey);
+
+module.exports = {
+  LARGURA_THUMBNAIL,
+  detectarTipoArquivo,
+  montarChaveThumbnail,
+  thumbnailAtualizada
+};
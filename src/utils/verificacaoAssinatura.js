@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const {
+  OIDS,
+  asn1Helpers,
+  obterSignedData,
+  obterSignerInfo,
+  extrairCertificadosCms,
+  obterCarimboDoCms,
+  obterValorAssinaturaCms,
+  verificarTokenCarimbo
+} = require('./carimboTempo');
+
+/*
+ * Verificação de assinaturas CMS (PKCS#7 destacadas) de PDFs: integridade do
+ * conteúdo assinado, assinatura do signatário e carimbo de tempo, se houver.
+ * A confiança na cadeia (ICP-Brasil) não é avaliada aqui.
+ */
+
+const { asn1 } = forge;
+const { Class, Type } = asn1;
+const { set, derParaBuffer, lerDer, paraBuffer, ehTipo } = asn1Helpers;
+
+const OID_SIGNING_TIME = '1.2.840.113549.1.9.5';
+
+const ALGORITMOS_HASH = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+};
+
+// Campo de um nome X.509 no formato de texto do Node ("CN=...\nO=...")
+const campoNome = (nome, campo) => {
+  const linha = (nome || '').split('\n').find(item => item.startsWith(`${campo}=`));
+  return linha ? linha.slice(campo.length + 1) : null;
+};
+
+// Certificado do signatário pelo número de série do SignerIdentifier
+const localizarCertificadoSignatario = (signerInfo, certificados) => {
+  const sid = signerInfo.value[1];
+  const serial = ehTipo(sid, Type.SEQUENCE)
+    ? paraBuffer(sid.value[1].value).toString('hex').replace(/^(00)+(?=.)/, '').toUpperCase()
+    : null;
+
+  const x509 = certificados.map(certificado => new crypto.X509Certificate(certificado));
+  return x509.find(certificado => certificado.serialNumber.replace(/^(00)+(?=.)/, '').toUpperCase() === serial)
+    || x509[0]
+    || null;
+};
+
+const lerData = (no) => (ehTipo(no, Type.UTCTIME)
+  ? asn1.utcTimeToDate(no.value)
+  : asn1.generalizedTimeToDate(no.value));
+
+const resumirCertificado = (certificado) => ({
+  nome: campoNome(certificado.subject, 'CN'),
+  organizacao: campoNome(certificado.subject, 'O'),
+  emissor: campoNome(certificado.issuer, 'CN'),
+  emissorOrganizacao: campoNome(certificado.issuer, 'O'),
+  serial: certificado.serialNumber,
+  validoDe: new Date(certificado.validFrom),
+  validoAte: new Date(certificado.validTo)
+});
+
+/**
+ * Verifica uma assinatura CMS destacada sobre `dadosAssinados`.
+ * @param {Buffer} cmsDer
+ * @param {Buffer} dadosAssinados - bytes cobertos pelo /ByteRange
+ * @returns {{ integra: boolean, motivo: string|null, signatario: Object|null,
+ *   dataAssinatura: Date|null, carimboTempo: Object|null, certificadoValidoNaAssinatura: boolean|null }}
+ */
+const verificarAssinaturaCms = (cmsDer, dadosAssinados) => {
+  const resultado = {
+    integra: false,
+    motivo: null,
+    signatario: null,
+    dataAssinatura: null,
+    carimboTempo: null,
+    certificadoValidoNaAssinatura: null
+  };
+
+  try {
+    const signerInfo = obterSignerInfo(obterSignedData(lerDer(cmsDer)));
+    const certificado = localizarCertificadoSignatario(signerInfo, extrairCertificadosCms(cmsDer));
+    if (!certificado) {
+      return { ...resultado, motivo: 'Certificado do signatário não incluído na assinatura' };
+    }
+    resultado.signatario = resumirCertificado(certificado);
+
+    const algoritmoHash = ALGORITMOS_HASH[asn1.derToOid(signerInfo.value[2].value[0].value)];
+    if (!algoritmoHash) {
+      return { ...resultado, motivo: 'Algoritmo de resumo não suportado' };
+    }
+
+    const atributos = signerInfo.value.find(item => ehTipo(item, 0, Class.CONTEXT_SPECIFIC));
+    const atributo = (tipo) => atributos?.value.find(item => asn1.derToOid(item.value[0].value) === tipo)?.value[1].value[0];
+    const resumo = crypto.createHash(algoritmoHash).update(dadosAssinados).digest();
+
+    // Com atributos assinados, a assinatura cobre o SET de atributos (que contém o resumo)
+    let dadosVerificados = dadosAssinados;
+    if (atributos) {
+      const messageDigest = atributo(OIDS.messageDigest);
+      if (!messageDigest || !paraBuffer(messageDigest.value).equals(resumo)) {
+        return { ...resultado, motivo: 'O documento foi alterado após a assinatura' };
+      }
+      dadosVerificados = derParaBuffer(set(atributos.value));
+
+      const signingTime = atributo(OID_SIGNING_TIME);
+      if (signingTime) resultado.dataAssinatura = lerData(signingTime);
+    }
+
+    const assinaturaValida = crypto.verify(
+      algoritmoHash,
+      dadosVerificados,
+      certificado.publicKey,
+      obterValorAssinaturaCms(cmsDer)
+    );
+    if (!assinaturaValida) {
+      return { ...resultado, motivo: 'Assinatura criptográfica inválida' };
+    }
+
+    const token = obterCarimboDoCms(cmsDer);
+    if (token) {
+      const carimbo = verificarTokenCarimbo(token, obterValorAssinaturaCms(cmsDer));
+      resultado.carimboTempo = {
+        valido: carimbo.valido,
+        dataHora: carimbo.tstInfo?.dataHora || null,
+        emissor: carimbo.emissor || null,
+        motivo: carimbo.motivo || null
+      };
+    }
+
+    // O horário do carimbo de tempo prevalece sobre o declarado pelo signatário
+    const momento = resultado.carimboTempo?.valido ? resultado.carimboTempo.dataHora : resultado.dataAssinatura;
+    if (momento) {
+      resultado.certificadoValidoNaAssinatura = momento >= resultado.signatario.validoDe
+        && momento <= resultado.signatario.validoAte;
+    }
+
+    return { ...resultado, integra: true };
+  } catch (err) {
+    return { ...resultado, motivo: `Assinatura ilegível: ${err.message}` };
+  }
+};
+
+module.exports = {
+  verificarAssinaturaCms
+};
@@ -0,0 +1,59 @@
+/*
+ * Regras da worklist de laudos: bloqueio (com expiração) de um exame pelo
+ * médico que está laudando e ordenação por urgência, medidas alteradas e antiguidade.
+ */
+
+const BLOQUEIO_MINUTOS_PADRAO = 30;
+
+// Duração do bloqueio em minutos (WORKLIST_LOCK_MINUTOS)
+const obterDuracaoBloqueio = () => {
+  const minutos = parseInt(process.env.WORKLIST_LOCK_MINUTOS, 10);
+  return Number.isFinite(minutos) && minutos > 0 ? minutos : BLOQUEIO_MINUTOS_PADRAO;
+};
+
+const calcularExpiracao = (agora = new Date()) =>
+  new Date(agora.getTime() + obterDuracaoBloqueio() * 60 * 1000);
+
+const bloqueioAtivo = (bloqueio, agora = new Date()) =>
+  !!(bloqueio?.usuarioId && bloqueio.expiraEm && new Date(bloqueio.expiraEm) > agora);
+
+// 'livre', 'meu' (bloqueado pelo usuário) ou 'outro' (bloqueado por outro médico)
+const situacaoBloqueio = (bloqueio, usuarioId, agora = new Date()) => {
+  if (!bloqueioAtivo(bloqueio, agora)) return 'livre';
+  return bloqueio.usuarioId.toString() === usuarioId?.toString() ? 'meu' : 'outro';
+};
+
+// Condição do MongoDB para um exame que o usuário pode assumir (livre, expirado ou já seu)
+const filtroBloqueioDisponivel = (usuarioId, agora = new Date()) => ({
+  $or: [
+    { 'bloqueio.usuarioId': { $exists: false } },
+    { 'bloqueio.usuarioId': null },
+    { 'bloqueio.expiraEm': { $lte: agora } },
+    { 'bloqueio.usuarioId': usuarioId }
+  ]
+});
+
+// Urgentes primeiro, depois os com medidas fora da faixa de referência; dentro de cada grupo, os mais antigos
+const ordenarWorklist = (exames) => [...exames].sort((a, b) => {
+  const urgenciaA = a.tipoExame?.urgente ? 1 : 0;
+  const urgenciaB = b.tipoExame?.urgente ? 1 : 0;
+  if (urgenciaA !== urgenciaB) return urgenciaB - urgenciaA;
+
+  const alteracaoA = a.possuiAlteracoes ? 1 : 0;
+  const alteracaoB = b.possuiAlteracoes ? 1 : 0;
+  if (alteracaoA !== alteracaoB) return alteracaoB - alteracaoA;
+
+  const dataA = new Date(a.dataExame || a.createdAt || 0).getTime();
+  const dataB = new Date(b.dataExame || b.createdAt || 0).getTime();
+  return dataA - dataB;
+});
+
+module.exports = {
+  BLOQUEIO_MINUTOS_PADRAO,
+  obterDuracaoBloqueio,
+  calcularExpiracao,
+  bloqueioAtivo,
+  situacaoBloqueio,
+  filtroBloqueioDisponivel,
+  ordenarWorklist
+};